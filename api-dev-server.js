@@ -24,8 +24,46 @@ process.env.SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE
 process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.VITE_SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
 process.env.SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
 
+// Resolve a path under api/ to a function file the way Vercel does:
+// plain files, dir/index.js, [param].js and [...param].js catch-alls
+async function resolveFunction(apiPath) {
+  const segments = apiPath.split('/').filter(Boolean);
+  const params = {};
+  let dir = join(__dirname, 'api');
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const isLast = i === segments.length - 1;
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const names = entries.map(entry => entry.name);
+
+    if (!isLast && entries.some(entry => entry.isDirectory() && entry.name === segment)) {
+      dir = join(dir, segment);
+      continue;
+    }
+    if (isLast && (names.includes(`${segment}.js`) || names.includes(segment))) {
+      return { functionPath: join(dir, segment).slice(join(__dirname, 'api').length + 1), params };
+    }
+
+    const dynamic = names.find(name => /^\[[^.\]]+\]\.js$/.test(name));
+    if (isLast && dynamic) {
+      params[dynamic.slice(1, -4)] = segment;
+      return { functionPath: join(dir, dynamic).slice(join(__dirname, 'api').length + 1), params };
+    }
+
+    const catchAll = names.find(name => /^\[\.\.\.[^\]]+\]\.js$/.test(name));
+    if (catchAll) {
+      params[catchAll.slice(4, -4)] = segments.slice(i);
+      return { functionPath: join(dir, catchAll).slice(join(__dirname, 'api').length + 1), params };
+    }
+    break;
+  }
+
+  return { functionPath: apiPath, params };
+}
+
 // Helper to load and execute Edge Functions
-async function executeEdgeFunction(functionPath, req, res) {
+async function executeEdgeFunction(functionPath, req, res, params = {}) {
   try {
     const modulePath = join(__dirname, 'api', functionPath);
 
@@ -34,7 +72,7 @@ async function executeEdgeFunction(functionPath, req, res) {
     try {
       const stats = await fs.stat(modulePath);
       if (stats.isDirectory()) {
-        finalPath = join(modulePath, 'index.js');11
+        finalPath = join(modulePath, 'index.js');
       } else if (!modulePath.endsWith('.js')) {
         finalPath = `${modulePath}.js`;
       }
@@ -59,7 +97,7 @@ async function executeEdgeFunction(functionPath, req, res) {
       url: `http://localhost:${PORT}${req.originalUrl}`,
       json: async () => req.body,
       text: async () => JSON.stringify(req.body),
-      query: req.query // Add query params for Edge Functions
+      query: { ...req.query, ...params } // Add query and route params for Edge Functions
     };
 
     // Create URL object for search params
@@ -137,7 +175,8 @@ app.use('/api/v1', async (req, res, next) => {
   }
 
   // For all other paths, try to execute the function
-  await executeEdgeFunction(apiPath, req, res);
+  const { functionPath, params } = await resolveFunction(apiPath);
+  await executeEdgeFunction(functionPath, req, res, params);
 });
 
 // Fallback for undefined API routes
@@ -154,8 +193,11 @@ app.use('/api', (req, res) => {
       '/api/v1/counties',
       '/api/v1/cities',
       '/api/v1/health',
+      '/api/v1/zipcode/:zip',
+      '/api/v1/batch/radius',
+      '/api/v1/batch/polygon',
+      '/api/v1/openapi',
       '/api/v1/boundaries/*',
-      '/api/v1/geocode/*',
       '/api/v1/geocoding/*'
     ]
   });
@@ -172,8 +214,12 @@ Available endpoints:
   - http://localhost:${PORT}/api/v1/counties
   - http://localhost:${PORT}/api/v1/cities
   - http://localhost:${PORT}/api/v1/health
+  - http://localhost:${PORT}/api/v1/zipcode/:zip
+  - http://localhost:${PORT}/api/v1/batch/radius (API key)
+  - http://localhost:${PORT}/api/v1/batch/polygon (API key)
+  - http://localhost:${PORT}/api/v1/openapi
   - http://localhost:${PORT}/api/v1/boundaries/*
-  - http://localhost:${PORT}/api/v1/geocode/*
+  - http://localhost:${PORT}/api/v1/geocoding/*
 
 Environment:
   - SUPABASE_URL: ${process.env.SUPABASE_URL ? '✓ Set' : '✗ Missing'}
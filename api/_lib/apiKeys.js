@@ -0,0 +1,62 @@
+/**
+ * API keys and per-key quotas
+ * Keys come from API_KEYS, comma-separated `id:key[:dailyQuota]` entries:
+ *
+ *   API_KEYS=airflow:3f9c...e1:50000,notebooks:a81b...07
+ *
+ * Clients send the key as `X-API-Key` or `Authorization: Bearer <key>`.
+ * A keyed request is rate limited per key (API_KEY_RATE_LIMIT per minute,
+ * default 600) instead of per IP, and spends units from a daily quota
+ * (API_KEY_DAILY_QUOTA, default 10000): one per search, one per center or
+ * polygon in a batch.
+ */
+
+import crypto from 'crypto';
+import { ApiError } from './errors.js';
+import { getRateLimiter, DAY_MS } from './rateLimit.js';
+
+export const DEFAULT_DAILY_QUOTA = Number(process.env.API_KEY_DAILY_QUOTA) || 10000;
+export const DEFAULT_KEY_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT) || 600;
+
+const hash = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+let clients = null;
+let clientsSource = null;
+
+// Re-read when API_KEYS changes (tests, dev server restarts keep the cache)
+function getClients() {
+  const source = process.env.API_KEYS || '';
+  if (clients && clientsSource === source) return clients;
+
+  clients = new Map();
+  clientsSource = source;
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [id, key, quota] = entry.split(':').map(part => part.trim());
+    if (!id || !key) {
+      console.error('[API] Ignoring malformed API_KEYS entry for', id || '(no id)');
+      return;
+    }
+    clients.set(hash(key), { id, quota: Number(quota) || DEFAULT_DAILY_QUOTA });
+  });
+  return clients;
+}
+
+/**
+ * @param {string} key
+ * @returns {Object} { id, quota }
+ * @throws {ApiError} 401 invalid_api_key
+ */
+export function authenticate(key) {
+  const client = getClients().get(hash(key));
+  if (!client) throw new ApiError(401, 'invalid_api_key', 'Unknown API key');
+  return client;
+}
+
+/**
+ * Spend `cost` units of a client's daily quota
+ * @returns {Promise<Object>} { success, limit, remaining, reset }
+ */
+export async function consumeQuota(client, cost = 1) {
+  const limiter = await getRateLimiter('quota', client.quota, DAY_MS);
+  return limiter.limit(client.id, { rate: cost });
+}
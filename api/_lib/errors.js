@@ -0,0 +1,37 @@
+/**
+ * API errors
+ * Thrown from route handlers and turned into the standard error body by
+ * createHandler (see docs/API_CONVENTIONS.md):
+ *
+ *   { "error": "invalid_params", "message": "Invalid parameters: lat", "details": [...] }
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Stable machine-readable code, e.g. 'not_found'
+   * @param {string} message - Human-readable message
+   * @param {Array} [details] - Per-field problems for 400s
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: this.code,
+      message: this.message,
+      ...(this.details && { details: this.details })
+    };
+  }
+}
+
+export const badRequest = (message, details) => new ApiError(400, 'invalid_params', message, details);
+
+export const notFound = (message = 'Not found') => new ApiError(404, 'not_found', message);
+
+export const upstreamError = (message) => new ApiError(502, 'upstream_error', message);
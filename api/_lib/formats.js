@@ -0,0 +1,77 @@
+/**
+ * Response formats for routes that return ZIP rows
+ * JSON by default; CSV or GeoJSON (one Point per ZIP) when asked for with
+ * `?format=csv|geojson` or an Accept of text/csv or application/geo+json.
+ * `format` wins over Accept.
+ */
+
+import { badRequest } from './errors.js';
+
+export const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  geojson: 'application/geo+json'
+};
+
+const CSV_COLUMNS = ['zipcode', 'city', 'stateCode', 'county', 'latitude', 'longitude', 'distance'];
+const CSV_HEADERS = { stateCode: 'state' };
+
+/**
+ * @param {Object} query
+ * @param {string} [accept] - Accept header
+ * @returns {'json'|'csv'|'geojson'}
+ */
+export function negotiateFormat(query, accept = '') {
+  if (query.format) {
+    const format = String(query.format).toLowerCase();
+    if (!FORMATS[format]) {
+      throw badRequest('Invalid parameters: format', [{ param: 'format', message: `must be one of ${Object.keys(FORMATS).join(', ')}` }]);
+    }
+    return format;
+  }
+  const types = String(accept).split(',').map(type => type.split(';')[0].trim().toLowerCase());
+  if (types.includes(FORMATS.csv)) return 'csv';
+  if (types.includes(FORMATS.geojson)) return 'geojson';
+  return 'json';
+}
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Object>} rows - ZIP results; a `batch` field becomes the first column
+ */
+export function toCsv(rows) {
+  const columns = rows.some(row => row.batch !== undefined) ? ['batch', ...CSV_COLUMNS] : CSV_COLUMNS;
+  const lines = [columns.map(column => CSV_HEADERS[column] || column).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(row[column])).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {Array<Object>} rows - ZIP results
+ * @returns {Object} FeatureCollection of centroids
+ */
+export function toGeoJson(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.map(row => {
+      // Coordinates live in the geometry only
+      const properties = { ...row };
+      delete properties.lat;
+      delete properties.lng;
+      delete properties.latitude;
+      delete properties.longitude;
+      return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [row.longitude, row.latitude] },
+        properties
+      };
+    })
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Route handler wrapper for the api/v1 functions
+ * Adds CORS, method checks, API keys and quotas, per-client rate limiting,
+ * parameter validation, response formats and the standard error body, so a
+ * route only returns its data or throws an ApiError. Works with Vercel's Node
+ * request/response and api-dev-server.js.
+ *
+ * The route definition (path, summary, params, ...) is kept on the handler
+ * as `handler.definition` for the OpenAPI document (_lib/openapi.js).
+ */
+
+import { authenticate, consumeQuota, DEFAULT_KEY_RATE_LIMIT } from './apiKeys.js';
+import { ApiError } from './errors.js';
+import { FORMATS, negotiateFormat, toCsv, toGeoJson } from './formats.js';
+import { getRateLimiter } from './rateLimit.js';
+import { parseParams } from './validation.js';
+
+const getHeader = (req, name) => {
+  const headers = req.headers;
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  return headers[name];
+};
+
+const getClientIp = (req) => {
+  const forwarded = getHeader(req, 'x-forwarded-for');
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return getHeader(req, 'x-real-ip') || req.socket?.remoteAddress || 'anonymous';
+};
+
+const getApiKey = (req) => {
+  const header = getHeader(req, 'x-api-key');
+  if (header) return String(header).trim();
+  const match = String(getHeader(req, 'authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+const getQuery = (req) => {
+  if (req.query) return { ...req.query };
+  return Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+};
+
+async function getBody(req) {
+  if (req.body !== undefined) {
+    if (typeof req.body !== 'string') return req.body || {};
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      throw new ApiError(400, 'invalid_body', 'Request body must be JSON');
+    }
+  }
+  if (typeof req.json === 'function') {
+    return (await req.json()) || {};
+  }
+  return {};
+}
+
+const sendError = (res, error) => res.status(error.status).json(error.toJSON());
+
+const setLimitHeaders = (res, prefix, { limit, remaining, reset }) => {
+  res.setHeader(`${prefix}-Limit`, String(limit));
+  res.setHeader(`${prefix}-Remaining`, String(remaining));
+  res.setHeader(`${prefix}-Reset`, String(Math.ceil(reset / 1000)));
+};
+
+const retryAfter = (res, reset) => {
+  const seconds = Math.max(1, Math.ceil((reset - Date.now()) / 1000));
+  res.setHeader('Retry-After', String(seconds));
+  return seconds;
+};
+
+function send(res, data, format, rows) {
+  if (format === 'json') {
+    return res.status(200).json(data);
+  }
+  res.setHeader('Content-Type', `${FORMATS[format]}; charset=utf-8`);
+  const body = format === 'csv' ? toCsv(rows(data)) : JSON.stringify(toGeoJson(rows(data)));
+  return res.status(200).send(body);
+}
+
+/**
+ * @param {Object} route
+ * @param {string} [route.path] - OpenAPI path under /api/v1, e.g. '/zipcode/{zip}'; routes without one are left out of the document
+ * @param {string} [route.summary] - One-line OpenAPI summary
+ * @param {Array<string>} [route.methods] - Allowed methods (default GET)
+ * @param {string} route.name - Rate-limit group
+ * @param {number} [route.rateLimit] - Requests per minute per IP for this group
+ * @param {string} [route.cacheControl] - Cache-Control for successful responses
+ * @param {Object} [route.params] - Validation schema; read from the query for GET and the JSON body otherwise
+ * @param {'optional'|'required'} [route.auth] - Whether an API key is needed (default optional)
+ * @param {Function} [route.cost] - (params) => quota units for keyed requests (default 1)
+ * @param {Function} [route.rows] - (data) => ZIP rows; enables CSV and GeoJSON responses
+ * @param {string} [route.response] - Response schema name in the OpenAPI components
+ * @param {Function} route.handle - ({ req, params, query, body, method, client }) => data
+ * @returns {Function} Vercel handler
+ */
+export function createHandler(route) {
+  const {
+    methods = ['GET'],
+    name,
+    rateLimit,
+    cacheControl,
+    params: schema,
+    auth = 'optional',
+    cost = () => 1,
+    rows,
+    handle
+  } = route;
+
+  async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Limit, X-Quota-Remaining, X-Quota-Reset, Retry-After');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(204).end();
+    }
+
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      return sendError(res, new ApiError(405, 'method_not_allowed', `${req.method} is not allowed; use ${methods.join(' or ')}`));
+    }
+
+    let client = null;
+    try {
+      const key = getApiKey(req);
+      if (key) {
+        client = authenticate(key);
+      } else if (auth === 'required') {
+        throw new ApiError(401, 'unauthorized', 'This endpoint needs an API key (X-API-Key header)');
+      }
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    try {
+      // Keyed clients get their own, higher per-minute limit
+      const limiter = client
+        ? await getRateLimiter('key', DEFAULT_KEY_RATE_LIMIT)
+        : await getRateLimiter(name, rateLimit);
+      const result = await limiter.limit(client ? client.id : getClientIp(req));
+      setLimitHeaders(res, 'X-RateLimit', result);
+      if (!result.success) {
+        const seconds = retryAfter(res, result.reset);
+        return sendError(res, new ApiError(429, 'rate_limited', `Too many requests; retry in ${seconds} s`));
+      }
+    } catch (error) {
+      // A rate-limit backend outage shouldn't take the API down with it
+      console.error(`[API] rate limiter unavailable for ${name}:`, error.message);
+    }
+
+    try {
+      const query = getQuery(req);
+      const body = req.method === 'GET' ? {} : await getBody(req);
+      const format = rows ? negotiateFormat(query, getHeader(req, 'accept')) : 'json';
+      const params = schema ? parseParams(req.method === 'GET' ? query : body, schema) : {};
+
+      if (client) {
+        // Only valid requests spend quota; like the rate limit, it fails open
+        const quota = await consumeQuota(client, cost(params)).catch(error => {
+          console.error(`[API] quota unavailable for ${client.id}:`, error.message);
+          return null;
+        });
+        if (quota) setLimitHeaders(res, 'X-Quota', quota);
+        if (quota && !quota.success) {
+          retryAfter(res, quota.reset);
+          throw new ApiError(429, 'quota_exceeded', `Daily quota of ${quota.limit} exhausted for ${client.id}`);
+        }
+      }
+
+      const data = await handle({ req, params, query, body, method: req.method, client });
+
+      if (cacheControl) res.setHeader('Cache-Control', client ? 'private, no-store' : cacheControl);
+      return send(res, data, format, rows);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return sendError(res, error);
+      }
+      console.error(`[API] ${name} failed:`, error);
+      return sendError(res, new ApiError(500, 'internal_error', 'Internal server error'));
+    }
+  }
+
+  handler.definition = { ...route, methods, auth };
+  return handler;
+}
@@ -0,0 +1,188 @@
+/**
+ * OpenAPI 3.1 document built from the route definitions that createHandler
+ * keeps on each handler (path, methods, params, auth, rows, response), so
+ * the spec can't drift from the validation the routes actually do.
+ */
+
+import { FORMATS } from './formats.js';
+import { toObjectSchema } from './validation.js';
+
+const ZIP_RESULT = {
+  type: 'object',
+  properties: {
+    zipcode: { type: 'string' },
+    city: { type: 'string' },
+    state: { type: 'string' },
+    stateCode: { type: 'string' },
+    county: { type: ['string', 'null'] },
+    latitude: { type: 'number' },
+    longitude: { type: 'number' },
+    lat: { type: 'number' },
+    lng: { type: 'number' },
+    distance: { type: 'number', description: 'Miles from the center (radius searches)' }
+  },
+  required: ['zipcode', 'city', 'state', 'latitude', 'longitude']
+};
+
+const SCHEMAS = {
+  ZipResult: ZIP_RESULT,
+  SearchResponse: {
+    type: 'object',
+    properties: {
+      results: { type: 'array', items: { $ref: '#/components/schemas/ZipResult' } },
+      total: { type: 'integer' },
+      offset: { type: 'integer' },
+      limit: { type: 'integer' },
+      hasMore: { type: 'boolean' },
+      nextCursor: { type: ['string', 'null'] }
+    }
+  },
+  BatchResponse: {
+    type: 'object',
+    properties: {
+      batches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            results: { type: 'array', items: { $ref: '#/components/schemas/ZipResult' } },
+            total: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+          }
+        }
+      },
+      total: { type: 'integer' }
+    }
+  },
+  ZipCodeResponse: {
+    type: 'object',
+    properties: { zipcode: { $ref: '#/components/schemas/ZipResult' } }
+  },
+  StateList: {
+    type: 'array',
+    items: { type: 'object', properties: { code: { type: 'string' }, name: { type: 'string' } } }
+  },
+  NameList: {
+    type: 'array',
+    items: { type: 'object', properties: { name: { type: 'string' } } }
+  },
+  Health: {
+    type: 'object',
+    properties: { status: { type: 'string' }, dataSource: { type: 'string' }, time: { type: 'string', format: 'date-time' } }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', description: 'Machine-readable code, e.g. invalid_params' },
+      message: { type: 'string' },
+      details: {
+        type: 'array',
+        items: { type: 'object', properties: { param: { type: 'string' }, message: { type: 'string' } } }
+      }
+    },
+    required: ['error', 'message']
+  }
+};
+
+const ERRORS = {
+  400: 'Invalid parameters',
+  401: 'Missing or unknown API key',
+  429: 'Rate limit or daily quota exceeded',
+  502: 'Upstream data source failed'
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const FORMAT_PARAM = {
+  name: 'format',
+  in: 'query',
+  description: 'Response format; also negotiable with Accept',
+  schema: { type: 'string', enum: Object.keys(FORMATS), default: 'json' }
+};
+
+function toParameters(params = {}) {
+  return Object.entries(params).map(([name, rule]) => ({
+    name,
+    in: rule.in || 'query',
+    required: rule.in === 'path' || Boolean(rule.required),
+    ...(rule.explode === false && { style: 'form', explode: false }),
+    schema: rule.schema
+  }));
+}
+
+function toOperation(definition, method) {
+  const { summary, description, params, auth, rows, response, name } = definition;
+  const pathParams = Object.fromEntries(Object.entries(params || {}).filter(([, rule]) => rule.in === 'path'));
+  const otherParams = Object.fromEntries(Object.entries(params || {}).filter(([, rule]) => rule.in !== 'path'));
+  const readsBody = method !== 'GET';
+
+  const schema = response ? { $ref: `#/components/schemas/${response}` } : {};
+  const content = { 'application/json': { schema } };
+  if (rows) {
+    content[FORMATS.csv] = { schema: { type: 'string' } };
+    content[FORMATS.geojson] = { schema: { type: 'object', description: 'FeatureCollection of ZIP centroids' } };
+  }
+
+  return {
+    operationId: `${method.toLowerCase()}${definition.path.replace(/[{}]/g, '').split('/').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`,
+    tags: [name],
+    ...(summary && { summary }),
+    ...(description && { description }),
+    parameters: [
+      ...toParameters(pathParams),
+      ...(readsBody ? [] : toParameters(otherParams)),
+      ...(rows ? [FORMAT_PARAM] : [])
+    ],
+    ...(readsBody && params && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: toObjectSchema(otherParams) } }
+      }
+    }),
+    security: auth === 'required' ? [{ ApiKey: [] }] : [{}, { ApiKey: [] }],
+    responses: {
+      200: { description: 'OK', content },
+      ...Object.fromEntries(Object.entries(ERRORS).map(([status, text]) => [status, errorResponse(text)])),
+      ...(Object.keys(pathParams).length > 0 && { 404: errorResponse('Not found') })
+    }
+  };
+}
+
+/**
+ * @param {Array<Function>} handlers - Route handlers from createHandler
+ * @param {Object} [info] - { version, serverUrl }
+ * @returns {Object} OpenAPI document
+ */
+export function buildOpenApiDocument(handlers, { version = '1.0.0', serverUrl = '/api/v1' } = {}) {
+  const paths = {};
+  handlers
+    .map(handler => handler.definition)
+    .filter(definition => definition?.path)
+    .forEach(definition => {
+      paths[definition.path] = paths[definition.path] || {};
+      definition.methods.forEach(method => {
+        paths[definition.path][method.toLowerCase()] = toOperation(definition, method);
+      });
+    });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'ZIP Search API',
+      version,
+      description: 'ZIP radius, polygon and hierarchy searches. Send an API key as X-API-Key for a per-key rate limit and daily quota; batch endpoints require one.'
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
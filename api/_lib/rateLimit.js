@@ -0,0 +1,84 @@
+/**
+ * Rate limiting
+ * Sliding window per client and route group. Uses Upstash Redis
+ * (@upstash/ratelimit) when UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN
+ * are set, so limits hold across serverless instances; otherwise an
+ * in-memory window per process (local dev, tests).
+ *
+ * API_RATE_LIMIT sets the default requests per minute (60).
+ *
+ * The same limiters count API-key quotas over a day, where one request can
+ * cost several units (one per center or polygon in a batch).
+ */
+
+const WINDOW_MS = 60 * 1000;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RATE_LIMIT = Number(process.env.API_RATE_LIMIT) || 60;
+
+const hasUpstash = () => Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+
+/**
+ * In-memory stand-in with the same limit(key, { rate }) result as
+ * @upstash/ratelimit
+ */
+export function createMemoryRateLimiter({ limit, windowMs = WINDOW_MS }) {
+  const hits = new Map();
+
+  return {
+    async limit(key, { rate = 1 } = {}) {
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter(hit => now - hit.time < windowMs);
+      const used = recent.reduce((sum, hit) => sum + hit.rate, 0);
+      const success = used + rate <= limit;
+      if (success) recent.push({ time: now, rate });
+      hits.set(key, recent);
+
+      return {
+        success,
+        limit,
+        remaining: Math.max(0, limit - used - (success ? rate : 0)),
+        reset: (recent[0]?.time ?? now) + windowMs
+      };
+    }
+  };
+}
+
+async function createUpstashRateLimiter({ limit, prefix, windowMs }) {
+  const [{ Ratelimit }, { Redis }] = await Promise.all([
+    import('@upstash/ratelimit'),
+    import('@upstash/redis')
+  ]);
+  return new Ratelimit({
+    redis: Redis.fromEnv(),
+    limiter: windowMs >= DAY_MS
+      ? Ratelimit.fixedWindow(limit, `${Math.round(windowMs / DAY_MS)} d`)
+      : Ratelimit.slidingWindow(limit, `${Math.round(windowMs / 1000)} s`),
+    prefix: `zip-search:${prefix}`
+  });
+}
+
+const limiters = new Map();
+
+/**
+ * Limiter for a route group, created once per instance
+ * @param {string} prefix - Route group, e.g. 'search', or 'quota'
+ * @param {number} limit - Requests (or units) per window
+ * @param {number} [windowMs] - Window length (default one minute)
+ */
+export function getRateLimiter(prefix, limit = DEFAULT_RATE_LIMIT, windowMs = WINDOW_MS) {
+  const key = `${prefix}:${limit}:${windowMs}`;
+  if (!limiters.has(key)) {
+    limiters.set(key, hasUpstash()
+      ? createUpstashRateLimiter({ limit, prefix, windowMs })
+      : Promise.resolve(createMemoryRateLimiter({ limit, windowMs })));
+  }
+  return limiters.get(key);
+}
+
+/**
+ * Forget in-memory windows (tests)
+ */
+export function resetRateLimiters() {
+  limiters.clear();
+}
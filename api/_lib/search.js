@@ -0,0 +1,96 @@
+/**
+ * Shared parameters and execution for the /api/v1/search routes
+ */
+
+import { badRequest } from './errors.js';
+import { number, string, stateCode, polygon } from './validation.js';
+import { getZipStore } from './zipStore.js';
+
+export const MAX_RADIUS_MILES = 500;
+export const MAX_LIMIT = 5000;
+
+export const FILTER_PARAMS = {
+  query: string({ maxLength: 100, description: 'ZIP prefix or city text; "City, ST" and "Name County, ST" are split into filters' }),
+  state: stateCode({ description: 'Two-letter state code' }),
+  county: string({ maxLength: 100 }),
+  city: string({ maxLength: 100 })
+};
+
+export const PAGE_PARAMS = {
+  limit: number({ min: 1, max: MAX_LIMIT, integer: true, default: 100 }),
+  offset: number({ min: 0, integer: true, default: 0 }),
+  cursor: string({ maxLength: 500, description: 'nextCursor from the previous radius or polygon page' })
+};
+
+export const radiusParams = ({ required = false } = {}) => ({
+  lat: number({ min: -90, max: 90, required }),
+  lng: number({ min: -180, max: 180, required }),
+  radius: number({ min: 0, max: MAX_RADIUS_MILES, required, description: 'Miles' })
+});
+
+export const polygonParams = ({ required = false } = {}) => ({
+  polygon: polygon({ required })
+});
+
+export const searchRows = (data) => data.results;
+
+/**
+ * Check the parameter combination and run the search
+ * @param {Object} params - Parsed search parameters
+ * @returns {Promise<Object>} { results, total, offset, limit, hasMore, nextCursor }
+ */
+export async function runSearch(params) {
+
+  const radiusFields = ['lat', 'lng', 'radius'].filter(name => params[name] != null);
+  if (radiusFields.length > 0 && radiusFields.length < 3) {
+    const missing = ['lat', 'lng', 'radius'].filter(name => params[name] == null);
+    throw badRequest(`Invalid parameters: ${missing.join(', ')}`,
+      missing.map(param => ({ param, message: 'is required for a radius search' })));
+  }
+  if (params.radius != null && params.polygon) {
+    throw badRequest('Use either a radius or a polygon, not both');
+  }
+  if (!params.query && !params.state && !params.county && !params.city && params.radius == null && !params.polygon) {
+    throw badRequest('Provide query, state, county, city, lat/lng/radius or polygon');
+  }
+
+  const store = await getZipStore();
+  return store.search(params);
+}
+
+export const BATCH_PARAMS = {
+  ...FILTER_PARAMS,
+  limit: number({ min: 1, max: 1000, integer: true, default: 100, description: 'Rows per center or polygon' })
+};
+
+const BATCH_CONCURRENCY = 4;
+
+export const batchRows = (data) => data.batches.flatMap(batch => batch.results.map(row => ({ batch: batch.id, ...row })));
+
+/**
+ * Run one search per item (center or polygon), a few at a time
+ * @param {Array<Object>} items - Parsed items, each with an optional id
+ * @param {Object} shared - Filters and limit applied to every item
+ * @returns {Promise<Object>} { batches: [{ id, results, total, hasMore }], total }
+ */
+export async function runBatch(items, shared) {
+  const { limit, ...filters } = shared;
+  const batches = [];
+  for (let i = 0; i < items.length; i += BATCH_CONCURRENCY) {
+    const chunk = items.slice(i, i + BATCH_CONCURRENCY);
+    const pages = await Promise.all(chunk.map(item => {
+      const area = { ...item };
+      delete area.id;
+      return runSearch({ ...filters, ...area, limit, offset: 0 });
+    }));
+    pages.forEach((page, index) => {
+      batches.push({
+        id: chunk[index].id ?? String(i + index),
+        results: page.results,
+        total: page.total,
+        hasMore: page.hasMore
+      });
+    });
+  }
+  return { batches, total: batches.reduce((sum, batch) => sum + batch.total, 0) };
+}
@@ -0,0 +1,153 @@
+/**
+ * Census TIGERweb queries for the boundaries routes
+ * Same layers and fields as the browser boundary services, fetched
+ * server-side so clients get one cached, rate-limited endpoint.
+ */
+
+import { notFound, upstreamError } from './errors.js';
+
+const TIGER_BASE = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb';
+const TIMEOUT_MS = 20000;
+
+export const BOUNDARY_LAYERS = {
+  zip: { service: 'tigerWMS_Current', layer: 2, idField: 'ZCTA5', outFields: 'ZCTA5,GEOID,NAME,AREALAND,AREAWATER,CENTLAT,CENTLON' },
+  city: { service: 'tigerWMS_Current', layer: 28, idField: 'GEOID', outFields: 'NAME,STATE,BASENAME,GEOID,PLACE,AREALAND,CENTLAT,CENTLON' },
+  county: { service: 'State_County', layer: 1, idField: 'GEOID', outFields: 'NAME,BASENAME,STATE,COUNTY,GEOID,AREALAND,CENTLAT,CENTLON' },
+  state: { service: 'State_County', layer: 0, idField: 'STUSAB', outFields: 'STATE,STUSAB,NAME,GEOID,AREALAND,CENTLAT,CENTLON' }
+};
+
+export const BOUNDARY_TYPES = Object.keys(BOUNDARY_LAYERS);
+
+const STATE_TO_FIPS = {
+  'AL': '01', 'AK': '02', 'AZ': '04', 'AR': '05', 'CA': '06', 'CO': '08', 'CT': '09', 'DE': '10',
+  'FL': '12', 'GA': '13', 'HI': '15', 'ID': '16', 'IL': '17', 'IN': '18', 'IA': '19', 'KS': '20',
+  'KY': '21', 'LA': '22', 'ME': '23', 'MD': '24', 'MA': '25', 'MI': '26', 'MN': '27', 'MS': '28',
+  'MO': '29', 'MT': '30', 'NE': '31', 'NV': '32', 'NH': '33', 'NJ': '34', 'NM': '35', 'NY': '36',
+  'NC': '37', 'ND': '38', 'OH': '39', 'OK': '40', 'OR': '41', 'PA': '42', 'RI': '44', 'SC': '45',
+  'SD': '46', 'TN': '47', 'TX': '48', 'UT': '49', 'VT': '50', 'VA': '51', 'WA': '53', 'WV': '54',
+  'WI': '55', 'WY': '56', 'DC': '11', 'PR': '72'
+};
+
+const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+async function query(type, params) {
+  const { service, layer, outFields } = BOUNDARY_LAYERS[type];
+  const search = new URLSearchParams({
+    outFields,
+    returnGeometry: 'true',
+    f: 'geojson',
+    geometryPrecision: '5',
+    ...params
+  });
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    // POST so large search polygons don't overflow the URL
+    const response = await fetch(`${TIGER_BASE}/${service}/MapServer/${layer}/query`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: search.toString(),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw upstreamError(`TIGERweb returned HTTP ${response.status}`);
+    }
+    const json = await response.json();
+    if (json.error) {
+      throw upstreamError(`TIGERweb error: ${json.error.message || 'query failed'}`);
+    }
+    return (json.features || []).map(feature => ({
+      ...feature,
+      properties: {
+        ...feature.properties,
+        type,
+        identifier: feature.properties?.[BOUNDARY_LAYERS[type].idField]
+      }
+    }));
+  } catch (error) {
+    if (error.name === 'AbortError') throw upstreamError('TIGERweb timed out');
+    if (error.status) throw error;
+    throw upstreamError(`TIGERweb request failed: ${error.message}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+const stateFips = (state) => {
+  const fips = STATE_TO_FIPS[state];
+  if (!fips) throw notFound(`Unknown state ${state}`);
+  return fips;
+};
+
+/**
+ * One boundary by its natural key
+ * @param {'zip'|'city'|'county'|'state'} type
+ * @param {Object} key - { zip } | { city, state } | { county, state } | { state }
+ * @returns {Promise<Object|null>} GeoJSON Feature with type and identifier properties
+ */
+export async function getBoundary(type, key) {
+  let where;
+  switch (type) {
+    case 'zip':
+      where = `ZCTA5=${quote(key.zip)}`;
+      break;
+    case 'city':
+      where = `BASENAME=${quote(key.city)} AND STATE=${quote(stateFips(key.state))}`;
+      break;
+    case 'county':
+      where = `BASENAME=${quote(String(key.county).replace(/ County$/i, ''))} AND STATE=${quote(stateFips(key.state))}`;
+      break;
+    default:
+      where = `STUSAB=${quote(key.state)}`;
+  }
+
+  const [feature] = await query(type, { where, resultRecordCount: '1' });
+  return feature || null;
+}
+
+/**
+ * Boundaries of the given types touching a circle or polygon
+ * @param {Object} area - { lat, lng, radius } in miles, or { polygon: [{lat, lng}] }
+ * @param {Array<string>} types
+ * @param {number} limit - Per type
+ */
+export async function searchBoundaries(area, types, limit) {
+  const spatial = area.polygon
+    ? {
+        geometry: JSON.stringify({
+          rings: [[...area.polygon.map(point => [point.lng, point.lat]), [area.polygon[0].lng, area.polygon[0].lat]]],
+          spatialReference: { wkid: 4326 }
+        }),
+        geometryType: 'esriGeometryPolygon'
+      }
+    : {
+        geometry: `${area.lng},${area.lat}`,
+        geometryType: 'esriGeometryPoint',
+        distance: String(area.radius),
+        units: 'esriSRUnit_StatuteMile'
+      };
+
+  const results = await Promise.all(types.map(type => query(type, {
+    ...spatial,
+    inSR: '4326',
+    spatialRel: 'esriSpatialRelIntersects',
+    resultRecordCount: String(limit)
+  })));
+  return results.flat();
+}
+
+/**
+ * Several boundaries of one type, a few TIGERweb requests at a time
+ * @param {string} type
+ * @param {Array<Object>} keys - As for getBoundary
+ * @returns {Promise<Array<Object>>} Features found, missing keys dropped
+ */
+export async function getBoundaries(type, keys, concurrency = 4) {
+  const features = [];
+  for (let i = 0; i < keys.length; i += concurrency) {
+    const batch = await Promise.all(keys.slice(i, i + concurrency).map(key => getBoundary(type, key)));
+    features.push(...batch.filter(Boolean));
+  }
+  return features;
+}
@@ -0,0 +1,222 @@
+/**
+ * Request parameter validation
+ * Each route declares a schema of rules and gets back parsed values, or a
+ * 400 invalid_params error listing every bad field at once:
+ *
+ *   const { lat, lng, radius } = parseParams(query, {
+ *     lat: number({ min: -90, max: 90, required: true }),
+ *     lng: number({ min: -180, max: 180, required: true }),
+ *     radius: number({ min: 0, max: 500, required: true })
+ *   });
+ *
+ * Each rule also carries a JSON Schema fragment (`schema`) so the OpenAPI
+ * document can be generated from the same definitions. Options other than
+ * the rule's own (required, default, description, in) are kept on the rule.
+ */
+
+import { badRequest } from './errors.js';
+
+const MAX_POLYGON_POINTS = 5000;
+
+// Repeated query params arrive as arrays; the last one wins
+const scalar = (raw) => (Array.isArray(raw) ? raw[raw.length - 1] : raw);
+
+/**
+ * @param {Object} input - Query object or JSON body
+ * @param {Object} schema - { name: rule }
+ * @returns {Object} Parsed values; missing optional params without a default are left out
+ * @throws {ApiError} 400 invalid_params
+ */
+export function parseParams(input, schema) {
+  const source = input || {};
+  const values = {};
+  const details = [];
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const raw = source[name];
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) {
+        details.push({ param: name, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        values[name] = rule.default;
+      }
+      return;
+    }
+
+    try {
+      values[name] = rule.parse(raw);
+    } catch (error) {
+      if (error.details) {
+        details.push(...error.details.map(detail => ({ param: `${name}${detail.param}`, message: detail.message })));
+      } else {
+        details.push({ param: name, message: error.message });
+      }
+    }
+  });
+
+  if (details.length > 0) {
+    throw badRequest(`Invalid parameters: ${details.map(detail => detail.param).join(', ')}`, details);
+  }
+  return values;
+}
+
+const withDefault = (schema, options) => ({
+  ...schema,
+  ...(options.default !== undefined && { default: options.default }),
+  ...(options.description && { description: options.description })
+});
+
+export function number({ min = -Infinity, max = Infinity, integer = false, ...options } = {}) {
+  return {
+    ...options,
+    schema: withDefault({
+      type: integer ? 'integer' : 'number',
+      ...(Number.isFinite(min) && { minimum: min }),
+      ...(Number.isFinite(max) && { maximum: max })
+    }, options),
+    parse: (raw) => {
+      const value = Number(scalar(raw));
+      if (!Number.isFinite(value)) throw new Error('must be a number');
+      if (integer && !Number.isInteger(value)) throw new Error('must be an integer');
+      if (value < min || value > max) throw new Error(`must be between ${min} and ${max}`);
+      return value;
+    }
+  };
+}
+
+export function string({ maxLength = 200, pattern, transform, ...options } = {}) {
+  return {
+    ...options,
+    schema: withDefault({ type: 'string', maxLength, ...(pattern && { pattern: pattern.source }) }, options),
+    parse: (raw) => {
+      const value = String(scalar(raw)).trim();
+      if (value.length > maxLength) throw new Error(`must be at most ${maxLength} characters`);
+      if (pattern && !pattern.test(value)) throw new Error('has an invalid format');
+      return transform ? transform(value) : value;
+    }
+  };
+}
+
+export const stateCode = (options = {}) => string({
+  maxLength: 2,
+  pattern: /^[A-Za-z]{2}$/,
+  transform: value => value.toUpperCase(),
+  ...options
+});
+
+export const zipCode = (options = {}) => string({ pattern: /^\d{5}$/, ...options });
+
+/**
+ * Comma-separated (or repeated) values, each one of `allowed`
+ */
+export function list({ allowed, maxItems = 100, ...options } = {}) {
+  return {
+    ...options,
+    schema: withDefault({
+      type: 'array',
+      items: { type: 'string', ...(allowed && { enum: allowed }) },
+      maxItems
+    }, options),
+    explode: false,
+    parse: (raw) => {
+      const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+      if (values.length > maxItems) throw new Error(`must have at most ${maxItems} items`);
+      const invalid = allowed ? values.filter(value => !allowed.includes(value)) : [];
+      if (invalid.length > 0) throw new Error(`must be one of ${allowed.join(', ')}`);
+      return values;
+    }
+  };
+}
+
+/**
+ * Polygon as [{lat, lng}], [[lng, lat]] or a GeoJSON Polygon, optionally
+ * JSON-encoded (query strings). Parsed to a [{lat, lng}] ring.
+ */
+export function polygon(options = {}) {
+  return {
+    ...options,
+    schema: withDefault({
+      description: '[{lat, lng}], [[lng, lat]] or a GeoJSON Polygon (JSON-encoded in query strings)',
+      oneOf: [
+        { type: 'array', minItems: 3, maxItems: MAX_POLYGON_POINTS, items: {} },
+        { type: 'object', required: ['type', 'coordinates'], properties: { type: { const: 'Polygon' }, coordinates: { type: 'array' } } }
+      ]
+    }, options),
+    parse: (raw) => {
+      let value = raw;
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch {
+          throw new Error('must be JSON');
+        }
+      }
+      if (value?.type === 'Polygon' && Array.isArray(value.coordinates)) {
+        value = value.coordinates[0];
+      }
+      if (!Array.isArray(value) || value.length < 3) throw new Error('needs at least 3 points');
+      if (value.length > MAX_POLYGON_POINTS) throw new Error(`must have at most ${MAX_POLYGON_POINTS} points`);
+
+      return value.map(point => {
+        const lat = Number(Array.isArray(point) ? point[1] : point?.lat);
+        const lng = Number(Array.isArray(point) ? point[0] : point?.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+          throw new Error('has an invalid point');
+        }
+        return { lat, lng };
+      });
+    }
+  };
+}
+
+/**
+ * Array of objects, each checked against `items` (a schema for parseParams).
+ * Problems are reported per element, e.g. `centers[2].lat`.
+ */
+export function array(items, { minItems = 1, maxItems = 100, ...options } = {}) {
+  return {
+    ...options,
+    schema: withDefault({
+      type: 'array',
+      minItems,
+      maxItems,
+      items: toObjectSchema(items)
+    }, options),
+    parse: (raw) => {
+      if (!Array.isArray(raw)) throw new Error('must be an array');
+      if (raw.length < minItems || raw.length > maxItems) {
+        throw new Error(`must have ${minItems} to ${maxItems} items`);
+      }
+
+      const details = [];
+      const values = raw.map((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          details.push({ param: `[${index}]`, message: 'must be an object' });
+          return null;
+        }
+        try {
+          return parseParams(item, items);
+        } catch (error) {
+          details.push(...error.details.map(detail => ({ param: `[${index}].${detail.param}`, message: detail.message })));
+          return null;
+        }
+      });
+      if (details.length > 0) throw Object.assign(new Error('has invalid items'), { details });
+      return values;
+    }
+  };
+}
+
+/**
+ * JSON Schema for an object whose properties follow `schema`
+ */
+export function toObjectSchema(schema) {
+  const required = Object.keys(schema).filter(name => schema[name].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(schema).map(([name, rule]) => [name, rule.schema])),
+    ...(required.length > 0 && { required })
+  };
+}
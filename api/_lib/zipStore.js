@@ -0,0 +1,284 @@
+/**
+ * ZIP data for the API
+ * Supabase (radius and polygon searches through the PostGIS RPCs in
+ * supabase/migrations) when SUPABASE_URL and a key are set, otherwise
+ * public/zipdata.json held in memory. The bundled file has no counties, so
+ * county lists and county filters come back empty without Supabase.
+ *
+ * Both stores return the shapes in docs/API_CONVENTIONS.md.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getStateName } from '../../src/utils/stateNames.js';
+import { ApiError } from './errors.js';
+
+const ZIPDATA_FILE = path.join(process.cwd(), 'public', 'zipdata.json');
+const EARTH_RADIUS_MILES = 3959;
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64');
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+  } catch {
+    throw new ApiError(400, 'invalid_params', 'Invalid parameters: cursor', [{ param: 'cursor', message: 'is not a cursor from this API' }]);
+  }
+};
+
+/**
+ * Split "Lincoln, NE" and "Lancaster County, NE" queries into filters,
+ * the same way supabaseService.search does
+ */
+export function parseQuery({ query, state, county, city }) {
+  if (query && !city && !state) {
+    const cityState = query.match(/^([^,]+),\s*([A-Za-z]{2})$/);
+    const countyState = query.match(/^([^,]+)\s+County,\s*([A-Za-z]{2})$/i);
+    if (countyState) {
+      return { query: null, state: countyState[2].toUpperCase(), county: countyState[1].trim(), city };
+    }
+    if (cityState) {
+      return { query: null, state: cityState[2].toUpperCase(), county, city: cityState[1].trim() };
+    }
+  }
+  return { query: query || null, state: state || null, county: county || null, city: city || null };
+}
+
+const toResult = ({ zipcode, city, stateCode, county, latitude, longitude, distance }) => ({
+  zipcode,
+  city,
+  state: stateCode,
+  stateCode,
+  county: county ?? null,
+  latitude,
+  longitude,
+  lat: latitude,
+  lng: longitude,
+  ...(distance != null && { distance: Math.round(distance * 100) / 100 })
+});
+
+const uniqueNames = (values) => [...new Set(values.filter(Boolean))].sort().map(name => ({ name }));
+
+function haversine(lat1, lng1, lat2, lng2) {
+  const toRad = (degrees) => (degrees * Math.PI) / 180;
+  const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function pointInPolygon(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const { lat: yi, lng: xi } = ring[i];
+    const { lat: yj, lng: xj } = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function createStaticStore() {
+  let rows = null;
+  const load = () => {
+    if (!rows) {
+      rows = JSON.parse(fs.readFileSync(ZIPDATA_FILE, 'utf8')).map(item => ({
+        zipcode: item.z,
+        city: item.c,
+        stateCode: item.s,
+        county: null,
+        latitude: item.lat,
+        longitude: item.lng
+      }));
+    }
+    return rows;
+  };
+
+  return {
+    name: 'static',
+
+    async search(params) {
+      const { lat, lng, radius, polygon, limit, offset } = params;
+      const { query, state, county, city } = parseQuery(params);
+      const term = query?.toLowerCase();
+      const cityName = city?.toLowerCase();
+
+      let matches = load().filter(row => (!state || row.stateCode === state) &&
+        !county &&
+        (!cityName || row.city.toLowerCase() === cityName) &&
+        (!term || row.zipcode.startsWith(term) || row.city.toLowerCase().includes(term)));
+
+      if (radius != null) {
+        matches = matches
+          .map(row => ({ ...row, distance: haversine(lat, lng, row.latitude, row.longitude) }))
+          .filter(row => row.distance <= radius)
+          .sort((a, b) => a.distance - b.distance || a.zipcode.localeCompare(b.zipcode));
+      } else if (polygon) {
+        matches = matches.filter(row => pointInPolygon(row.latitude, row.longitude, polygon));
+      }
+
+      const page = matches.slice(offset, offset + limit);
+      return {
+        results: page.map(toResult),
+        total: matches.length,
+        offset,
+        limit,
+        hasMore: offset + page.length < matches.length,
+        nextCursor: null
+      };
+    },
+
+    async getStates() {
+      const codes = [...new Set(load().map(row => row.stateCode))].sort();
+      return codes.map(code => ({ code, name: getStateName(code) }));
+    },
+
+    async getCounties() {
+      return [];
+    },
+
+    async getCities(state, county) {
+      if (county) return [];
+      return uniqueNames(load().filter(row => row.stateCode === state).map(row => row.city));
+    },
+
+    async getZipCode(zip) {
+      const row = load().find(item => item.zipcode === zip);
+      return row ? toResult(row) : null;
+    },
+
+    async checkHealth() {
+      return load().length > 0;
+    }
+  };
+}
+
+async function createSupabaseStore(url, key) {
+  const { createClient } = await import('@supabase/supabase-js');
+  const supabase = createClient(url, key, { auth: { persistSession: false } });
+
+  const run = async (request) => {
+    const { data, error, count } = await request;
+    if (error) {
+      console.error('[API] Supabase query failed:', error.message);
+      throw new ApiError(502, 'upstream_error', 'Database query failed');
+    }
+    return { data, count };
+  };
+
+  const fromRow = (row) => toResult({
+    zipcode: row.zipcode,
+    city: row.city,
+    stateCode: row.state_code,
+    county: row.county,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    distance: row.distance_miles
+  });
+
+  return {
+    name: 'supabase',
+
+    async search(params) {
+      const { lat, lng, radius, polygon, limit, offset, cursor } = params;
+      const filters = parseQuery(params);
+
+      if (radius != null || polygon) {
+        const ring = polygon?.map(point => [point.lng, point.lat]);
+        if (ring) ring.push(ring[0]);
+
+        const { data } = await run(supabase.rpc(radius != null ? 'search_radius' : 'search_polygon', {
+          ...(radius != null
+            ? { center_lat: lat, center_lng: lng, radius_miles: radius }
+            : { polygon_geojson: { type: 'Polygon', coordinates: [ring] } }),
+          state_filter: filters.state,
+          county_filter: filters.county,
+          city_filter: filters.city,
+          text_query: filters.query,
+          page_size: limit,
+          page_offset: cursor ? 0 : offset,
+          after: cursor ? decodeCursor(cursor) : null
+        }));
+
+        return {
+          results: data.results.map(fromRow),
+          total: data.total,
+          offset,
+          limit,
+          hasMore: Boolean(data.next_cursor),
+          nextCursor: data.next_cursor ? encodeCursor(data.next_cursor) : null
+        };
+      }
+
+      let request = supabase.from('zipcodes').select('*', { count: 'exact' });
+      if (filters.query) {
+        const term = filters.query.replace(/[,()%]/g, ' ');
+        request = request.or(`zipcode.ilike.%${term}%,city.ilike.%${term}%,county.ilike.%${term}%`);
+      }
+      if (filters.state) request = request.eq('state_code', filters.state);
+      if (filters.county) request = request.eq('county', filters.county);
+      if (filters.city) request = request.eq('city', filters.city);
+
+      const { data, count } = await run(request.order('zipcode').range(offset, offset + limit - 1));
+      return {
+        results: data.map(fromRow),
+        total: count,
+        offset,
+        limit,
+        hasMore: offset + data.length < count,
+        nextCursor: null
+      };
+    },
+
+    async getStates() {
+      // distinct_states is optional (docs/SUPABASE_RPC.md)
+      const { data, error } = await supabase.rpc('distinct_states');
+      const rows = error
+        ? (await run(supabase.from('zipcodes').select('code:state_code').not('state_code', 'is', null))).data
+        : data;
+      return [...new Set(rows.map(row => String(row.code || '').trim().toUpperCase()))]
+        .sort()
+        .filter(code => /^[A-Z]{2}$/.test(code))
+        .map(code => ({ code, name: getStateName(code) }));
+    },
+
+    async getCounties(state) {
+      const { data } = await run(supabase.from('zipcodes').select('county').eq('state_code', state));
+      return uniqueNames(data.map(row => row.county));
+    },
+
+    async getCities(state, county) {
+      let request = supabase.from('zipcodes').select('city').eq('state_code', state);
+      if (county) request = request.eq('county', county);
+      const { data } = await run(request);
+      return uniqueNames(data.map(row => row.city));
+    },
+
+    async getZipCode(zip) {
+      const { data } = await run(supabase.from('zipcodes').select('*').eq('zipcode', zip).limit(1));
+      return data[0] ? fromRow(data[0]) : null;
+    },
+
+    async checkHealth() {
+      try {
+        await run(supabase.from('zipcodes').select('zipcode').limit(1));
+        return true;
+      } catch {
+        return false;
+      }
+    }
+  };
+}
+
+let storePromise = null;
+
+/**
+ * The store for this instance, chosen from the environment on first use
+ */
+export function getZipStore() {
+  if (!storePromise) {
+    const url = process.env.SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    storePromise = url && key
+      ? createSupabaseStore(url, key)
+      : Promise.resolve(createStaticStore());
+  }
+  return storePromise;
+}
@@ -0,0 +1,30 @@
+/**
+ * POST /api/v1/batch/polygon
+ * One polygon search per polygon: { polygons: [{ id?, polygon }], state?, limit? }
+ * Needs an API key; each polygon costs one quota unit.
+ */
+
+import { createHandler } from '../../_lib/http.js';
+import { BATCH_PARAMS, batchRows, polygonParams, runBatch } from '../../_lib/search.js';
+import { array, string } from '../../_lib/validation.js';
+
+const MAX_POLYGONS = 50;
+
+export default createHandler({
+  path: '/batch/polygon',
+  summary: 'Polygon searches for many polygons in one call',
+  name: 'batch',
+  methods: ['POST'],
+  auth: 'required',
+  params: {
+    polygons: array({
+      id: string({ maxLength: 100 }),
+      ...polygonParams({ required: true })
+    }, { maxItems: MAX_POLYGONS, required: true }),
+    ...BATCH_PARAMS
+  },
+  cost: ({ polygons }) => polygons.length,
+  rows: batchRows,
+  response: 'BatchResponse',
+  handle: ({ params: { polygons, ...shared } }) => runBatch(polygons, shared)
+});
@@ -0,0 +1,30 @@
+/**
+ * POST /api/v1/batch/radius
+ * One radius search per center: { centers: [{ id?, lat, lng, radius }], state?, limit? }
+ * Needs an API key; each center costs one quota unit.
+ */
+
+import { createHandler } from '../../_lib/http.js';
+import { BATCH_PARAMS, batchRows, radiusParams, runBatch } from '../../_lib/search.js';
+import { array, string } from '../../_lib/validation.js';
+
+const MAX_CENTERS = 100;
+
+export default createHandler({
+  path: '/batch/radius',
+  summary: 'Radius searches around many centers in one call',
+  name: 'batch',
+  methods: ['POST'],
+  auth: 'required',
+  params: {
+    centers: array({
+      id: string({ maxLength: 100 }),
+      ...radiusParams({ required: true })
+    }, { maxItems: MAX_CENTERS, required: true }),
+    ...BATCH_PARAMS
+  },
+  cost: ({ centers }) => centers.length,
+  rows: batchRows,
+  response: 'BatchResponse',
+  handle: ({ params: { centers, ...shared } }) => runBatch(centers, shared)
+});
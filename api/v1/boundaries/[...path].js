@@ -0,0 +1,113 @@
+/**
+ * /api/v1/boundaries/* — TIGERweb boundaries as GeoJSON Features
+ * (the routes boundaryService calls):
+ *
+ *   GET  zip/:zip
+ *   GET  state/:state
+ *   GET  county?county=&state=
+ *   GET  city?city=&state=
+ *   POST batch            { type, items: ['75201'] | [{ city, state }] | ['Dallas, TX'] }
+ *   GET  search?lat=&lng=&radius=&types=zip,city
+ *   POST search/polygon   { polygon, types }
+ */
+
+import { badRequest, notFound } from '../../_lib/errors.js';
+import { createHandler } from '../../_lib/http.js';
+import { BOUNDARY_TYPES, getBoundary, getBoundaries, searchBoundaries } from '../../_lib/tigerweb.js';
+import { parseParams, number, string, stateCode, zipCode, list, polygon } from '../../_lib/validation.js';
+
+const MAX_BATCH_ITEMS = 50;
+const MAX_SEARCH_RADIUS_MILES = 100;
+
+const KEY_PARAMS = {
+  zip: { zip: zipCode({ required: true }) },
+  state: { state: stateCode({ required: true }) },
+  county: { county: string({ maxLength: 100, required: true }), state: stateCode({ required: true }) },
+  city: { city: string({ maxLength: 100, required: true }), state: stateCode({ required: true }) }
+};
+
+const TYPE_PARAMS = {
+  types: list({ allowed: BOUNDARY_TYPES, maxItems: BOUNDARY_TYPES.length, default: ['zip'] }),
+  limit: number({ min: 1, max: 1000, integer: true, default: 200 })
+};
+
+const found = (feature, description) => {
+  if (!feature) throw notFound(`No boundary for ${description}`);
+  return feature;
+};
+
+// Batch items are keys, bare identifiers, or "Name, ST" for cities and counties
+function toKey(type, item) {
+  if (item && typeof item === 'object') return parseParams(item, KEY_PARAMS[type]);
+  if (type === 'zip' || type === 'state') return parseParams({ [type]: item }, KEY_PARAMS[type]);
+
+  const [name, state] = String(item).split(',').map(part => part.trim());
+  return parseParams({ [type]: name, state }, KEY_PARAMS[type]);
+}
+
+const routes = {
+  'GET zip': async ([zip]) => {
+    const key = parseParams({ zip }, KEY_PARAMS.zip);
+    return found(await getBoundary('zip', key), `ZIP ${key.zip}`);
+  },
+
+  'GET state': async ([state]) => {
+    const key = parseParams({ state }, KEY_PARAMS.state);
+    return found(await getBoundary('state', key), key.state);
+  },
+
+  'GET county': async (_, { query }) => {
+    const key = parseParams(query, KEY_PARAMS.county);
+    return found(await getBoundary('county', key), `${key.county}, ${key.state}`);
+  },
+
+  'GET city': async (_, { query }) => {
+    const key = parseParams(query, KEY_PARAMS.city);
+    return found(await getBoundary('city', key), `${key.city}, ${key.state}`);
+  },
+
+  'POST batch': async (_, { body }) => {
+    const { type } = parseParams(body, { type: string({ pattern: new RegExp(`^(${BOUNDARY_TYPES.join('|')})$`), required: true }) });
+    if (!Array.isArray(body.items) || body.items.length === 0 || body.items.length > MAX_BATCH_ITEMS) {
+      throw badRequest('Invalid parameters: items', [{ param: 'items', message: `must be an array of 1 to ${MAX_BATCH_ITEMS} items` }]);
+    }
+    return getBoundaries(type, body.items.map(item => toKey(type, item)));
+  },
+
+  'GET search': async (_, { query }) => {
+    const { types, limit, ...area } = parseParams(query, {
+      lat: number({ min: -90, max: 90, required: true }),
+      lng: number({ min: -180, max: 180, required: true }),
+      radius: number({ min: 0, max: MAX_SEARCH_RADIUS_MILES, required: true }),
+      ...TYPE_PARAMS
+    });
+    return searchBoundaries(area, types, limit);
+  },
+
+  'POST search/polygon': async (_, { body }) => {
+    const { types, limit, ...area } = parseParams(body, {
+      polygon: polygon({ required: true }),
+      ...TYPE_PARAMS
+    });
+    return searchBoundaries(area, types, limit);
+  }
+};
+
+// Vercel passes the catch-all as an array or a slash-joined string
+const getSegments = (query) => [].concat(query.path || []).join('/').split('/').filter(Boolean);
+
+export default createHandler({
+  name: 'boundaries',
+  methods: ['GET', 'POST'],
+  cacheControl: 'public, s-maxage=604800',
+  handle: ({ query, body, method }) => {
+    const segments = getSegments(query);
+    const route = segments[0] === 'search'
+      ? routes[`${method} ${segments.slice(0, 2).join('/')}`]
+      : routes[`${method} ${segments[0]}`];
+    if (!route) {
+      throw notFound(`No boundaries route for ${method} /${segments.join('/')}`);
+    }
+    return route(segments.slice(1), { query, body });
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * GET /api/v1/cities?state=&county=
+ * [{ name }] for a state, optionally within one county
+ */
+
+import { createHandler } from '../_lib/http.js';
+import { stateCode, string } from '../_lib/validation.js';
+import { getZipStore } from '../_lib/zipStore.js';
+
+export default createHandler({
+  path: '/cities',
+  summary: 'Cities in a state, optionally within one county',
+  name: 'lists',
+  cacheControl: 'public, s-maxage=86400, stale-while-revalidate=604800',
+  params: {
+    state: stateCode({ required: true }),
+    county: string({ maxLength: 100 })
+  },
+  response: 'NameList',
+  handle: async ({ params }) => (await getZipStore()).getCities(params.state, params.county)
+});
@@ -0,0 +1,18 @@
+/**
+ * GET /api/v1/counties?state=
+ * [{ name }] for a state (empty without Supabase; see _lib/zipStore.js)
+ */
+
+import { createHandler } from '../_lib/http.js';
+import { stateCode } from '../_lib/validation.js';
+import { getZipStore } from '../_lib/zipStore.js';
+
+export default createHandler({
+  path: '/counties',
+  summary: 'Counties in a state',
+  name: 'lists',
+  cacheControl: 'public, s-maxage=86400, stale-while-revalidate=604800',
+  params: { state: stateCode({ required: true }) },
+  response: 'NameList',
+  handle: async ({ params }) => (await getZipStore()).getCounties(params.state)
+});
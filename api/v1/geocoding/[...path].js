@@ -0,0 +1,100 @@
+/**
+ * /api/v1/geocoding/* — Nominatim and Census Geocoder proxy for the browser
+ * geocoders (geocodingService, geocoderService)
+ *
+ *   GET places?q=&limit=&countrycodes=   Nominatim search results (array)
+ *   GET reverse?lat=&lng=                { displayName, address, lat, lng }
+ *   GET census?address=                  { matches: [{ matchedAddress, lat, lng, components }] }
+ *
+ * Nominatim allows about one request per second per application, so this
+ * group gets a lower per-client limit than the rest of the API. The Census
+ * Geocoder doesn't send CORS headers, hence the proxy.
+ */
+
+import { notFound, upstreamError } from '../../_lib/errors.js';
+import { createHandler } from '../../_lib/http.js';
+import { parseParams, number, string } from '../../_lib/validation.js';
+
+const NOMINATIM_BASE = 'https://nominatim.openstreetmap.org';
+const CENSUS_GEOCODER_BASE = 'https://geocoding.geo.census.gov/geocoder';
+const CENSUS_BENCHMARK = 'Public_AR_Current';
+const USER_AGENT = 'ZipSearchApp/1.0';
+const TIMEOUT_MS = 10000;
+const GEOCODING_RATE_LIMIT = 20;
+
+async function fetchJson(source, url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw upstreamError(`${source} returned HTTP ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') throw upstreamError(`${source} timed out`);
+    if (error.status) throw error;
+    throw upstreamError(`${source} request failed: ${error.message}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+const nominatim = (endpoint, params) => fetchJson('Nominatim', `${NOMINATIM_BASE}/${endpoint}?${new URLSearchParams(params)}`);
+
+const routes = {
+  places: async (query) => {
+    const { q, limit, countrycodes } = parseParams(query, {
+      q: string({ maxLength: 200, required: true }),
+      limit: number({ min: 1, max: 50, integer: true, default: 8 }),
+      countrycodes: string({ maxLength: 50, pattern: /^[a-z]{2}(,[a-z]{2})*$/i, default: 'us' })
+    });
+    return nominatim('search', { q, limit: String(limit), countrycodes, format: 'json', addressdetails: '1' });
+  },
+
+  reverse: async (query) => {
+    const { lat, lng } = parseParams(query, {
+      lat: number({ min: -90, max: 90, required: true }),
+      lng: number({ min: -180, max: 180, required: true })
+    });
+    const result = await nominatim('reverse', { lat: String(lat), lon: String(lng), format: 'json', addressdetails: '1' });
+    if (!result?.address) throw notFound(`No address near ${lat}, ${lng}`);
+    return {
+      displayName: result.display_name,
+      address: result.address,
+      lat: parseFloat(result.lat),
+      lng: parseFloat(result.lon)
+    };
+  },
+
+  census: async (query) => {
+    const { address } = parseParams(query, {
+      address: string({ maxLength: 300, required: true })
+    });
+    const params = new URLSearchParams({ address, benchmark: CENSUS_BENCHMARK, format: 'json' });
+    const data = await fetchJson('Census Geocoder', `${CENSUS_GEOCODER_BASE}/locations/onelineaddress?${params}`);
+    return {
+      matches: (data?.result?.addressMatches || []).map(match => ({
+        matchedAddress: match.matchedAddress,
+        lat: match.coordinates.y,
+        lng: match.coordinates.x,
+        components: match.addressComponents || {}
+      }))
+    };
+  }
+};
+
+export default createHandler({
+  name: 'geocoding',
+  rateLimit: GEOCODING_RATE_LIMIT,
+  cacheControl: 'public, s-maxage=86400',
+  handle: ({ query }) => {
+    const endpoint = [].concat(query.path || []).join('/');
+    const route = routes[endpoint];
+    if (!route) throw notFound(`No geocoding route for /${endpoint}`);
+    return route(query);
+  }
+});
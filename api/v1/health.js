@@ -0,0 +1,22 @@
+/**
+ * GET /api/v1/health
+ * { status, dataSource, time }; 503 when the store can't be read
+ */
+
+import { ApiError } from '../_lib/errors.js';
+import { createHandler } from '../_lib/http.js';
+import { getZipStore } from '../_lib/zipStore.js';
+
+export default createHandler({
+  path: '/health',
+  summary: 'Data source status',
+  name: 'health',
+  response: 'Health',
+  handle: async () => {
+    const store = await getZipStore();
+    if (!(await store.checkHealth())) {
+      throw new ApiError(503, 'unavailable', `${store.name} data source is unavailable`);
+    }
+    return { status: 'OK', dataSource: store.name, time: new Date().toISOString() };
+  }
+});
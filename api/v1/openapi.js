@@ -0,0 +1,41 @@
+/**
+ * GET /api/v1/openapi
+ * OpenAPI document for the public routes, generated from their definitions.
+ * scripts/build-openapi.js writes the same document to docs/openapi.json.
+ */
+
+import { createHandler } from '../_lib/http.js';
+import { buildOpenApiDocument } from '../_lib/openapi.js';
+import batchPolygon from './batch/polygon.js';
+import batchRadius from './batch/radius.js';
+import cities from './cities.js';
+import counties from './counties.js';
+import health from './health.js';
+import search from './search/index.js';
+import searchHierarchy from './search/hierarchy.js';
+import searchPolygon from './search/polygon.js';
+import searchRadius from './search/radius.js';
+import states from './states.js';
+import zipcode from './zipcode/[zip].js';
+
+export const PUBLIC_ROUTES = [
+  search,
+  searchRadius,
+  searchPolygon,
+  searchHierarchy,
+  batchRadius,
+  batchPolygon,
+  zipcode,
+  states,
+  counties,
+  cities,
+  health
+];
+
+export const getOpenApiDocument = (options) => buildOpenApiDocument(PUBLIC_ROUTES, options);
+
+export default createHandler({
+  name: 'lists',
+  cacheControl: 'public, s-maxage=3600',
+  handle: () => getOpenApiDocument()
+});
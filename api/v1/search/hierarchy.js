@@ -0,0 +1,23 @@
+/**
+ * GET /api/v1/search/hierarchy?state=&county=&city=
+ * ZIPs in a state, optionally narrowed to a county and/or city
+ */
+
+import { createHandler } from '../../_lib/http.js';
+import { PAGE_PARAMS, runSearch, searchRows } from '../../_lib/search.js';
+import { string, stateCode } from '../../_lib/validation.js';
+
+export default createHandler({
+  path: '/search/hierarchy',
+  summary: 'ZIPs in a state, optionally narrowed to a county and/or city',
+  name: 'search',
+  params: {
+    state: stateCode({ required: true }),
+    county: string({ maxLength: 100 }),
+    city: string({ maxLength: 100 }),
+    ...PAGE_PARAMS
+  },
+  rows: searchRows,
+  response: 'SearchResponse',
+  handle: ({ params }) => runSearch(params)
+});
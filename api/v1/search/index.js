@@ -0,0 +1,25 @@
+/**
+ * GET|POST /api/v1/search
+ * ZIP search by text, state/county/city, radius or polygon
+ * (the parameters of ZipCodeService.search). POST takes the same fields as a
+ * JSON body, for polygons too long for a query string.
+ */
+
+import { createHandler } from '../../_lib/http.js';
+import { FILTER_PARAMS, PAGE_PARAMS, radiusParams, polygonParams, runSearch, searchRows } from '../../_lib/search.js';
+
+export default createHandler({
+  path: '/search',
+  summary: 'Search ZIPs by text, state/county/city, radius or polygon',
+  name: 'search',
+  methods: ['GET', 'POST'],
+  params: {
+    ...FILTER_PARAMS,
+    ...radiusParams(),
+    ...polygonParams(),
+    ...PAGE_PARAMS
+  },
+  rows: searchRows,
+  response: 'SearchResponse',
+  handle: ({ params }) => runSearch(params)
+});
@@ -0,0 +1,23 @@
+/**
+ * GET|POST /api/v1/search/polygon
+ * ZIPs whose centroid falls inside `polygon` ([{lat, lng}], [[lng, lat]] or a
+ * GeoJSON Polygon; JSON-encoded in query strings)
+ */
+
+import { createHandler } from '../../_lib/http.js';
+import { FILTER_PARAMS, PAGE_PARAMS, polygonParams, runSearch, searchRows } from '../../_lib/search.js';
+
+export default createHandler({
+  path: '/search/polygon',
+  summary: 'ZIPs whose centroid falls inside a polygon',
+  name: 'search',
+  methods: ['GET', 'POST'],
+  params: {
+    ...FILTER_PARAMS,
+    ...polygonParams({ required: true }),
+    ...PAGE_PARAMS
+  },
+  rows: searchRows,
+  response: 'SearchResponse',
+  handle: ({ params }) => runSearch(params)
+});
@@ -0,0 +1,21 @@
+/**
+ * GET /api/v1/search/radius?lat=&lng=&radius=
+ * ZIPs whose centroid is within `radius` miles, nearest first
+ */
+
+import { createHandler } from '../../_lib/http.js';
+import { FILTER_PARAMS, PAGE_PARAMS, radiusParams, runSearch, searchRows } from '../../_lib/search.js';
+
+export default createHandler({
+  path: '/search/radius',
+  summary: 'ZIPs within a radius of a point, nearest first',
+  name: 'search',
+  params: {
+    ...FILTER_PARAMS,
+    ...radiusParams({ required: true }),
+    ...PAGE_PARAMS
+  },
+  rows: searchRows,
+  response: 'SearchResponse',
+  handle: ({ params }) => runSearch(params)
+});
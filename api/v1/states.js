@@ -0,0 +1,16 @@
+/**
+ * GET /api/v1/states
+ * [{ code, name }] for every state with ZIP data
+ */
+
+import { createHandler } from '../_lib/http.js';
+import { getZipStore } from '../_lib/zipStore.js';
+
+export default createHandler({
+  path: '/states',
+  summary: 'States with ZIP data',
+  name: 'lists',
+  cacheControl: 'public, s-maxage=86400, stale-while-revalidate=604800',
+  response: 'StateList',
+  handle: async () => (await getZipStore()).getStates()
+});
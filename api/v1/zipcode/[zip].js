@@ -0,0 +1,23 @@
+/**
+ * GET /api/v1/zipcode/:zip
+ * { zipcode } with the search result fields, or 404
+ */
+
+import { notFound } from '../../_lib/errors.js';
+import { createHandler } from '../../_lib/http.js';
+import { zipCode } from '../../_lib/validation.js';
+import { getZipStore } from '../../_lib/zipStore.js';
+
+export default createHandler({
+  path: '/zipcode/{zip}',
+  summary: 'One ZIP code',
+  name: 'lists',
+  cacheControl: 'public, s-maxage=86400',
+  params: { zip: zipCode({ required: true, in: 'path' }) },
+  response: 'ZipCodeResponse',
+  handle: async ({ params }) => {
+    const zipcode = await (await getZipStore()).getZipCode(params.zip);
+    if (!zipcode) throw notFound(`ZIP code ${params.zip} not found`);
+    return { zipcode };
+  }
+});
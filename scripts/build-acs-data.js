@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * ACS Demographics Build Script
+ *
+ * Downloads ACS 5-year estimates for every ZCTA and county from the Census
+ * API and writes public/acsdata.json, which demographicsService loads to
+ * enrich search results.
+ *
+ * Usage:
+ *   node scripts/build-acs-data.js [--year 2022] [--out public/acsdata.json]
+ *
+ * Set CENSUS_API_KEY to avoid the anonymous request limit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const YEAR = argValue('--year', '2022');
+const OUT_FILE = path.resolve(process.cwd(), argValue('--out', 'public/acsdata.json'));
+const API_KEY = process.env.CENSUS_API_KEY;
+
+// Field order must match DEMOGRAPHIC_FIELDS in src/services/demographicsService.js
+const FIELDS = ['population', 'households', 'housingUnits', 'medianIncome', 'ageUnder18', 'age18to34', 'age35to64', 'age65Plus'];
+
+const BASE_VARIABLES = {
+  population: 'B01003_001E',
+  households: 'B11001_001E',
+  housingUnits: 'B25001_001E',
+  medianIncome: 'B19013_001E'
+};
+
+// B01001 (sex by age) cells for each band - male cells, female cells are +24
+const AGE_BANDS = {
+  ageUnder18: [3, 4, 5, 6],
+  age18to34: [7, 8, 9, 10, 11, 12],
+  age35to64: [13, 14, 15, 16, 17, 18, 19],
+  age65Plus: [20, 21, 22, 23, 24, 25]
+};
+
+const ageVariable = (cell) => `B01001_${String(cell).padStart(3, '0')}E`;
+const AGE_VARIABLES = Object.fromEntries(
+  Object.entries(AGE_BANDS).map(([band, cells]) => [band, cells.flatMap(cell => [ageVariable(cell), ageVariable(cell + 24)])])
+);
+
+const STATE_ABBREVIATIONS = {
+  '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT', '10': 'DE',
+  '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA',
+  '20': 'KS', '21': 'KY', '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN',
+  '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE', '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM',
+  '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH', '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI',
+  '45': 'SC', '46': 'SD', '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA',
+  '54': 'WV', '55': 'WI', '56': 'WY', '72': 'PR'
+};
+
+// ACS marks suppressed estimates with large negative sentinels
+const toValue = (raw) => {
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+/**
+ * Query the ACS API and return rows keyed by column name
+ */
+async function fetchAcs(variables, geography) {
+  const params = new URLSearchParams({ get: ['NAME', ...variables].join(','), for: geography.for });
+  if (geography.in) params.set('in', geography.in);
+  if (API_KEY) params.set('key', API_KEY);
+
+  const url = `https://api.census.gov/data/${YEAR}/acs/acs5?${params}`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Census API request failed (${response.status}): ${await response.text()}`);
+  }
+
+  const [header, ...rows] = await response.json();
+  return rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+}
+
+/**
+ * Fetch all fields for one geography level
+ * The API allows 50 variables per request, so base and age fields are split
+ * @returns {Promise<Map<string, {row: Object, values: Array}>>} Keyed by GEOID
+ */
+async function fetchLevel(geography, geoidOf) {
+  const ageVariables = Object.values(AGE_VARIABLES).flat();
+  const [baseRows, ageRows] = await Promise.all([
+    fetchAcs(Object.values(BASE_VARIABLES), geography),
+    fetchAcs(ageVariables, geography)
+  ]);
+
+  const ageByGeoid = new Map(ageRows.map(row => [geoidOf(row), row]));
+  const result = new Map();
+
+  baseRows.forEach(row => {
+    const geoid = geoidOf(row);
+    const ages = ageByGeoid.get(geoid) || {};
+    const values = FIELDS.map(field => {
+      if (BASE_VARIABLES[field]) return toValue(row[BASE_VARIABLES[field]]);
+      const cells = AGE_VARIABLES[field].map(variable => toValue(ages[variable]));
+      return cells.some(value => value == null) ? null : cells.reduce((sum, value) => sum + value, 0);
+    });
+    result.set(geoid, { row, values });
+  });
+
+  return result;
+}
+
+async function main() {
+  console.log(`Downloading ACS ${YEAR} 5-year estimates...`);
+
+  const zctas = await fetchLevel(
+    { for: 'zip code tabulation area:*' },
+    row => row['zip code tabulation area']
+  );
+  console.log(`  ${zctas.size} ZCTAs`);
+
+  const counties = await fetchLevel(
+    { for: 'county:*', in: 'state:*' },
+    row => `${row.state}${row.county}`
+  );
+  console.log(`  ${counties.size} counties`);
+
+  const dataset = {
+    source: `ACS ${YEAR} 5-year`,
+    fields: FIELDS,
+    zcta: {},
+    county: {}
+  };
+
+  zctas.forEach(({ values }, zcta) => {
+    dataset.zcta[zcta] = values;
+  });
+
+  counties.forEach(({ row, values }, fips) => {
+    const state = STATE_ABBREVIATIONS[row.state];
+    if (!state) return;
+    // NAME is "Fulton County, Georgia"
+    dataset.county[fips] = { n: String(row.NAME).split(',')[0], s: state, v: values };
+  });
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify(dataset));
+
+  const sizeMB = (fs.statSync(OUT_FILE).size / 1024 / 1024).toFixed(1);
+  console.log(`Wrote ${OUT_FILE} (${sizeMB} MB)`);
+}
+
+main().catch(error => {
+  console.error('Failed to build ACS data:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Boundary Vector Tiles Build Script
+ *
+ * Downloads Census cartographic boundary shapefiles and builds one PMTiles
+ * archive of Mapbox Vector Tiles per boundary type in public/tiles/:
+ *
+ *   zcta.pmtiles    ZIP Code Tabulation Areas   { id: ZCTA }
+ *   county.pmtiles  Counties                    { id: GEOID, name, state }
+ *   place.pmtiles   Cities / places             { id: GEOID, name, state }
+ *   vtd.pmtiles     Voting districts            { id: GEOID, name, statefp, countyfp, vtd }
+ *
+ * boundaryTilesService picks up whichever archives exist, and the map draws
+ * those boundary types from the tiles instead of fetching GeoJSON.
+ *
+ * Requires ogr2ogr (GDAL), tippecanoe 2.17+ (writes PMTiles directly), curl
+ * and unzip on the PATH.
+ *
+ * Usage:
+ *   node scripts/build-boundary-tiles.js [--types zcta,county,place,vtd] [--states 06,48] [--out public/tiles]
+ *
+ * --states limits the per-state sources (places, VTDs) to some states.
+ * Downloads are kept in temp_tiles/ and reused on the next run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const OUT_DIR = path.resolve(process.cwd(), argValue('--out', 'public/tiles'));
+const WORK_DIR = path.resolve(process.cwd(), 'temp_tiles');
+const CB_BASE = 'https://www2.census.gov/geo/tiger/GENZ2020/shp';
+
+const STATE_FIPS = [
+  '01', '02', '04', '05', '06', '08', '09', '10', '11', '12', '13', '15', '16', '17', '18', '19',
+  '20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '30', '31', '32', '33', '34', '35',
+  '36', '37', '38', '39', '40', '41', '42', '44', '45', '46', '47', '48', '49', '50', '51', '53',
+  '54', '55', '56', '72'
+];
+
+// `select` renames the Census fields to the properties the map reads
+const BOUNDARY_TYPES = {
+  zcta: {
+    sources: () => ['cb_2020_us_zcta520_500k'],
+    select: 'ZCTA5CE20 AS id',
+    minZoom: 4,
+    maxZoom: 12
+  },
+  county: {
+    sources: () => ['cb_2020_us_county_500k'],
+    select: 'GEOID AS id, NAME AS name, STUSPS AS state',
+    minZoom: 0,
+    maxZoom: 10
+  },
+  place: {
+    sources: (states) => states.map(fips => `cb_2020_${fips}_place_500k`),
+    select: 'GEOID AS id, NAME AS name, STUSPS AS state',
+    minZoom: 5,
+    maxZoom: 12
+  },
+  vtd: {
+    sources: (states) => states.map(fips => `cb_2020_${fips}_vtd_500k`),
+    select: 'GEOID20 AS id, NAME20 AS name, STATEFP20 AS statefp, COUNTYFP20 AS countyfp, VTDST20 AS vtd',
+    minZoom: 7,
+    maxZoom: 13
+  }
+};
+
+const TYPES = argValue('--types', Object.keys(BOUNDARY_TYPES).join(',')).split(',').map(type => type.trim());
+const STATES = argValue('--states', STATE_FIPS.join(',')).split(',').map(fips => fips.trim().padStart(2, '0'));
+
+async function requireTool(command, hint) {
+  try {
+    await execFileAsync('which', [command]);
+  } catch {
+    throw new Error(`${command} not found - ${hint}`);
+  }
+}
+
+/**
+ * Download and unzip one shapefile; skips files already downloaded
+ * @returns {Promise<string|null>} Path of the .shp, or null when the Census has no such file
+ */
+async function fetchShapefile(name) {
+  const shapefile = path.join(WORK_DIR, name, `${name}.shp`);
+  if (fs.existsSync(shapefile)) return shapefile;
+
+  const zipFile = path.join(WORK_DIR, `${name}.zip`);
+  try {
+    await execFileAsync('curl', ['-fsSL', `${CB_BASE}/${name}.zip`, '-o', zipFile]);
+  } catch {
+    console.warn(`  ${name}: not available, skipping`);
+    return null;
+  }
+
+  await execFileAsync('unzip', ['-o', '-q', zipFile, '-d', path.join(WORK_DIR, name)]);
+  fs.unlinkSync(zipFile);
+  return shapefile;
+}
+
+/**
+ * Convert a shapefile to newline-delimited GeoJSON with the renamed fields
+ */
+async function toGeoJsonSeq(shapefile, select) {
+  const layer = path.basename(shapefile, '.shp');
+  const output = shapefile.replace(/\.shp$/, '.geojsonl');
+  if (fs.existsSync(output)) fs.unlinkSync(output);
+
+  await execFileAsync('ogr2ogr', [
+    '-f', 'GeoJSONSeq',
+    '-t_srs', 'EPSG:4326',
+    '-sql', `SELECT ${select} FROM "${layer}"`,
+    output,
+    shapefile
+  ], { maxBuffer: 64 * 1024 * 1024 });
+
+  return output;
+}
+
+async function buildType(type) {
+  const config = BOUNDARY_TYPES[type];
+  if (!config) {
+    throw new Error(`Unknown boundary type "${type}" (expected ${Object.keys(BOUNDARY_TYPES).join(', ')})`);
+  }
+
+  console.log(`\n${type}:`);
+  const inputs = [];
+  for (const name of config.sources(STATES)) {
+    const shapefile = await fetchShapefile(name);
+    if (!shapefile) continue;
+    inputs.push(await toGeoJsonSeq(shapefile, config.select));
+    console.log(`  ${name}`);
+  }
+
+  if (inputs.length === 0) {
+    console.warn(`  No ${type} sources downloaded, skipping`);
+    return;
+  }
+
+  const output = path.join(OUT_DIR, `${type}.pmtiles`);
+  await execFileAsync('tippecanoe', [
+    '-o', output,
+    '--force',
+    '-l', type,
+    '-Z', String(config.minZoom),
+    '-z', String(config.maxZoom),
+    // Shared edges simplify identically, so neighbors don't gap or overlap
+    '--detect-shared-borders',
+    '--coalesce-densest-as-needed',
+    '--extend-zooms-if-still-dropping',
+    '--quiet',
+    ...inputs
+  ], { maxBuffer: 64 * 1024 * 1024 });
+
+  const sizeMB = (fs.statSync(output).size / 1024 / 1024).toFixed(1);
+  console.log(`  Wrote ${output} (${sizeMB} MB)`);
+}
+
+async function main() {
+  await requireTool('ogr2ogr', 'install GDAL (brew install gdal / apt-get install gdal-bin)');
+  await requireTool('tippecanoe', 'install tippecanoe 2.17+ (https://github.com/felt/tippecanoe)');
+  await requireTool('curl', 'install curl');
+  await requireTool('unzip', 'install unzip');
+
+  fs.mkdirSync(WORK_DIR, { recursive: true });
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  for (const type of TYPES) {
+    await buildType(type);
+  }
+}
+
+main().catch(error => {
+  console.error('Failed to build boundary tiles:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Database Build Script
+ *
+ * Builds public/offline/offline-db.json.gz, the single compressed database
+ * offlineDataService queries in a Web Worker when the app runs without a
+ * network (VITE_OFFLINE_MODE=true) or Supabase/TIGERweb are unreachable.
+ * It holds ZIPs with their county and FIPS codes, states, counties, places
+ * and simplified boundaries; see src/utils/offlineDbHelpers.js for the format.
+ *
+ * Inputs:
+ *   public/zipdata.json                      ZIP centroids, cities and states
+ *   temp_boundaries/cb_2020_us_state_500k    Census cartographic boundary files,
+ *   temp_boundaries/cb_2020_us_county_500k   downloaded and unzipped here when
+ *   temp_boundaries/cb_2020_us_zcta520_500k  missing (.shp, or .geojson with the
+ *   temp_boundaries/cb_2020_{ss}_place_500k  same base name)
+ *   temp_boundaries/cb_2020_{ss}_vtd_500k    only with --vtd
+ *
+ * Each ZIP is assigned the county its centroid falls in.
+ *
+ * Usage:
+ *   node scripts/build-offline-db.js [--states 06,48] [--vtd] [--tolerance 0.001] [--out public/offline/offline-db.json.gz]
+ *
+ * --states limits places (and VTDs) to some states; ZIPs, counties and
+ * states are always national. VTDs roughly double the file, so they are
+ * opt-in.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import * as shapefile from 'shapefile';
+import * as turf from '@turf/turf';
+
+const execFileAsync = promisify(execFile);
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const OUT_FILE = path.resolve(process.cwd(), argValue('--out', 'public/offline/offline-db.json.gz'));
+const ZIPDATA_FILE = path.resolve(process.cwd(), argValue('--zipdata', 'public/zipdata.json'));
+const SOURCE_DIR = path.resolve(process.cwd(), 'temp_boundaries');
+const CB_BASE = 'https://www2.census.gov/geo/tiger/GENZ2020/shp';
+const INCLUDE_VTD = args.includes('--vtd');
+// Degrees; ~100 m, plenty for drawing boundaries at city zoom
+const TOLERANCE = Number(argValue('--tolerance', '0.001'));
+const PRECISION = 5;
+
+// Must match OFFLINE_DB_VERSION in src/utils/offlineDbHelpers.js
+const DB_VERSION = 1;
+
+/**
+ * Path of a boundary source, downloading the Census zip when it isn't there yet
+ * @returns {Promise<string|null>} null when the Census has no such file
+ */
+async function resolveSource(name) {
+  for (const file of [path.join(SOURCE_DIR, `${name}.shp`), path.join(SOURCE_DIR, `${name}.geojson`)]) {
+    if (fs.existsSync(file)) return file;
+  }
+
+  fs.mkdirSync(SOURCE_DIR, { recursive: true });
+  const zipFile = path.join(SOURCE_DIR, `${name}.zip`);
+  try {
+    console.log(`  Downloading ${name}...`);
+    await execFileAsync('curl', ['-fsSL', `${CB_BASE}/${name}.zip`, '-o', zipFile]);
+    await execFileAsync('unzip', ['-o', '-q', zipFile, '-d', SOURCE_DIR]);
+  } catch {
+    console.warn(`  ${name}: not available, skipping`);
+    return null;
+  } finally {
+    if (fs.existsSync(zipFile)) fs.unlinkSync(zipFile);
+  }
+  return path.join(SOURCE_DIR, `${name}.shp`);
+}
+
+/**
+ * Yield every feature of a shapefile or GeoJSON file
+ */
+async function* readFeatures(file) {
+  if (/\.(geo)?json$/i.test(file)) {
+    const { features = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    yield* features;
+    return;
+  }
+
+  const source = await shapefile.open(file, file.replace(/\.shp$/i, '.dbf'));
+  for (let result = await source.read(); !result.done; result = await source.read()) {
+    yield result.value;
+  }
+}
+
+const roundCoords = (coords) => (typeof coords[0] === 'number'
+  ? [Number(coords[0].toFixed(PRECISION)), Number(coords[1].toFixed(PRECISION))]
+  : coords.map(roundCoords));
+
+const simplifyGeometry = (geometry) => {
+  if (!geometry) return null;
+  const simplified = turf.simplify(turf.feature(geometry), { tolerance: TOLERANCE, highQuality: false }).geometry;
+  return { type: simplified.type, coordinates: roundCoords(simplified.coordinates) };
+};
+
+async function readStates() {
+  const file = await resolveSource('cb_2020_us_state_500k');
+  if (!file) throw new Error('State boundaries are required');
+
+  const states = [];
+  const boundaries = {};
+  for await (const feature of readFeatures(file)) {
+    const { STATEFP, STUSPS, NAME } = feature.properties;
+    states.push([STATEFP, STUSPS, NAME]);
+    boundaries[STATEFP] = simplifyGeometry(feature.geometry);
+  }
+  return { states, boundaries };
+}
+
+async function readCounties() {
+  const file = await resolveSource('cb_2020_us_county_500k');
+  if (!file) throw new Error('County boundaries are required');
+
+  const counties = [];
+  const boundaries = {};
+  // Full-resolution shapes for assigning ZIP centroids
+  const shapes = [];
+  for await (const feature of readFeatures(file)) {
+    const { GEOID, NAME, NAMELSAD, STUSPS } = feature.properties;
+    counties.push([GEOID, NAME, NAMELSAD, STUSPS]);
+    boundaries[GEOID] = simplifyGeometry(feature.geometry);
+    shapes.push({ geoid: GEOID, state: STUSPS, bbox: turf.bbox(feature), feature });
+  }
+  return { counties, boundaries, shapes };
+}
+
+async function readZctaBoundaries() {
+  const file = await resolveSource('cb_2020_us_zcta520_500k');
+  const boundaries = {};
+  if (!file) return boundaries;
+
+  let count = 0;
+  for await (const feature of readFeatures(file)) {
+    const zcta = feature.properties.ZCTA5CE20;
+    if (!zcta) continue;
+    boundaries[zcta] = simplifyGeometry(feature.geometry);
+    count += 1;
+    if (count % 5000 === 0) console.log(`  ${count} ZCTAs`);
+  }
+  return boundaries;
+}
+
+async function readPlaces(stateFips) {
+  const places = [];
+  const boundaries = {};
+  for (const fips of stateFips) {
+    const file = await resolveSource(`cb_2020_${fips}_place_500k`);
+    if (!file) continue;
+    for await (const feature of readFeatures(file)) {
+      const { GEOID, NAME, NAMELSAD, STUSPS, CLASSFP } = feature.properties;
+      places.push({ row: [GEOID, NAME, NAMELSAD, STUSPS], isCdp: String(CLASSFP || '').startsWith('U') });
+      boundaries[GEOID] = simplifyGeometry(feature.geometry);
+    }
+  }
+  // Incorporated places before census designated places that share their name
+  places.sort((a, b) => Number(a.isCdp) - Number(b.isCdp));
+  return { places: places.map(place => place.row), boundaries };
+}
+
+async function readVtds(stateFips) {
+  const vtds = [];
+  const boundaries = {};
+  for (const fips of stateFips) {
+    const file = await resolveSource(`cb_2020_${fips}_vtd_500k`);
+    if (!file) continue;
+    for await (const feature of readFeatures(file)) {
+      const { GEOID20, NAME20, VTDST20, STATEFP20, COUNTYFP20 } = feature.properties;
+      vtds.push([GEOID20, NAME20, VTDST20, STATEFP20, COUNTYFP20]);
+      boundaries[GEOID20] = simplifyGeometry(feature.geometry);
+    }
+  }
+  return { vtds, boundaries };
+}
+
+/**
+ * County GEOID for each ZIP centroid, checking the ZIP's own state first
+ */
+function assignCounties(zipData, countyShapes) {
+  const byState = new Map();
+  countyShapes.forEach(shape => {
+    if (!byState.has(shape.state)) byState.set(shape.state, []);
+    byState.get(shape.state).push(shape);
+  });
+
+  const contains = (shape, point) => point[0] >= shape.bbox[0] && point[0] <= shape.bbox[2] &&
+    point[1] >= shape.bbox[1] && point[1] <= shape.bbox[3] &&
+    turf.booleanPointInPolygon(point, shape.feature);
+
+  let unassigned = 0;
+  const rows = zipData.map(item => {
+    const point = [item.lng, item.lat];
+    const match = (byState.get(item.s) || []).find(shape => contains(shape, point)) ||
+      countyShapes.find(shape => contains(shape, point));
+    if (!match) unassigned += 1;
+    return [item.z, item.c, item.s, match ? match.geoid : null, item.lat, item.lng];
+  });
+
+  if (unassigned > 0) {
+    console.warn(`  ${unassigned} ZIP centroids fall outside every county (kept without one)`);
+  }
+  return rows;
+}
+
+async function main() {
+  if (!fs.existsSync(ZIPDATA_FILE)) {
+    throw new Error(`${ZIPDATA_FILE} not found`);
+  }
+
+  console.log('States...');
+  const states = await readStates();
+  const allStateFips = states.states.map(([fips]) => fips).sort();
+  const stateFips = argValue('--states', allStateFips.join(',')).split(',').map(fips => fips.trim().padStart(2, '0'));
+
+  console.log('Counties...');
+  const counties = await readCounties();
+
+  console.log('ZIPs...');
+  const zipData = JSON.parse(fs.readFileSync(ZIPDATA_FILE, 'utf8'));
+  const zips = assignCounties(zipData, counties.shapes);
+
+  console.log('ZCTA boundaries...');
+  const zctaBoundaries = await readZctaBoundaries();
+
+  console.log('Places...');
+  const places = await readPlaces(stateFips);
+
+  const vtds = INCLUDE_VTD ? (console.log('VTDs...'), await readVtds(stateFips)) : { vtds: [], boundaries: {} };
+
+  const db = {
+    version: DB_VERSION,
+    builtAt: new Date().toISOString(),
+    states: states.states,
+    counties: counties.counties,
+    places: places.places,
+    zips,
+    vtds: vtds.vtds,
+    boundaries: {
+      state: states.boundaries,
+      county: counties.boundaries,
+      place: places.boundaries,
+      zcta: zctaBoundaries,
+      vtd: vtds.boundaries
+    }
+  };
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, zlib.gzipSync(JSON.stringify(db), { level: 9 }));
+
+  const sizeMB = (fs.statSync(OUT_FILE).size / 1024 / 1024).toFixed(1);
+  console.log(`Wrote ${OUT_FILE}: ${zips.length} ZIPs, ${db.counties.length} counties, ${db.places.length} places, ${db.vtds.length} VTDs (${sizeMB} MB)`);
+}
+
+main().catch(error => {
+  console.error('Failed to build offline database:', error.message);
+  process.exit(1);
+});
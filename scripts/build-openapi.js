@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Write the OpenAPI document for the public /api/v1 routes
+ *
+ * Generated from the route definitions in api/v1 (the same document
+ * GET /api/v1/openapi serves), for client generators and API gateways.
+ *
+ * Usage:
+ *   node scripts/build-openapi.js
+ *   node scripts/build-openapi.js --out openapi.json --server https://zip.example.com/api/v1
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getOpenApiDocument } from '../api/v1/openapi.js';
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const OUT_FILE = path.resolve(process.cwd(), argValue('--out', 'docs/openapi.json'));
+const SERVER_URL = argValue('--server', '/api/v1');
+
+async function main() {
+  const document = getOpenApiDocument({ serverUrl: SERVER_URL });
+
+  fs.writeFileSync(OUT_FILE, `${JSON.stringify(document, null, 2)}\n`);
+  console.log(`Wrote ${OUT_FILE}: ${Object.keys(document.paths).length} paths`);
+}
+
+main().catch(error => {
+  console.error('Failed to build OpenAPI document:', error.message);
+  process.exit(1);
+});
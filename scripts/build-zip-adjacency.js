@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * ZCTA Adjacency Build Script
+ *
+ * Builds public/zip-adjacency.json, the neighbor index zipAdjacencyService
+ * loads to grow a territory by rings of bordering ZIPs without querying
+ * TIGERweb once per ZIP.
+ *
+ * Reads the Census cartographic ZCTA shapefile (the same download as
+ * scripts/import-zip-boundaries.js, unzipped into temp_boundaries/), or any
+ * ZCTA shapefile/GeoJSON passed with --in. Two ZCTAs are neighbors when
+ * their boundaries share a vertex; the Census files are built from one
+ * topology, so shared edges have identical vertices. Use the unsimplified
+ * source - simplifying each polygon on its own breaks this.
+ *
+ * Usage:
+ *   node scripts/build-zip-adjacency.js [--in temp_boundaries/cb_2020_us_zcta520_500k.shp] [--out public/zip-adjacency.json]
+ *
+ * Output format:
+ *   { source: 'cb_2020_us_zcta520_500k', count: 33791, neighbors: { '30303': ['30308', '30312', ...] } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as shapefile from 'shapefile';
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const IN_FILE = path.resolve(process.cwd(), argValue('--in', 'temp_boundaries/cb_2020_us_zcta520_500k.shp'));
+const OUT_FILE = path.resolve(process.cwd(), argValue('--out', 'public/zip-adjacency.json'));
+
+// ~10 cm; absorbs floating point noise between the copies of a shared vertex
+const PRECISION = 6;
+
+const zctaOf = (properties = {}) => {
+  const value = properties.ZCTA5CE20 || properties.ZCTA5CE10 || properties.ZCTA5 || properties.GEOID20 || properties.GEOID10 || properties.zipcode;
+  return value ? String(value).padStart(5, '0') : null;
+};
+
+/**
+ * Yield every feature of a shapefile or GeoJSON file
+ */
+async function* readFeatures(file) {
+  if (/\.(geo)?json$/i.test(file)) {
+    const { features = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    yield* features;
+    return;
+  }
+
+  const source = await shapefile.open(file, file.replace(/\.shp$/i, '.dbf'));
+  for (let result = await source.read(); !result.done; result = await source.read()) {
+    yield result.value;
+  }
+}
+
+const polygonsOf = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+async function main() {
+  if (!fs.existsSync(IN_FILE)) {
+    throw new Error(`${IN_FILE} not found - download cb_2020_us_zcta520_500k.zip into temp_boundaries/ or pass --in`);
+  }
+
+  console.log(`Reading ${IN_FILE}...`);
+
+  const zctas = [];
+  // Vertex key -> index of the first ZCTA seen there, or a Set once shared
+  const vertexOwners = new Map();
+  const neighbors = [];
+
+  const link = (a, b) => {
+    neighbors[a].add(b);
+    neighbors[b].add(a);
+  };
+
+  for await (const feature of readFeatures(IN_FILE)) {
+    const zcta = zctaOf(feature.properties);
+    if (!zcta) continue;
+
+    const index = zctas.length;
+    zctas.push(zcta);
+    neighbors.push(new Set());
+
+    polygonsOf(feature.geometry).forEach(rings => rings.forEach(ring => ring.forEach(([lng, lat]) => {
+      const key = `${lng.toFixed(PRECISION)},${lat.toFixed(PRECISION)}`;
+      const owners = vertexOwners.get(key);
+
+      if (owners === undefined) {
+        vertexOwners.set(key, index);
+      } else if (typeof owners === 'number') {
+        if (owners !== index) {
+          link(owners, index);
+          vertexOwners.set(key, new Set([owners, index]));
+        }
+      } else if (!owners.has(index)) {
+        owners.forEach(owner => link(owner, index));
+        owners.add(index);
+      }
+    })));
+
+    if (zctas.length % 5000 === 0) {
+      console.log(`  ${zctas.length} ZCTAs`);
+    }
+  }
+
+  const dataset = {
+    source: path.basename(IN_FILE).replace(/\.\w+$/, ''),
+    count: zctas.length,
+    neighbors: {}
+  };
+
+  let isolated = 0;
+  zctas.forEach((zcta, index) => {
+    const list = Array.from(neighbors[index], other => zctas[other]).filter(other => other !== zcta).sort();
+    if (list.length === 0) isolated += 1;
+    dataset.neighbors[zcta] = list;
+  });
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify(dataset));
+
+  const sizeMB = (fs.statSync(OUT_FILE).size / 1024 / 1024).toFixed(1);
+  console.log(`Wrote ${OUT_FILE}: ${zctas.length} ZCTAs, ${isolated} without neighbors (${sizeMB} MB)`);
+}
+
+main().catch(error => {
+  console.error('Failed to build ZIP adjacency:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Local mock geocoder for offline development and tests
+ *
+ * Answers with src/utils/mockGeocoder.js: the same address always lands on
+ * the same point, "not found" addresses miss and "approx" ones come back with
+ * low accuracy. Speaks the batch protocol of the production geocoder, so the
+ * app's 'mock' geocoder (or VITE_GEOCODER_BATCH_URL) can point at it:
+ *
+ *   POST /api/batch        { addresses: [...] } -> { results: [...], total }
+ *   GET  /geocode?address= { result }
+ *   GET  /reverse?lat=&lng=
+ *
+ * --fail-rate makes that share of requests answer 503, to exercise retries.
+ *
+ * Usage:
+ *   node scripts/mock-geocoder-server.js
+ *   node scripts/mock-geocoder-server.js --port 3002 --fail-rate 0.2 --delay 250
+ *   VITE_GEOCODERS=mock npm run dev
+ */
+
+import http from 'http';
+import { mockGeocode, mockReverse } from '../src/utils/mockGeocoder.js';
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const PORT = Number(argValue('--port', process.env.MOCK_GEOCODER_PORT || 3002));
+const FAIL_RATE = Number(argValue('--fail-rate', 0));
+const DELAY_MS = Number(argValue('--delay', 0));
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const toBatchResult = (address) => {
+  const match = mockGeocode(address);
+  return match
+    ? { success: true, ...match, provider: 'mock' }
+    : { success: false, error: 'Address not found' };
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) reject(new Error('Request body too large'));
+  });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch {
+      reject(new Error('Request body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, data) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(data));
+};
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+
+  if (DELAY_MS > 0) await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+  if (Math.random() < FAIL_RATE) return send(res, 503, { error: 'Mock outage' });
+
+  if (req.method === 'POST' && url.pathname === '/api/batch') {
+    const { addresses } = await readJson(req);
+    if (!Array.isArray(addresses)) return send(res, 400, { error: 'addresses must be an array' });
+    const results = addresses.map(toBatchResult);
+    return send(res, 200, { results, total: results.length, geocoded: results.filter(result => result.success).length });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/geocode') {
+    const address = url.searchParams.get('address');
+    if (!address) return send(res, 400, { error: 'address is required' });
+    return send(res, 200, { result: toBatchResult(address) });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/reverse') {
+    const lat = Number(url.searchParams.get('lat'));
+    const lng = Number(url.searchParams.get('lng'));
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return send(res, 400, { error: 'lat and lng are required' });
+    return send(res, 200, mockReverse(lat, lng));
+  }
+
+  return send(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(error => send(res, 400, { error: error.message }));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock geocoder listening on http://localhost:${PORT} (fail rate ${FAIL_RATE}, delay ${DELAY_MS} ms)`);
+});
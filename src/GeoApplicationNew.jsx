@@ -4,11 +4,13 @@ import { SearchProvider } from './contexts/SearchContext';
 import { ResultsProvider } from './contexts/ResultsContext';
 import { UIProvider } from './contexts/UIContext';
 import { ShareProvider } from './contexts/ShareContext';
+import { WorkspaceProvider } from './contexts/WorkspaceContext';
 
 import Header from './components/Header/Header';
 import SearchControls from './components/Search/SearchControls';
 import MapContainer from './components/Map/MapContainer';
 import MapLayerSelector from './components/Map/MapLayerSelector';
+import IdentifyPanel from './components/Map/IdentifyPanel';
 import BoundaryManager from './components/Map/BoundaryManager';
 import ResultsDrawer from './components/Results/ResultsDrawer';
 import ToastNotification from './components/common/ToastNotification';
@@ -22,6 +24,8 @@ import { useMap } from './contexts/MapContext';
 import { useResults } from './contexts/ResultsContext';
 import { useUI } from './contexts/UIContext';
 import { useShare } from './contexts/ShareContext';
+import { useWorkspace } from './contexts/WorkspaceContext';
+import { geometryToLatLngs } from './utils/polygonHelpers';
 
 /**
  * Main GeoApplication component that composes all features
@@ -84,6 +88,9 @@ const GeoApplicationContent = React.memo(() => {
   // Get share state
   const { sharedState, isSharedView } = useShare();
 
+  // Saved workspace waiting to be restored
+  const { pendingRestore, completeRestore } = useWorkspace();
+
   const {
     mapCenter,
     mapZoom,
@@ -202,6 +209,14 @@ const GeoApplicationContent = React.memo(() => {
               weight: 2
             }
           );
+        } else if (search.geometry) {
+          // Imported shape with holes or several parts
+          layer = window.L.polygon(geometryToLatLngs(search.geometry), {
+            color: overlayColor,
+            fillColor: overlayColor,
+            fillOpacity: 0.15,
+            weight: 2
+          });
         } else {
           // Create polygon from coordinates
           const latLngs = search.coordinates.map(coord => [coord.lat, coord.lng]);
@@ -240,41 +255,6 @@ const GeoApplicationContent = React.memo(() => {
     }
   }, [featureGroupRef, setDrawnShapes]);
 
-  // Restore searches from share URL on mount
-  useEffect(() => {
-    const restoreShare = async () => {
-      if (sharedState && isSharedView && !hasRestoredRef.current) {
-        hasRestoredRef.current = true;
-        console.log('[Share] Detected shared state, restoring searches...');
-
-        // Restore searches and get boundary settings back
-        const boundarySettings = await restoreFromShareState(sharedState);
-
-        // Apply boundary visibility settings
-        if (boundarySettings) {
-          if (boundarySettings.showZipBoundaries) setShowZipBoundaries(true);
-          if (boundarySettings.showStateBoundaries) setShowStateBoundaries(true);
-          if (boundarySettings.showCityBoundaries) setShowCityBoundaries(true);
-          if (boundarySettings.showVtdBoundaries) setShowVtdBoundaries(true);
-        }
-
-        // Create polygon shapes on the map after a short delay to ensure map is ready
-        if (sharedState.polygonSearches && sharedState.polygonSearches.length > 0) {
-          setTimeout(() => {
-            createPolygonShapesFromShare(sharedState.polygonSearches);
-          }, 500);
-        }
-
-        // Auto-zoom to fit the search results after a delay
-        setTimeout(() => {
-          zoomToShareResults(sharedState);
-        }, 800);
-      }
-    };
-
-    restoreShare();
-  }, [sharedState, isSharedView, restoreFromShareState, setShowZipBoundaries, setShowStateBoundaries, setShowCityBoundaries, setShowVtdBoundaries, createPolygonShapesFromShare]);
-
   // Helper function to zoom map to fit shared search results
   const zoomToShareResults = useCallback((sharedState) => {
     if (!mapRef.current || !sharedState) return;
@@ -299,6 +279,15 @@ const GeoApplicationContent = React.memo(() => {
     if (sharedState.radiusSearches && sharedState.radiusSearches.length > 0) {
       const radiusBounds = sharedState.radiusSearches.map(s => {
         if (!s.center) return null;
+        if (s.isochrone?.geometry) {
+          const isoBounds = window.L.geoJSON(s.isochrone.geometry).getBounds();
+          return {
+            minLat: isoBounds.getSouth(),
+            maxLat: isoBounds.getNorth(),
+            minLng: isoBounds.getWest(),
+            maxLng: isoBounds.getEast()
+          };
+        }
         // Convert miles to degrees (rough approximation)
         const radiusDeg = (s.radius || 10) / 69; // ~69 miles per degree
         return {
@@ -325,6 +314,71 @@ const GeoApplicationContent = React.memo(() => {
     }
   }, [mapRef]);
 
+  // Apply a share-format state (share link or saved workspace) to the app
+  const applyRestoredState = useCallback(async (state, { fromWorkspace = false } = {}) => {
+    // Workspaces carry their results, so skip re-querying address searches
+    const boundarySettings = await restoreFromShareState(state, { preferStoredResults: fromWorkspace });
+
+    // Apply boundary visibility settings - share links only switch layers on,
+    // workspaces put every toggle back the way it was saved
+    if (boundarySettings) {
+      if (fromWorkspace) {
+        setShowZipBoundaries(!!boundarySettings.showZipBoundaries);
+        setShowStateBoundaries(!!boundarySettings.showStateBoundaries);
+        setShowCityBoundaries(!!boundarySettings.showCityBoundaries);
+        setShowVtdBoundaries(!!boundarySettings.showVtdBoundaries);
+      } else {
+        if (boundarySettings.showZipBoundaries) setShowZipBoundaries(true);
+        if (boundarySettings.showStateBoundaries) setShowStateBoundaries(true);
+        if (boundarySettings.showCityBoundaries) setShowCityBoundaries(true);
+        if (boundarySettings.showVtdBoundaries) setShowVtdBoundaries(true);
+      }
+    }
+
+    // Create polygon shapes on the map after a short delay to ensure map is ready
+    if (state.polygonSearches && state.polygonSearches.length > 0) {
+      setTimeout(() => {
+        createPolygonShapesFromShare(state.polygonSearches);
+      }, 500);
+    }
+
+    // Auto-zoom to fit the search results after a delay (workspaces keep their saved view)
+    if (!fromWorkspace) {
+      setTimeout(() => {
+        zoomToShareResults(state);
+      }, 800);
+    }
+  }, [restoreFromShareState, setShowZipBoundaries, setShowStateBoundaries, setShowCityBoundaries, setShowVtdBoundaries, createPolygonShapesFromShare, zoomToShareResults]);
+
+  // Restore searches from share URL on mount
+  useEffect(() => {
+    if (sharedState && isSharedView && !hasRestoredRef.current) {
+      hasRestoredRef.current = true;
+      console.log('[Share] Detected shared state, restoring searches...');
+      applyRestoredState(sharedState);
+    }
+  }, [sharedState, isSharedView, applyRestoredState]);
+
+  // Restore a saved workspace once WorkspaceContext has cleared the old one
+  const restoringWorkspaceRef = useRef(null);
+  useEffect(() => {
+    if (!pendingRestore || restoringWorkspaceRef.current === pendingRestore) return;
+    restoringWorkspaceRef.current = pendingRestore;
+
+    const restoreWorkspace = async () => {
+      try {
+        if (pendingRestore.state) {
+          console.log('[Workspaces] Restoring workspace', pendingRestore.id);
+          await applyRestoredState(pendingRestore.state, { fromWorkspace: true });
+        }
+      } finally {
+        completeRestore();
+      }
+    };
+
+    restoreWorkspace();
+  }, [pendingRestore, applyRestoredState, completeRestore]);
+
   // Wire up map click handler for radius search
   useEffect(() => {
     if (setMapClickCallback) {
@@ -430,6 +484,7 @@ const GeoApplicationContent = React.memo(() => {
         {/* Map Container */}
         <div className="flex-1 relative">
           <MapLayerSelector />
+          <IdentifyPanel />
 
           <MapContainer
             searchMode={searchMode}
@@ -541,7 +596,9 @@ const GeoApplicationNew = React.memo(() => {
         <MapProvider>
           <SearchProvider>
             <ShareProvider>
-              <GeoApplicationContent />
+              <WorkspaceProvider>
+                <GeoApplicationContent />
+              </WorkspaceProvider>
             </ShareProvider>
           </SearchProvider>
         </MapProvider>
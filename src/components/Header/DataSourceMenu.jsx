@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Database, ChevronDown, ChevronUp, RefreshCw, RotateCcw, Loader2 } from 'lucide-react';
+import dataProviderRegistry from '../../services/dataProviderRegistry';
+import { useUI } from '../../contexts/UIContext';
+
+const healthDotClass = (health) => {
+  if (!health) return 'bg-gray-400';
+  return health.ok ? 'bg-green-500' : 'bg-red-500';
+};
+
+const healthTitle = (health) => {
+  if (!health) return 'Not checked yet';
+  if (health.ok) return 'Healthy';
+  return health.error ? `Unavailable: ${health.error}` : 'Unavailable';
+};
+
+/**
+ * Header dropdown for the data providers behind ZIP search and lookups:
+ * enable or disable each, change the fallback order and check health.
+ */
+const DataSourceMenu = () => {
+  const { isDarkMode } = useUI();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [providers, setProviders] = useState(() => dataProviderRegistry.describe());
+  const [isChecking, setIsChecking] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => dataProviderRegistry.subscribe(() => setProviders(dataProviderRegistry.describe())), []);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleCheckHealth = async () => {
+    setIsChecking(true);
+    try {
+      await dataProviderRegistry.refreshHealth();
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleMove = (index, delta) => {
+    const ids = providers.map(provider => provider.id);
+    const target = index + delta;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    dataProviderRegistry.setOrder(ids);
+  };
+
+  const serving = providers.find(provider => provider.serving);
+
+  const iconButtonClass = `p-1 rounded disabled:opacity-30 ${
+    isDarkMode ? 'text-gray-400 hover:text-white hover:bg-gray-600' : 'text-gray-500 hover:text-gray-900 hover:bg-gray-200'
+  }`;
+
+  const footerButtonClass = `flex items-center gap-1 h-8 px-2 text-xs rounded-lg border ${
+    isDarkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+  }`;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm ${
+          isDarkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+        }`}
+        title="Data sources"
+      >
+        <Database className="h-4 w-4" />
+        <span>{serving ? serving.label : 'Data sources'}</span>
+        <ChevronDown className="h-3 w-3" />
+      </button>
+
+      {isOpen && (
+        <div className={`absolute right-0 mt-2 w-80 rounded-lg shadow-xl border z-[1001] ${
+          isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
+        }`}>
+          <p className={`px-3 pt-3 pb-2 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Tried top to bottom until one answers. Unavailable sources drop to the end.
+          </p>
+
+          <div className="max-h-72 overflow-y-auto py-1">
+            {providers.map((provider, index) => (
+              <div
+                key={provider.id}
+                className={`flex items-center gap-2 px-3 py-2 ${isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={provider.enabled}
+                  onChange={(e) => dataProviderRegistry.setEnabled(provider.id, e.target.checked)}
+                  className="h-4 w-4 accent-red-600"
+                  title={provider.enabled ? 'Disable' : 'Enable'}
+                />
+                <span
+                  className={`h-2 w-2 rounded-full flex-shrink-0 ${healthDotClass(provider.health)}`}
+                  title={healthTitle(provider.health)}
+                />
+                <span className={`flex-1 min-w-0 text-sm truncate ${
+                  !provider.enabled
+                    ? isDarkMode ? 'text-gray-500' : 'text-gray-400'
+                    : provider.serving ? 'font-semibold text-red-600' : isDarkMode ? 'text-gray-200' : 'text-gray-900'
+                }`}>
+                  {provider.label}
+                </span>
+                {provider.local && (
+                  <span className={`px-1.5 py-0.5 text-[10px] rounded ${
+                    isDarkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-100 text-gray-600'
+                  }`}>
+                    local
+                  </span>
+                )}
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className={iconButtonClass}
+                  title="Try earlier"
+                >
+                  <ChevronUp className="h-3.5 w-3.5" />
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === providers.length - 1}
+                  className={iconButtonClass}
+                  title="Try later"
+                >
+                  <ChevronDown className="h-3.5 w-3.5" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className={`flex items-center justify-end gap-2 p-3 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <button onClick={() => dataProviderRegistry.resetSettings()} className={footerButtonClass} title="Default order and sources">
+              <RotateCcw className="h-3 w-3" />
+              Reset
+            </button>
+            <button onClick={handleCheckHealth} disabled={isChecking} className={footerButtonClass}>
+              {isChecking ? <Loader2 className="h-3 w-3 animate-spin" /> : <RefreshCw className="h-3 w-3" />}
+              Check health
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataSourceMenu;
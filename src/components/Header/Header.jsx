@@ -2,6 +2,8 @@ import React from 'react';
 import { Globe, Sun, Moon } from 'lucide-react';
 import SearchModeToggle from './SearchModeToggle';
 import DarkModeToggle from './DarkModeToggle';
+import WorkspaceMenu from './WorkspaceMenu';
+import DataSourceMenu from './DataSourceMenu';
 import { useUI } from '../../contexts/UIContext';
 
 const Header = ({ searchMode, handleSearchModeChange }) => {
@@ -40,6 +42,8 @@ const Header = ({ searchMode, handleSearchModeChange }) => {
 
         {/* Desktop Controls */}
         <div className="hidden lg:flex items-center space-x-4 ml-auto">
+          <DataSourceMenu />
+          <WorkspaceMenu />
           <DarkModeToggle />
           <button className={`${isDarkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900'}`}>
             Help
@@ -3,6 +3,7 @@ import React from 'react';
 const SearchModeToggle = ({ searchMode, handleSearchModeChange, isDarkMode }) => {
   const modes = [
     { id: 'radius', label: 'Radius Search', shortLabel: 'Radius' },
+    { id: 'isochrone', label: 'Drive Time', shortLabel: 'Drive' },
     { id: 'polygon', label: 'Polygon Search', shortLabel: 'Polygon' },
     { id: 'address', label: 'Address Search', shortLabel: 'Address' },
     { id: 'hierarchy', label: 'Hierarchy Search', shortLabel: 'Hierarchy' },
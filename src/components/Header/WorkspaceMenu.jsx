@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FolderOpen, ChevronDown, Plus, Save, Copy, Pencil, Trash2, Check, X, Loader2 } from 'lucide-react';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
+import { useUI } from '../../contexts/UIContext';
+
+const formatUpdatedAt = (timestamp) => {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Header dropdown for saved workspaces: switch, create, save as, rename,
+ * duplicate and delete. Changes to the open workspace autosave.
+ */
+const WorkspaceMenu = () => {
+  const {
+    isAvailable,
+    workspaces,
+    currentWorkspace,
+    saveStatus,
+    loadWorkspace,
+    createWorkspace,
+    saveWorkspaceAs,
+    renameWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace
+  } = useWorkspace();
+  const { isDarkMode, showToast } = useUI();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const [newName, setNewName] = useState('');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+        setEditingId(null);
+        setConfirmDeleteId(null);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  if (!isAvailable) return null;
+
+  const handleLoad = async (id) => {
+    if (id === currentWorkspace?.id) return;
+    const workspace = await loadWorkspace(id);
+    if (workspace) {
+      showToast?.(`Opened "${workspace.name}"`, 'success');
+      setIsOpen(false);
+    } else {
+      showToast?.('Failed to open workspace', 'error');
+    }
+  };
+
+  const handleCreate = async () => {
+    const workspace = await createWorkspace(newName);
+    if (workspace) {
+      showToast?.(`Created "${workspace.name}"`, 'success');
+      setNewName('');
+      setIsOpen(false);
+    }
+  };
+
+  const handleSaveAs = async () => {
+    const workspace = await saveWorkspaceAs(newName);
+    if (workspace) {
+      showToast?.(`Saved as "${workspace.name}"`, 'success');
+      setNewName('');
+    } else {
+      showToast?.('Failed to save workspace', 'error');
+    }
+  };
+
+  const handleRename = async () => {
+    if (editingId && editingName.trim()) {
+      await renameWorkspace(editingId, editingName);
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = async (id) => {
+    await deleteWorkspace(id);
+    setConfirmDeleteId(null);
+  };
+
+  const statusLabel = {
+    saving: 'Saving…',
+    saved: 'Saved',
+    error: 'Save failed'
+  }[saveStatus];
+
+  const iconButtonClass = `p-1 rounded ${
+    isDarkMode ? 'text-gray-400 hover:text-white hover:bg-gray-600' : 'text-gray-500 hover:text-gray-900 hover:bg-gray-200'
+  }`;
+
+  const inputClass = `flex-1 min-w-0 h-8 px-2 text-sm border rounded-lg outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 ${
+    isDarkMode ? 'bg-gray-700 text-white border-gray-600' : 'bg-white text-gray-900 border-gray-300'
+  }`;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm ${
+          isDarkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'
+        }`}
+        title="Saved workspaces"
+      >
+        <FolderOpen className="h-4 w-4" />
+        <span className="max-w-[160px] truncate">
+          {currentWorkspace?.name || 'Unsaved workspace'}
+        </span>
+        {saveStatus === 'saving' && <Loader2 className="h-3 w-3 animate-spin" />}
+        {statusLabel && saveStatus !== 'saving' && (
+          <span className={`text-xs ${
+            saveStatus === 'error' ? 'text-red-500' : isDarkMode ? 'text-gray-500' : 'text-gray-400'
+          }`}>
+            {statusLabel}
+          </span>
+        )}
+        <ChevronDown className="h-3 w-3" />
+      </button>
+
+      {isOpen && (
+        <div className={`absolute right-0 mt-2 w-80 rounded-lg shadow-xl border z-[1001] ${
+          isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
+        }`}>
+          {/* New / save as */}
+          <div className={`p-3 border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleSaveAs();
+                }}
+                placeholder="Workspace name"
+                className={inputClass}
+              />
+              <button
+                onClick={handleSaveAs}
+                className="flex items-center gap-1 h-8 px-2 text-xs rounded-lg bg-red-600 text-white hover:bg-red-700"
+                title="Save current searches as a new workspace"
+              >
+                <Save className="h-3 w-3" />
+                Save as
+              </button>
+              <button
+                onClick={handleCreate}
+                className={`flex items-center gap-1 h-8 px-2 text-xs rounded-lg border ${
+                  isDarkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+                title="Start an empty workspace"
+              >
+                <Plus className="h-3 w-3" />
+                New
+              </button>
+            </div>
+          </div>
+
+          {/* Workspace list */}
+          <div className="max-h-72 overflow-y-auto py-1">
+            {workspaces.length === 0 ? (
+              <p className={`px-3 py-4 text-sm text-center ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                No saved workspaces yet. Searches are saved automatically once you run one.
+              </p>
+            ) : (
+              workspaces.map(workspace => {
+                const isCurrent = workspace.id === currentWorkspace?.id;
+
+                if (editingId === workspace.id) {
+                  return (
+                    <div key={workspace.id} className="flex items-center gap-1 px-3 py-2">
+                      <input
+                        type="text"
+                        value={editingName}
+                        onChange={(e) => setEditingName(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleRename();
+                          if (e.key === 'Escape') setEditingId(null);
+                        }}
+                        autoFocus
+                        className={inputClass}
+                      />
+                      <button onClick={handleRename} className={iconButtonClass} title="Save name">
+                        <Check className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => setEditingId(null)} className={iconButtonClass} title="Cancel">
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                  );
+                }
+
+                return (
+                  <div
+                    key={workspace.id}
+                    className={`group flex items-center gap-2 px-3 py-2 ${
+                      isCurrent
+                        ? isDarkMode ? 'bg-gray-700' : 'bg-red-50'
+                        : isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <button
+                      onClick={() => handleLoad(workspace.id)}
+                      className="flex-1 min-w-0 text-left"
+                    >
+                      <div className={`text-sm truncate ${
+                        isCurrent ? 'font-semibold text-red-600' : isDarkMode ? 'text-gray-200' : 'text-gray-900'
+                      }`}>
+                        {workspace.name}
+                      </div>
+                      <div className={`text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                        {workspace.searchCount || 0} searches · {formatUpdatedAt(workspace.updatedAt)}
+                      </div>
+                    </button>
+
+                    {confirmDeleteId === workspace.id ? (
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => handleDelete(workspace.id)}
+                          className="px-2 py-1 text-xs rounded bg-red-600 text-white hover:bg-red-700"
+                        >
+                          Delete
+                        </button>
+                        <button onClick={() => setConfirmDeleteId(null)} className={iconButtonClass} title="Cancel">
+                          <X className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-0.5 opacity-0 group-hover:opacity-100">
+                        <button
+                          onClick={() => {
+                            setEditingId(workspace.id);
+                            setEditingName(workspace.name);
+                          }}
+                          className={iconButtonClass}
+                          title="Rename"
+                        >
+                          <Pencil className="h-3.5 w-3.5" />
+                        </button>
+                        <button
+                          onClick={() => duplicateWorkspace(workspace.id)}
+                          className={iconButtonClass}
+                          title="Duplicate"
+                        >
+                          <Copy className="h-3.5 w-3.5" />
+                        </button>
+                        <button
+                          onClick={() => setConfirmDeleteId(workspace.id)}
+                          className={iconButtonClass}
+                          title="Delete"
+                        >
+                          <Trash2 className="h-3.5 w-3.5" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceMenu;
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useMemo } from 'react';
 import { GeoJSON } from 'react-leaflet';
 import CountyBoundaryLayer from './layers/CountyBoundaryLayer';
 import ZipBoundaryLayer from './layers/ZipBoundaryLayer';
@@ -6,8 +6,28 @@ import StateBoundaryLayer from './layers/StateBoundaryLayer';
 import CityBoundaryLayer from './layers/CityBoundaryLayer';
 import VtdBoundaryLayer from './layers/VtdBoundaryLayer';
 import NeighborZipsLayer from './layers/NeighborZipsLayer';
+import VectorBoundaryLayer from './layers/VectorBoundaryLayer';
 import DiagonalPattern from './patterns/DiagonalPattern';
 
+// Canvas styles for boundary types drawn from vector tiles
+const VECTOR_STYLES = {
+  zip: { color: '#dc2626', fillColor: '#dc2626', selectedColor: '#b91c1c', weight: 1, opacity: 0.8, fillOpacity: 0.03 },
+  county: { color: '#4b5563', fillColor: '#6b7280', selectedColor: '#111827', weight: 1, opacity: 0.8, fillOpacity: 0.02 },
+  city: { color: '#7c3aed', fillColor: '#c4b5fd', selectedColor: '#5b21b6', weight: 1.5, opacity: 0.9, fillOpacity: 0.04 },
+  vtd: { color: '#0891b2', fillColor: '#22d3ee', selectedColor: '#155e75', weight: 1, opacity: 0.7, fillOpacity: 0.04 }
+};
+
+const VECTOR_LABELS = {
+  zip: (props) => `ZIP ${props.id}`,
+  county: (props) => `${props.name}${props.state ? `, ${props.state}` : ''}`,
+  city: (props) => `${props.name}${props.state ? `, ${props.state}` : ''}`,
+  vtd: (props) => `VTD ${props.name || props.vtd}`
+};
+
+const normalizePlaceKey = (name, state) => `${String(name || '')
+  .toLowerCase()
+  .replace(/\s+(county|parish|borough|city|town|village|cdp)$/, '')}|${String(state || '').toUpperCase()}`;
+
 const BoundaryLayers = React.memo(({
   showCountyBorders,
   countyBoundaries,
@@ -39,7 +59,10 @@ const BoundaryLayers = React.memo(({
   ZipCodeService,
   setZipBoundariesData,
   neighboringZips,
-  setNeighboringZips
+  setNeighboringZips,
+  boundaryTileTypes = {},
+  cityResults,
+  vectorTilesInteractive = true
 }) => {
   // Memoize the focused ZIP style to prevent recreation
   const focusedZipStyle = useMemo(() => ({
@@ -50,13 +73,41 @@ const BoundaryLayers = React.memo(({
     fillColor: '#dc2626'
   }), []);
 
+  // Result membership for boundaries drawn from vector tiles
+  const vectorHighlights = useMemo(() => {
+    const zipCodes = new Set((zipResults || []).map(zip => zip.zipCode));
+    const counties = new Set((countyResults || []).map(county => normalizePlaceKey(county.name, county.state)));
+    const cities = new Set((cityResults || []).map(city => normalizePlaceKey(city.name, city.state)));
+
+    return {
+      zip: (props) => zipCodes.has(props.id),
+      county: (props) => counties.has(normalizePlaceKey(props.name, props.state)),
+      city: (props) => cities.has(normalizePlaceKey(props.name, props.state)),
+      vtd: (props) => Boolean(focusedVtd) && focusedVtd.vtd_code === props.vtd && focusedVtd.state_code === props.statefp
+    };
+  }, [zipResults, countyResults, cityResults, focusedVtd]);
+
+  const renderVectorLayer = (type) => (
+    <VectorBoundaryLayer
+      key={`vector-${type}`}
+      type={type}
+      minZoom={boundaryTileTypes[type].minZoom}
+      maxZoom={boundaryTileTypes[type].maxZoom}
+      style={VECTOR_STYLES[type]}
+      isHighlighted={vectorHighlights[type]}
+      getLabel={VECTOR_LABELS[type]}
+      interactive={vectorTilesInteractive}
+    />
+  );
+
   return (
     <>
       {/* SVG Pattern Definitions for boundaries */}
       <DiagonalPattern />
 
       {/* County Boundaries Layer */}
-      {showCountyBorders && countyBoundaries && (
+      {showCountyBorders && boundaryTileTypes.county && renderVectorLayer('county')}
+      {showCountyBorders && !boundaryTileTypes.county && countyBoundaries && (
         <CountyBoundaryLayer
           countyBoundaries={countyBoundaries}
           selectedCountyBoundary={selectedCountyBoundary}
@@ -71,7 +122,8 @@ const BoundaryLayers = React.memo(({
       )}
 
       {/* ZIP Boundaries Layer - Global toggle for all search area boundaries */}
-      {showZipBoundaries && zipBoundariesData && (
+      {showZipBoundaries && boundaryTileTypes.zip && renderVectorLayer('zip')}
+      {showZipBoundaries && !boundaryTileTypes.zip && zipBoundariesData && (
         <ZipBoundaryLayer
           zipBoundariesData={zipBoundariesData}
           focusedZipCode={focusedZipCode}
@@ -107,14 +159,16 @@ const BoundaryLayers = React.memo(({
       )}
 
       {/* City Boundaries Layer */}
-      {showCityBoundaries && cityBoundariesData && (
+      {showCityBoundaries && boundaryTileTypes.city && renderVectorLayer('city')}
+      {showCityBoundaries && !boundaryTileTypes.city && cityBoundariesData && (
         <CityBoundaryLayer
           cityBoundariesData={cityBoundariesData}
         />
       )}
 
       {/* VTD Boundaries Layer */}
-      {showVtdBoundaries && vtdBoundariesData && (
+      {showVtdBoundaries && boundaryTileTypes.vtd && renderVectorLayer('vtd')}
+      {showVtdBoundaries && !boundaryTileTypes.vtd && vtdBoundariesData && (
         <VtdBoundaryLayer
           vtdBoundariesData={vtdBoundariesData}
           focusedVtd={focusedVtd}
@@ -7,11 +7,15 @@ import stateBoundariesService from '../../services/stateBoundariesService';
 import cityBoundariesService from '../../services/cityBoundariesService';
 import vtdBoundariesService from '../../services/vtdBoundariesService';
 import countyFipsService from '../../services/countyFipsService';
+import boundaryTilesService from '../../services/boundaryTilesService';
 
 /**
  * BoundaryManager - Handles loading boundary data based on toggles and search results
  * This component doesn't render anything, it just manages data loading effects
  *
+ * Boundary types with self-hosted vector tiles are drawn from the tiles
+ * (see VectorBoundaryLayer), so no GeoJSON is loaded for them.
+ *
  * All async operations use AbortController to prevent:
  * - Stale data from overwriting current data on rapid toggles
  * - State updates after component unmount
@@ -30,7 +34,9 @@ const BoundaryManager = () => {
     setLoadingCityBoundaries,
     showVtdBoundaries,
     setVtdBoundariesData,
-    setLoadingVtdBoundaries
+    setLoadingVtdBoundaries,
+    boundaryTileTypes,
+    setBoundaryTileTypes
   } = useMap();
 
   const { zipResults, cityResults, geocodeResults, addressResults } = useResults();
@@ -42,6 +48,23 @@ const BoundaryManager = () => {
   const lastCityKeysRef = useRef('');
   const lastVtdFipsRef = useRef('');
 
+  // Effect: Find which boundary types have vector tiles
+  useEffect(() => {
+    let cancelled = false;
+
+    boundaryTilesService.detectAvailable().then(available => {
+      if (cancelled) return;
+      if (Object.keys(available).length > 0) {
+        console.log('[Boundary Tiles] Vector tiles available for:', Object.keys(available).join(', '));
+      }
+      setBoundaryTileTypes(available);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [setBoundaryTileTypes]);
+
   // Effect: Load state boundaries when toggled on
   useEffect(() => {
     if (!showStateBoundaries) {
@@ -126,7 +149,7 @@ const BoundaryManager = () => {
 
   // Effect: Load ZIP boundaries when toggled on or when search results change
   useEffect(() => {
-    if (!showZipBoundaries) {
+    if (!showZipBoundaries || boundaryTileTypes.zip) {
       setZipBoundariesData(null);
       lastZipCodesRef.current = '';
       return;
@@ -223,11 +246,11 @@ const BoundaryManager = () => {
       abortController.abort();
       setLoadingZipBoundaries(false);
     };
-  }, [showZipBoundaries, searchPerformed, searchMode, zipResults, geocodeResults, addressResults, setZipBoundariesData, setLoadingZipBoundaries]);
+  }, [showZipBoundaries, boundaryTileTypes, searchPerformed, searchMode, zipResults, geocodeResults, addressResults, setZipBoundariesData, setLoadingZipBoundaries]);
 
   // Effect: Load city boundaries when toggled on or when city results change
   useEffect(() => {
-    if (!showCityBoundaries) {
+    if (!showCityBoundaries || boundaryTileTypes.city) {
       setCityBoundariesData(null);
       lastCityKeysRef.current = '';
       return;
@@ -309,11 +332,11 @@ const BoundaryManager = () => {
       abortController.abort();
       setLoadingCityBoundaries(false);
     };
-  }, [showCityBoundaries, cityResults, setCityBoundariesData, setLoadingCityBoundaries]);
+  }, [showCityBoundaries, boundaryTileTypes, cityResults, setCityBoundariesData, setLoadingCityBoundaries]);
 
   // Effect: Load VTD boundaries when toggled on or when results change
   useEffect(() => {
-    if (!showVtdBoundaries) {
+    if (!showVtdBoundaries || boundaryTileTypes.vtd) {
       setVtdBoundariesData(null);
       lastVtdFipsRef.current = '';
       return;
@@ -338,7 +361,8 @@ const BoundaryManager = () => {
         if (result.county && result.state) {
           const key = `${result.county},${result.state}`;
           if (!uniqueCounties.has(key)) {
-            uniqueCounties.set(key, { county: result.county, state: result.state });
+            // Offline database results already carry the county FIPS
+            uniqueCounties.set(key, { county: result.county, state: result.state, fips: result.countyFips });
           }
         }
       });
@@ -372,7 +396,10 @@ const BoundaryManager = () => {
     }
 
     const counties = Array.from(uniqueCounties.values());
-    const countyFipsCodes = countyFipsService.getMultipleCountyFips(counties);
+    const countyFipsCodes = [...new Set([
+      ...counties.map(county => county.fips).filter(Boolean),
+      ...countyFipsService.getMultipleCountyFips(counties.filter(county => !county.fips))
+    ])];
 
     if (countyFipsCodes.length === 0) {
       console.warn('[VTD Boundaries] No FIPS codes found for counties');
@@ -430,7 +457,7 @@ const BoundaryManager = () => {
       abortController.abort();
       setLoadingVtdBoundaries(false);
     };
-  }, [showVtdBoundaries, searchPerformed, zipResults, cityResults, geocodeResults, addressResults, setVtdBoundariesData, setLoadingVtdBoundaries]);
+  }, [showVtdBoundaries, boundaryTileTypes, searchPerformed, zipResults, cityResults, geocodeResults, addressResults, setVtdBoundariesData, setLoadingVtdBoundaries]);
 
   // This component doesn't render anything
   return null;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { CircleMarker, Popup } from 'react-leaflet';
+
+const MARKER_STYLE = {
+  radius: 6,
+  color: '#ffffff',
+  weight: 2,
+  fillColor: '#7c3aed',
+  fillOpacity: 0.9
+};
+
+const PENDING_STYLE = { ...MARKER_STYLE, fillColor: '#9ca3af' };
+
+// Pins for points looked up with the identify tool
+const IdentifyMarkers = ({ results }) => {
+  if (!results?.length) return null;
+
+  return (
+    <>
+      {results.map(result => (
+        <CircleMarker
+          key={`identify-${result.id}`}
+          center={[result.lat, result.lng]}
+          pathOptions={result.loading ? PENDING_STYLE : MARKER_STYLE}
+          radius={MARKER_STYLE.radius}
+        >
+          <Popup>
+            {result.loading ? (
+              <div className="text-sm">Identifying…</div>
+            ) : (
+              <div className="text-sm">
+                {result.label && <><strong>{result.label}</strong><br/></>}
+                {result.zcta && <>ZCTA: {result.zcta}<br/></>}
+                {result.county && <>{result.county} ({result.countyFips})<br/></>}
+                {result.place && <>{result.place}<br/></>}
+                {result.state && <>{result.state}<br/></>}
+                {result.vtd && <>VTD: {result.vtdName || result.vtd}<br/></>}
+                {result.congressionalDistrict && <>District: {result.congressionalDistrict}<br/></>}
+                <span className="text-xs text-gray-500">{result.lat.toFixed(5)}, {result.lng.toFixed(5)}</span>
+              </div>
+            )}
+          </Popup>
+        </CircleMarker>
+      ))}
+    </>
+  );
+};
+
+export default IdentifyMarkers;
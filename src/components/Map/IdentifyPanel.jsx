@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Info, X, Download, Trash2, Loader2 } from 'lucide-react';
+import { useMap, CURSOR_TOOLS } from '../../contexts/MapContext';
+import { useUI } from '../../contexts/UIContext';
+import { IDENTIFY_COLUMNS } from '../../services/identifyService';
+import { parseCoordinateList } from '../../utils/geoHelpers';
+import { exportIdentifyResultsCSV } from '../../utils/exportHelpers';
+
+// Columns shown in the multi-point table; the CSV has all of IDENTIFY_COLUMNS.
+// Failed lookups are marked in their own cell rather than in a column.
+const TABLE_COLUMNS = IDENTIFY_COLUMNS.filter(column => !['lat', 'lng', 'placeFips', 'stateFips', 'vtdName', 'lookupErrors'].includes(column.key));
+const DETAIL_COLUMNS = IDENTIFY_COLUMNS.filter(column => column.key !== 'lookupErrors');
+
+const IdentifyPanel = () => {
+  const {
+    cursorTool,
+    setCursorTool,
+    identifyResults,
+    identifyProgress,
+    identifyPoints,
+    clearIdentifyResults
+  } = useMap();
+
+  const { isDarkMode } = useUI();
+
+  const [coordinateText, setCoordinateText] = useState('');
+  const [parseErrors, setParseErrors] = useState([]);
+
+  if (cursorTool !== CURSOR_TOOLS.IDENTIFY && identifyResults.length === 0) return null;
+
+  const completed = identifyResults.filter(row => !row.loading);
+  const single = identifyResults.length === 1 ? identifyResults[0] : null;
+
+  const handleIdentifyList = () => {
+    const { points, errors } = parseCoordinateList(coordinateText);
+    setParseErrors(errors);
+    if (points.length > 0) {
+      identifyPoints(points);
+      if (errors.length === 0) setCoordinateText('');
+    }
+  };
+
+  const handleClose = () => {
+    clearIdentifyResults();
+    setParseErrors([]);
+    setCursorTool(CURSOR_TOOLS.DRAG);
+  };
+
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = `px-2 py-1 text-xs rounded flex items-center space-x-1 transition-colors ${
+    isDarkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-gray-100 text-gray-700'
+  }`;
+
+  return (
+    <div className={`absolute bottom-4 right-4 z-[999] w-96 max-w-[calc(100%-2rem)] ${isDarkMode ? 'bg-gray-800 border-gray-600 text-gray-200' : 'bg-white border-gray-200 text-gray-800'} rounded-lg shadow-lg border p-3`}>
+      {/* Header */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Info className="h-4 w-4 text-red-600" />
+          <span className="text-sm font-semibold">Identify</span>
+        </div>
+        <button onClick={handleClose} className={buttonClass} title="Close identify tool">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <p className={`text-xs mb-2 ${mutedText}`}>
+        Click the map, or paste one point per line as &quot;lat, lng&quot; (an optional label may come first).
+      </p>
+
+      {/* Pasted coordinates */}
+      <textarea
+        value={coordinateText}
+        onChange={(e) => setCoordinateText(e.target.value)}
+        rows={3}
+        placeholder={'32.7767, -96.7970\nHQ, 29.7604, -95.3698'}
+        className={`w-full text-xs font-mono p-2 rounded border ${isDarkMode ? 'bg-gray-900 border-gray-600' : 'bg-white border-gray-300'}`}
+      />
+      <div className="flex items-center justify-between mt-1">
+        <span className={`text-xs ${mutedText}`}>
+          {identifyProgress && (
+            <span className="flex items-center space-x-1">
+              <Loader2 className="h-3 w-3 animate-spin" />
+              <span>{identifyProgress.done} / {identifyProgress.total}</span>
+            </span>
+          )}
+        </span>
+        <button
+          onClick={handleIdentifyList}
+          disabled={!coordinateText.trim()}
+          className="px-3 py-1 text-xs rounded bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+        >
+          Identify
+        </button>
+      </div>
+
+      {parseErrors.length > 0 && (
+        <div className="mt-1 text-xs text-red-500">
+          Skipped {parseErrors.length} line{parseErrors.length === 1 ? '' : 's'}: {parseErrors.slice(0, 3).map(error => `line ${error.line}`).join(', ')}
+          {parseErrors.length > 3 && '…'}
+        </div>
+      )}
+
+      {/* Results */}
+      {single && (
+        <dl className="mt-3 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+          {single.loading ? (
+            <dd className={`col-span-2 ${mutedText}`}>Identifying…</dd>
+          ) : (
+            DETAIL_COLUMNS
+              .filter(column => (single[column.key] !== null && single[column.key] !== '') || single.errors?.[column.key])
+              .map(column => (
+                <React.Fragment key={column.key}>
+                  <dt className={mutedText}>{column.label}</dt>
+                  {single.errors?.[column.key] ? (
+                    <dd className="text-red-500">Lookup failed ({single.errors[column.key]})</dd>
+                  ) : (
+                    <dd className="font-medium">{single[column.key]}</dd>
+                  )}
+                </React.Fragment>
+              ))
+          )}
+        </dl>
+      )}
+
+      {identifyResults.length > 1 && (
+        <div className="mt-3 max-h-64 overflow-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className={mutedText}>
+                {TABLE_COLUMNS.map(column => (
+                  <th key={column.key} className="text-left font-medium pr-2 pb-1 whitespace-nowrap">{column.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {identifyResults.map(row => (
+                <tr key={row.id} className={`border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-100'}`}>
+                  {TABLE_COLUMNS.map(column => (
+                    <td key={column.key} className="pr-2 py-1 whitespace-nowrap">
+                      {row.loading && column.key !== 'label'
+                        ? '…'
+                        : row.errors?.[column.key]
+                          ? <span className="text-red-500" title={row.errors[column.key]}>failed</span>
+                          : (row[column.key] ?? '')}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {identifyResults.length > 0 && (
+        <div className="flex justify-end space-x-1 mt-2">
+          <button
+            onClick={() => exportIdentifyResultsCSV(completed, IDENTIFY_COLUMNS)}
+            disabled={completed.length === 0}
+            className={`${buttonClass} disabled:opacity-50`}
+          >
+            <Download className="h-3 w-3" />
+            <span>Download CSV</span>
+          </button>
+          <button onClick={clearIdentifyResults} className={buttonClass}>
+            <Trash2 className="h-3 w-3" />
+            <span>Clear</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IdentifyPanel;
@@ -4,6 +4,10 @@ import MapController from './MapController';
 import DrawingControls from './DrawingControls';
 import MapMarkers from './MapMarkers';
 import BoundaryLayers from './BoundaryLayers';
+import IdentifyMarkers from './IdentifyMarkers';
+import WalkListLayer from './WalkListLayer';
+import SelectionTool from './SelectionTool';
+import SelectionLayer from './SelectionLayer';
 import { useMap, CURSOR_TOOLS } from '../../contexts/MapContext';
 import { useResults } from '../../contexts/ResultsContext';
 import { useSearch } from '../../contexts/SearchContext';
@@ -53,7 +57,14 @@ const MapContainer = React.memo(({
     showHatching,
     neighboringZips,
     setNeighboringZips,
-    cursorTool
+    boundaryTileTypes,
+    cursorTool,
+    identifyResults,
+    identifyPoints,
+    walkListTurfs,
+    activeTurfId,
+    setActiveTurfId,
+    selectionLayer
   } = useMap();
 
   const {
@@ -61,13 +72,14 @@ const MapContainer = React.memo(({
     addressResults,
     geocodeResults,
     countyResults,
+    cityResults,
     removedItems,
     getRemovalKey,
     setRemovedItems,
     setZipResults
   } = useResults();
 
-  const { addressSearches, activeAddressSearchId, removeRadiusSearch, updateAggregatedResults } = useSearch();
+  const { addressSearches, activeAddressSearchId, removeRadiusSearch, updateAggregatedResults, moveGeocodeResult, toggleSelection } = useSearch();
 
   const { activeTab, setActiveTab, setToastMessage, setToastType } = useUI();
 
@@ -75,8 +87,36 @@ const MapContainer = React.memo(({
 
   // Determine if we should show crosshair cursor
   // Only show crosshair when in Radial Point tool mode AND in a mode that supports click-to-place
-  const isRadialSearchMode = searchMode === 'radius' || (searchMode === 'address' && addressSubMode === 'radius');
-  const shouldShowCrosshair = cursorTool === CURSOR_TOOLS.RADIAL && isRadialSearchMode;
+  const isRadialSearchMode = searchMode === 'radius' || searchMode === 'isochrone' || (searchMode === 'address' && addressSubMode === 'radius');
+  const shouldShowCrosshair = (cursorTool === CURSOR_TOOLS.RADIAL && isRadialSearchMode) ||
+    cursorTool === CURSOR_TOOLS.IDENTIFY ||
+    cursorTool === CURSOR_TOOLS.SELECT;
+
+  const handleIdentifyClick = useCallback((latlng) => {
+    identifyPoints([{ lat: latlng.lat, lng: latlng.lng, label: '' }]);
+  }, [identifyPoints]);
+
+  // Select tool picks from the boundaries already drawn for its layer
+  const handleSelectionPick = useCallback(async (target) => {
+    const loaded = {
+      zcta: zipBoundariesData,
+      county: countyBoundaries,
+      place: cityBoundariesData,
+      vtd: vtdBoundariesData
+    }[selectionLayer];
+
+    try {
+      const outcome = await toggleSelection(selectionLayer, target, loaded);
+      if (outcome?.picked === 0) {
+        setToastMessage(target.bounds ? 'No boundaries inside the box' : 'No boundary here');
+        setToastType('info');
+      }
+    } catch (error) {
+      console.error('[Selection] Pick failed:', error);
+      setToastMessage('Could not look up the selected area');
+      setToastType('error');
+    }
+  }, [selectionLayer, zipBoundariesData, countyBoundaries, cityBoundariesData, vtdBoundariesData, toggleSelection, setToastMessage, setToastType]);
 
   // Determine if we should show drawing controls
   const shouldShowDrawingControls = searchMode === 'polygon' || (searchMode === 'address' && addressSubMode === 'polygon');
@@ -121,6 +161,7 @@ const MapContainer = React.memo(({
         center={mapCenter}
         zoom={mapZoom}
         onMapClick={handleMapClick}
+        onIdentifyClick={handleIdentifyClick}
         crosshairCursor={shouldShowCrosshair}
         onViewportChange={handleViewportChange}
         cursorTool={cursorTool}
@@ -159,8 +200,19 @@ const MapContainer = React.memo(({
         addressSearches={addressSearches}
         activeAddressSearchId={activeAddressSearchId}
         removeRadiusSearch={removeRadiusSearch}
+        onGeocodeResultMove={moveGeocodeResult}
       />
 
+      {/* Identify tool pins */}
+      <IdentifyMarkers results={identifyResults} />
+
+      {/* Select tool and the boundaries it picked */}
+      <SelectionTool active={cursorTool === CURSOR_TOOLS.SELECT} onPick={handleSelectionPick} />
+      <SelectionLayer radiusSearches={radiusSearches} activeRadiusSearchId={activeRadiusSearchId} />
+
+      {/* Walk list turfs */}
+      <WalkListLayer turfs={walkListTurfs} activeTurfId={activeTurfId} onSelectTurf={setActiveTurfId} />
+
       {/* Boundary Layers */}
       <BoundaryLayers
         showCountyBorders={showCountyBorders}
@@ -187,6 +239,9 @@ const MapContainer = React.memo(({
         setZipResults={setZipResults}
         neighboringZips={neighboringZips}
         setNeighboringZips={setNeighboringZips}
+        boundaryTileTypes={boundaryTileTypes}
+        cityResults={cityResults}
+        vectorTilesInteractive={cursorTool === CURSOR_TOOLS.DRAG}
         updateAggregatedResults={updateAggregatedResults}
         setToastMessage={setToastMessage}
         setToastType={setToastType}
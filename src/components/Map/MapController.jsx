@@ -3,7 +3,7 @@ import { useMap } from 'react-leaflet';
 import { useUI } from '../../contexts/UIContext';
 import { CURSOR_TOOLS } from '../../contexts/MapContext';
 
-const MapController = ({ center, zoom, onMapClick, crosshairCursor, onViewportChange, cursorTool, isRadialSearchMode }) => {
+const MapController = ({ center, zoom, onMapClick, onIdentifyClick, crosshairCursor, onViewportChange, cursorTool, isRadialSearchMode }) => {
   const map = useMap();
   const [isModifierKeyPressed, setIsModifierKeyPressed] = useState(false);
   const [initialViewSet, setInitialViewSet] = useState(false);
@@ -43,14 +43,20 @@ const MapController = ({ center, zoom, onMapClick, crosshairCursor, onViewportCh
   }, [center, zoom, map, initialViewSet]);
 
   useEffect(() => {
-    if (onMapClick) {
+    if (onMapClick || onIdentifyClick) {
       // Wrap the click handler to check for modifier key and cursor tool
       const handleMapClick = (e) => {
+        // Identify tool reports the geographies under the click in any search mode
+        if (cursorTool === CURSOR_TOOLS.IDENTIFY) {
+          if (onIdentifyClick && !isModifierKeyPressed) onIdentifyClick(e.latlng);
+          return;
+        }
+
         // Only trigger radius placement if:
         // 1. Radial Point tool is selected
         // 2. We're in a search mode that supports radius placement
         // 3. Command/Windows key is NOT held
-        if (cursorTool === CURSOR_TOOLS.RADIAL && isRadialSearchMode && !isModifierKeyPressed) {
+        if (onMapClick && cursorTool === CURSOR_TOOLS.RADIAL && isRadialSearchMode && !isModifierKeyPressed) {
           onMapClick(e);
         }
       };
@@ -60,7 +66,7 @@ const MapController = ({ center, zoom, onMapClick, crosshairCursor, onViewportCh
         map.off('click', handleMapClick);
       };
     }
-  }, [map, onMapClick, isModifierKeyPressed, cursorTool, isRadialSearchMode]);
+  }, [map, onMapClick, onIdentifyClick, isModifierKeyPressed, cursorTool, isRadialSearchMode]);
 
   // Track Command/Windows key press
   useEffect(() => {
@@ -208,7 +214,10 @@ const MapController = ({ center, zoom, onMapClick, crosshairCursor, onViewportCh
         z-index: 10000;
         pointer-events: none;
       `;
-      notification.textContent = 'Drag mode - Release ⌘/⊞ to place radius';
+      notification.textContent = {
+        [CURSOR_TOOLS.IDENTIFY]: 'Drag mode - Release ⌘/⊞ to identify',
+        [CURSOR_TOOLS.SELECT]: 'Drag mode - Release ⌘/⊞ to select'
+      }[cursorTool] || 'Drag mode - Release ⌘/⊞ to place radius';
       document.body.appendChild(notification);
 
       return () => {
@@ -218,7 +227,7 @@ const MapController = ({ center, zoom, onMapClick, crosshairCursor, onViewportCh
         }
       };
     }
-  }, [isModifierKeyPressed, crosshairCursor]);
+  }, [isModifierKeyPressed, crosshairCursor, cursorTool]);
 
   return null;
 };
@@ -1,7 +1,8 @@
 import React from 'react';
-import { Map as MapIcon, Globe, Layers, Move, CircleDot } from 'lucide-react';
+import { Map as MapIcon, Globe, Layers, Move, CircleDot, Info, MousePointerClick } from 'lucide-react';
 import { useMap, CURSOR_TOOLS } from '../../contexts/MapContext';
 import { useUI } from '../../contexts/UIContext';
+import { SELECTION_LAYERS } from '../../utils/mapSelectionHelpers';
 
 const MapLayerSelector = () => {
   const {
@@ -10,7 +11,9 @@ const MapLayerSelector = () => {
     showMapLayers,
     setShowMapLayers,
     cursorTool,
-    setCursorTool
+    setCursorTool,
+    selectionLayer,
+    chooseSelectionLayer
   } = useMap();
 
   const { isDarkMode } = useUI();
@@ -23,9 +26,42 @@ const MapLayerSelector = () => {
 
   const cursorOptions = [
     { type: CURSOR_TOOLS.DRAG, label: 'Drag', icon: Move },
-    { type: CURSOR_TOOLS.RADIAL, label: 'Radial Point', icon: CircleDot }
+    { type: CURSOR_TOOLS.RADIAL, label: 'Radial Point', icon: CircleDot },
+    { type: CURSOR_TOOLS.IDENTIFY, label: 'Identify', icon: Info },
+    { type: CURSOR_TOOLS.SELECT, label: 'Select Areas', icon: MousePointerClick }
   ];
 
+  const handleCursorTool = (type) => {
+    setCursorTool(type);
+    if (type === CURSOR_TOOLS.SELECT) chooseSelectionLayer(selectionLayer);
+  };
+
+  // Layer the selection tool picks from
+  const selectionLayerChips = cursorTool === CURSOR_TOOLS.SELECT && (
+    <div className="pt-1">
+      <div className="grid grid-cols-2 gap-1">
+        {SELECTION_LAYERS.map(({ type, label }) => (
+          <button
+            key={type}
+            onClick={() => chooseSelectionLayer(type)}
+            className={`px-2 py-1 text-xs rounded border transition-colors ${
+              selectionLayer === type
+                ? 'border-red-600 text-red-600 font-medium'
+                : isDarkMode
+                  ? 'border-gray-600 text-gray-300 hover:bg-gray-700'
+                  : 'border-gray-200 text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className={`mt-1 text-[10px] leading-tight ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        Click to toggle, shift-drag to box several
+      </p>
+    </div>
+  );
+
   return (
     <>
       {/* Desktop version - always visible on right */}
@@ -56,7 +92,7 @@ const MapLayerSelector = () => {
           {cursorOptions.map(({ type, label, icon: Icon }) => (
             <button
               key={type}
-              onClick={() => setCursorTool(type)}
+              onClick={() => handleCursorTool(type)}
               className={`w-full p-2 text-left rounded flex items-center space-x-2 transition-colors ${
                 cursorTool === type
                   ? 'bg-red-600 text-white'
@@ -69,6 +105,7 @@ const MapLayerSelector = () => {
               <span className="text-sm">{label}</span>
             </button>
           ))}
+          {selectionLayerChips}
         </div>
       </div>
 
@@ -106,7 +143,7 @@ const MapLayerSelector = () => {
               {cursorOptions.map(({ type, label, icon: Icon }) => (
                 <button
                   key={type}
-                  onClick={() => setCursorTool(type)}
+                  onClick={() => handleCursorTool(type)}
                   className={`w-full p-2 text-left rounded flex items-center space-x-2 transition-colors whitespace-nowrap ${
                     cursorTool === type
                       ? 'bg-red-600 text-white'
@@ -119,6 +156,7 @@ const MapLayerSelector = () => {
                   <span className="text-sm">{label}</span>
                 </button>
               ))}
+              {selectionLayerChips}
             </div>
           </div>
           {/* Tab to pull out/collapse */}
@@ -1,7 +1,9 @@
 import React, { useRef, useCallback } from 'react';
-import { Marker, Popup, Circle } from 'react-leaflet';
+import { Marker, Popup, Circle, Polygon } from 'react-leaflet';
 import L from 'leaflet';
 import { useResults } from '../../contexts/ResultsContext';
+import { geometryToLatLngs } from '../../utils/polygonHelpers';
+import isochroneService from '../../services/isochroneService';
 
 // Helper function to darken a hex color for inactive state
 const darkenColor = (hex, percent = 30) => {
@@ -148,11 +150,16 @@ const MapMarkers = ({
   activeRadiusSearchId = null,
   addressSearches = [],
   activeAddressSearchId = null,
-  removeRadiusSearch = null
+  removeRadiusSearch = null,
+  onGeocodeResultMove = null
 }) => {
   // Get markersRef from ResultsContext to allow popup control
   const { markersRef } = useResults();
 
+  // Cached marker handlers outlive renders, so they read the latest callback from a ref
+  const onGeocodeResultMoveRef = useRef(onGeocodeResultMove);
+  onGeocodeResultMoveRef.current = onGeocodeResultMove;
+
   // Icon cache to prevent recreating icons on every render
   const iconCacheRef = useRef(new Map());
 
@@ -271,10 +278,16 @@ const MapMarkers = ({
               }
             }}
             icon={geocodeIcon}
+            draggable={Boolean(onGeocodeResultMove)}
             eventHandlers={getEventHandlers(
               `geocode-${result.id}`,
               () => ({
-                click: () => handleMarkerClick('geocode', result, 'geocode')
+                click: () => handleMarkerClick('geocode', result, 'geocode'),
+                // Dragging corrects a wrong match
+                dragend: (e) => {
+                  const { lat, lng } = e.target.getLatLng();
+                  onGeocodeResultMoveRef.current?.(result.id, { lat, lng });
+                }
               })
             )}
           >
@@ -298,6 +311,11 @@ const MapMarkers = ({
                     </span>
                   </div>
                 )}
+                {result.manual ? (
+                  <div className="text-xs mt-1 text-blue-600">Location corrected manually</div>
+                ) : onGeocodeResultMove && (
+                  <div className="text-xs mt-1 text-gray-500">Drag the pin to correct the location</div>
+                )}
               </div>
             </Popup>
           </Marker>
@@ -363,20 +381,30 @@ const MapMarkers = ({
 
         if (!search.center) return null;
 
+        const overlayPathOptions = {
+          color: isActive ? overlayColor : darkenColor(overlayColor, 30),
+          fillColor: overlayColor,
+          fillOpacity: isActive ? 0.15 : 0.08,
+          weight: isActive ? 2.5 : 1.5,
+          dashArray: isActive ? null : '5, 5'
+        };
+
         return (
           <React.Fragment key={search.id}>
+            {/* Travel-time polygon for isochrone searches */}
+            {shouldShowRadius && search.isochrone?.geometry && (
+              <Polygon
+                positions={geometryToLatLngs(search.isochrone.geometry)}
+                pathOptions={overlayPathOptions}
+              />
+            )}
+
             {/* Radius circle for each search */}
-            {shouldShowRadius && (
+            {shouldShowRadius && !search.isochrone && (
               <Circle
                 center={search.center}
                 radius={search.radius * 1609.34} // Convert miles to meters
-                pathOptions={{
-                  color: isActive ? overlayColor : darkenColor(overlayColor, 30),
-                  fillColor: overlayColor,
-                  fillOpacity: isActive ? 0.15 : 0.08,
-                  weight: isActive ? 2.5 : 1.5,
-                  dashArray: isActive ? null : '5, 5'
-                }}
+                pathOptions={overlayPathOptions}
               />
             )}
 
@@ -405,7 +433,9 @@ const MapMarkers = ({
                       </p>
                     )}
                     <p className="text-xs text-gray-500 mt-1">
-                      {search.radius} mile radius
+                      {search.isochrone
+                        ? `Reachable within ${isochroneService.describe(search.isochrone)}`
+                        : `${search.radius} mile radius`}
                     </p>
                     <p className="text-xs text-gray-400 mt-1">
                       {new Date(search.timestamp).toLocaleString()}
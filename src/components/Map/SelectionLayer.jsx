@@ -0,0 +1,38 @@
+import React from 'react';
+import { GeoJSON } from 'react-leaflet';
+import { selectionKey } from '../../utils/mapSelectionHelpers';
+
+// Boundaries picked into selection searches, in each search's overlay color.
+// Not interactive, so clicks reach the select tool to toggle them off again.
+// Items restored from a share link have no geometry and are not drawn.
+const SelectionLayer = ({ radiusSearches, activeRadiusSearchId }) => {
+  const selections = (radiusSearches || []).filter(entry => entry.selection);
+  if (selections.length === 0) return null;
+
+  return (
+    <>
+      {selections.flatMap(entry => {
+        const color = entry.settings?.overlayColor || '#dc2626';
+        const isActive = entry.id === activeRadiusSearchId;
+
+        return entry.selection.items
+          .filter(item => item.geometry)
+          .map(item => (
+            <GeoJSON
+              key={`selection-${entry.id}-${selectionKey(item)}`}
+              data={item.geometry}
+              interactive={false}
+              style={{
+                color,
+                weight: isActive ? 2.5 : 1.5,
+                fillColor: color,
+                fillOpacity: isActive ? 0.25 : 0.12
+              }}
+            />
+          ));
+      })}
+    </>
+  );
+};
+
+export default SelectionLayer;
@@ -0,0 +1,93 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+const BOX_STYLE = {
+  color: '#dc2626',
+  weight: 1.5,
+  dashArray: '4 4',
+  fillOpacity: 0.08,
+  interactive: false
+};
+
+// The browser still fires a click when a shift-drag ends on the map
+const CLICK_AFTER_BOX_MS = 300;
+
+/**
+ * Select tool: a click picks the boundary under it, a shift-drag draws a box
+ * and picks every boundary centred inside. Shift-drag normally zooms to a box,
+ * so box zoom is off while the tool is active.
+ */
+const SelectionTool = ({ active, onPick }) => {
+  const map = useMap();
+  const onPickRef = useRef(onPick);
+  onPickRef.current = onPick;
+
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const boxZoomEnabled = map.boxZoom.enabled();
+    map.boxZoom.disable();
+
+    let start = null;
+    let box = null;
+    let ignoreClicksUntil = 0;
+
+    const handleClick = (e) => {
+      // Command/Windows key pans the map like the other tools
+      if (e.originalEvent?.metaKey || Date.now() < ignoreClicksUntil) return;
+      onPickRef.current?.({ latlng: e.latlng });
+    };
+
+    const handleMouseDown = (e) => {
+      if (!e.originalEvent?.shiftKey) return;
+      start = e.latlng;
+      map.dragging.disable();
+      box = L.rectangle(L.latLngBounds(start, start), BOX_STYLE).addTo(map);
+    };
+
+    const handleMouseMove = (e) => {
+      if (start) box.setBounds(L.latLngBounds(start, e.latlng));
+    };
+
+    // Listened for on the document so a box released outside the map still ends
+    const handleMouseUp = (event) => {
+      if (!start) return;
+      const bounds = L.latLngBounds(start, map.mouseEventToLatLng(event));
+      start = null;
+      box.remove();
+      box = null;
+      map.dragging.enable();
+
+      if (bounds.getNorthEast().equals(bounds.getSouthWest())) return;
+      ignoreClicksUntil = Date.now() + CLICK_AFTER_BOX_MS;
+      onPickRef.current?.({
+        bounds: {
+          north: bounds.getNorth(),
+          south: bounds.getSouth(),
+          east: bounds.getEast(),
+          west: bounds.getWest()
+        }
+      });
+    };
+
+    map.on('click', handleClick);
+    map.on('mousedown', handleMouseDown);
+    map.on('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+
+    return () => {
+      map.off('click', handleClick);
+      map.off('mousedown', handleMouseDown);
+      map.off('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      if (box) box.remove();
+      map.dragging.enable();
+      if (boxZoomEnabled) map.boxZoom.enable();
+    };
+  }, [map, active]);
+
+  return null;
+};
+
+export default SelectionTool;
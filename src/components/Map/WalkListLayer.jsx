@@ -0,0 +1,61 @@
+import React from 'react';
+import { Polygon, Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+import { turfLabel } from '../../utils/walkListHelpers';
+
+const TURF_STYLE = {
+  color: '#2563eb',
+  weight: 1.5,
+  fillColor: '#3b82f6',
+  fillOpacity: 0.08,
+  dashArray: '4 4'
+};
+
+const ACTIVE_TURF_STYLE = { ...TURF_STYLE, weight: 3, fillOpacity: 0.18, dashArray: null };
+
+const ROUTE_STYLE = { color: '#1d4ed8', weight: 2, opacity: 0.8 };
+
+const START_STYLE = { color: '#ffffff', weight: 2, fillColor: '#16a34a', fillOpacity: 1 };
+
+// Walk list turfs; clicking one selects it, and the selected turf shows its route
+const WalkListLayer = ({ turfs, activeTurfId, onSelectTurf }) => {
+  if (!turfs?.length) return null;
+
+  const activeTurf = turfs.find(turf => turf.id === activeTurfId);
+
+  return (
+    <>
+      {turfs.map(turf => (
+        <Polygon
+          key={`walk-turf-${turf.id}`}
+          positions={turf.geometry.coordinates[0].map(([lng, lat]) => [lat, lng])}
+          pathOptions={turf.id === activeTurfId ? ACTIVE_TURF_STYLE : TURF_STYLE}
+          eventHandlers={{ click: () => onSelectTurf?.(turf.id) }}
+        >
+          <Tooltip sticky>
+            <strong>{turfLabel(turf)}</strong>
+            <br />
+            {turf.doors.length} doors · {turf.distanceMiles.toFixed(2)} mi
+          </Tooltip>
+        </Polygon>
+      ))}
+
+      {activeTurf && (
+        <>
+          <Polyline
+            positions={activeTurf.doors.map(door => [door.lat, door.lng])}
+            pathOptions={ROUTE_STYLE}
+          />
+          <CircleMarker
+            center={[activeTurf.doors[0].lat, activeTurf.doors[0].lng]}
+            radius={6}
+            pathOptions={START_STYLE}
+          >
+            <Tooltip>Start: {activeTurf.doors[0].housenumber} {activeTurf.doors[0].street}</Tooltip>
+          </CircleMarker>
+        </>
+      )}
+    </>
+  );
+};
+
+export default WalkListLayer;
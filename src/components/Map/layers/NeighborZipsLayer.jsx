@@ -1,9 +1,21 @@
 import React, { useState } from 'react';
 import { GeoJSON } from 'react-leaflet';
 
+// Outer rings fade out so the nearest neighbors stand out
+const RING_STYLES = {
+  1: { color: '#2563eb', fillColor: '#3b82f6', fillOpacity: 0.12 },
+  2: { color: '#3b82f6', fillColor: '#60a5fa', fillOpacity: 0.08 },
+  3: { color: '#60a5fa', fillColor: '#93c5fd', fillOpacity: 0.05 }
+};
+
+// ZIP detail lookups run a few at a time when a whole ring is added
+const LOOKUP_CONCURRENCY = 5;
+
+const getFeatureZip = (feature) => feature.properties?.zipcode || feature.properties?.ZCTA5;
+
 /**
  * NeighborZipsLayer - Displays neighboring ZIPs with dashed blue style
- * Users can click on a neighbor ZIP to add it to their search results
+ * Users can click on a neighbor ZIP to add it, or its whole ring, to their search results
  */
 const NeighborZipsLayer = ({
   neighboringZips,
@@ -15,96 +27,116 @@ const NeighborZipsLayer = ({
   setToastType,
   ZipCodeService
 }) => {
-  // Loading state to prevent double-clicks on Add button
+  // Loading state to prevent double-clicks on Add buttons
   const [isAddingZip, setIsAddingZip] = useState(false);
 
   if (!neighboringZips || !neighboringZips.features || neighboringZips.features.length === 0) {
     return null;
   }
 
-  const handleAddNeighborZip = async (zipCode) => {
+  const showToast = (message, type) => {
+    setToastMessage(message);
+    setToastType(type);
+    setTimeout(() => setToastMessage(null), 3000);
+  };
+
+  // Get ZIP details from API
+  const lookupZip = async (zipCode, index = 0) => {
+    const response = await ZipCodeService.search({
+      zipcode: zipCode,
+      limit: 1
+    });
+
+    if (!response.results || response.results.length === 0) return null;
+
+    const zipData = response.results[0];
+    return {
+      id: Date.now() + index,
+      zipCode: zipData.zipcode,
+      city: zipData.city,
+      county: zipData.county,
+      state: zipData.stateCode,
+      lat: zipData.latitude,
+      lng: zipData.longitude,
+      latitude: zipData.latitude,
+      longitude: zipData.longitude,
+      area: 0,
+      overlap: 0,
+      addedManually: true,
+      addedFromNeighbor: true
+    };
+  };
+
+  const handleAddNeighborZips = async (zipCodes, description) => {
     // Prevent double-clicks or rapid invocations
-    if (isAddingZip) return;
+    if (isAddingZip || zipCodes.length === 0) return;
     setIsAddingZip(true);
 
     try {
-      // Get ZIP details from API
-      const response = await ZipCodeService.search({
-        zipcode: zipCode,
-        limit: 1
-      });
-
-      if (response.results && response.results.length > 0) {
-        const zipData = response.results[0];
-        const newZip = {
-          id: Date.now(),
-          zipCode: zipData.zipcode,
-          city: zipData.city,
-          county: zipData.county,
-          state: zipData.stateCode,
-          lat: zipData.latitude,
-          lng: zipData.longitude,
-          latitude: zipData.latitude,
-          longitude: zipData.longitude,
-          area: 0,
-          overlap: 0,
-          addedManually: true,
-          addedFromNeighbor: true
-        };
+      const newZips = [];
+      for (let i = 0; i < zipCodes.length; i += LOOKUP_CONCURRENCY) {
+        const batch = zipCodes.slice(i, i + LOOKUP_CONCURRENCY);
+        const found = await Promise.all(batch.map((zipCode, j) => lookupZip(zipCode, i + j).catch(() => null)));
+        newZips.push(...found.filter(Boolean));
+      }
 
-        // Add to results
-        setZipResults(prev => [...prev, newZip]);
+      if (newZips.length === 0) {
+        showToast(`Failed to fetch details for ${description}`, 'error');
+        return;
+      }
 
-        // Update aggregated results
-        const allZips = [...zipResults, newZip];
-        if (updateAggregatedResults) {
-          updateAggregatedResults(allZips);
-        }
+      // Add to results
+      setZipResults(prev => [...prev, ...newZips]);
 
-        // Remove this ZIP from neighbors since it's now in results
-        setNeighboringZips(prev => {
-          if (!prev || !prev.features) return prev;
-          return {
-            ...prev,
-            features: prev.features.filter(f =>
-              (f.properties?.zipcode || f.properties?.ZCTA5) !== zipCode
-            )
-          };
-        });
-
-        // Show success message
-        setToastMessage(`ZIP ${zipCode} added to results`);
-        setToastType('success');
-        setTimeout(() => setToastMessage(null), 3000);
-      } else {
-        setToastMessage(`Failed to fetch details for ZIP ${zipCode}`);
-        setToastType('error');
-        setTimeout(() => setToastMessage(null), 3000);
+      // Update aggregated results
+      const allZips = [...zipResults, ...newZips];
+      if (updateAggregatedResults) {
+        updateAggregatedResults(allZips);
       }
+
+      // Remove these ZIPs from neighbors since they're now in results
+      const added = new Set(newZips.map(zip => zip.zipCode));
+      setNeighboringZips(prev => {
+        if (!prev || !prev.features) return prev;
+        return {
+          ...prev,
+          features: prev.features.filter(f => !added.has(getFeatureZip(f)))
+        };
+      });
+
+      const missing = zipCodes.length - newZips.length;
+      showToast(
+        `${description} added to results${missing > 0 ? ` (${missing} not found)` : ''}`,
+        missing > 0 ? 'warning' : 'success'
+      );
     } catch (error) {
-      console.error('Error adding neighbor ZIP:', error);
-      setToastMessage(`Error adding ZIP ${zipCode}`);
-      setToastType('error');
-      setTimeout(() => setToastMessage(null), 3000);
+      console.error('Error adding neighbor ZIPs:', error);
+      showToast(`Error adding ${description}`, 'error');
     } finally {
       setIsAddingZip(false);
     }
   };
 
+  const ringZips = (ring) => neighboringZips.features
+    .filter(f => (f.properties?.ring || 1) === ring)
+    .map(getFeatureZip)
+    .filter(Boolean);
+
   return (
     <GeoJSON
       key={`neighbor-zips-${neighboringZips.features.length}`}
       data={neighboringZips}
-      style={() => ({
-        color: '#2563eb', // Blue border
+      style={(feature) => ({
+        ...(RING_STYLES[feature.properties?.ring] || RING_STYLES[1]),
         weight: 2,
         opacity: 0.9,
-        fillColor: '#3b82f6', // Blue fill
-        fillOpacity: 0.1,
         dashArray: '8, 4' // Dashed line pattern
       })}
       onEachFeature={(feature, layer) => {
-        const zipCode = feature.properties?.zipcode || feature.properties?.ZCTA5;
+        const zipCode = getFeatureZip(feature);
+        const ring = feature.properties?.ring || 1;
+        const ringStyle = RING_STYLES[ring] || RING_STYLES[1];
+        const ringCount = ringZips(ring).length;
 
         if (zipCode) {
           // Create popup content
@@ -112,7 +144,7 @@ const NeighborZipsLayer = ({
           popupContent.innerHTML = `
             <div style="min-width: 150px;">
               <strong>ZIP: ${zipCode}</strong><br/>
-              <span style="color: #2563eb; font-size: 12px;">Neighboring ZIP</span><br/>
+              <span style="color: ${ringStyle.color}; font-size: 12px;">Neighboring ZIP · ring ${ring}</span><br/>
               ${feature.properties.city ? `City: ${feature.properties.city}<br/>` : ''}
               ${feature.properties.county ? `County: ${feature.properties.county}<br/>` : ''}
               <button
@@ -121,18 +153,33 @@ const NeighborZipsLayer = ({
               >
                 Add to Results
               </button>
+              ${ringCount > 1 ? `
+              <button
+                id="add-neighbor-ring-${zipCode}"
+                style="margin-top: 8px; margin-left: 4px; padding: 6px 12px; background: white; color: #2563eb; border: 1px solid #2563eb; border-radius: 4px; cursor: pointer; font-weight: 500;"
+              >
+                Add ring ${ring} (${ringCount} ZIPs)
+              </button>` : ''}
             </div>
           `;
 
           layer.bindPopup(popupContent);
 
-          // Add click handler for the add button
+          // Add click handlers for the add buttons
           layer.on('popupopen', () => {
             const addButton = document.getElementById(`add-neighbor-zip-${zipCode}`);
             if (addButton) {
               addButton.addEventListener('click', async () => {
-                await handleAddNeighborZip(zipCode);
+                await handleAddNeighborZips([zipCode], `ZIP ${zipCode}`);
+                layer.closePopup();
+              });
+            }
+
+            const addRingButton = document.getElementById(`add-neighbor-ring-${zipCode}`);
+            if (addRingButton) {
+              addRingButton.addEventListener('click', async () => {
                 layer.closePopup();
+                await handleAddNeighborZips(ringZips(ring), `Ring ${ring} (${ringCount} ZIPs)`);
               });
             }
           });
@@ -148,7 +195,7 @@ const NeighborZipsLayer = ({
             mouseout: (e) => {
               e.target.setStyle({
                 weight: 2,
-                fillOpacity: 0.1
+                fillOpacity: ringStyle.fillOpacity
               });
             }
           });
@@ -0,0 +1,236 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import boundaryTilesService from '../../../services/boundaryTilesService';
+import { featureContainsPoint, GEOMETRY_TYPES } from '../../../utils/mvtHelpers';
+
+const TILE_SIZE = 256;
+
+const hexToRgba = (hex, alpha) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+/**
+ * VectorBoundaryLayer - Draws one boundary type from the self-hosted vector
+ * tiles on canvas tiles, so national coverage stays fast at any zoom.
+ * Zooms past the archive's max zoom reuse (and scale) the deepest tile.
+ *
+ * Hover outlines a boundary and shows its label; clicking toggles it in the
+ * layer's selection and opens a popup with its details.
+ */
+const VectorBoundaryLayer = ({
+  type,
+  minZoom = 0,
+  maxZoom = 14,
+  style,
+  isHighlighted,
+  getLabel,
+  interactive = true,
+  onSelectionChange
+}) => {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const stateRef = useRef({ hoveredId: null, selectedIds: new Set() });
+
+  // Latest props for the Leaflet callbacks, which are created once
+  const propsRef = useRef({});
+  propsRef.current = { style, isHighlighted, getLabel, interactive, onSelectionChange };
+
+  useEffect(() => {
+    const L = window.L;
+    if (!map || !L) return undefined;
+
+    const state = stateRef.current;
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    // Source tile for a display tile, clamped to the archive's max zoom
+    const getSource = (coords) => {
+      const z = Math.min(coords.z, maxZoom);
+      const scale = 2 ** (coords.z - z);
+      return { z, x: Math.floor(coords.x / scale), y: Math.floor(coords.y / scale), scale };
+    };
+
+    const drawTile = (canvas) => {
+      const { tile, source, coords } = canvas._boundary || {};
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      ctx.clearRect(0, 0, TILE_SIZE, TILE_SIZE);
+      if (!tile) return;
+
+      const { style: currentStyle, isHighlighted: highlighted } = propsRef.current;
+      const factor = (source.scale * TILE_SIZE) / tile.extent;
+      const offsetX = (coords.x - source.x * source.scale) * TILE_SIZE;
+      const offsetY = (coords.y - source.y * source.scale) * TILE_SIZE;
+
+      tile.features.forEach(feature => {
+        const id = feature.properties.id;
+        const isSelected = state.selectedIds.has(id);
+        const isHovered = state.hoveredId === id;
+        const inResults = highlighted ? highlighted(feature.properties) : false;
+
+        ctx.beginPath();
+        feature.geometry.forEach(ring => {
+          ring.forEach(([x, y], i) => {
+            const px = x * factor - offsetX;
+            const py = y * factor - offsetY;
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+          });
+        });
+
+        if (feature.type === GEOMETRY_TYPES.POLYGON) {
+          const fillOpacity = isSelected ? 0.35 : isHovered ? 0.2 : inResults ? currentStyle.fillOpacity * 3 : currentStyle.fillOpacity;
+          if (fillOpacity > 0) {
+            ctx.fillStyle = hexToRgba(isSelected ? currentStyle.selectedColor : currentStyle.fillColor, fillOpacity);
+            ctx.fill('evenodd');
+          }
+        }
+
+        ctx.strokeStyle = isSelected ? currentStyle.selectedColor : currentStyle.color;
+        ctx.globalAlpha = currentStyle.opacity;
+        ctx.lineWidth = isSelected || isHovered || inResults ? currentStyle.weight * 2 : currentStyle.weight;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      });
+    };
+
+    const redraw = () => {
+      Object.values(layer._tiles || {}).forEach(({ el }) => drawTile(el));
+    };
+
+    const BoundaryGridLayer = L.GridLayer.extend({
+      createTile(coords, done) {
+        const canvas = L.DomUtil.create('canvas', 'leaflet-tile');
+        canvas.width = TILE_SIZE * pixelRatio;
+        canvas.height = TILE_SIZE * pixelRatio;
+
+        const source = getSource(coords);
+        boundaryTilesService.getTile(type, source.z, source.x, source.y)
+          .then(tile => {
+            canvas._boundary = { tile, source, coords };
+            drawTile(canvas);
+            done(null, canvas);
+          })
+          .catch(error => {
+            console.warn(`[Boundary Tiles] Failed to load ${type} tile ${source.z}/${source.x}/${source.y}:`, error);
+            done(error, canvas);
+          });
+
+        return canvas;
+      }
+    });
+
+    const layer = new BoundaryGridLayer({ minZoom, tileSize: TILE_SIZE, updateWhenZooming: false, pane: 'overlayPane' });
+    layer.redrawBoundaries = redraw;
+    layerRef.current = layer;
+    layer.addTo(map);
+
+    // Feature under a map position, from the tile already drawn there
+    const featureAt = (latlng) => {
+      const zoom = Math.round(map.getZoom());
+      const point = map.project(latlng, zoom);
+      const x = Math.floor(point.x / TILE_SIZE);
+      const y = Math.floor(point.y / TILE_SIZE);
+      const canvas = layer._tiles?.[`${x}:${y}:${zoom}`]?.el;
+      const { tile, source } = canvas?._boundary || {};
+      if (!tile) return null;
+
+      // Position in the source tile's coordinates
+      const tx = ((point.x / TILE_SIZE) / source.scale - source.x) * tile.extent;
+      const ty = ((point.y / TILE_SIZE) / source.scale - source.y) * tile.extent;
+
+      for (let i = tile.features.length - 1; i >= 0; i--) {
+        const feature = tile.features[i];
+        if (feature.type === GEOMETRY_TYPES.POLYGON && featureContainsPoint(feature.geometry, tx, ty)) {
+          return feature;
+        }
+      }
+      return null;
+    };
+
+    const tooltip = L.tooltip({ direction: 'top', offset: [0, -8], opacity: 0.9 });
+    let frame = null;
+    let lastEvent = null;
+
+    const handleMouseMove = (event) => {
+      lastEvent = event;
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        if (!propsRef.current.interactive) return;
+
+        const feature = featureAt(lastEvent.latlng);
+        const id = feature?.properties.id ?? null;
+
+        if (feature) {
+          tooltip.setLatLng(lastEvent.latlng).setContent(propsRef.current.getLabel(feature.properties));
+          if (!map.hasLayer(tooltip)) map.openTooltip(tooltip);
+        } else if (map.hasLayer(tooltip)) {
+          map.closeTooltip(tooltip);
+        }
+
+        if (id !== state.hoveredId) {
+          state.hoveredId = id;
+          map.getContainer().style.cursor = id != null ? 'pointer' : '';
+          redraw();
+        }
+      });
+    };
+
+    const handleMouseOut = () => {
+      if (map.hasLayer(tooltip)) map.closeTooltip(tooltip);
+      if (state.hoveredId != null) {
+        state.hoveredId = null;
+        map.getContainer().style.cursor = '';
+        redraw();
+      }
+    };
+
+    const handleClick = (event) => {
+      if (!propsRef.current.interactive) return;
+      const feature = featureAt(event.latlng);
+      if (!feature) return;
+
+      const { id } = feature.properties;
+      const wasSelected = state.selectedIds.has(id);
+      if (wasSelected) state.selectedIds.delete(id);
+      else state.selectedIds.add(id);
+      redraw();
+
+      const details = Object.entries(feature.properties)
+        .filter(([key]) => key !== 'id' && key !== 'name')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('<br/>');
+      L.popup()
+        .setLatLng(event.latlng)
+        .setContent(`<strong>${propsRef.current.getLabel(feature.properties)}</strong><br/>${id}${details ? `<br/>${details}` : ''}<br/><em>${wasSelected ? 'Removed from' : 'Added to'} selection</em>`)
+        .openOn(map);
+
+      propsRef.current.onSelectionChange?.(Array.from(state.selectedIds));
+    };
+
+    map.on('mousemove', handleMouseMove);
+    map.on('mouseout', handleMouseOut);
+    map.on('click', handleClick);
+
+    return () => {
+      if (frame) cancelAnimationFrame(frame);
+      map.off('mousemove', handleMouseMove);
+      map.off('mouseout', handleMouseOut);
+      map.off('click', handleClick);
+      if (map.hasLayer(tooltip)) map.closeTooltip(tooltip);
+      map.getContainer().style.cursor = '';
+      map.removeLayer(layer);
+      layerRef.current = null;
+    };
+  }, [map, type, minZoom, maxZoom]);
+
+  // Restyle existing tiles when results or colors change
+  useEffect(() => {
+    layerRef.current?.redrawBoundaries();
+  }, [style, isHighlighted]);
+
+  return null;
+};
+
+export default VectorBoundaryLayer;
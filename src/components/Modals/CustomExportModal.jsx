@@ -1,7 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { X } from 'lucide-react';
+import { X, Loader2 } from 'lucide-react';
 import { useSearch } from '../../contexts/SearchContext';
 import { useMap } from '../../contexts/MapContext';
+import {
+  GEO_EXPORT_FORMATS,
+  buildSearchLookup,
+  fetchBoundaryFeatures,
+  dissolveFeatures,
+  buildGeoExport
+} from '../../utils/geoExportHelpers';
+import { DEMOGRAPHIC_FIELDS, DEMOGRAPHIC_KEYS } from '../../services/demographicsService';
+import { formatAddress } from '../../utils/addressNormalizer';
+
+// Tabs whose rows have a boundary to export, and the property that names each feature.
+// There is no VTD results tab; VTD selections are listed, and exported, as ZIPs
+const GEO_EXPORT_TABS = {
+  zips: 'zipCode',
+  cities: 'city',
+  counties: 'county'
+};
+
+// Columns added to ZIP rows by store list searches
+const STORE_KEYS = ['stores', 'nearestStore', 'nearestStoreMiles'];
 
 const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allData }) => {
   const [preset, setPreset] = useState('minimal');
@@ -12,15 +32,27 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
   const [deduplicate, setDeduplicate] = useState(true);
   const [filename, setFilename] = useState('');
   const [selectedSearches, setSelectedSearches] = useState('all');
+  const [format, setFormat] = useState('csv');
+  const [dissolve, setDissolve] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
+  const [exportError, setExportError] = useState(null);
 
   // Import hooks to access search history and settings
-  const { radiusSearches, activeRadiusSearchId } = useSearch() || {};
+  const { radiusSearches, polygonSearches, hierarchySearches, addressSearches, activeRadiusSearchId, demographicsSource } = useSearch() || {};
   const { showCombinedResults } = useMap() || {};
 
+  const searchLookup = buildSearchLookup({ radiusSearches, polygonSearches, hierarchySearches, addressSearches });
+  const getSearchInfo = (item) => searchLookup.get(item.searchIds?.[0]) || { name: '', color: '' };
+
+  const canExportGeo = activeTab in GEO_EXPORT_TABS;
+  const isGeoFormat = format !== 'csv' && canExportGeo;
+  const hasStoreSearches = (radiusSearches || []).some(search => search.store);
+
   // All available columns for export - varies by tab type
   const allAvailableColumns = activeTab === 'streets'
-    ? ['fullAddress', 'housenumber', 'street', 'unit', 'city', 'state', 'postcode', 'lat', 'lng', 'searchName']
-    : ['zipCode', 'city', 'county', 'state', 'lat', 'lng', 'area', 'overlap', 'searchName'];
+    ? ['fullAddress', 'housenumber', 'street', 'unit', 'flats', 'city', 'state', 'postcode', 'lat', 'lng', 'searchName']
+    : ['zipCode', 'city', 'county', 'state', 'lat', 'lng', 'area', 'overlap', ...(hasStoreSearches ? STORE_KEYS : []), ...(demographicsSource ? DEMOGRAPHIC_KEYS : []), 'searchName'];
 
   // Column headers mapping for CSV export
   const columnHeaderMap = {
@@ -37,7 +69,12 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
     housenumber: 'House Number',
     street: 'Street',
     unit: 'Unit',
-    postcode: 'ZIP'
+    flats: 'Building Units',
+    postcode: 'ZIP',
+    stores: 'Stores',
+    nearestStore: 'Nearest Store',
+    nearestStoreMiles: 'Nearest Store (mi)',
+    ...Object.fromEntries(DEMOGRAPHIC_FIELDS.map(({ key, label }) => [key, label]))
   };
 
   // Initialize selected searches based on combined results setting
@@ -71,20 +108,7 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
 
         // Add address data with computed fullAddress field
         dataToExport.forEach(item => {
-          // Build full address string
-          const addressParts = [];
-          if (item.housenumber) addressParts.push(item.housenumber);
-          if (item.street) addressParts.push(item.street);
-          if (item.unit) addressParts.push(`Unit ${item.unit}`);
-
-          const streetAddress = addressParts.join(' ');
-          const cityStateZip = [
-            item.city || '',
-            item.state || '',
-            item.postcode || ''
-          ].filter(Boolean).join(' ');
-
-          const fullAddress = `${streetAddress}, ${cityStateZip}`;
+          const fullAddress = formatAddress(item);
 
           // Find the search name
           let searchName = '';
@@ -100,6 +124,7 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
             housenumber: item.housenumber || '',
             street: item.street || '',
             unit: item.unit || '',
+            flats: item.flats || '',
             city: item.city || '',
             state: item.state || '',
             postcode: item.postcode || '',
@@ -127,13 +152,7 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
         // Add ZIP data with all fields
         dataToExport.forEach(item => {
           // Find the search name for this item
-          let searchName = '';
-          if (item.searchIds && item.searchIds.length > 0 && radiusSearches) {
-            const search = radiusSearches.find(s => s.id === item.searchIds[0]);
-            if (search) {
-              searchName = search.display || search.location || `Search ${search.sequence}`;
-            }
-          }
+          const { name: searchName, color: searchColor } = getSearchInfo(item);
 
           combined.push({
             zipCode: item.zipCode,
@@ -144,7 +163,12 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
             lng: item.lng,
             area: item.area || '',
             overlap: item.overlap || '',
-            searchName: searchName
+            stores: item.stores || '',
+            nearestStore: item.nearestStore || '',
+            nearestStoreMiles: item.nearestStoreMiles ?? '',
+            ...Object.fromEntries(DEMOGRAPHIC_KEYS.map(key => [key, item[key] ?? ''])),
+            searchName: searchName,
+            searchColor
           });
         });
       }
@@ -157,19 +181,7 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
       return data.map(item => {
         // Build full address if not already present
         if (!item.fullAddress) {
-          const addressParts = [];
-          if (item.housenumber) addressParts.push(item.housenumber);
-          if (item.street) addressParts.push(item.street);
-          if (item.unit) addressParts.push(`Unit ${item.unit}`);
-
-          const streetAddress = addressParts.join(' ');
-          const cityStateZip = [
-            item.city || '',
-            item.state || '',
-            item.postcode || ''
-          ].filter(Boolean).join(' ');
-
-          item.fullAddress = `${streetAddress}, ${cityStateZip}`;
+          item.fullAddress = formatAddress(item);
         }
         return item;
       });
@@ -232,8 +244,9 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
     const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}`;
     const exportData = getExportData();
     const count = exportData.length;
-    setFilename(`${activeTab}_${count}rows_${timestamp}.csv`);
-  }, [activeTab, data, allData]);
+    const extension = isGeoFormat ? GEO_EXPORT_FORMATS[format].extension : 'csv';
+    setFilename(`${activeTab}_${count}rows_${timestamp}.${extension}`);
+  }, [activeTab, data, allData, format]);
 
   const handleColumnToggle = (column) => {
     setSelectedColumns(prev =>
@@ -260,8 +273,8 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
       processed = processed.filter(item => {
         let key;
         if (activeTab === 'streets') {
-          // For addresses, create composite key from all address fields
-          key = `${item.housenumber || ''}|${item.street || ''}|${item.unit || ''}|${item.city || ''}|${item.state || ''}|${item.postcode || ''}`;
+          // The one-line form covers every address field
+          key = item.fullAddress || formatAddress(item);
         } else {
           // For other tabs, use zipCode
           key = item.zipCode;
@@ -308,7 +321,105 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
     return lines.join('\n');
   };
 
+  // Rows for boundary exports: ZIP rows keep the selected columns, city and
+  // county rows come from their own result lists
+  const getGeoRows = () => {
+    const filterBySearch = (items) => selectedSearches === 'all'
+      ? items
+      : items.filter(item => item.searchIds && item.searchIds.includes(selectedSearches));
+
+    if (activeTab === 'cities' || activeTab === 'counties') {
+      const items = filterBySearch(allData?.[activeTab] || data || []);
+      const demographicColumns = selectedColumns.filter(col => DEMOGRAPHIC_KEYS.includes(col));
+      return items.map(item => {
+        const { name: searchName, color: searchColor } = getSearchInfo(item);
+        const demographics = Object.fromEntries(demographicColumns.map(col => [col, item[col] ?? '']));
+        return activeTab === 'cities'
+          ? { city: item.name, county: item.county || '', state: item.state, zipCount: item.zipCount || 0, ...demographics, searchName, searchColor }
+          : { county: item.name, state: item.state, zipCount: item.zipCount || 0, cityCount: item.cityCount || 0, ...demographics, searchName, searchColor };
+      });
+    }
+
+    const processed = processData(getExportData(), sortBy, deduplicate);
+    return processed.map(item => {
+      const row = {};
+      selectedColumns.forEach(col => {
+        row[col] = item[col] ?? '';
+      });
+      // Search attributes always travel with the shapes
+      row.overlap = item.overlap ?? '';
+      row.searchName = item.searchName || '';
+      row.searchColor = item.searchColor || '';
+      return row;
+    });
+  };
+
+  const downloadBlob = (blob, name) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleGeoDownload = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    setExportProgress({ loaded: 0, total: 0 });
+
+    try {
+      const rows = getGeoRows();
+      const { features, missing } = await fetchBoundaryFeatures(rows, activeTab, {
+        onProgress: (loaded, total) => setExportProgress({ loaded, total })
+      });
+
+      if (features.length === 0) {
+        throw new Error('No boundaries were found for the selected rows');
+      }
+
+      const baseName = filename.replace(/\.[^.]+$/, '') || activeTab;
+      const nameKey = GEO_EXPORT_TABS[activeTab];
+      let output = features;
+
+      if (dissolve) {
+        const searchNames = [...new Set(features.map(f => f.properties.searchName).filter(Boolean))];
+        const searchColors = [...new Set(features.map(f => f.properties.searchColor).filter(Boolean))];
+        const territory = dissolveFeatures(features, {
+          name: baseName,
+          searchName: searchNames.join(', '),
+          searchColor: searchColors.length === 1 ? searchColors[0] : ''
+        });
+        output = territory ? [territory] : [];
+      }
+
+      downloadBlob(
+        buildGeoExport(output, format, { baseName, nameKey: dissolve ? 'name' : nameKey }),
+        filename
+      );
+
+      localStorage.setItem(`exportColumns_${activeTab}`, JSON.stringify(selectedColumns));
+
+      if (missing.length > 0) {
+        console.warn(`[Export] No boundary found for ${missing.length} rows`);
+      }
+
+      onClose();
+    } catch (error) {
+      console.error('[Export] Boundary export failed:', error);
+      setExportError(error.message || 'Export failed');
+    } finally {
+      setIsExporting(false);
+      setExportProgress(null);
+    }
+  };
+
   const handleDownload = () => {
+    if (isGeoFormat) {
+      handleGeoDownload();
+      return;
+    }
+
     const exportData = getExportData();
     const processed = processData(exportData, sortBy, deduplicate);
     const csv = generateCSV(processed, selectedColumns, includeHeader, delimiter);
@@ -403,6 +514,38 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
             </select>
           </div>
 
+          {/* Format - boundary formats need a tab whose rows have shapes */}
+          {canExportGeo && (
+            <div>
+              <label className="block text-sm font-medium mb-2">Format</label>
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className={`w-full p-2 border rounded ${
+                isDarkMode
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300'
+              }`}
+              >
+                <option value="csv">CSV</option>
+                {Object.entries(GEO_EXPORT_FORMATS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label} - with boundaries</option>
+                ))}
+              </select>
+              {isGeoFormat && (
+                <label className="flex items-center space-x-2 mt-2">
+                  <input
+                    type="checkbox"
+                    checked={dissolve}
+                    onChange={(e) => setDissolve(e.target.checked)}
+                    className="rounded"
+                  />
+                  <span className="text-sm">Dissolve into one territory polygon</span>
+                </label>
+              )}
+            </div>
+          )}
+
           {/* Columns */}
           <div>
             <div className="flex items-center justify-between mb-2">
@@ -441,7 +584,7 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
           <details className={`border rounded p-4 ${isDarkMode ? 'border-gray-600' : 'border-gray-200'}`}>
             <summary className="cursor-pointer font-medium">Advanced Options</summary>
             <div className="mt-4 grid grid-cols-2 gap-4">
-              <div>
+              <div className={isGeoFormat ? 'hidden' : ''}>
                 <label className="block text-sm font-medium mb-1">Delimiter</label>
                 <select
                   value={delimiter}
@@ -476,7 +619,7 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
               </div>
             </div>
             <div className="mt-4 space-y-2">
-              <label className="flex items-center space-x-2">
+              <label className={`flex items-center space-x-2 ${isGeoFormat ? 'hidden' : ''}`}>
                 <input
                   type="checkbox"
                   checked={includeHeader}
@@ -545,7 +688,15 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
         </div>
 
         {/* Footer */}
-        <div className={`px-6 py-4 border-t ${isDarkMode ? 'border-gray-600' : 'border-gray-200'} flex justify-end space-x-3`}>
+        <div className={`px-6 py-4 border-t ${isDarkMode ? 'border-gray-600' : 'border-gray-200'} flex items-center justify-end space-x-3`}>
+          {exportError && (
+            <span className="mr-auto text-sm text-red-500">{exportError}</span>
+          )}
+          {exportProgress && (
+            <span className={`mr-auto text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Loading boundaries… {exportProgress.total > 0 ? `${exportProgress.loaded}/${exportProgress.total}` : ''}
+            </span>
+          )}
           <button
             onClick={onClose}
             className={`px-4 py-2 rounded ${
@@ -558,9 +709,10 @@ const CustomExportModal = ({ isOpen, onClose, data, activeTab, isDarkMode, allDa
           </button>
           <button
             onClick={handleDownload}
-            disabled={selectedColumns.length === 0}
-            className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={(selectedColumns.length === 0 && !isGeoFormat) || isExporting}
+            className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
           >
+            {isExporting && <Loader2 className="h-4 w-4 animate-spin" />}
             Download
           </button>
         </div>
@@ -1,12 +1,32 @@
 import React, { useState, useEffect } from 'react';
-import { X, Link2, Copy, Check, Eye, Edit3, Loader2 } from 'lucide-react';
+import { X, Link2, Copy, Check, Eye, Edit3, Loader2, RefreshCw, History, Trash2 } from 'lucide-react';
 import { useShare } from '../../contexts/ShareContext';
 import { useSearch } from '../../contexts/SearchContext';
 import { useMap } from '../../contexts/MapContext';
 import { useUI } from '../../contexts/UIContext';
+import { SHARE_EXPIRY_OPTIONS } from '../../utils/shareHelpers';
+
+// D1 timestamps are UTC without a zone ("2025-01-31 14:05:00")
+const formatShareDate = (value) => {
+  if (!value) return '';
+  const date = typeof value === 'number'
+    ? new Date(value)
+    : new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
 
 const ShareModal = () => {
-  const { showShareModal, setShowShareModal, createShare, isCreatingShare } = useShare();
+  const {
+    showShareModal,
+    setShowShareModal,
+    createShare,
+    updateShare,
+    deleteShare,
+    fetchShareVersions,
+    ownedShares,
+    sharedState,
+    isCreatingShare
+  } = useShare();
   const {
     searchMode,
     radiusSearches,
@@ -30,6 +50,11 @@ const ShareModal = () => {
   const [copied, setCopied] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
+  const [expiresInDays, setExpiresInDays] = useState(null);
+  const [selectedShareId, setSelectedShareId] = useState('');
+  const [versions, setVersions] = useState(null);
+  const [confirmRevoke, setConfirmRevoke] = useState(false);
+  const [isUpdating, setIsUpdating] = useState(false);
 
   // Generate URL when modal opens or settings change
   useEffect(() => {
@@ -38,33 +63,96 @@ const ShareModal = () => {
       setError(null);
       setCopied(false);
     }
-  }, [showShareModal, shareMode]);
+  }, [showShareModal, shareMode, expiresInDays]);
+
+  // Preselect the link being viewed when we own it, otherwise the newest one
+  useEffect(() => {
+    if (!showShareModal) return;
+    const viewedId = sharedState?.id;
+    const owned = ownedShares.find(share => share.id === viewedId) || ownedShares[0];
+    setSelectedShareId(owned?.id || '');
+    setVersions(null);
+    setConfirmRevoke(false);
+  }, [showShareModal]); // Only when the modal opens
+
+  const buildCurrentState = () => ({
+    searchMode,
+    radiusSearches,
+    addressSearches,
+    polygonSearches,
+    hierarchySearches,
+    csvFullData: csvFullData || [],
+    mapCenter,
+    mapZoom,
+    // Include boundary visibility settings
+    showZipBoundaries,
+    showStateBoundaries,
+    showCityBoundaries,
+    showVtdBoundaries
+  });
+
+  const handleUpdateLink = async () => {
+    if (!selectedShareId) return;
+    setIsUpdating(true);
+    setError(null);
+
+    try {
+      const result = await updateShare(selectedShareId, buildCurrentState(), shareMode, { expiresInDays });
+      setShareUrl(result.url);
+      setVersions(null);
+      showToast?.(`Link updated (version ${result.version})`, 'success');
+    } catch (err) {
+      console.error('Failed to update share link:', err);
+      setError(err.message || 'Failed to update share link.');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleRevokeLink = async () => {
+    if (!selectedShareId) return;
+    setIsUpdating(true);
+    setError(null);
+
+    try {
+      await deleteShare(selectedShareId);
+      showToast?.('Link revoked', 'success');
+      setSelectedShareId('');
+      setShareUrl('');
+      setVersions(null);
+    } catch (err) {
+      console.error('Failed to revoke share link:', err);
+      setError(err.message || 'Failed to revoke share link.');
+    } finally {
+      setConfirmRevoke(false);
+      setIsUpdating(false);
+    }
+  };
+
+  const handleToggleHistory = async () => {
+    if (versions) {
+      setVersions(null);
+      return;
+    }
+
+    try {
+      setVersions(await fetchShareVersions(selectedShareId));
+    } catch (err) {
+      console.error('Failed to load link history:', err);
+      setError(err.message || 'Failed to load link history.');
+    }
+  };
 
   const handleGenerateLink = async () => {
     setIsGenerating(true);
     setError(null);
 
     try {
-      const state = {
-        searchMode,
-        radiusSearches,
-        addressSearches,
-        polygonSearches,
-        hierarchySearches,
-        csvFullData: csvFullData || [],
-        mapCenter,
-        mapZoom,
-        // Include boundary visibility settings
-        showZipBoundaries,
-        showStateBoundaries,
-        showCityBoundaries,
-        showVtdBoundaries
-      };
-
-      const result = await createShare(state, shareMode);
+      const result = await createShare(buildCurrentState(), shareMode, { expiresInDays });
 
       if (result) {
         setShareUrl(result.url);
+        setSelectedShareId(result.id);
       } else {
         setError('Failed to create share link. Please try again.');
       }
@@ -199,6 +287,30 @@ const ShareModal = () => {
                 </p>
               </div>
 
+              {/* Expiration */}
+              <div className="mb-5">
+                <label className={`block text-sm font-medium mb-2 ${
+                  isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                }`}>
+                  Link Expiration
+                </label>
+                <select
+                  value={expiresInDays ?? ''}
+                  onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+                  className={`w-full px-3 py-2 text-sm rounded-lg border ${
+                    isDarkMode
+                      ? 'bg-gray-700 border-gray-600 text-gray-200'
+                      : 'bg-white border-gray-300 text-gray-700'
+                  }`}
+                >
+                  {SHARE_EXPIRY_OPTIONS.map(option => (
+                    <option key={option.label} value={option.value ?? ''}>
+                      {option.value ? `Expires after ${option.label}` : 'Never expires'}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               {/* Generate Button or URL Display */}
               <div className="mb-4">
                 {!shareUrl ? (
@@ -274,11 +386,101 @@ const ShareModal = () => {
                 )}
               </div>
 
+              {/* Links created in this browser can be updated in place or revoked */}
+              {ownedShares.length > 0 && (
+                <div className={`mb-4 p-3 rounded-lg border ${
+                  isDarkMode ? 'border-gray-700' : 'border-gray-200'
+                }`}>
+                  <label className={`block text-sm font-medium mb-2 ${
+                    isDarkMode ? 'text-gray-300' : 'text-gray-700'
+                  }`}>
+                    Update an Existing Link
+                  </label>
+                  <select
+                    value={selectedShareId}
+                    onChange={(e) => {
+                      setSelectedShareId(e.target.value);
+                      setVersions(null);
+                      setConfirmRevoke(false);
+                    }}
+                    className={`w-full px-3 py-2 text-sm rounded-lg border ${
+                      isDarkMode
+                        ? 'bg-gray-700 border-gray-600 text-gray-200'
+                        : 'bg-white border-gray-300 text-gray-700'
+                    }`}
+                  >
+                    <option value="">Select a link…</option>
+                    {ownedShares.map(share => (
+                      <option key={share.id} value={share.id}>
+                        /s/{share.id} · v{share.version || 1} · {formatShareDate(share.updatedAt || share.createdAt)}
+                        {share.expiresAt ? ` · expires ${formatShareDate(share.expiresAt)}` : ''}
+                      </option>
+                    ))}
+                  </select>
+
+                  {selectedShareId && (
+                    <div className="flex gap-2 mt-2">
+                      <button
+                        onClick={handleUpdateLink}
+                        disabled={isUpdating || isCreatingShare}
+                        className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 text-sm rounded-lg bg-red-600 hover:bg-red-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Replace this link's contents with the current view"
+                      >
+                        {isUpdating ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+                        Update Link
+                      </button>
+                      <button
+                        onClick={handleToggleHistory}
+                        className={`flex items-center gap-1.5 px-3 py-2 text-sm rounded-lg border ${
+                          isDarkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                        }`}
+                      >
+                        <History className="h-4 w-4" />
+                        History
+                      </button>
+                      {confirmRevoke ? (
+                        <button
+                          onClick={handleRevokeLink}
+                          disabled={isUpdating}
+                          className="px-3 py-2 text-sm rounded-lg bg-red-700 text-white hover:bg-red-800 disabled:opacity-50"
+                        >
+                          Confirm
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => setConfirmRevoke(true)}
+                          className={`flex items-center gap-1.5 px-3 py-2 text-sm rounded-lg border ${
+                            isDarkMode ? 'border-gray-600 text-gray-300 hover:bg-gray-700' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                          }`}
+                          title="Revoke this link so it no longer opens"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                          Revoke
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  {versions && (
+                    <ul className={`mt-2 max-h-32 overflow-y-auto text-xs space-y-1 ${
+                      isDarkMode ? 'text-gray-400' : 'text-gray-600'
+                    }`}>
+                      {versions.map(version => (
+                        <li key={version.version} className="flex justify-between">
+                          <span>Version {version.version}{version.current ? ' (current)' : ''}</span>
+                          <span>{formatShareDate(version.createdAt)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
               {/* Info */}
               <div className={`p-3 rounded-lg text-sm ${
                 isDarkMode ? 'bg-gray-700/50 text-gray-400' : 'bg-gray-100 text-gray-600'
               }`}>
-                <p className="font-medium mb-1">What's included:</p>
+                <p className="font-medium mb-1">What&apos;s included:</p>
                 <ul className="list-disc list-inside space-y-0.5 text-xs">
                   <li>All search results and data</li>
                   <li>Map view position and zoom</li>
@@ -287,7 +489,9 @@ const ShareModal = () => {
                   <li>Boundary layer visibility</li>
                 </ul>
                 <p className="text-xs mt-2 italic">
-                  Links are permanent and don't expire.
+                  {expiresInDays
+                    ? `Links stop working after ${SHARE_EXPIRY_OPTIONS.find(o => o.value === expiresInDays)?.label}.`
+                    : 'Links are permanent and don\'t expire.'}
                 </p>
               </div>
             </>
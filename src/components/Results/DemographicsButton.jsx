@@ -0,0 +1,151 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Users, ChevronDown, Upload, Trash2, Loader2 } from 'lucide-react';
+import { useUI } from '../../contexts/UIContext';
+import { useSearch } from '../../contexts/SearchContext';
+
+/**
+ * Shows which ACS dataset enriches the results and lets the user import
+ * their own CSV/JSON or go back to the bundled one
+ */
+const DemographicsButton = () => {
+  const { isDarkMode, drawerState, drawerHeight, showToast } = useUI();
+  const { demographicsSource, importDemographics, clearDemographics } = useSearch();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const dropdownRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsBusy(true);
+    try {
+      const source = await importDemographics(file);
+      showToast?.(`Loaded demographics for ${source.zctaCount.toLocaleString()} ZIPs`, 'success');
+    } catch (error) {
+      console.error('[Demographics] Import failed:', error);
+      showToast?.(error.message || 'Could not import demographics', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleClear = async () => {
+    setIsBusy(true);
+    try {
+      await clearDemographics();
+      showToast?.('Removed imported demographics', 'success');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const isDrawerCollapsed = drawerState === 'collapsed';
+  const isSmallHalf = drawerState === 'half' && Number(drawerHeight) < 40;
+  const positionClass = isDrawerCollapsed || isSmallHalf ? 'bottom-full mb-2' : 'top-full mt-2';
+
+  return (
+    <div
+      className={`relative ${isOpen ? 'pointer-events-auto' : 'pointer-events-none'}`}
+      ref={dropdownRef}
+    >
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        onMouseDown={(e) => e.stopPropagation()}
+        className={`p-1 rounded transition-colors flex items-center space-x-1 pointer-events-auto ${
+          isDarkMode ? 'text-white hover:bg-gray-600' : 'text-gray-700 hover:bg-gray-200'
+        }`}
+        title="Demographics"
+      >
+        <Users className="h-4 w-4" />
+        <ChevronDown className={`h-3 w-3 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div
+          className={`absolute right-0 ${positionClass} w-64 rounded-lg shadow-lg border ${
+            isDarkMode
+              ? 'bg-gray-800 border-gray-600 text-white'
+              : 'bg-white border-gray-200 text-gray-900'
+          } z-50`}
+          onMouseDown={(e) => e.stopPropagation()}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className={`p-3 border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <h3 className={`text-sm font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Demographics</h3>
+          </div>
+
+          <div className="p-3 space-y-3 text-xs">
+            {demographicsSource ? (
+              <div className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>
+                <div className="font-medium">{demographicsSource.name}</div>
+                <div>
+                  {demographicsSource.zctaCount.toLocaleString()} ZIPs
+                  {demographicsSource.imported ? ' · imported' : ' · bundled'}
+                </div>
+              </div>
+            ) : (
+              <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>
+                No ACS dataset loaded. Import a CSV with a ZIP or county + state column and
+                population, households, medianIncome, etc.
+              </p>
+            )}
+
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.json"
+              className="hidden"
+              onChange={handleFileChange}
+            />
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isBusy}
+                className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 rounded bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+              >
+                {isBusy ? <Loader2 className="h-3 w-3 animate-spin" /> : <Upload className="h-3 w-3" />}
+                <span>Import</span>
+              </button>
+              {demographicsSource?.imported && (
+                <button
+                  onClick={handleClear}
+                  disabled={isBusy}
+                  className={`flex items-center justify-center gap-1 px-2 py-1.5 rounded disabled:opacity-50 ${
+                    isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                  }`}
+                  title="Remove imported dataset"
+                >
+                  <Trash2 className="h-3 w-3" />
+                  <span>Remove</span>
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DemographicsButton;
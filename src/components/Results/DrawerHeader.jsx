@@ -2,6 +2,8 @@ import React, { useState, useCallback } from 'react';
 import { ChevronUp, ChevronDown, Maximize2, Minimize2, Search, Copy, FileDown, Download, Check, Camera, Loader2, Share2 } from 'lucide-react';
 import DrawerTabs from './DrawerTabs';
 import BoundarySettings from './BoundarySettings';
+import DemographicsButton from './DemographicsButton';
+import WalkListButton from './WalkListButton';
 import { useUI } from '../../contexts/UIContext';
 import { useMap } from '../../contexts/MapContext';
 import { useShare } from '../../contexts/ShareContext';
@@ -185,6 +187,8 @@ const DrawerHeader = React.memo(({
 
       {/* Actions and Boundary Controls */}
       <div className="flex items-center space-x-2">
+        {activeTab === 'streets' && <WalkListButton addresses={filteredAddressResults} />}
+        <DemographicsButton />
         <BoundarySettings />
 
         {/* Share button */}
@@ -1,11 +1,42 @@
-import React, { useEffect, useMemo } from 'react';
-import { Plus, Copy, FileDown } from 'lucide-react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { Plus, Copy, FileDown, Pencil, MapPin, RotateCw, X } from 'lucide-react';
 import { useUI } from '../../contexts/UIContext';
 import { useResults } from '../../contexts/ResultsContext';
+import { useSearch } from '../../contexts/SearchContext';
+import { useMap } from '../../contexts/MapContext';
 
 const ExcludedItems = () => {
   const { excludedSubTab, setExcludedSubTab, isDarkMode } = useUI();
   const { excludedGeos, restoreItem, notFoundAddresses, restoreFromNotFound } = useResults();
+  const { retryNotFoundAddress, placeNotFoundAddress } = useSearch();
+  const { mapRef, mapCenter } = useMap();
+
+  // Inline editing of a not-found address: { id, text, status }
+  const [editingAddress, setEditingAddress] = useState(null);
+
+  const handleRetryAddress = async (address) => {
+    const text = editingAddress.text.trim();
+    if (!text) return;
+
+    setEditingAddress(prev => ({ ...prev, status: 'loading' }));
+    try {
+      const found = await retryNotFoundAddress(address, text);
+      if (found) {
+        setEditingAddress(null);
+      } else {
+        setEditingAddress(prev => ({ ...prev, status: 'notFound' }));
+      }
+    } catch (error) {
+      console.error('Retry geocoding failed:', error);
+      setEditingAddress(prev => ({ ...prev, status: 'error' }));
+    }
+  };
+
+  // Drop the address at the middle of the map; its marker can then be dragged into place
+  const handlePlaceAddress = (address) => {
+    const center = mapRef.current?.getCenter();
+    placeNotFoundAddress(address, center ? { lat: center.lat, lng: center.lng } : { lat: mapCenter[0], lng: mapCenter[1] });
+  };
 
   // Copy excluded items to clipboard
   const copyExcludedItems = () => {
@@ -277,6 +308,8 @@ const ExcludedItems = () => {
               <th className={`px-4 py-2 text-left font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>City</th>
               <th className={`px-4 py-2 text-left font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>State</th>
               <th className={`px-4 py-2 text-left font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>ZIP</th>
+              <th className={`px-4 py-2 text-left font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>Reason</th>
+              <th className="px-2 py-2"></th>
             </tr>
           </thead>
           <tbody>
@@ -302,7 +335,43 @@ const ExcludedItems = () => {
                   {address.businessName || '-'}
                 </td>
                 <td className={`px-4 py-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                  {address.addressString || address.fullAddress || '-'}
+                  {editingAddress?.id === address.id ? (
+                    <form
+                      className="flex items-center space-x-1"
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        handleRetryAddress(address);
+                      }}
+                    >
+                      <input
+                        type="text"
+                        value={editingAddress.text}
+                        onChange={(e) => setEditingAddress(prev => ({ ...prev, text: e.target.value, status: null }))}
+                        autoFocus
+                        className={`flex-1 min-w-[16rem] px-2 py-1 text-xs rounded border ${isDarkMode ? 'bg-gray-900 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`}
+                      />
+                      <button
+                        type="submit"
+                        disabled={editingAddress.status === 'loading'}
+                        className="p-1 text-blue-500 hover:text-blue-700 disabled:opacity-50"
+                        title="Geocode again"
+                      >
+                        <RotateCw className={`h-3 w-3 ${editingAddress.status === 'loading' ? 'animate-spin' : ''}`} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditingAddress(null)}
+                        className="p-1 text-gray-500 hover:text-gray-700"
+                        title="Cancel"
+                      >
+                        <X className="h-3 w-3" />
+                      </button>
+                      {editingAddress.status === 'notFound' && <span className="text-xs text-red-500">Still not found</span>}
+                      {editingAddress.status === 'error' && <span className="text-xs text-red-500">Geocoding failed</span>}
+                    </form>
+                  ) : (
+                    address.addressString || address.fullAddress || '-'
+                  )}
                 </td>
                 <td className={`px-4 py-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                   {address.components?.city || '-'}
@@ -313,6 +382,25 @@ const ExcludedItems = () => {
                 <td className={`px-4 py-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                   {address.components?.zip || '-'}
                 </td>
+                <td className={`px-4 py-2 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {address.reason || '-'}
+                </td>
+                <td className="px-2 py-2 whitespace-nowrap">
+                  <button
+                    onClick={() => setEditingAddress({ id: address.id, text: address.addressString || '', status: null })}
+                    className="text-blue-500 hover:text-blue-700 p-1"
+                    title="Edit address and geocode again"
+                  >
+                    <Pencil className="h-3 w-3" />
+                  </button>
+                  <button
+                    onClick={() => handlePlaceAddress(address)}
+                    className="text-blue-500 hover:text-blue-700 p-1"
+                    title="Place on map (then drag the marker to the right spot)"
+                  >
+                    <MapPin className="h-3 w-3" />
+                  </button>
+                </td>
               </tr>
             ))}
           </tbody>
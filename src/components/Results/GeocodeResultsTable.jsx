@@ -2,6 +2,8 @@ import React, { useMemo } from 'react';
 import { ArrowUpDown, X } from 'lucide-react';
 import { useUI } from '../../contexts/UIContext';
 import { useResults } from '../../contexts/ResultsContext';
+import useVirtualScroll from '../../hooks/useVirtualScroll';
+import SpacerRow, { TABLE_ROW_HEIGHT } from './SpacerRow';
 
 const GeocodeResultsTable = React.memo(({
   data,
@@ -10,7 +12,7 @@ const GeocodeResultsTable = React.memo(({
   handleResultDoubleClick,
   isResultSelected
 }) => {
-  const { isDarkMode } = useUI();
+  const { isDarkMode, tableContainerRef } = useUI();
   const { removeGeocodeResult } = useResults();
 
   const columns = [
@@ -22,9 +24,13 @@ const GeocodeResultsTable = React.memo(({
     { key: 'county', label: 'County' },
     { key: 'lat', label: 'Latitude' },
     { key: 'lng', label: 'Longitude' },
-    { key: 'accuracy', label: 'Accuracy' }
+    { key: 'accuracy', label: 'Accuracy' },
+    { key: 'provider', label: 'Source' }
   ];
 
+  const { visibleItems, offsetY, totalHeight } = useVirtualScroll(data, TABLE_ROW_HEIGHT, null, 10, tableContainerRef);
+  const bottomSpace = totalHeight - offsetY - visibleItems.length * TABLE_ROW_HEIGHT;
+
   const renderCellValue = (result, key) => {
     // Handle special cases
     if (key === 'lat' || key === 'latitude') {
@@ -34,6 +40,15 @@ const GeocodeResultsTable = React.memo(({
       return result.lng ? result.lng.toFixed(6) : 'N/A';
     }
     if (key === 'accuracy') {
+      if (result.manual) {
+        return (
+          <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+            isDarkMode ? 'bg-blue-900/50 text-blue-300' : 'bg-blue-100 text-blue-700'
+          }`} title="Location corrected manually">
+            Manual
+          </span>
+        );
+      }
       if (result.accuracy != null) {
         return (
           <span className={`px-2 py-0.5 rounded text-xs font-medium ${
@@ -89,48 +104,52 @@ const GeocodeResultsTable = React.memo(({
               </td>
             </tr>
           ) : (
-            data.map(result => (
-              <tr
-                key={result.id}
-                data-result-id={`geocode-${result.id}`}
-                onClick={() => handleResultSelect?.('geocode', result)}
-                onDoubleClick={() => handleResultDoubleClick?.('geocode', result)}
-                className={`transition-colors cursor-pointer ${
-                  isResultSelected?.('geocode', result.id)
-                    ? isDarkMode
-                      ? 'bg-red-800/40 border-y border-red-400'
-                      : 'bg-red-100 border-y border-red-300'
-                    : isDarkMode
-                      ? 'border-b border-gray-600 hover:bg-gray-700'
-                      : 'border-b border-gray-100 hover:bg-gray-50'
-                }`}
-              >
-                <td className="px-2 py-2">
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation(); // Prevent row click when removing
-                      removeGeocodeResult(result);
-                    }}
-                    className={`p-1 transition-colors ${
-                      isDarkMode
-                        ? 'text-red-400 hover:text-red-300'
-                        : 'text-red-500 hover:text-red-700'
-                    }`}
-                    title="Remove geocoded address"
-                  >
-                    <X className="h-3 w-3" />
-                  </button>
-                </td>
-                {columns.map(col => (
-                  <td
-                    key={col.key}
-                    className={`px-4 py-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}
-                  >
-                    {renderCellValue(result, col.key)}
+            <>
+              <SpacerRow height={offsetY} colSpan={columns.length + 1} />
+              {visibleItems.map(result => (
+                <tr
+                  key={result.id}
+                  data-result-id={`geocode-${result.id}`}
+                  onClick={() => handleResultSelect?.('geocode', result)}
+                  onDoubleClick={() => handleResultDoubleClick?.('geocode', result)}
+                  className={`transition-colors cursor-pointer ${
+                    isResultSelected?.('geocode', result.id)
+                      ? isDarkMode
+                        ? 'bg-red-800/40 border-y border-red-400'
+                        : 'bg-red-100 border-y border-red-300'
+                      : isDarkMode
+                        ? 'border-b border-gray-600 hover:bg-gray-700'
+                        : 'border-b border-gray-100 hover:bg-gray-50'
+                  }`}
+                >
+                  <td className="px-2 py-2">
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation(); // Prevent row click when removing
+                        removeGeocodeResult(result);
+                      }}
+                      className={`p-1 transition-colors ${
+                        isDarkMode
+                          ? 'text-red-400 hover:text-red-300'
+                          : 'text-red-500 hover:text-red-700'
+                      }`}
+                      title="Remove geocoded address"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
                   </td>
-                ))}
-              </tr>
-            ))
+                  {columns.map(col => (
+                    <td
+                      key={col.key}
+                      className={`px-4 py-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}
+                    >
+                      {renderCellValue(result, col.key)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <SpacerRow height={bottomSpace} colSpan={columns.length + 1} />
+            </>
           )}
         </tbody>
       </table>
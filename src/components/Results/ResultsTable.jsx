@@ -3,6 +3,18 @@ import { ArrowUpDown, X } from 'lucide-react';
 import { useUI } from '../../contexts/UIContext';
 import { useResults } from '../../contexts/ResultsContext';
 import { useSearch } from '../../contexts/SearchContext';
+import { DEMOGRAPHIC_FIELDS } from '../../services/demographicsService';
+import useVirtualScroll from '../../hooks/useVirtualScroll';
+import SpacerRow, { TABLE_ROW_HEIGHT } from './SpacerRow';
+
+const DEMOGRAPHIC_FORMATS = Object.fromEntries(DEMOGRAPHIC_FIELDS.map(field => [field.key, field.format || 'number']));
+
+const formatDemographic = (value, format) => {
+  if (value == null) return '—';
+  return format === 'currency'
+    ? `$${Math.round(value).toLocaleString()}`
+    : Math.round(value).toLocaleString();
+};
 
 const ResultsTable = React.memo(({
   activeTab,
@@ -12,9 +24,23 @@ const ResultsTable = React.memo(({
   handleResultDoubleClick,
   isResultSelected
 }) => {
-  const { isDarkMode } = useUI();
+  const { isDarkMode, tableContainerRef } = useUI();
   const { removeItem } = useResults();
-  const { activeRadiusSearchId, setActiveRadiusSearchId, radiusSearches } = useSearch();
+  const { activeRadiusSearchId, setActiveRadiusSearchId, radiusSearches, demographicsSource } = useSearch();
+
+  // ACS columns are only shown once a dataset is loaded
+  const demographicColumns = demographicsSource
+    ? DEMOGRAPHIC_FIELDS.map(({ key, label }) => ({ key, label }))
+    : [];
+
+  // Store list searches add which store(s) each ZIP belongs to
+  const storeColumns = radiusSearches.some(search => search.store)
+    ? [
+      { key: 'stores', label: 'Stores' },
+      { key: 'nearestStore', label: 'Nearest Store' },
+      { key: 'nearestStoreMiles', label: 'Distance (mi)' }
+    ]
+    : [];
 
   // Define columns for each tab type
   const getColumns = () => {
@@ -29,6 +55,8 @@ const ResultsTable = React.memo(({
           { key: 'lng', label: 'Longitude' },
           { key: 'area', label: 'Area (sq mi)' },
           { key: 'overlap', label: 'Overlap %' },
+          ...storeColumns,
+          ...demographicColumns,
           { key: 'searchSequences', label: 'Search' }
         ];
       case 'cities':
@@ -38,6 +66,7 @@ const ResultsTable = React.memo(({
           { key: 'county', label: 'County' },
           { key: 'lat', label: 'Latitude' },
           { key: 'lng', label: 'Longitude' },
+          ...demographicColumns,
           { key: 'searchSequences', label: 'Search' }
         ];
       case 'counties':
@@ -46,6 +75,7 @@ const ResultsTable = React.memo(({
           { key: 'state', label: 'State' },
           { key: 'lat', label: 'Latitude' },
           { key: 'lng', label: 'Longitude' },
+          ...demographicColumns,
           { key: 'searchSequences', label: 'Search' }
         ];
       case 'states':
@@ -54,6 +84,7 @@ const ResultsTable = React.memo(({
           { key: 'state', label: 'Code' },
           { key: 'lat', label: 'Latitude' },
           { key: 'lng', label: 'Longitude' },
+          ...demographicColumns,
           { key: 'searchSequences', label: 'Search' }
         ];
       default:
@@ -63,6 +94,11 @@ const ResultsTable = React.memo(({
 
   const columns = getColumns();
 
+  // Only the rows in view (plus overscan) are rendered; state searches can
+  // return thousands of ZIPs
+  const { visibleItems, offsetY, totalHeight } = useVirtualScroll(data, TABLE_ROW_HEIGHT, null, 10, tableContainerRef);
+  const bottomSpace = totalHeight - offsetY - visibleItems.length * TABLE_ROW_HEIGHT;
+
   const tabToType = {
     zips: 'zip',
     cities: 'city',
@@ -98,6 +134,15 @@ const ResultsTable = React.memo(({
     if (key === 'overlap') {
       return `${result[key] || 0}%`;
     }
+    if (key === 'stores' || key === 'nearestStore') {
+      return result[key] || '—';
+    }
+    if (key === 'nearestStoreMiles') {
+      return result[key] == null ? '—' : result[key].toFixed(1);
+    }
+    if (DEMOGRAPHIC_FORMATS[key]) {
+      return formatDemographic(result[key], DEMOGRAPHIC_FORMATS[key]);
+    }
 
     if (key === 'searchSequences') {
       const sequences = result.searchSequences || [];
@@ -172,7 +217,8 @@ const ResultsTable = React.memo(({
         </tr>
       </thead>
       <tbody>
-        {data.map(result => (
+        <SpacerRow height={offsetY} colSpan={columns.length + 1} />
+        {visibleItems.map(result => (
           <tr
             key={result.id}
             data-result-id={`${resolveType()}-${result.id}`}
@@ -213,6 +259,7 @@ const ResultsTable = React.memo(({
             ))}
           </tr>
         ))}
+        <SpacerRow height={bottomSpace} colSpan={columns.length + 1} />
       </tbody>
     </table>
   );
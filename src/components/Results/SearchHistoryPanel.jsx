@@ -5,6 +5,21 @@ import { useUI } from '../../contexts/UIContext';
 import { useMap } from '../../contexts/MapContext';
 import { useResults } from '../../contexts/ResultsContext';
 import zipBoundariesService from '../../services/zipBoundariesService';
+import isochroneService from '../../services/isochroneService';
+import { describeSetExpression } from '../../utils/searchSetHelpers';
+import { describeSelection, SELECTION_LAYERS } from '../../utils/mapSelectionHelpers';
+import SetSearchBuilder from './SetSearchBuilder';
+
+// Isochrones have no radius - use the furthest polygon vertex from the centre
+const getSearchRadiusMiles = (search) => {
+  const geometry = search.isochrone?.geometry;
+  if (!geometry || !search.center) return search.radius;
+
+  const rings = geometry.type === 'MultiPolygon' ? geometry.coordinates.flat() : geometry.coordinates;
+  const [lat, lng] = search.center;
+  const cosLat = Math.cos(lat * Math.PI / 180);
+  return rings.flat().reduce((max, [x, y]) => Math.max(max, Math.hypot(y - lat, (x - lng) * cosLat) * 69), 0);
+};
 
 const SearchHistoryPanel = () => {
   const {
@@ -67,20 +82,58 @@ const SearchHistoryPanel = () => {
     };
   }, [activeDropdown]);
 
+  // Center and zoom the map on a {minLat, maxLat, minLng, maxLng} box
+  const fitToBounds = (bounds) => {
+    const centerLat = (bounds.minLat + bounds.maxLat) / 2;
+    const centerLng = (bounds.minLng + bounds.maxLng) / 2;
+    setMapCenter([centerLat, centerLng]);
+
+    // Calculate appropriate zoom to fit the box
+    const latDiff = bounds.maxLat - bounds.minLat;
+    const lngDiff = bounds.maxLng - bounds.minLng;
+    const maxDiff = Math.max(latDiff, lngDiff);
+
+    let zoom = 4;
+    if (maxDiff < 0.1) zoom = 11;
+    else if (maxDiff < 0.5) zoom = 9;
+    else if (maxDiff < 1) zoom = 8;
+    else if (maxDiff < 2) zoom = 7;
+    else if (maxDiff < 5) zoom = 6;
+    else if (maxDiff < 10) zoom = 5;
+
+    setMapZoom(zoom);
+  };
+
   const handleFocusSearch = (search) => {
     // Just focus on the search (center map, set active) without re-executing
     // This is a lightweight operation - no API call needed
     setActiveRadiusSearchId(search.id);
+
+    // Set and selection searches have no center - fit their ZIPs instead
+    if (search.setOperation || search.selection) {
+      const points = (search.results || []).filter(zip => Number.isFinite(zip.lat) && Number.isFinite(zip.lng));
+      if (points.length > 0) {
+        fitToBounds({
+          minLat: Math.min(...points.map(zip => zip.lat)),
+          maxLat: Math.max(...points.map(zip => zip.lat)),
+          minLng: Math.min(...points.map(zip => zip.lng)),
+          maxLng: Math.max(...points.map(zip => zip.lng))
+        });
+      }
+      return;
+    }
+
     if (search.center) {
       setMapCenter(search.center);
       // Calculate appropriate zoom based on radius
-      const zoomLevel = search.radius <= 5 ? 12 : search.radius <= 10 ? 11 : search.radius <= 20 ? 10 : 9;
+      const radius = getSearchRadiusMiles(search);
+      const zoomLevel = radius <= 5 ? 12 : radius <= 10 ? 11 : radius <= 20 ? 10 : 9;
       setMapZoom(zoomLevel);
     }
   };
 
-  // Find neighboring ZIPs that border the ZIPs in this search
-  const handleFindNeighbors = async (search, e) => {
+  // Find neighboring ZIPs up to `rings` rings out from the ZIPs in this search
+  const handleFindNeighbors = async (search, e, rings = 1) => {
     if (e) e.stopPropagation();
 
     // Get ZIPs from this search's results
@@ -116,43 +169,27 @@ const SearchHistoryPanel = () => {
     setLoadingNeighbors(true);
 
     try {
-      // Try to get boundaries from existing data first, otherwise fetch directly
-      let boundaryFeatures = [];
-
-      if (zipBoundariesData && zipBoundariesData.features) {
-        // Use existing boundary data if available
-        boundaryFeatures = zipBoundariesData.features.filter(f =>
-          searchZipCodes.includes(f.properties?.zipcode || f.properties?.ZCTA5)
-        );
-      }
+      // Boundaries already on the map save a request when the adjacency
+      // index is missing and TIGER has to be queried instead
+      const boundaryFeatures = (zipBoundariesData?.features || []).filter(f =>
+        searchZipCodes.includes(f.properties?.zipcode || f.properties?.ZCTA5)
+      );
 
-      // If no boundaries found in existing data, fetch them directly
-      if (boundaryFeatures.length === 0) {
-        showToast('Loading ZIP boundaries...', 'info');
-        const boundariesData = await zipBoundariesService.getMultipleZipBoundaries(
-          searchZipCodes,
-          true // simplified
-        );
-
-        if (boundariesData && boundariesData.features) {
-          boundaryFeatures = boundariesData.features;
-        }
-      }
+      const neighbors = await zipBoundariesService.findNeighborRings(
+        searchZipCodes,
+        rings,
+        existingZipCodes,
+        boundaryFeatures
+      );
 
-      if (boundaryFeatures.length === 0) {
-        showToast('Could not load boundary data for search ZIPs', 'warning');
-        setLoadingNeighbors(false);
-        return;
+      if (rings > 1 && neighbors.properties?.source !== 'index') {
+        showToast('Outer rings need the ZIP adjacency index - showing direct neighbors only', 'warning');
       }
 
-      const neighbors = await zipBoundariesService.findNeighboringZips(
-        boundaryFeatures,
-        existingZipCodes
-      );
-
       if (neighbors && neighbors.features && neighbors.features.length > 0) {
         setNeighboringZips(neighbors);
-        showToast(`Found ${neighbors.features.length} neighboring ZIP codes`, 'success');
+        const ringLabel = neighbors.properties?.rings > 1 ? ` within ${neighbors.properties.rings} rings` : '';
+        showToast(`Found ${neighbors.features.length} neighboring ZIP codes${ringLabel}`, 'success');
       } else {
         showToast('No neighboring ZIPs found', 'info');
       }
@@ -222,7 +259,7 @@ const SearchHistoryPanel = () => {
       if (!search.center) return acc;
 
       const [lat, lng] = search.center;
-      const radiusInDegrees = search.radius / 69; // Rough conversion
+      const radiusInDegrees = getSearchRadiusMiles(search) / 69; // Rough conversion
 
       if (!acc) {
         return {
@@ -242,24 +279,7 @@ const SearchHistoryPanel = () => {
     }, null);
 
     if (bounds) {
-      const centerLat = (bounds.minLat + bounds.maxLat) / 2;
-      const centerLng = (bounds.minLng + bounds.maxLng) / 2;
-      setMapCenter([centerLat, centerLng]);
-
-      // Calculate appropriate zoom to fit all searches
-      const latDiff = bounds.maxLat - bounds.minLat;
-      const lngDiff = bounds.maxLng - bounds.minLng;
-      const maxDiff = Math.max(latDiff, lngDiff);
-
-      let zoom = 4;
-      if (maxDiff < 0.1) zoom = 11;
-      else if (maxDiff < 0.5) zoom = 9;
-      else if (maxDiff < 1) zoom = 8;
-      else if (maxDiff < 2) zoom = 7;
-      else if (maxDiff < 5) zoom = 6;
-      else if (maxDiff < 10) zoom = 5;
-
-      setMapZoom(zoom);
+      fitToBounds(bounds);
     }
   };
 
@@ -269,6 +289,11 @@ const SearchHistoryPanel = () => {
 
   // Get data for a specific search
   const getSearchData = (searchId, dataType) => {
+    // Boundaries picked into a selection search
+    if (dataType === 'areas') {
+      return radiusSearches.find(s => s.id === searchId)?.selection?.items || [];
+    }
+
     let allData = [];
 
     switch (dataType) {
@@ -308,6 +333,8 @@ const SearchHistoryPanel = () => {
       text = data.map(item => `${item.name} County, ${item.state}`).join('\n');
     } else if (dataType === 'states') {
       text = data.map(item => `${item.name}, ${item.state}`).join('\n');
+    } else if (dataType === 'areas') {
+      text = data.map(item => item.name).join('\n');
     }
 
     try {
@@ -337,6 +364,14 @@ const SearchHistoryPanel = () => {
       csv = data.map(item => `${item.name} County, ${item.state}`).join('\n');
     } else if (dataType === 'states') {
       csv = data.map(item => `${item.name}, ${item.state}`).join('\n');
+    } else if (dataType === 'areas') {
+      const layerLabel = Object.fromEntries(SELECTION_LAYERS.map(({ type, singular }) => [type, singular]));
+      csv = ['Layer,ID,Name,ZIPs', ...data.map(item => [
+        layerLabel[item.type] || item.type,
+        item.id,
+        `"${item.name.replace(/"/g, '""')}"`,
+        (item.zipCodes || []).join(' ')
+      ].join(','))].join('\n');
     }
 
     // Generate filename
@@ -370,7 +405,8 @@ const SearchHistoryPanel = () => {
 
   if (!hasSearches) {
     return (
-      <div className={`flex items-center justify-center h-full p-8 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+      <div className={`flex flex-col items-center justify-center h-full p-8 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        {!isAddressMode && <SetSearchBuilder />}
         <div className="text-center">
           <MapPin className="h-12 w-12 mx-auto mb-3 opacity-50" />
           <p className="text-lg font-medium mb-2">No search history</p>
@@ -388,11 +424,12 @@ const SearchHistoryPanel = () => {
 
   return (
     <div className={`p-4 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
-      {/* Header with fit all button */}
-      <div className="flex items-center justify-between mb-4">
+      {/* Header with combine and fit all buttons */}
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
         <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
           Search History
         </h3>
+        {!isAddressMode && <SetSearchBuilder />}
         {includedSearches.length > 1 && (
           <button
             onClick={handleFitAllSearches}
@@ -593,6 +630,16 @@ const SearchHistoryPanel = () => {
                           >
                             States
                           </button>
+                          {search.selection && (
+                            <button
+                              onClick={() => handleCopyData(search.id, 'areas')}
+                              className={`w-full px-3 py-1.5 text-left text-sm transition-colors ${
+                                isDarkMode ? 'hover:bg-gray-600 text-gray-200' : 'hover:bg-gray-100 text-gray-700'
+                              }`}
+                            >
+                              Selected Areas
+                            </button>
+                          )}
                         </div>
                       </div>
                     )}
@@ -662,6 +709,16 @@ const SearchHistoryPanel = () => {
                           >
                             States
                           </button>
+                          {search.selection && (
+                            <button
+                              onClick={() => handleExportCSV(search.id, 'areas')}
+                              className={`w-full px-3 py-1.5 text-left text-sm transition-colors ${
+                                isDarkMode ? 'hover:bg-gray-600 text-gray-200' : 'hover:bg-gray-100 text-gray-700'
+                              }`}
+                            >
+                              Selected Areas
+                            </button>
+                          )}
                         </div>
                       </div>
                     )}
@@ -736,53 +793,108 @@ const SearchHistoryPanel = () => {
                   {isExcluded ? 'Excluded' : 'Exclude'}
                 </button>
 
-                <button
-                  onClick={() => handleToggleSetting(search, 'showRadius')}
-                  className={`flex items-center gap-1.5 px-2.5 py-1 text-xs rounded transition-colors ${
-                    settings.showRadius
-                      ? isDarkMode
-                        ? 'bg-blue-600 text-white hover:bg-blue-500'
-                        : 'bg-blue-500 text-white hover:bg-blue-600'
-                      : isDarkMode
-                        ? 'bg-gray-600 text-gray-200 hover:bg-gray-500'
-                        : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
-                  }`}
-                >
-                  <Map className="h-3.5 w-3.5" />
-                  Radius
-                </button>
-
-                {/* Find Neighbors button - show for radius and polygon searches */}
-                {!isAddressMode && (
+                {!search.setOperation && !search.selection && (
                   <button
-                    onClick={(e) => handleFindNeighbors(search, e)}
-                    disabled={loadingNeighbors}
+                    onClick={() => handleToggleSetting(search, 'showRadius')}
                     className={`flex items-center gap-1.5 px-2.5 py-1 text-xs rounded transition-colors ${
-                      loadingNeighbors
-                        ? 'opacity-50 cursor-not-allowed'
+                      settings.showRadius
+                        ? isDarkMode
+                          ? 'bg-blue-600 text-white hover:bg-blue-500'
+                          : 'bg-blue-500 text-white hover:bg-blue-600'
                         : isDarkMode
                           ? 'bg-gray-600 text-gray-200 hover:bg-gray-500'
                           : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
                     }`}
-                    title="Find ZIPs that border this search's results"
                   >
-                    {loadingNeighbors ? (
-                      <Loader2 className="h-3.5 w-3.5 animate-spin" />
-                    ) : (
-                      <Users className="h-3.5 w-3.5" />
-                    )}
-                    Neighbors
+                    <Map className="h-3.5 w-3.5" />
+                    Radius
                   </button>
                 )}
+
+                {/* Expand by neighbor rings - show for radius and polygon searches */}
+                {!isAddressMode && (
+                  <div
+                    className={`flex items-center text-xs rounded overflow-hidden ${
+                      loadingNeighbors ? 'opacity-50' : ''
+                    } ${
+                      isDarkMode ? 'bg-gray-600 text-gray-200' : 'bg-white text-gray-700 border border-gray-200'
+                    }`}
+                    title="Find ZIPs that border this search's results, 1 to 3 rings out"
+                  >
+                    <span className="flex items-center gap-1.5 px-2.5 py-1">
+                      {loadingNeighbors ? (
+                        <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                      ) : (
+                        <Users className="h-3.5 w-3.5" />
+                      )}
+                      Neighbors
+                    </span>
+                    {[1, 2, 3].map(rings => (
+                      <button
+                        key={rings}
+                        onClick={(e) => handleFindNeighbors(search, e, rings)}
+                        disabled={loadingNeighbors}
+                        className={`px-2 py-1 border-l transition-colors disabled:cursor-not-allowed ${
+                          isDarkMode
+                            ? 'border-gray-500 hover:bg-gray-500'
+                            : 'border-gray-200 hover:bg-gray-100'
+                        }`}
+                        title={`Expand by ${rings} ring${rings === 1 ? '' : 's'}`}
+                      >
+                        +{rings}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Search info */}
+              {search.setOperation && (
+                <div className={`mt-2 pt-2 border-t text-xs ${
+                  isDarkMode ? 'border-gray-600 text-gray-400' : 'border-gray-200 text-gray-500'
+                }`}>
+                  <div className="flex items-center gap-4">
+                    <span className="truncate" title={describeSetExpression(search.setOperation.terms)}>
+                      Set: {describeSetExpression(search.setOperation.terms)}
+                    </span>
+                    <span className="flex-shrink-0">{search.resultsCount} ZIPs</span>
+                    {isActive && (
+                      <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${
+                        isDarkMode ? 'bg-red-600 text-white' : 'bg-red-500 text-white'
+                      }`}>
+                        Active
+                      </span>
+                    )}
+                  </div>
+                </div>
+              )}
+              {search.selection && (
+                <div className={`mt-2 pt-2 border-t text-xs ${
+                  isDarkMode ? 'border-gray-600 text-gray-400' : 'border-gray-200 text-gray-500'
+                }`}>
+                  <div className="flex items-center gap-4">
+                    <span className="truncate" title={search.selection.items.map(item => item.name).join(', ')}>
+                      Selected: {describeSelection(search.selection.items)}
+                    </span>
+                    <span className="flex-shrink-0">{search.resultsCount} ZIPs</span>
+                    {isActive && (
+                      <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${
+                        isDarkMode ? 'bg-red-600 text-white' : 'bg-red-500 text-white'
+                      }`}>
+                        Active
+                      </span>
+                    )}
+                  </div>
+                </div>
+              )}
               {search.center && (
                 <div className={`mt-2 pt-2 border-t text-xs ${
                   isDarkMode ? 'border-gray-600 text-gray-400' : 'border-gray-200 text-gray-500'
                 }`}>
                   <div className="flex items-center gap-4">
-                    <span>Radius: {search.radius} miles</span>
+                    {search.isochrone
+                      ? <span>Reach: {isochroneService.describe(search.isochrone)}</span>
+                      : <span>Radius: {search.radius} miles</span>}
                     <span>Center: {search.center[0].toFixed(4)}, {search.center[1].toFixed(4)}</span>
                     {isActive && (
                       <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${
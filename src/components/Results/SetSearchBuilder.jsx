@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { Plus, X, Loader2, Combine } from 'lucide-react';
+import { useSearch } from '../../contexts/SearchContext';
+import { useUI } from '../../contexts/UIContext';
+import { SET_OPERATIONS, describeSetExpression, validateSetExpression } from '../../utils/searchSetHelpers';
+
+const emptyTerms = () => [{ op: 'union', searchId: '' }, { op: 'union', searchId: '' }];
+
+/**
+ * Build a set search from saved searches, e.g. "A ∪ B − Shape 3"
+ * Terms are applied left to right
+ */
+const SetSearchBuilder = () => {
+  const { radiusSearches, polygonSearches, hierarchySearches, createSetSearch } = useSearch();
+  const { isDarkMode, showToast } = useUI();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [terms, setTerms] = useState(emptyTerms);
+  const [name, setName] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+
+  const groups = [
+    { label: 'Radius & drive time', searches: radiusSearches },
+    { label: 'Shapes', searches: polygonSearches },
+    { label: 'State / county / city', searches: hierarchySearches }
+  ].filter(group => group.searches.length > 0);
+
+  const operandCount = groups.reduce((sum, group) => sum + group.searches.length, 0);
+  if (operandCount < 2) return null;
+
+  const labelFor = (searchId) => groups
+    .flatMap(group => group.searches)
+    .find(search => search.id === searchId)?.label || '?';
+
+  const updateTerm = (index, changes) => {
+    setTerms(prev => prev.map((term, i) => (i === index ? { ...term, ...changes } : term)));
+  };
+
+  const handleCreate = async () => {
+    const validationError = validateSetExpression(terms);
+    if (validationError) {
+      showToast(validationError, 'warning');
+      return;
+    }
+
+    setIsCreating(true);
+    try {
+      const entry = await createSetSearch(terms, name.trim() || null);
+      showToast(`${entry.label}: ${entry.resultsCount} ZIP codes`, 'success');
+      setTerms(emptyTerms());
+      setName('');
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Set search failed:', error);
+      showToast(error.message || 'Could not combine searches', 'error');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const selectClasses = `h-8 px-2 border rounded-lg text-sm outline-none ${
+    isDarkMode ? 'bg-gray-700 text-white border-gray-600' : 'bg-white text-gray-900 border-gray-300'
+  }`;
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className={`flex items-center gap-2 px-3 py-1.5 text-sm rounded-lg transition-colors ${
+          isDarkMode
+            ? 'bg-gray-700 text-gray-200 hover:bg-gray-600'
+            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+        }`}
+        title="Union, intersect or subtract saved searches"
+      >
+        <Combine className="h-4 w-4" />
+        Combine Searches
+      </button>
+    );
+  }
+
+  const preview = terms.every(term => term.searchId)
+    ? describeSetExpression(terms.map(term => ({ ...term, label: labelFor(term.searchId) })))
+    : null;
+
+  return (
+    <div className={`order-last w-full p-3 rounded-lg border ${
+      isDarkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-gray-50 border-gray-200'
+    }`}>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className={`text-sm font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+          Combine Searches
+        </h4>
+        <button
+          onClick={() => setIsOpen(false)}
+          className={`p-1 rounded ${isDarkMode ? 'text-gray-400 hover:bg-gray-600' : 'text-gray-500 hover:bg-gray-200'}`}
+          title="Close"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {terms.map((term, index) => (
+          <div key={index} className="flex items-center gap-2">
+            {index === 0 ? (
+              <span className={`w-28 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Start with</span>
+            ) : (
+              <select
+                value={term.op}
+                onChange={(e) => updateTerm(index, { op: e.target.value })}
+                className={`w-28 ${selectClasses}`}
+              >
+                {Object.entries(SET_OPERATIONS).map(([key, { label, symbol }]) => (
+                  <option key={key} value={key}>{symbol} {label}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={term.searchId}
+              onChange={(e) => updateTerm(index, { searchId: e.target.value })}
+              className={`flex-1 min-w-0 ${selectClasses}`}
+            >
+              <option value="">Select a search…</option>
+              {groups.map(group => (
+                <optgroup key={group.label} label={group.label}>
+                  {group.searches.map(search => (
+                    <option key={search.id} value={search.id}>{search.label}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            {terms.length > 2 && (
+              <button
+                onClick={() => setTerms(prev => prev.filter((_, i) => i !== index))}
+                className={`p-1 rounded ${isDarkMode ? 'text-gray-400 hover:text-red-400' : 'text-gray-500 hover:text-red-600'}`}
+                title="Remove term"
+              >
+                <X className="h-3.5 w-3.5" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <button
+          onClick={() => setTerms(prev => [...prev, { op: 'union', searchId: '' }])}
+          className={`flex items-center gap-1 px-2.5 py-1 text-xs rounded transition-colors ${
+            isDarkMode ? 'bg-gray-600 text-gray-200 hover:bg-gray-500' : 'bg-white text-gray-700 hover:bg-gray-100 border border-gray-200'
+          }`}
+        >
+          <Plus className="h-3.5 w-3.5" />
+          Add search
+        </button>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name (optional)"
+          className={`flex-1 min-w-[120px] ${selectClasses}`}
+        />
+        <button
+          onClick={handleCreate}
+          disabled={isCreating}
+          className="flex items-center gap-1.5 h-8 px-3 text-sm rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+        >
+          {isCreating && <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+          Create
+        </button>
+      </div>
+
+      {preview && (
+        <p className={`mt-2 text-xs truncate ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`} title={preview}>
+          {preview}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SetSearchBuilder;
@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Height of one drawer table row (py-2 cells, text-sm, 1px border), which
+// the windowed tables use to place rows without measuring them
+export const TABLE_ROW_HEIGHT = 37;
+
+/**
+ * Empty row standing in for the rows a windowed table doesn't render, so
+ * the scrollbar keeps the full table's height
+ */
+const SpacerRow = ({ height, colSpan }) => {
+  if (height <= 0) return null;
+  return (
+    <tr aria-hidden="true" style={{ height }}>
+      <td colSpan={colSpan} className="p-0" />
+    </tr>
+  );
+};
+
+export default SpacerRow;
@@ -3,6 +3,8 @@ import { ArrowUpDown, X } from 'lucide-react';
 import { useUI } from '../../contexts/UIContext';
 import { useResults } from '../../contexts/ResultsContext';
 import { useSearch } from '../../contexts/SearchContext';
+import useVirtualScroll from '../../hooks/useVirtualScroll';
+import SpacerRow, { TABLE_ROW_HEIGHT } from './SpacerRow';
 
 const StreetsTable = ({
   data,
@@ -11,7 +13,7 @@ const StreetsTable = ({
   handleResultDoubleClick,
   isResultSelected
 }) => {
-  const { isDarkMode } = useUI();
+  const { isDarkMode, tableContainerRef } = useUI();
   const { removeItem } = useResults();
   const { activeAddressSearchId, setActiveAddressSearchId, addressSearches } = useSearch();
 
@@ -28,6 +30,10 @@ const StreetsTable = ({
     { key: 'searchSequences', label: 'Search' }
   ];
 
+  // Large-area searches return tens of thousands of addresses
+  const { visibleItems, offsetY, totalHeight } = useVirtualScroll(data, TABLE_ROW_HEIGHT, null, 10, tableContainerRef);
+  const bottomSpace = totalHeight - offsetY - visibleItems.length * TABLE_ROW_HEIGHT;
+
   const renderCellValue = (result, key) => {
     if (key === 'searchSequences') {
       const sequences = result.searchSequences || [];
@@ -70,9 +76,13 @@ const StreetsTable = ({
       );
     }
 
-    // Handle unit field - show dash if empty
+    // Handle unit field - fall back to the building's unit range, else a dash
     if (key === 'unit') {
-      return result[key] || '-';
+      if (result.unit) return result.unit;
+      if (result.flats) {
+        return <span className="text-xs text-gray-400" title="Units in this building">{result.flats}</span>;
+      }
+      return '-';
     }
 
     // Handle lat/lng with proper formatting
@@ -109,7 +119,8 @@ const StreetsTable = ({
         </tr>
       </thead>
       <tbody>
-        {data.map(result => (
+        <SpacerRow height={offsetY} colSpan={columns.length + 1} />
+        {visibleItems.map(result => (
           <tr
             key={result.id}
             data-result-id={`address-${result.id}`}
@@ -150,6 +161,7 @@ const StreetsTable = ({
             ))}
           </tr>
         ))}
+        <SpacerRow height={bottomSpace} colSpan={columns.length + 1} />
       </tbody>
     </table>
   );
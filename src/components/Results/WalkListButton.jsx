@@ -0,0 +1,214 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Footprints, ChevronDown, FileDown, Download, Trash2, Loader2 } from 'lucide-react';
+import { useUI } from '../../contexts/UIContext';
+import { useMap } from '../../contexts/MapContext';
+import walkListService from '../../services/walkListService';
+import { DEFAULT_DOORS_PER_TURF, turfLabel } from '../../utils/walkListHelpers';
+
+const MIN_DOORS_PER_TURF = 5;
+const MAX_DOORS_PER_TURF = 500;
+
+/**
+ * Splits the address results into canvassing turfs, lists them and exports
+ * each as a printable PDF or CSV walk list. Turfs are drawn on the map.
+ */
+const WalkListButton = ({ addresses }) => {
+  const { isDarkMode, drawerState, drawerHeight, showToast } = useUI();
+  const { mapRef, walkListTurfs, setWalkListTurfs, activeTurfId, setActiveTurfId } = useMap();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [doorsPerTurf, setDoorsPerTurf] = useState(DEFAULT_DOORS_PER_TURF);
+  const [splitByVtd, setSplitByVtd] = useState(true);
+  const [residentialOnly, setResidentialOnly] = useState(true);
+  const dropdownRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [isOpen]);
+
+  const handleGenerate = async () => {
+    const size = Math.min(MAX_DOORS_PER_TURF, Math.max(MIN_DOORS_PER_TURF, parseInt(doorsPerTurf, 10) || DEFAULT_DOORS_PER_TURF));
+    setDoorsPerTurf(size);
+    setIsBusy(true);
+    try {
+      const { turfs, vtdCount } = await walkListService.generate(addresses, { doorsPerTurf: size, splitByVtd, residentialOnly });
+      setWalkListTurfs(turfs);
+      setActiveTurfId(turfs[0]?.id || null);
+      if (turfs.length === 0) {
+        showToast?.('No addresses to walk', 'error');
+      } else {
+        const doors = turfs.reduce((sum, turf) => sum + turf.doors.length, 0);
+        const inVtds = vtdCount > 0 ? ` in ${vtdCount} VTD${vtdCount === 1 ? '' : 's'}` : '';
+        showToast?.(`${turfs.length} turf${turfs.length === 1 ? '' : 's'}, ${doors.toLocaleString()} doors${inVtds}`, 'success');
+      }
+    } catch (error) {
+      console.error('[Walk List] Generation failed:', error);
+      showToast?.('Could not build walk lists', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSelect = (turf) => {
+    setActiveTurfId(turf.id);
+    const positions = turf.geometry.coordinates[0].map(([lng, lat]) => [lat, lng]);
+    mapRef?.current?.fitBounds(positions, { padding: [40, 40] });
+  };
+
+  const handleClear = () => {
+    setWalkListTurfs([]);
+    setActiveTurfId(null);
+  };
+
+  const isDrawerCollapsed = drawerState === 'collapsed';
+  const isSmallHalf = drawerState === 'half' && Number(drawerHeight) < 40;
+  const positionClass = isDrawerCollapsed || isSmallHalf ? 'bottom-full mb-2' : 'top-full mt-2';
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const iconButton = `p-1 rounded ${isDarkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`;
+
+  return (
+    <div
+      className={`relative ${isOpen ? 'pointer-events-auto' : 'pointer-events-none'}`}
+      ref={dropdownRef}
+    >
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        onMouseDown={(e) => e.stopPropagation()}
+        className={`p-1 rounded transition-colors flex items-center space-x-1 pointer-events-auto ${
+          isDarkMode ? 'text-white hover:bg-gray-600' : 'text-gray-700 hover:bg-gray-200'
+        }`}
+        title="Walk lists"
+      >
+        <Footprints className="h-4 w-4" />
+        <ChevronDown className={`h-3 w-3 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div
+          className={`absolute right-0 ${positionClass} w-72 rounded-lg shadow-lg border ${
+            isDarkMode
+              ? 'bg-gray-800 border-gray-600 text-white'
+              : 'bg-white border-gray-200 text-gray-900'
+          } z-50`}
+          onMouseDown={(e) => e.stopPropagation()}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className={`p-3 border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <h3 className={`text-sm font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Walk Lists</h3>
+          </div>
+
+          <div className="p-3 space-y-2 text-xs">
+            <label className="flex items-center justify-between gap-2">
+              <span>Doors per turf</span>
+              <input
+                type="number"
+                min={MIN_DOORS_PER_TURF}
+                max={MAX_DOORS_PER_TURF}
+                value={doorsPerTurf}
+                onChange={(e) => setDoorsPerTurf(e.target.value)}
+                className={`w-20 px-2 py-1 rounded border ${
+                  isDarkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'
+                }`}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={splitByVtd} onChange={(e) => setSplitByVtd(e.target.checked)} />
+              <span>Keep turfs inside VTDs</span>
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={residentialOnly} onChange={(e) => setResidentialOnly(e.target.checked)} />
+              <span>Skip non-residential buildings</span>
+            </label>
+
+            <button
+              onClick={handleGenerate}
+              disabled={isBusy || addresses.length === 0}
+              className="w-full flex items-center justify-center gap-1 px-2 py-1.5 rounded bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+            >
+              {isBusy ? <Loader2 className="h-3 w-3 animate-spin" /> : <Footprints className="h-3 w-3" />}
+              <span>Build from {addresses.length.toLocaleString()} addresses</span>
+            </button>
+          </div>
+
+          {walkListTurfs.length > 0 && (
+            <>
+              <div className={`max-h-56 overflow-y-auto border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                {walkListTurfs.map(turf => (
+                  <div
+                    key={turf.id}
+                    onClick={() => handleSelect(turf)}
+                    className={`flex items-center justify-between px-3 py-1.5 text-xs cursor-pointer ${
+                      turf.id === activeTurfId
+                        ? isDarkMode ? 'bg-gray-700' : 'bg-blue-50'
+                        : isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <div className="font-medium truncate">{turfLabel(turf)}</div>
+                      <div className={mutedText}>
+                        {turf.doors.length} doors · {turf.distanceMiles.toFixed(2)} mi
+                      </div>
+                    </div>
+                    <div className="flex items-center">
+                      <button
+                        onClick={(e) => { e.stopPropagation(); walkListService.downloadPdf([turf]); }}
+                        className={iconButton}
+                        title="Printable walk list (PDF)"
+                      >
+                        <FileDown className="h-3.5 w-3.5" />
+                      </button>
+                      <button
+                        onClick={(e) => { e.stopPropagation(); walkListService.downloadCsv([turf]); }}
+                        className={iconButton}
+                        title="Walk list CSV"
+                      >
+                        <Download className="h-3.5 w-3.5" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className={`flex gap-2 p-3 border-t text-xs ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <button
+                  onClick={() => walkListService.downloadPdf(walkListTurfs)}
+                  className={`flex-1 px-2 py-1.5 rounded ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'}`}
+                >
+                  All PDF
+                </button>
+                <button
+                  onClick={() => walkListService.downloadCsv(walkListTurfs)}
+                  className={`flex-1 px-2 py-1.5 rounded ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'}`}
+                >
+                  All CSV
+                </button>
+                <button
+                  onClick={handleClear}
+                  className={`flex items-center justify-center px-2 py-1.5 rounded ${isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'}`}
+                  title="Remove turfs from the map"
+                >
+                  <Trash2 className="h-3 w-3" />
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WalkListButton;
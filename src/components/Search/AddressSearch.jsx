@@ -3,6 +3,7 @@ import { Search, RotateCcw, X, ChevronDown, Check, MapPin, Loader2 } from 'lucid
 import { useSearch } from '../../contexts/SearchContext';
 import { useUI } from '../../contexts/UIContext';
 import { geocodingService } from '../../services/geocodingService';
+import { MAX_ADDRESS_RADIUS_MILES } from '../../services/addressApiService';
 
 const AddressSearch = ({
   handleSearch,
@@ -242,9 +243,9 @@ const AddressSearch = ({
               <input
                 type="number"
                 min="1"
-                max="10"
+                max={MAX_ADDRESS_RADIUS_MILES}
                 value={addressRadius}
-                onChange={(e) => setAddressRadius(parseInt(e.target.value) || 1)}
+                onChange={(e) => setAddressRadius(Math.min(parseInt(e.target.value) || 1, MAX_ADDRESS_RADIUS_MILES))}
                 disabled={cooldownActive}
                 className={`w-20 h-9 pl-2 pr-9 border rounded-lg outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 text-center font-medium ${
                   cooldownActive
@@ -0,0 +1,128 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Upload, Loader2 } from 'lucide-react';
+import { useSearch } from '../../contexts/SearchContext';
+import { useMap } from '../../contexts/MapContext';
+import { useUI } from '../../contexts/UIContext';
+import { geometryToLatLngs } from '../../utils/polygonHelpers';
+
+const ACCEPTED_FILES = '.geojson,.json,.kml,.kmz,.zip';
+
+/**
+ * Imports client territories (KML, KMZ, GeoJSON, zipped shapefile) as
+ * polygon searches. Each feature is drawn on the map and searched in turn.
+ */
+const BoundaryImportButton = ({ disabled = false }) => {
+  const { performSingleShapeSearch } = useSearch();
+  const { featureGroupRef, setDrawnShapes, mapRef } = useMap();
+  const { isDarkMode, showToast } = useUI();
+
+  const [isParsing, setIsParsing] = useState(false);
+  const [queue, setQueue] = useState([]);
+  const [progress, setProgress] = useState({ current: 0, total: 0 });
+  const isProcessingRef = useRef(false);
+  const fileInputRef = useRef(null);
+
+  // Search one queued shape per render so every search sees the results and
+  // shape numbers of the ones before it
+  useEffect(() => {
+    if (queue.length === 0 || isProcessingRef.current) return;
+
+    const [shape, ...rest] = queue;
+    isProcessingRef.current = true;
+
+    performSingleShapeSearch(shape, true).finally(() => {
+      isProcessingRef.current = false;
+      setProgress(prev => ({ ...prev, current: prev.current + 1 }));
+      setQueue(rest);
+
+      if (rest.length === 0) {
+        showToast?.(`Imported ${progress.total} shape${progress.total === 1 ? '' : 's'}`, 'success');
+      }
+    });
+  }, [queue, performSingleShapeSearch, showToast, progress.total]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!featureGroupRef.current || !window.L) {
+      showToast?.('Map is not ready yet', 'error');
+      return;
+    }
+
+    setIsParsing(true);
+    try {
+      // Parsers (and the shapefile reader) are only loaded when needed
+      const { parseBoundaryFile } = await import('../../utils/boundaryImportHelpers');
+      const { boundaries, skipped } = await parseBoundaryFile(file);
+
+      if (boundaries.length === 0) {
+        showToast?.('No polygons found in file', 'error');
+        return;
+      }
+
+      const shapes = boundaries.map(({ name, geometry }) => {
+        const layer = window.L.polygon(geometryToLatLngs(geometry), { weight: 2, fillOpacity: 0.15 });
+        featureGroupRef.current.addLayer(layer);
+        return { layer, type: 'polygon', id: layer._leaflet_id, label: name };
+      });
+
+      setDrawnShapes(prev => [...prev, ...shapes]);
+
+      const bounds = window.L.featureGroup(shapes.map(s => s.layer)).getBounds();
+      if (mapRef.current && bounds.isValid()) {
+        mapRef.current.fitBounds(bounds, { padding: [50, 50] });
+      }
+
+      if (skipped > 0) {
+        showToast?.(`Skipped ${skipped} feature${skipped === 1 ? '' : 's'} without polygon geometry`, 'info');
+      }
+
+      setProgress({ current: 0, total: shapes.length });
+      setQueue(prev => [...prev, ...shapes]);
+    } catch (error) {
+      console.error('Boundary import failed:', error);
+      showToast?.(error.message || 'Failed to import file', 'error');
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const isBusy = isParsing || queue.length > 0;
+
+  return (
+    <div className="flex items-center gap-2 w-full">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={ACCEPTED_FILES}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled || isBusy}
+        className={`h-8 px-3 rounded-lg border text-xs font-medium flex items-center gap-1.5 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+          isDarkMode
+            ? 'bg-gray-700 border-gray-600 text-gray-200 hover:bg-gray-600'
+            : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`}
+        title="Import territories from KML, KMZ, GeoJSON or a zipped shapefile"
+      >
+        {isBusy ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Upload className="h-3.5 w-3.5" />}
+        Import boundaries
+      </button>
+      <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        {isParsing
+          ? 'Reading file…'
+          : queue.length > 0
+            ? `Searching shape ${Math.min(progress.current + 1, progress.total)} of ${progress.total}…`
+            : 'KML, KMZ, GeoJSON or zipped shapefile'}
+      </span>
+    </div>
+  );
+};
+
+export default BoundaryImportButton;
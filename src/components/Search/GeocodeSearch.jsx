@@ -1,5 +1,6 @@
 import React, { useEffect, useState, useRef } from 'react';
 import CSVUploadInterface from '../Modals/CSVUploadInterface';
+import GeocoderSettings from './GeocoderSettings';
 import { useSearch } from '../../contexts/SearchContext';
 import { useUI } from '../../contexts/UIContext';
 
@@ -8,7 +9,9 @@ const GeocodeSearch = ({ handleCSVUpload, handleRemoveFile }) => {
     geocodeFile,
     geocodeProcessing,
     geocodeError,
-    geocodeProgress
+    geocodeProgress,
+    geocodeJobStatus,
+    resumeGeocodeJob
   } = useSearch();
 
   const { isDarkMode } = useUI();
@@ -78,16 +81,19 @@ const GeocodeSearch = ({ handleCSVUpload, handleRemoveFile }) => {
         isDarkMode={isDarkMode}
         isGeocodeMode={true}
       />
+      <GeocoderSettings />
       {/* Progress Indicator */}
       {geocodeProgress.total > 0 && geocodeProcessing && (
         <div className={`px-2 pb-2 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
           <div className="flex justify-between text-xs mb-1">
             <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
-              Geocoding addresses...
+              {geocodeProgress.retryAttempt
+                ? `Connection problem, retrying (attempt ${geocodeProgress.retryAttempt + 1})...`
+                : 'Geocoding addresses...'}
             </span>
             <span className={isDarkMode ? 'text-gray-400' : 'text-gray-600'}>
-              {geocodeProgress.processed > 0
-                ? `${geocodeProgress.processed} / ${geocodeProgress.total}`
+              {geocodeProgress.current > 0
+                ? `${geocodeProgress.current} / ${geocodeProgress.total}`
                 : `${Math.floor(displayProgress)}%`
               }
             </span>
@@ -96,14 +102,28 @@ const GeocodeSearch = ({ handleCSVUpload, handleRemoveFile }) => {
             <div
               className="h-2 bg-red-600 rounded transition-all duration-300"
               style={{
-                width: `${geocodeProgress.processed > 0
-                  ? (geocodeProgress.processed / geocodeProgress.total) * 100
+                width: `${geocodeProgress.current > 0
+                  ? (geocodeProgress.current / geocodeProgress.total) * 100
                   : displayProgress}%`
               }}
             />
           </div>
         </div>
       )}
+      {/* Paused job - finished rows are kept, the rest can be resumed */}
+      {geocodeJobStatus === 'paused' && !geocodeProcessing && (
+        <div className={`px-2 pb-2 flex items-center justify-between text-xs ${isDarkMode ? 'bg-gray-800 text-gray-400' : 'bg-white text-gray-600'}`}>
+          <span>
+            Stopped after {geocodeProgress.current} of {geocodeProgress.total} addresses
+          </span>
+          <button
+            onClick={resumeGeocodeJob}
+            className="px-2 py-1 rounded bg-red-600 text-white hover:bg-red-700"
+          >
+            Resume
+          </button>
+        </div>
+      )}
     </>
   );
 };
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { Settings2, ChevronDown, ChevronUp, RotateCcw } from 'lucide-react';
+import geocoderService from '../../services/geocoderService';
+import { useUI } from '../../contexts/UIContext';
+
+const ACCURACY_OPTIONS = [0, 0.5, 0.7, 0.8, 0.9, 1];
+
+/**
+ * Collapsible settings for the geocoder chain behind CSV geocoding: which
+ * geocoders run, in what order, and the accuracy below which a match is
+ * retried with the next one.
+ */
+const GeocoderSettings = () => {
+  const { isDarkMode } = useUI();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [geocoders, setGeocoders] = useState(() => geocoderService.describe());
+  const [minAccuracy, setMinAccuracy] = useState(() => geocoderService.getMinAccuracy());
+
+  useEffect(() => geocoderService.subscribe(() => {
+    setGeocoders(geocoderService.describe());
+    setMinAccuracy(geocoderService.getMinAccuracy());
+  }), []);
+
+  const handleMove = (index, delta) => {
+    const ids = geocoders.map(geocoder => geocoder.id);
+    const target = index + delta;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    geocoderService.setOrder(ids);
+  };
+
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const iconButtonClass = `p-1 rounded disabled:opacity-30 ${
+    isDarkMode ? 'text-gray-400 hover:text-white hover:bg-gray-600' : 'text-gray-500 hover:text-gray-900 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className={`px-2 pb-2 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-1 text-xs ${mutedText} ${isDarkMode ? 'hover:text-white' : 'hover:text-gray-900'}`}
+      >
+        <Settings2 className="h-3 w-3" />
+        <span>Geocoders</span>
+        {isOpen ? <ChevronUp className="h-3 w-3" /> : <ChevronDown className="h-3 w-3" />}
+      </button>
+
+      {isOpen && (
+        <div className={`mt-2 rounded-lg border p-2 ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+          <label className={`flex items-center justify-between text-xs mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+            <span>Retry matches below</span>
+            <select
+              value={minAccuracy}
+              onChange={(e) => geocoderService.setMinAccuracy(e.target.value)}
+              className={`text-xs rounded border px-1 py-0.5 ${isDarkMode ? 'bg-gray-900 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`}
+            >
+              {ACCURACY_OPTIONS.map(value => (
+                <option key={value} value={value}>
+                  {value === 0 ? 'Never' : `${Math.round(value * 100)}% accuracy`}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <p className={`text-xs mb-1 ${mutedText}`}>
+            Tried top to bottom; misses and low-accuracy matches go to the next one.
+          </p>
+
+          {geocoders.map((geocoder, index) => (
+            <div key={geocoder.id} className="flex items-center gap-2 py-1">
+              <input
+                type="checkbox"
+                checked={geocoder.enabled}
+                onChange={(e) => geocoderService.setEnabled(geocoder.id, e.target.checked)}
+                className="h-3.5 w-3.5 accent-red-600"
+                title={geocoder.enabled ? 'Disable' : 'Enable'}
+              />
+              <span className={`flex-1 min-w-0 text-xs truncate ${
+                !geocoder.enabled || !geocoder.configured
+                  ? isDarkMode ? 'text-gray-500' : 'text-gray-400'
+                  : isDarkMode ? 'text-gray-200' : 'text-gray-900'
+              }`}>
+                {geocoder.label}
+                {!geocoder.configured && ' (no key)'}
+              </span>
+              <button onClick={() => handleMove(index, -1)} disabled={index === 0} className={iconButtonClass} title="Try earlier">
+                <ChevronUp className="h-3 w-3" />
+              </button>
+              <button onClick={() => handleMove(index, 1)} disabled={index === geocoders.length - 1} className={iconButtonClass} title="Try later">
+                <ChevronDown className="h-3 w-3" />
+              </button>
+            </div>
+          ))}
+
+          <div className="flex justify-end mt-1">
+            <button
+              onClick={() => geocoderService.resetSettings()}
+              className={`flex items-center gap-1 text-xs ${mutedText} ${isDarkMode ? 'hover:text-white' : 'hover:text-gray-900'}`}
+              title="Default order, geocoders and threshold"
+            >
+              <RotateCcw className="h-3 w-3" />
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GeocoderSettings;
@@ -0,0 +1,215 @@
+import React from 'react';
+import { Search, RotateCcw, X, Car, Footprints, Bike } from 'lucide-react';
+import { useSearch } from '../../contexts/SearchContext';
+import { useUI } from '../../contexts/UIContext';
+import { useMap } from '../../contexts/MapContext';
+import { ISOCHRONE_PROFILES, ISOCHRONE_METRICS } from '../../services/isochroneService';
+import zipInclusionService from '../../services/zipInclusionService';
+import ZipInclusionSelector from './ZipInclusionSelector';
+
+const PROFILE_ICONS = { drive: Car, walk: Footprints, bike: Bike };
+
+/**
+ * Drive-time / drive-distance search. Click the map or enter a location to
+ * search the ZIPs reachable within the chosen minutes or miles.
+ */
+const IsochroneSearch = ({ handleResetSearch }) => {
+  const {
+    searchTerm,
+    setSearchTerm,
+    isSearchMode,
+    isLoading,
+    radiusSearches,
+    activeRadiusSearchId,
+    setActiveRadiusSearchId,
+    removeRadiusSearch,
+    isochroneOptions,
+    setIsochroneOptions,
+    handleIsochroneSearch
+  } = useSearch();
+
+  const { isDarkMode } = useUI();
+  const { mapRef } = useMap();
+
+  const isochroneSearches = radiusSearches.filter(search => search.isochrone);
+  const metric = ISOCHRONE_METRICS[isochroneOptions.metric];
+
+  const updateOption = (key, value) => {
+    setIsochroneOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const focusSearch = (search) => {
+    setActiveRadiusSearchId(search.id);
+    if (mapRef.current && window.L && search.isochrone?.geometry) {
+      const bounds = window.L.geoJSON(search.isochrone.geometry).getBounds();
+      if (bounds.isValid()) {
+        mapRef.current.fitBounds(bounds, { padding: [40, 40] });
+      }
+    }
+  };
+
+  const inputClasses = !isSearchMode
+    ? 'bg-gray-100 text-gray-500 border-gray-300'
+    : isDarkMode
+      ? 'bg-gray-700 text-white border-gray-600 placeholder-gray-400'
+      : 'bg-white text-gray-900 border-gray-300 placeholder-gray-500';
+
+  return (
+    <div className="flex flex-col gap-3 w-full">
+      <div className="flex flex-row items-center gap-3 w-full">
+        {/* Search Input */}
+        <div className="relative flex-1 min-w-0">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 z-10 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search location..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            disabled={!isSearchMode}
+            className={`w-full h-9 pl-9 pr-3 border rounded-lg outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 ${inputClasses}`}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && isSearchMode) {
+                e.preventDefault();
+                handleIsochroneSearch();
+              }
+            }}
+          />
+        </div>
+
+        {/* Search/Reset */}
+        <button
+          onClick={isSearchMode ? (() => handleIsochroneSearch()) : handleResetSearch}
+          disabled={isLoading}
+          className={`h-9 px-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1.5 transition-colors flex-shrink-0 ${
+            isSearchMode
+              ? 'bg-red-600 text-white hover:bg-red-700'
+              : isDarkMode
+                ? 'bg-gray-600 text-white hover:bg-gray-500'
+                : 'bg-gray-600 text-white hover:bg-gray-700'
+          }`}
+        >
+          {isLoading ? (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+          ) : isSearchMode ? (
+            <>
+              <Search className="h-4 w-4" />
+              <span className="text-sm">Search</span>
+            </>
+          ) : (
+            <>
+              <RotateCcw className="h-4 w-4" />
+              <span className="text-sm">Reset</span>
+            </>
+          )}
+        </button>
+      </div>
+
+      {/* Budget and travel mode */}
+      <div className="flex flex-row items-center gap-2 w-full">
+        <input
+          type="number"
+          min={metric.min}
+          max={metric.max}
+          step={isochroneOptions.metric === 'distance' ? 0.5 : 1}
+          value={isochroneOptions.value}
+          onChange={(e) => updateOption('value', parseFloat(e.target.value))}
+          disabled={!isSearchMode}
+          className={`w-20 h-8 px-2 border rounded-lg outline-none focus:ring-2 focus:ring-red-500 text-center text-sm font-medium ${inputClasses}`}
+        />
+        <select
+          value={isochroneOptions.metric}
+          onChange={(e) => updateOption('metric', e.target.value)}
+          disabled={!isSearchMode}
+          className={`h-8 px-2 border rounded-lg text-sm outline-none ${inputClasses}`}
+        >
+          {Object.entries(ISOCHRONE_METRICS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+
+        <div className={`flex rounded-lg p-0.5 ml-auto ${isDarkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+          {Object.entries(ISOCHRONE_PROFILES).map(([key, { label }]) => {
+            const Icon = PROFILE_ICONS[key];
+            const isSelected = isochroneOptions.profile === key;
+            return (
+              <button
+                key={key}
+                type="button"
+                onClick={() => updateOption('profile', key)}
+                disabled={!isSearchMode}
+                title={label}
+                className={`h-7 px-2 rounded flex items-center gap-1 text-xs transition-colors disabled:opacity-50 ${
+                  isSelected
+                    ? `${isDarkMode ? 'bg-gray-600 text-white' : 'bg-white text-gray-900'} shadow-sm`
+                    : `${isDarkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-gray-900'}`
+                }`}
+              >
+                <Icon className="h-3.5 w-3.5" />
+                <span className="hidden sm:inline">{label}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <ZipInclusionSelector disabled={!isSearchMode} />
+
+      {/* Isochrone search chips */}
+      <div className={`min-h-[44px] text-xs px-3 py-2 rounded border ${
+        isDarkMode
+          ? 'text-gray-200 bg-gray-700/50 border-gray-600'
+          : 'text-gray-600 bg-gray-50 border-gray-200'
+      }`}>
+        {isochroneSearches.length === 0 ? (
+          <p className="text-center">
+            Choose a travel time or distance, then click on the map to place the start point or use the search bar above
+          </p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {isochroneSearches.map((search) => {
+              const isActive = search.id === activeRadiusSearchId;
+              return (
+                <div key={search.id} className="relative">
+                  <button
+                    type="button"
+                    onClick={() => focusSearch(search)}
+                    className={`flex items-center gap-2 pl-2 pr-7 py-1.5 rounded-full border text-xs font-medium transition-colors shadow-sm ${
+                      isActive
+                        ? (isDarkMode ? 'bg-red-500/20 border-red-400 text-red-100' : 'bg-red-50 border-red-500 text-red-700')
+                        : (isDarkMode ? 'bg-gray-800/70 border-gray-600 text-gray-200 hover:border-gray-500' : 'bg-white border-gray-200 text-gray-700 hover:border-gray-300')
+                    }`}
+                  >
+                    <span
+                      className="h-2.5 w-2.5 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: search.settings?.overlayColor || '#dc2626' }}
+                    />
+                    <span
+                      className="max-w-[180px] truncate"
+                      title={search.inclusion ? `ZIPs included by ${zipInclusionService.describeInclusion(search.inclusion)}` : undefined}
+                    >
+                      {search.label}
+                    </span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeRadiusSearch(search.id)}
+                    className={`absolute -top-2 -right-2 h-5 w-5 rounded-full flex items-center justify-center border text-[10px] ${
+                      isDarkMode
+                        ? 'bg-gray-800 border-gray-600 text-gray-300 hover:bg-gray-700'
+                        : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-100'
+                    }`}
+                  >
+                    <X className="h-3 w-3" />
+                    <span className="sr-only">Remove {search.label}</span>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default IsochroneSearch;
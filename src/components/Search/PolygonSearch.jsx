@@ -3,6 +3,9 @@ import { RotateCcw, X, ChevronDown, Check, Search, MapPin } from 'lucide-react';
 import { useSearch } from '../../contexts/SearchContext';
 import { useMap } from '../../contexts/MapContext';
 import { useUI } from '../../contexts/UIContext';
+import zipInclusionService from '../../services/zipInclusionService';
+import ZipInclusionSelector from './ZipInclusionSelector';
+import BoundaryImportButton from './BoundaryImportButton';
 
 const PolygonSearch = ({ handleResetSearch, handleSearchInputChange, handleAutocompleteBlur, handleAutocompleteSelect }) => {
   const {
@@ -173,6 +176,10 @@ const PolygonSearch = ({ handleResetSearch, handleSearchInputChange, handleAutoc
         )}
       </div>
 
+      <ZipInclusionSelector disabled={isLoading} />
+
+      <BoundaryImportButton disabled={isLoading} />
+
       {/* Shape history chips */}
       <div className="w-full" ref={chipsContainerRef}>
         <div className={`min-h-[44px] text-xs px-3 py-2 rounded border ${
@@ -202,7 +209,12 @@ const PolygonSearch = ({ handleResetSearch, handleSearchInputChange, handleAutoc
                       onClick={() => focusShape(chip)}
                       className={chipClasses}
                     >
-                      <span className="max-w-[160px] truncate">{chip.label}</span>
+                      <span
+                        className="max-w-[160px] truncate"
+                        title={chip.inclusion ? `ZIPs included by ${zipInclusionService.describeInclusion(chip.inclusion)}` : undefined}
+                      >
+                        {chip.label}
+                      </span>
                       <ChevronDown className="h-3.5 w-3.5" />
                     </button>
                     <button
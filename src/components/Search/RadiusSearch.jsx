@@ -4,6 +4,9 @@ import { useSearch } from '../../contexts/SearchContext';
 import { useUI } from '../../contexts/UIContext';
 import { useMap } from '../../contexts/MapContext';
 import { geocodingService } from '../../services/geocodingService';
+import zipInclusionService from '../../services/zipInclusionService';
+import ZipInclusionSelector from './ZipInclusionSelector';
+import StoreListImportButton from './StoreListImportButton';
 
 const getZoomForRadius = (value) => {
   const radius = Number(value);
@@ -245,6 +248,10 @@ const RadiusSearch = ({
         </button>
       </div>
 
+      <ZipInclusionSelector disabled={!isSearchMode} />
+
+      <StoreListImportButton disabled={isLoading} />
+
       {/* Radius search chips */}
       <div className="w-full" ref={chipsContainerRef}>
         <div className={`min-h-[44px] text-xs px-3 py-2 rounded border ${
@@ -274,7 +281,12 @@ const RadiusSearch = ({
                       onClick={() => focusZone(chip)}
                       className={chipClasses}
                     >
-                      <span className="max-w-[160px] truncate">{chip.label}</span>
+                      <span
+                        className="max-w-[160px] truncate"
+                        title={chip.inclusion ? `ZIPs included by ${zipInclusionService.describeInclusion(chip.inclusion)}` : undefined}
+                      >
+                        {chip.label}
+                      </span>
                       <ChevronDown className="h-3.5 w-3.5" />
                     </button>
                     <button
@@ -5,6 +5,7 @@ import AddressSearch from './AddressSearch';
 import HierarchySearch from './HierarchySearch';
 import UploadSearch from './UploadSearch';
 import GeocodeSearch from './GeocodeSearch';
+import IsochroneSearch from './IsochroneSearch';
 import { useUI } from '../../contexts/UIContext';
 import { useSearch } from '../../contexts/SearchContext';
 import { ChevronUp } from 'lucide-react';
@@ -109,6 +110,10 @@ const SearchControls = React.memo(({
             />
           )}
 
+          {searchMode === 'isochrone' && (
+            <IsochroneSearch handleResetSearch={handleResetSearch} />
+          )}
+
           {searchMode === 'polygon' && (
             <PolygonSearch
               handleSearchInputChange={handleSearchInputChange}
@@ -0,0 +1,92 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Loader2 } from 'lucide-react';
+import { useSearch } from '../../contexts/SearchContext';
+import { useUI } from '../../contexts/UIContext';
+import { parseStoreList } from '../../utils/storeListHelpers';
+
+const STAGE_LABELS = {
+  geocoding: 'Geocoding',
+  searching: 'Searching store'
+};
+
+/**
+ * Imports a store list CSV (addresses or lat/lng, optional radius column)
+ * and runs one radius search per store. Rows without a radius use the
+ * radius currently selected.
+ */
+const StoreListImportButton = ({ disabled = false }) => {
+  const { radius, performStoreListSearch } = useSearch();
+  const { isDarkMode, showToast } = useUI();
+
+  const [isBusy, setIsBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsBusy(true);
+    setProgress(null);
+    try {
+      const { stores, skipped } = await parseStoreList(file, radius);
+      if (stores.length === 0) {
+        showToast?.('No stores with an address or coordinates found', 'error');
+        return;
+      }
+
+      const { searched, notFound, failed } = await performStoreListSearch(stores, { onProgress: setProgress });
+      const missed = skipped + notFound;
+      const problems = [
+        missed > 0 ? `${missed} could not be located` : null,
+        failed.length > 0 ? `search failed for ${failed.length > 3 ? `${failed.length} stores` : failed.join(', ')}` : null
+      ].filter(Boolean);
+      showToast?.(
+        `Searched ${searched} store${searched === 1 ? '' : 's'}${problems.length > 0 ? ` (${problems.join('; ')})` : ''}`,
+        problems.length > 0 ? 'warning' : 'success'
+      );
+    } catch (error) {
+      console.error('Store list import failed:', error);
+      showToast?.(error.message || 'Failed to import store list', 'error');
+    } finally {
+      setIsBusy(false);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 w-full">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled || isBusy}
+        className={`h-8 px-3 rounded-lg border text-xs font-medium flex items-center gap-1.5 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+          isDarkMode
+            ? 'bg-gray-700 border-gray-600 text-gray-200 hover:bg-gray-600'
+            : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`}
+        title="Run a radius search around every store in a CSV"
+      >
+        {isBusy ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Upload className="h-3.5 w-3.5" />}
+        Import store list
+      </button>
+      <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        {progress
+          ? `${STAGE_LABELS[progress.stage]} ${Math.min(progress.current + 1, progress.total)} of ${progress.total}…`
+          : isBusy
+            ? 'Reading file…'
+            : 'CSV with addresses or lat/lng, optional radius'}
+      </span>
+    </div>
+  );
+};
+
+export default StoreListImportButton;
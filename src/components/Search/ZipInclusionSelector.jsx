@@ -0,0 +1,65 @@
+import React from 'react';
+import { useSearch } from '../../contexts/SearchContext';
+import { useUI } from '../../contexts/UIContext';
+import { INCLUSION_MODES } from '../../services/zipInclusionService';
+
+const MODE_OPTIONS = [
+  { value: INCLUSION_MODES.CENTROID, label: 'ZIP centroid inside' },
+  { value: INCLUSION_MODES.ANY_OVERLAP, label: 'Any boundary overlap' },
+  { value: INCLUSION_MODES.MIN_OVERLAP, label: 'Overlap at least' }
+];
+
+/**
+ * Chooses how ZIPs are included in the next radius/polygon search.
+ * Existing searches keep the mode they were run with.
+ */
+const ZipInclusionSelector = ({ disabled = false }) => {
+  const { zipInclusion, setZipInclusion } = useSearch();
+  const { isDarkMode } = useUI();
+
+  const inputClasses = `h-8 border rounded-lg outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500 text-xs ${
+    disabled
+      ? 'bg-gray-100 text-gray-500 border-gray-300'
+      : isDarkMode
+        ? 'bg-gray-700 text-white border-gray-600'
+        : 'bg-white text-gray-900 border-gray-300'
+  }`;
+
+  return (
+    <div className="flex flex-row items-center gap-2 w-full">
+      <label className={`text-xs whitespace-nowrap ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+        Include ZIPs by
+      </label>
+      <select
+        value={zipInclusion.mode}
+        onChange={(e) => setZipInclusion(prev => ({ ...prev, mode: e.target.value }))}
+        disabled={disabled}
+        className={`${inputClasses} flex-1 min-w-0 px-2`}
+      >
+        {MODE_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      {zipInclusion.mode === INCLUSION_MODES.MIN_OVERLAP && (
+        <div className="relative flex-shrink-0">
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={zipInclusion.minOverlap}
+            onChange={(e) => setZipInclusion(prev => ({ ...prev, minOverlap: parseInt(e.target.value) || 0 }))}
+            disabled={disabled}
+            className={`${inputClasses} w-16 pl-2 pr-6 text-center font-medium`}
+          />
+          <span className={`absolute right-1.5 top-1/2 transform -translate-y-1/2 text-xs pointer-events-none ${
+            isDarkMode ? 'text-gray-400' : 'text-gray-500'
+          }`}>
+            %
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ZipInclusionSelector;
@@ -1,11 +1,15 @@
 import React, { createContext, useContext, useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import zipBoundariesService from '../services/zipBoundariesService';
+import offlineDataService from '../services/offlineDataService';
 import stateBoundariesService from '../services/stateBoundariesService';
+import identifyService from '../services/identifyService';
 
 // Cursor tool constants
 export const CURSOR_TOOLS = {
   DRAG: 'drag',
-  RADIAL: 'radial'
+  RADIAL: 'radial',
+  IDENTIFY: 'identify',
+  SELECT: 'select'
 };
 
 const MapContext = createContext();
@@ -43,6 +47,9 @@ export const MapProvider = ({ children }) => {
   const [neighboringZips, setNeighboringZips] = useState(null); // GeoJSON FeatureCollection of neighbor boundaries
   const [loadingNeighbors, setLoadingNeighbors] = useState(false);
 
+  // Boundary types with self-hosted vector tiles, e.g. { zip: { minZoom, maxZoom } }
+  const [boundaryTileTypes, setBoundaryTileTypes] = useState({});
+
   const [showStateBoundaries, setShowStateBoundaries] = useState(false);
   const [stateBoundariesData, setStateBoundariesData] = useState(null);
   const [loadingStateBoundaries, setLoadingStateBoundaries] = useState(false);
@@ -68,6 +75,17 @@ export const MapProvider = ({ children }) => {
   // Cursor tool state
   const [cursorTool, setCursorTool] = useState(CURSOR_TOOLS.DRAG);
 
+  // Identify tool state: one row per identified point, newest first
+  const [identifyResults, setIdentifyResults] = useState([]);
+  const [identifyProgress, setIdentifyProgress] = useState(null);
+
+  // Walk list turfs drawn on the map, and the one highlighted
+  const [walkListTurfs, setWalkListTurfs] = useState([]);
+  const [activeTurfId, setActiveTurfId] = useState(null);
+
+  // Selection tool: which boundary layer clicks and boxes pick from
+  const [selectionLayer, setSelectionLayer] = useState('zcta');
+
   // Refs
   const mapRef = useRef(null);
   const markersRef = useRef({});
@@ -83,6 +101,45 @@ export const MapProvider = ({ children }) => {
     }
   }, [mapClickCallback]);
 
+  // Identify tool: look up every containing geography for clicked or pasted points
+  const identifyPoints = useCallback(async (points) => {
+    if (!points?.length) return [];
+
+    const batchId = Date.now();
+    const pending = points.map((point, index) => ({ ...point, id: `${batchId}-${index}`, loading: true }));
+    const indexById = new Map(pending.map((item, index) => [item.id, index]));
+    setIdentifyResults(prev => [...pending, ...prev]);
+    setIdentifyProgress({ done: 0, total: points.length });
+
+    try {
+      const rows = await identifyService.identifyPoints(points, {
+        onProgress: (done, total) => setIdentifyProgress({ done, total })
+      });
+      setIdentifyResults(prev => prev.map(item => (
+        indexById.has(item.id) ? { ...rows[indexById.get(item.id)], id: item.id } : item
+      )));
+      return rows;
+    } finally {
+      setIdentifyProgress(null);
+    }
+  }, []);
+
+  const clearIdentifyResults = useCallback(() => {
+    setIdentifyResults([]);
+  }, []);
+
+  // Picking from a layer needs its boundaries on screen, so choosing one shows it
+  const chooseSelectionLayer = useCallback((type) => {
+    setSelectionLayer(type);
+    const showLayer = {
+      zcta: setShowZipBoundaries,
+      county: setShowCountyBorders,
+      place: setShowCityBoundaries,
+      vtd: setShowVtdBoundaries
+    }[type];
+    showLayer?.(true);
+  }, []);
+
   // Handler for centering and zooming map when results are clicked
   const handleResultMapInteraction = useCallback(async ({ type, result, center, zoom, bounds, padding }) => {
     if (!mapRef.current) return;
@@ -232,7 +289,7 @@ export const MapProvider = ({ children }) => {
     }
   }, [drawnShapes, onShapeDeletedCallback]);
 
-  // Load county boundaries from static file
+  // Load county boundaries from static file, or the offline database without it
   const loadCountyBoundaries = useCallback(async () => {
     try {
       console.log('Loading county boundaries from static file...');
@@ -242,20 +299,38 @@ export const MapProvider = ({ children }) => {
         const data = await response.json();
         setCountyBoundaries(data);
         console.log('County boundaries loaded successfully');
-      } else {
-        console.warn(`County boundaries file not accessible (${response.status})`);
+        return;
       }
+      console.warn(`County boundaries file not accessible (${response.status})`);
     } catch (error) {
       console.error('Failed to load county boundaries:', error);
     }
+
+    try {
+      if (!(await offlineDataService.isAvailable())) return;
+      const everywhere = { north: 90, south: -90, east: 180, west: -180 };
+      const features = await offlineDataService.getBoundariesInBounds('county', everywhere, Infinity);
+      // Same properties as the static file: plain county name and state code
+      setCountyBoundaries({
+        type: 'FeatureCollection',
+        features: features.map(feature => ({
+          ...feature,
+          properties: { ...feature.properties, NAME: feature.properties.BASENAME, STATE: feature.properties.STUSAB }
+        }))
+      });
+      console.log('County boundaries loaded from offline database');
+    } catch (error) {
+      console.error('Failed to load offline county boundaries:', error);
+    }
   }, []);
 
   // Effect to load county boundaries when toggled
+  // (vector tiles replace the static file when available)
   useEffect(() => {
-    if (showCountyBorders && !countyBoundaries) {
+    if (showCountyBorders && !countyBoundaries && !boundaryTileTypes.county) {
       loadCountyBoundaries();
     }
-  }, [showCountyBorders, countyBoundaries, loadCountyBoundaries]);
+  }, [showCountyBorders, countyBoundaries, boundaryTileTypes, loadCountyBoundaries]);
 
   // Note: ZIP boundary loading now happens in GeoApplication based on search results
   // This provides better performance and only loads boundaries for relevant ZIPs
@@ -337,6 +412,10 @@ export const MapProvider = ({ children }) => {
     loadingNeighbors,
     setLoadingNeighbors,
 
+    // Vector tile boundaries
+    boundaryTileTypes,
+    setBoundaryTileTypes,
+
     // State boundaries
     showStateBoundaries,
     setShowStateBoundaries,
@@ -379,6 +458,22 @@ export const MapProvider = ({ children }) => {
     cursorTool,
     setCursorTool,
 
+    // Identify tool
+    identifyResults,
+    identifyProgress,
+    identifyPoints,
+    clearIdentifyResults,
+
+    // Walk lists
+    walkListTurfs,
+    setWalkListTurfs,
+    activeTurfId,
+    setActiveTurfId,
+
+    // Selection tool
+    selectionLayer,
+    chooseSelectionLayer,
+
     // Refs
     mapRef,
     markersRef,
@@ -413,6 +508,7 @@ export const MapProvider = ({ children }) => {
     showOnlyFocusedBoundary,
     neighboringZips,
     loadingNeighbors,
+    boundaryTileTypes,
     showStateBoundaries,
     stateBoundariesData,
     loadingStateBoundaries,
@@ -427,7 +523,15 @@ export const MapProvider = ({ children }) => {
     showMarkers,
     showHatching,
     cursorTool,
+    identifyResults,
+    identifyProgress,
+    walkListTurfs,
+    activeTurfId,
+    selectionLayer,
     // These callbacks use useCallback and should be stable
+    identifyPoints,
+    clearIdentifyResults,
+    chooseSelectionLayer,
     handleMapClick,
     handleViewportChange,
     onCreated,
@@ -244,6 +244,25 @@ export const ResultsProvider = ({ children }) => {
     setNotFoundAddresses(prev => prev.filter(item => item.id !== notFoundItem.id));
   }, []);
 
+  // Replace exclusions wholesale (used when restoring a saved workspace)
+  const restoreExclusions = useCallback((savedExcludedGeos) => {
+    const nextExcludedGeos = {
+      zips: savedExcludedGeos?.zips || [],
+      cities: savedExcludedGeos?.cities || [],
+      counties: savedExcludedGeos?.counties || [],
+      states: savedExcludedGeos?.states || []
+    };
+
+    const nextRemovedItems = new Set();
+    nextExcludedGeos.zips.forEach(zip => nextRemovedItems.add(getRemovalKey('zip', zip)));
+    nextExcludedGeos.cities.forEach(city => nextRemovedItems.add(getRemovalKey('city', city)));
+    nextExcludedGeos.counties.forEach(county => nextRemovedItems.add(getRemovalKey('county', county)));
+    nextExcludedGeos.states.forEach(state => nextRemovedItems.add(getRemovalKey('state', state)));
+
+    setExcludedGeos(nextExcludedGeos);
+    setRemovedItems(nextRemovedItems);
+  }, [getRemovalKey]);
+
   // Clear results
   const clearResults = useCallback(() => {
     setZipResults([]);
@@ -319,6 +338,11 @@ export const ResultsProvider = ({ children }) => {
         const aVal = a[sortConfig.key];
         const bVal = b[sortConfig.key];
 
+        // Missing values (e.g. ZIPs without ACS data) sort last either way
+        if (aVal == null || bVal == null) {
+          return (aVal == null) - (bVal == null);
+        }
+
         if (Array.isArray(aVal) && Array.isArray(bVal)) {
           const aMin = aVal.length > 0 ? Math.min(...aVal) : Number.POSITIVE_INFINITY;
           const bMin = bVal.length > 0 ? Math.min(...bVal) : Number.POSITIVE_INFINITY;
@@ -469,6 +493,7 @@ export const ResultsProvider = ({ children }) => {
     getRemovalKey,
     removeItem,
     restoreItem,
+    restoreExclusions,
     filterResults,
     clearResults,
     handleSort,
@@ -2,9 +2,23 @@ import React, { createContext, useContext, useState, useCallback, useEffect, use
 import Papa from 'papaparse';
 import { ZipCodeService } from '../services/zipCodeService';
 import { geocodingService } from '../services/geocodingService';
+import geocodeJobService, { toGeocodeResult } from '../services/geocodeJobService';
+import geocoderService from '../services/geocoderService';
 import { googlePlacesService } from '../services/googlePlacesService';
 import { detectColumnTypes } from '../utils/csvHelpers';
-import { milesToMeters } from '../utils/polygonHelpers';
+import { milesToMeters, polygonSearchShape } from '../utils/polygonHelpers';
+import { DEFAULT_INCLUSION } from '../services/zipInclusionService';
+import isochroneService, { DEFAULT_ISOCHRONE } from '../services/isochroneService';
+import { buildIsochroneSearchParams, buildIsochroneRecord } from '../utils/isochroneSearchHelpers';
+import demographicsService, { DEMOGRAPHIC_KEYS } from '../services/demographicsService';
+import aggregationService from '../services/aggregationService';
+import selectionSearchService from '../services/selectionSearchService';
+import { AddressDeduper, normalizeAddress } from '../utils/addressNormalizer';
+import { MAX_ADDRESS_AREA_SQ_MI, MAX_ADDRESS_RADIUS_MILES } from '../services/addressApiService';
+import { describeSetExpression, evaluateSetExpression, validateSetExpression } from '../utils/searchSetHelpers';
+import { annotateStoreMembership } from '../utils/storeListHelpers';
+import { applySelectionPick, selectionKey } from '../utils/mapSelectionHelpers';
+import { hasShareParameter } from '../utils/shareHelpers';
 import { useResults } from './ResultsContext';
 import { useMap, CURSOR_TOOLS } from './MapContext';
 import { useUI } from './UIContext';
@@ -33,12 +47,21 @@ const DEFAULT_RADIUS_DISPLAY_SETTINGS = {
 };
 
 const MAX_RADIUS_HISTORY = 6;
+const STORE_SEARCH_CONCURRENCY = 4;
 
 const createRadiusSettings = (overrides = {}) => ({
   ...DEFAULT_RADIUS_DISPLAY_SETTINGS,
   ...overrides
 });
 
+// Only plain searches count towards the history limit. Store list searches
+// come in batches larger than it, and set and selection searches are built
+// by hand from other searches, so none of them are dropped to make room.
+const capRadiusHistory = (searches) => {
+  let kept = 0;
+  return searches.filter(entry => entry.store || entry.setOperation || entry.selection || ++kept <= MAX_RADIUS_HISTORY);
+};
+
 const generateRadiusSearchId = () =>
   `radius-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
 
@@ -48,6 +71,23 @@ const buildRadiusSignature = (lat, lng, radius) => {
   return `${Number(lat).toFixed(5)}|${Number(lng).toFixed(5)}|${normalizedRadius}`;
 };
 
+// Isochrones with the same centre but a different budget or travel mode are separate searches
+const buildIsochroneSignature = (lat, lng, { value, metric, profile }) => {
+  const base = buildRadiusSignature(lat, lng, null);
+  return base ? `${base}|${Number(value)}${metric}|${profile}` : null;
+};
+
+// Clears previously attached ACS fields before a row is re-enriched
+const EMPTY_DEMOGRAPHICS = Object.fromEntries(DEMOGRAPHIC_KEYS.map(key => [key, null]));
+
+// County rows roll up their ZIPs like cities and states; when the dataset has
+// no ZCTA figures for them, fall back to the county's own ACS record
+const withCountyDemographics = (county) => {
+  if (DEMOGRAPHIC_KEYS.some(key => county[key] != null)) return county;
+  const record = demographicsService.getCountyDemographics(county.name, county.state);
+  return record ? { ...county, ...record } : county;
+};
+
 const formatCenterFallback = (lat, lng) => {
   if (lat == null || lng == null) return 'Radius search';
   return `${Number(lat).toFixed(3)}, ${Number(lng).toFixed(3)}`;
@@ -76,12 +116,13 @@ export const SearchProvider = ({ children }) => {
     setCurrentPage,
     setHasMoreResults,
     setTotalResults,
-    clearResults
+    clearResults,
+    restoreExclusions
   } = useResults();
 
   const { setMapCenter, setMapZoom, mapRef, featureGroupRef, setDrawnShapes, setMapType, mapType, handleResultMapInteraction, setCursorTool } = useMap();
 
-  const { setIsSearchPanelCollapsed, setActiveTab, setDrawerState } = useUI();
+  const { setIsSearchPanelCollapsed, setActiveTab, setDrawerState, showToast } = useUI();
 
   // Search mode and parameters
   const [searchMode, setSearchMode] = useState('radius'); // 'radius', 'polygon', 'hierarchy', 'upload', 'geocode'
@@ -140,6 +181,12 @@ export const SearchProvider = ({ children }) => {
   const [activeRadiusSearchId, setActiveRadiusSearchId] = useState(null);
   const [radiusDisplaySettings, setRadiusDisplaySettings] = useState(() => createRadiusSettings());
 
+  // ZIP inclusion mode for radius/polygon searches ('centroid', 'any', 'overlap')
+  const [zipInclusion, setZipInclusion] = useState(DEFAULT_INCLUSION);
+
+  // Isochrone search: { value, metric: 'time' | 'distance', profile: 'drive' | 'walk' | 'bike' }
+  const [isochroneOptions, setIsochroneOptions] = useState(DEFAULT_ISOCHRONE);
+
   // Upload search
   const [uploadedFile, setUploadedFile] = useState(null);
   const [uploadProcessing, setUploadProcessing] = useState(false);
@@ -152,6 +199,7 @@ export const SearchProvider = ({ children }) => {
   const [geocodeError, setGeocodeError] = useState(null);
   const [geocodeProgress, setGeocodeProgress] = useState({ current: 0, total: 0, percentage: 0 });
   const [geocodeJobId, setGeocodeJobId] = useState(null);
+  const [geocodeJobStatus, setGeocodeJobStatus] = useState(null); // 'running', 'paused', 'complete'
   const [geocodePreparedAddresses, setGeocodePreparedAddresses] = useState([]);
 
   // Address search
@@ -191,6 +239,9 @@ export const SearchProvider = ({ children }) => {
   const [searchResultsById, setSearchResultsById] = useState({});
   const [excludedSearchIds, setExcludedSearchIds] = useState([]);
 
+  // Active ACS dataset ({ name, imported, zctaCount }), null when none is loaded
+  const [demographicsSource, setDemographicsSource] = useState(null);
+
   const getNextSequenceNumber = useCallback((list) => {
     const used = new Set();
     (list || []).forEach(entry => {
@@ -230,7 +281,7 @@ export const SearchProvider = ({ children }) => {
         seen.add(zipCode);
       }
 
-      acc.push({
+      acc.push(demographicsService.enrichZip({
         id,
         zipCode,
         city,
@@ -244,178 +295,46 @@ export const SearchProvider = ({ children }) => {
         overlap: typeof zip?.overlap === 'number' ? zip.overlap : 0,
         searchIds: [],
         searchSequences: []
-      });
+      }));
       return acc;
     }, []);
   }, []);
 
-  // Function to update aggregated results for cities, counties, and states
-  const updateAggregatedResults = useCallback((zipRecords, sequenceLookup = {}) => {
-    if (!Array.isArray(zipRecords) || zipRecords.length === 0) {
-      setCityResults([]);
-      setCountyResults([]);
-      setStateResults([]);
-      return;
-    }
-
-    const averageCoord = (items, key) => {
-      const values = items
-        .map((item) => Number(item[key] ?? item[key === 'lat' ? 'latitude' : 'longitude']))
-        .filter((value) => Number.isFinite(value));
-      if (values.length === 0) return null;
-      return values.reduce((sum, value) => sum + value, 0) / values.length;
-    };
-
-    const cityMap = new Map();
-    const countyMap = new Map();
-    const stateMap = new Map();
-
-    zipRecords.forEach((zip) => {
-      if (zip.city) {
-        const cityKey = `${zip.city}|${zip.state}|${zip.county || ''}`;
-        if (!cityMap.has(cityKey)) cityMap.set(cityKey, []);
-        cityMap.get(cityKey).push(zip);
-      }
-
-      if (zip.county) {
-        const countyKey = `${zip.county}|${zip.state}`;
-        if (!countyMap.has(countyKey)) countyMap.set(countyKey, []);
-        countyMap.get(countyKey).push(zip);
-      }
-
-      if (zip.state) {
-        const stateKey = zip.state;
-        if (!stateMap.has(stateKey)) stateMap.set(stateKey, []);
-        stateMap.get(stateKey).push(zip);
-      }
-    });
-
-    const cityResults = Array.from(cityMap.entries()).map(([key, items]) => {
-      const [city, state, county] = key.split('|');
-      const lat = averageCoord(items, 'lat');
-      const lng = averageCoord(items, 'lng');
-      const citySearchIds = new Set();
-      const citySequences = new Set();
-
-      // Aggregate population and households
-      const totalPopulation = items.reduce((sum, z) => sum + (z.population || 0), 0);
-      const totalHouseholds = items.reduce((sum, z) => sum + (z.households || 0), 0);
-
-      items.forEach(item => {
-        (item.searchIds || []).forEach(id => citySearchIds.add(id));
-        if (item.searchSequences && item.searchSequences.length > 0) {
-          item.searchSequences.forEach(seq => citySequences.add(seq));
-        } else {
-          (item.searchIds || []).forEach(id => {
-            const seq = sequenceLookup[id];
-            if (seq != null) citySequences.add(seq);
-          });
-        }
-      });
-      return {
-        id: `city-${city}-${state}-${county}`,
-        name: city,
-        state,
-        county,
-        lat,
-        lng,
-        latitude: lat,
-        longitude: lng,
-        population: totalPopulation,
-        households: totalHouseholds,
-        zipCount: items.length,
-        searchIds: Array.from(citySearchIds),
-        searchSequences: Array.from(citySequences).sort((a, b) => a - b)
-      };
-    }).sort((a, b) => a.name.localeCompare(b.name));
-
-    const countyResults = Array.from(countyMap.entries()).map(([key, items]) => {
-      const [county, state] = key.split('|');
-      const lat = averageCoord(items, 'lat');
-      const lng = averageCoord(items, 'lng');
-      const countySearchIds = new Set();
-      const countySequences = new Set();
-
-      // Aggregate population and households
-      const totalPopulation = items.reduce((sum, z) => sum + (z.population || 0), 0);
-      const totalHouseholds = items.reduce((sum, z) => sum + (z.households || 0), 0);
-      const uniqueCities = new Set(items.map(z => z.city));
-
-      items.forEach(item => {
-        (item.searchIds || []).forEach(id => countySearchIds.add(id));
-        if (item.searchSequences && item.searchSequences.length > 0) {
-          item.searchSequences.forEach(seq => countySequences.add(seq));
-        } else {
-          (item.searchIds || []).forEach(id => {
-            const seq = sequenceLookup[id];
-            if (seq != null) countySequences.add(seq);
-          });
-        }
-      });
-      return {
-        id: `county-${county}-${state}`,
-        name: county,
-        state,
-        lat,
-        lng,
-        latitude: lat,
-        longitude: lng,
-        population: totalPopulation,
-        households: totalHouseholds,
-        zipCount: items.length,
-        cityCount: uniqueCities.size,
-        searchIds: Array.from(countySearchIds),
-        searchSequences: Array.from(countySequences).sort((a, b) => a - b)
-      };
-    }).sort((a, b) => a.name.localeCompare(b.name));
-
-    const stateResults = Array.from(stateMap.entries()).map(([state, items]) => {
-      const lat = averageCoord(items, 'lat');
-      const lng = averageCoord(items, 'lng');
-      const name = stateNameByCode.get(state) || state;
-      const stateSearchIds = new Set();
-      const stateSequences = new Set();
-
-      // Aggregate population and households
-      const totalPopulation = items.reduce((sum, z) => sum + (z.population || 0), 0);
-      const totalHouseholds = items.reduce((sum, z) => sum + (z.households || 0), 0);
-      const uniqueCities = new Set(items.map(z => z.city));
-      const uniqueCounties = new Set(items.map(z => z.county));
-
-      items.forEach(item => {
-        (item.searchIds || []).forEach(id => stateSearchIds.add(id));
-        if (item.searchSequences && item.searchSequences.length > 0) {
-          item.searchSequences.forEach(seq => stateSequences.add(seq));
-        } else {
-          (item.searchIds || []).forEach(id => {
-            const seq = sequenceLookup[id];
-            if (seq != null) stateSequences.add(seq);
-          });
-        }
-      });
-      return {
-        id: `state-${state}`,
-        name,
-        state,
-        lat,
-        lng,
-        latitude: lat,
-        longitude: lng,
-        population: totalPopulation,
-        households: totalHouseholds,
-        zipCount: items.length,
-        cityCount: uniqueCities.size,
-        countyCount: uniqueCounties.size,
-        searchIds: Array.from(stateSearchIds),
-        searchSequences: Array.from(stateSequences).sort((a, b) => a - b)
-      };
-    }).sort((a, b) => a.name.localeCompare(b.name));
-
-    setCityResults(cityResults);
-    setCountyResults(countyResults);
-    setStateResults(stateResults);
+  // City/county/state rollups come from aggregationService's worker; only
+  // the answer to the latest call is applied
+  const aggregationRequestRef = useRef(0);
+
+  const applyAggregates = useCallback((request) => {
+    const requestId = ++aggregationRequestRef.current;
+    return request
+      .then(({ cities, counties, states }) => {
+        if (requestId !== aggregationRequestRef.current) return;
+        setCityResults(cities);
+        setCountyResults(counties.map(withCountyDemographics));
+        setStateResults(states
+          .map(state => ({ ...state, name: stateNameByCode.get(state.state) || state.state }))
+          .sort((a, b) => a.name.localeCompare(b.name)));
+      })
+      .catch(error => console.error('[Aggregation] Rollup failed:', error));
   }, [setCityResults, setCountyResults, setStateResults, stateNameByCode]);
 
+  // Function to update aggregated results for cities, counties, and states
+  const updateAggregatedResults = useCallback((zipRecords, sequenceLookup = {}) => (
+    applyAggregates(aggregationService.reset(Array.isArray(zipRecords) ? zipRecords : [], sequenceLookup))
+  ), [applyAggregates]);
+
+  // Rolls newly found ZIPs into the current aggregates without regrouping the rest
+  const appendAggregatedResults = useCallback((zipRecords, sequenceLookup = {}) => (
+    applyAggregates(aggregationService.add(zipRecords, sequenceLookup))
+  ), [applyAggregates]);
+
+  // Results cleared elsewhere (ResultsContext.clearResults) must not leave
+  // stale ZIPs in the worker for the next append
+  const hasZipResults = zipResults.length > 0;
+  useEffect(() => {
+    if (!hasZipResults) updateAggregatedResults([]);
+  }, [hasZipResults, updateAggregatedResults]);
+
   // Function to rebuild displayed results based on current state
   const rebuildDisplayedResults = useCallback((overrideMap, overrideActiveId, overrideRadiusSearches) => {
     const resultsById = overrideMap || searchResultsById;
@@ -465,7 +384,10 @@ export const SearchProvider = ({ children }) => {
       });
     });
 
-    const mergedZipRecords = Array.from(zipMap.values());
+    const mergedZipRecords = annotateStoreMembership(
+      Array.from(zipMap.values()),
+      searchList.filter(entry => entry.store && entry.center)
+    );
 
     setZipResults(mergedZipRecords);
     setTotalResults(mergedZipRecords.length);
@@ -488,11 +410,15 @@ export const SearchProvider = ({ children }) => {
   }, [lastOverpassCall]);
 
   // Perform address search via Worker API with streaming
-  const searchAddressesViaWorker = useCallback(async (params) => {
+  // onBatch gets every address received so far as each batch arrives
+  const searchAddressesViaWorker = useCallback(async (params, { onBatch } = {}) => {
     const { startAddressSearch, streamAddressResults } = await import('../services/addressApiService');
 
     return new Promise((resolve, reject) => {
       let allAddresses = [];
+      // Jobs stored before the worker standardized and deduplicated
+      // addresses come back raw
+      const deduper = new AddressDeduper();
 
       // Start the job
       startAddressSearch(params)
@@ -503,16 +429,21 @@ export const SearchProvider = ({ children }) => {
           // Stream results
           const eventSource = streamAddressResults(jobId, {
             onProgress: (data) => {
-              setAddressJobProgress({ progress: data.progress, found: data.found });
+              setAddressJobProgress({ progress: data.progress, found: data.found, zips: data.zips });
             },
             onBatch: (addresses) => {
-              allAddresses = allAddresses.concat(addresses);
+              allAddresses = allAddresses.concat(deduper.filter(addresses.map(normalizeAddress)));
               setAddressJobProgress(prev => ({ ...prev, found: allAddresses.length }));
+              onBatch?.(allAddresses);
             },
             onComplete: (result) => {
               setAddressJobId(null);
               setAddressJobProgress({ progress: 100, found: result.totalFound });
               setLastOverpassCall(Date.now());
+              // Parts of a large area the worker couldn't search are left out
+              if (result.partial) {
+                showToast?.(`Address search incomplete: ${result.failedTiles} of ${result.tileCount} map tiles could not be searched`, 'error');
+              }
               resolve(allAddresses);
             },
             onError: (error) => {
@@ -529,7 +460,13 @@ export const SearchProvider = ({ children }) => {
           reject(err);
         });
     });
-  }, [setLastOverpassCall]);
+  }, [setLastOverpassCall, showToast]);
+
+  // Large-area searches stream in over minutes; show what has arrived so far
+  const showPartialAddresses = useCallback((addresses) => {
+    setAddressResults(addresses);
+    setActiveTab('streets');
+  }, [setAddressResults, setActiveTab]);
 
   // Cancel active address search
   const cancelAddressSearch = useCallback(() => {
@@ -595,6 +532,428 @@ export const SearchProvider = ({ children }) => {
     return newEntry;
   }, [addressSearches, addressDisplaySettings, getNextSequenceNumber]);
 
+  // Isochrone search: fetch the reachable area from the routing provider, then
+  // run it through the polygon ZIP search. The entry lives in radiusSearches
+  // so it shares chips, colors, history and exports with radius searches.
+  const performIsochroneSearch = useCallback(async ({ lat, lng, query = null, location = null }) => {
+    const options = { ...isochroneOptions };
+
+    setRadiusCenter([lat, lng]);
+    setIsLoading(true);
+    setSearchPerformed(true);
+    setApiError(null);
+    setIsSearchMode(false);
+
+    try {
+      const { geometry, provider } = await isochroneService.getIsochrone({ lat, lng, ...options });
+
+      const searchParams = buildIsochroneSearchParams(geometry, zipInclusion);
+
+      const searchResult = await ZipCodeService.search(searchParams);
+      const normalizedResults = normalizeZipResults(searchResult?.results);
+
+      const firstResult = normalizedResults[0] || null;
+      const city = firstResult?.city || null;
+      const state = firstResult?.state || null;
+      const place = query || (city && state ? `${city}, ${state}` : formatCenterFallback(lat, lng));
+
+      const signature = buildIsochroneSignature(lat, lng, options);
+      const filteredSearches = radiusSearches.filter(existing => existing.signature !== signature);
+      const sequence = getNextSequenceNumber(filteredSearches);
+
+      const newEntryId = generateRadiusSearchId();
+      const baseEntry = {
+        id: newEntryId,
+        label: `${isochroneService.describe(options)} – ${place}`,
+        radius: null,
+        center: [lat, lng],
+        query,
+        summary: { zip: firstResult?.zipCode || null, city, state },
+        settings: createRadiusSettings({ overlayColor: SEARCH_COLOR_PALETTE[sequence % SEARCH_COLOR_PALETTE.length] }),
+        searchParams: { ...searchParams, mode: 'isochrone' },
+        inclusion: zipInclusion,
+        isochrone: buildIsochroneRecord(options, { geometry, provider }),
+        selectedLocation: location ? { ...location } : null,
+        signature,
+        timestamp: Date.now(),
+        resultsCount: normalizedResults.length,
+        sequence
+      };
+
+      const nextRadiusSearches = capRadiusHistory([baseEntry, ...filteredSearches]);
+      setRadiusSearches(nextRadiusSearches);
+      setExcludedSearchIds(prev => prev.filter(entryId => nextRadiusSearches.some(item => item.id === entryId)));
+
+      const resultsWithMeta = normalizedResults.map(result => ({
+        ...result,
+        searchIds: [newEntryId],
+        searchSequences: [sequence]
+      }));
+
+      const overrideMap = { [newEntryId]: resultsWithMeta };
+      nextRadiusSearches.forEach(item => {
+        if (item.id !== newEntryId && searchResultsById[item.id]) {
+          overrideMap[item.id] = searchResultsById[item.id];
+        }
+      });
+
+      setSearchResultsById(overrideMap);
+      setActiveRadiusSearchId(newEntryId);
+      setRadiusDisplaySettings(createRadiusSettings(baseEntry.settings));
+      rebuildDisplayedResults(overrideMap, newEntryId, nextRadiusSearches);
+
+      if (mapRef.current && window.L) {
+        const bounds = window.L.geoJSON(geometry).getBounds();
+        if (bounds.isValid()) {
+          mapRef.current.fitBounds(bounds, { padding: [40, 40] });
+        }
+      }
+
+      return baseEntry;
+    } catch (error) {
+      console.error('Isochrone search failed:', error);
+      setApiError(error.message || 'Isochrone search failed');
+      clearResults();
+      return null;
+    } finally {
+      setIsLoading(false);
+      setCursorTool(CURSOR_TOOLS.DRAG);
+    }
+  }, [
+    isochroneOptions,
+    zipInclusion,
+    radiusSearches,
+    searchResultsById,
+    normalizeZipResults,
+    getNextSequenceNumber,
+    rebuildDisplayedResults,
+    clearResults,
+    mapRef,
+    setCursorTool
+  ]);
+
+  // Geocode the search term, then run an isochrone search around it
+  const handleIsochroneSearch = useCallback(async (term = searchTerm) => {
+    const query = String(term || '').trim();
+    if (!query) {
+      setApiError('Please enter a location or click on the map');
+      return null;
+    }
+
+    setIsLoading(true);
+    let location;
+    try {
+      const places = await geocodingService.searchPlaces(query, 1);
+      location = places?.[0];
+    } catch (error) {
+      console.error('Isochrone geocoding failed:', error);
+    } finally {
+      setIsLoading(false);
+    }
+
+    if (!location) {
+      setApiError('Location not found');
+      return null;
+    }
+
+    return performIsochroneSearch({
+      lat: Number(location.lat),
+      lng: Number(location.lon ?? location.lng),
+      query,
+      location
+    });
+  }, [searchTerm, performIsochroneSearch]);
+
+  // ZIP rows for one operand of a set search. Hierarchy searches don't keep
+  // their results, so they are queried again.
+  const resolveSetOperandRows = useCallback(async (searchId) => {
+    if (radiusSearches.some(entry => entry.id === searchId)) {
+      return searchResultsById[searchId] || [];
+    }
+
+    const polygonSearch = polygonSearches.find(entry => entry.id === searchId);
+    if (polygonSearch) {
+      return polygonSearch.results || [];
+    }
+
+    const hierarchySearch = hierarchySearches.find(entry => entry.id === searchId);
+    if (hierarchySearch) {
+      const searchResult = await ZipCodeService.search({
+        state: hierarchySearch.state,
+        county: hierarchySearch.county || undefined,
+        city: hierarchySearch.includeCity ? hierarchySearch.city : undefined,
+        limit: 5000,
+        offset: 0
+      });
+      return normalizeZipResults(searchResult?.results);
+    }
+
+    return [];
+  }, [radiusSearches, searchResultsById, polygonSearches, hierarchySearches, normalizeZipResults]);
+
+  // Set search: union / intersect / subtract the ZIPs of saved searches.
+  // The result is a snapshot stored like a radius search, so it gets a color,
+  // a history card, exports and share/workspace support.
+  const createSetSearch = useCallback(async (terms, label = null) => {
+    const validationError = validateSetExpression(terms);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const labelFor = (searchId) => (
+      radiusSearches.find(entry => entry.id === searchId)?.label ||
+      polygonSearches.find(entry => entry.id === searchId)?.label ||
+      hierarchySearches.find(entry => entry.id === searchId)?.label ||
+      'Search'
+    );
+
+    setIsLoading(true);
+    setApiError(null);
+
+    try {
+      const expression = terms.map((term, index) => ({
+        op: index === 0 ? 'union' : term.op,
+        searchId: term.searchId,
+        label: labelFor(term.searchId)
+      }));
+
+      const rowsById = {};
+      for (const term of expression) {
+        if (!rowsById[term.searchId]) {
+          rowsById[term.searchId] = await resolveSetOperandRows(term.searchId);
+        }
+      }
+
+      const results = evaluateSetExpression(expression, searchId => rowsById[searchId]);
+      const sequence = getNextSequenceNumber(radiusSearches);
+      const newEntryId = generateRadiusSearchId();
+      const signature = `set:${expression.map(term => `${term.op}:${term.searchId}`).join('|')}`;
+
+      const baseEntry = {
+        id: newEntryId,
+        label: label || describeSetExpression(expression),
+        radius: null,
+        center: null,
+        query: null,
+        summary: { zip: null, city: null, state: null },
+        settings: createRadiusSettings({ overlayColor: SEARCH_COLOR_PALETTE[sequence % SEARCH_COLOR_PALETTE.length] }),
+        searchParams: { mode: 'set' },
+        setOperation: { terms: expression },
+        // Kept on the entry so shared links restore without the operand searches
+        results: results.map(({ zipCode, city, county, state, lat, lng }) => ({ zipCode, city, county, state, lat, lng })),
+        signature,
+        timestamp: Date.now(),
+        resultsCount: results.length,
+        sequence
+      };
+
+      const filteredSearches = radiusSearches.filter(existing => existing.signature !== signature);
+      const nextRadiusSearches = capRadiusHistory([baseEntry, ...filteredSearches]);
+      setRadiusSearches(nextRadiusSearches);
+
+      // Show the set on its own rather than merged back with its operands
+      const operandIds = new Set(expression.map(term => term.searchId));
+      setExcludedSearchIds(prev => Array.from(new Set([...prev, ...operandIds]))
+        .filter(entryId => nextRadiusSearches.some(item => item.id === entryId)));
+
+      const resultsWithMeta = results.map(result => ({
+        ...result,
+        searchIds: [newEntryId],
+        searchSequences: [sequence]
+      }));
+
+      const overrideMap = { [newEntryId]: resultsWithMeta };
+      nextRadiusSearches.forEach(item => {
+        if (item.id !== newEntryId && searchResultsById[item.id]) {
+          overrideMap[item.id] = searchResultsById[item.id];
+        }
+      });
+
+      setSearchResultsById(overrideMap);
+      setActiveRadiusSearchId(newEntryId);
+      setRadiusDisplaySettings(createRadiusSettings(baseEntry.settings));
+      setSearchPerformed(true);
+      setIsSearchMode(false);
+      rebuildDisplayedResults(overrideMap, newEntryId, nextRadiusSearches);
+
+      return baseEntry;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [
+    radiusSearches,
+    polygonSearches,
+    hierarchySearches,
+    searchResultsById,
+    resolveSetOperandRows,
+    getNextSequenceNumber,
+    rebuildDisplayedResults
+  ]);
+
+  // Store list search: one radius search per store, geocoding the stores that
+  // only have an address. A new list replaces the stores of the previous one;
+  // store entries don't count towards the radius history limit.
+  const performStoreListSearch = useCallback(async (stores, { onProgress } = {}) => {
+    setIsLoading(true);
+    setApiError(null);
+
+    try {
+      const located = stores.map(store => ({ ...store }));
+      const pending = located.filter(store => store.lat == null || store.lng == null);
+      let notFound = 0;
+
+      if (pending.length > 0) {
+        onProgress?.({ stage: 'geocoding', current: 0, total: pending.length });
+        // The chain sends the list to geocodingService.submitBatchGeocodeJob
+        // first and retries the stores it misses with the next geocoders
+        const results = await geocoderService.batchGeocode(pending.map(store => store.addressString));
+
+        pending.forEach((store, index) => {
+          const result = results[index];
+          if (result?.success && result.lat && result.lng) {
+            store.lat = Number(result.lat);
+            store.lng = Number(result.lng);
+            store.formattedAddress = result.formatted_address || null;
+          } else {
+            notFound += 1;
+          }
+        });
+      }
+
+      const searchable = located.filter(store => store.lat != null && store.lng != null);
+      if (searchable.length === 0) {
+        throw new Error('None of the stores could be located');
+      }
+
+      const baseSequence = getNextSequenceNumber(radiusSearches.filter(entry => !entry.store));
+      const resultsByIndex = new Array(searchable.length);
+      let completed = 0;
+      let nextIndex = 0;
+
+      // A failed store is reported back rather than failing the whole list
+      const runNext = async () => {
+        while (nextIndex < searchable.length) {
+          const index = nextIndex++;
+          const store = searchable[index];
+          try {
+            const searchResult = await ZipCodeService.search({
+              lat: store.lat,
+              lng: store.lng,
+              radius: store.radius,
+              inclusion: zipInclusion,
+              limit: 500,
+              offset: 0
+            });
+            resultsByIndex[index] = normalizeZipResults(searchResult?.results);
+          } catch (error) {
+            console.warn(`Store search failed for ${store.name}:`, error);
+          }
+          completed += 1;
+          onProgress?.({ stage: 'searching', current: completed, total: searchable.length });
+        }
+      };
+
+      onProgress?.({ stage: 'searching', current: 0, total: searchable.length });
+      await Promise.all(
+        Array.from({ length: Math.min(STORE_SEARCH_CONCURRENCY, searchable.length) }, runNext)
+      );
+
+      const failed = searchable.filter((store, index) => !resultsByIndex[index]).map(store => store.name);
+      const searched = searchable
+        .map((store, index) => ({ store, normalizedResults: resultsByIndex[index] }))
+        .filter(({ normalizedResults }) => normalizedResults);
+      if (searched.length === 0) {
+        throw new Error('The search failed for every store');
+      }
+
+      const storeEntries = searched.map(({ store, normalizedResults }, index) => {
+        const sequence = baseSequence + index;
+        return {
+          id: generateRadiusSearchId(),
+          label: `${store.name} (${store.radius}m)`,
+          radius: store.radius,
+          center: [store.lat, store.lng],
+          query: store.addressString || null,
+          summary: {
+            zip: normalizedResults[0]?.zipCode || null,
+            city: normalizedResults[0]?.city || null,
+            state: normalizedResults[0]?.state || null
+          },
+          settings: createRadiusSettings({ overlayColor: SEARCH_COLOR_PALETTE[sequence % SEARCH_COLOR_PALETTE.length] }),
+          searchParams: { lat: store.lat, lng: store.lng, radius: store.radius, inclusion: zipInclusion, limit: 500, offset: 0, mode: 'radius' },
+          inclusion: zipInclusion,
+          selectedLocation: null,
+          store: {
+            name: store.name,
+            storeId: store.storeId || null,
+            address: store.formattedAddress || store.addressString || null
+          },
+          signature: `store:${buildRadiusSignature(store.lat, store.lng, store.radius)}`,
+          timestamp: Date.now(),
+          resultsCount: normalizedResults.length,
+          sequence
+        };
+      });
+
+      const nextRadiusSearches = capRadiusHistory([
+        ...storeEntries,
+        ...radiusSearches.filter(entry => !entry.store)
+      ]);
+      setRadiusSearches(nextRadiusSearches);
+      setExcludedSearchIds(prev => prev.filter(entryId => nextRadiusSearches.some(item => item.id === entryId)));
+
+      const overrideMap = {};
+      storeEntries.forEach((entry, index) => {
+        overrideMap[entry.id] = searched[index].normalizedResults.map(result => ({
+          ...result,
+          searchIds: [entry.id],
+          searchSequences: [entry.sequence]
+        }));
+      });
+      nextRadiusSearches.forEach(item => {
+        if (!overrideMap[item.id] && searchResultsById[item.id]) {
+          overrideMap[item.id] = searchResultsById[item.id];
+        }
+      });
+
+      if (searchMode !== 'radius') {
+        setSearchMode('radius');
+      }
+
+      // Store membership columns need every store's results in the table
+      setCombineSearchResults(true);
+      setSearchResultsById(overrideMap);
+      setActiveRadiusSearchId(storeEntries[0].id);
+      setRadiusDisplaySettings(createRadiusSettings(storeEntries[0].settings));
+      setSearchPerformed(true);
+      setIsSearchMode(false);
+      rebuildDisplayedResults(overrideMap, storeEntries[0].id, nextRadiusSearches);
+
+      if (mapRef.current && window.L) {
+        const bounds = window.L.latLngBounds(storeEntries.map(entry => entry.center));
+        if (bounds.isValid()) {
+          mapRef.current.fitBounds(bounds.pad(0.2), { maxZoom: 11 });
+        }
+      }
+
+      return { searched: storeEntries.length, notFound, failed };
+    } catch (error) {
+      console.error('Store list search failed:', error);
+      setApiError(error.message || 'Store list search failed');
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [
+    radiusSearches,
+    searchResultsById,
+    searchMode,
+    zipInclusion,
+    normalizeZipResults,
+    getNextSequenceNumber,
+    rebuildDisplayedResults
+  ]);
+
   // Handle map click for radius search
   const handleMapClickSearch = useCallback(async (latlng) => {
     const lat = latlng.lat;
@@ -620,8 +979,10 @@ export const SearchProvider = ({ children }) => {
           zoomLevel = 13;
         } else if (addressRadius <= 10) {
           zoomLevel = 12;
-        } else {
+        } else if (addressRadius <= 15) {
           zoomLevel = 11;
+        } else {
+          zoomLevel = 10;
         }
 
         // Set map view
@@ -634,7 +995,7 @@ export const SearchProvider = ({ children }) => {
           mode: 'radius',
           center: { lat, lng },
           radius: addressRadius
-        });
+        }, { onBatch: showPartialAddresses });
 
         // Create search entry
         const searchLabel = `${lat.toFixed(4)}, ${lng.toFixed(4)} (${addressRadius}mi)`;
@@ -671,6 +1032,12 @@ export const SearchProvider = ({ children }) => {
       return;
     }
 
+    if (searchMode === 'isochrone') {
+      setSearchTerm('');
+      await performIsochroneSearch({ lat, lng });
+      return;
+    }
+
     // Handle regular Radius Search
     if (searchMode === 'radius') {
       // Set the radius center
@@ -711,6 +1078,7 @@ export const SearchProvider = ({ children }) => {
           lat: lat,
           lng: lng,
           radius: radius,
+          inclusion: zipInclusion,
           limit: 500,
           offset: 0
         };
@@ -736,6 +1104,7 @@ export const SearchProvider = ({ children }) => {
           },
           settings: createRadiusSettings({ overlayColor: SEARCH_COLOR_PALETTE[sequence % SEARCH_COLOR_PALETTE.length] }),
           searchParams: searchParams,
+          inclusion: zipInclusion,
           selectedLocation: null,
           signature,
           timestamp: Date.now(),
@@ -743,7 +1112,7 @@ export const SearchProvider = ({ children }) => {
           sequence
         };
 
-        const nextRadiusSearches = [baseEntry, ...filteredSearches].slice(0, MAX_RADIUS_HISTORY);
+        const nextRadiusSearches = capRadiusHistory([baseEntry, ...filteredSearches]);
 
         setRadiusSearches(nextRadiusSearches);
         setExcludedSearchIds(prev => prev.filter(entryId => nextRadiusSearches.some(item => item.id === entryId)));
@@ -792,12 +1161,15 @@ export const SearchProvider = ({ children }) => {
     searchMode,
     addressSubMode,
     radius,
+    zipInclusion,
     radiusSearches,
     searchResultsById,
     normalizeZipResults,
     checkOverpassCooldown,
     addAddressSearch,
+    performIsochroneSearch,
     setAddressResults,
+    showPartialAddresses,
     setMapCenter,
     setMapZoom,
     setRadiusCenter,
@@ -853,6 +1225,53 @@ export const SearchProvider = ({ children }) => {
     loadStates();
   }, []);
 
+  // Load the ACS dataset on mount
+  useEffect(() => {
+    let cancelled = false;
+    demographicsService.load().then(source => {
+      if (!cancelled) setDemographicsSource(source);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Re-enrich results already on screen whenever the dataset changes
+  const reapplyDemographics = useCallback(() => {
+    const enrichRows = (rows) => rows.map(row => demographicsService.enrichZip({ ...row, ...EMPTY_DEMOGRAPHICS }));
+    const radiusIds = new Set(radiusSearches.map(search => search.id));
+
+    if (radiusIds.size > 0) {
+      // rebuildDisplayedResults picks the new rows up from searchResultsById
+      setSearchResultsById(prev => Object.fromEntries(
+        Object.entries(prev).map(([id, rows]) => [id, radiusIds.has(id) && Array.isArray(rows) ? enrichRows(rows) : rows])
+      ));
+    } else if (zipResults.length > 0) {
+      const enriched = enrichRows(zipResults);
+      setZipResults(enriched);
+      updateAggregatedResults(enriched);
+    }
+  }, [radiusSearches, zipResults, setZipResults, updateAggregatedResults]);
+
+  const reapplyDemographicsRef = useRef(reapplyDemographics);
+  reapplyDemographicsRef.current = reapplyDemographics;
+
+  useEffect(() => {
+    reapplyDemographicsRef.current();
+  }, [demographicsSource]);
+
+  const importDemographics = useCallback(async (file) => {
+    const source = await demographicsService.importDataset(file);
+    setDemographicsSource(source);
+    return source;
+  }, []);
+
+  const clearDemographics = useCallback(async () => {
+    const source = await demographicsService.clearImportedDataset();
+    setDemographicsSource(source);
+    return source;
+  }, []);
+
   // Load counties when state is selected
   useEffect(() => {
     if (selectedState) {
@@ -962,7 +1381,8 @@ export const SearchProvider = ({ children }) => {
   const addPolygonSearch = useCallback((shape, bounds, extraData = {}) => {
     const id = Date.now().toString();
     const shapeNumber = getNextShapeNumber();
-    const label = `Shape ${shapeNumber}`;
+    // Imported territories keep their feature name
+    const label = shape?.label || `Shape ${shapeNumber}`;
 
     // Get sequence number for color assignment (shapeNumber - 1 since shapeNumber starts at 1)
     const colorIndex = (shapeNumber - 1) % SEARCH_COLOR_PALETTE.length;
@@ -988,6 +1408,9 @@ export const SearchProvider = ({ children }) => {
       shapeType: extraData.shapeType || 'polygon',
       circleCenter: extraData.circleCenter || null,
       circleRadius: extraData.circleRadius || null,
+      // Full GeoJSON geometry when the shape has holes or several parts
+      geometry: extraData.geometry || null,
+      inclusion: extraData.inclusion || null,
       // Store results directly on the search entry for sharing
       results: extraData.results || [],
       resultsCount: extraData.results?.length || 0,
@@ -1068,7 +1491,7 @@ export const SearchProvider = ({ children }) => {
 
     // Trigger the search if shape data exists
     if (searchEntry.shape) {
-      await performSingleShapeSearch(searchEntry.shape, false);
+      await performSingleShapeSearch(searchEntry.shape, false, searchEntry.inclusion);
     }
 
     return { entry: searchEntry };
@@ -1077,8 +1500,9 @@ export const SearchProvider = ({ children }) => {
   // Polygon Search mode function (searches for ZIP codes/cities/counties within polygons)
   // NOTE: This function handles the POLYGON SEARCH MODE (not Address Search with polygons)
   // For Address Search polygon functionality, see performSingleShapeSearchAddress
-  const performSingleShapeSearch = useCallback(async (shape, appendResults = false) => {
+  const performSingleShapeSearch = useCallback(async (shape, appendResults = false, inclusionOverride = null) => {
     console.log('🔵 [POLYGON SEARCH MODE] performSingleShapeSearch called', { shape, appendResults });
+    const inclusion = inclusionOverride || zipInclusion;
     setIsLoading(true);
 
     // Always mark as performed and show drawer
@@ -1094,10 +1518,14 @@ export const SearchProvider = ({ children }) => {
     try {
       // Convert shape to polygon coordinates
       const coords = [];
+      let geometry = null;
+      let allCoords = coords;
       if (shape.type === 'polygon') {
-        shape.layer.getLatLngs()[0].forEach(latlng => {
-          coords.push({ lat: latlng.lat, lng: latlng.lng });
-        });
+        // Imported polygons may have holes or several parts
+        const searchShape = polygonSearchShape(shape.layer.toGeoJSON().geometry);
+        coords.push(...searchShape.coordinates);
+        geometry = searchShape.geometry;
+        allCoords = searchShape.outerPoints;
       } else if (shape.type === 'rectangle') {
         const bounds = shape.layer.getBounds();
         coords.push(
@@ -1121,6 +1549,8 @@ export const SearchProvider = ({ children }) => {
 
       const searchParams = {
         polygon: coords,
+        ...(geometry ? { geometry } : {}),
+        inclusion,
         limit: 2000,
         offset: 0
       };
@@ -1133,123 +1563,20 @@ export const SearchProvider = ({ children }) => {
       if (appendResults) {
         // Append to existing results
         setZipResults(prev => [...prev, ...normalizedResults]);
-
-        // Update aggregated results inline
-        const allZips = [...zipResults, ...normalizedResults];
-        const uniqueCities = [...new Set(allZips.map(zip =>
-          `${zip.city}|${zip.state}|${zip.county}`
-        ))].map((cityKey, index) => {
-          const [city, state, county] = cityKey.split('|');
-          const cityZips = allZips.filter(zip =>
-            zip.city === city && zip.state === state && zip.county === county
-          );
-          return {
-            id: `city-${index}`,
-            name: city,
-            state: state,
-            county: county,
-            zipCount: cityZips.length,
-            population: cityZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-          };
-        });
-
-        const uniqueCounties = [...new Set(allZips.map(zip =>
-          `${zip.county}|${zip.state}`
-        ))].map((countyKey, index) => {
-          const [county, state] = countyKey.split('|');
-          const countyZips = allZips.filter(zip =>
-            zip.county === county && zip.state === state
-          );
-          return {
-            id: `county-${index}`,
-            name: county,
-            state: state,
-            zipCount: countyZips.length,
-            cityCount: new Set(countyZips.map(z => z.city)).size,
-            population: countyZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-          };
-        });
-
-        const uniqueStates = [...new Set(allZips.map(zip => zip.state))].map((state, index) => {
-          const stateZips = allZips.filter(zip => zip.state === state);
-          return {
-            id: `state-${index}`,
-            name: state,
-            abbreviation: state,
-            zipCount: stateZips.length,
-            cityCount: new Set(stateZips.map(z => z.city)).size,
-            countyCount: new Set(stateZips.map(z => z.county)).size,
-            population: stateZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-          };
-        });
-
-        setCityResults(uniqueCities);
-        setCountyResults(uniqueCounties);
-        setStateResults(uniqueStates);
+        appendAggregatedResults(normalizedResults);
       } else {
         // Replace results
         setZipResults(normalizedResults);
-
-        // Update aggregated results inline
-        const uniqueCities = [...new Set(normalizedResults.map(zip =>
-          `${zip.city}|${zip.state}|${zip.county}`
-        ))].map((cityKey, index) => {
-          const [city, state, county] = cityKey.split('|');
-          const cityZips = normalizedResults.filter(zip =>
-            zip.city === city && zip.state === state && zip.county === county
-          );
-          return {
-            id: `city-${index}`,
-            name: city,
-            state: state,
-            county: county,
-            zipCount: cityZips.length,
-            population: cityZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-          };
-        });
-
-        const uniqueCounties = [...new Set(normalizedResults.map(zip =>
-          `${zip.county}|${zip.state}`
-        ))].map((countyKey, index) => {
-          const [county, state] = countyKey.split('|');
-          const countyZips = normalizedResults.filter(zip =>
-            zip.county === county && zip.state === state
-          );
-          return {
-            id: `county-${index}`,
-            name: county,
-            state: state,
-            zipCount: countyZips.length,
-            cityCount: new Set(countyZips.map(z => z.city)).size,
-            population: countyZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-          };
-        });
-
-        const uniqueStates = [...new Set(normalizedResults.map(zip => zip.state))].map((state, index) => {
-          const stateZips = normalizedResults.filter(zip => zip.state === state);
-          return {
-            id: `state-${index}`,
-            name: state,
-            abbreviation: state,
-            zipCount: stateZips.length,
-            cityCount: new Set(stateZips.map(z => z.city)).size,
-            countyCount: new Set(stateZips.map(z => z.county)).size,
-            population: stateZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-          };
-        });
-
-        setCityResults(uniqueCities);
-        setCountyResults(uniqueCounties);
-        setStateResults(uniqueStates);
+        updateAggregatedResults(normalizedResults);
       }
 
       // Calculate and store bounds
       if (coords.length > 0) {
         const bounds = {
-          minLat: Math.min(...coords.map(c => c.lat)),
-          maxLat: Math.max(...coords.map(c => c.lat)),
-          minLng: Math.min(...coords.map(c => c.lng)),
-          maxLng: Math.max(...coords.map(c => c.lng))
+          minLat: Math.min(...allCoords.map(c => c.lat)),
+          maxLat: Math.max(...allCoords.map(c => c.lat)),
+          minLng: Math.min(...allCoords.map(c => c.lng)),
+          maxLng: Math.max(...allCoords.map(c => c.lng))
         };
 
         // Get circle-specific data if applicable
@@ -1267,6 +1594,8 @@ export const SearchProvider = ({ children }) => {
           shapeType: shape.type || 'polygon',
           circleCenter,
           circleRadius,
+          geometry,
+          inclusion,
           results: normalizedResults
         });
         return newEntry;
@@ -1281,101 +1610,12 @@ export const SearchProvider = ({ children }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [normalizeZipResults, zipResults, addPolygonSearch, clearResults, setZipResults, setApiError, setIsLoading, setCityResults, setCountyResults, setStateResults]);
-
-  const updateAggregatedResultsFromZips = useCallback((allZips) => {
-    // Group results for aggregates
-    const uniqueCities = [...new Set(allZips.map(zip =>
-      `${zip.city}|${zip.state}|${zip.county}`
-    ))].map((cityKey, index) => {
-      const [city, state, county] = cityKey.split('|');
-      const cityZips = allZips.filter(z => z.city === city && z.state === state);
-      const avgLat = cityZips.reduce((sum, z) => sum + z.lat, 0) / cityZips.length;
-      const avgLng = cityZips.reduce((sum, z) => sum + z.lng, 0) / cityZips.length;
-
-      // Aggregate population and households
-      const totalPopulation = cityZips.reduce((sum, z) => sum + (z.population || 0), 0);
-      const totalHouseholds = cityZips.reduce((sum, z) => sum + (z.households || 0), 0);
-
-      return {
-        id: index + 1,
-        name: city,
-        state,
-        county,
-        lat: avgLat,
-        lng: avgLng,
-        latitude: avgLat,  // Include both formats
-        longitude: avgLng,  // Include both formats
-        zipCount: cityZips.length,
-        population: totalPopulation,
-        households: totalHouseholds
-      };
-    });
-
-    const uniqueCounties = [...new Set(allZips.map(zip =>
-      `${zip.county}|${zip.state}`
-    ))].map((countyKey, index) => {
-      const [county, state] = countyKey.split('|');
-      const countyZips = allZips.filter(z => z.county === county && z.state === state);
-      const avgLat = countyZips.reduce((sum, z) => sum + z.lat, 0) / countyZips.length;
-      const avgLng = countyZips.reduce((sum, z) => sum + z.lng, 0) / countyZips.length;
-
-      // Aggregate population and households
-      const totalPopulation = countyZips.reduce((sum, z) => sum + (z.population || 0), 0);
-      const totalHouseholds = countyZips.reduce((sum, z) => sum + (z.households || 0), 0);
-
-      return {
-        id: index + 1,
-        name: county,
-        state,
-        lat: avgLat,
-        lng: avgLng,
-        latitude: avgLat,  // Include both formats
-        longitude: avgLng,  // Include both formats
-        zipCount: countyZips.length,
-        cityCount: new Set(countyZips.map(z => z.city)).size,
-        population: totalPopulation,
-        households: totalHouseholds
-      };
-    });
-
-    const uniqueStates = [...new Set(allZips.map(zip => zip.state))].map((state, index) => {
-      const stateZips = allZips.filter(z => z.state === state);
-      const avgLat = stateZips.reduce((sum, z) => sum + z.lat, 0) / stateZips.length;
-      const avgLng = stateZips.reduce((sum, z) => sum + z.lng, 0) / stateZips.length;
-
-      // Aggregate population and households
-      const totalPopulation = stateZips.reduce((sum, z) => sum + (z.population || 0), 0);
-      const totalHouseholds = stateZips.reduce((sum, z) => sum + (z.households || 0), 0);
-
-      // Get state name from availableStates if available
-      const stateInfo = availableStates.find(s => s.code === state);
-
-      return {
-        id: index + 1,
-        name: stateInfo ? stateInfo.name : state,
-        state,
-        lat: avgLat,
-        lng: avgLng,
-        latitude: avgLat,  // Include both formats
-        longitude: avgLng,  // Include both formats
-        zipCount: stateZips.length,
-        cityCount: new Set(stateZips.map(z => z.city)).size,
-        countyCount: new Set(stateZips.map(z => z.county)).size,
-        population: totalPopulation,
-        households: totalHouseholds
-      };
-    });
-
-    setCityResults(uniqueCities);
-    setCountyResults(uniqueCounties);
-    setStateResults(uniqueStates);
-  }, [availableStates, setCityResults, setCountyResults, setStateResults]);
+  }, [normalizeZipResults, zipInclusion, addPolygonSearch, clearResults, setZipResults, setApiError, setIsLoading, updateAggregatedResults, appendAggregatedResults]);
 
   // Reset function
   const handleReset = useCallback(() => {
-    if (searchMode === 'radius') {
-      // For radius mode, toggle between search and place mode
+    if (searchMode === 'radius' || searchMode === 'isochrone') {
+      // For radius and isochrone modes, toggle between search and place mode
       setIsSearchMode(true);
       setRadiusCenter(null);
       setSearchPerformed(false);
@@ -1415,8 +1655,10 @@ export const SearchProvider = ({ children }) => {
     setGeocodeError(null);
     setGeocodeProgress({ current: 0, total: 0, percentage: 0 });
     setGeocodeJobId(null);
+    setGeocodeJobStatus(null);
     setGeocodePreparedAddresses([]);
     setGeocodeProcessing(false);
+    geocodeJobService.clearJob();
   }, [setGeocodeResults]);
 
   // Download results as CSV
@@ -1432,7 +1674,7 @@ export const SearchProvider = ({ children }) => {
       if (data.length === 0) return;
 
       // Convert to CSV
-      const headers = ['House #', 'Street', 'Unit', 'City', 'State', 'ZIP', 'Latitude', 'Longitude', 'Search'];
+      const headers = ['House #', 'Street', 'Unit', 'Building Units', 'City', 'State', 'ZIP', 'Latitude', 'Longitude', 'Search'];
       const csvRows = [headers.join(',')];
 
       data.forEach(result => {
@@ -1440,6 +1682,7 @@ export const SearchProvider = ({ children }) => {
           result.housenumber || '',
           `"${(result.street || '').replace(/"/g, '""')}"`,
           result.unit || '',
+          `"${(result.flats || '').replace(/"/g, '""')}"`,
           `"${(result.city || '').replace(/"/g, '""')}"`,
           result.state || '',
           result.postcode || '',
@@ -1533,9 +1776,9 @@ export const SearchProvider = ({ children }) => {
 
   // Search mode change handler
   const handleSearchModeChange = useCallback((newMode) => {
-    // Define "sibling" modes that share results (radius & polygon are siblings)
-    const isSiblingSwitch = (searchMode === 'radius' && newMode === 'polygon') ||
-                           (searchMode === 'polygon' && newMode === 'radius');
+    // Define "sibling" modes that share results (radius, polygon & isochrone are siblings)
+    const zipSearchModes = ['radius', 'polygon', 'isochrone'];
+    const isSiblingSwitch = zipSearchModes.includes(searchMode) && zipSearchModes.includes(newMode);
 
     // Check if switching away from address or geocode mode with results
     const shouldPrompt = (searchMode === 'address' && addressSearches.length > 0) ||
@@ -1556,11 +1799,10 @@ export const SearchProvider = ({ children }) => {
     }
 
     // Clear ZIP/City/County/State results when switching between "cousin" modes
-    // BUT keep results when switching between sibling modes (radius ↔ polygon)
+    // BUT keep results when switching between sibling modes (radius ↔ polygon ↔ isochrone)
     if (!isSiblingSwitch) {
       // Switching to a "cousin" mode - clear ZIP results
-      const shouldClearResults = (searchMode === 'radius' || searchMode === 'polygon') &&
-                                (newMode !== 'radius' && newMode !== 'polygon');
+      const shouldClearResults = zipSearchModes.includes(searchMode) && !zipSearchModes.includes(newMode);
 
       if (shouldClearResults) {
         clearResults();
@@ -1575,7 +1817,7 @@ export const SearchProvider = ({ children }) => {
     setSearchTerm('');
     setRadiusCenter(null);
     setPlacingRadius(false);
-    setIsSearchMode(newMode === 'radius' || newMode === 'polygon'); // Both radius and polygon use search mode UI
+    setIsSearchMode(zipSearchModes.includes(newMode)); // Radius, polygon and isochrone use search mode UI
     // Expand the search panel downward to show the reset button
     setIsSearchPanelCollapsed(false);
   }, [searchMode, addressSearches, geocodeResults, geocodePreparedAddresses, clearAddressResults, clearGeocodeResults, clearResults, setIsSearchPanelCollapsed]);
@@ -1628,8 +1870,8 @@ export const SearchProvider = ({ children }) => {
 
         if (currentSubMode === 'radius') {
           // Validate radius
-          if (currentRadius > 10) {
-            setApiError('Maximum radius is 10 miles');
+          if (currentRadius > MAX_ADDRESS_RADIUS_MILES) {
+            setApiError(`Maximum radius is ${MAX_ADDRESS_RADIUS_MILES} miles`);
             setIsLoading(false);
             return;
           }
@@ -1659,7 +1901,7 @@ export const SearchProvider = ({ children }) => {
             mode: 'radius',
             center: { lat: searchLat, lng: searchLng },
             radius: currentRadius
-          });
+          }, { onBatch: showPartialAddresses });
           searchLabel = `${location.display_name} (${currentRadius}mi)`;
         } else if (currentSubMode === 'polygon') {
           // This should be handled by polygon draw callback
@@ -1727,7 +1969,8 @@ export const SearchProvider = ({ children }) => {
               ...searchParams,
               lat: radiusCenter[0],
               lng: radiusCenter[1],
-              radius: radius
+              radius: radius,
+              inclusion: zipInclusion
             };
           } else if (normalizedSearchTerm) {
             if (/^\d{5}$/.test(normalizedSearchTerm)) {
@@ -1795,6 +2038,7 @@ export const SearchProvider = ({ children }) => {
             summary: { zip, city, state },
             settings: createRadiusSettings({ overlayColor: SEARCH_COLOR_PALETTE[sequence % SEARCH_COLOR_PALETTE.length] }),
             searchParams: { ...searchParams, mode: 'radius' },
+            inclusion: searchParams.inclusion || null,
             selectedLocation: selectedLocation ? { ...selectedLocation } : null,
             signature,
             timestamp: Date.now(),
@@ -1802,7 +2046,7 @@ export const SearchProvider = ({ children }) => {
             sequence
           };
 
-          const nextRadiusSearches = [baseEntry, ...filteredSearches].slice(0, MAX_RADIUS_HISTORY);
+          const nextRadiusSearches = capRadiusHistory([baseEntry, ...filteredSearches]);
 
           setRadiusSearches(nextRadiusSearches);
           setExcludedSearchIds(prev => prev.filter(entryId => nextRadiusSearches.some(item => item.id === entryId)));
@@ -1860,6 +2104,7 @@ export const SearchProvider = ({ children }) => {
     searchMode,
     searchTerm,
     radius,
+    zipInclusion,
     radiusCenter,
     selectedState,
     selectedCounty,
@@ -1881,7 +2126,8 @@ export const SearchProvider = ({ children }) => {
     addressSubMode,
     checkOverpassCooldown,
     addAddressSearch,
-    setAddressResults
+    setAddressResults,
+    showPartialAddresses
   ]);
 
   const updateRadiusSearchSettings = useCallback((id, updater) => {
@@ -1952,10 +2198,140 @@ export const SearchProvider = ({ children }) => {
     setRadiusSearches(prev => prev.map(entry => entry.id === id ? { ...entry, label: newLabel.trim() } : entry));
   }, []);
 
+  // Selection search: boundaries clicked or boxed on the map with the select
+  // tool. Picks extend the active selection search, or start a new one when
+  // another search is active; its ZIPs are the union of each boundary's ZIPs.
+  // One pick resolves at a time so each builds on the previous one's entry.
+  const selectionBusyRef = useRef(false);
+
+  const toggleSelection = useCallback(async (type, target, loaded) => {
+    if (selectionBusyRef.current) return null;
+    selectionBusyRef.current = true;
+    setIsLoading(true);
+    setApiError(null);
+
+    try {
+      const current = radiusSearches.find(entry => entry.id === activeRadiusSearchId && entry.selection) || null;
+      const picked = await selectionSearchService.pick(type, target, loaded);
+      if (picked.length === 0) return { entry: current, picked: 0 };
+
+      const { items, added } = applySelectionPick(current?.selection.items || [], picked);
+      if (items.length === 0) {
+        removeRadiusSearch(current.id);
+        return { entry: null, picked: picked.length };
+      }
+
+      const resolved = await Promise.all(added.map(async item => ({
+        key: selectionKey(item),
+        rows: normalizeZipResults(await selectionSearchService.resolveZips(item))
+      })));
+      const zipCodesByKey = new Map(resolved.map(({ key, rows }) => [key, rows.map(row => row.zipCode)]));
+      const nextItems = items.map(item => (
+        zipCodesByKey.has(selectionKey(item)) ? { ...item, zipCodes: zipCodesByKey.get(selectionKey(item)) } : item
+      ));
+
+      const keptZips = new Set(nextItems.flatMap(item => item.zipCodes || []));
+      const rowsByZip = new Map();
+      [...(current?.results || []), ...resolved.flatMap(({ rows }) => rows)].forEach(row => {
+        if (keptZips.has(row.zipCode) && !rowsByZip.has(row.zipCode)) {
+          const { zipCode, city, county, state, lat, lng } = row;
+          rowsByZip.set(zipCode, { zipCode, city, county, state, lat, lng });
+        }
+      });
+      const results = Array.from(rowsByZip.values());
+
+      const sequence = current?.sequence ?? getNextSequenceNumber(radiusSearches);
+      const entryId = current?.id || generateRadiusSearchId();
+      const entry = {
+        ...(current || {
+          id: entryId,
+          label: `Selection ${sequence}`,
+          radius: null,
+          center: null,
+          query: null,
+          summary: { zip: null, city: null, state: null },
+          settings: createRadiusSettings({ overlayColor: SEARCH_COLOR_PALETTE[sequence % SEARCH_COLOR_PALETTE.length] }),
+          searchParams: { mode: 'selection' },
+          signature: `selection:${entryId}`,
+          sequence
+        }),
+        selection: { items: nextItems },
+        results,
+        timestamp: Date.now(),
+        resultsCount: results.length
+      };
+
+      const nextRadiusSearches = current
+        ? radiusSearches.map(existing => (existing.id === entryId ? entry : existing))
+        : capRadiusHistory([entry, ...radiusSearches]);
+      setRadiusSearches(nextRadiusSearches);
+
+      const overrideMap = {
+        [entryId]: normalizeZipResults(results).map(result => ({
+          ...result,
+          searchIds: [entryId],
+          searchSequences: [sequence]
+        }))
+      };
+      nextRadiusSearches.forEach(item => {
+        if (item.id !== entryId && searchResultsById[item.id]) {
+          overrideMap[item.id] = searchResultsById[item.id];
+        }
+      });
+
+      setSearchResultsById(overrideMap);
+      setActiveRadiusSearchId(entryId);
+      if (!current) setRadiusDisplaySettings(createRadiusSettings(entry.settings));
+      setSearchPerformed(true);
+      setIsSearchMode(false);
+      rebuildDisplayedResults(overrideMap, entryId, nextRadiusSearches);
+
+      return { entry, picked: picked.length };
+    } finally {
+      selectionBusyRef.current = false;
+      setIsLoading(false);
+    }
+  }, [
+    radiusSearches,
+    activeRadiusSearchId,
+    searchResultsById,
+    normalizeZipResults,
+    getNextSequenceNumber,
+    removeRadiusSearch,
+    rebuildDisplayedResults,
+    setActiveRadiusSearchId,
+    setRadiusDisplaySettings
+  ]);
+
   const executeRadiusSearchFromHistory = useCallback(async (id) => {
     const entry = radiusSearches.find(item => item.id === id);
     if (!entry) return null;
 
+    // Set and selection results are snapshots - just bring them back into focus
+    if (entry.setOperation || entry.selection) {
+      setActiveRadiusSearchId(entry.id);
+      setRadiusDisplaySettings(createRadiusSettings(entry.settings));
+      rebuildDisplayedResults(undefined, entry.id);
+      return { entry, result: null };
+    }
+
+    // The isochrone polygon is stored with the entry, so its results are
+    // still current - just bring it back into focus
+    if (entry.isochrone) {
+      setSearchMode('isochrone');
+      setActiveRadiusSearchId(entry.id);
+      setRadiusDisplaySettings(createRadiusSettings(entry.settings));
+      setSearchTerm(entry.query || '');
+      setRadiusCenter(entry.center);
+      setIsochroneOptions({
+        value: entry.isochrone.value,
+        metric: entry.isochrone.metric,
+        profile: entry.isochrone.profile
+      });
+      rebuildDisplayedResults(undefined, entry.id);
+      return { entry, result: null };
+    }
+
     setSearchMode('radius');
     setActiveRadiusSearchId(entry.id);
     setRadiusDisplaySettings(createRadiusSettings(entry.settings));
@@ -1994,10 +2370,39 @@ export const SearchProvider = ({ children }) => {
 
   const isSearchExcluded = useCallback((id) => excludedSearchIds.includes(id), [excludedSearchIds]);
 
-  // Restore searches from shared state (for share URL feature)
+  // Drop every search and its results (used before loading a saved workspace)
+  const clearAllSearches = useCallback(() => {
+    setRadiusSearches([]);
+    setActiveRadiusSearchId(null);
+    setPolygonSearches([]);
+    setActivePolygonSearchId(null);
+    setAvailableShapeNumbers(new Set());
+    setNextShapeNumber(1);
+    setHierarchySearches([]);
+    setActiveHierarchySearchId(null);
+    setAddressSearches([]);
+    setActiveAddressSearchId(null);
+    setSearchResultsById({});
+    setExcludedSearchIds([]);
+    setCsvFullData([]);
+    setRadiusCenter(null);
+    setSearchPerformed(false);
+    setIsSearchMode(true);
+
+    if (featureGroupRef?.current) {
+      featureGroupRef.current.clearLayers();
+    }
+    setDrawnShapes([]);
+
+    clearResults();
+  }, [featureGroupRef, setDrawnShapes, clearResults]);
+
+  // Restore searches from shared state (for share URL feature and saved workspaces)
   // Returns boundary settings for the caller to apply
-  const restoreFromShareState = useCallback(async (sharedState) => {
+  // options.preferStoredResults skips re-querying address searches that carry results
+  const restoreFromShareState = useCallback(async (sharedState, options = {}) => {
     if (!sharedState) return null;
+    const { preferStoredResults = false } = options;
 
     console.log('[Share] Restoring from shared state:', sharedState);
 
@@ -2028,7 +2433,44 @@ export const SearchProvider = ({ children }) => {
 
         for (let i = 0; i < sharedState.radiusSearches.length; i++) {
           const savedSearch = sharedState.radiusSearches[i];
-          if (savedSearch.center && savedSearch.radius) {
+          const isochrone = savedSearch.isochrone?.geometry ? savedSearch.isochrone : null;
+
+          // Set and selection searches carry their evaluated ZIPs
+          if (savedSearch.setOperation?.terms || savedSearch.selection?.items) {
+            const newEntryId = savedSearch.id || generateRadiusSearchId();
+            const sequence = i + 1;
+            const normalizedResults = normalizeZipResults(savedSearch.results);
+            const { setOperation, selection } = savedSearch;
+
+            newSearches.push({
+              id: newEntryId,
+              label: savedSearch.label || (setOperation ? describeSetExpression(setOperation.terms) : `Selection ${sequence}`),
+              radius: null,
+              center: null,
+              query: null,
+              summary: { zip: null, city: null, state: null },
+              settings: createRadiusSettings({
+                overlayColor: savedSearch.overlayColor || savedSearch.settings?.overlayColor || SEARCH_COLOR_PALETTE[i % SEARCH_COLOR_PALETTE.length]
+              }),
+              searchParams: { mode: setOperation ? 'set' : 'selection' },
+              ...(setOperation ? { setOperation } : { selection }),
+              results: savedSearch.results || [],
+              signature: setOperation
+                ? `set:${setOperation.terms.map(term => `${term.op}:${term.searchId}`).join('|')}`
+                : `selection:${newEntryId}`,
+              timestamp: Date.now(),
+              resultsCount: normalizedResults.length,
+              sequence
+            });
+            newResultsById[newEntryId] = normalizedResults.map(result => ({
+              ...result,
+              searchIds: [newEntryId],
+              searchSequences: [sequence]
+            }));
+            continue;
+          }
+
+          if (savedSearch.center && (savedSearch.radius || isochrone)) {
             try {
               let normalizedResults;
 
@@ -2039,19 +2481,25 @@ export const SearchProvider = ({ children }) => {
               } else {
                 // Fall back to re-executing search (legacy format)
                 console.log('[Share] Re-executing radius search (no stored results)');
-                const searchParams = {
-                  lat: savedSearch.center[0],
-                  lng: savedSearch.center[1],
-                  radius: savedSearch.radius,
-                  limit: 500,
-                  offset: 0
-                };
+                const searchParams = isochrone
+                  ? buildIsochroneSearchParams(isochrone.geometry, savedSearch.inclusion || undefined)
+                  : {
+                    lat: savedSearch.center[0],
+                    lng: savedSearch.center[1],
+                    radius: savedSearch.radius,
+                    inclusion: savedSearch.inclusion || undefined,
+                    limit: 500,
+                    offset: 0
+                  };
                 const searchResult = await ZipCodeService.search(searchParams);
                 normalizedResults = normalizeZipResults(searchResult?.results);
               }
 
               // Create search entry
-              const signature = buildRadiusSignature(savedSearch.center[0], savedSearch.center[1], savedSearch.radius);
+              const radiusSignature = buildRadiusSignature(savedSearch.center[0], savedSearch.center[1], savedSearch.radius);
+              const signature = isochrone
+                ? buildIsochroneSignature(savedSearch.center[0], savedSearch.center[1], isochrone)
+                : (savedSearch.store ? `store:${radiusSignature}` : radiusSignature);
               const newEntryId = savedSearch.id || generateRadiusSearchId();
               const sequence = i + 1;
               const colorIndex = i % SEARCH_COLOR_PALETTE.length;
@@ -2065,19 +2513,26 @@ export const SearchProvider = ({ children }) => {
               if (zip) labelParts.push(zip);
               if (city && state) labelParts.push(`${city}, ${state}`);
               const baseLabel = labelParts.length > 0 ? labelParts.join(' - ') : formatCenterFallback(savedSearch.center[0], savedSearch.center[1]);
-              const computedLabel = `${baseLabel} (${savedSearch.radius}m)`;
+              const computedLabel = isochrone
+                ? `${isochroneService.describe(isochrone)} – ${baseLabel}`
+                : `${baseLabel} (${savedSearch.radius}m)`;
 
               const entry = {
                 id: newEntryId,
                 label: savedSearch.label || computedLabel,
-                radius: savedSearch.radius,
+                radius: isochrone ? null : savedSearch.radius,
                 center: savedSearch.center,
                 query: savedSearch.query || null,
                 summary: { zip, city, state },
                 settings: createRadiusSettings({
                   overlayColor: savedSearch.overlayColor || savedSearch.settings?.overlayColor || SEARCH_COLOR_PALETTE[colorIndex]
                 }),
-                searchParams: { lat: savedSearch.center[0], lng: savedSearch.center[1], radius: savedSearch.radius, mode: 'radius' },
+                searchParams: isochrone
+                  ? { ...buildIsochroneSearchParams(isochrone.geometry, savedSearch.inclusion || undefined), mode: 'isochrone' }
+                  : { lat: savedSearch.center[0], lng: savedSearch.center[1], radius: savedSearch.radius, inclusion: savedSearch.inclusion || undefined, mode: 'radius' },
+                inclusion: savedSearch.inclusion || null,
+                ...(isochrone ? { isochrone } : {}),
+                ...(savedSearch.store ? { store: savedSearch.store } : {}),
                 signature,
                 timestamp: Date.now(),
                 resultsCount: normalizedResults.length,
@@ -2139,6 +2594,8 @@ export const SearchProvider = ({ children }) => {
               shapeType: savedSearch.shapeType || 'polygon',
               circleCenter: savedSearch.circleCenter,
               circleRadius: savedSearch.circleRadius,
+              geometry: savedSearch.geometry || null,
+              inclusion: savedSearch.inclusion || null,
               bounds: savedSearch.bounds,
               results, // Store results directly on the search entry
               timestamp: Date.now(),
@@ -2165,58 +2622,7 @@ export const SearchProvider = ({ children }) => {
           const allZipResults = newPolygonSearches.flatMap(s => s.results || []);
           if (allZipResults.length > 0) {
             setZipResults(allZipResults);
-
-            // Calculate and set aggregated city/county/state results
-            const uniqueCities = [...new Set(allZipResults.map(zip =>
-              `${zip.city}|${zip.state}|${zip.county}`
-            ))].map((cityKey, index) => {
-              const [city, state, county] = cityKey.split('|');
-              const cityZips = allZipResults.filter(zip =>
-                zip.city === city && zip.state === state && zip.county === county
-              );
-              return {
-                id: `city-${index}`,
-                name: city,
-                state: state,
-                county: county,
-                zipCount: cityZips.length,
-                population: cityZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-              };
-            });
-
-            const uniqueCounties = [...new Set(allZipResults.map(zip =>
-              `${zip.county}|${zip.state}`
-            ))].map((countyKey, index) => {
-              const [county, state] = countyKey.split('|');
-              const countyZips = allZipResults.filter(zip =>
-                zip.county === county && zip.state === state
-              );
-              return {
-                id: `county-${index}`,
-                name: county,
-                state: state,
-                zipCount: countyZips.length,
-                cityCount: new Set(countyZips.map(z => z.city)).size,
-                population: countyZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-              };
-            });
-
-            const uniqueStates = [...new Set(allZipResults.map(zip => zip.state))].map((state, index) => {
-              const stateZips = allZipResults.filter(zip => zip.state === state);
-              return {
-                id: `state-${index}`,
-                name: state,
-                abbreviation: state,
-                zipCount: stateZips.length,
-                cityCount: new Set(stateZips.map(z => z.city)).size,
-                countyCount: new Set(stateZips.map(z => z.county)).size,
-                population: stateZips.reduce((sum, zip) => sum + (zip.population || 0), 0)
-              };
-            });
-
-            setCityResults(uniqueCities);
-            setCountyResults(uniqueCounties);
-            setStateResults(uniqueStates);
+            updateAggregatedResults(allZipResults);
           }
         }
       }
@@ -2232,8 +2638,10 @@ export const SearchProvider = ({ children }) => {
           try {
             let addresses = [];
 
-            // Re-query using stored parameters via Worker API
-            if (savedSearch.mode === 'radius' && savedSearch.center) {
+            if (preferStoredResults && savedSearch.results && savedSearch.results.length > 0) {
+              addresses = savedSearch.results;
+            } else if (savedSearch.mode === 'radius' && savedSearch.center) {
+              // Re-query using stored parameters via Worker API
               const lat = savedSearch.center[0] || savedSearch.lat;
               const lng = savedSearch.center[1] || savedSearch.lng;
               const radius = savedSearch.radius;
@@ -2335,6 +2743,11 @@ export const SearchProvider = ({ children }) => {
         setDrawerState('half');
       }
 
+      // Restore exclusions (saved workspaces)
+      if (sharedState.excludedGeos) {
+        restoreExclusions(sharedState.excludedGeos);
+      }
+
       console.log('[Share] Restoration complete');
     } finally {
       setIsLoading(false);
@@ -2342,7 +2755,7 @@ export const SearchProvider = ({ children }) => {
 
     // Return boundary settings for caller to apply (requires MapContext access)
     return sharedState.boundarySettings || null;
-  }, [setSearchMode, setMapCenter, setMapZoom, setIsLoading, setRadiusSearches, setSearchResultsById, setActiveRadiusSearchId, setRadiusDisplaySettings, setIsSearchMode, setSearchPerformed, setDrawerState, rebuildDisplayedResults, setPolygonSearches, setActivePolygonSearchId, setZipResults, polygonDisplaySettings, setAddressSearches, setActiveAddressSearchId, searchAddressesViaWorker, addAddressSearch, setActiveTab, setHierarchySearches, setActiveHierarchySearchId, setSelectedState, setSelectedCounty, setSelectedCity, setCsvFullData]);
+  }, [setSearchMode, setMapCenter, setMapZoom, setIsLoading, setRadiusSearches, setSearchResultsById, setActiveRadiusSearchId, setRadiusDisplaySettings, setIsSearchMode, setSearchPerformed, setDrawerState, rebuildDisplayedResults, setPolygonSearches, setActivePolygonSearchId, setZipResults, updateAggregatedResults, polygonDisplaySettings, setAddressSearches, setActiveAddressSearchId, searchAddressesViaWorker, addAddressSearch, setActiveTab, setHierarchySearches, setActiveHierarchySearchId, setSelectedState, setSelectedCounty, setSelectedCity, setCsvFullData, restoreExclusions]);
 
   // Input change handler with autocomplete
   const handleSearchInputChange = useCallback(async (e, uiContext) => {
@@ -2505,7 +2918,7 @@ export const SearchProvider = ({ children }) => {
           mode: 'radius',
           center: { lat: finalLocation.lat, lng: finalLocation.lng },
           radius: addressRadius
-        });
+        }, { onBatch: showPartialAddresses });
 
         // Create search entry
         const displayName = finalLocation.displayName || finalLocation.display_name;
@@ -2568,6 +2981,7 @@ export const SearchProvider = ({ children }) => {
     setLastOverpassCall,
     addAddressSearch,
     setAddressResults,
+    showPartialAddresses,
     setActiveTab,
     setDrawerState,
     normalizeZipResults,
@@ -2613,7 +3027,7 @@ export const SearchProvider = ({ children }) => {
 
         // All results are ZIP codes - transform them to have consistent structure
         batchResults.forEach((results) => {
-          const transformedResults = results.map((r, index) => ({
+          const transformedResults = results.map((r, index) => demographicsService.enrichZip({
             ...r,
             id: `zip-${r.zipcode || r.zip_code || 'unknown'}-${Date.now()}-${index}`,
             // Ensure consistent coordinate properties
@@ -2626,8 +3040,8 @@ export const SearchProvider = ({ children }) => {
             city: r.city || r.place || r.city_name,
             county: r.county || r.province || r.county_name,
             state: r.state || r.state_code || r.state_abbreviation,
-            population: r.population || 0,
-            households: r.households || 0
+            population: r.population ?? null,
+            households: r.households ?? null
           }));
 
           allZipResults.push(...transformedResults);
@@ -2658,76 +3072,15 @@ export const SearchProvider = ({ children }) => {
 
     console.log('Unique ZIP results after deduplication:', uniqueZipResults.length);
 
-    // Set ZIP results
+    // Set ZIP results and aggregate to cities, counties, and states
     setZipResults(uniqueZipResults);
-
-    // Aggregate to cities, counties, and states
-    const uniqueCities = [...new Set(uniqueZipResults.map(zip =>
-      `${zip.city}|${zip.state}|${zip.county}`
-    ))].map((cityKey, index) => {
-      const [city, state, county] = cityKey.split('|');
-      const cityZips = uniqueZipResults.filter(zip =>
-        zip.city === city && zip.state === state && zip.county === county
-      );
-      return {
-        id: `city-${index}`,
-        name: city,
-        state: state,
-        county: county,
-        zipCount: cityZips.length,
-        population: cityZips.reduce((sum, zip) => sum + (zip.population || 0), 0),
-        households: cityZips.reduce((sum, zip) => sum + (zip.households || 0), 0)
-      };
-    });
-
-    const uniqueCounties = [...new Set(uniqueZipResults.map(zip =>
-      `${zip.county}|${zip.state}`
-    ))].map((countyKey, index) => {
-      const [county, state] = countyKey.split('|');
-      const countyZips = uniqueZipResults.filter(zip =>
-        zip.county === county && zip.state === state
-      );
-      return {
-        id: `county-${index}`,
-        name: county,
-        state: state,
-        zipCount: countyZips.length,
-        cityCount: new Set(countyZips.map(z => z.city)).size,
-        population: countyZips.reduce((sum, zip) => sum + (zip.population || 0), 0),
-        households: countyZips.reduce((sum, zip) => sum + (zip.households || 0), 0)
-      };
-    });
-
-    const uniqueStates = [...new Set(uniqueZipResults.map(zip => zip.state))].map((state, index) => {
-      const stateZips = uniqueZipResults.filter(zip => zip.state === state);
-      return {
-        id: `state-${index}`,
-        name: state,
-        abbreviation: state,
-        zipCount: stateZips.length,
-        cityCount: new Set(stateZips.map(z => z.city)).size,
-        countyCount: new Set(stateZips.map(z => z.county)).size,
-        population: stateZips.reduce((sum, zip) => sum + (zip.population || 0), 0),
-        households: stateZips.reduce((sum, zip) => sum + (zip.households || 0), 0)
-      };
-    });
-
-    setCityResults(uniqueCities);
-    setCountyResults(uniqueCounties);
-    setStateResults(uniqueStates);
+    updateAggregatedResults(uniqueZipResults);
 
     // Mark search as performed
     setSearchPerformed(true);
     setUploadProcessing(false);
     setProcessingProgress(null);
-
-    console.log('Final aggregated results:', {
-      zips: uniqueZipResults.length,
-      cities: uniqueCities.length,
-      counties: uniqueCounties.length,
-      states: uniqueStates.length
-    });
-  }, [setZipResults, setCityResults, setCountyResults, setStateResults]);
+  }, [setZipResults, updateAggregatedResults]);
 
   // Analyze columns for automatic mapping
   const analyzeColumnForType = useCallback((header, sampleValues) => {
@@ -3181,7 +3534,9 @@ export const SearchProvider = ({ children }) => {
     setGeocodeError(null);
     setGeocodeProgress({ current: 0, total: 0, percentage: 0 });
     setGeocodeJobId(null);
+    setGeocodeJobStatus(null);
     setGeocodePreparedAddresses([]);
+    geocodeJobService.clearJob();
     setShowHeaderMappingModal(false);
     setCsvHeaders([]);
     setCsvPreviewData([]);
@@ -3189,165 +3544,167 @@ export const SearchProvider = ({ children }) => {
     setColumnMapping({});
   }, []);
 
-  // Process geocoding after column mapping is confirmed
-  const processGeocodeCSV = useCallback(async () => {
-    if (!csvFullData || csvFullData.length === 0) {
-      setGeocodeError('No data to process');
-      return;
-    }
+  const showGeocodeJobResults = useCallback((job) => {
+    const { geocodedResults, notFound } = geocodeJobService.buildResults(job);
+    setGeocodeResults(geocodedResults);
+    setNotFoundAddresses(notFound);
+    return { geocodedResults, notFound };
+  }, [setGeocodeResults, setNotFoundAddresses]);
 
+  // Run a geocode job chunk by chunk, showing rows as each chunk finishes. The
+  // job is saved after every chunk, so a failure or reload loses at most one.
+  const runGeocodeJob = useCallback(async (job) => {
     setGeocodeProcessing(true);
-    setShowHeaderMappingModal(false);
+    setGeocodeError(null);
+    setGeocodeJobId(job.id);
+    setGeocodeJobStatus('running');
 
     try {
-      // Prepare addresses using the geocoding service
-      const preparedAddresses = geocodingService.prepareAddressesForGeocoding(csvFullData, columnMapping);
-
-      if (preparedAddresses.length === 0) {
-        setGeocodeError('No valid addresses found in CSV');
-        setGeocodeProcessing(false);
-        return;
-      }
-
-      setGeocodePreparedAddresses(preparedAddresses);
-      setGeocodeProgress({ current: 0, total: preparedAddresses.length, percentage: 0 });
-
-      // Extract just the address strings for the API
-      const addressStrings = preparedAddresses.map(addr => addr.addressString);
-
-      // Submit batch geocoding job
-      const jobInfo = await geocodingService.submitBatchGeocodeJob(addressStrings);
-
-      let results;
-
-      // Check if API returned results synchronously or requires polling
-      if (jobInfo.synchronous) {
-        console.log('✅ Got results immediately (synchronous)');
-        results = { results: jobInfo.results };
-        // Update progress to 100%
-        setGeocodeProgress({
-          current: jobInfo.total,
-          total: jobInfo.total,
-          percentage: 100
-        });
-      } else {
-        console.log('⏳ Polling for results (asynchronous)');
-        setGeocodeJobId(jobInfo.job_id);
-        console.log('Geocoding job submitted:', jobInfo.job_id, 'Total addresses:', jobInfo.total_addresses);
-
-        // Poll for results
-        results = await geocodingService.pollUntilComplete(
-          jobInfo.job_id,
-          (status) => {
-            // Update progress from real API status
-            setGeocodeProgress({
-              current: status.processed || 0,
-              total: status.total_addresses || preparedAddresses.length,
-              percentage: status.percentage || 0
-            });
-          }
-        );
-      }
+      const finished = await geocodeJobService.runJob(job, {
+        onProgress: (progress, current) => {
+          setGeocodeProgress(progress);
+          showGeocodeJobResults(current);
+        },
+        onRetry: (attempt, delay, error) => {
+          console.warn(`[Geocode] Chunk failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+          setGeocodeProgress(prev => ({ ...prev, retryAttempt: attempt }));
+        }
+      });
 
-      console.log('Geocoding complete:', results);
+      const { geocodedResults, notFound } = showGeocodeJobResults(finished);
+      setGeocodeJobStatus('complete');
+      console.log(`Geocoding complete: ${geocodedResults.length} found, ${notFound.length} not found`);
+    } catch (error) {
+      console.error('Geocoding error:', error);
+      setGeocodeJobStatus('paused');
+      setGeocodeError(`Geocoding paused: ${error.message}`);
+    } finally {
+      setGeocodeProcessing(false);
+    }
 
-      // Process results and combine with original data
-      const geocodedResults = [];
-      const notFound = [];
+    // Mark search as performed to show drawer
+    setSearchPerformed(true);
 
-      preparedAddresses.forEach((prepared, index) => {
-        const apiResult = results.results?.[index];
+    // Expand drawer to show results
+    setDrawerState('half');
 
-        if (apiResult && apiResult.success && apiResult.lat && apiResult.lng) {
-          // Parse formatted_address to extract components
-          const formatted = apiResult.formatted_address || apiResult.address || '';
+    // Switch to geocode results tab
+    setActiveTab('geocode');
+  }, [showGeocodeJobResults, setSearchPerformed, setDrawerState, setActiveTab]);
 
-          // Try to extract ZIP code from formatted address (5 digits)
-          const zipMatch = formatted.match(/\b(\d{5})(?:-\d{4})?\b/);
-          const extractedZip = zipMatch ? zipMatch[1] : '';
+  // Process geocoding after column mapping is confirmed
+  const processGeocodeCSV = useCallback(async () => {
+    if (!csvFullData || csvFullData.length === 0) {
+      setGeocodeError('No data to process');
+      return;
+    }
 
-          // Try to extract state from formatted address (2-letter code or full name)
-          const stateMatch = formatted.match(/,?\s*([A-Z]{2})\s*\d{5}/) ||
-                            formatted.match(/,\s*(Alabama|Alaska|Arizona|Arkansas|California|Colorado|Connecticut|Delaware|Florida|Georgia|Hawaii|Idaho|Illinois|Indiana|Iowa|Kansas|Kentucky|Louisiana|Maine|Maryland|Massachusetts|Michigan|Minnesota|Mississippi|Missouri|Montana|Nebraska|Nevada|New Hampshire|New Jersey|New Mexico|New York|North Carolina|North Dakota|Ohio|Oklahoma|Oregon|Pennsylvania|Rhode Island|South Carolina|South Dakota|Tennessee|Texas|Utah|Vermont|Virginia|Washington|West Virginia|Wisconsin|Wyoming),/i);
-          const extractedState = stateMatch ? stateMatch[1] : '';
+    setShowHeaderMappingModal(false);
 
-          // Try to extract city (text before state or before ZIP)
-          let extractedCity = '';
-          if (extractedState) {
-            const cityMatch = formatted.match(/,\s*([^,]+),\s*(?:${extractedState}|[A-Z]{2})/i);
-            extractedCity = cityMatch ? cityMatch[1].trim() : '';
-          }
+    // Prepare addresses using the geocoding service
+    const preparedAddresses = geocodingService.prepareAddressesForGeocoding(csvFullData, columnMapping);
 
-          // Build address from user-provided components or original input
-          const city = prepared.components.city || extractedCity;
-          const state = prepared.components.state || extractedState;
-          const zip = prepared.components.zip || extractedZip;
-          const county = prepared.components.county || '';
-
-          // Build clean address field from components
-          let address = '';
-          if (prepared.components.street) {
-            // User provided separate street component
-            address = prepared.components.street;
-          } else if (prepared.components.fullAddress) {
-            // User provided full address in one field
-            address = prepared.components.fullAddress;
-          } else {
-            // Extract street from addressString (remove city, state, zip)
-            address = prepared.addressString
-              .replace(new RegExp(`,?\\s*${city}.*$`, 'i'), '')
-              .replace(new RegExp(`,?\\s*${state}.*$`, 'i'), '')
-              .replace(/,?\s*\d{5}(-\d{4})?$/, '')
-              .trim();
-          }
+    if (preparedAddresses.length === 0) {
+      setGeocodeError('No valid addresses found in CSV');
+      return;
+    }
 
-          // Successfully geocoded
-          geocodedResults.push({
-            id: `geocode-${Date.now()}-${index}`,
-            businessName: prepared.businessName || '',
-            address: address,
-            city: city,
-            state: state,
-            zip: zip,
-            county: county,
-            lat: parseFloat(apiResult.lat),
-            lng: parseFloat(apiResult.lng),
-            accuracy: apiResult.accuracy || null,
-            provider: apiResult.provider || 'unknown',
-            success: true,
-            originalData: prepared.originalData
-          });
-        } else {
-          // Failed to geocode
-          notFound.push({
-            ...prepared,
-            reason: apiResult?.error || 'Address not found'
-          });
-        }
-      });
+    setGeocodePreparedAddresses(preparedAddresses);
+    setGeocodeProgress({ current: 0, total: preparedAddresses.length, percentage: 0 });
 
-      // Update results in ResultsContext
-      setGeocodeResults(geocodedResults);
-      setNotFoundAddresses(notFound);
+    const job = await geocodeJobService.createJob(preparedAddresses, { fileName: geocodeFile?.name });
+    await runGeocodeJob(job);
+  }, [csvFullData, columnMapping, geocodeFile, runGeocodeJob]);
 
-      // Mark search as performed to show drawer
-      setSearchPerformed(true);
+  // Continue a paused job from its first unfinished chunk
+  const resumeGeocodeJob = useCallback(async () => {
+    const job = await geocodeJobService.getCurrentJob();
+    if (job) await runGeocodeJob(job);
+  }, [runGeocodeJob]);
 
-      // Expand drawer to show results
-      setDrawerState('half');
+  // Restore the stored geocode job after a reload (share links take precedence);
+  // one that was still running carries on where it stopped
+  useEffect(() => {
+    if (hasShareParameter()) return;
+
+    let cancelled = false;
+    geocodeJobService.getCurrentJob().then(job => {
+      if (cancelled || !job) return;
+
+      console.info('[Geocode] Restoring stored job', job.id, job.status);
+      const total = job.addresses.length;
+      const current = geocodeJobService.countFinished(job);
+      setSearchMode('geocode');
+      setGeocodeFile({ name: job.fileName || 'Restored geocode job' });
+      setGeocodePreparedAddresses(job.addresses);
+      setGeocodeJobId(job.id);
+      setGeocodeProgress({ current, total, percentage: total ? Math.round((current / total) * 100) : 100 });
+      showGeocodeJobResults(job);
+
+      if (job.status === 'running') {
+        runGeocodeJob(job);
+      } else {
+        setGeocodeJobStatus(job.status);
+        if (job.error) setGeocodeError(`Geocoding paused: ${job.error}`);
+        setSearchPerformed(true);
+        setActiveTab('geocode');
+      }
+    });
 
-      // Switch to geocode results tab
-      setActiveTab('geocode');
+    return () => {
+      cancelled = true;
+    };
+  }, []); // Only on mount
+
+  // Manual corrections of a finished job. Each one is saved into the stored
+  // job so it survives a reload and ends up in the export.
+  const moveGeocodeResult = useCallback((id, { lat, lng }) => {
+    const result = geocodeResults.find(item => item.id === id);
+    if (!result) return;
+
+    setGeocodeResults(prev => prev.map(item => (
+      item.id === id ? { ...item, lat, lng, manual: true } : item
+    )));
+    if (result.jobIndex != null) {
+      geocodeJobService.saveCorrection(result.jobIndex, { result: { lat, lng, manual: true } });
+    }
+  }, [geocodeResults, setGeocodeResults]);
 
-      console.log(`Geocoding complete: ${geocodedResults.length} found, ${notFound.length} not found`);
+  const resolveNotFoundAddress = useCallback((item, apiResult, addressString) => {
+    const prepared = { ...item, addressString: addressString || item.addressString };
+    const row = {
+      ...toGeocodeResult(prepared, apiResult, `geocode-${geocodeJobId || 'manual'}-${item.jobIndex ?? item.id}`),
+      jobIndex: item.jobIndex
+    };
 
-    } catch (error) {
-      console.error('Geocoding error:', error);
-      setGeocodeError(`Geocoding failed: ${error.message}`);
-    } finally {
-      setGeocodeProcessing(false);
+    setNotFoundAddresses(prev => prev.filter(entry => entry.id !== item.id));
+    setGeocodeResults(prev => [...prev, row]);
+    if (item.jobIndex != null) {
+      geocodeJobService.saveCorrection(item.jobIndex, { result: apiResult, addressString });
     }
-  }, [csvFullData, columnMapping, setGeocodeResults, setNotFoundAddresses, setActiveTab]);
+    return row;
+  }, [geocodeJobId, setGeocodeResults, setNotFoundAddresses]);
+
+  /**
+   * Geocode an edited not-found address again
+   * @returns {Promise<boolean>} Whether it was found this time
+   */
+  const retryNotFoundAddress = useCallback(async (item, addressString) => {
+    const apiResult = await geocodeJobService.geocodeAddress(addressString);
+    if (!apiResult) {
+      setNotFoundAddresses(prev => prev.map(entry => (
+        entry.id === item.id ? { ...entry, addressString, reason: 'Address not found' } : entry
+      )));
+      return false;
+    }
+    resolveNotFoundAddress(item, apiResult, addressString);
+    return true;
+  }, [resolveNotFoundAddress, setNotFoundAddresses]);
+
+  // Drop a not-found address at a location (its marker can then be dragged)
+  const placeNotFoundAddress = useCallback((item, { lat, lng }) => (
+    resolveNotFoundAddress(item, { success: true, lat, lng, provider: 'manual', manual: true })
+  ), [resolveNotFoundAddress]);
 
   // Other address search functions
   const removeAddressSearch = useCallback((id) => {
@@ -3447,12 +3804,12 @@ export const SearchProvider = ({ children }) => {
         return;
       }
 
-      // Validate polygon size (max 100 square miles - worker API handles chunking)
+      // The worker API tiles large areas itself, up to about county size
       const { validatePolygonSize } = await import('../utils/polygonHelpers');
-      const validation = validatePolygonSize(coords, 100);
+      const validation = validatePolygonSize(coords, MAX_ADDRESS_AREA_SQ_MI);
 
       if (!validation.valid) {
-        setApiError(`Polygon too large: ${validation.area.toFixed(2)} sq mi (max 100 sq mi)`);
+        setApiError(`Polygon too large: ${validation.area.toFixed(2)} sq mi (max ${MAX_ADDRESS_AREA_SQ_MI.toLocaleString()} sq mi)`);
         setIsLoading(false);
         return;
       }
@@ -3464,7 +3821,7 @@ export const SearchProvider = ({ children }) => {
       const results = await searchAddressesViaWorker({
         mode: 'polygon',
         coordinates: apiCoords
-      });
+      }, { onBatch: showPartialAddresses });
 
       // Create search entry
       const label = `Polygon ${addressSearches.length + 1}`;
@@ -3496,7 +3853,7 @@ export const SearchProvider = ({ children }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [addressSearches, checkOverpassCooldown, addAddressSearch, setAddressResults, setActiveTab]);
+  }, [addressSearches, checkOverpassCooldown, addAddressSearch, setAddressResults, setActiveTab, showPartialAddresses]);
 
   const removeAddressSearchByShapeId = useCallback((shapeId) => {
     const searchToRemove = addressSearches.find(s => s.shapeId === shapeId);
@@ -3621,16 +3978,32 @@ export const SearchProvider = ({ children }) => {
     activeRadiusSearchId,
     radiusDisplaySettings,
     setRadiusDisplaySettings,
+    zipInclusion,
+    setZipInclusion,
     updateRadiusSearchSettings,
     removeRadiusSearch,
     executeRadiusSearchFromHistory,
+    isochroneOptions,
+    setIsochroneOptions,
+    performIsochroneSearch,
+    handleIsochroneSearch,
+    createSetSearch,
+    toggleSelection,
+    performStoreListSearch,
     restoreFromShareState,
+    clearAllSearches,
     combineSearchResults,
     setCombineSearchResults,
     toggleSearchExclusion,
     isSearchExcluded,
     renameRadiusSearch,
     excludedSearchIds,
+    searchResultsById,
+
+    // Demographics
+    demographicsSource,
+    importDemographics,
+    clearDemographics,
 
     // Upload search
     uploadedFile,
@@ -3666,8 +4039,13 @@ export const SearchProvider = ({ children }) => {
     setGeocodeProgress,
     geocodeJobId,
     setGeocodeJobId,
+    geocodeJobStatus,
     geocodePreparedAddresses,
     setGeocodePreparedAddresses,
+    resumeGeocodeJob,
+    moveGeocodeResult,
+    retryNotFoundAddress,
+    placeNotFoundAddress,
 
     // Functions
     handleReset,
@@ -3683,6 +4061,8 @@ export const SearchProvider = ({ children }) => {
     processGeocodeCSV,
     handleResetSearch,
     handleMapClickSearch,
+    updateAggregatedResults,
+    appendAggregatedResults,
 
     // Helper for hierarchy locations
     hierarchyLocations: {
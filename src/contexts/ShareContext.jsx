@@ -1,6 +1,10 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import {
   createShareLink,
+  updateShareLink,
+  deleteShareLink,
+  fetchShareVersions,
+  getOwnedShares,
   fetchShareData,
   parseShareIdFromUrl,
   decodeLegacyShareState,
@@ -40,6 +44,9 @@ export const ShareProvider = ({ children }) => {
   // Share creation loading state
   const [isCreatingShare, setIsCreatingShare] = useState(false);
 
+  // Links created in this browser (their owner tokens are kept locally)
+  const [ownedShares, setOwnedShares] = useState(() => getOwnedShares());
+
   // Check for share parameter on mount
   useEffect(() => {
     const loadShareData = async () => {
@@ -82,16 +89,37 @@ export const ShareProvider = ({ children }) => {
   }, []);
 
   // Create share URL via API
-  const createShare = useCallback(async (state, mode = 'edit') => {
+  const createShare = useCallback(async (state, mode = 'edit', options = {}) => {
     setIsCreatingShare(true);
     try {
-      const result = await createShareLink(state, mode);
+      const result = await createShareLink(state, mode, options);
       return result;
     } finally {
+      setOwnedShares(getOwnedShares());
       setIsCreatingShare(false);
     }
   }, []);
 
+  // Update an owned link in place (throws on failure)
+  const updateShare = useCallback(async (shareId, state, mode = 'edit', options = {}) => {
+    setIsCreatingShare(true);
+    try {
+      return await updateShareLink(shareId, state, mode, options);
+    } finally {
+      setOwnedShares(getOwnedShares());
+      setIsCreatingShare(false);
+    }
+  }, []);
+
+  // Revoke an owned link (throws on failure)
+  const deleteShare = useCallback(async (shareId) => {
+    try {
+      await deleteShareLink(shareId);
+    } finally {
+      setOwnedShares(getOwnedShares());
+    }
+  }, []);
+
   // Clear shared view state
   const exitSharedView = useCallback(() => {
     setIsSharedView(false);
@@ -118,10 +146,14 @@ export const ShareProvider = ({ children }) => {
     isLoading,
     isCreatingShare,
     shareError,
+    ownedShares,
 
     // Actions
     setShowShareModal,
     createShare,
+    updateShare,
+    deleteShare,
+    fetchShareVersions,
     exitSharedView,
     setViewMode,
     clearShareFromUrl
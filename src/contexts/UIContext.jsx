@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useRef, useCallback } from 'react';
 import { exportSimpleCsv as exportSimpleCsvHelper, dedupeAndSort } from '../utils/exportHelpers';
+import { formatAddress } from '../utils/addressNormalizer';
 
 const UIContext = createContext();
 
@@ -173,21 +174,7 @@ export const UIProvider = ({ children }) => {
       }).join('\n');
     } else if (activeTab === 'streets') {
       // Copy street addresses
-      text = data.map(item => {
-        const parts = [];
-        if (item.housenumber) parts.push(item.housenumber);
-        if (item.street) parts.push(item.street);
-        if (item.unit) parts.push(`Unit ${item.unit}`);
-
-        const streetAddress = parts.join(' ');
-        const cityStateZip = [
-          item.city || '',
-          item.state || '',
-          item.postcode || ''
-        ].filter(Boolean).join(' ');
-
-        return `${streetAddress}, ${cityStateZip}`;
-      }).join('\n');
+      text = data.map(formatAddress).join('\n');
     } else {
       // Dedupe and sort data for other tabs
       const deduped = dedupeAndSort(data, activeTab);
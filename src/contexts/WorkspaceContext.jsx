@@ -0,0 +1,328 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearch } from './SearchContext';
+import { useMap } from './MapContext';
+import { useResults } from './ResultsContext';
+import { useShare } from './ShareContext';
+import workspaceService from '../services/workspaceService';
+import { buildShareState, hasShareParameter } from '../utils/shareHelpers';
+import { getAutosaveAction, AUTOSAVE_ACTIONS } from '../utils/workspaceHelpers';
+
+const WorkspaceContext = createContext(null);
+
+// Wait for the user to pause before writing to IndexedDB
+const AUTOSAVE_DELAY_MS = 1500;
+
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
+
+export const WorkspaceProvider = ({ children }) => {
+  const {
+    searchMode,
+    radiusSearches,
+    polygonSearches,
+    hierarchySearches,
+    addressSearches,
+    searchResultsById,
+    csvFullData,
+    clearAllSearches
+  } = useSearch();
+  const {
+    mapCenter,
+    mapZoom,
+    mapType,
+    showZipBoundaries,
+    showStateBoundaries,
+    showCityBoundaries,
+    showVtdBoundaries
+  } = useMap();
+  const { excludedGeos } = useResults();
+  const { isSharedView } = useShare();
+
+  const [workspaces, setWorkspaces] = useState([]);
+  const [currentWorkspaceId, setCurrentWorkspaceId] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('idle'); // 'idle', 'saving', 'saved', 'error'
+  const [workspaceError, setWorkspaceError] = useState(null);
+
+  // State waiting to be applied by the app shell (it owns the map layers)
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const isRestoringRef = useRef(false);
+  const captureBaselineRef = useRef(false);
+  const lastSavedRef = useRef(null);
+  const autosaveTimerRef = useRef(null);
+
+  const isAvailable = workspaceService.isAvailable();
+
+  // Radius and address entries keep their results in searchResultsById, so
+  // attach them here to avoid re-running every search on load
+  const snapshot = useMemo(() => buildShareState({
+    searchMode,
+    mapCenter,
+    mapZoom,
+    mapType,
+    radiusSearches: radiusSearches.map(s => ({ ...s, results: searchResultsById[s.id] })),
+    addressSearches: addressSearches.map(s => ({ ...s, results: searchResultsById[s.id] })),
+    polygonSearches,
+    hierarchySearches,
+    csvFullData,
+    showZipBoundaries,
+    showStateBoundaries,
+    showCityBoundaries,
+    showVtdBoundaries,
+    excludedGeos
+  }), [searchMode, mapCenter, mapZoom, mapType, radiusSearches, addressSearches, searchResultsById, polygonSearches, hierarchySearches, csvFullData, showZipBoundaries, showStateBoundaries, showCityBoundaries, showVtdBoundaries, excludedGeos]);
+
+  const currentWorkspace = useMemo(
+    () => workspaces.find(w => w.id === currentWorkspaceId) || null,
+    [workspaces, currentWorkspaceId]
+  );
+
+  const refreshWorkspaces = useCallback(async () => {
+    if (!isAvailable) return [];
+    try {
+      const list = await workspaceService.listWorkspaces();
+      setWorkspaces(list);
+      return list;
+    } catch (error) {
+      console.error('[Workspaces] Failed to list workspaces:', error);
+      setWorkspaceError(error.message);
+      return [];
+    }
+  }, [isAvailable]);
+
+  const selectWorkspace = useCallback((id) => {
+    setCurrentWorkspaceId(id);
+    workspaceService.setLastWorkspaceId(id);
+  }, []);
+
+  // Write pending edits to the open workspace before switching away from it
+  const flushCurrentWorkspace = useCallback(async () => {
+    clearTimeout(autosaveTimerRef.current);
+    if (!currentWorkspaceId || isRestoringRef.current) return;
+
+    const serialized = JSON.stringify(snapshot);
+    if (serialized !== lastSavedRef.current) {
+      await workspaceService.saveWorkspace(currentWorkspaceId, snapshot);
+      lastSavedRef.current = serialized;
+    }
+  }, [currentWorkspaceId, snapshot]);
+
+  // Load a workspace: clear everything, then hand its state to the restore path
+  const loadWorkspace = useCallback(async (id) => {
+    try {
+      await flushCurrentWorkspace();
+
+      const workspace = await workspaceService.getWorkspace(id);
+      if (!workspace) {
+        throw new Error('Workspace not found');
+      }
+
+      isRestoringRef.current = true;
+      clearAllSearches();
+      selectWorkspace(workspace.id);
+      setPendingRestore({ id: workspace.id, state: workspace.state });
+      setWorkspaceError(null);
+      return workspace;
+    } catch (error) {
+      console.error('[Workspaces] Failed to load workspace:', error);
+      setWorkspaceError(error.message);
+      return null;
+    }
+  }, [flushCurrentWorkspace, clearAllSearches, selectWorkspace]);
+
+  // Called by the app shell once restoreFromShareState has finished
+  const completeRestore = useCallback(() => {
+    setPendingRestore(null);
+    isRestoringRef.current = false;
+    // Treat the restored state as saved until the user changes something
+    captureBaselineRef.current = true;
+  }, []);
+
+  // Start an empty workspace. The searches are cleared only once the new
+  // workspace is selected, in the same render, so autosave never sees the
+  // empty state while the previous workspace is still open.
+  const createWorkspace = useCallback(async (name) => {
+    try {
+      await flushCurrentWorkspace();
+      const workspace = await workspaceService.createWorkspace(name, null);
+      selectWorkspace(workspace.id);
+      lastSavedRef.current = null;
+      clearAllSearches();
+      await refreshWorkspaces();
+      return workspace;
+    } catch (error) {
+      console.error('[Workspaces] Failed to create workspace:', error);
+      setWorkspaceError(error.message);
+      return null;
+    }
+  }, [flushCurrentWorkspace, clearAllSearches, selectWorkspace, refreshWorkspaces]);
+
+  // Save the current searches under a new name and switch to it
+  const saveWorkspaceAs = useCallback(async (name) => {
+    try {
+      const workspace = await workspaceService.createWorkspace(name, snapshot);
+      lastSavedRef.current = JSON.stringify(snapshot);
+      selectWorkspace(workspace.id);
+      setSaveStatus('saved');
+      await refreshWorkspaces();
+      return workspace;
+    } catch (error) {
+      console.error('[Workspaces] Failed to save workspace:', error);
+      setWorkspaceError(error.message);
+      setSaveStatus('error');
+      return null;
+    }
+  }, [snapshot, selectWorkspace, refreshWorkspaces]);
+
+  const renameWorkspace = useCallback(async (id, name) => {
+    try {
+      await workspaceService.renameWorkspace(id, name);
+      await refreshWorkspaces();
+    } catch (error) {
+      console.error('[Workspaces] Failed to rename workspace:', error);
+      setWorkspaceError(error.message);
+    }
+  }, [refreshWorkspaces]);
+
+  const duplicateWorkspace = useCallback(async (id) => {
+    try {
+      // Flush unsaved edits first so the copy matches what's on screen
+      if (id === currentWorkspaceId) {
+        await flushCurrentWorkspace();
+      }
+      const copy = await workspaceService.duplicateWorkspace(id);
+      await refreshWorkspaces();
+      return copy;
+    } catch (error) {
+      console.error('[Workspaces] Failed to duplicate workspace:', error);
+      setWorkspaceError(error.message);
+      return null;
+    }
+  }, [currentWorkspaceId, flushCurrentWorkspace, refreshWorkspaces]);
+
+  // Deleting the open workspace also clears its searches from the screen,
+  // otherwise autosave would immediately recreate it
+  const deleteWorkspace = useCallback(async (id) => {
+    try {
+      await workspaceService.deleteWorkspace(id);
+      if (id === currentWorkspaceId) {
+        clearTimeout(autosaveTimerRef.current);
+        clearAllSearches();
+        setCurrentWorkspaceId(null);
+        setSaveStatus('idle');
+      }
+      await refreshWorkspaces();
+    } catch (error) {
+      console.error('[Workspaces] Failed to delete workspace:', error);
+      setWorkspaceError(error.message);
+    }
+  }, [currentWorkspaceId, clearAllSearches, refreshWorkspaces]);
+
+  // Reopen the last workspace after a reload (share links take precedence)
+  useEffect(() => {
+    if (!isAvailable) return;
+
+    const init = async () => {
+      const list = await refreshWorkspaces();
+      const lastId = workspaceService.getLastWorkspaceId();
+
+      if (hasShareParameter() || !lastId) return;
+
+      if (list.some(w => w.id === lastId)) {
+        console.info('[Workspaces] Reopening last workspace', lastId);
+        await loadWorkspace(lastId);
+      } else {
+        workspaceService.setLastWorkspaceId(null);
+      }
+    };
+
+    init();
+  }, []); // Only on mount
+
+  // Autosave
+  useEffect(() => {
+    if (!isAvailable || isSharedView || isRestoringRef.current || pendingRestore) return;
+
+    const serialized = JSON.stringify(snapshot);
+
+    // The freshly restored state is what's already stored
+    if (captureBaselineRef.current) {
+      captureBaselineRef.current = false;
+      lastSavedRef.current = serialized;
+      return;
+    }
+
+    const action = getAutosaveAction({
+      serialized,
+      lastSaved: lastSavedRef.current,
+      workspaceId: currentWorkspaceId,
+      searchCount: workspaceService.countSearches(snapshot)
+    });
+    if (action === AUTOSAVE_ACTIONS.SKIP) return;
+
+    clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = setTimeout(async () => {
+      setSaveStatus('saving');
+      try {
+        if (action === AUTOSAVE_ACTIONS.SAVE) {
+          const saved = await workspaceService.saveWorkspace(currentWorkspaceId, snapshot);
+          if (!saved) {
+            // Deleted in another tab
+            setCurrentWorkspaceId(null);
+            setSaveStatus('idle');
+            return;
+          }
+        } else {
+          const workspace = await workspaceService.createWorkspace(
+            `Workspace ${new Date().toLocaleDateString()}`,
+            snapshot
+          );
+          selectWorkspace(workspace.id);
+        }
+
+        lastSavedRef.current = serialized;
+        setSaveStatus('saved');
+        await refreshWorkspaces();
+      } catch (error) {
+        console.error('[Workspaces] Autosave failed:', error);
+        setWorkspaceError(error.message);
+        setSaveStatus('error');
+      }
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(autosaveTimerRef.current);
+  }, [snapshot, currentWorkspaceId, isAvailable, isSharedView, pendingRestore, selectWorkspace, refreshWorkspaces]);
+
+  const value = {
+    // State
+    isAvailable,
+    workspaces,
+    currentWorkspace,
+    currentWorkspaceId,
+    saveStatus,
+    workspaceError,
+    pendingRestore,
+
+    // Actions
+    loadWorkspace,
+    completeRestore,
+    createWorkspace,
+    saveWorkspaceAs,
+    renameWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace,
+    refreshWorkspaces
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
+
+export default WorkspaceContext;
@@ -4,18 +4,24 @@ import { useState, useCallback, useRef, useEffect } from 'react';
  * Custom hook for virtual scrolling in large lists
  * @param {Array} items - The full array of items
  * @param {number} itemHeight - Height of each item
- * @param {number} containerHeight - Height of the container
+ * @param {number} [containerHeight] - Height of the container; measured from
+ *   the scroll element when omitted
  * @param {number} overscan - Number of items to render outside visible area
+ * @param {Object} [externalScrollRef] - Ref to an existing scrolling element
+ *   (e.g. the results drawer) to follow instead of the returned one
  * @returns {Object} - Virtual scrolling state and handlers
  */
-export const useVirtualScroll = (items, itemHeight, containerHeight, overscan = 3) => {
+export const useVirtualScroll = (items, itemHeight, containerHeight, overscan = 3, externalScrollRef = null) => {
   const [scrollTop, setScrollTop] = useState(0);
-  const scrollElementRef = useRef(null);
+  const [measuredHeight, setMeasuredHeight] = useState(0);
+  const ownScrollRef = useRef(null);
+  const scrollElementRef = externalScrollRef || ownScrollRef;
 
+  const viewportHeight = containerHeight || measuredHeight;
   const visibleStart = Math.max(0, Math.floor(scrollTop / itemHeight) - overscan);
   const visibleEnd = Math.min(
     items.length,
-    Math.ceil((scrollTop + containerHeight) / itemHeight) + overscan
+    Math.ceil((scrollTop + viewportHeight) / itemHeight) + overscan
   );
 
   const visibleItems = items.slice(visibleStart, visibleEnd);
@@ -29,10 +35,21 @@ export const useVirtualScroll = (items, itemHeight, containerHeight, overscan =
   useEffect(() => {
     const scrollElement = scrollElementRef.current;
     if (scrollElement) {
-      scrollElement.addEventListener('scroll', handleScroll);
+      setScrollTop(scrollElement.scrollTop);
+      scrollElement.addEventListener('scroll', handleScroll, { passive: true });
       return () => scrollElement.removeEventListener('scroll', handleScroll);
     }
-  }, [handleScroll]);
+  }, [handleScroll, scrollElementRef]);
+
+  useEffect(() => {
+    const scrollElement = scrollElementRef.current;
+    if (containerHeight || !scrollElement) return;
+    setMeasuredHeight(scrollElement.clientHeight);
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => setMeasuredHeight(scrollElement.clientHeight));
+    observer.observe(scrollElement);
+    return () => observer.disconnect();
+  }, [containerHeight, scrollElementRef]);
 
   return {
     scrollElementRef,
@@ -44,4 +61,4 @@ export const useVirtualScroll = (items, itemHeight, containerHeight, overscan =
   };
 };
 
-export default useVirtualScroll;
\ No newline at end of file
+export default useVirtualScroll;
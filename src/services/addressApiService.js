@@ -5,6 +5,12 @@
 
 const API_BASE = 'https://geosearch-address-api.edwin-6f1.workers.dev';
 
+// Match MAX_AREA_SQ_MI in workers/address-api/src/handlers/createJob.ts.
+// Areas above ~20 sq mi are split into tiles by the worker and stream in
+// as each tile finishes.
+export const MAX_ADDRESS_AREA_SQ_MI = 2000;
+export const MAX_ADDRESS_RADIUS_MILES = Math.floor(Math.sqrt(MAX_ADDRESS_AREA_SQ_MI / Math.PI));
+
 /**
  * Start a new address search job
  * @param {Object} params - Search parameters
@@ -42,8 +48,11 @@ export async function startAddressSearch(params) {
  *   totalFound: number,
  *   results: Array,
  *   nextCursor: string|null,
- *   error: string|null
- * }>}
+ *   error: string|null,
+ *   partial?: boolean,
+ *   failedTiles?: number,
+ *   tileCount?: number
+ * }>} - partial/failedTiles are set for large areas searched in tiles
  */
 export async function pollJobStatus(jobId, cursor = null, limit = 100) {
   const params = new URLSearchParams({ limit: String(limit) });
@@ -68,9 +77,9 @@ export async function pollJobStatus(jobId, cursor = null, limit = 100) {
  * Stream address search results via Server-Sent Events
  * @param {string} jobId - Job ID to stream
  * @param {Object} callbacks - Event callbacks
- * @param {function({progress: number, found: number}): void} callbacks.onProgress - Progress update callback
+ * @param {function({progress: number, found: number, zips?: Array<{zip: string, status: string, found: number}>}): void} callbacks.onProgress - Progress update callback (zips is set for ZIP mode)
  * @param {function(Array): void} callbacks.onBatch - Batch of addresses callback
- * @param {function({totalFound: number, duration: number}): void} callbacks.onComplete - Completion callback
+ * @param {function({totalFound: number, duration: number, partial?: boolean, failedTiles?: number, tileCount?: number}): void} callbacks.onComplete - Completion callback (partial is set when some tiles of a large area failed)
  * @param {function({message: string, code: string}): void} callbacks.onError - Error callback
  * @returns {EventSource} - The EventSource instance (call .close() to stop)
  */
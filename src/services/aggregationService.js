@@ -0,0 +1,59 @@
+/**
+ * Aggregation Service
+ * Rolls ZIP results up into city, county and state rows in a Web Worker
+ * (workers/aggregation.worker.js). The worker keeps the current result set,
+ * so searches that append ZIPs only send the new rows.
+ *
+ * Calls are answered in order, each with the full rollups after it. Where
+ * workers aren't available the same aggregator runs on the calling thread.
+ */
+
+import { ResultAggregator } from '../utils/resultAggregator';
+import { DEMOGRAPHIC_FIELDS } from './demographicsService';
+import { WorkerClient } from '../utils/workerClient';
+
+class AggregationService {
+  constructor() {
+    this.client = new WorkerClient(
+      () => new Worker(new URL('../workers/aggregation.worker.js', import.meta.url), { type: 'module' }),
+      { name: 'Aggregation worker' }
+    );
+    this.local = null;
+  }
+
+  call(method, ...args) {
+    if (typeof Worker === 'undefined') {
+      if (!this.local) this.local = new ResultAggregator({ fields: DEMOGRAPHIC_FIELDS });
+      this.local[method](...args);
+      return Promise.resolve(this.local.snapshot());
+    }
+
+    return this.client.call(method, ...args);
+  }
+
+  /**
+   * Replace the result set
+   * @param {Array<Object>} zips - ZIP rows
+   * @param {Object} [sequenceLookup] - search id -> sequence number
+   * @returns {Promise<{ cities, counties, states }>}
+   */
+  reset(zips = [], sequenceLookup = {}) {
+    return this.call('reset', zips, sequenceLookup);
+  }
+
+  /**
+   * Add ZIP rows to the result set (rows for ZIPs already in it replace them)
+   */
+  add(zips, sequenceLookup = {}) {
+    return this.call('add', zips, sequenceLookup);
+  }
+
+  /**
+   * @param {Array<string>} zipCodes
+   */
+  remove(zipCodes) {
+    return this.call('remove', zipCodes);
+  }
+}
+
+export default new AggregationService();
@@ -0,0 +1,108 @@
+/**
+ * Boundary Tiles Service
+ * Serves ZIP, county, city and VTD boundaries from self-hosted PMTiles
+ * archives (built by scripts/build-boundary-tiles.js into public/tiles/).
+ * When an archive is present the map draws that boundary type from vector
+ * tiles on a canvas, with national coverage at every zoom, instead of
+ * downloading GeoJSON for the current results.
+ */
+
+import { PMTiles } from 'pmtiles';
+import { decodeVectorTile } from '../utils/mvtHelpers';
+
+// Boundary toggle -> archive; `layer` is the tippecanoe layer name
+export const BOUNDARY_TILE_SOURCES = {
+  zip: { url: '/tiles/zcta.pmtiles', layer: 'zcta' },
+  county: { url: '/tiles/county.pmtiles', layer: 'county' },
+  city: { url: '/tiles/place.pmtiles', layer: 'place' },
+  vtd: { url: '/tiles/vtd.pmtiles', layer: 'vtd' }
+};
+
+const MAX_CACHED_TILES = 512;
+
+class BoundaryTilesService {
+  constructor() {
+    this.archives = new Map();
+    this.tileCache = new Map();
+  }
+
+  /**
+   * Open the archive for a boundary type
+   * Resolves to null when the archive hasn't been built (a missing file, or
+   * the dev server's index.html in its place, fails the header check)
+   * @returns {Promise<{pmtiles: PMTiles, header: Object}|null>}
+   */
+  openArchive(type) {
+    if (!this.archives.has(type)) {
+      const source = BOUNDARY_TILE_SOURCES[type];
+      const pmtiles = source ? new PMTiles(source.url) : null;
+      const promise = pmtiles
+        ? pmtiles.getHeader()
+          .then(header => ({ pmtiles, header }))
+          .catch(error => {
+            console.log(`[Boundary Tiles] No ${type} tiles (${error.message})`);
+            return null;
+          })
+        : Promise.resolve(null);
+      this.archives.set(type, promise);
+    }
+    return this.archives.get(type);
+  }
+
+  /**
+   * Which boundary types have tiles
+   * @returns {Promise<Object<string, {minZoom: number, maxZoom: number}>>}
+   *   Zoom range of every available type
+   */
+  async detectAvailable() {
+    const available = {};
+    await Promise.all(Object.keys(BOUNDARY_TILE_SOURCES).map(async type => {
+      const archive = await this.openArchive(type);
+      if (archive) {
+        available[type] = { minZoom: archive.header.minZoom, maxZoom: archive.header.maxZoom };
+      }
+    }));
+    return available;
+  }
+
+  /**
+   * Decoded features of one tile
+   * Tiles are cached in memory, least recently used first out
+   * @returns {Promise<{extent: number, features: Array}|null>}
+   */
+  async getTile(type, z, x, y) {
+    const key = `${type}/${z}/${x}/${y}`;
+
+    if (this.tileCache.has(key)) {
+      const cached = this.tileCache.get(key);
+      this.tileCache.delete(key);
+      this.tileCache.set(key, cached);
+      return cached;
+    }
+
+    const promise = (async () => {
+      const archive = await this.openArchive(type);
+      if (!archive) return null;
+
+      const response = await archive.pmtiles.getZxy(z, x, y);
+      if (!response) return null;
+
+      const layers = decodeVectorTile(new Uint8Array(response.data));
+      return layers[BOUNDARY_TILE_SOURCES[type].layer] || null;
+    })();
+
+    this.tileCache.set(key, promise);
+    if (this.tileCache.size > MAX_CACHED_TILES) {
+      this.tileCache.delete(this.tileCache.keys().next().value);
+    }
+
+    try {
+      return await promise;
+    } catch (error) {
+      this.tileCache.delete(key);
+      throw error;
+    }
+  }
+}
+
+export default new BoundaryTilesService();
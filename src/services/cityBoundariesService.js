@@ -3,6 +3,9 @@
  * Fetches city/place polygons from Census TIGER API
  */
 
+import offlineDataService from './offlineDataService';
+import { queryTigerAtPoint } from '../utils/tigerHelpers';
+
 // Census TIGER API endpoint for Place boundaries (Incorporated Places)
 const TIGER_API_BASE = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/tigerWMS_Current/MapServer';
 const PLACE_LAYER = 28; // Incorporated Places layer
@@ -62,6 +65,11 @@ class CityBoundariesService {
     const cached = this.getCache(this.viewportCache, vKey);
     if (cached) return cached;
 
+    if (offlineDataService.isOfflineMode()) {
+      const features = await offlineDataService.getBoundariesInBounds('place', bounds, limit).catch(() => []);
+      return { type: 'FeatureCollection', features: features.map(f => this.normalizeFeature(f)) };
+    }
+
     try {
       // TIGER API spatial query with envelope
       const params = new URLSearchParams({
@@ -108,6 +116,11 @@ class CityBoundariesService {
     const cached = this.getCache(this.singleCache, key);
     if (cached) return cached;
 
+    if (offlineDataService.isOfflineMode()) {
+      const feature = await offlineDataService.getBoundary('place', { name, state }).catch(() => null);
+      return feature ? this.normalizeFeature(feature) : null;
+    }
+
     try {
       // Build WHERE clause for city name using BASENAME (excludes place type suffix like "city", "village")
       // NAME includes suffix like "New York city", BASENAME is just "New York"
@@ -158,6 +171,23 @@ class CityBoundariesService {
 
     return null;
   }
+
+  /**
+   * Incorporated places intersecting a point (empty outside city limits)
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Promise<Array<Object>>} GeoJSON Features
+   */
+  async getBoundariesAtPoint(lat, lng) {
+    if (offlineDataService.isOfflineMode()) {
+      const bounds = { north: lat, south: lat, east: lng, west: lng };
+      const features = await offlineDataService.getBoundariesInBounds('place', bounds, 10);
+      return features.map(feature => this.normalizeFeature(feature));
+    }
+
+    const features = await queryTigerAtPoint(`${TIGER_API_BASE}/${PLACE_LAYER}`, 'NAME,STATE,BASENAME,GEOID,PLACE', lat, lng);
+    return features.map(feature => this.normalizeFeature(feature));
+  }
 }
 
 export default new CityBoundariesService()
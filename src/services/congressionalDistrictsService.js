@@ -0,0 +1,58 @@
+/**
+ * Congressional Districts Service
+ * Point lookups of congressional district polygons from the Census TIGER API
+ * (current Congress). Not in the offline database, so offline mode returns
+ * nothing.
+ */
+
+import offlineDataService from './offlineDataService';
+import { queryTigerAtPoint } from '../utils/tigerHelpers';
+
+// Census TIGER API endpoint for legislative boundaries
+const TIGER_API_BASE = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/Legislative/MapServer';
+const DISTRICT_LAYER = 0; // Current Congressional Districts layer
+
+// District numbers that are not numbered seats
+const AT_LARGE_DISTRICTS = ['00', '98'];
+
+class CongressionalDistrictsService {
+  /**
+   * Normalize TIGER API feature
+   * The district field is named after the Congress (CD118FP, CD119FP, ...),
+   * so it is looked up rather than hard-coded.
+   */
+  normalizeFeature(feature) {
+    if (!feature) return null;
+
+    const properties = feature.properties || {};
+    const districtField = Object.keys(properties).find(key => /^CD\d+FP$/.test(key));
+    const district = districtField ? properties[districtField] : properties.BASENAME;
+
+    return {
+      ...feature,
+      properties: {
+        ...properties,
+        name: properties.NAME || properties.name,
+        district,
+        at_large: AT_LARGE_DISTRICTS.includes(district),
+        state_fips: properties.STATE || properties.state_fips,
+        geoid: properties.GEOID || properties.geoid
+      }
+    };
+  }
+
+  /**
+   * Districts intersecting a point
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Promise<Array<Object>>} GeoJSON Features
+   */
+  async getBoundariesAtPoint(lat, lng) {
+    if (offlineDataService.isOfflineMode()) return [];
+
+    const features = await queryTigerAtPoint(`${TIGER_API_BASE}/${DISTRICT_LAYER}`, '*', lat, lng);
+    return features.map(feature => this.normalizeFeature(feature));
+  }
+}
+
+export default new CongressionalDistrictsService();
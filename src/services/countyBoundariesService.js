@@ -0,0 +1,133 @@
+/**
+ * County Boundaries Service
+ * Fetches county polygons from Census TIGER API
+ */
+
+import countyFipsService from './countyFipsService';
+import offlineDataService from './offlineDataService';
+import { queryTigerAtPoint } from '../utils/tigerHelpers';
+
+// Census TIGER API endpoint for County boundaries
+const TIGER_API_BASE = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/State_County/MapServer';
+const COUNTY_LAYER = 1; // Counties layer
+
+// State code to FIPS code mapping
+const STATE_TO_FIPS = {
+  'AL': '01', 'AK': '02', 'AZ': '04', 'AR': '05', 'CA': '06', 'CO': '08', 'CT': '09', 'DE': '10',
+  'FL': '12', 'GA': '13', 'HI': '15', 'ID': '16', 'IL': '17', 'IN': '18', 'IA': '19', 'KS': '20',
+  'KY': '21', 'LA': '22', 'ME': '23', 'MD': '24', 'MA': '25', 'MI': '26', 'MN': '27', 'MS': '28',
+  'MO': '29', 'MT': '30', 'NE': '31', 'NV': '32', 'NH': '33', 'NJ': '34', 'NM': '35', 'NY': '36',
+  'NC': '37', 'ND': '38', 'OH': '39', 'OK': '40', 'OR': '41', 'PA': '42', 'RI': '44', 'SC': '45',
+  'SD': '46', 'TN': '47', 'TX': '48', 'UT': '49', 'VT': '50', 'VA': '51', 'WA': '53', 'WV': '54',
+  'WI': '55', 'WY': '56', 'DC': '11', 'PR': '72'
+};
+
+class CountyBoundariesService {
+  constructor() {
+    this.singleCache = new Map();
+    this.ttlMs = 5 * 60 * 1000;
+  }
+
+  /**
+   * Normalize TIGER API feature to match expected format
+   * Maps BASENAME -> name, GEOID -> fips, etc.
+   */
+  normalizeFeature(feature) {
+    if (!feature) return null;
+
+    return {
+      ...feature,
+      properties: {
+        ...feature.properties,
+        // Map TIGER fields to expected fields
+        name: feature.properties.BASENAME || feature.properties.name,
+        state_code: feature.properties.STATE || feature.properties.state_code,
+        fips: feature.properties.GEOID || feature.properties.fips
+      }
+    };
+  }
+
+  getCache(map, key) {
+    const v = map.get(key);
+    if (v && v.expires > Date.now()) return v.data;
+    if (v) map.delete(key);
+    return null;
+  }
+
+  setCache(map, key, data) {
+    map.set(key, { data, expires: Date.now() + this.ttlMs });
+  }
+
+  /**
+   * Get boundary for a single county
+   * @param {string} name - County name, with or without the "County" suffix
+   * @param {string} state - 2-letter state code
+   * @param {boolean} simplified - Whether to use simplified geometry
+   * @returns {Promise<Object|null>} GeoJSON Feature
+   */
+  async getCountyBoundary(name, state, simplified = true) {
+    if (!name || !state) return null;
+    const stateUpper = String(state).toUpperCase();
+    const key = `${String(name).toLowerCase()}:${stateUpper}:${simplified}`;
+    const cached = this.getCache(this.singleCache, key);
+    if (cached) return cached;
+
+    if (offlineDataService.isOfflineMode()) {
+      const feature = await offlineDataService.getBoundary('county', { name, state: stateUpper }).catch(() => null);
+      return feature ? this.normalizeFeature(feature) : null;
+    }
+
+    try {
+      // Prefer the exact FIPS code, fall back to name + state for unmapped counties
+      const fips = countyFipsService.getCountyFips(name, stateUpper);
+      const baseName = String(name).replace(/ County$/i, '').trim().replace(/'/g, "''");
+      const whereClause = fips
+        ? `GEOID='${fips}'`
+        : `BASENAME='${baseName}' AND STATE='${STATE_TO_FIPS[stateUpper] || ''}'`;
+
+      const params = new URLSearchParams({
+        where: whereClause,
+        outFields: 'NAME,BASENAME,STATE,COUNTY,GEOID,AREALAND,CENTLAT,CENTLON',
+        returnGeometry: 'true',
+        f: 'geojson',
+        geometryPrecision: simplified ? '4' : '6'
+      });
+
+      const url = `${TIGER_API_BASE}/${COUNTY_LAYER}/query?${params}`;
+      const res = await fetch(url);
+
+      if (res.ok) {
+        const json = await res.json();
+        // Extract and normalize first feature if exists
+        if (json && json.features && json.features.length > 0) {
+          const feature = this.normalizeFeature(json.features[0]);
+          this.setCache(this.singleCache, key, feature);
+          return feature;
+        }
+      }
+    } catch (err) {
+      console.error('County boundary query failed:', err);
+    }
+
+    return null;
+  }
+
+  /**
+   * Counties intersecting a point
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Promise<Array<Object>>} Candidate features for a point-in-polygon test
+   */
+  async getBoundariesAtPoint(lat, lng) {
+    if (offlineDataService.isOfflineMode()) {
+      const bounds = { north: lat, south: lat, east: lng, west: lng };
+      const features = await offlineDataService.getBoundariesInBounds('county', bounds, 10);
+      return features.map(feature => this.normalizeFeature(feature));
+    }
+
+    const features = await queryTigerAtPoint(`${TIGER_API_BASE}/${COUNTY_LAYER}`, 'NAME,BASENAME,STATE,COUNTY,GEOID', lat, lng);
+    return features.map(feature => this.normalizeFeature(feature));
+  }
+}
+
+export default new CountyBoundariesService();
@@ -0,0 +1,27 @@
+/**
+ * Data Provider Registry
+ * Ordered fallback across the data providers (see dataProviders.js and
+ * utils/providerRegistry.js). ZipCodeService asks the registry instead of
+ * choosing a source itself.
+ *
+ * The order and the enabled set are a runtime setting kept in localStorage
+ * (defaults: VITE_DATA_PROVIDERS, e.g. "postgres,offline,static", else the
+ * built-in order). In offline mode only local providers are used.
+ */
+
+import { getBuiltInProviders, DEFAULT_DISABLED_PROVIDERS } from './dataProviders';
+import offlineDataService from './offlineDataService';
+import { ProviderRegistry } from '../utils/providerRegistry';
+
+const envProviders = (import.meta.env.VITE_DATA_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// VITE_DATA_PROVIDERS lists exactly the providers to use
+export default new ProviderRegistry(getBuiltInProviders(), {
+  order: envProviders,
+  disabled: DEFAULT_DISABLED_PROVIDERS,
+  isOffline: () => offlineDataService.isOfflineMode(),
+  storage: typeof localStorage !== 'undefined' ? localStorage : null
+});
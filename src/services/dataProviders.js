@@ -0,0 +1,184 @@
+/**
+ * Data Providers
+ * Built-in sources for ZIP search, states, counties, cities, ZIP lookup and
+ * boundaries, in their default fallback order. Every provider implements
+ * the same interface; methods it can't serve are simply left out:
+ *
+ *   {
+ *     id, label,
+ *     local,                          // works without a network (offline mode)
+ *     search(params)                  // { results, total, offset, limit, hasMore, nextCursor? }
+ *     getStates()                     // [{ code, name }]
+ *     getCounties(state)              // [{ name }]
+ *     getCities(state, county)        // [{ name }]
+ *     getZipCode(zip)                 // { zipcode: { zipcode, city, state, county, latitude, longitude } }
+ *     getBoundaries(type, ids)        // GeoJSON features; type 'zcta' | 'county' | 'place' | 'state' | 'vtd'
+ *     checkHealth()                   // boolean
+ *   }
+ *
+ * Register more at runtime with dataProviderRegistry.register(), e.g. a
+ * createRestProvider() pointed at another server.
+ */
+
+import apiClient from './apiClient';
+import offlineDataService from './offlineDataService';
+import { OptimizedStaticService } from './optimizedStaticService';
+import supabaseService from './supabaseService';
+import zipBoundariesService from './zipBoundariesService';
+
+const REST_TIMEOUT_MS = 30000;
+
+const supabaseProvider = {
+  id: 'supabase',
+  label: 'Supabase',
+  search: (params) => supabaseService.search(params),
+  getStates: () => supabaseService.getStates(),
+  getCounties: (state) => supabaseService.getCounties(state),
+  getCities: (state, county) => supabaseService.getCities(state, county),
+  getZipCode: async (zipCode) => {
+    try {
+      return await supabaseService.getZipCode(zipCode);
+    } catch (error) {
+      // .single() reports a missing row as an error; that's a miss, not an outage
+      if (error?.code === 'PGRST116') return { error: 'Zip code not found', zipcode: null };
+      throw error;
+    }
+  },
+  checkHealth: () => supabaseService.checkHealth()
+};
+
+// Query parameters in the format the API servers expect
+const toQueryParams = (params = {}) => {
+  const query = {};
+  ['query', 'lat', 'lng', 'radius', 'state', 'county', 'city', 'limit', 'offset', 'cursor'].forEach(key => {
+    if (params[key] != null && params[key] !== '') query[key] = params[key];
+  });
+  if (params.polygon) query.polygon = JSON.stringify(params.polygon);
+  return query;
+};
+
+/**
+ * Provider for a server with the scripts/server*.js routes
+ * (/search, /states, /counties, /cities, /zipcode/:zip, /health)
+ * @param {Object} options
+ * @param {string} options.id
+ * @param {string} options.label
+ * @param {string} options.baseUrl - e.g. http://localhost:3001/api
+ * @returns {Object} Data provider
+ */
+export function createRestProvider({ id, label, baseUrl }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const get = async (path, params = {}) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REST_TIMEOUT_MS);
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const response = await fetch(`${root}/${path}${queryString ? `?${queryString}` : ''}`, {
+        headers: { Accept: 'application/json' },
+        signal: controller.signal
+      });
+      if (response.status === 404) return null;
+      if (!response.ok) throw new Error(`${label} error: HTTP ${response.status}`);
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  return {
+    id,
+    label,
+    search: (params) => get('search', toQueryParams(params)),
+    getStates: () => get('states'),
+    getCounties: (state) => get('counties', state ? { state } : {}),
+    getCities: (state, county) => get('cities', { ...(state && { state }), ...(county && { county }) }),
+    getZipCode: async (zipCode) => {
+      const row = await get(`zipcode/${encodeURIComponent(zipCode)}`);
+      if (!row) return { error: 'Zip code not found', zipcode: null };
+      // server-postgres.js returns the bare row
+      return typeof row.zipcode === 'object' ? row : { zipcode: row };
+    },
+    checkHealth: async () => {
+      try {
+        const health = await get('health');
+        return health?.status === 'OK';
+      } catch {
+        return false;
+      }
+    }
+  };
+}
+
+const apiProvider = {
+  id: 'api',
+  label: 'API server',
+  search: (params) => apiClient.get('search', toQueryParams(params)),
+  getStates: () => apiClient.get('states'),
+  getCounties: (state) => apiClient.get('counties', state ? { state } : {}),
+  getCities: (state, county) => apiClient.get('cities', { ...(state && { state }), ...(county && { county }) }),
+  getZipCode: (zipCode) => apiClient.get(`zipcode/${zipCode}`),
+  checkHealth: async () => (await apiClient.healthCheck())?.status === 'OK'
+};
+
+const offlineProvider = {
+  id: 'offline',
+  label: 'Offline database',
+  local: true,
+  search: (params) => offlineDataService.search(params),
+  getStates: () => offlineDataService.getStates(),
+  getCounties: (state) => offlineDataService.getCounties(state),
+  getCities: (state, county) => offlineDataService.getCities(state, county),
+  getZipCode: (zipCode) => offlineDataService.getZipCode(zipCode),
+  getBoundaries: (type, ids) => offlineDataService.getBoundaries(type, ids),
+  checkHealth: () => offlineDataService.checkHealth()
+};
+
+const staticProvider = {
+  id: 'static',
+  label: 'Static ZIP file',
+  local: true,
+  search: (params) => OptimizedStaticService.search(params),
+  getStates: async () => (await OptimizedStaticService.getStates()).states || [],
+  getCounties: async (state) => (await OptimizedStaticService.getCounties({ state })).counties || [],
+  getCities: async (state, county) => (await OptimizedStaticService.getCities({ state, county })).cities || [],
+  getZipCode: (zipCode) => OptimizedStaticService.getZipCode({ zip: zipCode }),
+  checkHealth: async () => {
+    try {
+      return (await OptimizedStaticService.getStates()).states.length > 0;
+    } catch {
+      return false;
+    }
+  }
+};
+
+const tigerwebProvider = {
+  id: 'tigerweb',
+  label: 'Census TIGERweb',
+  getBoundaries: async (type, ids) => {
+    if (type !== 'zcta') return [];
+    return (await zipBoundariesService.getMultipleZipBoundaries(ids)).features;
+  },
+  checkHealth: () => zipBoundariesService.checkHealth()
+};
+
+/**
+ * Built-in providers in default order. The internal Postgres server
+ * (scripts/server-postgres.js) joins after Supabase when
+ * VITE_POSTGRES_API_URL is set.
+ */
+export function getBuiltInProviders() {
+  const postgresUrl = import.meta.env.VITE_POSTGRES_API_URL;
+  return [
+    supabaseProvider,
+    ...(postgresUrl ? [createRestProvider({ id: 'postgres', label: 'Postgres', baseUrl: postgresUrl })] : []),
+    apiProvider,
+    offlineProvider,
+    staticProvider,
+    tigerwebProvider
+  ];
+}
+
+// Off unless chosen: the API server isn't running in most setups and each
+// miss waits for its timeout
+export const DEFAULT_DISABLED_PROVIDERS = ['api'];
@@ -0,0 +1,323 @@
+/**
+ * Demographics Service
+ * Attaches Census ACS fields (population, households, median income, age
+ * bands, housing units) to ZIP and county results.
+ *
+ * Data comes from the bundled public/acsdata.json (built by
+ * scripts/build-acs-data.js) or from a dataset the user imports, which is
+ * kept in IndexedDB and takes precedence over the bundled file.
+ *
+ * Dataset format:
+ *   {
+ *     source: 'ACS 2022 5-year',
+ *     fields: ['population', 'households', ...],
+ *     zcta: { '30303': [values in field order] },
+ *     county: { '13121': { n: 'Fulton', s: 'GA', v: [values in field order] } }
+ *   }
+ */
+
+import Papa from 'papaparse';
+
+export const DEMOGRAPHIC_FIELDS = [
+  { key: 'population', label: 'Population', acs: 'B01003_001E', rollup: 'sum' },
+  { key: 'households', label: 'Households', acs: 'B11001_001E', rollup: 'sum' },
+  { key: 'housingUnits', label: 'Housing Units', acs: 'B25001_001E', rollup: 'sum' },
+  // Medians can't be summed - roll up as a household-weighted average
+  { key: 'medianIncome', label: 'Median Income', acs: 'B19013_001E', rollup: 'weighted', weight: 'households', format: 'currency' },
+  { key: 'ageUnder18', label: 'Age <18', rollup: 'sum' },
+  { key: 'age18to34', label: 'Age 18-34', rollup: 'sum' },
+  { key: 'age35to64', label: 'Age 35-64', rollup: 'sum' },
+  { key: 'age65Plus', label: 'Age 65+', rollup: 'sum' }
+];
+
+export const DEMOGRAPHIC_KEYS = DEMOGRAPHIC_FIELDS.map(field => field.key);
+
+const DATA_URL = '/acsdata.json';
+const DB_NAME = 'geosearch-demographics';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+const IMPORTED_KEY = 'imported';
+
+// Column names accepted for the geography in imported CSV files
+const ZCTA_COLUMNS = ['zcta', 'zip', 'zipcode', 'zip_code', 'zcta5', 'zip code tabulation area'];
+const COUNTY_FIPS_COLUMNS = ['fips', 'county_fips', 'geoid'];
+
+const normalizeCountyName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/\b(county|parish|borough|census area|city and borough|municipality|municipio)\b/g, '')
+  .replace(/[^a-z0-9]/g, '');
+
+const countyKey = (name, state) => `${String(state || '').toUpperCase()}|${normalizeCountyName(name)}`;
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null;
+  const number = Number(String(value).replace(/[$,]/g, ''));
+  // ACS marks suppressed estimates with large negative sentinels
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class DemographicsService {
+  constructor() {
+    this.zctaIndex = new Map();
+    this.countyIndex = new Map();
+    this.source = null;
+    this.loadPromise = null;
+    this.dbPromise = null;
+  }
+
+  openDb() {
+    if (typeof window === 'undefined' || !window.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async runTransaction(mode, operation) {
+    const db = await this.openDb();
+    const tx = db.transaction(STORE_NAME, mode);
+    return requestToPromise(operation(tx.objectStore(STORE_NAME)));
+  }
+
+  /**
+   * Build lookup indexes from a dataset
+   */
+  applyDataset(dataset) {
+    const fields = Array.isArray(dataset?.fields) ? dataset.fields : [];
+    const toRecord = (values) => {
+      const record = {};
+      fields.forEach((key, i) => {
+        if (DEMOGRAPHIC_KEYS.includes(key)) record[key] = toNumber(values?.[i]);
+      });
+      return record;
+    };
+
+    this.zctaIndex = new Map(
+      Object.entries(dataset?.zcta || {}).map(([zcta, values]) => [zcta.padStart(5, '0'), toRecord(values)])
+    );
+    this.countyIndex = new Map();
+    Object.entries(dataset?.county || {}).forEach(([fips, { n, s, v }]) => {
+      const record = /^\d{5}$/.test(fips) ? { ...toRecord(v), countyFips: fips } : toRecord(v);
+      this.countyIndex.set(fips, record);
+      if (n && s) this.countyIndex.set(countyKey(n, s), record);
+    });
+    this.source = this.zctaIndex.size > 0 || this.countyIndex.size > 0
+      ? { name: dataset.source || 'ACS', imported: Boolean(dataset.imported), zctaCount: this.zctaIndex.size }
+      : null;
+  }
+
+  /**
+   * Load the imported dataset, or the bundled one if nothing was imported
+   * Resolves once; a missing bundled file just leaves the indexes empty
+   * @returns {Promise<Object|null>} Active source description
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const imported = await this.runTransaction('readonly', store => store.get(IMPORTED_KEY));
+          if (imported) {
+            this.applyDataset(imported);
+            return this.source;
+          }
+        } catch (error) {
+          console.warn('[Demographics] Could not read imported dataset:', error);
+        }
+
+        try {
+          const response = await fetch(DATA_URL);
+          if (response.ok && (response.headers.get('content-type') || '').includes('json')) {
+            this.applyDataset(await response.json());
+          }
+        } catch (error) {
+          console.warn('[Demographics] No bundled ACS dataset available:', error);
+        }
+        return this.source;
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  getSource() {
+    return this.source;
+  }
+
+  hasData() {
+    return this.source !== null;
+  }
+
+  /**
+   * ACS fields for one ZCTA
+   * @param {string} zipCode
+   * @returns {Object|null}
+   */
+  getZipDemographics(zipCode) {
+    if (!zipCode) return null;
+    return this.zctaIndex.get(String(zipCode).padStart(5, '0')) || null;
+  }
+
+  /**
+   * ACS fields for a whole county
+   * @param {string} name - County name, with or without the "County" suffix
+   * @param {string} state - 2-letter state code
+   * @returns {Object|null}
+   */
+  getCountyDemographics(name, state) {
+    if (!name || !state) return null;
+    return this.countyIndex.get(countyKey(name, state)) || null;
+  }
+
+  /**
+   * Copy a ZCTA's fields onto a result row
+   * @returns {Object} The row, with the fields filled in when known
+   */
+  enrichZip(row) {
+    const record = this.getZipDemographics(row?.zipCode);
+    return record ? { ...row, ...record } : row;
+  }
+
+  /**
+   * Roll ZIP rows up into totals for a city, county or state
+   * Fields no row has a value for stay null
+   * @param {Array<Object>} items - Enriched ZIP rows
+   * @returns {Object}
+   */
+  rollup(items) {
+    const totals = {};
+
+    DEMOGRAPHIC_FIELDS.forEach(({ key, rollup, weight }) => {
+      const known = items.filter(item => item[key] != null);
+      if (known.length === 0) {
+        totals[key] = null;
+        return;
+      }
+
+      if (rollup === 'weighted') {
+        const weightSum = known.reduce((sum, item) => sum + (item[weight] || 0), 0);
+        totals[key] = weightSum > 0
+          ? Math.round(known.reduce((sum, item) => sum + item[key] * (item[weight] || 0), 0) / weightSum)
+          : Math.round(known.reduce((sum, item) => sum + item[key], 0) / known.length);
+        return;
+      }
+
+      totals[key] = known.reduce((sum, item) => sum + item[key], 0);
+    });
+
+    return totals;
+  }
+
+  /**
+   * Turn CSV rows into a dataset. Columns may use the field keys
+   * (population, medianIncome, ...) or ACS variable codes (B01003_001E, ...).
+   * Rows with a ZIP/ZCTA column are ZCTAs; rows with county + state (or a
+   * 5-digit FIPS) are counties.
+   */
+  parseCsvRows(rows, source) {
+    const columnFor = (row, field) => {
+      const columns = Object.keys(row);
+      return columns.find(col => col.toLowerCase() === field.key.toLowerCase()) ||
+        (field.acs && columns.find(col => col.toUpperCase() === field.acs));
+    };
+
+    const dataset = { source, fields: DEMOGRAPHIC_KEYS, zcta: {}, county: {}, imported: true };
+    if (rows.length === 0) return dataset;
+
+    const lowerColumns = new Map(Object.keys(rows[0]).map(col => [col.toLowerCase().trim(), col]));
+    const zctaColumn = ZCTA_COLUMNS.map(col => lowerColumns.get(col)).find(Boolean);
+    const fipsColumn = COUNTY_FIPS_COLUMNS.map(col => lowerColumns.get(col)).find(Boolean);
+    const countyColumn = lowerColumns.get('county') || lowerColumns.get('name');
+    const stateColumn = lowerColumns.get('state');
+    const valueColumns = DEMOGRAPHIC_FIELDS.map(field => columnFor(rows[0], field));
+
+    if (!valueColumns.some(Boolean)) {
+      throw new Error('No demographic columns found (expected e.g. population, households, medianIncome)');
+    }
+
+    rows.forEach(row => {
+      const values = valueColumns.map(col => (col ? toNumber(row[col]) : null));
+      const zcta = zctaColumn && String(row[zctaColumn] || '').replace(/\D/g, '');
+
+      if (zcta) {
+        dataset.zcta[zcta.padStart(5, '0')] = values;
+      } else if (countyColumn && stateColumn && row[countyColumn] && row[stateColumn]) {
+        const fips = (fipsColumn && String(row[fipsColumn] || '').replace(/\D/g, '').slice(-5)) ||
+          countyKey(row[countyColumn], row[stateColumn]);
+        dataset.county[fips] = { n: row[countyColumn], s: String(row[stateColumn]).toUpperCase(), v: values };
+      }
+    });
+
+    return dataset;
+  }
+
+  /**
+   * Replace the active dataset with a user-supplied CSV or JSON file
+   * @param {File} file - CSV with one row per ZCTA/county, or a dataset JSON
+   * @returns {Promise<Object>} Active source description
+   */
+  async importDataset(file) {
+    const text = await file.text();
+    let dataset;
+
+    if (/\.json$/i.test(file.name)) {
+      dataset = { ...JSON.parse(text), imported: true };
+      dataset.source = dataset.source || file.name;
+    } else {
+      const { data } = Papa.parse(text, { header: true, skipEmptyLines: true });
+      dataset = this.parseCsvRows(data, file.name);
+    }
+
+    if (Object.keys(dataset.zcta || {}).length === 0 && Object.keys(dataset.county || {}).length === 0) {
+      throw new Error('No ZIP or county rows found in file');
+    }
+
+    this.applyDataset(dataset);
+    this.loadPromise = Promise.resolve(this.source);
+
+    try {
+      await this.runTransaction('readwrite', store => store.put(dataset, IMPORTED_KEY));
+    } catch (error) {
+      console.warn('[Demographics] Imported dataset will not persist:', error);
+    }
+
+    return this.source;
+  }
+
+  /**
+   * Drop the imported dataset and fall back to the bundled one
+   * @returns {Promise<Object|null>} Active source description
+   */
+  async clearImportedDataset() {
+    try {
+      await this.runTransaction('readwrite', store => store.delete(IMPORTED_KEY));
+    } catch (error) {
+      console.warn('[Demographics] Could not remove imported dataset:', error);
+    }
+
+    this.applyDataset(null);
+    this.loadPromise = null;
+    return this.load();
+  }
+}
+
+export default new DemographicsService();
@@ -0,0 +1,15 @@
+/**
+ * Geocode Job Service
+ * Chunked, resumable CSV batch geocoding (see utils/geocodeJobRunner.js)
+ * through the geocoder chain
+ */
+
+import geocoderService from './geocoderService';
+import { GeocodeJobRunner } from '../utils/geocodeJobRunner';
+
+export { CHUNK_SIZE, isTransientError, toGeocodeResult } from '../utils/geocodeJobRunner';
+
+// Export singleton instance
+export default new GeocodeJobRunner({
+  batchGeocode: (addressStrings) => geocoderService.batchGeocode(addressStrings)
+});
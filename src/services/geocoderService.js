@@ -0,0 +1,208 @@
+/**
+ * Geocoder Service
+ * The app's geocoder chain (utils/geocoderChain.js) and its adapters:
+ * the batch geocoder behind /api/geocode-proxy, the Census Geocoder (through
+ * /api/v1/geocoding/census), Mapbox, Google and Nominatim, plus the local
+ * mock server (scripts/mock-geocoder-server.js), off by default.
+ *
+ * Forward, reverse and batch geocoding go through here. Each adapter maps
+ * its provider's match quality onto a 0-1 accuracy; matches under the
+ * threshold (VITE_GEOCODE_MIN_ACCURACY, default 0.8, adjustable in the
+ * geocode panel) are retried with the next geocoder. VITE_GEOCODERS, e.g.
+ * "mock" or "census,nominatim", lists exactly the geocoders to use.
+ */
+
+import apiClient from './apiClient';
+import geocodingService from './geocodingService';
+import googlePlacesService from './googlePlacesService';
+import { mapboxGeocodingService } from './mapboxGeocodingService';
+import { GeocoderChain, DEFAULT_MIN_ACCURACY } from '../utils/geocoderChain';
+
+const env = import.meta.env || {};
+
+const MOCK_GEOCODER_URL = (env.VITE_MOCK_GEOCODER_URL || 'http://localhost:3002').replace(/\/+$/, '');
+
+// Mapbox v5 `properties.accuracy` for address results; POIs have none
+const MAPBOX_ACCURACY = { rooftop: 1, parcel: 1, point: 0.95, interpolated: 0.9, intersection: 0.8, street: 0.6 };
+
+// Google `geometry.location_type`
+const GOOGLE_ACCURACY = { ROOFTOP: 1, RANGE_INTERPOLATED: 0.9, GEOMETRIC_CENTER: 0.7, APPROXIMATE: 0.5 };
+
+// Nominatim has no match score; judge by how specific the hit is
+const nominatimAccuracy = (result) => {
+  const address = result.address || {};
+  if (address.house_number) return 0.85;
+  if (address.road) return 0.6;
+  return 0.4;
+};
+
+const envList = (value) => String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+
+/**
+ * Geocoder for a server speaking the batch protocol
+ * (POST { addresses } -> { results } or a job to poll)
+ */
+const createBatchGeocoder = ({ id, label, url = null, maxBatchSize = 100 }) => ({
+  id,
+  label,
+  maxBatchSize,
+  batchGeocode: async (addresses) => {
+    const jobInfo = await geocodingService.submitBatchGeocodeJob(addresses, url);
+    const response = jobInfo.synchronous
+      ? { results: jobInfo.results }
+      : await geocodingService.pollUntilComplete(jobInfo.job_id);
+
+    return addresses.map((_, index) => {
+      const result = response.results?.[index];
+      if (!result?.success || !result.lat || !result.lng) return null;
+      return {
+        lat: parseFloat(result.lat),
+        lng: parseFloat(result.lng),
+        accuracy: result.accuracy ?? null,
+        formatted_address: result.formatted_address || result.address || ''
+      };
+    });
+  }
+});
+
+const batchGeocoder = createBatchGeocoder({
+  id: 'batch',
+  label: 'Batch geocoder',
+  url: env.VITE_GEOCODER_BATCH_URL || null
+});
+
+const censusGeocoder = {
+  id: 'census',
+  label: 'Census Geocoder',
+  concurrency: 4,
+  geocode: async (address) => {
+    const { matches = [] } = await apiClient.get('geocoding/census', { address });
+    if (matches.length === 0) return null;
+    const [match] = matches;
+    // Census matches are interpolated along TIGER address ranges; several
+    // candidates mean the input was ambiguous
+    return {
+      lat: match.lat,
+      lng: match.lng,
+      accuracy: matches.length === 1 ? 0.9 : 0.7,
+      formatted_address: match.matchedAddress
+    };
+  }
+};
+
+const mapboxGeocoder = {
+  id: 'mapbox',
+  label: 'Mapbox',
+  concurrency: 4,
+  isConfigured: () => mapboxGeocodingService.apiKey !== 'YOUR_MAPBOX_API_KEY_HERE',
+  geocode: async (address) => {
+    const params = new URLSearchParams({
+      access_token: mapboxGeocodingService.apiKey,
+      limit: '1',
+      country: 'US',
+      types: 'address,poi'
+    });
+    const result = await mapboxGeocodingService.makeRequest(`${mapboxGeocodingService.baseUrl}/${encodeURIComponent(address)}.json?${params}`);
+    const feature = result.features?.[0];
+    if (!feature) return null;
+    return {
+      lat: feature.geometry.coordinates[1],
+      lng: feature.geometry.coordinates[0],
+      accuracy: (MAPBOX_ACCURACY[feature.properties?.accuracy] ?? 0.7) * (feature.relevance ?? 1),
+      formatted_address: feature.place_name
+    };
+  },
+  reverse: (lat, lng) => mapboxGeocodingService.reverseGeocode(lat, lng)
+};
+
+// Google's JS Geocoder rejects ZERO_RESULTS instead of resolving empty
+const googleGeocode = async (request) => {
+  const loaded = await googlePlacesService.loadGoogleMaps();
+  if (!loaded || !window.google?.maps?.Geocoder) {
+    throw new Error('Google Maps is not available');
+  }
+  googlePlacesService.incrementUsage();
+  try {
+    const { results } = await new window.google.maps.Geocoder().geocode(request);
+    return results || [];
+  } catch (error) {
+    if (error?.code === 'ZERO_RESULTS') return [];
+    throw error;
+  }
+};
+
+const googleGeocoder = {
+  id: 'google',
+  label: 'Google',
+  concurrency: 2,
+  // Shares the monthly quota with Places autocomplete
+  isConfigured: () => Boolean(googlePlacesService.apiKey) && googlePlacesService.shouldUseGoogle(),
+  geocode: async (address) => {
+    const [result] = await googleGeocode({ address, componentRestrictions: { country: 'US' } });
+    if (!result) return null;
+    return {
+      lat: result.geometry.location.lat(),
+      lng: result.geometry.location.lng(),
+      accuracy: (GOOGLE_ACCURACY[result.geometry.location_type] ?? 0.5) * (result.partial_match ? 0.8 : 1),
+      formatted_address: result.formatted_address
+    };
+  },
+  reverse: async (lat, lng) => {
+    const [result] = await googleGeocode({ location: { lat, lng } });
+    if (!result) return null;
+    return {
+      displayName: result.formatted_address,
+      address: Object.fromEntries((result.address_components || []).map(component => [component.types[0], component.short_name])),
+      lat,
+      lng
+    };
+  }
+};
+
+const nominatimGeocoder = {
+  id: 'nominatim',
+  label: 'Nominatim (OpenStreetMap)',
+  // Requests are spaced by geocodingService's rate limiter anyway
+  concurrency: 1,
+  geocode: async (address) => {
+    const params = new URLSearchParams({
+      q: address,
+      format: 'json',
+      limit: '1',
+      countrycodes: 'us',
+      addressdetails: '1'
+    });
+    const [result] = await geocodingService.makeRateLimitedRequest(`https://nominatim.openstreetmap.org/search?${params}`);
+    if (!result) return null;
+    return {
+      lat: parseFloat(result.lat),
+      lng: parseFloat(result.lon),
+      accuracy: nominatimAccuracy(result),
+      formatted_address: result.display_name
+    };
+  },
+  reverse: (lat, lng) => geocodingService.reverseGeocodeNominatim(lat, lng)
+};
+
+const mockGeocoder = {
+  ...createBatchGeocoder({ id: 'mock', label: 'Mock geocoder (local)', url: `${MOCK_GEOCODER_URL}/api/batch` }),
+  reverse: async (lat, lng) => {
+    const response = await fetch(`${MOCK_GEOCODER_URL}/reverse?${new URLSearchParams({ lat, lng })}`);
+    if (!response.ok) throw new Error(`Mock geocoder returned HTTP ${response.status}`);
+    return response.json();
+  }
+};
+
+export const DEFAULT_DISABLED_GEOCODERS = ['mock'];
+
+const envMinAccuracy = parseFloat(env.VITE_GEOCODE_MIN_ACCURACY);
+
+export default new GeocoderChain(
+  [batchGeocoder, censusGeocoder, mapboxGeocoder, googleGeocoder, nominatimGeocoder, mockGeocoder],
+  {
+    order: envList(env.VITE_GEOCODERS),
+    disabled: DEFAULT_DISABLED_GEOCODERS,
+    minAccuracy: Number.isFinite(envMinAccuracy) ? envMinAccuracy : DEFAULT_MIN_ACCURACY,
+    storage: typeof window !== 'undefined' ? window.localStorage : null
+  }
+);
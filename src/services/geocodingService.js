@@ -470,13 +470,14 @@ class GeocodingService {
   /**
    * Submit a batch of addresses for geocoding
    * @param {string[]} addresses - Array of address strings to geocode
+   * @param {string} [url] - Batch endpoint (default: the production geocoder through its proxy)
    * @returns {Promise<{job_id: string, total_addresses: number, status_url: string, stream_url: string}>}
    */
-  async submitBatchGeocodeJob(addresses) {
+  async submitBatchGeocodeJob(addresses, url = null) {
     // Use Vite proxy for development, Vercel proxy for production
-    const BATCH_GEOCODE_URL = import.meta.env.DEV
+    const BATCH_GEOCODE_URL = url || (import.meta.env.DEV
       ? '/geocoder/geocode-api.php/api/batch'
-      : '/api/geocode-proxy';
+      : '/api/geocode-proxy');
 
     try {
       const response = await fetch(BATCH_GEOCODE_URL, {
@@ -492,7 +493,9 @@ class GeocodingService {
       if (!response.ok) {
         const errorText = await response.text();
         console.error('API Error Response:', response.status, errorText);
-        throw new Error(`Geocoding API error: ${response.status} ${response.statusText}`);
+        const error = new Error(`Geocoding API error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
       }
 
       const data = await response.json();
@@ -0,0 +1,25 @@
+/**
+ * Identify Service
+ * Reverse lookup of every geography containing a point: ZCTA, county (with
+ * FIPS), incorporated place, state, VTD and congressional district, from the
+ * boundary services (utils/pointIdentifier.js does the lookups).
+ */
+
+import zipBoundariesService from './zipBoundariesService';
+import countyBoundariesService from './countyBoundariesService';
+import cityBoundariesService from './cityBoundariesService';
+import stateBoundariesService from './stateBoundariesService';
+import vtdBoundariesService from './vtdBoundariesService';
+import congressionalDistrictsService from './congressionalDistrictsService';
+import { PointIdentifier } from '../utils/pointIdentifier';
+
+export { IDENTIFY_COLUMNS } from '../utils/pointIdentifier';
+
+export default new PointIdentifier({
+  zcta: zipBoundariesService,
+  county: countyBoundariesService,
+  place: cityBoundariesService,
+  state: stateBoundariesService,
+  vtd: vtdBoundariesService,
+  district: congressionalDistrictsService
+});
@@ -0,0 +1,281 @@
+/**
+ * Isochrone Service
+ *
+ * Builds travel-time / travel-distance polygons ("15 minute drive") around a
+ * point using a pluggable routing provider. Valhalla and OSRM compatible
+ * servers are supported out of the box; the mock provider needs no network
+ * and is used for tests and offline development.
+ *
+ * Configure with VITE_ISOCHRONE_PROVIDER ('valhalla' | 'osrm' | 'mock') and
+ * VITE_ISOCHRONE_URL (base URL of the routing server).
+ */
+
+import * as turf from '@turf/turf';
+
+export const ISOCHRONE_PROFILES = {
+  drive: { label: 'Drive', valhalla: 'auto', osrm: 'driving', mph: 35 },
+  walk: { label: 'Walk', valhalla: 'pedestrian', osrm: 'foot', mph: 3 },
+  bike: { label: 'Bike', valhalla: 'bicycle', osrm: 'cycling', mph: 10 }
+};
+
+export const ISOCHRONE_METRICS = {
+  time: { label: 'Minutes', unit: 'min', min: 1, max: 120 },
+  distance: { label: 'Miles', unit: 'mi', min: 0.5, max: 100 }
+};
+
+export const DEFAULT_ISOCHRONE = { value: 15, metric: 'time', profile: 'drive' };
+
+const KM_PER_MILE = 1.609344;
+
+const DEFAULT_URLS = {
+  valhalla: 'https://valhalla1.openstreetmap.de',
+  osrm: 'https://router.project-osrm.org'
+};
+
+// OSRM has no isochrone endpoint - reachability is sampled along rays with a
+// single /table request (bearings x steps + origin must stay under the
+// public server's 100 coordinate limit)
+const OSRM_BEARINGS = 24;
+const OSRM_STEPS = 4;
+
+/**
+ * How far a profile can get in the requested budget, in miles
+ */
+function reachMiles({ value, metric, profile }) {
+  if (metric === 'distance') return Number(value);
+  return (Number(value) / 60) * (ISOCHRONE_PROFILES[profile]?.mph || ISOCHRONE_PROFILES.drive.mph);
+}
+
+function closeRing(points) {
+  return [...points, points[0]];
+}
+
+/**
+ * Valhalla /isochrone
+ */
+const valhallaProvider = {
+  name: 'valhalla',
+
+  async getIsochrone({ lat, lng, value, metric, profile }, { baseUrl }) {
+    const contour = metric === 'distance'
+      ? { distance: Number(value) * KM_PER_MILE }
+      : { time: Number(value) };
+
+    const body = {
+      locations: [{ lat, lon: lng }],
+      costing: ISOCHRONE_PROFILES[profile]?.valhalla || 'auto',
+      contours: [contour],
+      polygons: true,
+      denoise: 0.5,
+      generalize: 50
+    };
+
+    const res = await fetch(`${baseUrl}/isochrone`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!res.ok) {
+      throw new Error(`Isochrone request failed: ${res.status}`);
+    }
+
+    const json = await res.json();
+    const geometry = json?.features?.find(f =>
+      f.geometry?.type === 'Polygon' || f.geometry?.type === 'MultiPolygon'
+    )?.geometry;
+
+    if (!geometry) {
+      throw new Error('Routing server returned no isochrone polygon');
+    }
+    return geometry;
+  }
+};
+
+/**
+ * OSRM-compatible /table sampling
+ * For each bearing, the furthest sample still inside the budget becomes a
+ * vertex of the polygon
+ */
+const osrmProvider = {
+  name: 'osrm',
+
+  async getIsochrone({ lat, lng, value, metric, profile }, { baseUrl }) {
+    const origin = turf.point([lng, lat]);
+    // Roads are rarely straight, but highways can beat the average speed
+    const maxMiles = reachMiles({ value, metric, profile }) * 1.5;
+
+    const samples = [];
+    for (let b = 0; b < OSRM_BEARINGS; b++) {
+      const bearing = (360 / OSRM_BEARINGS) * b;
+      for (let s = 1; s <= OSRM_STEPS; s++) {
+        const point = turf.destination(origin, (maxMiles * s) / OSRM_STEPS, bearing, { units: 'miles' });
+        samples.push({ bearing: b, step: s, coordinates: point.geometry.coordinates });
+      }
+    }
+
+    const coordinates = [[lng, lat], ...samples.map(s => s.coordinates)]
+      .map(([x, y]) => `${x.toFixed(6)},${y.toFixed(6)}`)
+      .join(';');
+    const osrmProfile = ISOCHRONE_PROFILES[profile]?.osrm || 'driving';
+    const params = new URLSearchParams({ sources: '0', annotations: 'duration,distance' });
+
+    const res = await fetch(`${baseUrl}/table/v1/${osrmProfile}/${coordinates}?${params}`);
+    if (!res.ok) {
+      throw new Error(`Isochrone request failed: ${res.status}`);
+    }
+
+    const json = await res.json();
+    if (json.code && json.code !== 'Ok') {
+      throw new Error(json.message || `Routing server error: ${json.code}`);
+    }
+
+    const costs = metric === 'distance' ? json.distances?.[0] : json.durations?.[0];
+    const budget = metric === 'distance' ? Number(value) * KM_PER_MILE * 1000 : Number(value) * 60;
+    if (!Array.isArray(costs)) {
+      throw new Error('Routing server returned no travel times');
+    }
+
+    const ring = [];
+    for (let b = 0; b < OSRM_BEARINGS; b++) {
+      let reachable = null;
+      samples.forEach((sample, i) => {
+        const cost = costs[i + 1];
+        if (sample.bearing === b && cost != null && cost <= budget) {
+          reachable = { ...sample, cost };
+        }
+      });
+
+      // Extend the furthest reachable sample by the budget it leaves unused,
+      // but not past the next (unreachable) sample; bearings with no
+      // reachable sample (water, no roads) collapse towards the origin
+      const bearing = (360 / OSRM_BEARINGS) * b;
+      const stepMiles = maxMiles / OSRM_STEPS;
+      const miles = reachable
+        ? Math.min(stepMiles * (reachable.step + 1), stepMiles * reachable.step * (budget / Math.max(reachable.cost, 1)))
+        : stepMiles * 0.25;
+      ring.push(turf.destination(origin, miles, bearing, { units: 'miles' }).geometry.coordinates);
+    }
+
+    return { type: 'Polygon', coordinates: [closeRing(ring)] };
+  }
+};
+
+/**
+ * Offline mock - an irregular blob sized from the profile's average speed
+ * Deterministic for a given request so tests can assert on it
+ */
+const mockProvider = {
+  name: 'mock',
+
+  async getIsochrone({ lat, lng, value, metric, profile }) {
+    const origin = turf.point([lng, lat]);
+    const miles = reachMiles({ value, metric, profile });
+    const steps = 48;
+
+    const ring = Array.from({ length: steps }, (_, i) => {
+      const bearing = (360 / steps) * i;
+      const radians = (bearing * Math.PI) / 180;
+      // Reach further along the cardinal directions, like a street grid
+      const factor = 0.7 + 0.3 * Math.abs(Math.cos(2 * radians));
+      return turf.destination(origin, miles * factor, bearing, { units: 'miles' }).geometry.coordinates;
+    });
+
+    return { type: 'Polygon', coordinates: [closeRing(ring)] };
+  }
+};
+
+class IsochroneService {
+  constructor() {
+    this.providers = new Map();
+    this.cache = new Map();
+    this.ttlMs = 10 * 60 * 1000;
+
+    [valhallaProvider, osrmProvider, mockProvider].forEach(provider => this.registerProvider(provider));
+
+    const env = import.meta.env || {};
+    this.providerName = env.VITE_ISOCHRONE_PROVIDER || 'valhalla';
+    this.baseUrl = env.VITE_ISOCHRONE_URL || null;
+  }
+
+  /**
+   * Add or replace a routing provider
+   * @param {{name: string, getIsochrone: Function}} provider - getIsochrone(request, {baseUrl})
+   *   resolves to a GeoJSON Polygon/MultiPolygon
+   */
+  registerProvider(provider) {
+    if (!provider?.name || typeof provider.getIsochrone !== 'function') {
+      throw new Error('Isochrone provider needs a name and a getIsochrone function');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Switch provider at runtime
+   * @param {string} name - Registered provider name
+   * @param {string|null} baseUrl - Routing server URL (defaults per provider)
+   */
+  setProvider(name, baseUrl = null) {
+    if (!this.providers.has(name)) {
+      throw new Error(`Unknown isochrone provider: ${name}`);
+    }
+    this.providerName = name;
+    this.baseUrl = baseUrl;
+    this.cache.clear();
+  }
+
+  getProviderName() {
+    return this.providers.has(this.providerName) ? this.providerName : 'mock';
+  }
+
+  /**
+   * Short description of a request, e.g. "15 min drive" or "5 mi walk"
+   */
+  describe({ value, metric, profile } = DEFAULT_ISOCHRONE) {
+    const unit = ISOCHRONE_METRICS[metric]?.unit || 'min';
+    const mode = (ISOCHRONE_PROFILES[profile]?.label || 'Drive').toLowerCase();
+    return `${Number(value)} ${unit} ${mode}`;
+  }
+
+  /**
+   * Request a reachability polygon
+   * @param {Object} request
+   * @param {number} request.lat
+   * @param {number} request.lng
+   * @param {number} request.value - Minutes or miles, depending on metric
+   * @param {string} request.metric - 'time' or 'distance'
+   * @param {string} request.profile - Key of ISOCHRONE_PROFILES
+   * @returns {Promise<{geometry: Object, provider: string}>}
+   */
+  async getIsochrone({ lat, lng, value, metric = 'time', profile = 'drive' }) {
+    const limits = ISOCHRONE_METRICS[metric];
+    const numericValue = Number(value);
+    if (!limits) {
+      throw new Error(`Unknown isochrone metric: ${metric}`);
+    }
+    if (!Number.isFinite(numericValue) || numericValue < limits.min || numericValue > limits.max) {
+      throw new Error(`${limits.label} must be between ${limits.min} and ${limits.max}`);
+    }
+    if (!ISOCHRONE_PROFILES[profile]) {
+      throw new Error(`Unknown travel mode: ${profile}`);
+    }
+
+    const providerName = this.getProviderName();
+    const key = `${providerName}:${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}:${numericValue}:${metric}:${profile}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.expires > Date.now()) return cached.data;
+
+    const provider = this.providers.get(providerName);
+    const baseUrl = (this.baseUrl || DEFAULT_URLS[providerName] || '').replace(/\/$/, '');
+    const geometry = await provider.getIsochrone(
+      { lat: Number(lat), lng: Number(lng), value: numericValue, metric, profile },
+      { baseUrl }
+    );
+
+    const data = { geometry, provider: providerName };
+    this.cache.set(key, { data, expires: Date.now() + this.ttlMs });
+    return data;
+  }
+}
+
+export default new IsochroneService();
@@ -0,0 +1,128 @@
+/**
+ * Offline Data Service
+ * Serves ZIPs, counties, cities, FIPS codes and simplified boundaries from
+ * the bundled offline database (public/offline/offline-db.json.gz, built by
+ * scripts/build-offline-db.js), queried in a Web Worker.
+ *
+ * ZipCodeService falls back to it before the ZIP-only zipdata.json, and
+ * the boundary services use it instead of TIGERweb/Supabase when offline
+ * mode is on: VITE_OFFLINE_MODE=true, or the browser reports no network.
+ */
+
+import { WorkerClient } from '../utils/workerClient';
+
+const OFFLINE_DB_URL = '/offline/offline-db.json.gz';
+const FORCE_OFFLINE = import.meta.env.VITE_OFFLINE_MODE === 'true';
+// Wait this long before trying a failed load again
+const LOAD_RETRY_MS = 60 * 1000;
+
+class OfflineDataService {
+  constructor() {
+    this.client = new WorkerClient(
+      () => new Worker(new URL('../workers/offlineData.worker.js', import.meta.url), { type: 'module' }),
+      { name: 'Offline data worker' }
+    );
+    this.loadPromise = null;
+    this.loadFailedAt = 0;
+  }
+
+  /**
+   * Whether lookups should skip the network entirely
+   */
+  isOfflineMode() {
+    return FORCE_OFFLINE || (typeof navigator !== 'undefined' && navigator.onLine === false);
+  }
+
+  call(method, ...args) {
+    return this.client.call(method, ...args);
+  }
+
+  /**
+   * Load the database in the worker (once; a failed load is retried after
+   * LOAD_RETRY_MS)
+   * @returns {Promise<Object|null>} Row counts, or null when no database is bundled
+   */
+  load() {
+    if (this.loadFailedAt && Date.now() - this.loadFailedAt >= LOAD_RETRY_MS) {
+      this.loadPromise = null;
+      this.loadFailedAt = 0;
+    }
+    if (!this.loadPromise) {
+      this.loadPromise = this.call('load', OFFLINE_DB_URL)
+        .then(stats => {
+          console.info('[Offline DB] loaded', stats);
+          return stats;
+        })
+        .catch(error => {
+          console.info(`[Offline DB] unavailable (${error.message})`);
+          this.loadFailedAt = Date.now();
+          return null;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  async isAvailable() {
+    return Boolean(await this.load());
+  }
+
+  async query(method, ...args) {
+    if (!(await this.isAvailable())) {
+      throw new Error('Offline database is not available');
+    }
+    return this.call(method, ...args);
+  }
+
+  /**
+   * Search ZIP codes; same parameters and result shape as supabaseService.search
+   */
+  search(params = {}) {
+    return this.query('search', params);
+  }
+
+  getStates() {
+    return this.query('getStates');
+  }
+
+  getCounties(state) {
+    return this.query('getCounties', state);
+  }
+
+  getCities(state, county) {
+    return this.query('getCities', state, county);
+  }
+
+  getZipCode(zipCode) {
+    return this.query('getZipCode', zipCode);
+  }
+
+  /**
+   * One boundary feature, with TIGERweb property names
+   * @param {'zcta'|'county'|'place'|'state'|'vtd'} type
+   * @param {string|Object} key - ZIP, state code, GEOID, or { name, state } for counties and places
+   */
+  getBoundary(type, key) {
+    return this.query('getBoundary', type, key);
+  }
+
+  getBoundaries(type, ids) {
+    return this.query('getBoundaries', type, ids);
+  }
+
+  getBoundariesInBounds(type, bounds, limit) {
+    return this.query('getBoundariesInBounds', type, bounds, limit);
+  }
+
+  /**
+   * VTD rows (Supabase shape) for 5-digit county FIPS codes
+   */
+  getVtdsForCounties(countyFipsList) {
+    return this.query('getVtdsForCounties', countyFipsList);
+  }
+
+  async checkHealth() {
+    return this.isAvailable();
+  }
+}
+
+export default new OfflineDataService();
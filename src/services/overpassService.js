@@ -3,8 +3,23 @@
  *
  * Service for querying OpenStreetMap address data via Overpass API
  * Supports both radius and polygon searches with rate limiting
+ *
+ * Results go through the same standardization as the address worker
+ * (utils/addressNormalizer.js), with missing city/state/ZIP filled in from
+ * the place, state and ZCTA boundary services.
  */
 
+import cityBoundariesService from './cityBoundariesService';
+import stateBoundariesService from './stateBoundariesService';
+import zipBoundariesService from './zipBoundariesService';
+import {
+  backfillAddresses,
+  dedupeAddresses,
+  formatAddress,
+  needsBackfill,
+  normalizeAddress
+} from '../utils/addressNormalizer';
+
 class OverpassService {
   constructor() {
     this.baseURL = 'https://overpass-api.de/api/interpreter';
@@ -82,8 +97,7 @@ out center;
       }
 
       const data = await response.json();
-      const parsed = this.parseOverpassResponse(data);
-      return parsed;
+      return this.finishAddresses(this.parseOverpassResponse(data));
     } catch (error) {
       if (error.name === 'AbortError') {
         throw new Error('Request timed out after 25 seconds. Try a smaller radius or different location.');
@@ -148,8 +162,7 @@ out center;
       }
 
       const data = await response.json();
-      const parsed = this.parseOverpassResponse(data);
-      return parsed;
+      return this.finishAddresses(this.parseOverpassResponse(data));
     } catch (error) {
       if (error.name === 'AbortError') {
         throw new Error('Request timed out after 25 seconds. Try a smaller polygon area.');
@@ -183,12 +196,14 @@ out center;
       }
 
       // Extract address components
-      return {
+      return normalizeAddress({
         id: element.id,
         type: element.type,
         housenumber: tags['addr:housenumber'] || '',
         street: tags['addr:street'] || '',
-        unit: tags['addr:unit'] || tags['addr:flats'] || '',
+        unit: tags['addr:unit'] || '',
+        // Every unit in the building (e.g. "1-12"), not this address's unit
+        flats: tags['addr:flats'] || '',
         city: tags['addr:city'] || '',
         state: tags['addr:state'] || '',
         postcode: tags['addr:postcode'] || '',
@@ -199,59 +214,64 @@ out center;
         name: tags.name || '',
         // Store full tags for reference
         rawTags: tags
-      };
+      });
     }).filter((addr) =>
       // Filter out addresses without required fields
       addr.housenumber && addr.lat && addr.lng
     );
   }
 
+  /**
+   * Drop near-duplicates and fill in missing city/state/ZIP
+   * @param {Array} addresses - Parsed addresses
+   * @returns {Promise<Array>}
+   */
+  async finishAddresses(addresses) {
+    const unique = dedupeAddresses(addresses);
+    await this.backfillLocation(unique);
+    return unique;
+  }
+
+  /**
+   * Fill in missing city, state and ZIP from the boundaries each address
+   * lies in. Best effort: a boundary lookup that fails is skipped.
+   * @param {Array} addresses - Normalized addresses, updated in place
+   * @returns {Promise<void>}
+   */
+  async backfillLocation(addresses) {
+    const missing = addresses.filter(needsBackfill);
+    if (missing.length === 0) return;
+
+    const bounds = {
+      north: Math.max(...missing.map(addr => addr.lat)),
+      south: Math.min(...missing.map(addr => addr.lat)),
+      east: Math.max(...missing.map(addr => addr.lng)),
+      west: Math.min(...missing.map(addr => addr.lng))
+    };
+
+    const [places, states, zips] = await Promise.all([
+      cityBoundariesService.getViewportBoundaries(bounds, 100, false),
+      stateBoundariesService.getViewportBoundaries(bounds),
+      // Only the offline database can look ZCTAs up by area
+      zipBoundariesService.getViewportBoundaries(bounds, 200, false)
+    ].map(request => request.catch(() => null)));
+
+    const areas = [
+      ...(places?.features || []).map(({ geometry, properties }) => ({ geometry, city: properties.BASENAME || properties.name })),
+      ...(states?.features || []).map(({ geometry, properties }) => ({ geometry, state: properties.code })),
+      ...(zips?.features || []).map(({ geometry, properties }) => ({ geometry, postcode: properties.zipcode }))
+    ];
+
+    backfillAddresses(missing, areas);
+  }
+
   /**
    * Format address for display
    * @param {Object} address - Address object
    * @returns {string} Formatted address string
    */
   formatAddress(address) {
-    const parts = [];
-
-    if (address.housenumber) {
-      parts.push(address.housenumber);
-    }
-
-    if (address.street) {
-      parts.push(address.street);
-    }
-
-    if (address.unit) {
-      parts.push(`Unit ${address.unit}`);
-    }
-
-    const line1 = parts.join(' ');
-    const line2Parts = [];
-
-    if (address.city) {
-      line2Parts.push(address.city);
-    }
-
-    if (address.state) {
-      line2Parts.push(address.state);
-    }
-
-    if (address.postcode) {
-      line2Parts.push(address.postcode);
-    }
-
-    const line2 = line2Parts.join(', ');
-
-    if (line1 && line2) {
-      return `${line1}, ${line2}`;
-    } else if (line1) {
-      return line1;
-    } else if (line2) {
-      return line2;
-    }
-
-    return 'Unknown address';
+    return formatAddress(address) || 'Unknown address';
   }
 }
 
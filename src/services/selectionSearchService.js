@@ -0,0 +1,98 @@
+/**
+ * Selection Search Service
+ * Finds the ZCTA, county, place or VTD boundaries under a map click or
+ * inside a shift-dragged box, and the ZIPs each selected boundary stands for.
+ *
+ * Boundaries already drawn on the map are hit-tested first; when a layer is
+ * rendered from vector tiles there is no GeoJSON in memory, so clicks fall
+ * back to identifyService and boxes to the layer's viewport query.
+ */
+
+import identifyService from './identifyService';
+import zipBoundariesService from './zipBoundariesService';
+import cityBoundariesService from './cityBoundariesService';
+import vtdBoundariesService from './vtdBoundariesService';
+import { ZipCodeService } from './zipCodeService';
+import { INCLUSION_MODES } from './zipInclusionService';
+import {
+  selectionItemFromFeature,
+  featuresAtPoint,
+  featuresInBounds
+} from '../utils/mapSelectionHelpers';
+
+// Layers that can be listed for a box; counties only answer point queries
+const VIEWPORT_SERVICES = {
+  zcta: { service: zipBoundariesService, limit: 200 },
+  place: { service: cityBoundariesService, limit: 200 },
+  vtd: { service: vtdBoundariesService, limit: 500 }
+};
+
+const ZIP_LIMIT = 2000;
+
+// A county or city owns the ZIPs centred inside it; a VTD is usually smaller
+// than a ZIP, so it takes every ZIP it touches. A ZCTA missing from the ZIP
+// data falls back to the ZIPs centred inside its polygon.
+const INCLUSION_BY_TYPE = {
+  zcta: INCLUSION_MODES.CENTROID,
+  county: INCLUSION_MODES.CENTROID,
+  place: INCLUSION_MODES.CENTROID,
+  vtd: INCLUSION_MODES.ANY_OVERLAP
+};
+
+const toItems = (type, features) =>
+  features.map(feature => selectionItemFromFeature(type, feature)).filter(Boolean);
+
+class SelectionSearchService {
+  /**
+   * Boundaries of one layer under a click or inside a box
+   * @param {string} type - 'zcta', 'county', 'place' or 'vtd'
+   * @param {Object} target - { latlng } for a click, { bounds } for a box
+   * @param {Object} [loaded] - FeatureCollection the map is drawing for the layer
+   * @returns {Promise<Array<Object>>} Selection items with geometry
+   */
+  async pick(type, { latlng, bounds }, loaded) {
+    const features = loaded?.features || [];
+
+    if (latlng) {
+      const hits = featuresAtPoint(features, latlng.lng, latlng.lat);
+      if (hits.length > 0) return toItems(type, hits.slice(0, 1));
+
+      const feature = await identifyService.findContaining(type, latlng.lat, latlng.lng);
+      return feature ? toItems(type, [feature]) : [];
+    }
+
+    const inBox = featuresInBounds(features, bounds);
+    if (inBox.length > 0 || !VIEWPORT_SERVICES[type]) return toItems(type, inBox);
+
+    const { service, limit } = VIEWPORT_SERVICES[type];
+    const collection = await service.getViewportBoundaries(bounds, limit).catch(() => null);
+    return toItems(type, featuresInBounds(collection?.features || [], bounds));
+  }
+
+  /**
+   * ZIP rows for a selected boundary
+   * @param {Object} item - Selection item with geometry
+   * @returns {Promise<Array<Object>>} Raw ZIP rows (normalizeZipResults input)
+   */
+  async resolveZips(item) {
+    if (item.type === 'zcta') {
+      const zip = await ZipCodeService.getZipCode(item.id).catch(() => null);
+      if (zip) return [zip];
+    }
+
+    const geometry = item.geometry;
+    if (geometry?.type !== 'Polygon' && geometry?.type !== 'MultiPolygon') return [];
+
+    const ring = geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0] : geometry.coordinates[0];
+    const result = await ZipCodeService.search({
+      polygon: ring.slice(0, -1).map(([lng, lat]) => ({ lat, lng })),
+      geometry,
+      inclusion: { mode: INCLUSION_BY_TYPE[item.type] },
+      limit: ZIP_LIMIT,
+      offset: 0
+    });
+    return result?.results || [];
+  }
+}
+
+export default new SelectionSearchService();
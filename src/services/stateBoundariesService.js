@@ -3,6 +3,9 @@
  * Fetches state polygons from Census TIGER API
  */
 
+import offlineDataService from './offlineDataService';
+import { queryTigerAtPoint } from '../utils/tigerHelpers';
+
 // Census TIGER API endpoint for State boundaries
 const TIGER_API_BASE = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/State_County/MapServer';
 const STATE_LAYER = 0; // States layer
@@ -54,6 +57,11 @@ class StateBoundariesService {
     const cached = this.getCache(this.viewportCache, vKey);
     if (cached) return cached;
 
+    if (offlineDataService.isOfflineMode()) {
+      const features = await offlineDataService.getBoundariesInBounds('state', bounds, limit).catch(() => []);
+      return { type: 'FeatureCollection', features: features.map(f => this.normalizeFeature(f)) };
+    }
+
     try {
       // TIGER API spatial query with envelope
       const params = new URLSearchParams({
@@ -100,6 +108,11 @@ class StateBoundariesService {
     const cached = this.getCache(this.singleCache, key);
     if (cached) return cached;
 
+    if (offlineDataService.isOfflineMode()) {
+      const feature = await offlineDataService.getBoundary('state', code).catch(() => null);
+      return feature ? this.normalizeFeature(feature) : null;
+    }
+
     try {
       const codeUpper = String(code).toUpperCase();
 
@@ -139,6 +152,23 @@ class StateBoundariesService {
 
     return null;
   }
+
+  /**
+   * State(s) at a point; more than one only on a state line
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Promise<Array<Object>>} GeoJSON Features
+   */
+  async getBoundariesAtPoint(lat, lng) {
+    if (offlineDataService.isOfflineMode()) {
+      const bounds = { north: lat, south: lat, east: lng, west: lng };
+      const features = await offlineDataService.getBoundariesInBounds('state', bounds, 10);
+      return features.map(feature => this.normalizeFeature(feature));
+    }
+
+    const features = await queryTigerAtPoint(`${TIGER_API_BASE}/${STATE_LAYER}`, 'STATE,STUSAB,NAME,GEOID', lat, lng);
+    return features.map(feature => this.normalizeFeature(feature));
+  }
 }
 
 export default new StateBoundariesService()
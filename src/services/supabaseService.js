@@ -23,10 +23,25 @@ try {
   console.info('[Supabase] init', { enabled: hasSupabase });
 }
 
+// Spatial search cursors are opaque strings to callers
+const encodeCursor = (cursor) => btoa(JSON.stringify(cursor));
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(atob(cursor));
+  } catch {
+    throw new Error('Invalid search cursor');
+  }
+};
+
+// PostgREST / Postgres codes for a function that hasn't been created yet
+const isMissingFunction = (error) => error?.code === 'PGRST202' || error?.code === '42883';
+
 class SupabaseService {
   constructor() {
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    // Cleared when the spatial RPCs (supabase/migrations) aren't deployed
+    this.spatialRpcAvailable = true;
   }
 
   /**
@@ -47,6 +62,7 @@ class SupabaseService {
       county,
       city,
       polygon,
+      cursor,
       limit = 500,  // Increased default for initial load
       offset = 0
     } = params;
@@ -63,13 +79,6 @@ class SupabaseService {
         };
       }
 
-      // Skip RPC functions for now as they don't exist in the database
-      // Will use client-side filtering below instead
-
-      let queryBuilder = supabase
-        .from('zipcodes')
-        .select('*');
-
       // Parse query for city, state combinations (e.g., "Lincoln, NE")
       let parsedCity = city;
       let parsedState = state;
@@ -94,6 +103,27 @@ class SupabaseService {
         }
       }
 
+      const hasRadius = lat != null && lng != null && radius != null;
+      const hasPolygon = Array.isArray(polygon) && polygon.length >= 3;
+
+      // Radius and polygon searches run in PostGIS with exact totals and cursors
+      if ((hasRadius || hasPolygon) && this.spatialRpcAvailable) {
+        try {
+          const filters = { state: parsedState, county: parsedCounty, city: parsedCity, query: parsedQuery, limit, offset, cursor };
+          return hasRadius
+            ? await this.searchRadius({ lat, lng, radius, ...filters })
+            : await this.searchPolygon(this._polygonToGeoJSON(polygon), filters);
+        } catch (error) {
+          if (!isMissingFunction(error)) throw error;
+          console.warn('[Supabase] spatial search RPCs not deployed; filtering a bounding box client-side');
+          this.spatialRpcAvailable = false;
+        }
+      }
+
+      let queryBuilder = supabase
+        .from('zipcodes')
+        .select('*');
+
       // Text search (ZIP, city, county) - only if not parsed as city/state
       if (parsedQuery) {
         queryBuilder = queryBuilder.or(`zipcode.ilike.%${parsedQuery}%,city.ilike.%${parsedQuery}%,county.ilike.%${parsedQuery}%`);
@@ -155,17 +185,7 @@ class SupabaseService {
       }
 
       // Transform to expected format
-      const results = (data || []).map(row => ({
-        zipcode: row.zipcode,
-        city: row.city,
-        state: row.state_code,
-        stateCode: row.state_code,
-        county: row.county,
-        latitude: row.latitude,
-        longitude: row.longitude,
-        lat: row.latitude,
-        lng: row.longitude
-      }));
+      const results = (data || []).map(row => this._toResult(row));
 
       // Client-side filters where applicable
       let filteredResults = results;
@@ -216,6 +236,86 @@ class SupabaseService {
     }
   }
 
+  /**
+   * ZIPs whose centroid is within `radius` miles, nearest first
+   * @param {Object} params - { lat, lng, radius, state?, county?, city?, query?, limit?, offset?, cursor? }
+   * @returns {Promise<Object>} { results, total, offset, limit, hasMore, nextCursor }
+   */
+  async searchRadius({ lat, lng, radius, ...filters }) {
+    return this._spatialSearch('search_radius', {
+      center_lat: Number(lat),
+      center_lng: Number(lng),
+      radius_miles: Number(radius)
+    }, filters);
+  }
+
+  /**
+   * ZIPs whose centroid falls inside a GeoJSON Polygon or MultiPolygon
+   * @param {Object} geometry - GeoJSON geometry
+   * @param {Object} filters - { state?, county?, city?, query?, limit?, offset?, cursor? }
+   */
+  async searchPolygon(geometry, filters = {}) {
+    return this._spatialSearch('search_polygon', { polygon_geojson: geometry }, filters);
+  }
+
+  /**
+   * ZIPs whose ZCTA boundary touches a GeoJSON geometry (point, line or polygon)
+   * @param {Object} geometry - GeoJSON geometry
+   * @param {Object} filters - { state?, county?, city?, query?, limit?, offset?, cursor? }
+   */
+  async searchGeometryIntersects(geometry, filters = {}) {
+    return this._spatialSearch('search_geometry_intersects', { geometry_geojson: geometry }, filters);
+  }
+
+  async _spatialSearch(fn, shapeArgs, { state, county, city, query, limit = 500, offset = 0, cursor } = {}) {
+    if (!hasSupabase) {
+      return { results: [], total: 0, offset, limit, hasMore: false, nextCursor: null };
+    }
+
+    const { data, error } = await supabase.rpc(fn, {
+      ...shapeArgs,
+      state_filter: state || null,
+      county_filter: county || null,
+      city_filter: city || null,
+      text_query: query || null,
+      page_size: limit,
+      page_offset: cursor ? 0 : offset,
+      after: cursor ? decodeCursor(cursor) : null
+    });
+
+    if (error) throw error;
+
+    const results = (data?.results || []).map(row => this._toResult(row));
+    console.info('[Supabase] results', { rpc: fn, page: results.length, total: data?.total });
+
+    return {
+      results,
+      total: data?.total ?? results.length,
+      offset,
+      limit,
+      hasMore: Boolean(data?.next_cursor),
+      nextCursor: data?.next_cursor ? encodeCursor(data.next_cursor) : null
+    };
+  }
+
+  _toResult(row) {
+    const result = {
+      zipcode: row.zipcode,
+      city: row.city,
+      state: row.state_code,
+      stateCode: row.state_code,
+      county: row.county,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      lat: row.latitude,
+      lng: row.longitude
+    };
+    if (row.distance_miles != null) {
+      result.distance = Math.round(row.distance_miles * 100) / 100;
+    }
+    return result;
+  }
+
   _polygonToGeoJSON(polygon) {
     const coords = polygon.map(p => [Number(p.lng), Number(p.lat)]);
     if (coords.length > 0) {
@@ -4,6 +4,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import offlineDataService from './offlineDataService';
 
 // Supabase configuration - use same pattern as supabaseService to avoid duplicate clients
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
@@ -16,6 +17,10 @@ const supabase = hasSupabase
   ? (globalThis.__supabaseClient ||= createClient(SUPABASE_URL, SUPABASE_ANON_KEY))
   : null;
 
+// Census TIGER API endpoint for single VTD and per-state lookups
+const TIGER_API_BASE = 'https://tigerweb.geo.census.gov/arcgis/rest/services/Census2020/Legislative/MapServer';
+const VTD_LAYER = 13; // 2020 Census Voting Districts layer
+
 // State code to FIPS code mapping (kept for backward compatibility)
 const STATE_TO_FIPS = {
   'AL': '01', 'AK': '02', 'AZ': '04', 'AR': '05', 'CA': '06', 'CO': '08', 'CT': '09', 'DE': '10',
@@ -64,6 +69,35 @@ class VtdBoundariesService {
     };
   }
 
+  /**
+   * Normalize TIGER API feature to the same properties as convertToFeature
+   * Maps VTDST -> vtd_code, STATE -> state_fips, etc.
+   */
+  normalizeFeature(feature) {
+    if (!feature) return null;
+
+    const props = feature.properties || {};
+    const stateFips = props.STATE || props.state_fips;
+    const countyFips = props.COUNTY || props.county_fips;
+
+    return {
+      ...feature,
+      properties: {
+        ...props,
+        vtd_code: props.VTDST || props.vtd_code,
+        name: props.NAME || props.name,
+        state_fips: stateFips,
+        county_fips: countyFips,
+        full_county_fips: stateFips && countyFips ? `${stateFips}${countyFips}` : props.full_county_fips,
+        geoid: props.GEOID || props.geoid,
+        land_area: props.AREALAND ?? props.land_area,
+        water_area: props.AREAWATER ?? props.water_area,
+        state_code: stateFips,
+        county_code: countyFips
+      }
+    };
+  }
+
   /**
    * Get cache entry if not expired
    */
@@ -126,6 +160,15 @@ class VtdBoundariesService {
       };
     }
 
+    if (offlineDataService.isOfflineMode()) {
+      const records = await offlineDataService.getVtdsForCounties(uncachedCounties).catch(() => []);
+      return {
+        type: 'FeatureCollection',
+        features: [...allFeatures, ...records.map(record => this.convertToFeature(record)).filter(Boolean)],
+        properties: { requested: countyFipsList.length, loaded: countyFipsList.length, source: 'offline' }
+      };
+    }
+
     console.log(`[VTD Service] Fetching ${uncachedCounties.length} uncached counties from Supabase`);
 
     try {
@@ -302,6 +345,11 @@ class VtdBoundariesService {
     const cached = this.getCache(this.viewportCache, cacheKey);
     if (cached) return cached;
 
+    if (offlineDataService.isOfflineMode()) {
+      const records = await offlineDataService.getBoundariesInBounds('vtd', bounds, limit).catch(() => []);
+      return { type: 'FeatureCollection', features: records.map(record => this.convertToFeature(record)).filter(Boolean) };
+    }
+
     try {
       // Call Supabase RPC function for bounding box query
       const { data, error } = await supabase.rpc('get_vtds_by_bbox', {
@@ -335,6 +383,35 @@ class VtdBoundariesService {
     }
   }
 
+  /**
+   * VTDs whose bounding box contains a point (Supabase bbox RPC or the
+   * offline database); callers test the polygons themselves. Unlike the
+   * viewport query, a failed lookup rejects instead of coming back empty.
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Promise<Array<Object>>} GeoJSON Features
+   */
+  async getBoundariesAtPoint(lat, lng) {
+    if (offlineDataService.isOfflineMode()) {
+      const records = await offlineDataService.getBoundariesInBounds('vtd', { north: lat, south: lat, east: lng, west: lng }, 20);
+      return records.map(record => this.convertToFeature(record)).filter(Boolean);
+    }
+
+    if (!supabase) {
+      throw new Error('VTD lookups need Supabase');
+    }
+
+    const { data, error } = await supabase.rpc('get_vtds_by_bbox', {
+      min_lng: lng,
+      min_lat: lat,
+      max_lng: lng,
+      max_lat: lat,
+      result_limit: 20
+    });
+    if (error) throw error;
+    return (data || []).map(record => this.convertToFeature(record)).filter(Boolean);
+  }
+
   /**
    * Get VTD boundary by VTD code and state
    * @param {string} vtdCode - VTD code (alphanumeric, 1-6 characters)
@@ -349,6 +426,11 @@ class VtdBoundariesService {
     const cached = this.getCache(this.cache, cacheKey);
     if (cached) return cached;
 
+    if (offlineDataService.isOfflineMode()) {
+      const record = await offlineDataService.getBoundary('vtd', { vtdCode, state: stateCode }).catch(() => null);
+      return this.convertToFeature(record);
+    }
+
     try {
       const fipsCode = STATE_TO_FIPS[stateCode.toUpperCase()];
 
@@ -433,6 +515,10 @@ class VtdBoundariesService {
    * @returns {Promise<boolean>} True if Supabase is healthy
    */
   async checkHealth() {
+    if (offlineDataService.isOfflineMode()) {
+      return offlineDataService.checkHealth();
+    }
+
     try {
       // Test with a simple count query
       const { count, error } = await supabase
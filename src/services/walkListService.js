@@ -0,0 +1,76 @@
+/**
+ * Walk List Service
+ * Turns address results into canvassing turfs (utils/walkListHelpers.js),
+ * looking up the VTDs they fall in, and downloads the printable PDF and
+ * CSV for one turf or all of them.
+ */
+
+import vtdBoundariesService from './vtdBoundariesService';
+import { buildTurfs, walkListCsv, walkListPdf, turfLabel } from '../utils/walkListHelpers';
+
+// VTDs fetched for the extent of the addresses; a dense county can have a
+// few hundred in a large search area
+const VTD_LIMIT = 500;
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+class WalkListService {
+  /**
+   * VTD features covering the addresses' extent; empty if none are
+   * available, in which case turfs are split by street segment only
+   */
+  async fetchVtds(addresses) {
+    const points = addresses.filter(address => Number.isFinite(address?.lat) && Number.isFinite(address?.lng));
+    if (points.length === 0) return [];
+
+    const bounds = points.reduce((extent, { lat, lng }) => ({
+      north: Math.max(extent.north, lat),
+      south: Math.min(extent.south, lat),
+      east: Math.max(extent.east, lng),
+      west: Math.min(extent.west, lng)
+    }), { north: -Infinity, south: Infinity, east: -Infinity, west: Infinity });
+    const collection = await vtdBoundariesService.getViewportBoundaries(bounds, VTD_LIMIT);
+    return collection?.features || [];
+  }
+
+  /**
+   * Split addresses into turfs
+   * @param {Array<Object>} addresses - Address results
+   * @param {Object} [options]
+   * @param {number} [options.doorsPerTurf]
+   * @param {boolean} [options.splitByVtd] - Keep each turf inside one VTD
+   * @param {boolean} [options.residentialOnly] - Skip non-residential buildings
+   * @returns {Promise<{ turfs: Array<Object>, vtdCount: number }>}
+   */
+  async generate(addresses, { doorsPerTurf, splitByVtd = true, residentialOnly = true } = {}) {
+    const vtds = splitByVtd ? await this.fetchVtds(addresses) : [];
+    const turfs = buildTurfs(addresses, { doorsPerTurf, vtds, residentialOnly });
+    return { turfs, vtdCount: new Set(turfs.map(turf => turf.vtdId).filter(Boolean)).size };
+  }
+
+  /**
+   * Download turfs as one printable PDF; a single turf is named after itself
+   */
+  downloadPdf(turfs, { title } = {}) {
+    const name = turfs.length === 1 ? slug(turfLabel(turfs[0])) : 'walk-lists';
+    download(walkListPdf(turfs, { title }).toBlob(), `${name}.pdf`);
+  }
+
+  downloadCsv(turfs) {
+    const name = turfs.length === 1 ? slug(turfLabel(turfs[0])) : 'walk-lists';
+    download(new Blob([walkListCsv(turfs)], { type: 'text/csv;charset=utf-8;' }), `${name}.csv`);
+  }
+}
+
+export default new WalkListService();
@@ -0,0 +1,196 @@
+/**
+ * Workspace Service
+ * Stores named workspaces (all searches, results and exclusions) in IndexedDB
+ * so they survive page reloads. Workspace state uses the share payload format
+ * and is restored through restoreFromShareState.
+ */
+
+const DB_NAME = 'geosearch-workspaces';
+const DB_VERSION = 1;
+const STORE_NAME = 'workspaces';
+const LAST_WORKSPACE_KEY = 'geosearch:lastWorkspaceId';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+class WorkspaceService {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Whether IndexedDB is usable in this environment
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  /**
+   * Open (and upgrade) the workspace database once
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDb() {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('updatedAt', 'updatedAt');
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async runTransaction(mode, operation) {
+    const db = await this.openDb();
+    const tx = db.transaction(STORE_NAME, mode);
+    return requestToPromise(operation(tx.objectStore(STORE_NAME)));
+  }
+
+  generateId() {
+    return `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * List workspaces without their (potentially large) state, newest first
+   * @returns {Promise<Array<{id, name, createdAt, updatedAt, searchCount}>>}
+   */
+  async listWorkspaces() {
+    const workspaces = await this.runTransaction('readonly', store => store.getAll());
+    return workspaces
+      .map(({ id, name, createdAt, updatedAt, searchCount }) => ({ id, name, createdAt, updatedAt, searchCount }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Get a full workspace record
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>}
+   */
+  async getWorkspace(id) {
+    const workspace = await this.runTransaction('readonly', store => store.get(id));
+    return workspace || null;
+  }
+
+  /**
+   * Create a new workspace
+   * @param {string} name - Display name
+   * @param {Object} state - Share-format state
+   * @returns {Promise<Object>} Created workspace
+   */
+  async createWorkspace(name, state) {
+    const now = Date.now();
+    const workspace = {
+      id: this.generateId(),
+      name: name?.trim() || 'Untitled workspace',
+      createdAt: now,
+      updatedAt: now,
+      searchCount: this.countSearches(state),
+      state
+    };
+
+    await this.runTransaction('readwrite', store => store.put(workspace));
+    return workspace;
+  }
+
+  /**
+   * Overwrite the state of an existing workspace
+   * @param {string} id - Workspace ID
+   * @param {Object} state - Share-format state
+   * @returns {Promise<Object|null>} Updated workspace or null if it no longer exists
+   */
+  async saveWorkspace(id, state) {
+    const existing = await this.getWorkspace(id);
+    if (!existing) return null;
+
+    const workspace = {
+      ...existing,
+      updatedAt: Date.now(),
+      searchCount: this.countSearches(state),
+      state
+    };
+
+    await this.runTransaction('readwrite', store => store.put(workspace));
+    return workspace;
+  }
+
+  async renameWorkspace(id, name) {
+    const existing = await this.getWorkspace(id);
+    if (!existing) return null;
+
+    const workspace = { ...existing, name: name?.trim() || existing.name, updatedAt: Date.now() };
+    await this.runTransaction('readwrite', store => store.put(workspace));
+    return workspace;
+  }
+
+  async duplicateWorkspace(id, name) {
+    const existing = await this.getWorkspace(id);
+    if (!existing) return null;
+
+    return this.createWorkspace(name || `${existing.name} (copy)`, existing.state);
+  }
+
+  async deleteWorkspace(id) {
+    await this.runTransaction('readwrite', store => store.delete(id));
+    if (this.getLastWorkspaceId() === id) {
+      this.setLastWorkspaceId(null);
+    }
+  }
+
+  /**
+   * Number of searches stored in a share-format state
+   * @param {Object} state
+   * @returns {number}
+   */
+  countSearches(state) {
+    if (!state) return 0;
+    return (state.radiusSearches?.length || 0) +
+      (state.polygonSearches?.length || 0) +
+      (state.hierarchySearches?.length || 0) +
+      (state.addressSearches?.length || 0);
+  }
+
+  // The workspace to reopen after a reload lives in localStorage so it can be
+  // read synchronously on startup
+  getLastWorkspaceId() {
+    try {
+      return window.localStorage.getItem(LAST_WORKSPACE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  setLastWorkspaceId(id) {
+    try {
+      if (id) {
+        window.localStorage.setItem(LAST_WORKSPACE_KEY, id);
+      } else {
+        window.localStorage.removeItem(LAST_WORKSPACE_KEY);
+      }
+    } catch (error) {
+      console.warn('[Workspaces] Could not persist last workspace:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export default new WorkspaceService();
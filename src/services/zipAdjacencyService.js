@@ -0,0 +1,92 @@
+/**
+ * ZIP Adjacency Service
+ * Grows a set of ZIPs by rings of bordering ZCTAs using the prebuilt
+ * public/zip-adjacency.json (built by scripts/build-zip-adjacency.js).
+ * The file is only fetched the first time neighbors are needed.
+ *
+ * Dataset format:
+ *   { source: 'cb_2020_us_zcta520_500k', count: 33791, neighbors: { '30303': ['30308', ...] } }
+ */
+
+const DATA_URL = '/zip-adjacency.json';
+
+export const MAX_RINGS = 3;
+
+class ZipAdjacencyService {
+  constructor() {
+    this.neighbors = null;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Fetch the adjacency index
+   * Resolves once; a missing file leaves the service without data so callers
+   * can fall back to TIGERweb
+   * @returns {Promise<boolean>} Whether the index is available
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const response = await fetch(DATA_URL);
+          if (response.ok && (response.headers.get('content-type') || '').includes('json')) {
+            const dataset = await response.json();
+            this.neighbors = new Map(Object.entries(dataset?.neighbors || {}));
+            console.log(`[Adjacency] Loaded ${this.neighbors.size} ZCTAs`);
+          }
+        } catch (error) {
+          console.warn('[Adjacency] No ZIP adjacency index available:', error);
+        }
+        return this.hasData();
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  hasData() {
+    return Boolean(this.neighbors && this.neighbors.size > 0);
+  }
+
+  /**
+   * ZCTAs that border one ZIP
+   * @param {string} zipCode
+   * @returns {Array<string>}
+   */
+  getNeighbors(zipCode) {
+    return this.neighbors?.get(String(zipCode).padStart(5, '0')) || [];
+  }
+
+  /**
+   * Breadth-first rings around a set of ZIPs
+   * Ring 1 borders the seeds, ring 2 borders ring 1, and so on
+   * @param {Array<string>} zipCodes - Seed ZIPs (not included in the result)
+   * @param {number} rings - How many rings to grow, 1 to MAX_RINGS
+   * @param {Array<string>} exclude - ZIPs to skip, e.g. ones already in results;
+   *   they still connect rings so the expansion doesn't stall on them
+   * @returns {Map<string, number>} ZIP -> ring number
+   */
+  expandRings(zipCodes, rings = 1, exclude = []) {
+    const depth = Math.min(Math.max(1, Math.round(rings)), MAX_RINGS);
+    const excluded = new Set(exclude.map(String));
+    const visited = new Set(zipCodes.map(String));
+    const result = new Map();
+
+    let frontier = Array.from(visited);
+    for (let ring = 1; ring <= depth && frontier.length > 0; ring++) {
+      const next = [];
+      frontier.forEach(zipCode => {
+        this.getNeighbors(zipCode).forEach(neighbor => {
+          if (visited.has(neighbor)) return;
+          visited.add(neighbor);
+          next.push(neighbor);
+          if (!excluded.has(neighbor)) result.set(neighbor, ring);
+        });
+      });
+      frontier = next;
+    }
+
+    return result;
+  }
+}
+
+export default new ZipAdjacencyService();
@@ -4,6 +4,9 @@
  */
 
 import boundaryCache from './boundaryCache';
+import offlineDataService from './offlineDataService';
+import zipAdjacencyService from './zipAdjacencyService';
+import { queryTigerAtPoint } from '../utils/tigerHelpers';
 
 // Census TIGER API endpoint for ZCTA boundaries
 const TIGER_API_BASE = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/tigerWMS_Current/MapServer';
@@ -51,6 +54,11 @@ class ZipBoundariesService {
       return cached.data;
     }
 
+    if (offlineDataService.isOfflineMode()) {
+      const feature = await offlineDataService.getBoundary('zcta', zipCode).catch(() => null);
+      return feature ? this.normalizeFeature(feature) : null;
+    }
+
     try {
       // Build TIGER API query URL
       const params = new URLSearchParams({
@@ -108,6 +116,10 @@ class ZipBoundariesService {
       };
     }
 
+    if (offlineDataService.isOfflineMode()) {
+      return this.getOfflineZipBoundaries(zipCodes);
+    }
+
     const features = [];
     const errors = [];
 
@@ -187,6 +199,37 @@ class ZipBoundariesService {
     };
   }
 
+  /**
+   * ZIP boundaries from the bundled offline database
+   * @param {Array<string>} zipCodes - Array of ZIP codes
+   * @returns {Promise<Object>} GeoJSON FeatureCollection, same shape as getMultipleZipBoundaries
+   */
+  async getOfflineZipBoundaries(zipCodes) {
+    try {
+      const features = (await offlineDataService.getBoundaries('zcta', zipCodes))
+        .map(feature => this.normalizeFeature(feature));
+      const loaded = new Set(features.map(feature => feature.properties.zipcode));
+
+      return {
+        type: 'FeatureCollection',
+        features,
+        properties: {
+          requested: zipCodes.length,
+          loaded: features.length,
+          failed: zipCodes.filter(zip => !loaded.has(zip)),
+          source: 'offline'
+        }
+      };
+    } catch (error) {
+      console.error('Offline ZIP boundary lookup failed:', error);
+      return {
+        type: 'FeatureCollection',
+        features: [],
+        properties: { requested: zipCodes.length, loaded: 0, failed: zipCodes, source: 'offline' }
+      };
+    }
+  }
+
   /**
    * Get boundaries for current viewport
    * NOTE: TIGER API doesn't support viewport-based spatial queries directly.
@@ -205,6 +248,15 @@ class ZipBoundariesService {
       return cached;
     }
 
+    // The offline database does have a spatial index
+    if (offlineDataService.isOfflineMode()) {
+      const features = await offlineDataService.getBoundariesInBounds('zcta', bounds, limit).catch(() => []);
+      return {
+        type: 'FeatureCollection',
+        features: features.map(feature => this.normalizeFeature(feature))
+      };
+    }
+
     // TIGER API doesn't support direct spatial bbox queries for ZCTA
     // Return empty collection - app should use result-based loading instead
     console.log('Viewport-based boundary loading not supported with TIGER API. Use result-based loading.');
@@ -215,6 +267,24 @@ class ZipBoundariesService {
     };
   }
 
+  /**
+   * ZCTAs whose polygon touches a point, for point-in-polygon lookups
+   * (identifyService). Points on a shared edge return both neighbours.
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Promise<Array<Object>>} GeoJSON Features
+   */
+  async getBoundariesAtPoint(lat, lng) {
+    if (offlineDataService.isOfflineMode()) {
+      const bounds = { north: lat, south: lat, east: lng, west: lng };
+      const features = await offlineDataService.getBoundariesInBounds('zcta', bounds, 10);
+      return features.map(feature => this.normalizeFeature(feature));
+    }
+
+    const features = await queryTigerAtPoint(`${TIGER_API_BASE}/${ZCTA_LAYER}`, 'ZCTA5,GEOID,NAME,AREALAND,AREAWATER', lat, lng);
+    return features.map(feature => this.normalizeFeature(feature));
+  }
+
   /**
    * Get ZIP database statistics
    * NOTE: TIGER API doesn't provide statistics endpoint
@@ -233,6 +303,10 @@ class ZipBoundariesService {
    * @returns {Promise<boolean>} True if API is healthy
    */
   async checkHealth() {
+    if (offlineDataService.isOfflineMode()) {
+      return offlineDataService.checkHealth();
+    }
+
     try {
       // Test with a known ZIP code
       const params = new URLSearchParams({
@@ -397,6 +471,55 @@ class ZipBoundariesService {
     };
   }
 
+  /**
+   * Find the ZIPs within N rings of the given ZIPs
+   * Uses the prebuilt adjacency index; without it, falls back to the TIGER
+   * touches query, which only finds the first ring
+   * @param {Array<string>} zipCodes - ZIPs to grow from
+   * @param {number} rings - Number of rings (1-3)
+   * @param {Array<string>} existingZips - ZIP codes already in results (to exclude)
+   * @param {Array<Object>} zipBoundaries - Boundaries of zipCodes, if already loaded (fallback only)
+   * @returns {Promise<Object>} GeoJSON FeatureCollection; features carry a `ring` property
+   */
+  async findNeighborRings(zipCodes, rings = 1, existingZips = [], zipBoundaries = null) {
+    if (await zipAdjacencyService.load()) {
+      const ringByZip = zipAdjacencyService.expandRings(zipCodes, rings, existingZips);
+      const boundaries = await this.getMultipleZipBoundaries(Array.from(ringByZip.keys()));
+
+      return {
+        type: 'FeatureCollection',
+        features: boundaries.features.map(feature => ({
+          ...feature,
+          properties: {
+            ...feature.properties,
+            isNeighbor: true,
+            ring: ringByZip.get(feature.properties?.zipcode) || 1
+          }
+        })),
+        properties: {
+          source: 'index',
+          rings,
+          sourceZips: zipCodes.length,
+          neighborsFound: ringByZip.size
+        }
+      };
+    }
+
+    const seedBoundaries = zipBoundaries && zipBoundaries.length > 0
+      ? zipBoundaries
+      : (await this.getMultipleZipBoundaries(zipCodes)).features;
+    const neighbors = await this.findNeighboringZips(seedBoundaries, existingZips);
+
+    return {
+      ...neighbors,
+      features: neighbors.features.map(feature => ({
+        ...feature,
+        properties: { ...feature.properties, ring: 1 }
+      })),
+      properties: { ...neighbors.properties, source: 'tigerweb', rings: 1 }
+    };
+  }
+
   /**
    * Convert GeoJSON geometry to Esri JSON format
    * @param {Object} geoJsonGeometry - GeoJSON geometry object
@@ -1,197 +1,80 @@
-import apiClient from './apiClient';
-import { OptimizedStaticService } from './optimizedStaticService';
-import supabaseService from './supabaseService';
+import dataProviderRegistry from './dataProviderRegistry';
+import zipInclusionService from './zipInclusionService';
+import { fetchAllPages, isAreaSearch } from '../utils/searchPaging';
 
-const USE_SUPABASE = true; // Use Supabase as primary source
-const USE_STATIC_DATA = false; // Keep explicit flag for static fallback
+const hasResults = (result) => Array.isArray(result?.results) && result.results.length > 0;
+const hasItems = (result) => Array.isArray(result) && result.length > 0;
 
 // API service functions for zip code data
 export class ZipCodeService {
-  static async search(params) {
-    // Prefer Supabase, with graceful fallback to static data
-    if (USE_SUPABASE) {
-      try {
-        const supabaseResult = await supabaseService.search(params);
-        if (supabaseResult && Array.isArray(supabaseResult.results) && supabaseResult.results.length > 0) {
-          return supabaseResult;
-        }
-        // If Supabase returns no results, try static fallback for supported queries
-        return await OptimizedStaticService.search(params);
-      } catch (e) {
-        console.warn('Supabase search failed, trying static fallback:', e);
-        return await OptimizedStaticService.search(params);
-      }
-    }
-
-    // Use static data if explicitly enabled
-    if (USE_STATIC_DATA) {
-      return OptimizedStaticService.search(params);
+  static async search(params = {}) {
+    // Boundary-aware inclusion: widen the centroid query to gather candidates,
+    // then keep the ZIPs whose ZCTA geometry satisfies the inclusion mode
+    if (zipInclusionService.requiresGeometry(params)) {
+      const candidateResult = await this.searchByCentroid(zipInclusionService.getCandidateParams(params));
+      const results = await zipInclusionService.applyInclusion(candidateResult?.results || [], params);
+      // Candidates are paged in full; hasMore is only left set when the
+      // candidate query stopped early, so the ZIPs kept may be incomplete
+      return {
+        ...candidateResult,
+        results,
+        total: results.length,
+        hasMore: Boolean(candidateResult?.hasMore),
+        nextCursor: null,
+        inclusion: zipInclusionService.normalizeInclusion(params.inclusion)
+      };
     }
 
-    // Use the centralized API client
-    try {
-      const queryParams = {};
-
-      if (params.query) queryParams.query = params.query;
-      if (params.lat && params.lng) {
-        queryParams.lat = params.lat;
-        queryParams.lng = params.lng;
-      }
-      if (params.radius) queryParams.radius = params.radius;
-      if (params.state) queryParams.state = params.state;
-      if (params.county) queryParams.county = params.county;
-      if (params.city) queryParams.city = params.city;
-      if (params.polygon) queryParams.polygon = JSON.stringify(params.polygon);
-      if (params.limit) queryParams.limit = params.limit;
-      if (params.offset) queryParams.offset = params.offset;
-
-      const apiResult = await apiClient.get('search', queryParams);
+    const searchParams = { ...params };
+    delete searchParams.inclusion;
+    return this.searchByCentroid(searchParams);
+  }
 
-      if (!apiResult || !apiResult.results || apiResult.results.length === 0) {
-        // As a last resort, use static
-        return await OptimizedStaticService.search(params);
-      }
-      return apiResult;
-    } catch (error) {
-      console.warn('API search failed, falling back to static data:', error);
-      return OptimizedStaticService.search(params);
-    }
+  // Every source goes through the provider registry: enabled providers are
+  // tried in the configured order and the answer carries `provider`.
+  // Radius and polygon searches return every page, from the provider that
+  // answered the first one.
+  static async searchByCentroid(params) {
+    const first = await dataProviderRegistry.call('search', [params], { accept: hasResults });
+    if (!isAreaSearch(params) || !first?.provider) return first;
+    return fetchAllPages(first, params, (pageParams) => (
+      dataProviderRegistry.callProvider(first.provider, 'search', [pageParams])
+    ));
   }
 
   static async getStates() {
-    if (USE_SUPABASE) {
-      try {
-        const states = await supabaseService.getStates();
-        if (Array.isArray(states) && states.length > 0) {
-          return states;
-        }
-        console.warn(`Supabase returned ${Array.isArray(states) ? states.length : 0} states; using static fallback.`);
-      } catch (e) {
-        console.warn('Supabase getStates failed; using static fallback.', e);
-      }
-      const result = await OptimizedStaticService.getStates();
-      return result.states || [];
-    }
-
-    if (USE_STATIC_DATA) {
-      const result = await OptimizedStaticService.getStates();
-      return result.states || [];
-    }
-
-    try {
-      const states = await apiClient.get('states');
-      if (Array.isArray(states) && states.length > 0) {
-        return states;
-      }
-      // Fall back to static if API returns empty
-      const result = await OptimizedStaticService.getStates();
-      return result.states || [];
-    } catch (error) {
-      console.warn('API getStates failed, falling back to static data:', error);
-      const result = await OptimizedStaticService.getStates();
-      return result.states || [];
-    }
+    return dataProviderRegistry.call('getStates', [], { accept: hasItems });
   }
 
   static async getCounties(state) {
-    if (USE_SUPABASE) {
-      try {
-        const counties = await supabaseService.getCounties(state);
-        if (Array.isArray(counties) && counties.length > 0) return counties;
-      } catch (e) {
-        console.warn('Supabase getCounties failed; using static fallback.', e);
-      }
-      const result = await OptimizedStaticService.getCounties({ state });
-      return result.counties || [];
-    }
-
-    if (USE_STATIC_DATA) {
-      const result = await OptimizedStaticService.getCounties({ state });
-      return result.counties || [];
-    }
-
-    try {
-      const counties = await apiClient.get('counties', state ? { state } : {});
-      if (Array.isArray(counties) && counties.length > 0) {
-        return counties;
-      }
-      // Fall back to static if API returns empty
-      const result = await OptimizedStaticService.getCounties({ state });
-      return result.counties || [];
-    } catch (error) {
-      console.warn('API getCounties failed, falling back to static data:', error);
-      const result = await OptimizedStaticService.getCounties({ state });
-      return result.counties || [];
-    }
+    return dataProviderRegistry.call('getCounties', [state], { accept: hasItems });
   }
 
   static async getCities(state, county) {
-    if (USE_SUPABASE) {
-      try {
-        const cities = await supabaseService.getCities(state, county);
-        if (Array.isArray(cities) && cities.length > 0) return cities;
-      } catch (e) {
-        console.warn('Supabase getCities failed; using static fallback.', e);
-      }
-      const result = await OptimizedStaticService.getCities({ state, county });
-      return result.cities || [];
-    }
-
-    if (USE_STATIC_DATA) {
-      const result = await OptimizedStaticService.getCities({ state, county });
-      return result.cities || [];
-    }
-
-    try {
-      const params = {};
-      if (state) params.state = state;
-      if (county) params.county = county;
-
-      const cities = await apiClient.get('cities', params);
-      if (Array.isArray(cities) && cities.length > 0) {
-        return cities;
-      }
-      // Fall back to static if API returns empty
-      const result = await OptimizedStaticService.getCities({ state, county });
-      return result.cities || [];
-    } catch (error) {
-      console.warn('API getCities failed, falling back to static data:', error);
-      const result = await OptimizedStaticService.getCities({ state, county });
-      return result.cities || [];
-    }
+    return dataProviderRegistry.call('getCities', [state, county], { accept: hasItems });
   }
 
   static async getZipCode(zipCode) {
-    if (USE_STATIC_DATA) {
-      return OptimizedStaticService.getZipCode({ zip: zipCode });
-    }
+    return dataProviderRegistry.call('getZipCode', [zipCode], { accept: (result) => Boolean(result?.zipcode) });
+  }
 
-    try {
-      const result = await apiClient.get(`zipcode/${zipCode}`);
-      if (result) {
-        return result;
-      }
-      // Fall back to static if API returns empty
-      return OptimizedStaticService.getZipCode({ zip: zipCode });
-    } catch (error) {
-      console.warn('API getZipCode failed, falling back to static data:', error);
-      return OptimizedStaticService.getZipCode({ zip: zipCode });
-    }
+  /**
+   * Boundary features from the first provider that has them
+   * @param {'zcta'|'county'|'place'|'state'|'vtd'} type
+   * @param {Array<string>} ids
+   */
+  static async getBoundaries(type, ids) {
+    return dataProviderRegistry.call('getBoundaries', [type, ids], { accept: hasItems });
   }
 
   static async health() {
-    // For static data, always return healthy
-    if (USE_STATIC_DATA) {
-      return { status: 'OK', mode: 'static' };
-    }
-
-    try {
-      const health = await apiClient.healthCheck();
-      return health;
-    } catch (error) {
-      // If API is down, we're still healthy with static data
-      return { status: 'OK', mode: 'static-fallback', error: error.message };
-    }
+    const providers = await dataProviderRegistry.refreshHealth({ enabledOnly: true });
+    const serving = providers.find(provider => provider.enabled && provider.health?.ok);
+    return {
+      status: serving ? 'OK' : 'ERROR',
+      mode: serving ? serving.id : 'unavailable',
+      providers
+    };
   }
 
   // Helper function to geocode a location (simple text search)
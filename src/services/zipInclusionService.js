@@ -0,0 +1,15 @@
+/**
+ * ZIP Inclusion Service
+ * The app's boundary-aware inclusion (utils/zipInclusion.js), measuring
+ * ZIPs against the ZCTA boundaries from zipBoundariesService.
+ */
+
+import zipBoundariesService from './zipBoundariesService';
+import { ZipInclusion } from '../utils/zipInclusion';
+
+export { INCLUSION_MODES, DEFAULT_INCLUSION } from '../utils/zipInclusion';
+
+// Export singleton instance
+export default new ZipInclusion({
+  getBoundaries: (zipCodes) => zipBoundariesService.getMultipleZipBoundaries(zipCodes)
+});
@@ -0,0 +1,450 @@
+/**
+ * USPS-style standardization of OpenStreetMap address results
+ *
+ * Used by both services/overpassService.js and the address worker, so every
+ * address search spells streets, units, states and ZIPs the same way. The
+ * worker is deployed on its own, so it keeps a copy of this file and
+ * stateNames.js in workers/address-api/src/shared/; edit them here and copy
+ * them over (npm run test:addresses fails while the copies differ). Abbreviations follow USPS Publication 28:
+ * appendix C1 for street suffixes, C2 for secondary unit designators.
+ *
+ * No browser or app dependencies beyond stateNames.js.
+ */
+
+import { STATE_NAME_BY_CODE } from './stateNames.js';
+
+// Standard abbreviation -> spellings seen in OSM (besides the abbreviation)
+const STREET_SUFFIXES = {
+  Aly: ['ALLEY', 'ALLEE', 'ALLY'],
+  Ave: ['AVENUE', 'AV', 'AVE', 'AVEN', 'AVENU', 'AVN', 'AVNUE'],
+  Bnd: ['BEND'],
+  Blvd: ['BOULEVARD', 'BOUL', 'BOULV'],
+  Brg: ['BRIDGE', 'BRDGE'],
+  Brk: ['BROOK'],
+  Byp: ['BYPASS', 'BYPA', 'BYPAS', 'BYPS'],
+  Cyn: ['CANYON', 'CANYN', 'CNYN'],
+  Cswy: ['CAUSEWAY', 'CAUSWA'],
+  Ctr: ['CENTER', 'CEN', 'CENT', 'CENTR', 'CENTRE', 'CNTER', 'CNTR'],
+  Cir: ['CIRCLE', 'CIRC', 'CIRCL', 'CRCL', 'CRCLE'],
+  Clf: ['CLIFF'],
+  Cmns: ['COMMONS'],
+  Cor: ['CORNER'],
+  Ct: ['COURT', 'CRT'],
+  Cv: ['COVE'],
+  Crk: ['CREEK'],
+  Cres: ['CRESCENT', 'CRSENT', 'CRSNT'],
+  Xing: ['CROSSING', 'CRSSNG'],
+  Dl: ['DALE'],
+  Dr: ['DRIVE', 'DRIV', 'DRV'],
+  Est: ['ESTATE'],
+  Ests: ['ESTATES'],
+  Expy: ['EXPRESSWAY', 'EXP', 'EXPR', 'EXPRESS', 'EXPW'],
+  Ext: ['EXTENSION', 'EXTN', 'EXTNSN'],
+  Fls: ['FALLS'],
+  Fld: ['FIELD'],
+  Flds: ['FIELDS'],
+  Frst: ['FOREST', 'FORESTS'],
+  Frk: ['FORK'],
+  Fwy: ['FREEWAY', 'FREEWY', 'FRWAY', 'FRWY'],
+  Gdns: ['GARDENS', 'GARDN', 'GRDEN', 'GRDN'],
+  Gtwy: ['GATEWAY', 'GATEWY', 'GATWAY', 'GTWAY'],
+  Gln: ['GLEN'],
+  Grn: ['GREEN'],
+  Grv: ['GROVE', 'GROV'],
+  Hbr: ['HARBOR', 'HARB', 'HARBR', 'HRBOR'],
+  Hts: ['HEIGHTS', 'HT'],
+  Hwy: ['HIGHWAY', 'HIGHWY', 'HIWAY', 'HIWY', 'HWAY'],
+  Hl: ['HILL'],
+  Hls: ['HILLS'],
+  Holw: ['HOLLOW', 'HLLW', 'HOLLOWS', 'HOLWS'],
+  Is: ['ISLAND', 'ISLND'],
+  Jct: ['JUNCTION', 'JCTION', 'JCTN', 'JUNCTN', 'JUNCTON'],
+  Knl: ['KNOLL', 'KNOL'],
+  Lk: ['LAKE'],
+  Lks: ['LAKES'],
+  Lndg: ['LANDING', 'LNDNG'],
+  Ln: ['LANE'],
+  Loop: ['LOOPS'],
+  Mnr: ['MANOR'],
+  Mdw: ['MEADOW'],
+  Mdws: ['MEADOWS', 'MEDOWS'],
+  Ml: ['MILL'],
+  Mt: ['MOUNT', 'MNT'],
+  Mtn: ['MOUNTAIN', 'MNTAIN', 'MNTN', 'MOUNTIN', 'MTIN'],
+  Orch: ['ORCHARD', 'ORCHRD'],
+  Pkwy: ['PARKWAY', 'PARKWY', 'PKWAY', 'PKY'],
+  Pass: [],
+  Path: ['PATHS'],
+  Pike: ['PIKES'],
+  Pl: ['PLACE'],
+  Plz: ['PLAZA', 'PLZA'],
+  Pt: ['POINT'],
+  Prt: ['PORT'],
+  Rnch: ['RANCH', 'RANCHES', 'RNCHS'],
+  Rdg: ['RIDGE', 'RDGE'],
+  Riv: ['RIVER', 'RIVR', 'RVR'],
+  Rd: ['ROAD'],
+  Row: [],
+  Run: [],
+  Spg: ['SPRING', 'SPNG', 'SPRNG'],
+  Spgs: ['SPRINGS', 'SPNGS', 'SPRNGS'],
+  Sq: ['SQUARE', 'SQR', 'SQRE', 'SQU'],
+  Sta: ['STATION', 'STATN', 'STN'],
+  St: ['STREET', 'STR', 'STRT'],
+  Smt: ['SUMMIT', 'SUMIT', 'SUMITT'],
+  Ter: ['TERRACE', 'TERR'],
+  Trce: ['TRACE', 'TRACES'],
+  Trl: ['TRAIL', 'TRAILS', 'TRLS'],
+  Tpke: ['TURNPIKE', 'TRNPK', 'TURNPK'],
+  Vly: ['VALLEY', 'VALLY', 'VLLY'],
+  Vw: ['VIEW'],
+  Vlg: ['VILLAGE', 'VILL', 'VILLAG', 'VILLG', 'VILLIAGE'],
+  Vis: ['VISTA', 'VIST', 'VST', 'VSTA'],
+  Walk: ['WALKS'],
+  Way: ['WY']
+};
+
+const DIRECTIONALS = {
+  N: ['NORTH'],
+  S: ['SOUTH'],
+  E: ['EAST'],
+  W: ['WEST'],
+  NE: ['NORTHEAST'],
+  NW: ['NORTHWEST'],
+  SE: ['SOUTHEAST'],
+  SW: ['SOUTHWEST']
+};
+
+// Secondary unit designators; the second list takes no number ("Rear")
+const UNIT_DESIGNATORS = {
+  Apt: ['APARTMENT', 'APPT'],
+  Bldg: ['BUILDING'],
+  Dept: ['DEPARTMENT'],
+  Fl: ['FLOOR', 'FLR'],
+  Hngr: ['HANGAR'],
+  Lot: [],
+  Pier: [],
+  Rm: ['ROOM'],
+  Spc: ['SPACE'],
+  Ste: ['SUITE'],
+  Trlr: ['TRAILER'],
+  Unit: []
+};
+
+const STANDALONE_UNIT_DESIGNATORS = {
+  Bsmt: ['BASEMENT'],
+  Frnt: ['FRONT'],
+  Lbby: ['LOBBY'],
+  Lowr: ['LOWER'],
+  Ofc: ['OFFICE'],
+  Ph: ['PENTHOUSE'],
+  Rear: [],
+  Side: [],
+  Uppr: ['UPPER']
+};
+
+// Upper-case spelling -> standard abbreviation
+const lookup = (table) => {
+  const map = new Map();
+  Object.entries(table).forEach(([standard, spellings]) => {
+    map.set(standard.toUpperCase(), standard);
+    spellings.forEach(spelling => map.set(spelling, standard));
+  });
+  return map;
+};
+
+const SUFFIX_LOOKUP = lookup(STREET_SUFFIXES);
+const DIRECTIONAL_LOOKUP = lookup(DIRECTIONALS);
+const UNIT_LOOKUP = lookup(UNIT_DESIGNATORS);
+const STANDALONE_UNIT_LOOKUP = lookup(STANDALONE_UNIT_DESIGNATORS);
+
+const STATE_CODE_BY_NAME = new Map(
+  Object.entries(STATE_NAME_BY_CODE).map(([code, name]) => [name.toUpperCase(), code])
+);
+
+// Addresses this close with the same house number, street and unit are the
+// same door - typically an entrance node and its building outline
+const NEAR_DUPLICATE_METERS = 50;
+
+const METERS_PER_DEGREE = 111320;
+
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+// All-caps or all-lowercase imports get title case; mixed case is kept
+const fixCase = (value) => {
+  if (value !== value.toUpperCase() && value !== value.toLowerCase()) return value;
+  return value.toLowerCase().replace(/(^|[\s\-/])([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+};
+
+const bareToken = (token) => token.replace(/\.$/, '').toUpperCase();
+
+/**
+ * Standardize a street name: directionals and the suffix are abbreviated
+ * ("North Main Street" -> "N Main St"), unless the word is the name itself
+ * ("North Street" -> "North St", "Avenue B" stays)
+ * @param {string} street
+ * @returns {string}
+ */
+export function normalizeStreet(street) {
+  const text = clean(street);
+  if (!text) return '';
+
+  const tokens = fixCase(text).split(' ');
+  let start = 0;
+  let end = tokens.length;
+  let pre = null;
+  let post = null;
+  let suffix = null;
+
+  if (end - start >= 3 && DIRECTIONAL_LOOKUP.has(bareToken(tokens[end - 1]))) {
+    post = DIRECTIONAL_LOOKUP.get(bareToken(tokens[end - 1]));
+    end--;
+  }
+  if (end - start >= 2 && SUFFIX_LOOKUP.has(bareToken(tokens[end - 1]))) {
+    suffix = SUFFIX_LOOKUP.get(bareToken(tokens[end - 1]));
+    end--;
+  }
+  if (end - start >= 2 && DIRECTIONAL_LOOKUP.has(bareToken(tokens[start]))) {
+    pre = DIRECTIONAL_LOOKUP.get(bareToken(tokens[start]));
+    start++;
+  }
+
+  return [pre, ...tokens.slice(start, end), suffix, post].filter(Boolean).join(' ');
+}
+
+/**
+ * Standardize a unit: "Apartment 3b" -> "Apt 3B", "#12" -> "12",
+ * "suite 200" -> "Ste 200", "rear" -> "Rear"
+ * @param {string} unit
+ * @returns {string}
+ */
+export function normalizeUnit(unit) {
+  const text = clean(unit).replace(/^#\s*/, '');
+  if (!text) return '';
+
+  const standalone = STANDALONE_UNIT_LOOKUP.get(bareToken(text));
+  if (standalone) return standalone;
+
+  const match = text.match(/^([A-Za-z]+)\.?\s*#?\s*(\S.*)$/);
+  const designator = match && UNIT_LOOKUP.get(match[1].toUpperCase());
+  if (designator) {
+    return `${designator} ${match[2].toUpperCase()}`;
+  }
+  return text.toUpperCase();
+}
+
+/**
+ * @param {string} state - Two-letter code or full name
+ * @returns {string} Two-letter USPS code, or the trimmed input if unrecognized
+ */
+export function normalizeState(state) {
+  const text = clean(state);
+  if (/^[A-Za-z]{2}$/.test(text)) return text.toUpperCase();
+  return STATE_CODE_BY_NAME.get(text.toUpperCase()) || text;
+}
+
+/**
+ * @param {string} postcode - ZIP, ZIP+4 or free text containing one
+ * @returns {string} Five-digit ZIP, or '' when there is none
+ */
+export function normalizePostcode(postcode) {
+  const match = clean(postcode).match(/(?:^|\D)(\d{5})(?:[-\s]?\d{4})?(?:\D|$)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Standardize the address fields of a parsed result, leaving the rest as is.
+ * Safe to run on an already normalized address.
+ * @param {Object} address - { housenumber, street, unit, city, state, postcode, ... }
+ * @returns {Object} A normalized copy
+ */
+export function normalizeAddress(address) {
+  return {
+    ...address,
+    housenumber: clean(address.housenumber).toUpperCase(),
+    street: normalizeStreet(address.street),
+    unit: normalizeUnit(address.unit),
+    city: fixCase(clean(address.city)),
+    state: normalizeState(address.state),
+    postcode: normalizePostcode(address.postcode)
+  };
+}
+
+const hasDesignator = (unit) => {
+  const [first] = unit.split(' ');
+  return UNIT_LOOKUP.has(first.toUpperCase()) || STANDALONE_UNIT_LOOKUP.has(first.toUpperCase());
+};
+
+/**
+ * First address line: "123 N Main St Apt 4"; bare unit numbers read "Unit 4"
+ * @param {Object} address
+ * @returns {string}
+ */
+export function formatStreetLine(address) {
+  const unit = clean(address.unit);
+  return [
+    clean(address.housenumber),
+    clean(address.street),
+    unit && (hasDesignator(unit) ? unit : `Unit ${unit}`)
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * One-line address: "123 N Main St Apt 4, Dallas TX 75201"
+ * @param {Object} address
+ * @returns {string}
+ */
+export function formatAddress(address) {
+  const lastLine = [address.city, address.state, address.postcode].map(clean).filter(Boolean).join(' ');
+  return [formatStreetLine(address), lastLine].filter(Boolean).join(', ');
+}
+
+const ringContains = (ring, lng, lat) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// GeoJSON Polygon/MultiPolygon -> [[outer, ...holes], ...] plus its bbox
+const prepareArea = ({ geometry, ...fields }) => {
+  const polygons = geometry?.type === 'MultiPolygon'
+    ? geometry.coordinates
+    : geometry?.type === 'Polygon' ? [geometry.coordinates] : [];
+
+  let minLng = Infinity;
+  let minLat = Infinity;
+  let maxLng = -Infinity;
+  let maxLat = -Infinity;
+  polygons.forEach(([outer = []]) => outer.forEach(([lng, lat]) => {
+    minLng = Math.min(minLng, lng);
+    maxLng = Math.max(maxLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+  }));
+
+  const values = Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => ['city', 'state', 'postcode'].includes(key) && value)
+  );
+  return { polygons, bbox: [minLng, minLat, maxLng, maxLat], values };
+};
+
+const areaContains = ({ polygons, bbox }, lng, lat) =>
+  lng >= bbox[0] && lng <= bbox[2] && lat >= bbox[1] && lat <= bbox[3] &&
+  polygons.some(([outer, ...holes]) =>
+    ringContains(outer, lng, lat) && !holes.some(hole => ringContains(hole, lng, lat))
+  );
+
+/**
+ * Whether an address is missing its city, state or ZIP
+ * @param {Object} address
+ * @returns {boolean}
+ */
+export const needsBackfill = (address) => !address.city || !address.state || !address.postcode;
+
+/**
+ * Fill in missing city, state and ZIP from the boundaries each address lies
+ * in. Fields the address already has are never overwritten.
+ * Updates the addresses in place.
+ * @param {Array<Object>} addresses - Addresses with lat/lng
+ * @param {Array<{ geometry: Object, city?: string, state?: string, postcode?: string }>} areas -
+ *   GeoJSON (Multi)Polygon geometries with the fields they supply, e.g.
+ *   ZCTAs ({ postcode }), places ({ city }) and states ({ state })
+ * @returns {number} How many addresses gained a field
+ */
+export function backfillAddresses(addresses, areas) {
+  const prepared = areas.map(prepareArea).filter(area => area.polygons.length > 0 && Object.keys(area.values).length > 0);
+  if (prepared.length === 0) return 0;
+
+  let filled = 0;
+  addresses.forEach(address => {
+    if (!needsBackfill(address) || address.lat == null || address.lng == null) return;
+    let changed = false;
+    for (const area of prepared) {
+      const missing = Object.keys(area.values).filter(key => !address[key]);
+      if (missing.length === 0 || !areaContains(area, address.lng, address.lat)) continue;
+      missing.forEach(key => {
+        address[key] = area.values[key];
+      });
+      changed = true;
+      if (!needsBackfill(address)) break;
+    }
+    if (changed) filled++;
+  });
+  return filled;
+}
+
+const distanceMeters = (a, b) => {
+  const dLat = (a.lat - b.lat) * METERS_PER_DEGREE;
+  const dLng = (a.lng - b.lng) * METERS_PER_DEGREE * Math.cos((a.lat * Math.PI) / 180);
+  return Math.sqrt(dLat * dLat + dLng * dLng);
+};
+
+const MERGED_FIELDS = ['city', 'state', 'postcode', 'building', 'name'];
+
+/**
+ * Drops repeat and near-duplicate addresses as they stream in
+ *
+ * A repeat is the same OSM element (type and id). A near-duplicate has the
+ * same house number, street and unit as an address already kept and lies
+ * within maxDistanceMeters of it; its city/state/ZIP fill any the kept
+ * address lacks. Addresses without a street are only matched by element.
+ */
+export class AddressDeduper {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDistanceMeters]
+   */
+  constructor({ maxDistanceMeters = NEAR_DUPLICATE_METERS } = {}) {
+    this.maxDistanceMeters = maxDistanceMeters;
+    this.elements = new Set();
+    this.byKey = new Map();
+  }
+
+  /**
+   * @param {Object} address - A normalized address
+   * @returns {boolean} Whether the address is new and should be kept
+   */
+  add(address) {
+    const element = `${address.type || ''}/${address.id}`;
+    if (this.elements.has(element)) return false;
+    this.elements.add(element);
+
+    if (!address.street) return true;
+
+    const key = [address.housenumber, address.street, address.unit || ''].join('|').toUpperCase();
+    const kept = this.byKey.get(key);
+    const match = kept?.find(other => distanceMeters(other, address) <= this.maxDistanceMeters);
+    if (match) {
+      MERGED_FIELDS.forEach(field => {
+        if (!match[field] && address[field]) match[field] = address[field];
+      });
+      return false;
+    }
+
+    if (kept) kept.push(address);
+    else this.byKey.set(key, [address]);
+    return true;
+  }
+
+  /**
+   * @param {Array<Object>} addresses
+   * @returns {Array<Object>} The ones not seen before, in order
+   */
+  filter(addresses) {
+    return addresses.filter(address => this.add(address));
+  }
+}
+
+/**
+ * Drop repeat and near-duplicate addresses, keeping first occurrences
+ * @param {Array<Object>} addresses - Normalized addresses
+ * @param {Object} [options] - See AddressDeduper
+ * @returns {Array<Object>}
+ */
+export const dedupeAddresses = (addresses, options) => new AddressDeduper(options).filter(addresses);
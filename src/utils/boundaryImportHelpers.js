@@ -0,0 +1,277 @@
+/**
+ * Boundary Import Helpers
+ *
+ * Parses territory files (GeoJSON, KML, KMZ, zipped shapefiles) into named
+ * Polygon/MultiPolygon geometries for polygon search
+ */
+
+import { unzipSync } from 'fflate';
+import * as shapefile from 'shapefile';
+
+const NAME_KEYS = ['name', 'title', 'label', 'territory', 'namelsad', 'id'];
+
+/**
+ * Unpack a ZIP archive, skipping folders and macOS resource forks
+ * @param {ArrayBuffer} buffer - ZIP file contents
+ * @returns {Object<string, Uint8Array>} File contents by path
+ */
+function readZip(buffer) {
+  try {
+    return unzipSync(new Uint8Array(buffer), {
+      filter: file => !file.name.endsWith('/') && !file.name.startsWith('__MACOSX/')
+    });
+  } catch (error) {
+    throw new Error(`File is not a valid ZIP archive (${error.message})`);
+  }
+}
+
+/**
+ * Drop Z values and make sure the ring is closed
+ * @returns {Array|null} Ring of [lng, lat] or null if degenerate
+ */
+function normalizeRing(ring) {
+  const points = (ring || [])
+    .map(point => [Number(point[0]), Number(point[1])])
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+
+  if (points.length < 3) return null;
+
+  const [fx, fy] = points[0];
+  const [lx, ly] = points[points.length - 1];
+  if (fx !== lx || fy !== ly) {
+    points.push([fx, fy]);
+  }
+
+  return points.length >= 4 ? points : null;
+}
+
+/**
+ * Collect polygons (arrays of rings) from any GeoJSON geometry
+ * @returns {Array} Array of polygons, each [outerRing, ...holes]
+ */
+function collectPolygons(geometry) {
+  if (!geometry) return [];
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates];
+    case 'MultiPolygon':
+      return geometry.coordinates;
+    case 'GeometryCollection':
+      return (geometry.geometries || []).flatMap(collectPolygons);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Build a clean Polygon or MultiPolygon from raw polygons
+ * @returns {Object|null} GeoJSON geometry
+ */
+function buildGeometry(polygons) {
+  const cleaned = polygons
+    .map(rings => {
+      const [outer, ...holes] = rings.map(normalizeRing);
+      if (!outer) return null;
+      return [outer, ...holes.filter(Boolean)];
+    })
+    .filter(Boolean);
+
+  if (cleaned.length === 0) return null;
+
+  return cleaned.length === 1
+    ? { type: 'Polygon', coordinates: cleaned[0] }
+    : { type: 'MultiPolygon', coordinates: cleaned };
+}
+
+/**
+ * Pick a display name from feature properties
+ */
+function getFeatureName(properties, fallback) {
+  if (properties) {
+    const keys = Object.keys(properties);
+    for (const wanted of NAME_KEYS) {
+      const key = keys.find(k => k.toLowerCase() === wanted);
+      const value = key ? properties[key] : null;
+      if (value != null && String(value).trim()) {
+        return String(value).trim();
+      }
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Convert GeoJSON features into named boundaries
+ * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+ * @param {string} baseName - Used to name unnamed features
+ * @returns {{boundaries: Array<{name: string, geometry: Object}>, skipped: number}}
+ */
+export function geoJsonToBoundaries(geojson, baseName = 'Shape') {
+  let features = [];
+
+  if (geojson?.type === 'FeatureCollection') {
+    features = geojson.features || [];
+  } else if (geojson?.type === 'Feature') {
+    features = [geojson];
+  } else if (geojson?.type) {
+    features = [{ type: 'Feature', properties: {}, geometry: geojson }];
+  }
+
+  const boundaries = [];
+  let skipped = 0;
+
+  features.forEach((feature, index) => {
+    const geometry = buildGeometry(collectPolygons(feature?.geometry));
+    if (!geometry) {
+      skipped++;
+      return;
+    }
+
+    boundaries.push({
+      name: getFeatureName(feature.properties, `${baseName} ${index + 1}`),
+      geometry
+    });
+  });
+
+  return { boundaries, skipped };
+}
+
+/**
+ * Parse a KML coordinates string ("lng,lat[,alt] lng,lat[,alt] ...")
+ */
+function parseKmlCoordinates(text) {
+  return (text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+}
+
+const kmlChildren = (node, tagName) => Array.from(node.getElementsByTagNameNS('*', tagName));
+
+/**
+ * Convert a KML document into named boundaries
+ * Polygons inside a Placemark's MultiGeometry become one MultiPolygon
+ * @param {string} text - KML source
+ * @param {string} baseName - Used to name unnamed placemarks
+ * @returns {{boundaries: Array<{name: string, geometry: Object}>, skipped: number}}
+ */
+export function kmlToBoundaries(text, baseName = 'Shape') {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('KML file could not be parsed');
+  }
+
+  const boundaries = [];
+  let skipped = 0;
+
+  kmlChildren(doc, 'Placemark').forEach((placemark, index) => {
+    const polygons = kmlChildren(placemark, 'Polygon').map(polygon => {
+      const outer = kmlChildren(polygon, 'outerBoundaryIs')
+        .flatMap(boundary => kmlChildren(boundary, 'coordinates'))[0];
+      const holes = kmlChildren(polygon, 'innerBoundaryIs')
+        .flatMap(boundary => kmlChildren(boundary, 'coordinates'));
+
+      return [
+        parseKmlCoordinates(outer?.textContent),
+        ...holes.map(hole => parseKmlCoordinates(hole.textContent))
+      ];
+    });
+
+    const geometry = buildGeometry(polygons);
+    if (!geometry) {
+      skipped++;
+      return;
+    }
+
+    const nameNode = Array.from(placemark.childNodes).find(node => node.localName === 'name');
+    boundaries.push({
+      name: nameNode?.textContent?.trim() || `${baseName} ${index + 1}`,
+      geometry
+    });
+  });
+
+  return { boundaries, skipped };
+}
+
+/**
+ * Read every shapefile in a ZIP archive
+ * Coordinates must already be WGS 84 - there is no reprojection
+ */
+async function shapefileZipToBoundaries(entries, baseName) {
+  const names = Object.keys(entries);
+  const shpNames = names.filter(name => name.toLowerCase().endsWith('.shp'));
+
+  if (shpNames.length === 0) {
+    throw new Error('ZIP archive does not contain a shapefile (.shp) or KML');
+  }
+
+  const boundaries = [];
+  let skipped = 0;
+
+  for (const shpName of shpNames) {
+    const stem = shpName.slice(0, -4).toLowerCase();
+    const sidecar = ext => names.find(name => name.toLowerCase() === `${stem}.${ext}`);
+
+    const prjName = sidecar('prj');
+    if (prjName) {
+      const prj = new TextDecoder().decode(entries[prjName]);
+      if (/^\s*PROJCS/i.test(prj)) {
+        throw new Error(`${shpName} uses a projected coordinate system. Re-export it as WGS 84 (EPSG:4326).`);
+      }
+    }
+
+    const shp = entries[shpName];
+    const dbfName = sidecar('dbf');
+    const dbf = dbfName ? entries[dbfName] : undefined;
+
+    const collection = await shapefile.read(shp, dbf);
+    const layerName = shpNames.length > 1 ? shpName.split('/').pop().slice(0, -4) : baseName;
+    const result = geoJsonToBoundaries(collection, layerName);
+
+    boundaries.push(...result.boundaries);
+    skipped += result.skipped;
+  }
+
+  return { boundaries, skipped };
+}
+
+/**
+ * Parse an uploaded territory file
+ * @param {File} file - .geojson/.json, .kml, .kmz or zipped shapefile
+ * @returns {Promise<{boundaries: Array<{name: string, geometry: Object}>, skipped: number}>}
+ *   skipped counts features that had no polygon geometry (points, lines)
+ */
+export async function parseBoundaryFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+
+  if (extension === 'geojson' || extension === 'json') {
+    let geojson;
+    try {
+      geojson = JSON.parse(await file.text());
+    } catch {
+      throw new Error('GeoJSON file could not be parsed');
+    }
+    return geoJsonToBoundaries(geojson, baseName);
+  }
+
+  if (extension === 'kml') {
+    return kmlToBoundaries(await file.text(), baseName);
+  }
+
+  if (extension === 'kmz' || extension === 'zip') {
+    const entries = readZip(await file.arrayBuffer());
+    const kmlName = Object.keys(entries).find(name => name.toLowerCase().endsWith('.kml'));
+
+    if (kmlName) {
+      return kmlToBoundaries(new TextDecoder().decode(entries[kmlName]), baseName);
+    }
+
+    return shapefileZipToBoundaries(entries, baseName);
+  }
+
+  throw new Error(`Unsupported file type: .${extension}`);
+}
@@ -1,3 +1,5 @@
+import { formatAddress } from './addressNormalizer';
+
 /**
  * Export data as CSV with minimal columns
  * @param {Array} data - The data to export
@@ -17,7 +19,7 @@ export const exportSimpleCsv = (data, activeTab) => {
   // Create CSV based on tab type - simple exports don't include headers
   if (activeTab === 'geocode') {
     // Include header for geocode results
-    const headers = ['Business Name', 'Address', 'City', 'State', 'ZIP', 'County', 'Latitude', 'Longitude', 'Accuracy'];
+    const headers = ['Business Name', 'Address', 'City', 'State', 'ZIP', 'County', 'Latitude', 'Longitude', 'Accuracy', 'Manually Corrected'];
     csv = headers.join(',') + '\n';
 
     csv += processedData.map(item => {
@@ -30,7 +32,8 @@ export const exportSimpleCsv = (data, activeTab) => {
         escapeCSVValue(item.county || ''),
         item.lat || '',
         item.lng || '',
-        item.accuracy != null ? (item.accuracy * 100).toFixed(2) + '%' : ''
+        item.accuracy != null ? (item.accuracy * 100).toFixed(2) + '%' : '',
+        item.manual ? 'Yes' : ''
       ];
       return row.join(',');
     }).join('\n');
@@ -44,21 +47,7 @@ export const exportSimpleCsv = (data, activeTab) => {
     csv = processedData.map(item => `${item.name}, ${item.state}`).join('\n');
   } else if (activeTab === 'streets') {
     // Format addresses as full address strings
-    csv = processedData.map(item => {
-      const parts = [];
-      if (item.housenumber) parts.push(item.housenumber);
-      if (item.street) parts.push(item.street);
-      if (item.unit) parts.push(`Unit ${item.unit}`);
-
-      const streetAddress = parts.join(' ');
-      const cityStateZip = [
-        item.city || '',
-        item.state || '',
-        item.postcode || ''
-      ].filter(Boolean).join(' ');
-
-      return `${streetAddress}, ${cityStateZip}`;
-    }).join('\n');
+    csv = processedData.map(formatAddress).join('\n');
   }
 
   // Generate filename with pattern
@@ -99,21 +88,7 @@ export const copyToClipboard = async (data, activeTab) => {
     text = data.map(item => `${item.name}, ${item.state}`).join('\n');
   } else if (activeTab === 'streets') {
     // Copy addresses formatted as full addresses
-    text = data.map(item => {
-      const parts = [];
-      if (item.housenumber) parts.push(item.housenumber);
-      if (item.street) parts.push(item.street);
-      if (item.unit) parts.push(`Unit ${item.unit}`);
-
-      const streetAddress = parts.join(' ');
-      const cityStateZip = [
-        item.city || '',
-        item.state || '',
-        item.postcode || ''
-      ].filter(Boolean).join(' ');
-
-      return `${streetAddress}, ${cityStateZip}`;
-    }).join('\n');
+    text = data.map(formatAddress).join('\n');
   }
 
   try {
@@ -151,8 +126,8 @@ export const dedupeAndSort = (data, tab) => {
         key = item.state;
         break;
       case 'streets':
-        // Create unique key from housenumber, street, unit, city, state, and postcode
-        key = `${item.housenumber || ''}|${item.street || ''}|${item.unit || ''}|${item.city || ''}|${item.state || ''}|${item.postcode || ''}`;
+        // Addresses are standardized, so the one-line form identifies them
+        key = formatAddress(item);
         break;
       default:
         key = item.id;
@@ -252,7 +227,8 @@ export const exportGeocodeResultsCSV = (geocodeResults) => {
     'County',
     'Latitude',
     'Longitude',
-    'Accuracy'
+    'Accuracy',
+    'Manually Corrected'
   ];
 
   const rows = [headers.join(',')];
@@ -268,7 +244,8 @@ export const exportGeocodeResultsCSV = (geocodeResults) => {
       escapeCSVValue(result.county || ''),
       result.lat || '',
       result.lng || '',
-      result.accuracy != null ? (result.accuracy * 100).toFixed(2) + '%' : ''
+      result.accuracy != null ? (result.accuracy * 100).toFixed(2) + '%' : '',
+      result.manual ? 'Yes' : ''
     ];
     rows.push(row.join(','));
   });
@@ -290,6 +267,35 @@ export const exportGeocodeResultsCSV = (geocodeResults) => {
   URL.revokeObjectURL(url);
 };
 
+/**
+ * Export identify (reverse lookup) rows as CSV
+ * @param {Array} rows - Rows from identifyService
+ * @param {Array} columns - Column definitions ({ key, label })
+ * @returns {void}
+ */
+export const exportIdentifyResultsCSV = (rows, columns) => {
+  const lines = [columns.map(column => escapeCSVValue(column.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCSVValue(row[column.key])).join(','));
+  });
+
+  const csv = lines.join('\n');
+
+  // Generate filename with timestamp
+  const now = new Date();
+  const timestamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}`;
+  const filename = `identify_${rows.length}points_${timestamp}.csv`;
+
+  // Download
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
 /**
  * Copy geocoded results to clipboard
  * @param {Array} geocodeResults - Geocoded address results
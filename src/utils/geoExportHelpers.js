@@ -0,0 +1,217 @@
+/**
+ * Geo Export Helpers
+ *
+ * Attaches boundary geometry to ZIP, city and county result rows and writes
+ * them as GeoJSON, KML or a zipped shapefile
+ */
+
+import * as turf from '@turf/turf';
+import zipBoundariesService from '../services/zipBoundariesService';
+import cityBoundariesService from '../services/cityBoundariesService';
+import countyBoundariesService from '../services/countyBoundariesService';
+import { buildShapefileZip } from './shapefileWriter';
+
+export const GEO_EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  shapefile: { label: 'Shapefile (.zip)', extension: 'zip', mimeType: 'application/zip' }
+};
+
+// City and county boundaries are fetched one request each
+const BOUNDARY_FETCH_CONCURRENCY = 4;
+
+/**
+ * Index every search by ID so rows can carry their search name and color
+ * @param {Object} searches - { radiusSearches, polygonSearches, hierarchySearches, addressSearches }
+ * @returns {Map<string, {name: string, color: string}>}
+ */
+export function buildSearchLookup({ radiusSearches = [], polygonSearches = [], hierarchySearches = [], addressSearches = [] } = {}) {
+  const lookup = new Map();
+
+  [...radiusSearches, ...polygonSearches, ...hierarchySearches, ...addressSearches].forEach(search => {
+    if (!search?.id) return;
+    lookup.set(search.id, {
+      name: search.display || search.label || search.location || `Search ${search.sequence ?? search.shapeNumber ?? ''}`.trim(),
+      color: search.settings?.overlayColor || ''
+    });
+  });
+
+  return lookup;
+}
+
+/**
+ * Look up the boundary feature for one row
+ * @returns {Promise<Object|null>} GeoJSON Feature
+ */
+function fetchRowBoundary(row, type) {
+  switch (type) {
+    case 'cities':
+      return cityBoundariesService.getCityBoundary(row.city || row.name, row.state);
+    case 'counties':
+      return countyBoundariesService.getCountyBoundary(row.county || row.name, row.state);
+    default:
+      return Promise.resolve(null);
+  }
+}
+
+/**
+ * Attach boundary geometry to result rows
+ * @param {Array<Object>} rows - Export rows; their fields become feature properties
+ * @param {string} type - 'zips', 'cities' or 'counties'
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (loaded, total)
+ * @returns {Promise<{features: Array<Object>, missing: Array<Object>}>}
+ */
+export async function fetchBoundaryFeatures(rows, type, { onProgress } = {}) {
+  const geometries = new Array(rows.length).fill(null);
+
+  if (type === 'zips') {
+    const collection = await zipBoundariesService.getMultipleZipBoundaries(
+      [...new Set(rows.map(row => row.zipCode).filter(Boolean))]
+    );
+    const byZip = new Map(collection.features.map(f => [f.properties?.zipcode, f.geometry]));
+    rows.forEach((row, i) => {
+      geometries[i] = byZip.get(row.zipCode) || null;
+    });
+    onProgress?.(rows.length, rows.length);
+  } else {
+    let next = 0;
+    let loaded = 0;
+
+    const worker = async () => {
+      while (next < rows.length) {
+        const index = next++;
+        const feature = await fetchRowBoundary(rows[index], type);
+        geometries[index] = feature?.geometry || null;
+        onProgress?.(++loaded, rows.length);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(BOUNDARY_FETCH_CONCURRENCY, rows.length) }, worker));
+  }
+
+  const features = [];
+  const missing = [];
+
+  rows.forEach((row, i) => {
+    const geometry = geometries[i];
+    if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')) {
+      features.push({ type: 'Feature', geometry, properties: { ...row } });
+    } else {
+      missing.push(row);
+    }
+  });
+
+  return { features, missing };
+}
+
+/**
+ * Merge features into a single territory polygon
+ * @param {Array<Object>} features - Polygon/MultiPolygon features
+ * @param {Object} properties - Properties for the merged feature
+ * @returns {Object|null} GeoJSON Feature
+ */
+export function dissolveFeatures(features, properties = {}) {
+  if (features.length === 0) return null;
+
+  const merged = features.length === 1
+    ? features[0]
+    : turf.union(turf.featureCollection(features.map(f => turf.feature(f.geometry))));
+
+  if (!merged) return null;
+
+  return {
+    type: 'Feature',
+    geometry: merged.geometry,
+    properties: { ...properties, count: features.length }
+  };
+}
+
+/**
+ * Serialize features as a GeoJSON FeatureCollection
+ * @returns {string}
+ */
+export function toGeoJSON(features) {
+  return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// KML colors are aabbggrr
+const toKmlColor = (hex, alpha) => {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return null;
+  return `${alpha}${match[3]}${match[2]}${match[1]}`.toLowerCase();
+};
+
+const kmlRing = (ring) => `<LinearRing><coordinates>${ring.map(([lng, lat]) => `${lng},${lat}`).join(' ')}</coordinates></LinearRing>`;
+
+const kmlPolygon = ([outer, ...holes]) =>
+  `<Polygon><outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>` +
+  holes.map(hole => `<innerBoundaryIs>${kmlRing(hole)}</innerBoundaryIs>`).join('') +
+  '</Polygon>';
+
+/**
+ * Serialize features as a KML document
+ * Placemarks are named from nameKey and styled with their search color
+ * @param {Array<Object>} features
+ * @param {Object} options
+ * @param {string} options.name - Document name
+ * @param {string} options.nameKey - Property used as the placemark name
+ * @returns {string}
+ */
+export function toKML(features, { name = 'Export', nameKey } = {}) {
+  const placemarks = features.map((feature, index) => {
+    const properties = feature.properties || {};
+    const geometry = feature.geometry;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const lineColor = toKmlColor(properties.searchColor, 'ff');
+
+    const style = lineColor
+      ? `<Style><LineStyle><color>${lineColor}</color><width>2</width></LineStyle>` +
+        `<PolyStyle><color>${toKmlColor(properties.searchColor, '40')}</color></PolyStyle></Style>`
+      : '';
+
+    const data = Object.entries(properties)
+      .filter(([, value]) => value != null && value !== '')
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+
+    return `<Placemark><name>${escapeXml(properties[nameKey] ?? `Feature ${index + 1}`)}</name>${style}` +
+      `<ExtendedData>${data}</ExtendedData>` +
+      (polygons.length === 1
+        ? kmlPolygon(polygons[0])
+        : `<MultiGeometry>${polygons.map(kmlPolygon).join('')}</MultiGeometry>`) +
+      '</Placemark>';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${escapeXml(name)}</name>${placemarks.join('\n')}</Document></kml>`;
+}
+
+/**
+ * Build a downloadable file for the given format
+ * @param {Array<Object>} features
+ * @param {string} format - Key of GEO_EXPORT_FORMATS
+ * @param {Object} options
+ * @param {string} options.baseName - Filename without extension
+ * @param {string} options.nameKey - Property used for KML placemark names
+ * @returns {Blob}
+ */
+export function buildGeoExport(features, format, { baseName = 'export', nameKey } = {}) {
+  const { mimeType } = GEO_EXPORT_FORMATS[format] || GEO_EXPORT_FORMATS.geojson;
+
+  switch (format) {
+    case 'kml':
+      return new Blob([toKML(features, { name: baseName, nameKey })], { type: mimeType });
+    case 'shapefile':
+      return buildShapefileZip(features, baseName);
+    default:
+      return new Blob([toGeoJSON(features)], { type: mimeType });
+  }
+}
@@ -143,4 +143,47 @@ export const normalizeZipCode = (zip) => {
   if (!zip) return '';
   const cleaned = zip.replace(/\D/g, '');
   return cleaned.substring(0, 5);
-};
\ No newline at end of file
+};
+/**
+ * Parse pasted coordinates, one point per line: "lat, lng", "lat lng" or
+ * tab-separated, optionally after a label ("Store 12, 32.79, -96.80").
+ * The last two numbers on a line are the coordinates. They are read as
+ * lat, lng unless that can't be valid (or looks like a US lng, lat pair:
+ * negative first, positive second), in which case they are swapped.
+ * Lines without two numbers (headers, blanks) are skipped.
+ * @param {string} text - Pasted text
+ * @returns {Object} { points: [{ lat, lng, label, line }], errors: [{ line, text }] }
+ */
+export const parseCoordinateList = (text) => {
+  const points = [];
+  const errors = [];
+
+  String(text || '').split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    const tokens = line.split(/[,\t;]+|\s+/).map(token => token.trim()).filter(Boolean);
+    const numbers = tokens.slice(-2).map(token => (/^[-+]?\d+(\.\d+)?$/.test(token) ? Number(token) : null));
+    if (numbers.length < 2 || numbers.includes(null)) {
+      // Header rows like "name,lat,lng" aren't errors
+      if (!/\d/.test(line) || index === 0) return;
+      errors.push({ line: index + 1, text: line });
+      return;
+    }
+
+    let [lat, lng] = numbers;
+    if (Math.abs(lat) > 90 || (lat < 0 && lng > 0 && lng <= 90)) {
+      [lat, lng] = [lng, lat];
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      errors.push({ line: index + 1, text: line });
+      return;
+    }
+
+    const labelTokens = line.split(/[,\t;]/).map(part => part.trim()).filter(Boolean);
+    const label = labelTokens.length > 2 ? labelTokens.slice(0, -2).join(', ') : '';
+    points.push({ lat, lng, label, line: index + 1 });
+  });
+
+  return { points, errors };
+};
@@ -0,0 +1,354 @@
+/**
+ * Geocode Job Runner
+ * Runs CSV batch geocoding in chunks and stores the job (prepared addresses,
+ * the API result for every finished row and manual corrections) in IndexedDB
+ * after each chunk. A reload mid-job resumes at the first unfinished chunk
+ * instead of resubmitting the whole file.
+ *
+ * The batch geocoder is passed in; the app's instance, on the geocoder
+ * chain, is in services/geocodeJobService.js.
+ */
+
+const DB_NAME = 'geosearch-geocode-jobs';
+const DB_VERSION = 1;
+const STORE_NAME = 'jobs';
+const CURRENT_JOB_KEY = 'current'; // Only one geocode job is kept at a time
+
+export const CHUNK_SIZE = 100;
+const MAX_ATTEMPTS = 4;
+const BASE_RETRY_DELAY = 1000;
+
+const STATE_NAMES = 'Alabama|Alaska|Arizona|Arkansas|California|Colorado|Connecticut|Delaware|Florida|Georgia|Hawaii|Idaho|Illinois|Indiana|Iowa|Kansas|Kentucky|Louisiana|Maine|Maryland|Massachusetts|Michigan|Minnesota|Mississippi|Missouri|Montana|Nebraska|Nevada|New Hampshire|New Jersey|New Mexico|New York|North Carolina|North Dakota|Ohio|Oklahoma|Oregon|Pennsylvania|Rhode Island|South Carolina|South Dakota|Tennessee|Texas|Utah|Vermont|Virginia|Washington|West Virginia|Wisconsin|Wyoming';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Network failures, rate limiting and server errors are worth retrying;
+ * other HTTP errors (bad request, auth) would fail the same way again
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isTransientError = (error) => {
+  if (!error?.status) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+const isMatched = (apiResult) => Boolean(apiResult?.success && apiResult.lat && apiResult.lng);
+
+/**
+ * Build a geocode results row from a prepared CSV address and its API result
+ * @param {Object} prepared - From geocodingService.prepareAddressesForGeocoding
+ * @param {Object} apiResult - Batch API result ({ success, lat, lng, formatted_address, ... })
+ * @param {string} id - Row ID
+ * @returns {Object}
+ */
+export const toGeocodeResult = (prepared, apiResult, id) => {
+  // Parse formatted_address to extract components
+  const formatted = apiResult.formatted_address || apiResult.address || '';
+
+  // Try to extract ZIP code from formatted address (5 digits)
+  const zipMatch = formatted.match(/\b(\d{5})(?:-\d{4})?\b/);
+  const extractedZip = zipMatch ? zipMatch[1] : '';
+
+  // Try to extract state from formatted address (2-letter code or full name)
+  const stateMatch = formatted.match(/,?\s*([A-Z]{2})\s*\d{5}/) ||
+                    formatted.match(new RegExp(`,\\s*(${STATE_NAMES}),`, 'i'));
+  const extractedState = stateMatch ? stateMatch[1] : '';
+
+  // Try to extract city (text before state or before ZIP)
+  let extractedCity = '';
+  if (extractedState) {
+    const cityMatch = formatted.match(/,\s*([^,]+),\s*(?:${extractedState}|[A-Z]{2})/i);
+    extractedCity = cityMatch ? cityMatch[1].trim() : '';
+  }
+
+  // Build address from user-provided components or original input
+  const city = prepared.components.city || extractedCity;
+  const state = prepared.components.state || extractedState;
+  const zip = prepared.components.zip || extractedZip;
+  const county = prepared.components.county || '';
+
+  // Build clean address field from components
+  let address = '';
+  if (prepared.components.street) {
+    // User provided separate street component
+    address = prepared.components.street;
+  } else if (prepared.components.fullAddress) {
+    // User provided full address in one field
+    address = prepared.components.fullAddress;
+  } else {
+    // Extract street from addressString (remove city, state, zip)
+    address = prepared.addressString
+      .replace(new RegExp(`,?\\s*${city}.*$`, 'i'), '')
+      .replace(new RegExp(`,?\\s*${state}.*$`, 'i'), '')
+      .replace(/,?\s*\d{5}(-\d{4})?$/, '')
+      .trim();
+  }
+
+  return {
+    id,
+    businessName: prepared.businessName || '',
+    address,
+    city,
+    state,
+    zip,
+    county,
+    lat: parseFloat(apiResult.lat),
+    lng: parseFloat(apiResult.lng),
+    accuracy: apiResult.accuracy ?? null,
+    provider: apiResult.provider || 'unknown',
+    manual: Boolean(apiResult.manual),
+    success: true,
+    originalData: prepared.originalData
+  };
+};
+
+export class GeocodeJobRunner {
+  /**
+   * @param {Object} options
+   * @param {Function} options.batchGeocode - (addressStrings) => Promise<Array> of API results in input order
+   * @param {number} [options.retryDelay] - First retry wait in ms; doubles on each attempt
+   */
+  constructor({ batchGeocode, retryDelay = BASE_RETRY_DELAY }) {
+    this.batchGeocode = batchGeocode;
+    this.retryDelay = retryDelay;
+    this.dbPromise = null;
+  }
+
+  isAvailable() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  openDb() {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async runTransaction(mode, operation) {
+    const db = await this.openDb();
+    const tx = db.transaction(STORE_NAME, mode);
+    return requestToPromise(operation(tx.objectStore(STORE_NAME)));
+  }
+
+  /**
+   * The stored job, if any
+   * @returns {Promise<Object|null>}
+   */
+  async getCurrentJob() {
+    if (!this.isAvailable()) return null;
+    try {
+      return (await this.runTransaction('readonly', store => store.get(CURRENT_JOB_KEY))) || null;
+    } catch (error) {
+      console.warn('[GeocodeJobs] Could not read stored job:', error);
+      return null;
+    }
+  }
+
+  // Persistence is best effort: the job still runs in memory without it
+  async saveJob(job) {
+    if (!this.isAvailable()) return;
+    try {
+      await this.runTransaction('readwrite', store => store.put({ ...job, updatedAt: Date.now() }, CURRENT_JOB_KEY));
+    } catch (error) {
+      console.warn('[GeocodeJobs] Could not persist job:', error);
+    }
+  }
+
+  async clearJob() {
+    if (!this.isAvailable()) return;
+    try {
+      await this.runTransaction('readwrite', store => store.delete(CURRENT_JOB_KEY));
+    } catch (error) {
+      console.warn('[GeocodeJobs] Could not clear stored job:', error);
+    }
+  }
+
+  /**
+   * Start a new job, replacing any stored one
+   * @param {Array} addresses - Prepared addresses
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - Shown again when the job is restored
+   * @returns {Promise<Object>} Job
+   */
+  async createJob(addresses, { fileName = null } = {}) {
+    const job = {
+      id: `gj-${Date.now().toString(36)}`,
+      fileName,
+      createdAt: Date.now(),
+      status: 'running',
+      error: null,
+      addresses,
+      results: new Array(addresses.length).fill(null)
+    };
+    await this.saveJob(job);
+    return job;
+  }
+
+  /**
+   * Number of rows with a stored result
+   * @param {Object} job
+   * @returns {number}
+   */
+  countFinished(job) {
+    return job.results.filter(Boolean).length;
+  }
+
+  /**
+   * Call an operation, retrying transient failures with exponential backoff
+   * and jitter
+   * @param {Function} operation - () => Promise
+   * @param {Object} [options]
+   * @param {Function} [options.onRetry] - (attempt, delayMs, error) before each wait
+   * @returns {Promise<*>}
+   */
+  async withRetry(operation, { onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (attempt >= MAX_ATTEMPTS || !isTransientError(error)) throw error;
+        const delay = this.retryDelay * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+        onRetry?.(attempt, delay, error);
+        await wait(delay);
+      }
+    }
+  }
+
+  /**
+   * Geocode address strings with the batch geocoder
+   * @param {string[]} addressStrings
+   * @param {Object} [options] - { onRetry }
+   * @returns {Promise<Array>} Results in input order
+   */
+  async geocodeBatch(addressStrings, options = {}) {
+    return this.withRetry(() => this.batchGeocode(addressStrings), options);
+  }
+
+  /**
+   * Geocode every unfinished chunk of a job, saving after each one. Rows the
+   * API answered (matched or not) are finished; a chunk that still fails
+   * after retries pauses the job so it can be resumed later.
+   * @param {Object} job
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - ({ current, total, percentage }, job) after each chunk
+   * @param {Function} [options.onRetry] - (attempt, delayMs, error)
+   * @returns {Promise<Object>} Job with status 'complete'
+   */
+  async runJob(job, { onProgress, onRetry } = {}) {
+    const total = job.addresses.length;
+    let current = { ...job, status: 'running', error: null, results: [...job.results] };
+    await this.saveJob(current);
+
+    const report = () => {
+      const done = this.countFinished(current);
+      onProgress?.({ current: done, total, percentage: total ? Math.round((done / total) * 100) : 100 }, current);
+    };
+    report();
+
+    for (let start = 0; start < total; start += CHUNK_SIZE) {
+      const indexes = [];
+      for (let i = start; i < Math.min(start + CHUNK_SIZE, total); i++) {
+        if (!current.results[i]) indexes.push(i);
+      }
+      if (indexes.length === 0) continue;
+
+      let chunkResults;
+      try {
+        chunkResults = await this.geocodeBatch(indexes.map(i => current.addresses[i].addressString), { onRetry });
+      } catch (error) {
+        current = { ...current, status: 'paused', error: error.message };
+        await this.saveJob(current);
+        throw error;
+      }
+
+      indexes.forEach((rowIndex, i) => {
+        current.results[rowIndex] = chunkResults[i] || { success: false, error: 'No result returned' };
+      });
+      await this.saveJob(current);
+      report();
+    }
+
+    current = { ...current, status: 'complete' };
+    await this.saveJob(current);
+    return current;
+  }
+
+  /**
+   * Split a job's results into geocode rows and not-found addresses
+   * @param {Object} job
+   * @returns {{ geocodedResults: Array, notFound: Array }}
+   */
+  buildResults(job) {
+    const geocodedResults = [];
+    const notFound = [];
+
+    job.addresses.forEach((prepared, index) => {
+      const apiResult = job.results[index];
+      if (!apiResult) return;
+
+      if (isMatched(apiResult)) {
+        geocodedResults.push({ ...toGeocodeResult(prepared, apiResult, `geocode-${job.id}-${index}`), jobIndex: index });
+      } else {
+        notFound.push({ ...prepared, jobIndex: index, reason: apiResult.error || 'Address not found' });
+      }
+    });
+
+    return { geocodedResults, notFound };
+  }
+
+  /**
+   * Geocode one (edited) address again
+   * @param {string} addressString
+   * @returns {Promise<Object|null>} API result, or null when still not found
+   */
+  async geocodeAddress(addressString) {
+    const [apiResult] = await this.geocodeBatch([addressString]);
+    return isMatched(apiResult) ? apiResult : null;
+  }
+
+  /**
+   * Store a corrected address and/or location for one row of the stored job
+   * @param {number} index - Row index in the job
+   * @param {Object} correction
+   * @param {Object} correction.result - API-shaped fields ({ success, lat, lng, ... }) merged over the stored result
+   * @param {string} [correction.addressString] - Edited address text
+   * @returns {Promise<void>}
+   */
+  async saveCorrection(index, { result, addressString }) {
+    const job = await this.getCurrentJob();
+    if (!job || !job.addresses[index]) return;
+
+    const addresses = addressString
+      ? job.addresses.map((address, i) => (i === index ? { ...address, addressString } : address))
+      : job.addresses;
+    const results = job.results.map((existing, i) => (i === index ? { ...existing, ...result, error: null } : existing));
+    await this.saveJob({ ...job, addresses, results });
+  }
+}
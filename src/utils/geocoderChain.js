@@ -0,0 +1,250 @@
+/**
+ * Ordered fallback across geocoders, with an accuracy threshold.
+ *
+ * A geocoder implements any of:
+ *
+ *   {
+ *     id, label,
+ *     isConfigured()            // has its key / URL (default true)
+ *     geocode(address)          // { lat, lng, accuracy, formatted_address } or null
+ *     batchGeocode(addresses)   // the same per address, in input order
+ *     reverse(lat, lng)         // { displayName, address, lat, lng } or null
+ *     maxBatchSize              // split batchGeocode calls (default: one call)
+ *     concurrency               // parallel geocode() calls when there is no batchGeocode (default 4)
+ *   }
+ *
+ * `accuracy` runs from 0 to 1. Matches below the chain's minimum accuracy,
+ * and misses, go on to the next geocoder; the most accurate match any of
+ * them found is kept. A match without an accuracy is taken at face value.
+ *
+ * Order, enabled set and threshold are settings kept in `storage` (the
+ * browser passes localStorage; see utils/orderedRegistry.js). This module
+ * has no browser dependencies; the app's instance is in
+ * services/geocoderService.js.
+ */
+
+import { OrderedRegistry } from './orderedRegistry.js';
+
+export const DEFAULT_MIN_ACCURACY = 0.8;
+const DEFAULT_CONCURRENCY = 4;
+
+const scoreOf = (match) => match.accuracy ?? 1;
+
+const isMatch = (match) => Boolean(match) && Number.isFinite(Number(match.lat)) && Number.isFinite(Number(match.lng));
+
+/**
+ * Run an async function over items with at most `limit` in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export class GeocoderChain extends OrderedRegistry {
+  /**
+   * @param {Array<Object>} geocoders - In default fallback order
+   * @param {Object} [options]
+   * @param {Array<string>} [options.order] - Exact geocoders to use (e.g. from VITE_GEOCODERS)
+   * @param {Array<string>} [options.disabled] - Off unless the user turns them on
+   * @param {number} [options.minAccuracy]
+   * @param {Storage} [options.storage] - Where settings are kept
+   * @param {string} [options.storageKey]
+   */
+  constructor(geocoders = [], { order = [], disabled = [], minAccuracy = DEFAULT_MIN_ACCURACY, storage = null, storageKey = 'geocoderSettings' } = {}) {
+    super({
+      defaults: order.length > 0
+        ? { order, disabled: [], enabledOnly: true, minAccuracy }
+        : { order: [], disabled, enabledOnly: false, minAccuracy },
+      storage,
+      storageKey,
+      logLabel: 'Geocoders'
+    });
+    this.geocoders = new Map();
+    this.lastGeocoder = null;
+
+    geocoders.forEach(geocoder => this.register(geocoder));
+  }
+
+  loadSettings() {
+    const settings = super.loadSettings();
+    return Number.isFinite(settings.minAccuracy) ? settings : { ...settings, minAccuracy: this.defaults.minAccuracy };
+  }
+
+  getIds() {
+    return Array.from(this.geocoders.keys());
+  }
+
+  register(geocoder) {
+    if (!geocoder?.id) {
+      throw new Error('Geocoder needs an id');
+    }
+    this.geocoders.set(geocoder.id, geocoder);
+    this.notify();
+  }
+
+  get(id) {
+    return this.geocoders.get(id) || null;
+  }
+
+  isConfigured(id) {
+    const geocoder = this.geocoders.get(id);
+    return Boolean(geocoder) && (typeof geocoder.isConfigured !== 'function' || geocoder.isConfigured());
+  }
+
+  getMinAccuracy() {
+    return this.settings.minAccuracy;
+  }
+
+  setMinAccuracy(value) {
+    const minAccuracy = Math.min(1, Math.max(0, Number(value)));
+    if (!Number.isFinite(minAccuracy)) return;
+    this.updateSettings({ minAccuracy });
+  }
+
+  /**
+   * Enabled, configured geocoders that can serve a kind of request, in order
+   * @param {'geocode'|'reverse'} kind
+   */
+  getCandidates(kind) {
+    return this.getOrderedIds()
+      .filter(id => this.isEnabled(id) && this.isConfigured(id))
+      .map(id => this.geocoders.get(id))
+      .filter(geocoder => (kind === 'reverse'
+        ? typeof geocoder.reverse === 'function'
+        : typeof geocoder.geocode === 'function' || typeof geocoder.batchGeocode === 'function'));
+  }
+
+  /**
+   * One geocoder's matches for a list of addresses, in input order. Failed
+   * single lookups count as misses unless every one of them failed.
+   */
+  async runGeocoder(geocoder, addresses) {
+    if (typeof geocoder.batchGeocode === 'function') {
+      const size = geocoder.maxBatchSize || addresses.length;
+      const matches = [];
+      for (let i = 0; i < addresses.length; i += size) {
+        const chunk = addresses.slice(i, i + size);
+        const chunkMatches = await geocoder.batchGeocode(chunk);
+        chunk.forEach((_, index) => matches.push(chunkMatches?.[index] || null));
+      }
+      return matches;
+    }
+
+    let failures = 0;
+    let lastError = null;
+    const matches = await mapWithConcurrency(addresses, geocoder.concurrency || DEFAULT_CONCURRENCY, async (address) => {
+      try {
+        return await geocoder.geocode(address);
+      } catch (error) {
+        failures += 1;
+        lastError = error;
+        return null;
+      }
+    });
+    if (failures > 0 && failures === addresses.length) throw lastError;
+    return matches;
+  }
+
+  /**
+   * Geocode addresses through the chain
+   * @param {string[]} addresses
+   * @param {Object} [options]
+   * @param {number} [options.minAccuracy] - Defaults to the chain setting
+   * @returns {Promise<Array>} Per address `{ success: true, lat, lng, accuracy,
+   *   formatted_address, provider }` or `{ success: false, error }`
+   */
+  async batchGeocode(addresses, { minAccuracy = this.settings.minAccuracy } = {}) {
+    const candidates = this.getCandidates('geocode');
+    if (candidates.length === 0) {
+      throw new Error('No enabled geocoder is configured');
+    }
+
+    const best = new Array(addresses.length).fill(null);
+    let pending = addresses.map((_, index) => index);
+    let answered = false;
+    let lastError = null;
+
+    for (const geocoder of candidates) {
+      if (pending.length === 0) break;
+
+      let matches;
+      try {
+        matches = await this.runGeocoder(geocoder, pending.map(index => addresses[index]));
+        answered = true;
+      } catch (error) {
+        console.warn(`[Geocoders] ${geocoder.id} failed:`, error.message);
+        lastError = error;
+        continue;
+      }
+
+      pending.forEach((rowIndex, i) => {
+        const match = matches[i];
+        if (!isMatch(match)) return;
+        if (!best[rowIndex] || scoreOf(match) > scoreOf(best[rowIndex])) {
+          best[rowIndex] = {
+            success: true,
+            formatted_address: match.formatted_address || '',
+            lat: Number(match.lat),
+            lng: Number(match.lng),
+            accuracy: match.accuracy ?? null,
+            provider: geocoder.id
+          };
+        }
+      });
+      pending = pending.filter(index => !best[index] || scoreOf(best[index]) < minAccuracy);
+      this.lastGeocoder = geocoder.id;
+    }
+
+    // Every geocoder errored: let the caller retry instead of reporting misses
+    if (!answered) throw lastError;
+
+    this.notify();
+    return best.map(match => match || { success: false, error: 'Address not found' });
+  }
+
+  async geocode(address, options) {
+    const [result] = await this.batchGeocode([address], options);
+    return result;
+  }
+
+  /**
+   * First address any geocoder finds for a point
+   * @returns {Promise<Object|null>} Tagged with `provider`
+   */
+  async reverse(lat, lng) {
+    let lastError = null;
+    for (const geocoder of this.getCandidates('reverse')) {
+      try {
+        const result = await geocoder.reverse(lat, lng);
+        if (result) return { ...result, provider: geocoder.id };
+      } catch (error) {
+        console.warn(`[Geocoders] ${geocoder.id} reverse failed:`, error.message);
+        lastError = error;
+      }
+    }
+    if (lastError) throw lastError;
+    return null;
+  }
+
+  /**
+   * Geocoders for settings UIs
+   * @returns {Array<{id, label, enabled, configured, serving}>}
+   */
+  describe() {
+    return this.getOrderedIds().map(id => ({
+      id,
+      label: this.geocoders.get(id).label || id,
+      enabled: this.isEnabled(id),
+      configured: this.isConfigured(id),
+      serving: this.lastGeocoder === id
+    }));
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Isochrone search helpers
+ *
+ * An isochrone search is a polygon ZIP search over the reachable area. These
+ * build its search params and the isochrone record kept on the history entry,
+ * which share links carry so the search can be restored without routing again.
+ */
+
+const ISOCHRONE_ZIP_LIMIT = 2000;
+
+/**
+ * First outer ring as {lat, lng} points for the centroid candidate query
+ * @param {Object} geometry - GeoJSON Polygon/MultiPolygon
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+export function geometryToPolygonParam(geometry) {
+  const ring = geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0] : geometry.coordinates[0];
+  return ring.slice(0, -1).map(([lng, lat]) => ({ lat, lng }));
+}
+
+/**
+ * ZipCodeService.search params for a reachable area
+ * @param {Object} geometry - GeoJSON Polygon/MultiPolygon
+ * @param {Object} [inclusion] - ZIP inclusion settings
+ * @returns {Object}
+ */
+export function buildIsochroneSearchParams(geometry, inclusion) {
+  return {
+    polygon: geometryToPolygonParam(geometry),
+    geometry,
+    inclusion,
+    limit: ISOCHRONE_ZIP_LIMIT,
+    offset: 0
+  };
+}
+
+/**
+ * Isochrone record stored with a search entry
+ * @param {Object} options - { value, metric, profile } as requested
+ * @param {Object} isochrone - { geometry, provider } from isochroneService
+ * @returns {{value: number, metric: string, profile: string, provider: string, geometry: Object}}
+ */
+export function buildIsochroneRecord({ value, metric, profile }, { geometry, provider }) {
+  return { value: Number(value), metric, profile, provider, geometry };
+}
@@ -0,0 +1,204 @@
+/**
+ * Map selection helpers
+ *
+ * Turns ZCTA, county, place and VTD boundary features picked on the map into
+ * the items of a selection search, and keeps the item list as boundaries are
+ * clicked or boxed in and out. Boundary properties differ between sources
+ * (TIGERweb, Supabase, the static county file, the offline database), so
+ * each layer reads the first field it finds.
+ */
+
+// Selectable layers in the order the selection tool offers them
+export const SELECTION_LAYERS = [
+  { type: 'zcta', label: 'ZIPs', singular: 'ZIP', plural: 'ZIPs' },
+  { type: 'county', label: 'Counties', singular: 'county', plural: 'counties' },
+  { type: 'place', label: 'Cities', singular: 'city', plural: 'cities' },
+  { type: 'vtd', label: 'VTDs', singular: 'VTD', plural: 'VTDs' }
+];
+
+const first = (properties, keys) => {
+  for (const key of keys) {
+    const value = properties?.[key];
+    if (value != null && value !== '') return String(value);
+  }
+  return '';
+};
+
+// Two-letter state code, when the source has one rather than a FIPS code
+const stateCode = (properties) => {
+  const value = first(properties, ['state', 'STUSAB', 'STATE', 'state_code']);
+  return /^[A-Z]{2}$/i.test(value) ? value.toUpperCase() : '';
+};
+
+const IDENTIFIERS = {
+  zcta: (p) => {
+    const id = first(p, ['zipcode', 'ZCTA5', 'ZCTA5CE20', 'ZCTA5CE10', 'GEOID', 'id']);
+    return { id, name: id ? `ZIP ${id}` : '' };
+  },
+  county: (p) => {
+    const name = first(p, ['NAME', 'name', 'BASENAME']);
+    const state = stateCode(p);
+    return {
+      id: first(p, ['fips', 'GEOID', 'GEO_ID']) || (name ? `${name}|${state}` : ''),
+      name: name ? `${/county|parish|borough/i.test(name) ? name : `${name} County`}${state ? `, ${state}` : ''}` : ''
+    };
+  },
+  place: (p) => {
+    const name = first(p, ['NAME', 'name', 'BASENAME']);
+    const state = stateCode(p);
+    return {
+      id: first(p, ['GEOID', 'geoid', 'fips']) || (name ? `${name}|${state}` : ''),
+      name: name ? `${name}${state ? `, ${state}` : ''}` : ''
+    };
+  },
+  vtd: (p) => {
+    const code = first(p, ['vtd_code', 'VTDST', 'vtd']);
+    const id = first(p, ['geoid', 'GEOID']) ||
+      (code ? `${first(p, ['state_fips', 'state_code', 'STATE'])}${first(p, ['county_fips', 'COUNTY'])}${code}` : '');
+    return { id, name: `VTD ${first(p, ['name', 'NAME']) || code || id}` };
+  }
+};
+
+/**
+ * Selection item for a picked boundary
+ * @param {string} type - 'zcta', 'county', 'place' or 'vtd'
+ * @param {Object} feature - GeoJSON Feature
+ * @returns {{ type: string, id: string, name: string, geometry: Object }|null}
+ *   null when the feature carries no usable identifier
+ */
+export function selectionItemFromFeature(type, feature) {
+  const identify = IDENTIFIERS[type];
+  if (!identify || !feature) return null;
+  const { id, name } = identify(feature.properties || {});
+  if (!id) return null;
+  return { type, id, name: name || id, geometry: feature.geometry || null };
+}
+
+export const selectionKey = (item) => `${item.type}:${item.id}`;
+
+const ringContains = (ring, lng, lat) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const polygonsOf = (geometry) => (
+  geometry?.type === 'MultiPolygon'
+    ? geometry.coordinates
+    : geometry?.type === 'Polygon' ? [geometry.coordinates] : []
+);
+
+/**
+ * Whether a Polygon/MultiPolygon contains a point, holes excluded
+ */
+export function geometryContains(geometry, lng, lat) {
+  return polygonsOf(geometry).some(([outer = [], ...holes]) =>
+    ringContains(outer, lng, lat) && !holes.some(hole => ringContains(hole, lng, lat))
+  );
+}
+
+const ringArea = (ring) => {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return sum / 2;
+};
+
+/**
+ * A point that stands for the boundary in a box selection: the centroid of
+ * its largest part, or the middle of that part's extent when the centroid
+ * falls outside it (crescents, hollow shapes)
+ * @returns {[number, number]|null} [lng, lat]
+ */
+export function representativePoint(geometry) {
+  const outers = polygonsOf(geometry).map(([outer]) => outer).filter(ring => ring?.length >= 3);
+  if (outers.length === 0) return null;
+  const ring = outers.reduce((largest, candidate) =>
+    Math.abs(ringArea(candidate)) > Math.abs(ringArea(largest)) ? candidate : largest
+  );
+
+  const area = ringArea(ring);
+  let point;
+  if (area !== 0) {
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+      cx += (ring[j][0] + ring[i][0]) * cross;
+      cy += (ring[j][1] + ring[i][1]) * cross;
+    }
+    point = [cx / (6 * area), cy / (6 * area)];
+  }
+
+  if (!point || !geometryContains(geometry, point[0], point[1])) {
+    const lngs = ring.map(([lng]) => lng);
+    const lats = ring.map(([, lat]) => lat);
+    point = [(Math.min(...lngs) + Math.max(...lngs)) / 2, (Math.min(...lats) + Math.max(...lats)) / 2];
+  }
+  return point;
+}
+
+/**
+ * Features containing a point
+ * @param {Array<Object>} features - GeoJSON Features
+ */
+export const featuresAtPoint = (features = [], lng, lat) =>
+  features.filter(feature => geometryContains(feature?.geometry, lng, lat));
+
+/**
+ * Features whose representative point lies in a box
+ * @param {Array<Object>} features - GeoJSON Features
+ * @param {{ north: number, south: number, east: number, west: number }} bounds
+ */
+export const featuresInBounds = (features = [], { north, south, east, west }) =>
+  features.filter(feature => {
+    const point = representativePoint(feature?.geometry);
+    return point && point[0] >= west && point[0] <= east && point[1] >= south && point[1] <= north;
+  });
+
+/**
+ * Apply a pick to the current items. A single click toggles its boundary;
+ * a box adds the boundaries not yet selected, or removes them all when every
+ * one already is.
+ * @param {Array<Object>} items - Current selection items
+ * @param {Array<Object>} picked - Items under the click or inside the box
+ * @returns {{ items: Array<Object>, added: Array<Object>, removed: Array<Object> }}
+ */
+export function applySelectionPick(items, picked) {
+  const current = new Map(items.map(item => [selectionKey(item), item]));
+  const unique = Array.from(new Map(picked.map(item => [selectionKey(item), item])).values());
+  if (unique.length === 0) return { items, added: [], removed: [] };
+
+  const allSelected = unique.every(item => current.has(selectionKey(item)));
+  if (allSelected) {
+    const removedKeys = new Set(unique.map(selectionKey));
+    return {
+      items: items.filter(item => !removedKeys.has(selectionKey(item))),
+      added: [],
+      removed: unique.map(item => current.get(selectionKey(item)))
+    };
+  }
+
+  const added = unique.filter(item => !current.has(selectionKey(item)));
+  return { items: [...items, ...added], added, removed: [] };
+}
+
+/**
+ * Short description of a selection, e.g. "3 ZIPs, 1 county"
+ */
+export function describeSelection(items = []) {
+  return SELECTION_LAYERS
+    .map(({ type, singular, plural }) => {
+      const count = items.filter(item => item.type === type).length;
+      return count > 0 ? `${count} ${count === 1 ? singular : plural}` : null;
+    })
+    .filter(Boolean)
+    .join(', ') || 'Nothing selected';
+}
@@ -0,0 +1,56 @@
+/**
+ * Deterministic stand-in geocoder for offline development and tests
+ * (scripts/mock-geocoder-server.js serves it over HTTP).
+ *
+ * The same address always lands on the same point inside the contiguous US.
+ * Addresses containing "not found" miss, and ones containing "approx" come
+ * back below the default accuracy threshold so provider fallback can be
+ * exercised without a network.
+ */
+
+const BOUNDS = { south: 30, north: 47, west: -120, east: -75 };
+
+// FNV-1a, so results don't depend on the platform
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * @param {string} address
+ * @returns {{ lat, lng, accuracy, formatted_address }|null}
+ */
+export function mockGeocode(address) {
+  const normalized = String(address || '').trim().replace(/\s+/g, ' ');
+  if (!normalized || /not found/i.test(normalized)) return null;
+
+  const key = normalized.toLowerCase();
+  const latSeed = hash(key);
+  const lngSeed = hash(`${key}#lng`);
+
+  return {
+    lat: round(BOUNDS.south + (latSeed / 0xffffffff) * (BOUNDS.north - BOUNDS.south)),
+    lng: round(BOUNDS.west + (lngSeed / 0xffffffff) * (BOUNDS.east - BOUNDS.west)),
+    accuracy: /approx/i.test(normalized) ? 0.5 : 0.95,
+    formatted_address: normalized.toUpperCase()
+  };
+}
+
+/**
+ * @returns {{ displayName, address, lat, lng }}
+ */
+export function mockReverse(lat, lng) {
+  const houseNumber = 100 + (hash(`${lat},${lng}`) % 9900);
+  return {
+    displayName: `${houseNumber} Mock St, Testville, TX 75001`,
+    address: { house_number: String(houseNumber), road: 'Mock St', city: 'Testville', state: 'TX', postcode: '75001' },
+    lat,
+    lng
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * MVT Helpers
+ *
+ * Turns Mapbox Vector Tiles (decoded by @mapbox/vector-tile) into plain
+ * objects for canvas rendering. Geometry stays in tile coordinates
+ * (0..extent); only polygons and lines are kept since the boundary tiles
+ * contain nothing else.
+ */
+
+import { VectorTile } from '@mapbox/vector-tile';
+import { PbfReader } from 'pbf';
+
+export const GEOMETRY_TYPES = { POINT: 1, LINESTRING: 2, POLYGON: 3 };
+
+// Rings come back open; close them so canvas paths and hit tests agree
+const toParts = (feature) => feature.loadGeometry().map(part => {
+  const points = part.map(point => [point.x, point.y]);
+  if (feature.type === GEOMETRY_TYPES.POLYGON && points.length > 0) {
+    const [first, last] = [points[0], points[points.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) points.push([first[0], first[1]]);
+  }
+  return points;
+});
+
+/**
+ * Decode a vector tile
+ * @param {Uint8Array|ArrayBuffer} bytes - Uncompressed tile
+ * @returns {Object<string, {name: string, extent: number, features: Array}>} Layers by name
+ */
+export function decodeVectorTile(bytes) {
+  const tile = new VectorTile(new PbfReader(bytes));
+  const layers = {};
+
+  Object.values(tile.layers).forEach(layer => {
+    const features = [];
+    for (let i = 0; i < layer.length; i++) {
+      const feature = layer.feature(i);
+      if (feature.type !== GEOMETRY_TYPES.POLYGON && feature.type !== GEOMETRY_TYPES.LINESTRING) continue;
+      features.push({
+        id: feature.id ?? null,
+        type: feature.type,
+        properties: { ...feature.properties },
+        geometry: toParts(feature)
+      });
+    }
+    layers[layer.name] = { name: layer.name, extent: layer.extent, features };
+  });
+
+  return layers;
+}
+
+/**
+ * Even-odd point-in-polygon test over all rings of a feature
+ * @param {Array<Array<[number, number]>>} rings - Tile coordinates
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function featureContainsPoint(rings, x, y) {
+  let inside = false;
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  });
+  return inside;
+}
@@ -0,0 +1,352 @@
+/**
+ * Offline Database Helpers
+ *
+ * Query engine over the bundled offline database built by
+ * scripts/build-offline-db.js. It runs inside the offline data worker, but
+ * has no browser dependencies, so it can also be exercised directly in Node
+ * against a fixed database for deterministic results.
+ *
+ * Database format (arrays keep the file small):
+ *   {
+ *     version: 1,
+ *     states:   [[fips, code, name]],
+ *     counties: [[geoid, name, nameWithSuffix, stateCode]],
+ *     places:   [[geoid, name, nameWithSuffix, stateCode]],
+ *     zips:     [[zip, city, stateCode, countyGeoid, lat, lng]],
+ *     vtds:     [[geoid, name, vtdCode, stateFips, countyFips]],
+ *     boundaries: { state: {fips: geometry}, county: {geoid: geometry}, place: {...}, zcta: {zip: geometry}, vtd: {...} }
+ *   }
+ *
+ * Boundary features come back with the same property names as the TIGERweb
+ * responses (or, for VTDs, the Supabase rows) so each boundary service can
+ * pass them through its usual normalization.
+ */
+
+export const OFFLINE_DB_VERSION = 1;
+
+const EARTH_RADIUS_MILES = 3959;
+
+const toRad = (degrees) => (degrees * Math.PI) / 180;
+
+const haversineMiles = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_MILES * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const pointInPolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].lng, yi = polygon[i].lat;
+    const xj = polygon[j].lng, yj = polygon[j].lat;
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const geometryBbox = (geometry) => {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      if (coords[0] < bbox[0]) bbox[0] = coords[0];
+      if (coords[1] < bbox[1]) bbox[1] = coords[1];
+      if (coords[0] > bbox[2]) bbox[2] = coords[0];
+      if (coords[1] > bbox[3]) bbox[3] = coords[1];
+      return;
+    }
+    coords.forEach(visit);
+  };
+  if (geometry?.coordinates) visit(geometry.coordinates);
+  return bbox;
+};
+
+const nameKey = (name, state) => `${String(name).trim().toLowerCase()}|${String(state || '').toUpperCase()}`;
+
+const addToIndex = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+/**
+ * Build the in-memory indexes for a loaded offline database
+ * @param {Object} db - Parsed database (see format above)
+ * @returns {Object} Query API: search, getStates, getCounties, getCities,
+ *   getZipCode, getBoundary, getBoundaries, getBoundariesInBounds,
+ *   getVtdsForCounties, getStats
+ */
+export function createOfflineDb(db) {
+  if (!db || db.version !== OFFLINE_DB_VERSION) {
+    throw new Error(`Unsupported offline database version ${db?.version}`);
+  }
+
+  const boundaries = db.boundaries || {};
+  const statesByCode = new Map();
+  const statesByFips = new Map();
+  const countiesByGeoid = new Map();
+  const countiesByName = new Map();
+  const placesByGeoid = new Map();
+  const placesByName = new Map();
+  const vtdsByGeoid = new Map();
+  const vtdsByCounty = new Map();
+  const vtdsByCode = new Map();
+  const zipsByState = new Map();
+
+  (db.states || []).forEach(([fips, code, name]) => {
+    const state = { fips, code, name };
+    statesByCode.set(code, state);
+    statesByFips.set(fips, state);
+  });
+
+  (db.counties || []).forEach(([geoid, name, fullName, stateCode]) => {
+    const county = { geoid, name, fullName, stateCode };
+    countiesByGeoid.set(geoid, county);
+    countiesByName.set(nameKey(name, stateCode), county);
+    countiesByName.set(nameKey(fullName, stateCode), county);
+  });
+
+  (db.places || []).forEach(([geoid, name, fullName, stateCode]) => {
+    const place = { geoid, name, fullName, stateCode };
+    placesByGeoid.set(geoid, place);
+    // Several places can share a name within a state (e.g. a city and a CDP);
+    // the first one listed wins, and the build lists incorporated places first
+    if (!placesByName.has(nameKey(name, stateCode))) {
+      placesByName.set(nameKey(name, stateCode), place);
+    }
+  });
+
+  (db.vtds || []).forEach(([geoid, name, vtdCode, stateFips, countyFips]) => {
+    const vtd = { geoid, name, vtdCode, stateFips, countyFips };
+    vtdsByGeoid.set(geoid, vtd);
+    vtdsByCode.set(`${stateFips}|${vtdCode}`, vtd);
+    addToIndex(vtdsByCounty, `${stateFips}${countyFips}`, vtd);
+  });
+
+  const zips = (db.zips || []).map(([zipcode, city, stateCode, countyGeoid, lat, lng]) => {
+    const record = {
+      zipcode,
+      city,
+      state: stateCode,
+      stateCode,
+      county: countiesByGeoid.get(countyGeoid)?.name || null,
+      countyFips: countyGeoid || null,
+      latitude: lat,
+      longitude: lng,
+      lat,
+      lng
+    };
+    addToIndex(zipsByState, stateCode, record);
+    return record;
+  });
+  const zipsByCode = new Map(zips.map(record => [record.zipcode, record]));
+
+  // Bounding boxes are only needed for viewport queries; build them per type on first use
+  const bboxes = {};
+  const getBboxes = (type) => {
+    if (!bboxes[type]) {
+      bboxes[type] = Object.entries(boundaries[type] || {}).map(([id, geometry]) => ({ id, bbox: geometryBbox(geometry) }));
+    }
+    return bboxes[type];
+  };
+
+  const resolveState = (value) => {
+    if (!value) return null;
+    const text = String(value).trim().toUpperCase();
+    if (/^\d{1,2}$/.test(text)) return statesByFips.get(text.padStart(2, '0')) || null;
+    if (statesByCode.has(text)) return statesByCode.get(text);
+    return Array.from(statesByCode.values()).find(state => state.name.toUpperCase() === text) || null;
+  };
+
+  // Features use the TIGERweb / Supabase property names of each boundary type
+  const toFeature = (type, id) => {
+    const geometry = boundaries[type]?.[id];
+    if (!geometry) return null;
+
+    let properties;
+    if (type === 'zcta') {
+      properties = { ZCTA5: id, GEOID: id, NAME: `ZCTA5 ${id}` };
+    } else if (type === 'state') {
+      const state = statesByFips.get(id);
+      properties = { STATE: id, STUSAB: state?.code, NAME: state?.name, GEOID: id };
+    } else if (type === 'county') {
+      const county = countiesByGeoid.get(id);
+      properties = { NAME: county?.fullName, BASENAME: county?.name, STATE: id.slice(0, 2), STUSAB: county?.stateCode, COUNTY: id.slice(2), GEOID: id };
+    } else if (type === 'place') {
+      const place = placesByGeoid.get(id);
+      properties = { NAME: place?.fullName, BASENAME: place?.name, STATE: id.slice(0, 2), STUSAB: place?.stateCode, PLACE: id.slice(2), GEOID: id };
+    } else if (type === 'vtd') {
+      const vtd = vtdsByGeoid.get(id);
+      return {
+        vtd_code: vtd?.vtdCode,
+        name: vtd?.name,
+        state_fips: vtd?.stateFips,
+        county_fips: vtd?.countyFips,
+        full_county_fips: vtd ? `${vtd.stateFips}${vtd.countyFips}` : null,
+        geoid: id,
+        geometry_geojson: geometry
+      };
+    } else {
+      return null;
+    }
+
+    return { type: 'Feature', geometry, properties };
+  };
+
+  /**
+   * ZIP search with the same parameters and result shape as supabaseService.search
+   */
+  const search = (params = {}) => {
+    const { query, lat, lng, radius, polygon, limit = 500, offset = 0 } = params;
+    let { state, county, city } = params;
+    let text = query ? String(query).trim() : '';
+
+    // "City, ST" and "Name County, ST" queries become filters
+    if (text && !city && !state) {
+      const cityState = text.match(/^([^,]+),\s*([A-Z]{2})$/);
+      const countyState = text.match(/^([^,]+)\s+County,\s*([A-Z]{2})$/i);
+      if (countyState) {
+        county = countyState[1].trim();
+        state = countyState[2].toUpperCase();
+        text = '';
+      } else if (cityState) {
+        city = cityState[1].trim();
+        state = cityState[2];
+        text = '';
+      }
+    }
+
+    const hasRadius = lat != null && lng != null && radius != null;
+    const hasPolygon = Array.isArray(polygon) && polygon.length >= 3;
+    if (!text && !hasRadius && !hasPolygon && !state && !county && !city) {
+      return { results: [], total: 0, offset, limit, hasMore: false };
+    }
+
+    const stateCode = state ? resolveState(state)?.code || String(state).toUpperCase() : null;
+    const countyName = county ? String(county).replace(/\s+County$/i, '').toLowerCase() : null;
+    const cityName = city ? String(city).toLowerCase() : null;
+    const term = text.toLowerCase();
+
+    const candidates = stateCode ? zipsByState.get(stateCode) || [] : zips;
+    const results = candidates.filter(zip => {
+      if (countyName && (zip.county || '').toLowerCase() !== countyName) return false;
+      if (cityName && (zip.city || '').toLowerCase() !== cityName) return false;
+      if (term &&
+        !zip.zipcode.includes(term) &&
+        !(zip.city || '').toLowerCase().includes(term) &&
+        !(zip.county || '').toLowerCase().includes(term)) {
+        return false;
+      }
+      if (hasRadius && haversineMiles(Number(lat), Number(lng), zip.lat, zip.lng) > Number(radius)) return false;
+      if (hasPolygon && !pointInPolygon(zip.lat, zip.lng, polygon)) return false;
+      return true;
+    });
+
+    return {
+      results: results.slice(offset, offset + limit),
+      total: results.length,
+      offset,
+      limit,
+      hasMore: offset + limit < results.length
+    };
+  };
+
+  const getStates = () => Array.from(statesByCode.values())
+    .filter(state => zipsByState.has(state.code))
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map(({ code, name }) => ({ code, name }));
+
+  const getCounties = (state) => {
+    const stateCode = resolveState(state)?.code;
+    if (!stateCode) return [];
+    const names = new Set((zipsByState.get(stateCode) || []).map(zip => zip.county).filter(Boolean));
+    return Array.from(names).sort().map(name => ({ name }));
+  };
+
+  const getCities = (state, county) => {
+    const { results } = search({ state, county, limit: Infinity });
+    const names = new Set(results.map(zip => zip.city).filter(Boolean));
+    return Array.from(names).sort().map(name => ({ name }));
+  };
+
+  const getZipCode = (zipCode) => {
+    const record = zipsByCode.get(String(zipCode));
+    if (!record) return { error: 'Zip code not found', zipcode: null };
+    const { zipcode, city, state, county, latitude, longitude } = record;
+    return { zipcode: { zipcode, city, state, county, latitude, longitude } };
+  };
+
+  /**
+   * One boundary by its natural key
+   * @param {'zcta'|'county'|'place'|'state'|'vtd'} type
+   * @param {string|Object} key - ZIP, state code/FIPS/name, GEOID, or
+   *   { name, state } for counties and places, { vtdCode, state } for VTDs
+   */
+  const getBoundary = (type, key) => {
+    if (!key) return null;
+    if (type === 'zcta') return toFeature(type, String(key));
+    if (type === 'state') return toFeature(type, resolveState(key)?.fips);
+
+    if (typeof key === 'string') return toFeature(type, key);
+
+    if (type === 'county') {
+      const stateCode = resolveState(key.state)?.code;
+      return toFeature(type, countiesByName.get(nameKey(key.name, stateCode))?.geoid);
+    }
+    if (type === 'place') {
+      const stateCode = resolveState(key.state)?.code;
+      return toFeature(type, placesByName.get(nameKey(key.name, stateCode))?.geoid);
+    }
+    if (type === 'vtd') {
+      const stateFips = resolveState(key.state)?.fips;
+      return toFeature(type, vtdsByCode.get(`${stateFips}|${key.vtdCode}`)?.geoid);
+    }
+    return null;
+  };
+
+  const getBoundaries = (type, ids = []) => ids
+    .map(id => toFeature(type, String(id)))
+    .filter(Boolean);
+
+  const getBoundariesInBounds = (type, bounds, limit = 100) => {
+    const { north, south, east, west } = bounds || {};
+    const features = [];
+    for (const { id, bbox } of getBboxes(type)) {
+      if (bbox[0] <= east && bbox[2] >= west && bbox[1] <= north && bbox[3] >= south) {
+        const feature = toFeature(type, id);
+        if (feature) features.push(feature);
+        if (features.length >= limit) break;
+      }
+    }
+    return features;
+  };
+
+  const getVtdsForCounties = (countyFipsList = []) => countyFipsList
+    .flatMap(fips => vtdsByCounty.get(fips) || [])
+    .map(vtd => toFeature('vtd', vtd.geoid))
+    .filter(Boolean);
+
+  const getStats = () => ({
+    builtAt: db.builtAt || null,
+    zips: zips.length,
+    counties: countiesByGeoid.size,
+    places: placesByGeoid.size,
+    vtds: vtdsByGeoid.size,
+    boundaries: Object.fromEntries(Object.entries(boundaries).map(([type, items]) => [type, Object.keys(items).length]))
+  });
+
+  return {
+    search,
+    getStates,
+    getCounties,
+    getCities,
+    getZipCode,
+    getBoundary,
+    getBoundaries,
+    getBoundariesInBounds,
+    getVtdsForCounties,
+    getStats
+  };
+}
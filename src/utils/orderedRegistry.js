@@ -0,0 +1,134 @@
+/**
+ * Ordered, user-editable fallback settings shared by the geocoder chain
+ * (utils/geocoderChain.js) and the data provider registry
+ * (utils/providerRegistry.js).
+ *
+ * Subclasses keep their own entries and implement getIds(); this class owns
+ * the order, the enabled set and change notifications. Settings are
+ *
+ *   { order: [id], disabled: [id], enabledOnly, ...extra }
+ *
+ * where `enabledOnly` means an env-supplied order lists exactly the ids to
+ * use, and extra fields (e.g. the chain's minAccuracy) are saved alongside.
+ * They are kept in `storage` (the browser passes localStorage) and the
+ * module has no browser dependencies.
+ */
+
+export class OrderedRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.defaults - Settings used until the user edits them
+   * @param {Storage} [options.storage] - Where settings are kept
+   * @param {string} options.storageKey
+   * @param {string} [options.logLabel] - Prefix for warnings, e.g. 'Geocoders'
+   */
+  constructor({ defaults, storage = null, storageKey, logLabel = 'Settings' }) {
+    this.listeners = new Set();
+    this.defaults = defaults;
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.logLabel = logLabel;
+    this.settings = this.loadSettings();
+  }
+
+  /**
+   * Registered ids in registration order
+   * @returns {Array<string>}
+   */
+  getIds() {
+    throw new Error('OrderedRegistry subclasses implement getIds()');
+  }
+
+  loadSettings() {
+    try {
+      const stored = JSON.parse(this.storage?.getItem(this.storageKey));
+      if (stored && Array.isArray(stored.order) && Array.isArray(stored.disabled)) {
+        return { ...this.defaults, ...stored, enabledOnly: false };
+      }
+    } catch {
+      // No storage or unreadable setting; use the defaults
+    }
+    return { ...this.defaults };
+  }
+
+  saveSettings() {
+    try {
+      // enabledOnly comes from the env and is never stored
+      const saved = { ...this.settings };
+      delete saved.enabledOnly;
+      this.storage?.setItem(this.storageKey, JSON.stringify(saved));
+    } catch (error) {
+      console.warn(`[${this.logLabel}] Failed to save settings:`, error);
+    }
+    this.notify();
+  }
+
+  isEnabled(id) {
+    const { order, disabled, enabledOnly } = this.settings;
+    if (enabledOnly) return order.includes(id);
+    return !disabled.includes(id);
+  }
+
+  /**
+   * All registered ids in fallback order
+   */
+  getOrderedIds() {
+    const { order } = this.settings;
+    const ids = this.getIds();
+    const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length + ids.indexOf(id));
+    return ids.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Move entries into this order; unlisted ones keep their place after them
+   * @param {Array<string>} ids
+   */
+  setOrder(ids) {
+    const rest = this.getOrderedIds().filter(id => !ids.includes(id));
+    this.updateSettings({ order: [...ids, ...rest] });
+  }
+
+  setEnabled(id, enabled) {
+    const disabled = this.materializeSettings().disabled.filter(other => other !== id);
+    if (!enabled) disabled.push(id);
+    this.updateSettings({ disabled });
+  }
+
+  /**
+   * Apply an edit on top of the materialized settings and save it
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.materializeSettings(), ...changes };
+    this.saveSettings();
+  }
+
+  resetSettings() {
+    try {
+      this.storage?.removeItem(this.storageKey);
+    } catch {
+      // Nothing stored
+    }
+    this.settings = this.loadSettings();
+    this.notify();
+  }
+
+  // Env-derived settings turned into an explicit order + disabled list before editing
+  materializeSettings() {
+    const order = this.getOrderedIds();
+    return {
+      ...this.settings,
+      order,
+      disabled: order.filter(id => !this.isEnabled(id)),
+      enabledOnly: false
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * PDF Writer
+ *
+ * Writes simple printable documents - text in the standard Helvetica faces,
+ * lines, polygons, rectangles and dots - as a PDF 1.4 file. Coordinates are
+ * in points from the top-left corner of the page. Text is WinAnsi (Latin-1);
+ * characters outside it print as "?".
+ */
+
+const LETTER = { width: 612, height: 792 };
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Average glyph widths (em) for Helvetica, close enough to fit text to a column
+const AVERAGE_WIDTH = { regular: 0.52, bold: 0.56 };
+
+// Control point offset for drawing a circle as four Bezier curves
+const KAPPA = 0.5523;
+
+const number = (value) => (Math.round(value * 100) / 100).toString();
+
+const parseColor = (color) => {
+  const hex = String(color || '#000000').replace('#', '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+  return [0, 2, 4].map(i => number(parseInt(full.slice(i, i + 2), 16) / 255 || 0)).join(' ');
+};
+
+const escapeText = (text) => Array.from(String(text ?? ''))
+  .map(char => (char.charCodeAt(0) > 255 ? '?' : char))
+  .join('')
+  .replace(/[\\()]/g, match => `\\${match}`)
+  .replace(/[\r\n\t]/g, ' ');
+
+export class PdfDocument {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.width] - Page width in points (default US Letter)
+   * @param {number} [options.height] - Page height in points
+   */
+  constructor({ width = LETTER.width, height = LETTER.height } = {}) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  /**
+   * Start a new page; later drawing calls go to it
+   */
+  addPage() {
+    this.pages.push([]);
+    return this;
+  }
+
+  draw(operation) {
+    if (this.pages.length === 0) this.addPage();
+    this.pages[this.pages.length - 1].push(operation);
+  }
+
+  /**
+   * Approximate width of text in points
+   */
+  textWidth(text, size = 10, bold = false) {
+    return String(text ?? '').length * size * AVERAGE_WIDTH[bold ? 'bold' : 'regular'];
+  }
+
+  /**
+   * Shorten text with "..." so it fits in maxWidth points
+   */
+  fitText(text, maxWidth, size = 10, bold = false) {
+    const value = String(text ?? '');
+    if (this.textWidth(value, size, bold) <= maxWidth) return value;
+    const chars = Math.max(0, Math.floor(maxWidth / (size * AVERAGE_WIDTH[bold ? 'bold' : 'regular'])) - 3);
+    return `${value.slice(0, chars).trimEnd()}...`;
+  }
+
+  /**
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline
+   */
+  text(x, y, text, { size = 10, bold = false, color = '#000000' } = {}) {
+    this.draw(
+      `BT /${bold ? FONTS.bold : FONTS.regular} ${number(size)} Tf ${parseColor(color)} rg ` +
+      `${number(x)} ${number(this.height - y)} Td (${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 1, color = '#000000' } = {}) {
+    return this.polyline([[x1, y1], [x2, y2]], { width, stroke: color });
+  }
+
+  /**
+   * Draw connected points; closed shapes may also be filled
+   * @param {Array<[number, number]>} points
+   */
+  polyline(points, { width = 1, stroke = '#000000', fill = null, closed = false, dash = null } = {}) {
+    if (points.length < 2) return this;
+    const path = points
+      .map(([x, y], index) => `${number(x)} ${number(this.height - y)} ${index === 0 ? 'm' : 'l'}`)
+      .join(' ');
+    this.draw(this.paint(path + (closed ? ' h' : ''), { width, stroke, fill, dash }));
+    return this;
+  }
+
+  rect(x, y, w, h, { width = 1, stroke = '#000000', fill = null } = {}) {
+    const path = `${number(x)} ${number(this.height - y - h)} ${number(w)} ${number(h)} re`;
+    this.draw(this.paint(path, { width, stroke, fill }));
+    return this;
+  }
+
+  circle(x, y, r, { width = 1, stroke = null, fill = '#000000' } = {}) {
+    const cy = this.height - y;
+    const k = r * KAPPA;
+    const path = [
+      `${number(x + r)} ${number(cy)} m`,
+      `${number(x + r)} ${number(cy + k)} ${number(x + k)} ${number(cy + r)} ${number(x)} ${number(cy + r)} c`,
+      `${number(x - k)} ${number(cy + r)} ${number(x - r)} ${number(cy + k)} ${number(x - r)} ${number(cy)} c`,
+      `${number(x - r)} ${number(cy - k)} ${number(x - k)} ${number(cy - r)} ${number(x)} ${number(cy - r)} c`,
+      `${number(x + k)} ${number(cy - r)} ${number(x + r)} ${number(cy - k)} ${number(x + r)} ${number(cy)} c`
+    ].join(' ');
+    this.draw(this.paint(path, { width, stroke, fill }));
+    return this;
+  }
+
+  paint(path, { width, stroke, fill, dash }) {
+    const state = [`${number(width)} w`, dash ? `[${dash.map(number).join(' ')}] 0 d` : '[] 0 d'];
+    if (stroke) state.push(`${parseColor(stroke)} RG`);
+    if (fill) state.push(`${parseColor(fill)} rg`);
+    const operator = stroke && fill ? 'B' : fill ? 'f' : 'S';
+    return `q ${state.join(' ')} ${path} ${operator} Q`;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Uint8Array}
+   */
+  toBytes() {
+    if (this.pages.length === 0) this.addPage();
+
+    // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+    const objects = [];
+    const pageIds = this.pages.map((_, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    this.pages.forEach((operations, index) => {
+      const pageId = pageIds[index];
+      const content = operations.join('\n');
+      objects[pageId] =
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(this.width)} ${number(this.height)}] ` +
+        `/Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Every character is one byte, so string offsets are byte offsets
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = output.length;
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) {
+      bytes[i] = output.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+  }
+
+  /**
+   * @returns {Blob}
+   */
+  toBlob() {
+    return new Blob([this.toBytes()], { type: 'application/pdf' });
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Point Identifier
+ * Finds the feature of each boundary layer containing a point (see
+ * services/identifyService.js for the layers).
+ *
+ * Each layer returns the polygons near the point and a point-in-polygon test
+ * keeps the one that contains it. Polygons from earlier lookups are tested
+ * first, so a pasted list of nearby coordinates mostly resolves without new
+ * requests.
+ */
+
+import * as turf from '@turf/turf';
+
+// Row field each layer fills, which is also its key in a row's `errors`
+const LAYER_FIELDS = {
+  zcta: 'zcta',
+  county: 'county',
+  place: 'place',
+  state: 'state',
+  vtd: 'vtd',
+  district: 'congressionalDistrict'
+};
+
+const MAX_CACHED_FEATURES = 25;
+const DEFAULT_CONCURRENCY = 3;
+
+// Column order for the identify table and CSV export
+export const IDENTIFY_COLUMNS = [
+  { key: 'label', label: 'Label' },
+  { key: 'lat', label: 'Latitude' },
+  { key: 'lng', label: 'Longitude' },
+  { key: 'zcta', label: 'ZCTA' },
+  { key: 'county', label: 'County' },
+  { key: 'countyFips', label: 'County FIPS' },
+  { key: 'place', label: 'Place' },
+  { key: 'placeFips', label: 'Place FIPS' },
+  { key: 'state', label: 'State' },
+  { key: 'stateFips', label: 'State FIPS' },
+  { key: 'vtd', label: 'VTD' },
+  { key: 'vtdName', label: 'VTD Name' },
+  { key: 'congressionalDistrict', label: 'Congressional District' },
+  { key: 'lookupErrors', label: 'Lookup Errors' }
+];
+
+export class PointIdentifier {
+  /**
+   * @param {Object} layers - { zcta, county, place, state, vtd, district }, each
+   *   with getBoundariesAtPoint(lat, lng) resolving to candidate GeoJSON Features
+   */
+  constructor(layers) {
+    this.layers = layers;
+    this.recentFeatures = Object.fromEntries(Object.keys(layers).map(type => [type, []]));
+  }
+
+  contains(feature, point) {
+    const type = feature?.geometry?.type;
+    if (type !== 'Polygon' && type !== 'MultiPolygon') return false;
+    try {
+      return turf.booleanPointInPolygon(point, feature);
+    } catch {
+      return false;
+    }
+  }
+
+  remember(type, feature) {
+    const recent = this.recentFeatures[type].filter(item => item !== feature);
+    recent.unshift(feature);
+    this.recentFeatures[type] = recent.slice(0, MAX_CACHED_FEATURES);
+  }
+
+  /**
+   * The feature of one layer containing a point, or null
+   * Rejects when the layer's lookup fails, so a failure is not mistaken for
+   * a point outside every boundary
+   */
+  async findContaining(type, lat, lng) {
+    const point = turf.point([lng, lat]);
+
+    const cached = this.recentFeatures[type].find(feature => this.contains(feature, point));
+    if (cached) return cached;
+
+    const candidates = await this.layers[type].getBoundariesAtPoint(lat, lng);
+    const match = candidates.find(feature => this.contains(feature, point)) || null;
+    if (match) this.remember(type, match);
+    return match;
+  }
+
+  /**
+   * @param {number} lat
+   * @param {number} lng
+   * @param {string} [label] - Carried through to the result (e.g. a pasted row name)
+   * @returns {Promise<Object>} One row with the IDENTIFY_COLUMNS fields, plus
+   *   `errors` ({ field: message } for layers whose lookup failed, or null)
+   */
+  async identifyPoint(lat, lng, label = '') {
+    const types = Object.keys(this.layers);
+    const settled = await Promise.allSettled(types.map(type => this.findContaining(type, lat, lng)));
+
+    const errors = {};
+    const [zcta, county, place, state, vtd, district] = settled.map((outcome, index) => {
+      if (outcome.status === 'fulfilled') return outcome.value;
+      console.warn(`[Identify] ${types[index]} lookup failed:`, outcome.reason);
+      errors[LAYER_FIELDS[types[index]]] = outcome.reason?.message || 'Lookup failed';
+      return null;
+    });
+    const failed = Object.entries(errors);
+
+    const stateCode = state?.properties.code || null;
+    const districtLabel = district
+      ? `${stateCode || district.properties.state_fips}-${district.properties.at_large ? 'AL' : district.properties.district}`
+      : null;
+
+    return {
+      label,
+      lat,
+      lng,
+      zcta: zcta?.properties.zipcode || null,
+      county: county?.properties.NAME || county?.properties.name || null,
+      countyFips: county?.properties.fips || null,
+      place: place?.properties.NAME || place?.properties.name || null,
+      placeFips: place?.properties.GEOID || null,
+      state: stateCode,
+      stateFips: state?.properties.fips || null,
+      vtd: vtd?.properties.geoid || null,
+      vtdName: vtd?.properties.name || null,
+      congressionalDistrict: districtLabel,
+      congressionalDistrictGeoid: district?.properties.geoid || null,
+      lookupErrors: failed.length > 0
+        ? failed.map(([field, message]) => `${IDENTIFY_COLUMNS.find(column => column.key === field).label}: ${message}`).join('; ')
+        : null,
+      errors: failed.length > 0 ? errors : null
+    };
+  }
+
+  /**
+   * Identify a list of points a few at a time
+   * @param {Array<Object>} points - [{ lat, lng, label? }]
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (done, total, row) after each point
+   * @param {number} [options.concurrency]
+   * @returns {Promise<Array<Object>>} Rows in input order
+   */
+  async identifyPoints(points, { onProgress, concurrency = DEFAULT_CONCURRENCY } = {}) {
+    const rows = new Array(points.length);
+    let done = 0;
+
+    for (let i = 0; i < points.length; i += concurrency) {
+      const chunk = points.slice(i, i + concurrency);
+      await Promise.all(chunk.map(async ({ lat, lng, label }, index) => {
+        const row = await this.identifyPoint(lat, lng, label);
+        rows[i + index] = row;
+        done += 1;
+        onProgress?.(done, points.length, row);
+      }));
+    }
+
+    return rows;
+  }
+
+  clearCache() {
+    Object.keys(this.recentFeatures).forEach(type => {
+      this.recentFeatures[type] = [];
+    });
+  }
+}
@@ -99,3 +99,43 @@ export function validatePolygonSize(coordinates, maxSquareMiles = 70) {
     maxAllowed: maxSquareMiles
   };
 }
+
+/**
+ * Convert a GeoJSON Polygon/MultiPolygon to Leaflet latlngs
+ * (nested [lat, lng] arrays accepted by L.polygon)
+ */
+export function geometryToLatLngs(geometry) {
+  const toLatLngs = ring => ring.map(([lng, lat]) => [lat, lng]);
+
+  if (geometry?.type === 'Polygon') {
+    return geometry.coordinates.map(toLatLngs);
+  }
+  if (geometry?.type === 'MultiPolygon') {
+    return geometry.coordinates.map(polygon => polygon.map(toLatLngs));
+  }
+  return [];
+}
+
+/**
+ * Search parameters for a drawn or imported polygon layer's GeoJSON geometry
+ * Polygons with holes or several parts are searched against the full
+ * geometry; `coordinates` is always the first outer ring
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {{coordinates: Array<{lat: number, lng: number}>, geometry: Object|null,
+ *   outerPoints: Array<{lat: number, lng: number}>}} outerPoints spans every
+ *   part, for the search's bounds
+ */
+export function polygonSearchShape(geometry) {
+  const parts = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const toLatLng = ([lng, lat]) => ({ lat, lng });
+  const coordinates = parts[0][0].slice(0, -1).map(toLatLng);
+
+  if (parts.length === 1 && parts[0].length === 1) {
+    return { coordinates, geometry: null, outerPoints: coordinates };
+  }
+  return {
+    coordinates,
+    geometry,
+    outerPoints: parts.flatMap(part => part[0].map(toLatLng))
+  };
+}
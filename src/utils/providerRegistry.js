@@ -0,0 +1,220 @@
+/**
+ * Ordered fallback across data providers (the interface is described in
+ * services/dataProviders.js). Each enabled provider that implements the
+ * method is tried in order until one returns a usable answer, and that
+ * answer is tagged with the provider's id.
+ *
+ * Providers that failed recently, or whose checkHealth() said no, are tried
+ * after the rest. While isOffline() says so, only local providers are used.
+ * Order and enabled set are settings kept in `storage` (see
+ * utils/orderedRegistry.js). This module has no browser dependencies; the
+ * app's instance is in services/dataProviderRegistry.js.
+ */
+
+import { OrderedRegistry } from './orderedRegistry.js';
+
+const HEALTH_TTL_MS = 60 * 1000;
+
+/**
+ * Copy of a result with the serving provider's id on it (and on each row)
+ */
+const tagResult = (result, providerId) => {
+  if (Array.isArray(result)) {
+    return result.map(item => (item && typeof item === 'object' ? { ...item, provider: providerId } : item));
+  }
+  if (result && typeof result === 'object') {
+    const tagged = { ...result, provider: providerId };
+    if (Array.isArray(result.results)) tagged.results = tagResult(result.results, providerId);
+    return tagged;
+  }
+  return result;
+};
+
+export class ProviderRegistry extends OrderedRegistry {
+  /**
+   * @param {Array<Object>} providers - In default fallback order
+   * @param {Object} [options]
+   * @param {Array<string>} [options.order] - Exact providers to use (e.g. from VITE_DATA_PROVIDERS)
+   * @param {Array<string>} [options.disabled] - Off unless the user turns them on
+   * @param {Function} [options.isOffline] - Whether only local providers may be used
+   * @param {Storage} [options.storage] - Where settings are kept
+   * @param {string} [options.storageKey]
+   */
+  constructor(providers = [], { order = [], disabled = [], isOffline = () => false, storage = null, storageKey = 'dataProviderSettings' } = {}) {
+    super({
+      defaults: order.length > 0
+        ? { order, disabled: [], enabledOnly: true }
+        : { order: [], disabled, enabledOnly: false },
+      storage,
+      storageKey,
+      logLabel: 'Data Providers'
+    });
+    this.providers = new Map();
+    this.health = new Map();
+    this.lastProvider = null;
+    this.isOffline = isOffline;
+
+    providers.forEach(provider => this.register(provider));
+  }
+
+  getIds() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Add or replace a provider
+   * New providers go after the known order unless the settings name them
+   * @param {Object} provider - { id, label, local?, search?, getStates?, ..., checkHealth? }
+   */
+  register(provider) {
+    if (!provider?.id) {
+      throw new Error('Data provider needs an id');
+    }
+    this.providers.set(provider.id, provider);
+    this.notify();
+  }
+
+  unregister(id) {
+    this.providers.delete(id);
+    this.health.delete(id);
+    this.notify();
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  isHealthy(id) {
+    const entry = this.health.get(id);
+    if (!entry || Date.now() - entry.checkedAt > HEALTH_TTL_MS) return null;
+    return entry.ok;
+  }
+
+  setHealth(id, ok, error = null) {
+    this.health.set(id, { ok, error, checkedAt: Date.now() });
+    this.notify();
+  }
+
+  /**
+   * Run a provider's checkHealth
+   * @returns {Promise<boolean>}
+   */
+  async checkHealth(id) {
+    const provider = this.providers.get(id);
+    if (!provider) return false;
+    if (typeof provider.checkHealth !== 'function') {
+      this.setHealth(id, true);
+      return true;
+    }
+
+    try {
+      const ok = Boolean(await provider.checkHealth());
+      this.setHealth(id, ok);
+      return ok;
+    } catch (error) {
+      this.setHealth(id, false, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check every provider (or only the enabled ones)
+   * @returns {Promise<Array>} describe() after the checks
+   */
+  async refreshHealth({ enabledOnly = false } = {}) {
+    const ids = this.getOrderedIds().filter(id => !enabledOnly || this.isEnabled(id));
+    await Promise.all(ids.map(id => this.checkHealth(id)));
+    return this.describe();
+  }
+
+  /**
+   * Providers to try for a method, in order
+   */
+  getCandidates(method) {
+    const offline = this.isOffline();
+    const candidates = this.getOrderedIds()
+      .map(id => this.providers.get(id))
+      .filter(provider => this.isEnabled(provider.id))
+      .filter(provider => typeof provider[method] === 'function')
+      .filter(provider => !offline || provider.local);
+
+    // Known-bad providers last; they still get a turn if everything else fails
+    return [
+      ...candidates.filter(provider => this.isHealthy(provider.id) !== false),
+      ...candidates.filter(provider => this.isHealthy(provider.id) === false)
+    ];
+  }
+
+  /**
+   * Call a method on each provider in order until one gives a usable answer
+   * @param {string} method - Provider method name
+   * @param {Array} args - Method arguments
+   * @param {Object} options
+   * @param {Function} options.accept - Whether a result is usable; otherwise the next provider is tried
+   * @returns {Promise<*>} The first accepted result, else the last one any
+   *   provider returned, tagged with `provider`
+   */
+  async call(method, args = [], { accept = (result) => result != null } = {}) {
+    const candidates = this.getCandidates(method);
+    if (candidates.length === 0) {
+      throw new Error(`No enabled data provider supports ${method}`);
+    }
+
+    let fallback = null;
+    let lastError = null;
+
+    for (const provider of candidates) {
+      try {
+        const result = await provider[method](...args);
+        if (this.isHealthy(provider.id) !== true) this.setHealth(provider.id, true);
+
+        if (accept(result)) {
+          this.lastProvider = provider.id;
+          return tagResult(result, provider.id);
+        }
+        fallback = { result, providerId: provider.id };
+      } catch (error) {
+        console.warn(`[Data Providers] ${provider.id}.${method} failed:`, error.message);
+        this.setHealth(provider.id, false, error.message);
+        lastError = error;
+      }
+    }
+
+    if (fallback) {
+      this.lastProvider = fallback.providerId;
+      return tagResult(fallback.result, fallback.providerId);
+    }
+    throw lastError;
+  }
+
+  /**
+   * Call a method on one provider, e.g. for the next page of a search it
+   * answered; cursors and offsets only mean something to that provider
+   * @returns {Promise<*>} The result, tagged with `provider`
+   */
+  async callProvider(id, method, args = []) {
+    const provider = this.providers.get(id);
+    if (typeof provider?.[method] !== 'function') {
+      throw new Error(`Data provider ${id} does not support ${method}`);
+    }
+    return tagResult(await provider[method](...args), id);
+  }
+
+  /**
+   * Providers for settings UIs
+   * @returns {Array<{id, label, local, enabled, health, serving}>}
+   */
+  describe() {
+    return this.getOrderedIds().map(id => {
+      const provider = this.providers.get(id);
+      return {
+        id,
+        label: provider.label || id,
+        local: Boolean(provider.local),
+        enabled: this.isEnabled(id),
+        health: this.health.get(id) || null,
+        serving: this.lastProvider === id
+      };
+    });
+  }
+}
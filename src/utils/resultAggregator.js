@@ -0,0 +1,238 @@
+/**
+ * Incremental city/county/state rollups of ZIP results
+ *
+ * Keeps running totals per group (ZIP count, coordinate sums, search ids,
+ * distinct cities/counties and demographic sums), so adding or removing
+ * ZIPs costs time proportional to the change rather than to the whole
+ * result set. Runs in workers/aggregation.worker.js behind
+ * services/aggregationService.js; it has no browser or app dependencies so
+ * tests can use it directly.
+ *
+ * Rows are keyed by zipCode (falling back to id); adding a row whose key is
+ * already present replaces it.
+ */
+
+const rowKey = (row) => row?.zipCode || row?.id || null;
+
+const finite = (value) => {
+  const number = Number(value);
+  return value != null && value !== '' && Number.isFinite(number) ? number : null;
+};
+
+// Counted set, so a value stays while any member still has it
+const bump = (counts, value, delta) => {
+  if (value == null || value === '') return;
+  const next = (counts.get(value) || 0) + delta;
+  if (next > 0) counts.set(value, next);
+  else counts.delete(value);
+};
+
+const sortedNumbers = (counts) => Array.from(counts.keys()).sort((a, b) => a - b);
+
+export class ResultAggregator {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.fields] - Demographic fields as in
+   *   demographicsService's DEMOGRAPHIC_FIELDS ({ key, rollup, weight })
+   */
+  constructor({ fields = [] } = {}) {
+    this.fields = fields;
+    this.reset();
+  }
+
+  get size() {
+    return this.members.size;
+  }
+
+  /**
+   * Drop everything, then add `rows`
+   * @param {Array<Object>} [rows]
+   * @param {Object} [sequenceLookup] - search id -> sequence number, for rows
+   *   that carry searchIds but no searchSequences
+   */
+  reset(rows = [], sequenceLookup = {}) {
+    this.members = new Map();
+    this.cities = new Map();
+    this.counties = new Map();
+    this.states = new Map();
+    this.add(rows, sequenceLookup);
+  }
+
+  /**
+   * Add rows, replacing any already present under the same key
+   */
+  add(rows = [], sequenceLookup = {}) {
+    rows.forEach(row => {
+      const key = rowKey(row);
+      if (!key) return;
+      if (this.members.has(key)) this.apply(this.members.get(key), -1);
+      const member = this.toMember(row, sequenceLookup);
+      this.members.set(key, member);
+      this.apply(member, 1);
+    });
+  }
+
+  /**
+   * @param {Array<string>} keys - zipCode (or id) of the rows to drop
+   */
+  remove(keys = []) {
+    keys.forEach(key => {
+      const member = this.members.get(key);
+      if (!member) return;
+      this.apply(member, -1);
+      this.members.delete(key);
+    });
+  }
+
+  // Only what the rollups read, so replaced rows can be subtracted exactly
+  toMember(row, sequenceLookup) {
+    const searchIds = Array.isArray(row.searchIds) ? row.searchIds : [];
+    const sequences = Array.isArray(row.searchSequences) && row.searchSequences.length > 0
+      ? row.searchSequences
+      : searchIds.map(id => sequenceLookup[id]).filter(sequence => sequence != null);
+
+    return {
+      city: row.city || '',
+      county: row.county || '',
+      state: row.state || '',
+      lat: finite(row.lat ?? row.latitude),
+      lng: finite(row.lng ?? row.longitude),
+      searchIds,
+      sequences,
+      values: this.fields.map(({ key, weight }) => ({
+        value: finite(row[key]),
+        weight: weight ? finite(row[weight]) || 0 : 0
+      }))
+    };
+  }
+
+  group(groups, key, attributes) {
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        ...attributes,
+        count: 0,
+        latSum: 0,
+        latCount: 0,
+        lngSum: 0,
+        lngCount: 0,
+        searchIds: new Map(),
+        sequences: new Map(),
+        cities: new Map(),
+        counties: new Map(),
+        values: this.fields.map(() => ({ known: 0, sum: 0, weighted: 0, weight: 0 }))
+      };
+      groups.set(key, group);
+    }
+    return group;
+  }
+
+  apply(member, delta) {
+    const targets = [];
+    if (member.city) {
+      targets.push([this.cities, `${member.city}|${member.state}|${member.county}`, { city: member.city, state: member.state, county: member.county }]);
+    }
+    if (member.county) {
+      targets.push([this.counties, `${member.county}|${member.state}`, { county: member.county, state: member.state }]);
+    }
+    if (member.state) {
+      targets.push([this.states, member.state, { state: member.state }]);
+    }
+
+    targets.forEach(([groups, key, attributes]) => {
+      const group = this.group(groups, key, attributes);
+      group.count += delta;
+      if (member.lat != null) {
+        group.latSum += delta * member.lat;
+        group.latCount += delta;
+      }
+      if (member.lng != null) {
+        group.lngSum += delta * member.lng;
+        group.lngCount += delta;
+      }
+      member.searchIds.forEach(id => bump(group.searchIds, id, delta));
+      member.sequences.forEach(sequence => bump(group.sequences, sequence, delta));
+      bump(group.cities, member.city, delta);
+      bump(group.counties, member.county, delta);
+      member.values.forEach(({ value, weight }, index) => {
+        if (value == null) return;
+        const totals = group.values[index];
+        totals.known += delta;
+        totals.sum += delta * value;
+        totals.weighted += delta * value * weight;
+        totals.weight += delta * weight;
+      });
+
+      if (group.count <= 0) groups.delete(key);
+    });
+  }
+
+  // Same rules as demographicsService.rollup: sums, household-weighted
+  // medians, null when no member has the field
+  demographics(group) {
+    const totals = {};
+    this.fields.forEach(({ key, rollup }, index) => {
+      const { known, sum, weighted, weight } = group.values[index];
+      if (known <= 0) {
+        totals[key] = null;
+      } else if (rollup === 'weighted') {
+        totals[key] = weight > 0 ? Math.round(weighted / weight) : Math.round(sum / known);
+      } else {
+        totals[key] = sum;
+      }
+    });
+    return totals;
+  }
+
+  row(group) {
+    const lat = group.latCount > 0 ? group.latSum / group.latCount : null;
+    const lng = group.lngCount > 0 ? group.lngSum / group.lngCount : null;
+    return {
+      lat,
+      lng,
+      latitude: lat,
+      longitude: lng,
+      ...this.demographics(group),
+      zipCount: group.count,
+      searchIds: Array.from(group.searchIds.keys()),
+      searchSequences: sortedNumbers(group.sequences)
+    };
+  }
+
+  /**
+   * Current rollups, each sorted by name
+   * @returns {{ cities: Array<Object>, counties: Array<Object>, states: Array<Object> }}
+   */
+  snapshot() {
+    // Same-named places in different counties or states order by id, so the
+    // result doesn't depend on the order rows arrived in
+    const byName = (a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id);
+
+    const cities = Array.from(this.cities.values()).map(group => ({
+      id: `city-${group.city}-${group.state}-${group.county}`,
+      name: group.city,
+      state: group.state,
+      county: group.county,
+      ...this.row(group)
+    })).sort(byName);
+
+    const counties = Array.from(this.counties.values()).map(group => ({
+      id: `county-${group.county}-${group.state}`,
+      name: group.county,
+      state: group.state,
+      ...this.row(group),
+      cityCount: group.cities.size
+    })).sort(byName);
+
+    const states = Array.from(this.states.values()).map(group => ({
+      id: `state-${group.state}`,
+      name: group.state,
+      state: group.state,
+      ...this.row(group),
+      cityCount: group.cities.size,
+      countyCount: group.counties.size
+    })).sort(byName);
+
+    return { cities, counties, states };
+  }
+}
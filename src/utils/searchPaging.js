@@ -0,0 +1,68 @@
+/**
+ * Follow a ZIP search's pages until the provider has no more.
+ *
+ * Radius and polygon searches over a metro area or a state match thousands
+ * of ZIPs, more than a provider returns at once. Providers page either with
+ * an opaque `nextCursor` (the PostGIS RPCs) or by `offset` (static and
+ * offline data); both come back as `hasMore`.
+ */
+
+// Stop after this many pages even if a provider keeps saying hasMore
+export const MAX_SEARCH_PAGES = 100;
+
+/**
+ * Whether a search is by radius or polygon, the searches that get paged
+ */
+export const isAreaSearch = (params = {}) =>
+  (params.lat != null && params.lng != null && params.radius != null) ||
+  (Array.isArray(params.polygon) && params.polygon.length >= 3);
+
+/**
+ * Parameters for the page after `page`
+ * @param {Object} params - The search's parameters
+ * @param {Object} page - { results, offset?, limit?, nextCursor? }
+ */
+export function nextPageParams(params, page) {
+  if (page.nextCursor) {
+    return { ...params, cursor: page.nextCursor };
+  }
+  const offset = Number(page.offset ?? params.offset ?? 0);
+  const limit = Number(page.limit ?? params.limit ?? page.results.length);
+  return { ...params, cursor: undefined, offset: offset + limit };
+}
+
+/**
+ * Fetch every page after the first and merge them into one result
+ * @param {Object} first - The first page: { results, total, hasMore, nextCursor?, ... }
+ * @param {Object} params - The search's parameters
+ * @param {Function} fetchPage - (params) => Promise of the next page
+ * @param {Object} [options]
+ * @param {number} [options.maxPages]
+ * @returns {Promise<Object>} The first page's fields with every page's
+ *   results; hasMore stays true only if maxPages ran out
+ */
+export async function fetchAllPages(first, params, fetchPage, { maxPages = MAX_SEARCH_PAGES } = {}) {
+  if (!first?.hasMore) return first;
+
+  const results = [...first.results];
+  let page = first;
+  let pages = 1;
+
+  while (page.hasMore && pages < maxPages) {
+    page = await fetchPage(nextPageParams(params, page));
+    pages += 1;
+    if (!Array.isArray(page?.results) || page.results.length === 0) break;
+    results.push(...page.results);
+  }
+
+  const hasMore = Boolean(page?.hasMore) && pages >= maxPages;
+  return {
+    ...first,
+    results,
+    total: first.total ?? results.length,
+    offset: Number(params.offset ?? 0),
+    limit: results.length,
+    hasMore,
+    nextCursor: hasMore ? page.nextCursor ?? null : null
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Search Set Helpers
+ *
+ * Combine the ZIP results of saved searches with union, intersect and
+ * subtract, e.g. "Radius A ∪ Radius B − Shape 3". An expression is a list of
+ * terms evaluated left to right; the first term's operation is ignored.
+ */
+
+export const SET_OPERATIONS = {
+  union: { label: 'Union', symbol: '∪', description: 'ZIPs in either' },
+  intersect: { label: 'Intersect', symbol: '∩', description: 'ZIPs in both' },
+  subtract: { label: 'Subtract', symbol: '−', description: 'ZIPs not in' }
+};
+
+/**
+ * Human-readable form of an expression
+ * @param {Array<{op: string, label: string}>} terms
+ * @returns {string}
+ */
+export function describeSetExpression(terms = []) {
+  return terms
+    .map((term, index) => (index === 0
+      ? term.label
+      : `${SET_OPERATIONS[term.op]?.symbol || '∪'} ${term.label}`))
+    .join(' ');
+}
+
+/**
+ * Check an expression before evaluating it
+ * @param {Array<{op: string, searchId: string}>} terms
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSetExpression(terms = []) {
+  if (terms.length < 2) {
+    return 'Pick at least two searches';
+  }
+  if (terms.some(term => !term.searchId)) {
+    return 'Every term needs a search';
+  }
+  if (terms.slice(1).some(term => !SET_OPERATIONS[term.op])) {
+    return 'Unknown set operation';
+  }
+  return null;
+}
+
+/**
+ * Evaluate an expression over per-search ZIP rows
+ * Rows keep the fields of the first search they came from
+ * @param {Array<{op: string, searchId: string}>} terms
+ * @param {Function} getRows - (searchId) => Array of ZIP rows
+ * @returns {Array<Object>} ZIP rows in the result set
+ */
+export function evaluateSetExpression(terms, getRows) {
+  const keyOf = (row) => row.zipCode || row.zipcode || row.id;
+  const toMap = (rows) => {
+    const map = new Map();
+    (rows || []).forEach(row => {
+      const key = keyOf(row);
+      if (key && !map.has(key)) map.set(key, row);
+    });
+    return map;
+  };
+
+  let result = new Map();
+
+  terms.forEach((term, index) => {
+    const operand = toMap(getRows(term.searchId));
+
+    if (index === 0 || term.op === 'union') {
+      operand.forEach((row, key) => {
+        if (!result.has(key)) result.set(key, row);
+      });
+    } else if (term.op === 'intersect') {
+      result = new Map([...result].filter(([key]) => operand.has(key)));
+    } else if (term.op === 'subtract') {
+      result = new Map([...result].filter(([key]) => !operand.has(key)));
+    }
+  });
+
+  return Array.from(result.values());
+}
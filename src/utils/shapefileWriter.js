@@ -0,0 +1,248 @@
+/**
+ * Shapefile Writer
+ *
+ * Writes Polygon/MultiPolygon features as a zipped ESRI shapefile
+ * (.shp, .shx, .dbf, .prj, .cpg) in WGS 84
+ */
+
+import { zipSync } from 'fflate';
+
+const SHAPE_POLYGON = 5;
+const HEADER_BYTES = 100;
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Signed area of a [lng, lat] ring (positive = counter-clockwise)
+ */
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+  }
+  return -sum / 2;
+}
+
+/**
+ * Flatten a geometry into shapefile rings: outer rings clockwise, holes
+ * counter-clockwise (the opposite of GeoJSON)
+ */
+function geometryToRings(geometry) {
+  const polygons = geometry?.type === 'Polygon'
+    ? [geometry.coordinates]
+    : geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+  return polygons.flatMap(polygon => polygon.map((ring, index) => {
+    const isClockwise = ringArea(ring) < 0;
+    const wantClockwise = index === 0;
+    return isClockwise === wantClockwise ? ring : [...ring].reverse();
+  }));
+}
+
+function ringsBbox(rings) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  rings.forEach(ring => ring.forEach(([x, y]) => {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }));
+  return [minX, minY, maxX, maxY];
+}
+
+function writeFileHeader(view, byteLength, bbox) {
+  view.setInt32(0, 9994); // File code (big endian)
+  view.setInt32(24, byteLength / 2); // Length in 16-bit words (big endian)
+  view.setInt32(28, 1000, true); // Version
+  view.setInt32(32, SHAPE_POLYGON, true);
+  bbox.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+}
+
+/**
+ * Build the .shp and .shx files
+ * @returns {{shp: ArrayBuffer, shx: ArrayBuffer}}
+ */
+export function writeShapes(features) {
+  const records = features.map(feature => {
+    const rings = geometryToRings(feature.geometry);
+    const pointCount = rings.reduce((sum, ring) => sum + ring.length, 0);
+    return {
+      rings,
+      bbox: rings.length > 0 ? ringsBbox(rings) : [0, 0, 0, 0],
+      contentBytes: 44 + rings.length * 4 + pointCount * 16
+    };
+  });
+
+  const fileBbox = records.reduce((acc, { rings, bbox }) => rings.length === 0 ? acc : [
+    Math.min(acc[0], bbox[0]), Math.min(acc[1], bbox[1]),
+    Math.max(acc[2], bbox[2]), Math.max(acc[3], bbox[3])
+  ], [Infinity, Infinity, -Infinity, -Infinity]).map(value => Number.isFinite(value) ? value : 0);
+
+  const shpLength = HEADER_BYTES + records.reduce((sum, r) => sum + 8 + r.contentBytes, 0);
+  const shxLength = HEADER_BYTES + records.length * 8;
+
+  const shp = new DataView(new ArrayBuffer(shpLength));
+  const shx = new DataView(new ArrayBuffer(shxLength));
+  writeFileHeader(shp, shpLength, fileBbox);
+  writeFileHeader(shx, shxLength, fileBbox);
+
+  let offset = HEADER_BYTES;
+  records.forEach((record, index) => {
+    shx.setInt32(HEADER_BYTES + index * 8, offset / 2);
+    shx.setInt32(HEADER_BYTES + index * 8 + 4, record.contentBytes / 2);
+
+    shp.setInt32(offset, index + 1);
+    shp.setInt32(offset + 4, record.contentBytes / 2);
+    offset += 8;
+
+    shp.setInt32(offset, SHAPE_POLYGON, true);
+    record.bbox.forEach((value, i) => shp.setFloat64(offset + 4 + i * 8, value, true));
+    shp.setInt32(offset + 36, record.rings.length, true);
+    shp.setInt32(offset + 40, record.rings.reduce((sum, ring) => sum + ring.length, 0), true);
+    offset += 44;
+
+    let partStart = 0;
+    record.rings.forEach(ring => {
+      shp.setInt32(offset, partStart, true);
+      partStart += ring.length;
+      offset += 4;
+    });
+
+    record.rings.forEach(ring => ring.forEach(([x, y]) => {
+      shp.setFloat64(offset, x, true);
+      shp.setFloat64(offset + 8, y, true);
+      offset += 16;
+    }));
+  });
+
+  return { shp: shp.buffer, shx: shx.buffer };
+}
+
+/**
+ * DBF field names are limited to 10 ASCII characters and must be unique
+ */
+function buildFieldNames(keys) {
+  const used = new Set();
+  return keys.map(key => {
+    const base = String(key).replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10).toUpperCase() || 'FIELD';
+    let name = base;
+    let suffix = 1;
+    while (used.has(name)) {
+      const tag = String(suffix++);
+      name = base.slice(0, 10 - tag.length) + tag;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * Build the .dbf attribute table (UTF-8, described by the .cpg file)
+ * Columns where every value is numeric become N fields, everything else C
+ */
+export function writeDbf(features) {
+  const encoder = new TextEncoder();
+  const keys = [...new Set(features.flatMap(f => Object.keys(f.properties || {})))];
+  const names = buildFieldNames(keys);
+
+  const fields = keys.map((key, i) => {
+    const values = features.map(f => f.properties?.[key]).filter(v => v != null && v !== '');
+    const numeric = values.length > 0 && values.every(v => typeof v === 'number' && Number.isFinite(v));
+
+    if (numeric) {
+      const decimals = Math.min(8, Math.max(0, ...values.map(v => (String(v).split('.')[1] || '').length)));
+      const width = Math.min(19, Math.max(1, ...values.map(v => v.toFixed(decimals).length)));
+      return { key, name: names[i], type: 'N', width, decimals };
+    }
+
+    const width = Math.min(254, Math.max(1, ...values.map(v => encoder.encode(String(v)).length)));
+    return { key, name: names[i], type: 'C', width, decimals: 0 };
+  });
+
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, f) => sum + f.width, 0);
+  const bytes = new Uint8Array(headerLength + features.length * recordLength + 1);
+  const view = new DataView(bytes.buffer);
+
+  const now = new Date();
+  bytes[0] = 0x03;
+  bytes[1] = now.getFullYear() - 1900;
+  bytes[2] = now.getMonth() + 1;
+  bytes[3] = now.getDate();
+  view.setUint32(4, features.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+
+  fields.forEach((field, i) => {
+    const base = 32 + i * 32;
+    bytes.set(encoder.encode(field.name), base);
+    bytes[base + 11] = field.type.charCodeAt(0);
+    bytes[base + 16] = field.width;
+    bytes[base + 17] = field.decimals;
+  });
+  bytes[headerLength - 1] = 0x0d;
+
+  features.forEach((feature, row) => {
+    let offset = headerLength + row * recordLength;
+    bytes[offset++] = 0x20; // Not deleted
+
+    fields.forEach(field => {
+      const value = feature.properties?.[field.key];
+      let encoded;
+
+      if (field.type === 'N') {
+        const text = value == null || value === '' ? '' : value.toFixed(field.decimals);
+        encoded = encoder.encode(text.padStart(field.width, ' '));
+      } else {
+        encoded = encoder.encode(value == null ? '' : String(value));
+        // Don't cut a multi-byte character in half
+        if (encoded.length > field.width) {
+          let end = field.width;
+          while (end > 0 && (encoded[end] & 0xc0) === 0x80) end--;
+          encoded = encoded.slice(0, end);
+        }
+      }
+
+      bytes.fill(0x20, offset, offset + field.width);
+      bytes.set(encoded.slice(0, field.width), offset);
+      offset += field.width;
+    });
+  });
+
+  bytes[bytes.length - 1] = 0x1a;
+  return bytes.buffer;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: ArrayBuffer|Uint8Array}>} files
+ * @returns {Blob}
+ */
+export function createZip(files) {
+  const entries = Object.fromEntries(files.map(({ name, data }) => [
+    name,
+    data instanceof Uint8Array ? data : new Uint8Array(data)
+  ]));
+  return new Blob([zipSync(entries)], { type: 'application/zip' });
+}
+
+/**
+ * Write features as a zipped shapefile
+ * @param {Array<Object>} features - GeoJSON Polygon/MultiPolygon features
+ * @param {string} baseName - Name of the files inside the archive
+ * @returns {Blob} ZIP archive
+ */
+export function buildShapefileZip(features, baseName = 'export') {
+  const polygons = features.filter(f => f?.geometry?.type === 'Polygon' || f?.geometry?.type === 'MultiPolygon');
+  const { shp, shx } = writeShapes(polygons);
+  const encoder = new TextEncoder();
+
+  return createZip([
+    { name: `${baseName}.shp`, data: shp },
+    { name: `${baseName}.shx`, data: shx },
+    { name: `${baseName}.dbf`, data: writeDbf(polygons) },
+    { name: `${baseName}.prj`, data: encoder.encode(WGS84_PRJ) },
+    { name: `${baseName}.cpg`, data: encoder.encode('UTF-8') }
+  ]);
+}
@@ -7,87 +7,212 @@
 // API endpoint for share links
 const SHARE_API_URL = 'https://geosearch-share-api.edwin-6f1.workers.dev';
 
+// Owner tokens for links created in this browser, needed to update or revoke them
+const OWNED_SHARES_KEY = 'geosearch:ownedShares';
+
+// Expiry choices offered when creating or updating a link (null = never)
+export const SHARE_EXPIRY_OPTIONS = [
+  { value: null, label: 'Never' },
+  { value: 1, label: '1 day' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' }
+];
+
+function readOwnedShares() {
+  try {
+    return JSON.parse(window.localStorage.getItem(OWNED_SHARES_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeOwnedShares(shares) {
+  try {
+    window.localStorage.setItem(OWNED_SHARES_KEY, JSON.stringify(shares));
+  } catch (error) {
+    console.warn('[Share] Could not persist owner tokens:', error);
+  }
+}
+
+function updateOwnedShare(shareId, changes) {
+  const shares = readOwnedShares();
+  if (changes === null) {
+    delete shares[shareId];
+  } else {
+    shares[shareId] = { ...shares[shareId], ...changes };
+  }
+  writeOwnedShares(shares);
+}
+
+const buildShareUrl = (shareId) => `${window.location.origin}/s/${shareId}`;
+
+/**
+ * Links created in this browser, newest first
+ * @returns {Array<{id, url, viewMode, version, expiresAt, createdAt, updatedAt}>}
+ */
+export function getOwnedShares() {
+  return Object.entries(readOwnedShares())
+    .map(([id, owned]) => {
+      // The owner token never leaves storage
+      const info = { ...owned };
+      delete info.token;
+      return { id, url: buildShareUrl(id), ...info };
+    })
+    .sort((a, b) => (b.updatedAt || b.createdAt || 0) - (a.updatedAt || a.createdAt || 0));
+}
+
+/**
+ * Whether this browser holds the owner token for a link
+ * @param {string} shareId
+ * @returns {boolean}
+ */
+export function isShareOwner(shareId) {
+  return !!readOwnedShares()[shareId]?.token;
+}
+
+/**
+ * Send an owner-authorised request for a link
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function ownerRequest(shareId, path, options = {}) {
+  const token = readOwnedShares()[shareId]?.token;
+  if (!token) {
+    throw new Error('This link was not created in this browser');
+  }
+
+  const response = await fetch(`${SHARE_API_URL}/api/share/${shareId}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      ...options.headers
+    }
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    // The link is gone on the server - forget its token
+    if (response.status === 404 && !path) {
+      updateOwnedShare(shareId, null);
+    }
+    throw new Error(result.error || 'Share request failed');
+  }
+
+  return result;
+}
+
+/**
+ * Build the serializable state that restoreFromShareState understands
+ * Used for share links and for locally saved workspaces
+ * @param {Object} state - Search state to serialize
+ * @param {string} viewMode - 'edit' or 'view'
+ * @returns {Object} - Share payload
+ */
+export function buildShareState(state, viewMode = 'edit') {
+  const shareData = {
+    mode: state.searchMode,
+    mapView: {
+      center: state.mapCenter,
+      zoom: state.mapZoom,
+      type: state.mapType || 'street'
+    },
+    viewMode,
+
+    // Radius searches - include full data for restoration
+    radiusSearches: (state.radiusSearches || []).map(s => ({
+      id: s.id,
+      query: s.query,
+      center: s.center,
+      radius: s.radius,
+      label: s.label,
+      inclusion: s.inclusion,
+      isochrone: s.isochrone || undefined,
+      setOperation: s.setOperation || undefined,
+      // Boundary geometry is left out to keep links short; the ZIPs are in `results`
+      selection: s.selection
+        ? { items: s.selection.items.map(({ type, id, name, zipCodes }) => ({ type, id, name, zipCodes })) }
+        : undefined,
+      store: s.store || undefined,
+      overlayColor: s.settings?.overlayColor,
+      settings: s.settings,
+      results: s.results
+    })),
+
+    // Address searches
+    addressSearches: (state.addressSearches || []).map(s => ({
+      id: s.id,
+      query: s.query,
+      center: s.center,
+      radius: s.radius,
+      mode: s.mode,
+      label: s.label,
+      coordinates: s.coordinates,
+      overlayColor: s.settings?.overlayColor,
+      settings: s.settings,
+      results: s.results
+    })),
+
+    // Polygon searches - include all shape data for redrawing
+    polygonSearches: (state.polygonSearches || []).map(s => ({
+      id: s.id,
+      label: s.label,
+      shapeNumber: s.shapeNumber,
+      coordinates: s.coordinates,
+      shapeType: s.shapeType,
+      circleCenter: s.circleCenter,
+      circleRadius: s.circleRadius,
+      geometry: s.geometry || undefined,
+      inclusion: s.inclusion,
+      bounds: s.bounds,
+      overlayColor: s.settings?.overlayColor,
+      settings: s.settings,
+      results: s.results
+    })),
+
+    // Hierarchy searches - full search history
+    hierarchySearches: (state.hierarchySearches || []).map(s => ({
+      id: s.id,
+      label: s.label,
+      state: s.state,
+      county: s.county,
+      city: s.city,
+      includeCity: s.includeCity,
+      timestamp: s.timestamp
+    })),
+
+    // CSV upload data
+    csvFullData: state.csvFullData || [],
+
+    // Boundary visibility settings
+    boundarySettings: {
+      showZipBoundaries: state.showZipBoundaries ?? false,
+      showStateBoundaries: state.showStateBoundaries ?? false,
+      showCountyBoundaries: state.showCountyBoundaries ?? false,
+      showCityBoundaries: state.showCityBoundaries ?? false,
+      showVtdBoundaries: state.showVtdBoundaries ?? false
+    }
+  };
+
+  // Excluded ZIPs/cities/counties/states (workspaces only)
+  if (state.excludedGeos) {
+    shareData.excludedGeos = state.excludedGeos;
+  }
+
+  return shareData;
+}
+
 /**
  * Create a new share link via API
  * @param {Object} state - Search state to share
  * @param {string} viewMode - 'edit' or 'view'
- * @returns {Promise<{id: string, url: string}|null>} - Share ID and URL or null on error
+ * @param {Object} options
+ * @param {number|null} options.expiresInDays - Days until the link expires (null = never)
+ * @returns {Promise<{id: string, url: string, version: number, expiresAt: string|null}|null>} - Share or null on error
  */
-export async function createShareLink(state, viewMode = 'edit') {
+export async function createShareLink(state, viewMode = 'edit', { expiresInDays = null } = {}) {
   try {
-    const shareData = {
-      mode: state.searchMode,
-      mapView: {
-        center: state.mapCenter,
-        zoom: state.mapZoom,
-        type: state.mapType || 'street'
-      },
-      viewMode,
-
-      // Radius searches - include full data for restoration
-      radiusSearches: (state.radiusSearches || []).map(s => ({
-        id: s.id,
-        query: s.query,
-        center: s.center,
-        radius: s.radius,
-        label: s.label,
-        overlayColor: s.settings?.overlayColor,
-        settings: s.settings,
-        results: s.results
-      })),
-
-      // Address searches
-      addressSearches: (state.addressSearches || []).map(s => ({
-        id: s.id,
-        query: s.query,
-        center: s.center,
-        radius: s.radius,
-        mode: s.mode,
-        label: s.label,
-        coordinates: s.coordinates,
-        overlayColor: s.settings?.overlayColor,
-        settings: s.settings,
-        results: s.results
-      })),
-
-      // Polygon searches - include all shape data for redrawing
-      polygonSearches: (state.polygonSearches || []).map(s => ({
-        id: s.id,
-        label: s.label,
-        shapeNumber: s.shapeNumber,
-        coordinates: s.coordinates,
-        shapeType: s.shapeType,
-        circleCenter: s.circleCenter,
-        circleRadius: s.circleRadius,
-        bounds: s.bounds,
-        overlayColor: s.settings?.overlayColor,
-        settings: s.settings,
-        results: s.results
-      })),
-
-      // Hierarchy searches - full search history
-      hierarchySearches: (state.hierarchySearches || []).map(s => ({
-        id: s.id,
-        label: s.label,
-        state: s.state,
-        county: s.county,
-        city: s.city,
-        includeCity: s.includeCity,
-        timestamp: s.timestamp
-      })),
-
-      // CSV upload data
-      csvFullData: state.csvFullData || [],
-
-      // Boundary visibility settings
-      boundarySettings: {
-        showZipBoundaries: state.showZipBoundaries ?? false,
-        showStateBoundaries: state.showStateBoundaries ?? false,
-        showCountyBoundaries: state.showCountyBoundaries ?? false,
-        showCityBoundaries: state.showCityBoundaries ?? false,
-        showVtdBoundaries: state.showVtdBoundaries ?? false
-      }
-    };
+    const shareData = { ...buildShareState(state, viewMode), expiresInDays };
 
     const response = await fetch(`${SHARE_API_URL}/api/share`, {
       method: 'POST',
@@ -103,9 +228,21 @@ export async function createShareLink(state, viewMode = 'edit') {
     }
 
     const result = await response.json();
+    const now = Date.now();
+    updateOwnedShare(result.id, {
+      token: result.ownerToken,
+      viewMode,
+      version: result.version || 1,
+      expiresAt: result.expiresAt || null,
+      createdAt: now,
+      updatedAt: now
+    });
+
     return {
       id: result.id,
-      url: `${window.location.origin}/s/${result.id}`
+      url: buildShareUrl(result.id),
+      version: result.version || 1,
+      expiresAt: result.expiresAt || null
     };
   } catch (error) {
     console.error('Failed to create share link:', error);
@@ -113,6 +250,61 @@ export async function createShareLink(state, viewMode = 'edit') {
   }
 }
 
+/**
+ * Replace the contents of an existing link, keeping the same URL
+ * The previous contents stay available in the link's version history
+ * @param {string} shareId - Link created in this browser
+ * @param {Object} state - Search state to share
+ * @param {string} viewMode - 'edit' or 'view'
+ * @param {Object} options
+ * @param {number|null} options.expiresInDays - New expiry (null = never, undefined = unchanged)
+ * @returns {Promise<{id: string, url: string, version: number, expiresAt: string|null}>}
+ */
+export async function updateShareLink(shareId, state, viewMode = 'edit', { expiresInDays } = {}) {
+  // The server refuses the update (409) if the link changed since this
+  // browser last saved it, e.g. from another tab
+  const editedVersion = readOwnedShares()[shareId]?.version || 1;
+  const result = await ownerRequest(shareId, '', {
+    method: 'PUT',
+    headers: { 'If-Match': `"${editedVersion}"` },
+    body: JSON.stringify({ ...buildShareState(state, viewMode), expiresInDays })
+  });
+
+  updateOwnedShare(shareId, {
+    viewMode,
+    version: result.version,
+    expiresAt: result.expiresAt || null,
+    updatedAt: Date.now()
+  });
+
+  return {
+    id: shareId,
+    url: buildShareUrl(shareId),
+    version: result.version,
+    expiresAt: result.expiresAt || null
+  };
+}
+
+/**
+ * Revoke a link so it no longer opens
+ * @param {string} shareId - Link created in this browser
+ * @returns {Promise<void>}
+ */
+export async function deleteShareLink(shareId) {
+  await ownerRequest(shareId, '', { method: 'DELETE' });
+  updateOwnedShare(shareId, null);
+}
+
+/**
+ * Version history of a link, newest first
+ * @param {string} shareId - Link created in this browser
+ * @returns {Promise<Array<{version: number, createdAt: string, title: string|null, current: boolean}>>}
+ */
+export async function fetchShareVersions(shareId) {
+  const result = await ownerRequest(shareId, '/versions', { method: 'GET' });
+  return result.versions || [];
+}
+
 /**
  * Fetch share data from API by ID
  * @param {string} shareId - The share ID
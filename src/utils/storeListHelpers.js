@@ -0,0 +1,138 @@
+/**
+ * Store List Helpers
+ *
+ * Turns an uploaded store list (addresses or lat/lng, optional per-row
+ * radius) into radius search locations, and tags ZIP results with the
+ * store(s) they belong to and the nearest store.
+ */
+
+import Papa from 'papaparse';
+import { detectColumnTypes } from './csvHelpers.js';
+import { calculateDistance } from './geoHelpers.js';
+
+export const MAX_STORES = 1000;
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+const RADIUS_COLUMNS = ['radius', 'radius_miles', 'radius (mi)', 'miles', 'distance'];
+const NAME_COLUMNS = ['store', 'store_name', 'store name', 'name', 'location', 'location_name', 'branch'];
+const ID_COLUMNS = ['store_id', 'store id', 'store_number', 'store number', 'store #', 'id', 'number'];
+
+const findColumn = (headers, candidates) => {
+  const lower = new Map(headers.map(header => [header.toLowerCase().trim(), header]));
+  return candidates.map(candidate => lower.get(candidate)).find(Boolean) || null;
+};
+
+/**
+ * Read a store list CSV
+ * Rows need either lat/lng columns or address columns (full address, or
+ * street/city/state/zip) that can be geocoded
+ * @param {File} file
+ * @param {number} defaultRadius - Miles, used for rows without a radius
+ * @returns {Promise<{stores: Array<Object>, skipped: number}>} Stores with
+ *   { name, storeId, lat, lng, radius, addressString }; lat/lng are null
+ *   until geocoded
+ */
+export async function parseStoreList(file, defaultRadius) {
+  const text = await file.text();
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const headers = meta.fields || [];
+
+  if (data.length === 0) {
+    throw new Error('The file has no rows');
+  }
+  if (data.length > MAX_STORES) {
+    throw new Error(`Too many stores (maximum ${MAX_STORES.toLocaleString()})`);
+  }
+
+  const latColumn = findColumn(headers, LAT_COLUMNS);
+  const lngColumn = findColumn(headers, LNG_COLUMNS);
+  const radiusColumn = findColumn(headers, RADIUS_COLUMNS);
+  const nameColumn = findColumn(headers, NAME_COLUMNS);
+  const idColumn = findColumn(headers, ID_COLUMNS);
+
+  // Address columns use the same detection as the geocode upload
+  const addressMapping = detectColumnTypes(
+    data,
+    headers.filter(header => ![latColumn, lngColumn, radiusColumn, nameColumn, idColumn].includes(header)),
+    true
+  );
+  const addressColumns = ['fullAddress', 'street', 'city', 'state', 'zip']
+    .map(type => Object.keys(addressMapping).find(header => addressMapping[header] === type))
+    .filter(Boolean);
+
+  if (!(latColumn && lngColumn) && addressColumns.length === 0) {
+    throw new Error('Add latitude/longitude columns or address columns (address, city, state, zip)');
+  }
+
+  let skipped = 0;
+  const stores = [];
+
+  data.forEach((row, index) => {
+    const lat = latColumn ? parseFloat(row[latColumn]) : NaN;
+    const lng = lngColumn ? parseFloat(row[lngColumn]) : NaN;
+    const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lng) &&
+      Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+    const addressString = addressColumns
+      .map(column => String(row[column] || '').trim())
+      .filter(Boolean)
+      .join(', ');
+
+    if (!hasCoordinates && !addressString) {
+      skipped += 1;
+      return;
+    }
+
+    const rowRadius = radiusColumn ? parseFloat(row[radiusColumn]) : NaN;
+    const storeId = idColumn ? String(row[idColumn] || '').trim() : '';
+    const name = (nameColumn && String(row[nameColumn] || '').trim()) ||
+      (storeId ? `Store ${storeId}` : addressString || `Store ${index + 1}`);
+
+    stores.push({
+      name,
+      storeId,
+      lat: hasCoordinates ? lat : null,
+      lng: hasCoordinates ? lng : null,
+      radius: Number.isFinite(rowRadius) && rowRadius > 0 ? Math.min(rowRadius, 100) : defaultRadius,
+      addressString
+    });
+  });
+
+  return { stores, skipped };
+}
+
+/**
+ * Add store columns to ZIP rows
+ * - stores: names of the store searches the ZIP came from
+ * - nearestStore / nearestStoreMiles: closest store of the list, by straight
+ *   line from the ZIP centroid
+ * @param {Array<Object>} zips - ZIP rows tagged with searchIds
+ * @param {Array<Object>} storeSearches - Radius searches that carry a store
+ * @returns {Array<Object>} New rows (the input is returned as-is when there are no stores)
+ */
+export function annotateStoreMembership(zips, storeSearches) {
+  if (!storeSearches.length) return zips;
+
+  const nameById = new Map(storeSearches.map(search => [search.id, search.store.name]));
+
+  return zips.map(zip => {
+    const stores = (zip.searchIds || []).map(id => nameById.get(id)).filter(Boolean);
+    let nearest = null;
+
+    if (Number.isFinite(zip.lat) && Number.isFinite(zip.lng)) {
+      storeSearches.forEach(search => {
+        const miles = calculateDistance(zip.lat, zip.lng, search.center[0], search.center[1]);
+        if (!nearest || miles < nearest.miles) {
+          nearest = { name: search.store.name, miles };
+        }
+      });
+    }
+
+    return {
+      ...zip,
+      stores: stores.join('; '),
+      nearestStore: nearest?.name || '',
+      nearestStoreMiles: nearest ? Math.round(nearest.miles * 10) / 10 : null
+    };
+  });
+}
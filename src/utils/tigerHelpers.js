@@ -0,0 +1,34 @@
+/**
+ * TIGER Helpers
+ * Queries against the Census TIGERweb ArcGIS REST layers used by the
+ * boundary services.
+ */
+
+/**
+ * Features of a TIGERweb layer intersecting a point. Points on a shared edge
+ * return every neighbour, so callers still test which one contains it.
+ * @param {string} layerUrl - Layer endpoint, e.g. `${TIGER_API_BASE}/${ZCTA_LAYER}`
+ * @param {string} outFields - Comma-separated fields, or '*'
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Array<Object>>} GeoJSON Features; rejects when the request fails
+ */
+export async function queryTigerAtPoint(layerUrl, outFields, lat, lng) {
+  const params = new URLSearchParams({
+    geometry: `${lng},${lat}`,
+    geometryType: 'esriGeometryPoint',
+    inSR: '4326',
+    spatialRel: 'esriSpatialRelIntersects',
+    outFields,
+    returnGeometry: 'true',
+    f: 'geojson',
+    geometryPrecision: '5'
+  });
+
+  const res = await fetch(`${layerUrl}/query?${params}`);
+  if (!res.ok) {
+    throw new Error(`TIGER point query failed: ${res.status}`);
+  }
+  const json = await res.json();
+  return json?.features || [];
+}
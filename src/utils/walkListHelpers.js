@@ -0,0 +1,468 @@
+/**
+ * Canvassing walk lists
+ *
+ * Splits address results into turfs of about N doors and orders each turf
+ * as a walk: up one side of a block in house-number order, back down the
+ * other, then on to the nearest block not yet walked. Turfs never cross a
+ * VTD, and only split a block when the block alone has more doors than a
+ * turf. Also builds the printable PDF and CSV for a set of turfs. No
+ * browser or app dependencies, so tests use it directly.
+ */
+
+import { calculateDistance, isPointInPolygon } from './geoHelpers.js';
+import { formatStreetLine } from './addressNormalizer.js';
+import { PdfDocument } from './pdfWriter.js';
+
+export const DEFAULT_DOORS_PER_TURF = 50;
+
+// OSM building=* values that aren't homes; addresses on them are skipped when
+// residentialOnly is set. Untagged and building=yes addresses are kept.
+const NON_RESIDENTIAL_BUILDINGS = new Set([
+  'barn', 'bridge', 'carport', 'cathedral', 'chapel', 'church', 'civic', 'college', 'commercial',
+  'construction', 'fire_station', 'garage', 'garages', 'government', 'grandstand', 'greenhouse',
+  'hangar', 'hospital', 'hotel', 'industrial', 'kindergarten', 'kiosk', 'manufacture', 'mosque',
+  'office', 'parking', 'public', 'religious', 'retail', 'roof', 'school', 'service', 'shed',
+  'sports_centre', 'sports_hall', 'stadium', 'storage_tank', 'supermarket', 'synagogue', 'temple',
+  'toilets', 'train_station', 'transportation', 'university', 'warehouse', 'water_tower'
+]);
+
+// House numbers on one block share a hundred (100-199 Main St)
+const BLOCK_SIZE = 100;
+
+// A turf left over at the end of a VTD with fewer doors than this share of
+// doorsPerTurf is folded into the turf before it
+const MIN_TURF_SHARE = 0.25;
+
+// How far the turf polygon reaches past its outermost doors
+const TURF_PADDING_METERS = 30;
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Whether an address is on a building that isn't a home
+ * @param {Object} address - Address with an OSM `building` value
+ * @returns {boolean}
+ */
+export const isNonResidential = (address) =>
+  NON_RESIDENTIAL_BUILDINGS.has(String(address?.building || '').toLowerCase());
+
+const houseNumber = (address) => {
+  const match = String(address.housenumber || '').match(/^\d+/);
+  return match ? Number(match[0]) : null;
+};
+
+// Planar distance, only used to compare candidates
+const squaredDistance = (a, b) => {
+  const dLng = (a.lng - b.lng) * Math.cos((a.lat * Math.PI) / 180);
+  const dLat = a.lat - b.lat;
+  return dLng * dLng + dLat * dLat;
+};
+
+const byHouseNumber = (a, b) =>
+  (a.number ?? Infinity) - (b.number ?? Infinity) ||
+  String(a.address.housenumber).localeCompare(String(b.address.housenumber), undefined, { numeric: true }) ||
+  String(a.address.unit || '').localeCompare(String(b.address.unit || ''), undefined, { numeric: true });
+
+// VTD feature -> what's needed to test points against it
+const prepareVtd = (feature) => {
+  const { geometry, properties = {} } = feature || {};
+  const polygons = geometry?.type === 'MultiPolygon'
+    ? geometry.coordinates
+    : geometry?.type === 'Polygon' ? [geometry.coordinates] : [];
+  const outer = polygons.flatMap(([ring = []]) => ring);
+  if (outer.length === 0) return null;
+
+  const lngs = outer.map(([lng]) => lng);
+  const lats = outer.map(([, lat]) => lat);
+  return {
+    id: properties.geoid || properties.vtd_code || properties.name,
+    name: properties.name || properties.vtd_code || properties.geoid || '',
+    polygons,
+    bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+  };
+};
+
+const vtdContains = ({ polygons, bbox }, lng, lat) =>
+  lng >= bbox[0] && lng <= bbox[2] && lat >= bbox[1] && lat <= bbox[3] &&
+  polygons.some(([outer, ...holes]) =>
+    isPointInPolygon([lng, lat], outer) && !holes.some(hole => isPointInPolygon([lng, lat], hole))
+  );
+
+/**
+ * The ways to walk a segment: up one side and back down the other, starting
+ * from either end of either side
+ */
+const segmentOrders = ({ odd, even }) => {
+  const reversed = (list) => [...list].reverse();
+  if (odd.length === 0) return [even, reversed(even)];
+  if (even.length === 0) return [odd, reversed(odd)];
+  return [
+    [...odd, ...reversed(even)],
+    [...even, ...reversed(odd)],
+    [...reversed(odd), ...even],
+    [...reversed(even), ...odd]
+  ];
+};
+
+/**
+ * Group doors into street segments: one side-aware block of one street.
+ * Doors without a street are their own segment.
+ */
+const toSegments = (doors) => {
+  const segments = new Map();
+  doors.forEach((door, index) => {
+    const street = String(door.address.street || '').toUpperCase();
+    const key = street && door.number != null
+      ? `${street}|${Math.floor(door.number / BLOCK_SIZE)}`
+      : street ? `${street}|?` : `#${index}`;
+    if (!segments.has(key)) segments.set(key, { street: door.address.street || '', odd: [], even: [] });
+    const segment = segments.get(key);
+    (door.number != null && door.number % 2 === 0 ? segment.even : segment.odd).push(door);
+  });
+
+  return Array.from(segments.values()).map(segment => {
+    segment.odd.sort(byHouseNumber);
+    segment.even.sort(byHouseNumber);
+    segment.orders = segmentOrders(segment);
+    return segment;
+  });
+};
+
+/**
+ * Order segments by nearest neighbour, starting from the westernmost door,
+ * and return the doors in walking order
+ */
+const walkSegments = (segments) => {
+  const remaining = new Set(segments);
+  const route = [];
+  let position = null;
+
+  while (remaining.size > 0) {
+    let best = null;
+    remaining.forEach(segment => {
+      segment.orders.forEach(order => {
+        const first = order[0];
+        const cost = position
+          ? squaredDistance(position, first)
+          : first.lng;
+        if (!best || cost < best.cost) best = { segment, order, cost };
+      });
+    });
+
+    remaining.delete(best.segment);
+    route.push({ segment: best.segment, doors: best.order });
+    position = best.order[best.order.length - 1];
+  }
+
+  return route;
+};
+
+/**
+ * Pack a VTD's walk into turfs of up to doorsPerTurf doors, keeping each
+ * segment in one turf unless it's bigger than a turf on its own
+ */
+const packTurfs = (route, doorsPerTurf) => {
+  const turfs = [];
+  let current = [];
+
+  route.forEach(({ doors }) => {
+    if (current.length > 0 && current.length + doors.length > doorsPerTurf) {
+      turfs.push(current);
+      current = [];
+    }
+    for (let start = 0; start < doors.length; start += doorsPerTurf) {
+      if (current.length > 0 && start > 0) {
+        turfs.push(current);
+        current = [];
+      }
+      current.push(...doors.slice(start, start + doorsPerTurf));
+    }
+  });
+  if (current.length > 0) turfs.push(current);
+
+  if (turfs.length > 1 && turfs[turfs.length - 1].length < doorsPerTurf * MIN_TURF_SHARE) {
+    const last = turfs.pop();
+    turfs[turfs.length - 1].push(...last);
+  }
+  return turfs;
+};
+
+/**
+ * Convex hull (monotone chain) of [lng, lat] points, counter-clockwise
+ */
+const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+  const lower = [];
+  sorted.forEach(point => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  });
+  const upper = [];
+  [...sorted].reverse().forEach(point => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  });
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+};
+
+/**
+ * Polygon around a turf's doors: the convex hull of a small box around each
+ * door, so single doors and doors in a line still get an area
+ */
+const turfPolygon = (doors) => {
+  const corners = doors.flatMap(({ lat, lng }) => {
+    const dLat = TURF_PADDING_METERS / METERS_PER_DEGREE;
+    const dLng = dLat / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+    return [[lng - dLng, lat - dLat], [lng + dLng, lat - dLat], [lng + dLng, lat + dLat], [lng - dLng, lat + dLat]];
+  });
+  const hull = convexHull(corners).map(([lng, lat]) => [
+    Math.round(lng * 1e6) / 1e6,
+    Math.round(lat * 1e6) / 1e6
+  ]);
+  return { type: 'Polygon', coordinates: [[...hull, hull[0]]] };
+};
+
+/**
+ * Split addresses into walkable turfs
+ *
+ * @param {Array<Object>} addresses - Address results (lat, lng, housenumber,
+ *   street, unit, building, ...)
+ * @param {Object} [options]
+ * @param {number} [options.doorsPerTurf] - Target doors per turf
+ * @param {Array<Object>} [options.vtds] - VTD GeoJSON features (properties
+ *   geoid/vtd_code/name); turfs never cross one. Doors outside every VTD
+ *   share an unassigned group.
+ * @param {boolean} [options.residentialOnly] - Skip addresses on
+ *   non-residential buildings
+ * @returns {Array<Object>} Turfs, numbered from 1: { id, number, vtdId,
+ *   vtdName, doors, streets, distanceMiles, geometry }. Each door is the
+ *   address plus walkOrder (1-based within the turf) and side ('odd',
+ *   'even' or '').
+ */
+export function buildTurfs(addresses, { doorsPerTurf = DEFAULT_DOORS_PER_TURF, vtds = [], residentialOnly = false } = {}) {
+  const size = Math.max(1, Math.floor(Number(doorsPerTurf) || DEFAULT_DOORS_PER_TURF));
+  const districts = vtds.map(prepareVtd).filter(Boolean);
+
+  const groups = new Map();
+  addresses.forEach(address => {
+    const lat = Number(address?.lat);
+    const lng = Number(address?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+    if (residentialOnly && isNonResidential(address)) return;
+
+    const vtd = districts.find(district => vtdContains(district, lng, lat)) || null;
+    const key = vtd ? vtd.id : '';
+    if (!groups.has(key)) groups.set(key, { vtd, doors: [] });
+    groups.get(key).doors.push({ address, lat, lng, number: houseNumber(address) });
+  });
+
+  // VTDs by name, doors outside any VTD last
+  const ordered = Array.from(groups.values()).sort((a, b) =>
+    (a.vtd ? 0 : 1) - (b.vtd ? 0 : 1) ||
+    String(a.vtd?.name || '').localeCompare(String(b.vtd?.name || ''), undefined, { numeric: true })
+  );
+
+  const turfs = [];
+  ordered.forEach(({ vtd, doors }) => {
+    packTurfs(walkSegments(toSegments(doors)), size).forEach(turfDoors => {
+      const number = turfs.length + 1;
+      let distanceMiles = 0;
+      for (let i = 1; i < turfDoors.length; i++) {
+        const [from, to] = [turfDoors[i - 1], turfDoors[i]];
+        distanceMiles += calculateDistance(from.lat, from.lng, to.lat, to.lng);
+      }
+
+      turfs.push({
+        id: `turf-${number}`,
+        number,
+        vtdId: vtd?.id || null,
+        vtdName: vtd?.name || '',
+        doors: turfDoors.map((door, index) => ({
+          ...door.address,
+          walkOrder: index + 1,
+          side: door.number == null ? '' : door.number % 2 === 0 ? 'even' : 'odd'
+        })),
+        streets: Array.from(new Set(turfDoors.map(door => door.address.street).filter(Boolean))),
+        distanceMiles: Math.round(distanceMiles * 100) / 100,
+        geometry: turfPolygon(turfDoors)
+      });
+    });
+  });
+
+  return turfs;
+}
+
+/**
+ * Display name for a turf, e.g. "Turf 3 - Precinct 1204"
+ */
+export const turfLabel = (turf) => `Turf ${turf.number}${turf.vtdName ? ` - ${turf.vtdName}` : ''}`;
+
+const CSV_COLUMNS = [
+  ['Turf', (turf) => turf.number],
+  ['VTD', (turf) => turf.vtdName],
+  ['Order', (turf, door) => door.walkOrder],
+  ['Address', (turf, door) => formatStreetLine(door)],
+  ['House Number', (turf, door) => door.housenumber],
+  ['Street', (turf, door) => door.street],
+  ['Unit', (turf, door) => door.unit || door.flats],
+  ['Side', (turf, door) => door.side],
+  ['Building', (turf, door) => door.building],
+  ['City', (turf, door) => door.city],
+  ['State', (turf, door) => door.state],
+  ['ZIP', (turf, door) => door.postcode],
+  ['Latitude', (turf, door) => door.lat],
+  ['Longitude', (turf, door) => door.lng],
+  ['Contacted', () => ''],
+  ['Notes', () => '']
+];
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Walk list CSV, one row per door in walking order, turf by turf
+ * @param {Array<Object>} turfs - From buildTurfs
+ * @returns {string}
+ */
+export function walkListCsv(turfs) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  turfs.forEach(turf => turf.doors.forEach(door => {
+    lines.push(CSV_COLUMNS.map(([, value]) => escapeCsv(value(turf, door))).join(','));
+  }));
+  return lines.join('\n');
+}
+
+// Letter page layout, in points
+const MARGIN = 40;
+const MAP_TOP = 96;
+const MAP_HEIGHT = 220;
+const ROW_HEIGHT = 16;
+const FIRST_TABLE_Y = MAP_TOP + MAP_HEIGHT + 24;
+const CONTINUED_TABLE_Y = MARGIN + 30;
+const TABLE_COLUMNS = [
+  { header: '#', x: 40, width: 22 },
+  { header: '', x: 64, width: 14 },
+  { header: 'Address', x: 82, width: 200 },
+  { header: 'Unit', x: 286, width: 56 },
+  { header: 'Side', x: 346, width: 30 },
+  { header: 'Building', x: 380, width: 64 },
+  { header: 'Result / Notes', x: 448, width: 124 }
+];
+
+/**
+ * Sketch of the turf: its polygon, the route and numbered doors, scaled into
+ * the box at (x, y, width, height)
+ */
+const drawTurfMap = (pdf, turf, x, y, width, height) => {
+  const ring = turf.geometry.coordinates[0];
+  const lngs = ring.map(([lng]) => lng);
+  const lats = ring.map(([, lat]) => lat);
+  const [minLng, maxLng, minLat, maxLat] = [Math.min(...lngs), Math.max(...lngs), Math.min(...lats), Math.max(...lats)];
+  const lngScale = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const spanX = Math.max((maxLng - minLng) * lngScale, 1e-9);
+  const spanY = Math.max(maxLat - minLat, 1e-9);
+  const scale = Math.min((width - 20) / spanX, (height - 20) / spanY);
+  const offsetX = x + (width - spanX * scale) / 2;
+  const offsetY = y + (height - spanY * scale) / 2;
+  const project = (lng, lat) => [offsetX + (lng - minLng) * lngScale * scale, offsetY + (maxLat - lat) * scale];
+
+  pdf.rect(x, y, width, height, { stroke: '#9ca3af', width: 0.5 });
+  pdf.polyline(ring.map(([lng, lat]) => project(lng, lat)), { closed: true, stroke: '#2563eb', fill: '#eff6ff', width: 1 });
+  pdf.polyline(turf.doors.map(door => project(door.lng, door.lat)), { stroke: '#9ca3af', width: 0.6, dash: [2, 2] });
+
+  const labelEvery = Math.max(1, Math.ceil(turf.doors.length / 60));
+  turf.doors.forEach((door, index) => {
+    const [px, py] = project(door.lng, door.lat);
+    const isStart = index === 0;
+    pdf.circle(px, py, isStart ? 3 : 1.8, { fill: isStart ? '#16a34a' : '#1d4ed8' });
+    if (isStart || index % labelEvery === 0 || index === turf.doors.length - 1) {
+      pdf.text(px + 3, py - 2, isStart ? `${door.walkOrder} Start` : door.walkOrder, { size: 5, color: '#374151' });
+    }
+  });
+};
+
+const drawTableHeader = (pdf, y) => {
+  TABLE_COLUMNS.forEach(column => {
+    pdf.text(column.x, y, column.header, { size: 8, bold: true });
+  });
+  pdf.line(MARGIN, y + 4, pdf.width - MARGIN, y + 4, { width: 0.75 });
+  return y + 4 + ROW_HEIGHT;
+};
+
+const drawDoorRow = (pdf, door, y) => {
+  const cells = [
+    door.walkOrder,
+    null,
+    formatStreetLine({ housenumber: door.housenumber, street: door.street }) || door.name || '',
+    door.unit || door.flats || '',
+    door.side,
+    door.building && door.building !== 'yes' ? door.building : ''
+  ];
+  cells.forEach((value, index) => {
+    const column = TABLE_COLUMNS[index];
+    if (value == null) {
+      pdf.rect(column.x, y - 8, 9, 9, { width: 0.75 });
+      return;
+    }
+    pdf.text(column.x, y, pdf.fitText(value, column.width - 4, 9), { size: 9 });
+  });
+  pdf.line(MARGIN, y + 5, pdf.width - MARGIN, y + 5, { width: 0.25, color: '#d1d5db' });
+};
+
+/**
+ * Printable walk list: for each turf a header, a sketch map of the turf and
+ * the doors in walking order with a check box and room for notes
+ * @param {Array<Object>} turfs - From buildTurfs
+ * @param {Object} [options]
+ * @param {string} [options.title] - Printed above each turf, e.g. the search name
+ * @param {Date} [options.date]
+ * @returns {PdfDocument}
+ */
+export function walkListPdf(turfs, { title = 'Walk List', date = new Date() } = {}) {
+  const pdf = new PdfDocument();
+  const generated = date.toISOString().slice(0, 10);
+  const bottom = pdf.height - MARGIN;
+
+  turfs.forEach(turf => {
+    const rowsFrom = (headerY) => Math.floor((bottom - (headerY + 4 + ROW_HEIGHT)) / ROW_HEIGHT) + 1;
+    const firstPageRows = rowsFrom(FIRST_TABLE_Y);
+    const laterPageRows = rowsFrom(CONTINUED_TABLE_Y);
+    const pageCount = 1 + Math.max(0, Math.ceil((turf.doors.length - firstPageRows) / laterPageRows));
+    let page = 1;
+
+    const footer = () => {
+      pdf.text(MARGIN, pdf.height - 20, `${turfLabel(turf)} - page ${page} of ${pageCount}`, { size: 7, color: '#6b7280' });
+      pdf.text(pdf.width - MARGIN - 70, pdf.height - 20, `Generated ${generated}`, { size: 7, color: '#6b7280' });
+    };
+
+    pdf.addPage();
+    pdf.text(MARGIN, 48, pdf.fitText(title, pdf.width - 2 * MARGIN, 9), { size: 9, color: '#6b7280' });
+    pdf.text(MARGIN, 66, turfLabel(turf), { size: 16, bold: true });
+    const summary = `${turf.doors.length} doors - ${turf.streets.length} street${turf.streets.length === 1 ? '' : 's'}` +
+      ` - about ${turf.distanceMiles.toFixed(2)} mi walking`;
+    pdf.text(MARGIN, 80, summary, { size: 9 });
+    pdf.text(MARGIN, 91, pdf.fitText(`Streets: ${turf.streets.join(', ')}`, pdf.width - 2 * MARGIN, 8), { size: 8, color: '#374151' });
+    drawTurfMap(pdf, turf, MARGIN, MAP_TOP, pdf.width - 2 * MARGIN, MAP_HEIGHT);
+
+    let y = drawTableHeader(pdf, FIRST_TABLE_Y);
+    turf.doors.forEach(door => {
+      if (y > bottom) {
+        footer();
+        page++;
+        pdf.addPage();
+        pdf.text(MARGIN, MARGIN + 10, `${turfLabel(turf)} (continued)`, { size: 11, bold: true });
+        y = drawTableHeader(pdf, CONTINUED_TABLE_Y);
+      }
+      drawDoorRow(pdf, door, y);
+      y += ROW_HEIGHT;
+    });
+    footer();
+  });
+
+  return pdf;
+}
@@ -0,0 +1,61 @@
+/**
+ * Worker Client
+ * Request/response calls to a Web Worker that answers { id, method, args }
+ * messages with { id, result } or { id, error } (see src/workers/).
+ *
+ * The worker is created on the first call. Services pass a factory so the
+ * `new Worker(new URL(..., import.meta.url))` expression stays in their own
+ * module, where Vite can find and bundle the worker.
+ */
+
+export class WorkerClient {
+  /**
+   * @param {Function} createWorker - () => Worker
+   * @param {Object} [options]
+   * @param {string} [options.name] - Used in the error when the worker itself fails
+   */
+  constructor(createWorker, { name = 'Worker' } = {}) {
+    this.createWorker = createWorker;
+    this.name = name;
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = this.createWorker();
+      this.worker.onmessage = (event) => {
+        const { id, result, error } = event.data;
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+      };
+      this.worker.onerror = (event) => {
+        const error = new Error(event.message || `${this.name} failed`);
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+      };
+    }
+    return this.worker;
+  }
+
+  /**
+   * Call a method in the worker
+   * @returns {Promise<*>} The worker's result; rejects with its error
+   */
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextId;
+      this.pending.set(id, { resolve, reject });
+      try {
+        this.getWorker().postMessage({ id, method, args });
+      } catch (error) {
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+}
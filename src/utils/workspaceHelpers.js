@@ -0,0 +1,27 @@
+/**
+ * Workspace Helpers
+ * Decisions behind workspace autosave (contexts/WorkspaceContext.jsx)
+ */
+
+export const AUTOSAVE_ACTIONS = {
+  SKIP: 'skip',
+  SAVE: 'save', // Overwrite the open workspace
+  CREATE: 'create' // Start a workspace for searches made with none open
+};
+
+/**
+ * What autosave should do with the current snapshot
+ * @param {Object} params
+ * @param {string} params.serialized - JSON of the current snapshot
+ * @param {string|null} params.lastSaved - JSON last written (or restored)
+ * @param {string|null} params.workspaceId - Open workspace
+ * @param {number} params.searchCount - Searches in the snapshot
+ * @returns {string} One of AUTOSAVE_ACTIONS
+ */
+export function getAutosaveAction({ serialized, lastSaved, workspaceId, searchCount }) {
+  if (serialized === lastSaved) return AUTOSAVE_ACTIONS.SKIP;
+  if (workspaceId) return AUTOSAVE_ACTIONS.SAVE;
+
+  // Nothing worth keeping yet - don't create empty workspaces
+  return searchCount > 0 ? AUTOSAVE_ACTIONS.CREATE : AUTOSAVE_ACTIONS.SKIP;
+}
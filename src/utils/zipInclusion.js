@@ -0,0 +1,266 @@
+/**
+ * Boundary-aware ZIP inclusion.
+ * Decides which ZIPs belong to a radius or polygon search by intersecting
+ * ZCTA boundaries with the search shape, and fills in area/overlap per ZIP.
+ *
+ * Boundaries come from the `getBoundaries` function passed in, so this
+ * module has no browser dependencies; the app's instance is in
+ * services/zipInclusionService.js.
+ */
+
+import * as turf from '@turf/turf';
+
+export const INCLUSION_MODES = {
+  CENTROID: 'centroid', // ZIP centroid falls inside the shape (legacy behaviour)
+  ANY_OVERLAP: 'any', // Any part of the ZCTA touches the shape
+  MIN_OVERLAP: 'overlap' // At least `minOverlap` percent of the ZCTA is inside
+};
+
+export const DEFAULT_INCLUSION = {
+  mode: INCLUSION_MODES.CENTROID,
+  minOverlap: 50
+};
+
+// ZCTAs can be much larger than the search shape in rural areas, so candidates
+// are gathered from a buffered area before the geometry test narrows them down
+export const CANDIDATE_BUFFER_MILES = 10;
+// Page size for the candidate query; ZipCodeService follows every page
+export const MIN_CANDIDATE_LIMIT = 2000;
+const SQ_METERS_PER_SQ_MILE = 2589988.11;
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+export class ZipInclusion {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getBoundaries - (zipCodes) => Promise of a GeoJSON
+   *   FeatureCollection whose features carry `properties.zipcode`
+   */
+  constructor({ getBoundaries }) {
+    this.getBoundaries = getBoundaries;
+  }
+
+  /**
+   * Normalize a user-supplied inclusion setting
+   * @param {Object} inclusion - { mode, minOverlap }
+   * @returns {Object} Inclusion with a valid mode and a 0-100 threshold
+   */
+  normalizeInclusion(inclusion) {
+    const mode = Object.values(INCLUSION_MODES).includes(inclusion?.mode)
+      ? inclusion.mode
+      : DEFAULT_INCLUSION.mode;
+    const minOverlap = Number(inclusion?.minOverlap);
+
+    return {
+      mode,
+      minOverlap: Number.isFinite(minOverlap)
+        ? Math.min(100, Math.max(0, minOverlap))
+        : DEFAULT_INCLUSION.minOverlap
+    };
+  }
+
+  /**
+   * Short label for chips and search history, e.g. "≥ 50% overlap"
+   * @param {Object} inclusion - { mode, minOverlap }
+   * @returns {string}
+   */
+  describeInclusion(inclusion) {
+    const { mode, minOverlap } = this.normalizeInclusion(inclusion);
+    switch (mode) {
+      case INCLUSION_MODES.ANY_OVERLAP:
+        return 'any overlap';
+      case INCLUSION_MODES.MIN_OVERLAP:
+        return `≥ ${minOverlap}% overlap`;
+      default:
+        return 'centroid';
+    }
+  }
+
+  /**
+   * Whether the search needs boundary geometry at all
+   * @param {Object} params - ZipCodeService.search params
+   * @returns {boolean}
+   */
+  requiresGeometry(params = {}) {
+    // Holes and multi-part shapes can't be expressed as a single polygon ring,
+    // so even centroid searches are filtered against the full geometry
+    if (this.hasGeometry(params)) return true;
+
+    const { mode } = this.normalizeInclusion(params.inclusion);
+    return mode !== INCLUSION_MODES.CENTROID && this.isSpatialSearch(params);
+  }
+
+  hasGeometry(params = {}) {
+    const type = params.geometry?.type;
+    return type === 'Polygon' || type === 'MultiPolygon';
+  }
+
+  isSpatialSearch(params = {}) {
+    const { lat, lng, radius, polygon } = params;
+    const hasRadius = lat != null && lng != null && radius != null;
+    const hasPolygon = Array.isArray(polygon) && polygon.length >= 3;
+    return hasRadius || hasPolygon || this.hasGeometry(params);
+  }
+
+  /**
+   * Build the search shape as a GeoJSON polygon feature
+   * @param {Object} params - { lat, lng, radius }, { polygon: [{lat, lng}] } or
+   *   { geometry } with a GeoJSON Polygon/MultiPolygon (holes allowed)
+   * @returns {Object|null} GeoJSON Feature<Polygon|MultiPolygon>
+   */
+  buildSearchShape(params = {}) {
+    const { lat, lng, radius, polygon } = params;
+
+    if (this.hasGeometry(params)) {
+      return turf.feature(params.geometry);
+    }
+
+    if (lat != null && lng != null && radius != null) {
+      return turf.circle([Number(lng), Number(lat)], Number(radius), { units: 'miles', steps: 64 });
+    }
+
+    if (Array.isArray(polygon) && polygon.length >= 3) {
+      const ring = polygon.map(p => [Number(p.lng), Number(p.lat)]);
+      const [fx, fy] = ring[0];
+      const [lx, ly] = ring[ring.length - 1];
+      if (fx !== lx || fy !== ly) ring.push([fx, fy]);
+      return turf.polygon([ring]);
+    }
+
+    return null;
+  }
+
+  /**
+   * Widen the search so ZIPs whose centroid lies outside the shape are still
+   * returned as candidates
+   * @param {Object} params - Original search params
+   * @returns {Object} Params for the centroid-based candidate query
+   */
+  getCandidateParams(params = {}) {
+    const rest = { ...params };
+    delete rest.inclusion;
+    delete rest.geometry;
+    const limit = Math.max(Number(rest.limit) || 0, MIN_CANDIDATE_LIMIT);
+
+    if (!this.hasGeometry(params) && rest.lat != null && rest.lng != null && rest.radius != null) {
+      return { ...rest, radius: Number(rest.radius) + CANDIDATE_BUFFER_MILES, limit };
+    }
+
+    const shape = this.buildSearchShape(params);
+    if (!shape) return { ...rest, limit };
+
+    const [minLng, minLat, maxLng, maxLat] = turf.bbox(shape);
+    const latDelta = CANDIDATE_BUFFER_MILES / 69;
+    const lngDelta = CANDIDATE_BUFFER_MILES / (69 * Math.cos(((minLat + maxLat) / 2) * Math.PI / 180) || 1);
+
+    return {
+      ...rest,
+      limit,
+      polygon: [
+        { lat: maxLat + latDelta, lng: minLng - lngDelta },
+        { lat: maxLat + latDelta, lng: maxLng + lngDelta },
+        { lat: minLat - latDelta, lng: maxLng + lngDelta },
+        { lat: minLat - latDelta, lng: minLng - lngDelta }
+      ]
+    };
+  }
+
+  /**
+   * Measure how much of a ZCTA lies inside the search shape
+   * @param {Object} shape - GeoJSON Feature<Polygon>
+   * @param {Object} boundary - GeoJSON Feature<Polygon|MultiPolygon>
+   * @returns {{ area: number, overlap: number, intersects: boolean }|null}
+   *   area in square miles, overlap as a 0-100 percentage; null if the
+   *   geometry could not be evaluated
+   */
+  measureOverlap(shape, boundary) {
+    if (!shape || !boundary?.geometry) return null;
+
+    try {
+      const zipArea = turf.area(boundary);
+      const [aMinX, aMinY, aMaxX, aMaxY] = turf.bbox(shape);
+      const [bMinX, bMinY, bMaxX, bMaxY] = turf.bbox(boundary);
+      const bboxDisjoint = aMaxX < bMinX || bMaxX < aMinX || aMaxY < bMinY || bMaxY < aMinY;
+
+      if (bboxDisjoint) {
+        return { area: zipArea / SQ_METERS_PER_SQ_MILE, overlap: 0, intersects: false };
+      }
+
+      const intersection = turf.intersect(turf.featureCollection([shape, boundary]));
+      const overlapArea = intersection ? turf.area(intersection) : 0;
+
+      return {
+        area: zipArea / SQ_METERS_PER_SQ_MILE,
+        overlap: zipArea > 0 ? (overlapArea / zipArea) * 100 : 0,
+        intersects: overlapArea > 0
+      };
+    } catch (error) {
+      console.warn('[ZipInclusion] Failed to intersect boundary:', error);
+      return null;
+    }
+  }
+
+  isCentroidInside(zip, shape) {
+    const lat = Number(zip?.latitude ?? zip?.lat);
+    const lng = Number(zip?.longitude ?? zip?.lng);
+    return Number.isFinite(lat) && Number.isFinite(lng) && turf.booleanPointInPolygon([lng, lat], shape);
+  }
+
+  /**
+   * Filter candidate ZIPs by boundary overlap and attach area/overlap
+   * @param {Array} candidates - Raw ZIP rows from a candidate search
+   * @param {Object} params - Original search params (shape + inclusion)
+   * @returns {Promise<Array>} ZIP rows that satisfy the inclusion mode
+   */
+  async applyInclusion(candidates, params = {}) {
+    if (!Array.isArray(candidates) || candidates.length === 0) return [];
+
+    const inclusion = this.normalizeInclusion(params.inclusion);
+    const shape = this.buildSearchShape(params);
+    if (!shape) return candidates;
+
+    if (inclusion.mode === INCLUSION_MODES.CENTROID) {
+      return candidates.filter(zip => this.isCentroidInside(zip, shape));
+    }
+
+    const zipCodes = [...new Set(
+      candidates.map(zip => zip?.zipcode || zip?.zipCode || zip?.zip).filter(Boolean)
+    )];
+    const collection = await this.getBoundaries(zipCodes);
+    const boundaryByZip = new Map(
+      (collection?.features || []).map(feature => [feature.properties?.zipcode, feature])
+    );
+
+    const included = [];
+
+    candidates.forEach(zip => {
+      const zipCode = zip?.zipcode || zip?.zipCode || zip?.zip;
+      const measured = this.measureOverlap(shape, boundaryByZip.get(zipCode));
+
+      if (!measured) {
+        // No usable boundary - fall back to the centroid test for this ZIP
+        if (this.isCentroidInside(zip, shape)) {
+          included.push(zip);
+        }
+        return;
+      }
+
+      const keep = inclusion.mode === INCLUSION_MODES.MIN_OVERLAP
+        ? measured.intersects && measured.overlap >= inclusion.minOverlap
+        : measured.intersects;
+
+      if (keep) {
+        included.push({
+          ...zip,
+          area: round(measured.area, 2),
+          overlap: round(measured.overlap, 1)
+        });
+      }
+    });
+
+    return included;
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Aggregation Worker
+ * Holds the ZIP results' city/county/state rollups (utils/resultAggregator)
+ * for aggregationService, so large result sets are grouped off the main
+ * thread. Every call answers with the updated rollups.
+ *
+ * Messages in:  { id, method: 'reset' | 'add' | 'remove', args }
+ * Messages out: { id, result: { cities, counties, states } } or { id, error }
+ */
+
+import { ResultAggregator } from '../utils/resultAggregator';
+import { DEMOGRAPHIC_FIELDS } from '../services/demographicsService';
+
+const METHODS = new Set(['reset', 'add', 'remove']);
+
+const aggregator = new ResultAggregator({ fields: DEMOGRAPHIC_FIELDS });
+
+self.onmessage = (event) => {
+  const { id, method, args = [] } = event.data || {};
+
+  try {
+    if (!METHODS.has(method)) throw new Error(`Unknown aggregation call ${method}`);
+    aggregator[method](...args);
+    self.postMessage({ id, result: aggregator.snapshot() });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * Offline Data Worker
+ * Loads the bundled offline database once and answers queries from
+ * offlineDataService, keeping decompression, indexing and scans off the
+ * main thread.
+ *
+ * Messages in:  { id, method, args }
+ * Messages out: { id, result } or { id, error }
+ */
+
+import { createOfflineDb } from '../utils/offlineDbHelpers';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+let dbPromise = null;
+
+async function loadDatabase(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Offline database not found (${response.status})`);
+  }
+
+  let bytes = new Uint8Array(await response.arrayBuffer());
+  // Servers that send Content-Encoding: gzip hand back the JSON already inflated
+  if (bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1]) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  const text = new TextDecoder().decode(bytes);
+  if (!text.trimStart().startsWith('{')) {
+    throw new Error('Offline database is not available');
+  }
+  return createOfflineDb(JSON.parse(text));
+}
+
+self.onmessage = async (event) => {
+  const { id, method, args = [] } = event.data || {};
+
+  try {
+    if (method === 'load') {
+      if (!dbPromise) {
+        // A failed load (offline, or not deployed yet) can be retried later
+        dbPromise = loadDatabase(args[0]).catch(error => {
+          dbPromise = null;
+          throw error;
+        });
+      }
+      const db = await dbPromise;
+      self.postMessage({ id, result: db.getStats() });
+      return;
+    }
+
+    if (!dbPromise) throw new Error('Offline database not loaded');
+    const db = await dbPromise;
+    if (typeof db[method] !== 'function') throw new Error(`Unknown offline query ${method}`);
+
+    self.postMessage({ id, result: db[method](...args) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
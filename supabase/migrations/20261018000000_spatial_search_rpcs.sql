@@ -0,0 +1,252 @@
+-- Spatial search RPCs
+--
+-- Exact radius, polygon and boundary-intersection searches over zipcodes,
+-- run in PostGIS instead of pulling a bounding box into the browser.
+-- Each function returns one JSON object:
+--
+--   { "results": [...], "total": <exact match count>, "next_cursor": <object|null> }
+--
+-- Pass next_cursor back as `after` for the following page (keyset pagination,
+-- stable while rows are added). page_offset is only used when `after` is null.
+--
+-- Apply with `supabase db push`, or `node scripts/migrate-to-postgis.js` for any
+-- Postgres with PostGIS.
+
+create extension if not exists postgis;
+
+-- Point for each ZIP centroid, kept in step with latitude/longitude
+alter table public.zipcodes
+  add column if not exists location geography(Point, 4326)
+  generated always as (
+    case
+      when latitude is not null and longitude is not null
+        then st_setsrid(st_makepoint(longitude::double precision, latitude::double precision), 4326)::geography
+    end
+  ) stored;
+
+create index if not exists idx_zipcodes_location on public.zipcodes using gist (location);
+create index if not exists idx_zipcodes_location_geom on public.zipcodes using gist ((location::geometry));
+create index if not exists idx_zipcodes_state_code on public.zipcodes (state_code);
+
+-- ZCTA polygons for search_geometry_intersects (same table as docs/BOUNDARY_SETUP.md)
+create table if not exists public.zip_boundaries (
+  id serial primary key,
+  zipcode varchar(10) not null unique,
+  geometry geography(MultiPolygon, 4326),
+  simplified_geometry geography(MultiPolygon, 4326),
+  state_code varchar(2),
+  created_at timestamp default now()
+);
+
+create index if not exists idx_zip_boundaries_geometry on public.zip_boundaries using gist (geometry);
+
+-- Attribute filters shared by the searches; same semantics as supabaseService.search
+create or replace function public.zipcode_matches(
+  z public.zipcodes,
+  state_filter text,
+  county_filter text,
+  city_filter text,
+  text_query text
+)
+returns boolean
+language sql
+immutable
+as $$
+  select (state_filter is null or z.state_code = upper(state_filter))
+    and (county_filter is null or z.county = county_filter)
+    and (city_filter is null or z.city = city_filter)
+    and (
+      text_query is null
+      or z.zipcode ilike '%' || text_query || '%'
+      or z.city ilike '%' || text_query || '%'
+      or z.county ilike '%' || text_query || '%'
+    );
+$$;
+
+create or replace function public.zipcode_search_row(z public.zipcodes)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object(
+    'zipcode', z.zipcode,
+    'city', z.city,
+    'state_code', z.state_code,
+    'county', z.county,
+    'latitude', z.latitude,
+    'longitude', z.longitude
+  );
+$$;
+
+-- ZIPs whose centroid is within radius_miles of a point, nearest first
+create or replace function public.search_radius(
+  center_lat double precision,
+  center_lng double precision,
+  radius_miles double precision,
+  state_filter text default null,
+  county_filter text default null,
+  city_filter text default null,
+  text_query text default null,
+  page_size integer default 500,
+  page_offset integer default 0,
+  after jsonb default null
+)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  center geography := st_setsrid(st_makepoint(center_lng, center_lat), 4326)::geography;
+  radius_meters double precision := radius_miles * 1609.344;
+  lim integer := least(greatest(coalesce(page_size, 500), 1), 5000);
+  total bigint;
+  page jsonb;
+  next_cursor jsonb;
+begin
+  if center_lat is null or center_lng is null or radius_miles is null or radius_miles < 0 then
+    raise exception 'search_radius needs center_lat, center_lng and a non-negative radius_miles'
+      using errcode = '22023';
+  end if;
+
+  select count(*) into total
+  from public.zipcodes z
+  where st_dwithin(z.location, center, radius_meters)
+    and public.zipcode_matches(z, state_filter, county_filter, city_filter, text_query);
+
+  select coalesce(
+    jsonb_agg(m.data || jsonb_build_object('distance_miles', m.distance_miles) order by m.distance_miles, m.zipcode),
+    '[]'::jsonb
+  )
+  into page
+  from (
+    select z.zipcode, public.zipcode_search_row(z) as data, st_distance(z.location, center) / 1609.344 as distance_miles
+    from public.zipcodes z
+    where st_dwithin(z.location, center, radius_meters)
+      and public.zipcode_matches(z, state_filter, county_filter, city_filter, text_query)
+      and (
+        after is null
+        or (st_distance(z.location, center) / 1609.344, z.zipcode)
+          > ((after->>'d')::double precision, after->>'z')
+      )
+    order by 3, 1
+    offset case when after is null then greatest(coalesce(page_offset, 0), 0) else 0 end
+    limit lim + 1
+  ) m;
+
+  if jsonb_array_length(page) > lim then
+    page := page - lim;
+    next_cursor := jsonb_build_object('d', page->(lim - 1)->'distance_miles', 'z', page->(lim - 1)->'zipcode');
+  end if;
+
+  return jsonb_build_object('results', page, 'total', total, 'next_cursor', next_cursor);
+end;
+$$;
+
+-- ZIPs whose centroid falls inside a GeoJSON Polygon or MultiPolygon (holes respected)
+create or replace function public.search_polygon(
+  polygon_geojson jsonb,
+  state_filter text default null,
+  county_filter text default null,
+  city_filter text default null,
+  text_query text default null,
+  page_size integer default 500,
+  page_offset integer default 0,
+  after jsonb default null
+)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  shape geometry := st_setsrid(st_geomfromgeojson(polygon_geojson::text), 4326);
+  lim integer := least(greatest(coalesce(page_size, 500), 1), 5000);
+  total bigint;
+  page jsonb;
+  next_cursor jsonb;
+begin
+  if geometrytype(shape) not in ('POLYGON', 'MULTIPOLYGON') then
+    raise exception 'search_polygon needs a GeoJSON Polygon or MultiPolygon, got %', geometrytype(shape)
+      using errcode = '22023';
+  end if;
+
+  select count(*) into total
+  from public.zipcodes z
+  where st_intersects(z.location::geometry, shape)
+    and public.zipcode_matches(z, state_filter, county_filter, city_filter, text_query);
+
+  select coalesce(jsonb_agg(m.data order by m.zipcode), '[]'::jsonb)
+  into page
+  from (
+    select z.zipcode, public.zipcode_search_row(z) as data
+    from public.zipcodes z
+    where st_intersects(z.location::geometry, shape)
+      and public.zipcode_matches(z, state_filter, county_filter, city_filter, text_query)
+      and (after is null or z.zipcode > after->>'z')
+    order by z.zipcode
+    offset case when after is null then greatest(coalesce(page_offset, 0), 0) else 0 end
+    limit lim + 1
+  ) m;
+
+  if jsonb_array_length(page) > lim then
+    page := page - lim;
+    next_cursor := jsonb_build_object('z', page->(lim - 1)->'zipcode');
+  end if;
+
+  return jsonb_build_object('results', page, 'total', total, 'next_cursor', next_cursor);
+end;
+$$;
+
+-- ZIPs whose ZCTA boundary touches any GeoJSON geometry (point, line or polygon)
+create or replace function public.search_geometry_intersects(
+  geometry_geojson jsonb,
+  state_filter text default null,
+  county_filter text default null,
+  city_filter text default null,
+  text_query text default null,
+  page_size integer default 500,
+  page_offset integer default 0,
+  after jsonb default null
+)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  shape geography := st_setsrid(st_geomfromgeojson(geometry_geojson::text), 4326)::geography;
+  lim integer := least(greatest(coalesce(page_size, 500), 1), 5000);
+  total bigint;
+  page jsonb;
+  next_cursor jsonb;
+begin
+  select count(*) into total
+  from public.zipcodes z
+  join public.zip_boundaries b on b.zipcode = z.zipcode
+  where st_intersects(b.geometry, shape)
+    and public.zipcode_matches(z, state_filter, county_filter, city_filter, text_query);
+
+  select coalesce(jsonb_agg(m.data order by m.zipcode), '[]'::jsonb)
+  into page
+  from (
+    select z.zipcode, public.zipcode_search_row(z) as data
+    from public.zipcodes z
+    join public.zip_boundaries b on b.zipcode = z.zipcode
+    where st_intersects(b.geometry, shape)
+      and public.zipcode_matches(z, state_filter, county_filter, city_filter, text_query)
+      and (after is null or z.zipcode > after->>'z')
+    order by z.zipcode
+    offset case when after is null then greatest(coalesce(page_offset, 0), 0) else 0 end
+    limit lim + 1
+  ) m;
+
+  if jsonb_array_length(page) > lim then
+    page := page - lim;
+    next_cursor := jsonb_build_object('z', page->(lim - 1)->'zipcode');
+  end if;
+
+  return jsonb_build_object('results', page, 'total', total, 'next_cursor', next_cursor);
+end;
+$$;
+
+grant execute on function public.search_radius(double precision, double precision, double precision, text, text, text, text, integer, integer, jsonb) to anon, authenticated;
+grant execute on function public.search_polygon(jsonb, text, text, text, text, integer, integer, jsonb) to anon, authenticated;
+grant execute on function public.search_geometry_intersects(jsonb, text, text, text, text, integer, integer, jsonb) to anon, authenticated;
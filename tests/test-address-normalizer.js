@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for address standardization (src/utils/addressNormalizer.js), used by
+ * the client's overpassService and, as a copy, by the address worker
+ *
+ * Usage:
+ *   npm run test:addresses
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  normalizeStreet,
+  normalizeUnit,
+  normalizeAddress,
+  formatAddress,
+  backfillAddresses,
+  dedupeAddresses
+} from '../src/utils/addressNormalizer.js';
+
+// Axis-aligned square GeoJSON polygon
+const square = (west, south, east, north) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+});
+
+test('street suffixes and directionals are abbreviated', () => {
+  assert.equal(normalizeStreet('North Main Street'), 'N Main St');
+  assert.equal(normalizeStreet('5th Avenue North'), '5th Ave N');
+  assert.equal(normalizeStreet('E. Mockingbird Ln.'), 'E Mockingbird Ln');
+  assert.equal(normalizeStreet('  Central   Expressway '), 'Central Expy');
+  assert.equal(normalizeStreet('MAIN STREET'), 'Main St');
+});
+
+test('words that are the street name are left alone', () => {
+  assert.equal(normalizeStreet('North Street'), 'North St');
+  assert.equal(normalizeStreet('Avenue B'), 'Avenue B');
+  assert.equal(normalizeStreet('Highway 75'), 'Highway 75');
+  assert.equal(normalizeStreet('McKinney Avenue'), 'McKinney Ave');
+});
+
+test('unit designators are standardized', () => {
+  assert.equal(normalizeUnit('Apartment 3b'), 'Apt 3B');
+  assert.equal(normalizeUnit('suite200'), 'Ste 200');
+  assert.equal(normalizeUnit('#12'), '12');
+  assert.equal(normalizeUnit('rear'), 'Rear');
+  assert.equal(normalizeUnit(undefined), '');
+});
+
+test('normalizing is idempotent and keeps other fields', () => {
+  const raw = {
+    id: 1,
+    type: 'node',
+    housenumber: ' 12a ',
+    street: 'South Lamar Boulevard',
+    unit: 'Suite 5',
+    city: 'AUSTIN',
+    state: 'Texas',
+    postcode: '78704-1234',
+    lat: 30.25,
+    lng: -97.76,
+    name: 'Shop'
+  };
+  const once = normalizeAddress(raw);
+  assert.deepEqual(normalizeAddress(once), once);
+  assert.equal(once.name, 'Shop');
+  assert.equal(formatAddress(once), '12A S Lamar Blvd Ste 5, Austin TX 78704');
+  assert.equal(formatAddress({ housenumber: '7', street: 'Elm St', unit: '2' }), '7 Elm St Unit 2');
+});
+
+test('missing city, state and ZIP are backfilled without overwriting', () => {
+  const inside = normalizeAddress({ id: 1, housenumber: '1', street: 'Elm St', lat: 0.5, lng: 0.5 });
+  const tagged = normalizeAddress({ id: 2, housenumber: '2', street: 'Elm St', city: 'Tagged', lat: 0.5, lng: 0.5 });
+  const outside = normalizeAddress({ id: 3, housenumber: '3', street: 'Elm St', lat: 5, lng: 5 });
+  const areas = [
+    { geometry: square(0, 0, 1, 1), postcode: '75201' },
+    { geometry: square(0, 0, 1, 1), city: 'Dallas' },
+    { geometry: square(-10, -10, 10, 10), state: 'TX' }
+  ];
+
+  assert.equal(backfillAddresses([inside, tagged, outside], areas), 3);
+  assert.deepEqual([inside.city, inside.state, inside.postcode], ['Dallas', 'TX', '75201']);
+  assert.equal(tagged.city, 'Tagged');
+  assert.deepEqual([outside.city, outside.state, outside.postcode], ['', 'TX', '']);
+});
+
+test('holes in a boundary are respected', () => {
+  const address = normalizeAddress({ id: 1, housenumber: '1', street: 'Elm St', lat: 0.5, lng: 0.5 });
+  const geometry = {
+    type: 'Polygon',
+    coordinates: [square(0, 0, 1, 1).coordinates[0], square(0.4, 0.4, 0.6, 0.6).coordinates[0]]
+  };
+  assert.equal(backfillAddresses([address], [{ geometry, city: 'Donut' }]), 0);
+  assert.equal(address.city, '');
+});
+
+test('near-duplicates are dropped and lend their missing fields', () => {
+  const entrance = normalizeAddress({ id: 10, type: 'node', housenumber: '5', street: 'Oak Street', lat: 32.7767, lng: -96.797 });
+  const building = normalizeAddress({ id: 10, type: 'way', housenumber: '5', street: 'Oak St', postcode: '75201', lat: 32.7769, lng: -96.797 });
+  const farAway = normalizeAddress({ id: 11, type: 'node', housenumber: '5', street: 'Oak St', lat: 32.8, lng: -96.797 });
+  const otherUnit = normalizeAddress({ id: 12, type: 'node', housenumber: '5', street: 'Oak St', unit: 'Apt 2', lat: 32.7767, lng: -96.797 });
+
+  const unique = dedupeAddresses([entrance, entrance, building, farAway, otherUnit]);
+  assert.deepEqual(unique.map(address => `${address.type}/${address.id}`), ['node/10', 'node/11', 'node/12']);
+  assert.equal(unique[0].postcode, '75201');
+});
+
+test('the address worker\'s copies match the app\'s', () => {
+  for (const file of ['addressNormalizer.js', 'stateNames.js']) {
+    const app = fs.readFileSync(new URL(`../src/utils/${file}`, import.meta.url), 'utf8');
+    const worker = fs.readFileSync(new URL(`../workers/address-api/src/shared/${file}`, import.meta.url), 'utf8');
+    assert.ok(app === worker, `workers/address-api/src/shared/${file} is out of date; copy it from src/utils/`);
+  }
+});
@@ -0,0 +1,483 @@
+#!/usr/bin/env node
+
+/**
+ * Route tests for the api/v1 serverless functions
+ *
+ * Calls each handler with a mock Vercel request/response against the bundled
+ * public/zipdata.json store (Supabase and Upstash env vars are cleared), with
+ * fetch stubbed for TIGERweb and Nominatim. API keys come from a test
+ * API_KEYS value.
+ *
+ * Usage:
+ *   npm run test:api
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.SUPABASE_URL;
+delete process.env.UPSTASH_REDIS_REST_URL;
+delete process.env.UPSTASH_REDIS_REST_TOKEN;
+process.env.API_KEYS = 'airflow:test-key-1,tiny:test-key-2:3';
+
+const { resetRateLimiters } = await import('../api/_lib/rateLimit.js');
+const search = (await import('../api/v1/search/index.js')).default;
+const searchRadius = (await import('../api/v1/search/radius.js')).default;
+const searchPolygon = (await import('../api/v1/search/polygon.js')).default;
+const searchHierarchy = (await import('../api/v1/search/hierarchy.js')).default;
+const states = (await import('../api/v1/states.js')).default;
+const cities = (await import('../api/v1/cities.js')).default;
+const health = (await import('../api/v1/health.js')).default;
+const zipcode = (await import('../api/v1/zipcode/[zip].js')).default;
+const boundaries = (await import('../api/v1/boundaries/[...path].js')).default;
+const geocoding = (await import('../api/v1/geocoding/[...path].js')).default;
+const batchRadius = (await import('../api/v1/batch/radius.js')).default;
+const batchPolygon = (await import('../api/v1/batch/polygon.js')).default;
+const openapi = (await import('../api/v1/openapi.js')).default;
+
+const DALLAS = { lat: 32.7904, lng: -96.8044 };
+
+async function call(handler, { method = 'GET', query = {}, body, ip = '203.0.113.1', headers = {} } = {}) {
+  const response = { statusCode: 200, headers: {}, body: undefined };
+  const res = {
+    status(code) {
+      response.statusCode = code;
+      return res;
+    },
+    json(data) {
+      response.body = data;
+      return res;
+    },
+    send(data) {
+      response.body = data;
+      return res;
+    },
+    setHeader(name, value) {
+      response.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    end() {
+      return res;
+    }
+  };
+  await handler({ method, query, body, headers: { 'x-forwarded-for': ip, ...headers } }, res);
+  return response;
+}
+
+const realFetch = globalThis.fetch;
+let fetchCalls;
+
+function stubFetch(respond) {
+  fetchCalls = [];
+  globalThis.fetch = async (url, options = {}) => {
+    fetchCalls.push({ url: String(url), options });
+    const { status = 200, json } = respond(String(url), options);
+    return { ok: status < 400, status, json: async () => json };
+  };
+}
+
+beforeEach(() => {
+  resetRateLimiters();
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('search by text returns conventions-shaped results', async () => {
+  const { statusCode, body } = await call(search, { query: { query: '75201' } });
+  assert.equal(statusCode, 200);
+  assert.equal(body.total, 1);
+  assert.deepEqual(body.results[0], {
+    zipcode: '75201',
+    city: 'Dallas',
+    state: 'TX',
+    stateCode: 'TX',
+    county: null,
+    latitude: DALLAS.lat,
+    longitude: DALLAS.lng,
+    lat: DALLAS.lat,
+    lng: DALLAS.lng
+  });
+  assert.equal(body.hasMore, false);
+});
+
+test('search splits "City, ST" queries', async () => {
+  const { body } = await call(search, { query: { query: 'Dallas, TX', limit: '500' } });
+  assert.ok(body.total > 10);
+  assert.ok(body.results.every(row => row.city === 'Dallas' && row.stateCode === 'TX'));
+});
+
+test('search requires some criteria', async () => {
+  const { statusCode, body } = await call(search, { query: {} });
+  assert.equal(statusCode, 400);
+  assert.equal(body.error, 'invalid_params');
+});
+
+test('search rejects a partial radius', async () => {
+  const { statusCode, body } = await call(search, { query: { lat: '32.79', radius: '5' } });
+  assert.equal(statusCode, 400);
+  assert.deepEqual(body.details.map(detail => detail.param), ['lng']);
+});
+
+test('search pages with offset and limit', async () => {
+  const first = await call(search, { query: { state: 'TX', limit: '10' } });
+  const second = await call(search, { query: { state: 'TX', limit: '10', offset: '10' } });
+  assert.equal(first.body.results.length, 10);
+  assert.equal(first.body.hasMore, true);
+  assert.equal(first.body.total, second.body.total);
+  assert.notEqual(first.body.results[0].zipcode, second.body.results[0].zipcode);
+});
+
+test('radius search is nearest first with distances', async () => {
+  const { statusCode, body } = await call(searchRadius, { query: { lat: String(DALLAS.lat), lng: String(DALLAS.lng), radius: '3' } });
+  assert.equal(statusCode, 200);
+  assert.equal(body.results[0].zipcode, '75201');
+  assert.equal(body.results[0].distance, 0);
+  const distances = body.results.map(row => row.distance);
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+  assert.ok(distances.every(distance => distance <= 3));
+});
+
+test('radius search validates every field at once', async () => {
+  const { statusCode, body } = await call(searchRadius, { query: { lat: '95', lng: 'west', radius: '5' } });
+  assert.equal(statusCode, 400);
+  assert.deepEqual(body.details, [
+    { param: 'lat', message: 'must be between -90 and 90' },
+    { param: 'lng', message: 'must be a number' }
+  ]);
+  assert.equal(body.message, 'Invalid parameters: lat, lng');
+});
+
+test('polygon search accepts a POSTed GeoJSON polygon', async () => {
+  const d = 0.01;
+  const ring = [
+    [DALLAS.lng - d, DALLAS.lat - d],
+    [DALLAS.lng + d, DALLAS.lat - d],
+    [DALLAS.lng + d, DALLAS.lat + d],
+    [DALLAS.lng - d, DALLAS.lat + d],
+    [DALLAS.lng - d, DALLAS.lat - d]
+  ];
+  const { statusCode, body } = await call(searchPolygon, {
+    method: 'POST',
+    body: { polygon: { type: 'Polygon', coordinates: [ring] } }
+  });
+  assert.equal(statusCode, 200);
+  assert.ok(body.results.some(row => row.zipcode === '75201'));
+});
+
+test('polygon search needs a polygon', async () => {
+  const { statusCode, body } = await call(searchPolygon, { query: { polygon: '[[1,2]]' } });
+  assert.equal(statusCode, 400);
+  assert.deepEqual(body.details, [{ param: 'polygon', message: 'needs at least 3 points' }]);
+});
+
+test('hierarchy search requires a state', async () => {
+  const missing = await call(searchHierarchy, { query: { city: 'Dallas' } });
+  assert.equal(missing.statusCode, 400);
+
+  const { body } = await call(searchHierarchy, { query: { state: 'tx', city: 'Dallas' } });
+  assert.ok(body.results.length > 0);
+  assert.ok(body.results.every(row => row.stateCode === 'TX'));
+});
+
+test('states and cities lists', async () => {
+  const stateList = await call(states);
+  assert.ok(stateList.body.some(state => state.code === 'TX' && state.name === 'Texas'));
+  assert.match(stateList.headers['cache-control'], /s-maxage/);
+
+  const cityList = await call(cities, { query: { state: 'TX' } });
+  assert.ok(cityList.body.some(city => city.name === 'Dallas'));
+
+  const invalid = await call(cities, { query: { state: 'Texas' } });
+  assert.equal(invalid.statusCode, 400);
+});
+
+test('zipcode lookup returns the row or 404', async () => {
+  const found = await call(zipcode, { query: { zip: '75201' } });
+  assert.equal(found.body.zipcode.city, 'Dallas');
+
+  const missing = await call(zipcode, { query: { zip: '00000' } });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.error, 'not_found');
+
+  const invalid = await call(zipcode, { query: { zip: '7520' } });
+  assert.equal(invalid.statusCode, 400);
+});
+
+test('health reports the data source', async () => {
+  const { statusCode, body } = await call(health);
+  assert.equal(statusCode, 200);
+  assert.equal(body.status, 'OK');
+  assert.equal(body.dataSource, 'static');
+});
+
+test('unsupported methods get 405 with Allow', async () => {
+  const { statusCode, body, headers } = await call(searchRadius, { method: 'DELETE' });
+  assert.equal(statusCode, 405);
+  assert.equal(body.error, 'method_not_allowed');
+  assert.equal(headers.allow, 'GET');
+});
+
+test('preflight requests get 204 with CORS headers', async () => {
+  const { statusCode, headers } = await call(search, { method: 'OPTIONS' });
+  assert.equal(statusCode, 204);
+  assert.equal(headers['access-control-allow-origin'], '*');
+});
+
+test('clients over the limit get 429 with Retry-After', async () => {
+  const ip = '198.51.100.7';
+  let response;
+  for (let i = 0; i < 60; i++) {
+    response = await call(states, { ip });
+    assert.equal(response.statusCode, 200);
+  }
+  assert.equal(response.headers['x-ratelimit-remaining'], '0');
+
+  response = await call(states, { ip });
+  assert.equal(response.statusCode, 429);
+  assert.equal(response.body.error, 'rate_limited');
+  assert.ok(Number(response.headers['retry-after']) > 0);
+
+  const other = await call(states, { ip: '198.51.100.8' });
+  assert.equal(other.statusCode, 200);
+});
+
+test('boundaries zip route queries TIGERweb and tags the feature', async () => {
+  stubFetch(() => ({
+    json: { type: 'FeatureCollection', features: [{ type: 'Feature', properties: { ZCTA5: '75201' }, geometry: { type: 'Polygon', coordinates: [] } }] }
+  }));
+  const { statusCode, body } = await call(boundaries, { query: { path: ['zip', '75201'] } });
+  assert.equal(statusCode, 200);
+  assert.equal(body.properties.identifier, '75201');
+  assert.equal(body.properties.type, 'zip');
+  assert.match(fetchCalls[0].url, /tigerWMS_Current\/MapServer\/2\/query$/);
+  assert.match(fetchCalls[0].options.body, /where=ZCTA5%3D%2775201%27/);
+});
+
+test('boundaries 404s when TIGERweb has no match', async () => {
+  stubFetch(() => ({ json: { type: 'FeatureCollection', features: [] } }));
+  const { statusCode, body } = await call(boundaries, { query: { path: 'county', county: 'Nowhere', state: 'TX' } });
+  assert.equal(statusCode, 404);
+  assert.equal(body.error, 'not_found');
+});
+
+test('boundaries batch validates items and returns found features', async () => {
+  stubFetch((url, options) => ({
+    json: {
+      features: options.body.includes('Dallas')
+        ? [{ type: 'Feature', properties: { GEOID: '4819000' }, geometry: null }]
+        : []
+    }
+  }));
+  const { body } = await call(boundaries, {
+    method: 'POST',
+    query: { path: ['batch'] },
+    body: { type: 'city', items: ['Dallas, TX', { city: 'Nowhere', state: 'TX' }] }
+  });
+  assert.deepEqual(body.map(feature => feature.properties.identifier), ['4819000']);
+
+  const invalid = await call(boundaries, { method: 'POST', query: { path: ['batch'] }, body: { type: 'city', items: [] } });
+  assert.equal(invalid.statusCode, 400);
+});
+
+test('boundaries surfaces TIGERweb failures as 502', async () => {
+  stubFetch(() => ({ status: 500, json: {} }));
+  const { statusCode, body } = await call(boundaries, {
+    query: { path: ['search'], lat: String(DALLAS.lat), lng: String(DALLAS.lng), radius: '2', types: 'zip,county' }
+  });
+  assert.equal(statusCode, 502);
+  assert.equal(body.error, 'upstream_error');
+});
+
+test('boundaries rejects unknown routes', async () => {
+  const { statusCode } = await call(boundaries, { query: { path: ['tracts'] } });
+  assert.equal(statusCode, 404);
+});
+
+test('geocoding reverse maps the Nominatim result', async () => {
+  stubFetch(() => ({
+    json: { display_name: '1500 Marilla St, Dallas', address: { city: 'Dallas' }, lat: '32.7767', lon: '-96.797' }
+  }));
+  const { body } = await call(geocoding, { query: { path: ['reverse'], lat: '32.7767', lng: '-96.797' } });
+  assert.deepEqual(body, { displayName: '1500 Marilla St, Dallas', address: { city: 'Dallas' }, lat: 32.7767, lng: -96.797 });
+  assert.equal(fetchCalls[0].options.headers['User-Agent'], 'ZipSearchApp/1.0');
+});
+
+test('geocoding places passes search parameters through', async () => {
+  stubFetch(() => ({ json: [{ place_id: 1, display_name: 'Dallas, TX' }] }));
+  const { body } = await call(geocoding, { query: { path: 'places', q: 'Dallas', limit: '3' } });
+  assert.equal(body.length, 1);
+  const url = new URL(fetchCalls[0].url);
+  assert.equal(url.pathname, '/search');
+  assert.equal(url.searchParams.get('limit'), '3');
+  assert.equal(url.searchParams.get('countrycodes'), 'us');
+
+  const missing = await call(geocoding, { query: { path: 'places' } });
+  assert.equal(missing.statusCode, 400);
+});
+
+test('geocoding census maps address matches', async () => {
+  stubFetch(() => ({
+    json: {
+      result: {
+        addressMatches: [{
+          matchedAddress: '1500 MARILLA ST, DALLAS, TX, 75201',
+          coordinates: { x: -96.797, y: 32.7767 },
+          addressComponents: { zip: '75201' }
+        }]
+      }
+    }
+  }));
+  const { body } = await call(geocoding, { query: { path: ['census'], address: '1500 Marilla St, Dallas, TX' } });
+  assert.deepEqual(body.matches, [{
+    matchedAddress: '1500 MARILLA ST, DALLAS, TX, 75201',
+    lat: 32.7767,
+    lng: -96.797,
+    components: { zip: '75201' }
+  }]);
+  const url = new URL(fetchCalls[0].url);
+  assert.equal(url.pathname, '/geocoder/locations/onelineaddress');
+  assert.equal(url.searchParams.get('benchmark'), 'Public_AR_Current');
+
+  const missing = await call(geocoding, { query: { path: ['census'] } });
+  assert.equal(missing.statusCode, 400);
+});
+
+test('search returns CSV with ?format=csv', async () => {
+  const { statusCode, headers, body } = await call(searchRadius, {
+    query: { lat: String(DALLAS.lat), lng: String(DALLAS.lng), radius: '1', format: 'csv' }
+  });
+  assert.equal(statusCode, 200);
+  assert.match(headers['content-type'], /^text\/csv/);
+  const lines = body.trim().split('\n');
+  assert.equal(lines[0], 'zipcode,city,state,county,latitude,longitude,distance');
+  assert.equal(lines[1], `75201,Dallas,TX,,${DALLAS.lat},${DALLAS.lng},0`);
+});
+
+test('search returns GeoJSON when the Accept header asks for it', async () => {
+  const { headers, body } = await call(search, {
+    query: { query: '75201' },
+    headers: { accept: 'application/geo+json' }
+  });
+  assert.match(headers['content-type'], /^application\/geo\+json/);
+  const collection = JSON.parse(body);
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.deepEqual(collection.features[0].geometry, { type: 'Point', coordinates: [DALLAS.lng, DALLAS.lat] });
+  assert.equal(collection.features[0].properties.zipcode, '75201');
+});
+
+test('unknown formats are rejected', async () => {
+  const { statusCode, body } = await call(search, { query: { query: '75201', format: 'xml' } });
+  assert.equal(statusCode, 400);
+  assert.equal(body.details[0].param, 'format');
+});
+
+test('batch endpoints need an API key', async () => {
+  const missing = await call(batchRadius, { method: 'POST', body: { centers: [] } });
+  assert.equal(missing.statusCode, 401);
+  assert.equal(missing.body.error, 'unauthorized');
+
+  const unknown = await call(batchRadius, { method: 'POST', body: { centers: [] }, headers: { 'x-api-key': 'nope' } });
+  assert.equal(unknown.statusCode, 401);
+  assert.equal(unknown.body.error, 'invalid_api_key');
+});
+
+test('batch radius runs one search per center', async () => {
+  const { statusCode, body, headers } = await call(batchRadius, {
+    method: 'POST',
+    headers: { authorization: 'Bearer test-key-1' },
+    body: {
+      centers: [
+        { id: 'downtown', lat: DALLAS.lat, lng: DALLAS.lng, radius: 1 },
+        { lat: 30.2672, lng: -97.7431, radius: 1 }
+      ],
+      limit: 5
+    }
+  });
+  assert.equal(statusCode, 200);
+  assert.deepEqual(body.batches.map(batch => batch.id), ['downtown', '1']);
+  assert.equal(body.batches[0].results[0].zipcode, '75201');
+  assert.ok(body.batches[1].results.every(row => row.city === 'Austin'));
+  assert.equal(body.total, body.batches[0].total + body.batches[1].total);
+  assert.equal(headers['x-quota-remaining'], '9998');
+  assert.equal(headers['x-ratelimit-limit'], '600');
+});
+
+test('batch validation names the bad item', async () => {
+  const { statusCode, body } = await call(batchRadius, {
+    method: 'POST',
+    headers: { 'x-api-key': 'test-key-1' },
+    body: { centers: [{ lat: 32, lng: -96, radius: 1 }, { lat: 132, lng: -96 }] }
+  });
+  assert.equal(statusCode, 400);
+  assert.deepEqual(body.details, [
+    { param: 'centers[1].lat', message: 'must be between -90 and 90' },
+    { param: 'centers[1].radius', message: 'is required' }
+  ]);
+});
+
+test('batch polygon returns CSV rows tagged with the batch id', async () => {
+  const d = 0.01;
+  const square = [
+    { lat: DALLAS.lat - d, lng: DALLAS.lng - d },
+    { lat: DALLAS.lat - d, lng: DALLAS.lng + d },
+    { lat: DALLAS.lat + d, lng: DALLAS.lng + d },
+    { lat: DALLAS.lat + d, lng: DALLAS.lng - d }
+  ];
+  const { body } = await call(batchPolygon, {
+    method: 'POST',
+    query: { format: 'csv' },
+    headers: { 'x-api-key': 'test-key-1' },
+    body: { polygons: [{ id: 'core', polygon: square }] }
+  });
+  const lines = body.trim().split('\n');
+  assert.equal(lines[0], 'batch,zipcode,city,state,county,latitude,longitude,distance');
+  assert.ok(lines.slice(1).some(line => line.startsWith('core,75201,')));
+});
+
+test('keys over their daily quota get 429 quota_exceeded', async () => {
+  const request = (count) => call(batchRadius, {
+    method: 'POST',
+    headers: { 'x-api-key': 'test-key-2' },
+    body: { centers: Array.from({ length: count }, () => ({ lat: DALLAS.lat, lng: DALLAS.lng, radius: 1 })) }
+  });
+
+  const first = await request(2);
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.headers['x-quota-remaining'], '1');
+
+  const over = await request(2);
+  assert.equal(over.statusCode, 429);
+  assert.equal(over.body.error, 'quota_exceeded');
+  assert.ok(Number(over.headers['retry-after']) > 0);
+
+  const last = await request(1);
+  assert.equal(last.statusCode, 200);
+});
+
+test('keyed requests to public routes are not CDN cached', async () => {
+  const { headers } = await call(states, { headers: { 'x-api-key': 'test-key-1' } });
+  assert.equal(headers['cache-control'], 'private, no-store');
+});
+
+test('OpenAPI document covers the public routes', async () => {
+  const { body } = await call(openapi);
+  assert.equal(body.openapi, '3.1.0');
+  assert.deepEqual(Object.keys(body.paths).sort(), [
+    '/batch/polygon', '/batch/radius', '/cities', '/counties', '/health', '/search',
+    '/search/hierarchy', '/search/polygon', '/search/radius', '/states', '/zipcode/{zip}'
+  ]);
+
+  const radius = body.paths['/search/radius'].get;
+  const lat = radius.parameters.find(param => param.name === 'lat');
+  assert.deepEqual(lat, { name: 'lat', in: 'query', required: true, schema: { type: 'number', minimum: -90, maximum: 90 } });
+  assert.ok(radius.responses[200].content['text/csv']);
+
+  const batch = body.paths['/batch/radius'].post;
+  assert.deepEqual(batch.security, [{ ApiKey: [] }]);
+  assert.deepEqual(batch.requestBody.content['application/json'].schema.required, ['centers']);
+
+  const zip = body.paths['/zipcode/{zip}'].get.parameters[0];
+  assert.equal(zip.in, 'path');
+});
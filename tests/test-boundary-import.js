@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for territory file import (src/utils/boundaryImportHelpers.js):
+ * GeoJSON, KML with holes, KMZ and zipped shapefiles from tests/fixtures,
+ * and the search parameters an imported polygon becomes
+ * (polygonSearchShape in src/utils/polygonHelpers.js)
+ *
+ * Usage:
+ *   npm run test:import
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { DOMParser } from '@xmldom/xmldom';
+import { strToU8, unzipSync, zipSync } from 'fflate';
+import { parseBoundaryFile } from '../src/utils/boundaryImportHelpers.js';
+import { buildShapefileZip } from '../src/utils/shapefileWriter.js';
+import { polygonSearchShape } from '../src/utils/polygonHelpers.js';
+
+// KML is parsed with the browser's DOMParser
+globalThis.DOMParser = DOMParser;
+
+const readFixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+const ring = (minLng, minLat, maxLng, maxLat) =>
+  [[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]];
+
+const namesOf = ({ boundaries }) => boundaries.map(boundary => boundary.name);
+
+test('GeoJSON features become named polygons; points and slivers are skipped', async () => {
+  const result = await parseBoundaryFile(new File([readFixture('territories.geojson')], 'territories.geojson'));
+
+  assert.deepEqual(namesOf(result), ['North Territory', 'territories 2']);
+  assert.equal(result.skipped, 2);
+
+  const [north, region] = result.boundaries;
+  // Z values dropped and the open ring closed
+  assert.deepEqual(north.geometry, { type: 'Polygon', coordinates: [ring(-97.8, 30.4, -97.7, 30.5)] });
+  assert.equal(region.geometry.type, 'MultiPolygon');
+  assert.equal(region.geometry.coordinates.length, 2);
+});
+
+test('KML placemarks keep their innerBoundaryIs holes and MultiGeometry parts', async () => {
+  const result = await parseBoundaryFile(new File([readFixture('territories.kml')], 'territories.kml'));
+
+  assert.deepEqual(namesOf(result), ['Downtown', 'territories 2']);
+  assert.equal(result.skipped, 1, 'the office point');
+
+  const [downtown, parts] = result.boundaries;
+  assert.equal(downtown.geometry.type, 'Polygon');
+  assert.deepEqual(downtown.geometry.coordinates[0], ring(-97.76, 30.25, -97.72, 30.29));
+  assert.deepEqual(downtown.geometry.coordinates[1], [[-97.75, 30.26], [-97.75, 30.28], [-97.73, 30.28], [-97.73, 30.26], [-97.75, 30.26]]);
+
+  assert.equal(parts.geometry.type, 'MultiPolygon');
+  assert.deepEqual(parts.geometry.coordinates.map(polygon => polygon[0][0]), [[-97.7, 30.4], [-97.5, 30.4]]);
+});
+
+test('a KMZ is read like the KML inside it', async () => {
+  const kmz = zipSync({
+    '__MACOSX/._doc.kml': strToU8('resource fork'),
+    'files/': new Uint8Array(0),
+    'doc.kml': new Uint8Array(readFixture('territories.kml'))
+  });
+  const result = await parseBoundaryFile(new File([kmz], 'territories.kmz'));
+
+  assert.deepEqual(namesOf(result), ['Downtown', 'territories 2']);
+  assert.equal(result.boundaries[0].geometry.coordinates.length, 2);
+});
+
+test('zipped shapefiles are read with their attributes and holes, stored or deflated', async () => {
+  const features = [
+    {
+      type: 'Feature',
+      properties: { name: 'Downtown', zips: 4 },
+      geometry: { type: 'Polygon', coordinates: [ring(-97.76, 30.25, -97.72, 30.29), ring(-97.75, 30.26, -97.73, 30.28).reverse()] }
+    },
+    {
+      type: 'Feature',
+      properties: { name: 'East' },
+      geometry: { type: 'MultiPolygon', coordinates: [[ring(-97.7, 30.4, -97.6, 30.5)], [ring(-97.5, 30.4, -97.4, 30.5)]] }
+    }
+  ];
+  const deflated = new Uint8Array(await buildShapefileZip(features, 'territories').arrayBuffer());
+
+  // The same files, stored without compression
+  const stored = zipSync(unzipSync(deflated), { level: 0 });
+
+  for (const bytes of [deflated, stored]) {
+    const result = await parseBoundaryFile(new File([bytes], 'territories.zip'));
+
+    assert.deepEqual(namesOf(result), ['Downtown', 'East']);
+    const [downtown, east] = result.boundaries;
+    assert.equal(downtown.geometry.type, 'Polygon');
+    assert.equal(downtown.geometry.coordinates.length, 2, 'outer ring and hole');
+    assert.equal(east.geometry.type, 'MultiPolygon');
+    assert.equal(east.geometry.coordinates.length, 2);
+  }
+});
+
+test('archives without a shapefile, projected shapefiles and non-ZIPs are refused', async () => {
+  const readme = zipSync({ 'README.txt': strToU8('no shapes here') });
+  await assert.rejects(parseBoundaryFile(new File([readme], 'data.zip')), /does not contain a shapefile/);
+
+  const projected = zipSync({
+    'parcels.shp': new Uint8Array(100),
+    'parcels.prj': strToU8('PROJCS["NAD_1983_StatePlane_Texas_Central_FIPS_4203_Feet"]')
+  });
+  await assert.rejects(parseBoundaryFile(new File([projected], 'parcels.zip')), /projected coordinate system/);
+
+  await assert.rejects(parseBoundaryFile(new File(['not a zip'], 'bad.kmz')), /not a valid ZIP archive/);
+  await assert.rejects(parseBoundaryFile(new File(['{'], 'bad.geojson')), /could not be parsed/);
+  await assert.rejects(parseBoundaryFile(new File([''], 'notes.txt')), /Unsupported file type: \.txt/);
+});
+
+test('a simple polygon is searched by its ring alone', () => {
+  const shape = polygonSearchShape({ type: 'Polygon', coordinates: [ring(-97.8, 30.4, -97.7, 30.5)] });
+
+  assert.equal(shape.geometry, null);
+  assert.deepEqual(shape.coordinates, [
+    { lat: 30.4, lng: -97.8 },
+    { lat: 30.4, lng: -97.7 },
+    { lat: 30.5, lng: -97.7 },
+    { lat: 30.5, lng: -97.8 }
+  ]);
+  assert.equal(shape.outerPoints, shape.coordinates);
+});
+
+test('polygons with holes or several parts are searched by their full geometry', () => {
+  const withHole = { type: 'Polygon', coordinates: [ring(-97.76, 30.25, -97.72, 30.29), ring(-97.75, 30.26, -97.73, 30.28)] };
+  const holed = polygonSearchShape(withHole);
+  assert.equal(holed.geometry, withHole);
+  assert.equal(holed.coordinates.length, 4, 'the outer ring, without its closing point');
+  assert.ok(holed.outerPoints.every(point => point.lat === 30.25 || point.lat === 30.29), 'bounds come from the outer ring only');
+
+  const multi = { type: 'MultiPolygon', coordinates: [[ring(-97.7, 30.4, -97.6, 30.5)], [ring(-97.5, 30.2, -97.4, 30.3)]] };
+  const parts = polygonSearchShape(multi);
+  assert.equal(parts.geometry, multi);
+  assert.deepEqual(parts.coordinates[0], { lat: 30.4, lng: -97.7 });
+  assert.equal(Math.max(...parts.outerPoints.map(point => point.lng)), -97.4, 'bounds span every part');
+  assert.equal(Math.min(...parts.outerPoints.map(point => point.lat)), 30.2);
+});
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for turning boundary vector tiles into canvas features
+ * (src/utils/mvtHelpers.js), against a tile encoded from GeoJSON with
+ * geojson-vt and vt-pbf the way tippecanoe lays it out
+ *
+ * Usage:
+ *   npm run test:tiles
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GeoJSONVT from 'geojson-vt';
+import vtpbf from 'vt-pbf';
+import { decodeVectorTile, featureContainsPoint, GEOMETRY_TYPES } from '../src/utils/mvtHelpers.js';
+
+const EXTENT = 4096;
+
+const ring = (minLng, minLat, maxLng, maxLat) =>
+  [[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]];
+
+// A ZCTA with a hole in it, a county line and a label point, in one z0 tile
+const FEATURES = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { id: '78701', name: 'Austin' },
+      geometry: { type: 'Polygon', coordinates: [ring(-90, -60, 0, 60), ring(-60, -20, -30, 20).reverse()] }
+    },
+    {
+      type: 'Feature',
+      properties: { id: '48453' },
+      geometry: { type: 'LineString', coordinates: [[10, 10], [100, 10]] }
+    },
+    {
+      type: 'Feature',
+      properties: { id: 'label' },
+      geometry: { type: 'Point', coordinates: [-45, 0] }
+    }
+  ]
+};
+
+const encodeTile = () => {
+  const index = new GeoJSONVT(FEATURES, { maxZoom: 0, extent: EXTENT, tolerance: 0, buffer: 0 });
+  return vtpbf.fromGeojsonVt({ zcta: index.getTile(0, 0, 0) }, { version: 2, extent: EXTENT });
+};
+
+// Web Mercator tile coordinates at zoom 0
+const toTile = (lng, lat) => {
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [
+    ((lng + 180) / 360) * EXTENT,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * EXTENT
+  ];
+};
+
+test('layers are keyed by name with their extent', () => {
+  const layers = decodeVectorTile(encodeTile());
+
+  assert.deepEqual(Object.keys(layers), ['zcta']);
+  assert.equal(layers.zcta.name, 'zcta');
+  assert.equal(layers.zcta.extent, EXTENT);
+});
+
+test('polygons and lines are kept with their properties; points are dropped', () => {
+  const { features } = decodeVectorTile(encodeTile()).zcta;
+
+  assert.deepEqual(features.map(feature => feature.type), [GEOMETRY_TYPES.POLYGON, GEOMETRY_TYPES.LINESTRING]);
+  assert.deepEqual(features[0].properties, { id: '78701', name: 'Austin' });
+  assert.equal(features[1].properties.id, '48453');
+});
+
+test('polygon rings come back closed, in tile coordinates', () => {
+  const [polygon, line] = decodeVectorTile(encodeTile()).zcta.features;
+
+  assert.equal(polygon.geometry.length, 2, 'outer ring and hole');
+  polygon.geometry.forEach(part => {
+    assert.deepEqual(part[0], part[part.length - 1]);
+    part.forEach(([x, y]) => {
+      assert.ok(x >= 0 && x <= EXTENT && y >= 0 && y <= EXTENT, `${x},${y} is inside the tile`);
+    });
+  });
+
+  const xs = polygon.geometry[0].map(([x]) => x);
+  assert.equal(Math.min(...xs), Math.round(toTile(-90, 0)[0]));
+  assert.equal(Math.max(...xs), Math.round(toTile(0, 0)[0]));
+
+  // Lines are left open
+  assert.equal(line.geometry.length, 1);
+  assert.notDeepEqual(line.geometry[0][0], line.geometry[0][line.geometry[0].length - 1]);
+});
+
+test('hit tests follow the outer ring and skip the hole', () => {
+  const [polygon] = decodeVectorTile(encodeTile()).zcta.features;
+
+  assert.equal(featureContainsPoint(polygon.geometry, ...toTile(-80, 0)), true);
+  assert.equal(featureContainsPoint(polygon.geometry, ...toTile(-45, 0)), false, 'inside the hole');
+  assert.equal(featureContainsPoint(polygon.geometry, ...toTile(45, 0)), false, 'east of the polygon');
+  assert.equal(featureContainsPoint(polygon.geometry, ...toTile(-45, 70)), false, 'north of the polygon');
+});
+
+test('an ArrayBuffer from the archive decodes the same as bytes', () => {
+  const bytes = encodeTile();
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+  assert.deepEqual(decodeVectorTile(new Uint8Array(buffer)), decodeVectorTile(bytes));
+});
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for ACS demographic enrichment (src/services/demographicsService.js):
+ * datasets, ZIP and county lookups, CSV/JSON import (on fake-indexeddb) and
+ * the city/county/state roll-ups of the full field list
+ *
+ * Usage:
+ *   npm run test:demographics
+ */
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexedDB } from 'fake-indexeddb';
+import { ResultAggregator } from '../src/utils/resultAggregator.js';
+
+globalThis.window = { indexedDB };
+const {
+  default: demographicsService,
+  DEMOGRAPHIC_FIELDS,
+  DEMOGRAPHIC_KEYS
+} = await import('../src/services/demographicsService.js');
+
+// Values in DEMOGRAPHIC_KEYS order: population, households, housingUnits,
+// medianIncome, ageUnder18, age18to34, age35to64, age65Plus
+const BUNDLED = {
+  source: 'ACS 2022 5-year',
+  fields: DEMOGRAPHIC_KEYS,
+  zcta: {
+    '78701': [10000, 6000, 7000, 90000, 500, 5000, 3500, 1000],
+    '78702': [20000, 4000, 5000, 40000, 4000, 8000, 6000, 2000],
+    // Leading zero dropped by a spreadsheet; suppressed income
+    '2108': [3000, 1500, 1600, -666666666, 200, 1500, 900, 400]
+  },
+  county: {
+    '48453': { n: 'Travis County', s: 'TX', v: [1300000, 520000, 560000, 85000, 260000, 390000, 520000, 130000] }
+  }
+};
+
+const csvFile = (text, name = 'acs.csv') => new File([text], name, { type: 'text/csv' });
+
+const originalFetch = globalThis.fetch;
+const serveBundled = (dataset = BUNDLED) => {
+  globalThis.fetch = async () => Response.json(dataset);
+};
+
+beforeEach(async () => {
+  serveBundled();
+  await demographicsService.clearImportedDataset();
+});
+
+after(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('ZIP rows are enriched from the bundled dataset; unknown ZIPs are left as they are', async () => {
+  const source = await demographicsService.load();
+  assert.deepEqual(source, { name: 'ACS 2022 5-year', imported: false, zctaCount: 3 });
+
+  const row = demographicsService.enrichZip({ zipCode: '78701', city: 'Austin' });
+  assert.equal(row.city, 'Austin');
+  assert.equal(row.population, 10000);
+  assert.equal(row.medianIncome, 90000);
+  assert.equal(row.age65Plus, 1000);
+
+  assert.equal(demographicsService.getZipDemographics('02108').population, 3000);
+  assert.equal(demographicsService.getZipDemographics('02108').medianIncome, null, 'suppressed estimate');
+
+  const unknown = { zipCode: '99999' };
+  assert.equal(demographicsService.enrichZip(unknown), unknown);
+});
+
+test('counties are found by FIPS or by name with or without the suffix', async () => {
+  await demographicsService.load();
+
+  const byName = demographicsService.getCountyDemographics('Travis', 'tx');
+  assert.equal(byName.population, 1300000);
+  assert.equal(byName.countyFips, '48453');
+  assert.equal(demographicsService.getCountyDemographics('travis county', 'TX'), byName);
+  assert.equal(demographicsService.getCountyDemographics('Travis', 'OK'), null);
+});
+
+test('a missing bundled file leaves enrichment off', async () => {
+  globalThis.fetch = async () => new Response('<!doctype html>', { headers: { 'content-type': 'text/html' } });
+  await demographicsService.clearImportedDataset();
+
+  assert.equal(demographicsService.hasData(), false);
+  assert.equal(demographicsService.getZipDemographics('78701'), null);
+});
+
+test('roll-ups sum counts and weight median income by households', () => {
+  const rows = ['78701', '78702'].map(zipCode => demographicsService.enrichZip({ zipCode }));
+  const totals = demographicsService.rollup([...rows, { zipCode: '99999' }]);
+
+  assert.equal(totals.population, 30000);
+  assert.equal(totals.households, 10000);
+  assert.equal(totals.housingUnits, 12000);
+  assert.equal(totals.ageUnder18, 4500);
+  // (90000 * 6000 + 40000 * 4000) / 10000
+  assert.equal(totals.medianIncome, 70000);
+
+  assert.deepEqual(demographicsService.rollup([{ zipCode: '99999' }]), Object.fromEntries(DEMOGRAPHIC_KEYS.map(key => [key, null])));
+});
+
+test('city, county and state rows roll up enriched ZIPs the same way', async () => {
+  await demographicsService.load();
+  const rows = [
+    { zipCode: '78701', city: 'Austin', county: 'Travis', state: 'TX', lat: 30.27, lng: -97.74 },
+    { zipCode: '78702', city: 'Austin', county: 'Travis', state: 'TX', lat: 30.26, lng: -97.71 },
+    { zipCode: '02108', city: 'Boston', county: 'Suffolk', state: 'MA', lat: 42.36, lng: -71.06 }
+  ].map(row => demographicsService.enrichZip(row));
+
+  const aggregator = new ResultAggregator({ fields: DEMOGRAPHIC_FIELDS });
+  aggregator.reset(rows);
+  const { cities, counties, states } = aggregator.snapshot();
+  const expected = demographicsService.rollup(rows.slice(0, 2));
+
+  for (const rollup of [cities.find(c => c.name === 'Austin'), counties.find(c => c.name === 'Travis'), states.find(s => s.name === 'TX')]) {
+    assert.deepEqual(Object.fromEntries(DEMOGRAPHIC_KEYS.map(key => [key, rollup[key]])), expected);
+  }
+  assert.equal(states.find(s => s.name === 'MA').medianIncome, null);
+});
+
+test('CSV imports accept field names or ACS codes and replace the bundled data', async () => {
+  await demographicsService.load();
+  const source = await demographicsService.importDataset(csvFile([
+    'ZIP,B01003_001E,households,Median Income',
+    '78701,"12,500",7000,"$95,000"',
+    '78704,40000,18000,-666666666'
+  ].join('\n'), 'my-acs.csv'));
+
+  assert.deepEqual(source, { name: 'my-acs.csv', imported: true, zctaCount: 2 });
+  assert.equal(demographicsService.getZipDemographics('78701').population, 12500);
+  // "Median Income" is not a field key or ACS code
+  assert.equal(demographicsService.getZipDemographics('78701').medianIncome, null);
+  assert.equal(demographicsService.getZipDemographics('78702'), null, 'bundled rows are replaced');
+});
+
+test('CSV county rows are keyed by FIPS or by name and state', async () => {
+  await demographicsService.importDataset(csvFile([
+    'county,state,fips,population',
+    'Harris County,TX,48201,4700000',
+    'Orleans Parish,la,,380000'
+  ].join('\n')));
+
+  assert.equal(demographicsService.getCountyDemographics('Harris', 'TX').countyFips, '48201');
+  assert.equal(demographicsService.getCountyDemographics('Orleans', 'LA').population, 380000);
+});
+
+test('imports without usable rows or columns are refused', async () => {
+  await assert.rejects(demographicsService.importDataset(csvFile('zip,notes\n78701,downtown')), /No demographic columns found/);
+  await assert.rejects(demographicsService.importDataset(csvFile('city,population\nAustin,900000')), /No ZIP or county rows/);
+  await assert.rejects(demographicsService.importDataset(new File(['{"zcta":{}}'], 'empty.json')), /No ZIP or county rows/);
+});
+
+test('an imported dataset is kept across reloads until it is cleared', async () => {
+  await demographicsService.importDataset(new File([JSON.stringify({
+    fields: ['population'],
+    zcta: { '78705': [31000] }
+  })], 'campus.json'));
+
+  // A fresh load, as after a page reload, reads it back from IndexedDB
+  demographicsService.loadPromise = null;
+  demographicsService.applyDataset(null);
+  const source = await demographicsService.load();
+  assert.deepEqual(source, { name: 'campus.json', imported: true, zctaCount: 1 });
+  assert.equal(demographicsService.getZipDemographics('78705').population, 31000);
+
+  const bundled = await demographicsService.clearImportedDataset();
+  assert.equal(bundled.imported, false);
+  assert.equal(demographicsService.getZipDemographics('78705'), null);
+});
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for chunked, resumable CSV geocoding (src/utils/geocodeJobRunner.js)
+ * on fake-indexeddb: chunking, retries, pausing and resuming after a reload,
+ * and the rows and corrections built from a job
+ *
+ * Usage:
+ *   npm run test:geocode-jobs
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexedDB } from 'fake-indexeddb';
+import { GeocodeJobRunner, CHUNK_SIZE, isTransientError } from '../src/utils/geocodeJobRunner.js';
+
+globalThis.window = { indexedDB };
+
+// Prepared the way geocodingService.prepareAddressesForGeocoding does
+const prepared = (i) => ({
+  addressString: `${100 + i} Congress Ave, Austin, TX 78701`,
+  components: { street: `${100 + i} Congress Ave`, city: 'Austin', state: 'TX', zip: '78701', county: '' },
+  businessName: `Store ${i}`,
+  originalData: { row: i }
+});
+const addressList = (count) => Array.from({ length: count }, (_, i) => prepared(i));
+
+const match = (addressString) => ({
+  success: true,
+  lat: 30.27,
+  lng: -97.74,
+  formatted_address: addressString,
+  accuracy: 1,
+  provider: 'census'
+});
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+// A batch geocoder that records each call; `fail(callNumber)` returns an
+// error to throw for that call, if any
+const createGeocoder = ({ fail = () => null, answer = (strings) => strings.map(match) } = {}) => {
+  const calls = [];
+  const batchGeocode = async (strings) => {
+    calls.push(strings);
+    const error = fail(calls.length);
+    if (error) throw error;
+    return answer(strings);
+  };
+  return { calls, batchGeocode };
+};
+
+const createRunner = (geocoder) => new GeocodeJobRunner({ batchGeocode: geocoder.batchGeocode, retryDelay: 1 });
+
+beforeEach(async () => {
+  await createRunner(createGeocoder()).clearJob();
+});
+
+test('jobs are geocoded a chunk at a time, saving and reporting after each', async () => {
+  const geocoder = createGeocoder();
+  const runner = createRunner(geocoder);
+  const progress = [];
+
+  const job = await runner.createJob(addressList(250), { fileName: 'stores.csv' });
+  const finished = await runner.runJob(job, {
+    onProgress: ({ current, total, percentage }) => progress.push([current, total, percentage]),
+    onRetry: () => assert.fail('nothing to retry')
+  });
+
+  assert.equal(CHUNK_SIZE, 100);
+  assert.deepEqual(geocoder.calls.map(chunk => chunk.length), [100, 100, 50]);
+  assert.equal(geocoder.calls[1][0], prepared(100).addressString);
+  assert.deepEqual(progress, [[0, 250, 0], [100, 250, 40], [200, 250, 80], [250, 250, 100]]);
+  assert.equal(finished.status, 'complete');
+
+  const stored = await runner.getCurrentJob();
+  assert.deepEqual([stored.status, stored.fileName, runner.countFinished(stored)], ['complete', 'stores.csv', 250]);
+});
+
+test('transient failures are retried with growing waits; others are not', async () => {
+  const retries = [];
+  const flaky = createGeocoder({ fail: (call) => [httpError(503), new TypeError('Failed to fetch'), null][call - 1] });
+  const runner = createRunner(flaky);
+
+  const results = await runner.geocodeBatch(['1 Main St'], { onRetry: (attempt, delay, error) => retries.push([attempt, delay, error.message]) });
+
+  assert.equal(results[0].success, true);
+  assert.deepEqual(retries.map(([attempt, , message]) => [attempt, message]), [[1, 'HTTP 503'], [2, 'Failed to fetch']]);
+  // Base delay doubled per attempt, with +/-25% jitter
+  assert.ok(retries[0][1] >= 0.75 && retries[0][1] <= 1.25);
+  assert.ok(retries[1][1] >= 1.5 && retries[1][1] <= 2.5);
+
+  const rejected = createGeocoder({ fail: () => httpError(400) });
+  await assert.rejects(createRunner(rejected).geocodeBatch(['1 Main St']), /HTTP 400/);
+  assert.equal(rejected.calls.length, 1);
+
+  const down = createGeocoder({ fail: () => httpError(429) });
+  await assert.rejects(createRunner(down).geocodeBatch(['1 Main St']), /HTTP 429/);
+  assert.equal(down.calls.length, 4, 'gives up after four attempts');
+});
+
+test('retryable errors: network failures, timeouts, rate limits and server errors', () => {
+  assert.equal(isTransientError(new TypeError('Failed to fetch')), true);
+  assert.deepEqual([408, 429, 500, 503].map(status => isTransientError(httpError(status))), [true, true, true, true]);
+  assert.deepEqual([400, 401, 403, 404].map(status => isTransientError(httpError(status))), [false, false, false, false]);
+});
+
+test('a chunk that keeps failing pauses the job, and a reload resumes after the saved chunks', async () => {
+  // The second chunk fails on every attempt
+  const outage = createGeocoder({ fail: (call) => (call >= 2 ? httpError(503) : null) });
+  const job = await createRunner(outage).createJob(addressList(250));
+
+  await assert.rejects(createRunner(outage).runJob(job), /HTTP 503/);
+  assert.equal(outage.calls.length, 5);
+
+  const paused = await createRunner(outage).getCurrentJob();
+  assert.equal(paused.status, 'paused');
+  assert.equal(paused.error, 'HTTP 503');
+  assert.equal(createRunner(outage).countFinished(paused), 100);
+
+  // After a reload the stored job is picked up where it stopped
+  const geocoder = createGeocoder();
+  const runner = createRunner(geocoder);
+  const progress = [];
+  const finished = await runner.runJob(await runner.getCurrentJob(), { onProgress: ({ current }) => progress.push(current) });
+
+  assert.deepEqual(geocoder.calls.map(chunk => chunk.length), [100, 50]);
+  assert.equal(geocoder.calls[0][0], prepared(100).addressString);
+  assert.deepEqual(progress, [100, 200, 250]);
+  assert.equal(finished.status, 'complete');
+  assert.equal(finished.error, null);
+});
+
+test('rows the geocoder answered are finished, matched or not; missing answers are misses', async () => {
+  // Every third address is not found; the last answer is left out
+  const geocoder = createGeocoder({
+    answer: (strings) => strings.slice(0, -1).map((s, i) => (i % 3 === 2 ? { success: false, error: 'No match' } : match(s)))
+  });
+  const runner = createRunner(geocoder);
+
+  const job = await runner.runJob(await runner.createJob(addressList(6)));
+  const { geocodedResults, notFound } = runner.buildResults(job);
+
+  assert.equal(runner.countFinished(job), 6);
+  assert.deepEqual(geocodedResults.map(row => row.jobIndex), [0, 1, 3, 4]);
+  assert.deepEqual(notFound.map(row => [row.jobIndex, row.reason]), [[2, 'No match'], [5, 'No result returned']]);
+  assert.equal(notFound[0].addressString, prepared(2).addressString);
+
+  // Finished misses are not sent again
+  await runner.runJob(job);
+  assert.equal(geocoder.calls.length, 1);
+});
+
+test('geocoded rows keep the CSV components and the match location', async () => {
+  const runner = createRunner(createGeocoder());
+  const job = await runner.runJob(await runner.createJob([
+    prepared(0),
+    // Only a full address column; city, state and ZIP come from the match
+    { addressString: '1 Main St Dallas', components: { fullAddress: '1 Main St' }, businessName: '', originalData: {} }
+  ]));
+  job.results[1] = { ...match('1 Main St, Dallas, TX 75201'), accuracy: undefined, provider: undefined };
+
+  const [csvRow, fullRow] = runner.buildResults(job).geocodedResults;
+
+  assert.deepEqual(csvRow, {
+    id: `geocode-${job.id}-0`,
+    businessName: 'Store 0',
+    address: '100 Congress Ave',
+    city: 'Austin',
+    state: 'TX',
+    zip: '78701',
+    county: '',
+    lat: 30.27,
+    lng: -97.74,
+    accuracy: 1,
+    provider: 'census',
+    manual: false,
+    success: true,
+    originalData: { row: 0 },
+    jobIndex: 0
+  });
+  assert.deepEqual(
+    [fullRow.address, fullRow.city, fullRow.state, fullRow.zip, fullRow.accuracy, fullRow.provider],
+    ['1 Main St', 'Dallas', 'TX', '75201', null, 'unknown']
+  );
+});
+
+test('corrections are stored with the job and survive a reload', async () => {
+  const geocoder = createGeocoder({ answer: (strings) => strings.map(() => ({ success: false, error: 'No match' })) });
+  const runner = createRunner(geocoder);
+  await runner.runJob(await runner.createJob(addressList(3)));
+
+  // A dragged pin, and an edited address that was geocoded again
+  await runner.saveCorrection(0, { result: { success: true, lat: 30.3, lng: -97.7, manual: true } });
+  await runner.saveCorrection(2, { result: match('102 Congress Avenue, Austin, TX 78701'), addressString: '102 Congress Avenue, Austin, TX 78701' });
+  await runner.saveCorrection(9, { result: match('nowhere') });
+
+  const { geocodedResults, notFound } = runner.buildResults(await createRunner(geocoder).getCurrentJob());
+
+  assert.deepEqual(geocodedResults.map(row => [row.jobIndex, row.lat, row.manual]), [[0, 30.3, true], [2, 30.27, false]]);
+  assert.deepEqual(notFound.map(row => row.jobIndex), [1]);
+  assert.equal((await runner.getCurrentJob()).addresses[2].addressString, '102 Congress Avenue, Austin, TX 78701');
+});
+
+test('only one job is kept: a new one replaces it and clearing removes it', async () => {
+  const runner = createRunner(createGeocoder());
+  await runner.createJob(addressList(2), { fileName: 'old.csv' });
+  const job = await runner.createJob(addressList(1), { fileName: 'new.csv' });
+
+  const stored = await runner.getCurrentJob();
+  assert.equal(stored.id, job.id);
+  assert.equal(stored.fileName, 'new.csv');
+  assert.deepEqual(stored.results, [null]);
+
+  await runner.clearJob();
+  assert.equal(await runner.getCurrentJob(), null);
+});
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the geocoder chain (src/utils/geocoderChain.js)
+ *
+ * Runs offline against in-memory geocoders built on the mock geocoder
+ * (src/utils/mockGeocoder.js), the same one scripts/mock-geocoder-server.js
+ * serves.
+ *
+ * Usage:
+ *   npm run test:geocoder
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeocoderChain } from '../src/utils/geocoderChain.js';
+import { mockGeocode, mockReverse } from '../src/utils/mockGeocoder.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+// Records the addresses each geocoder was asked for
+const recording = (geocoder) => {
+  const calls = [];
+  const wrapped = { ...geocoder, calls };
+  if (geocoder.geocode) {
+    wrapped.geocode = async (address) => {
+      calls.push(address);
+      return geocoder.geocode(address);
+    };
+  }
+  if (geocoder.batchGeocode) {
+    wrapped.batchGeocode = async (addresses) => {
+      calls.push(...addresses);
+      return geocoder.batchGeocode(addresses);
+    };
+  }
+  return wrapped;
+};
+
+const mockBatch = (id) => recording({ id, batchGeocode: async (addresses) => addresses.map(mockGeocode) });
+const exact = (id) => recording({ id, geocode: async () => ({ lat: 32.7767, lng: -96.797, accuracy: 1, formatted_address: 'EXACT' }) });
+const failing = (id, status = 503) => recording({
+  id,
+  geocode: async () => {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    throw error;
+  }
+});
+
+test('mock geocoder is deterministic and honors its markers', () => {
+  assert.deepEqual(mockGeocode('1500 Marilla St, Dallas, TX'), mockGeocode('1500  Marilla St, Dallas, TX'));
+  assert.notDeepEqual(mockGeocode('1 Main St'), mockGeocode('2 Main St'));
+  assert.equal(mockGeocode('Address not found'), null);
+  assert.equal(mockGeocode('approx 1 Main St').accuracy, 0.5);
+  assert.equal(mockReverse(32, -97).lat, 32);
+});
+
+test('first geocoder answers when its matches clear the threshold', async () => {
+  const first = mockBatch('mock');
+  const second = exact('exact');
+  const chain = new GeocoderChain([first, second]);
+
+  const results = await chain.batchGeocode(['1 Main St', '2 Main St']);
+  assert.equal(results.length, 2);
+  assert.ok(results.every(result => result.success && result.provider === 'mock'));
+  assert.deepEqual(second.calls, []);
+});
+
+test('misses and low-accuracy matches are retried with the next geocoder', async () => {
+  const first = mockBatch('mock');
+  const second = exact('exact');
+  const chain = new GeocoderChain([first, second], { minAccuracy: 0.8 });
+
+  const results = await chain.batchGeocode(['1 Main St', 'approx 2 Main St', 'not found']);
+  assert.equal(results[0].provider, 'mock');
+  assert.equal(results[1].provider, 'exact');
+  assert.equal(results[1].accuracy, 1);
+  assert.equal(results[2].provider, 'exact');
+  assert.deepEqual(second.calls, ['approx 2 Main St', 'not found']);
+});
+
+test('the most accurate match wins when no geocoder clears the threshold', async () => {
+  const low = recording({ id: 'low', geocode: async () => ({ lat: 1, lng: 1, accuracy: 0.4 }) });
+  const better = recording({ id: 'better', geocode: async () => ({ lat: 2, lng: 2, accuracy: 0.6 }) });
+  const worse = recording({ id: 'worse', geocode: async () => ({ lat: 3, lng: 3, accuracy: 0.3 }) });
+  const chain = new GeocoderChain([low, better, worse], { minAccuracy: 0.9 });
+
+  const result = await chain.geocode('1 Main St');
+  assert.equal(result.provider, 'better');
+  assert.equal(result.lat, 2);
+});
+
+test('a failing geocoder is skipped; all failing throws for the caller to retry', async () => {
+  const chain = new GeocoderChain([failing('down'), mockBatch('mock')]);
+  const [result] = await chain.batchGeocode(['1 Main St']);
+  assert.equal(result.provider, 'mock');
+
+  const allDown = new GeocoderChain([failing('down'), failing('also-down', 429)]);
+  await assert.rejects(() => allDown.batchGeocode(['1 Main St']), error => error.status === 429);
+});
+
+test('unmatched addresses are reported as misses', async () => {
+  const chain = new GeocoderChain([mockBatch('mock')]);
+  const [result] = await chain.batchGeocode(['not found']);
+  assert.deepEqual(result, { success: false, error: 'Address not found' });
+});
+
+test('batch geocoders are called in maxBatchSize chunks', async () => {
+  const sizes = [];
+  const batch = {
+    id: 'batch',
+    maxBatchSize: 2,
+    batchGeocode: async (addresses) => {
+      sizes.push(addresses.length);
+      return addresses.map(mockGeocode);
+    }
+  };
+  const chain = new GeocoderChain([batch]);
+  const results = await chain.batchGeocode(['a 1', 'a 2', 'a 3', 'a 4', 'a 5']);
+  assert.deepEqual(sizes, [2, 2, 1]);
+  assert.ok(results.every(result => result.success));
+});
+
+test('order, enabled set and threshold are settings kept in storage', async () => {
+  const storage = memoryStorage();
+  const first = mockBatch('mock');
+  const second = exact('exact');
+  const chain = new GeocoderChain([first, second], { storage });
+
+  chain.setOrder(['exact', 'mock']);
+  chain.setMinAccuracy(0.5);
+  assert.equal((await chain.geocode('1 Main St')).provider, 'exact');
+
+  chain.setEnabled('exact', false);
+  assert.equal((await chain.geocode('1 Main St')).provider, 'mock');
+
+  const reloaded = new GeocoderChain([mockBatch('mock'), exact('exact')], { storage });
+  assert.deepEqual(reloaded.getOrderedIds(), ['exact', 'mock']);
+  assert.equal(reloaded.isEnabled('exact'), false);
+  assert.equal(reloaded.getMinAccuracy(), 0.5);
+
+  reloaded.resetSettings();
+  assert.deepEqual(reloaded.getOrderedIds(), ['mock', 'exact']);
+});
+
+test('an explicit order limits the chain to those geocoders', async () => {
+  const chain = new GeocoderChain([exact('exact'), mockBatch('mock')], { order: ['mock'] });
+  assert.deepEqual(chain.describe().filter(geocoder => geocoder.enabled).map(geocoder => geocoder.id), ['mock']);
+  assert.equal((await chain.geocode('1 Main St')).provider, 'mock');
+});
+
+test('unconfigured geocoders are left out', async () => {
+  const unconfigured = { ...exact('keyless'), isConfigured: () => false };
+  const chain = new GeocoderChain([unconfigured, mockBatch('mock')]);
+  assert.equal((await chain.geocode('1 Main St')).provider, 'mock');
+  assert.equal(chain.describe()[0].configured, false);
+});
+
+test('reverse falls through to the first geocoder with an answer', async () => {
+  const chain = new GeocoderChain([
+    { id: 'empty', reverse: async () => null },
+    { id: 'mock', reverse: async (lat, lng) => mockReverse(lat, lng) }
+  ]);
+  const result = await chain.reverse(32, -97);
+  assert.equal(result.provider, 'mock');
+  assert.match(result.displayName, /Mock St/);
+});
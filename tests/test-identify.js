@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the identify tool's point lookups (src/utils/pointIdentifier.js)
+ * against in-memory boundary layers, and the TIGERweb point query the
+ * boundary services share (src/utils/tigerHelpers.js)
+ *
+ * Usage:
+ *   npm run test:identify
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PointIdentifier, IDENTIFY_COLUMNS } from '../src/utils/pointIdentifier.js';
+import { queryTigerAtPoint } from '../src/utils/tigerHelpers.js';
+
+const square = (minLng, minLat, maxLng, maxLat, properties) => ({
+  type: 'Feature',
+  properties,
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+  }
+});
+
+// Two ZCTAs side by side, split at -97.75
+const ZCTA_WEST = square(-97.8, 30.2, -97.75, 30.3, { zipcode: '78703' });
+const ZCTA_EAST = square(-97.75, 30.2, -97.7, 30.3, { zipcode: '78701' });
+
+const FEATURES = {
+  zcta: [ZCTA_WEST, ZCTA_EAST],
+  county: [square(-98, 30, -97.5, 30.5, { NAME: 'Travis', fips: '48453' })],
+  place: [square(-97.9, 30.1, -97.6, 30.4, { NAME: 'Austin', GEOID: '4805000' })],
+  state: [square(-106, 25, -93, 36, { code: 'TX', fips: '48' })],
+  vtd: [square(-97.8, 30.2, -97.7, 30.3, { geoid: '484530001', name: 'Precinct 1' })],
+  district: [square(-98, 30, -97.5, 30.5, { state_fips: '48', district: '37', at_large: false, geoid: '4837' })]
+};
+
+// Layers answer with every feature, the way a bounding box query returns
+// neighbours, and count their lookups
+const createLayers = (overrides = {}) => Object.fromEntries(Object.entries(FEATURES).map(([type, features]) => {
+  const layer = {
+    calls: 0,
+    getBoundariesAtPoint: async () => {
+      layer.calls += 1;
+      return features;
+    },
+    ...overrides[type]
+  };
+  return [type, layer];
+}));
+
+test('each layer keeps the feature containing the point, not every candidate', async () => {
+  const identifier = new PointIdentifier(createLayers());
+  const row = await identifier.identifyPoint(30.25, -97.72, 'Office');
+
+  assert.deepEqual(
+    Object.fromEntries(IDENTIFY_COLUMNS.map(({ key }) => [key, row[key]])),
+    {
+      label: 'Office',
+      lat: 30.25,
+      lng: -97.72,
+      zcta: '78701',
+      county: 'Travis',
+      countyFips: '48453',
+      place: 'Austin',
+      placeFips: '4805000',
+      state: 'TX',
+      stateFips: '48',
+      vtd: '484530001',
+      vtdName: 'Precinct 1',
+      congressionalDistrict: 'TX-37',
+      lookupErrors: null
+    }
+  );
+  assert.equal(row.errors, null);
+  assert.equal(row.congressionalDistrictGeoid, '4837');
+});
+
+test('a point outside every boundary of a layer leaves its fields empty', async () => {
+  const identifier = new PointIdentifier(createLayers());
+  // West of the place and the ZCTAs, still inside the county
+  const row = await identifier.identifyPoint(30.25, -97.95);
+
+  assert.equal(row.zcta, null);
+  assert.equal(row.place, null);
+  assert.equal(row.county, 'Travis');
+  assert.equal(row.errors, null, 'no match is not an error');
+});
+
+test('points inside a polygon found earlier are answered without a new lookup', async () => {
+  const layers = createLayers();
+  const identifier = new PointIdentifier(layers);
+
+  await identifier.identifyPoint(30.25, -97.72);
+  assert.equal(layers.zcta.calls, 1);
+
+  const again = await identifier.identifyPoint(30.28, -97.71);
+  assert.equal(again.zcta, '78701');
+  assert.equal(layers.zcta.calls, 1, 'east ZCTA was cached');
+
+  // The west ZCTA was a candidate but never matched, so it is looked up
+  const west = await identifier.identifyPoint(30.25, -97.78);
+  assert.equal(west.zcta, '78703');
+  assert.equal(layers.zcta.calls, 2);
+
+  identifier.clearCache();
+  await identifier.identifyPoint(30.25, -97.72);
+  assert.equal(layers.zcta.calls, 3);
+});
+
+test('the cache keeps the 25 most recently matched features', async () => {
+  // A row of 30 small ZCTAs along one latitude
+  const row = Array.from({ length: 30 }, (_, i) => square(-98 + i * 0.01, 30, -98 + (i + 1) * 0.01, 30.01, { zipcode: String(i) }));
+  const layers = createLayers({ zcta: { calls: 0, getBoundariesAtPoint: async () => { layers.zcta.calls += 1; return row; } } });
+  const identifier = new PointIdentifier(layers);
+
+  for (let i = 0; i < 30; i++) {
+    await identifier.findContaining('zcta', 30.005, -98 + i * 0.01 + 0.005);
+  }
+  assert.equal(identifier.recentFeatures.zcta.length, 25);
+  assert.equal(layers.zcta.calls, 30);
+
+  await identifier.findContaining('zcta', 30.005, -98 + 29 * 0.01 + 0.005);
+  assert.equal(layers.zcta.calls, 30, 'recent feature still cached');
+  await identifier.findContaining('zcta', 30.005, -98 + 0.005);
+  assert.equal(layers.zcta.calls, 31, 'oldest feature was dropped');
+});
+
+test('a failed layer is reported in its row, and the other layers still fill in', async () => {
+  const identifier = new PointIdentifier(createLayers({
+    county: { getBoundariesAtPoint: async () => { throw new Error('TIGER point query failed: 503'); } },
+    district: { getBoundariesAtPoint: async () => { throw new Error('timeout'); } }
+  }));
+  const warn = console.warn;
+  console.warn = () => {};
+  let row;
+  try {
+    row = await identifier.identifyPoint(30.25, -97.72);
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.deepEqual(row.errors, { county: 'TIGER point query failed: 503', congressionalDistrict: 'timeout' });
+  assert.equal(row.lookupErrors, 'County: TIGER point query failed: 503; Congressional District: timeout');
+  assert.equal(row.county, null);
+  assert.equal(row.zcta, '78701');
+  assert.equal(row.state, 'TX');
+});
+
+test('lists are identified a few points at a time, in input order', async () => {
+  const identifier = new PointIdentifier(createLayers());
+  const progress = [];
+
+  const rows = await identifier.identifyPoints([
+    { lat: 30.25, lng: -97.72, label: 'a' },
+    { lat: 30.25, lng: -97.78, label: 'b' },
+    { lat: 30.25, lng: -97.95, label: 'c' }
+  ], { concurrency: 2, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+
+  assert.deepEqual(rows.map(row => [row.label, row.zcta]), [['a', '78701'], ['b', '78703'], ['c', null]]);
+  assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+});
+
+const originalFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('TIGERweb point queries ask the layer for intersecting features as GeoJSON', async () => {
+  let requested;
+  globalThis.fetch = async (url) => {
+    requested = new URL(url);
+    return Response.json({ type: 'FeatureCollection', features: [ZCTA_EAST] });
+  };
+
+  const features = await queryTigerAtPoint('https://tigerweb.example/MapServer/2', 'ZCTA5,GEOID', 30.25, -97.72);
+
+  assert.deepEqual(features, [ZCTA_EAST]);
+  assert.equal(requested.pathname, '/MapServer/2/query');
+  assert.deepEqual(Object.fromEntries(requested.searchParams), {
+    geometry: '-97.72,30.25',
+    geometryType: 'esriGeometryPoint',
+    inSR: '4326',
+    spatialRel: 'esriSpatialRelIntersects',
+    outFields: 'ZCTA5,GEOID',
+    returnGeometry: 'true',
+    f: 'geojson',
+    geometryPrecision: '5'
+  });
+});
+
+test('a failed TIGERweb point query rejects; an empty answer is no features', async () => {
+  globalThis.fetch = async () => new Response('', { status: 500 });
+  await assert.rejects(queryTigerAtPoint('https://tigerweb.example/MapServer/2', '*', 30, -97), /TIGER point query failed: 500/);
+
+  globalThis.fetch = async () => Response.json({});
+  assert.deepEqual(await queryTigerAtPoint('https://tigerweb.example/MapServer/2', '*', 30, -97), []);
+});
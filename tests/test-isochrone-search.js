@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for isochrone searches: the mock routing provider
+ * (src/services/isochroneService.js) through the polygon search params and
+ * the isochrone record stored on the entry (src/utils/isochroneSearchHelpers.js)
+ *
+ * Usage:
+ *   npm run test:isochrone
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import isochroneService from '../src/services/isochroneService.js';
+import {
+  geometryToPolygonParam,
+  buildIsochroneSearchParams,
+  buildIsochroneRecord
+} from '../src/utils/isochroneSearchHelpers.js';
+import { isPointInPolygon } from '../src/utils/geoHelpers.js';
+
+isochroneService.setProvider('mock');
+
+const ATLANTA = { lat: 33.749, lng: -84.388 };
+const inclusion = { mode: 'centroid' };
+
+// Centroid test against the {lat, lng} polygon the ZIP search is given
+const inside = ({ lat, lng }, polygon) => isPointInPolygon([lng, lat], polygon.map(point => [point.lng, point.lat]));
+
+// Degrees of latitude the polygon spans, a stand-in for its reach
+const latSpan = (polygon) => {
+  const lats = polygon.map(point => point.lat);
+  return Math.max(...lats) - Math.min(...lats);
+};
+
+test('the reachable area becomes the polygon of a ZIP search', async () => {
+  const { geometry, provider } = await isochroneService.getIsochrone({ ...ATLANTA, value: 15, metric: 'time', profile: 'drive' });
+  assert.equal(provider, 'mock');
+  assert.equal(geometry.type, 'Polygon');
+
+  const params = buildIsochroneSearchParams(geometry, inclusion);
+  assert.equal(params.geometry, geometry);
+  assert.equal(params.inclusion, inclusion);
+  assert.deepEqual([params.limit, params.offset], [2000, 0]);
+
+  // The closing vertex is dropped and each point is {lat, lng}
+  const ring = geometry.coordinates[0];
+  assert.equal(params.polygon.length, ring.length - 1);
+  assert.deepEqual(params.polygon[0], { lat: ring[0][1], lng: ring[0][0] });
+
+  // 15 minutes at 35 mph is under 9 miles: the centre is inside, a point 20 miles north is not
+  assert.ok(inside(ATLANTA, params.polygon));
+  assert.ok(!inside({ lat: ATLANTA.lat + 20 / 69, lng: ATLANTA.lng }, params.polygon));
+});
+
+test('the entry keeps the minutes, metric and travel mode it was built for', async () => {
+  const options = { value: '20', metric: 'time', profile: 'walk' };
+  const isochrone = await isochroneService.getIsochrone({ ...ATLANTA, ...options });
+  const record = buildIsochroneRecord(options, isochrone);
+
+  assert.deepEqual(
+    { value: record.value, metric: record.metric, profile: record.profile, provider: record.provider },
+    { value: 20, metric: 'time', profile: 'walk', provider: 'mock' }
+  );
+  assert.equal(record.geometry, isochrone.geometry);
+  assert.equal(isochroneService.describe(record), '20 min walk');
+
+  // The same minutes by car reach further than on foot
+  const drive = await isochroneService.getIsochrone({ ...ATLANTA, value: 20, metric: 'time', profile: 'drive' });
+  assert.ok(latSpan(geometryToPolygonParam(drive.geometry)) > latSpan(geometryToPolygonParam(record.geometry)));
+
+  const miles = buildIsochroneRecord({ value: 5, metric: 'distance', profile: 'bike' }, drive);
+  assert.equal(isochroneService.describe(miles), '5 mi bike');
+});
+
+test('a shared entry restores the same search without routing again', async () => {
+  const options = { value: 10, metric: 'time', profile: 'bike' };
+  const isochrone = await isochroneService.getIsochrone({ ...ATLANTA, ...options });
+  const record = buildIsochroneRecord(options, isochrone);
+  const original = buildIsochroneSearchParams(record.geometry, inclusion);
+
+  const restored = JSON.parse(JSON.stringify(record));
+  assert.deepEqual(restored, record);
+  assert.deepEqual(buildIsochroneSearchParams(restored.geometry, inclusion), original);
+});
+
+test('requests outside the metric limits are rejected', async () => {
+  await assert.rejects(
+    isochroneService.getIsochrone({ ...ATLANTA, value: 500, metric: 'time', profile: 'drive' }),
+    /Minutes must be between 1 and 120/
+  );
+  await assert.rejects(
+    isochroneService.getIsochrone({ ...ATLANTA, value: 10, metric: 'time', profile: 'boat' }),
+    /Unknown travel mode/
+  );
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for picking boundaries into a selection search
+ * (src/utils/mapSelectionHelpers.js)
+ *
+ * Usage:
+ *   npm run test:selection
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  selectionItemFromFeature,
+  geometryContains,
+  representativePoint,
+  featuresAtPoint,
+  featuresInBounds,
+  applySelectionPick,
+  describeSelection
+} from '../src/utils/mapSelectionHelpers.js';
+
+const square = (west, south, east, north) =>
+  [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+const feature = (properties, coordinates, type = 'Polygon') => ({
+  type: 'Feature',
+  properties,
+  geometry: { type, coordinates }
+});
+
+test('items are identified across boundary sources', () => {
+  const geometry = [square(0, 0, 1, 1)];
+  assert.equal(selectionItemFromFeature('zcta', feature({ zipcode: '78701' }, geometry)).id, '78701');
+  assert.equal(selectionItemFromFeature('zcta', feature({ ZCTA5: '78702' }, geometry)).name, 'ZIP 78702');
+
+  const county = selectionItemFromFeature('county', feature({ NAME: 'Travis', STATE: 'TX' }, geometry));
+  assert.deepEqual([county.id, county.name], ['Travis|TX', 'Travis County, TX']);
+  assert.equal(selectionItemFromFeature('county', feature({ name: 'Orleans Parish', fips: '22071' }, geometry)).name, 'Orleans Parish');
+
+  const place = selectionItemFromFeature('place', feature({ BASENAME: 'Austin', GEOID: '4805000' }, geometry));
+  assert.deepEqual([place.id, place.name], ['4805000', 'Austin']);
+
+  const vtd = selectionItemFromFeature('vtd', feature({ state_fips: '48', county_fips: '453', vtd_code: '000101' }, geometry));
+  assert.deepEqual([vtd.id, vtd.name], ['48453000101', 'VTD 000101']);
+
+  assert.equal(selectionItemFromFeature('zcta', feature({}, geometry)), null);
+  assert.equal(selectionItemFromFeature('state', feature({ NAME: 'Texas' }, geometry)), null);
+});
+
+test('containment excludes holes and covers every part', () => {
+  const donut = { type: 'Polygon', coordinates: [square(0, 0, 4, 4), square(1, 1, 3, 3)] };
+  assert.ok(geometryContains(donut, 0.5, 0.5));
+  assert.ok(!geometryContains(donut, 2, 2));
+
+  const islands = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)], [square(5, 5, 6, 6)]] };
+  assert.ok(geometryContains(islands, 5.5, 5.5));
+  assert.ok(!geometryContains(islands, 3, 3));
+
+  const features = [feature({ zipcode: 'a' }, [square(0, 0, 2, 2)]), feature({ zipcode: 'b' }, [square(2, 0, 4, 2)])];
+  assert.deepEqual(featuresAtPoint(features, 3, 1).map(f => f.properties.zipcode), ['b']);
+});
+
+test('the representative point of a shape lies inside it', () => {
+  assert.deepEqual(representativePoint({ type: 'Polygon', coordinates: [square(0, 0, 2, 4)] }), [1, 2]);
+
+  // The larger island wins
+  const islands = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)], [square(10, 10, 14, 14)]] };
+  assert.deepEqual(representativePoint(islands), [12, 12]);
+
+  // The centroid of a U shape falls in the gap, so the point moves
+  const u = { type: 'Polygon', coordinates: [[[0, 0], [3, 0], [3, 3], [2, 3], [2, 1], [1, 1], [1, 3], [0, 3], [0, 0]]] };
+  const [lng, lat] = representativePoint(u);
+  assert.ok(Number.isFinite(lng) && Number.isFinite(lat));
+  assert.equal(representativePoint({ type: 'Point', coordinates: [0, 0] }), null);
+});
+
+test('a box picks the boundaries centred inside it', () => {
+  const features = [
+    feature({ zipcode: 'inside' }, [square(0, 0, 2, 2)]),
+    feature({ zipcode: 'straddling' }, [square(1.5, 0, 5, 2)]),
+    feature({ zipcode: 'outside' }, [square(10, 10, 12, 12)])
+  ];
+  const picked = featuresInBounds(features, { north: 3, south: -1, east: 3, west: -1 });
+  assert.deepEqual(picked.map(f => f.properties.zipcode), ['inside']);
+});
+
+test('clicks toggle and boxes add or remove together', () => {
+  const item = (id) => ({ type: 'zcta', id, name: id });
+
+  let result = applySelectionPick([], [item('1')]);
+  assert.deepEqual(result.items.map(i => i.id), ['1']);
+  result = applySelectionPick(result.items, [item('1')]);
+  assert.deepEqual([result.items, result.removed.map(i => i.id)], [[], ['1']]);
+
+  // A box with a new boundary adds only that one
+  result = applySelectionPick([item('1')], [item('1'), item('2'), item('2')]);
+  assert.deepEqual(result.items.map(i => i.id), ['1', '2']);
+  assert.deepEqual(result.added.map(i => i.id), ['2']);
+
+  // A box over selected boundaries clears them
+  result = applySelectionPick(result.items, [item('1'), item('2')]);
+  assert.deepEqual(result.items, []);
+
+  // Same id on another layer is a different item
+  result = applySelectionPick([item('1')], [{ type: 'vtd', id: '1', name: 'VTD 1' }]);
+  assert.equal(result.items.length, 2);
+
+  const unchanged = [item('1')];
+  assert.equal(applySelectionPick(unchanged, []).items, unchanged);
+});
+
+test('selections are described by layer', () => {
+  assert.equal(describeSelection([]), 'Nothing selected');
+  assert.equal(describeSelection([
+    { type: 'county', id: 'a' },
+    { type: 'zcta', id: 'b' },
+    { type: 'zcta', id: 'c' }
+  ]), '2 ZIPs, 1 county');
+});
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the offline database query engine (src/utils/offlineDbHelpers.js)
+ * against the small fixture in tests/fixtures/offline-db.json
+ *
+ * Usage:
+ *   npm run test:offline
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { createOfflineDb } from '../src/utils/offlineDbHelpers.js';
+
+const fixture = JSON.parse(fs.readFileSync(new URL('./fixtures/offline-db.json', import.meta.url), 'utf8'));
+const db = createOfflineDb(fixture);
+
+const zipsOf = ({ results }) => results.map(zip => zip.zipcode);
+
+test('databases of another version are refused', () => {
+  assert.throws(() => createOfflineDb({ ...fixture, version: 2 }), /Unsupported offline database version 2/);
+  assert.throws(() => createOfflineDb(null), /Unsupported offline database version/);
+});
+
+test('search filters by text, place and area', () => {
+  assert.deepEqual(zipsOf(db.search({ query: '7870' })), ['78701', '78702']);
+  assert.deepEqual(zipsOf(db.search({ query: 'Round Rock, TX' })), ['78664']);
+  assert.deepEqual(zipsOf(db.search({ query: 'Travis County, TX' })), ['78701', '78702']);
+  assert.deepEqual(zipsOf(db.search({ state: 'Georgia' })), ['30303']);
+  assert.deepEqual(zipsOf(db.search({ state: '48', county: 'Williamson County', city: 'Austin' })), ['78729']);
+
+  // 2.5 miles from downtown Austin reaches 78702 but not north Austin
+  assert.deepEqual(zipsOf(db.search({ lat: 30.27, lng: -97.74, radius: 2.5 })), ['78701', '78702']);
+
+  const polygon = [{ lat: 30.4, lng: -97.8 }, { lat: 30.4, lng: -97.6 }, { lat: 30.6, lng: -97.6 }, { lat: 30.6, lng: -97.8 }];
+  assert.deepEqual(zipsOf(db.search({ polygon })), ['78729', '78664']);
+
+  // Nothing to search by returns nothing rather than every ZIP
+  assert.deepEqual(db.search({}), { results: [], total: 0, offset: 0, limit: 500, hasMore: false });
+});
+
+test('search rows carry county names and paginate', () => {
+  const [first] = db.search({ query: '78664' }).results;
+  assert.deepEqual(
+    { city: first.city, state: first.state, county: first.county, countyFips: first.countyFips, lat: first.lat, lng: first.lng },
+    { city: 'Round Rock', state: 'TX', county: 'Williamson', countyFips: '48491', lat: 30.51, lng: -97.65 }
+  );
+
+  const page = db.search({ state: 'TX', limit: 2, offset: 2 });
+  assert.deepEqual([zipsOf(page), page.total, page.hasMore], [['78729', '78664'], 4, false]);
+  assert.equal(db.search({ state: 'TX', limit: 2 }).hasMore, true);
+});
+
+test('states, counties and cities are listed from the ZIPs', () => {
+  // Alaska has no ZIPs in the fixture
+  assert.deepEqual(db.getStates(), [{ code: 'GA', name: 'Georgia' }, { code: 'TX', name: 'Texas' }]);
+
+  assert.deepEqual(db.getCounties('TX'), [{ name: 'Travis' }, { name: 'Williamson' }]);
+  assert.deepEqual(db.getCounties('13'), [{ name: 'Fulton' }]);
+  assert.deepEqual(db.getCounties('ZZ'), []);
+
+  assert.deepEqual(db.getCities('TX'), [{ name: 'Austin' }, { name: 'Round Rock' }]);
+  assert.deepEqual(db.getCities('TX', 'Travis'), [{ name: 'Austin' }]);
+  assert.deepEqual(db.getCities('TX', 'Williamson County'), [{ name: 'Austin' }, { name: 'Round Rock' }]);
+
+  assert.equal(db.getZipCode('30303').zipcode.county, 'Fulton');
+  assert.deepEqual(db.getZipCode('99999'), { error: 'Zip code not found', zipcode: null });
+});
+
+test('boundaries come back with TIGERweb property names', () => {
+  const zcta = db.getBoundary('zcta', '78701');
+  assert.deepEqual(zcta.properties, { ZCTA5: '78701', GEOID: '78701', NAME: 'ZCTA5 78701' });
+  assert.equal(zcta.geometry.type, 'Polygon');
+
+  assert.equal(db.getBoundary('state', 'Texas').properties.STUSAB, 'TX');
+  assert.equal(db.getBoundary('state', 'TX').properties.GEOID, '48');
+
+  const county = db.getBoundary('county', { name: 'Travis County', state: 'TX' });
+  assert.deepEqual(
+    [county.properties.GEOID, county.properties.BASENAME, county.properties.COUNTY],
+    ['48453', 'Travis', '453']
+  );
+  assert.equal(db.getBoundary('place', { name: 'Austin', state: '48' }).properties.PLACE, '05000');
+
+  // VTDs use the Supabase row shape
+  const vtd = db.getBoundary('vtd', { vtdCode: '000101', state: 'TX' });
+  assert.deepEqual(
+    [vtd.geoid, vtd.name, vtd.full_county_fips, vtd.geometry_geojson.type],
+    ['48453000101', 'Precinct 101', '48453', 'Polygon']
+  );
+
+  // Known rows without a boundary, and unknown keys
+  assert.equal(db.getBoundary('place', { name: 'Round Rock', state: 'TX' }), null);
+  assert.equal(db.getBoundary('county', { name: 'Nowhere', state: 'TX' }), null);
+  assert.equal(db.getBoundary('zcta', '00000'), null);
+});
+
+test('boundaries are listed by id, by bounds and by county', () => {
+  assert.deepEqual(
+    db.getBoundaries('zcta', ['78701', '78702', 30303]).map(f => f.properties.GEOID),
+    ['78701', '30303']
+  );
+
+  const austin = { north: 30.3, south: 30.2, east: -97.7, west: -97.8 };
+  assert.deepEqual(db.getBoundariesInBounds('zcta', austin).map(f => f.properties.GEOID), ['78701']);
+  assert.deepEqual(db.getBoundariesInBounds('county', austin, 1).map(f => f.properties.GEOID), ['48453']);
+  assert.deepEqual(db.getBoundariesInBounds('zcta', { north: 40, south: 39, east: -90, west: -91 }), []);
+
+  // 000102 has no boundary in the fixture
+  assert.deepEqual(db.getVtdsForCounties(['48453', '13121']).map(vtd => vtd.geoid), ['48453000101']);
+
+  assert.deepEqual(db.getStats(), {
+    builtAt: '2026-01-01T00:00:00.000Z',
+    zips: 5,
+    counties: 3,
+    places: 3,
+    vtds: 2,
+    boundaries: { state: 1, county: 1, place: 1, zcta: 2, vtd: 1 }
+  });
+});
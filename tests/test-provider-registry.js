@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the data provider registry (src/utils/providerRegistry.js):
+ * ordered fallback, health tracking, offline mode and saved settings
+ *
+ * Usage:
+ *   npm run test:providers
+ */
+
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderRegistry } from '../src/utils/providerRegistry.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const ROWS = [{ zipcode: '78701' }, { zipcode: '78702' }];
+
+// Records which providers were asked; `search` answers with `answer`, or
+// throws it when it is an Error
+const provider = (id, { answer = { results: ROWS, total: 2 }, local = false, health, ...rest } = {}) => {
+  const calls = [];
+  return {
+    id,
+    label: id.toUpperCase(),
+    local,
+    calls,
+    search: async (params) => {
+      calls.push(params);
+      if (answer instanceof Error) throw answer;
+      return answer;
+    },
+    ...(health !== undefined ? { checkHealth: async () => { if (health instanceof Error) throw health; return health; } } : {}),
+    ...rest
+  };
+};
+
+const noRows = { results: [], total: 0 };
+const hasRows = (result) => result?.results?.length > 0;
+
+// Failed providers are logged as they are passed over
+const quietly = async (fn) => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('the first usable answer wins and is tagged with its provider', async () => {
+  const empty = provider('supabase', { answer: noRows });
+  const local = provider('static');
+  const unused = provider('offline');
+  const registry = new ProviderRegistry([empty, local, unused]);
+
+  const result = await registry.call('search', [{ state: 'TX' }], { accept: hasRows });
+
+  assert.equal(result.provider, 'static');
+  assert.deepEqual(result.results, ROWS.map(row => ({ ...row, provider: 'static' })));
+  assert.deepEqual(empty.calls, [{ state: 'TX' }]);
+  assert.equal(unused.calls.length, 0);
+  assert.equal(registry.describe().find(entry => entry.serving).id, 'static');
+});
+
+test('when no answer is usable the last one returned is used', async () => {
+  const registry = new ProviderRegistry([
+    provider('supabase', { answer: noRows }),
+    provider('api', { answer: new Error('HTTP 502') }),
+    provider('static', { answer: { results: [], total: 0, hasMore: false } })
+  ]);
+
+  const result = await quietly(() => registry.call('search', [{}], { accept: hasRows }));
+
+  assert.deepEqual(result, { results: [], total: 0, hasMore: false, provider: 'static' });
+});
+
+test('the last error is thrown when every provider fails', async () => {
+  const registry = new ProviderRegistry([
+    provider('supabase', { answer: new Error('HTTP 500') }),
+    provider('static', { answer: new Error('zipdata.json missing') })
+  ]);
+
+  await quietly(() => assert.rejects(registry.call('search', [{}]), /zipdata.json missing/));
+  await assert.rejects(registry.call('getStates'), /No enabled data provider supports getStates/);
+});
+
+test('a failed provider is marked unhealthy and tried last until it answers again', async () => {
+  const flaky = provider('supabase', { answer: new Error('timeout') });
+  const backup = provider('static');
+  const registry = new ProviderRegistry([flaky, backup]);
+
+  await quietly(() => registry.call('search', [{}]));
+  assert.equal(registry.isHealthy('supabase'), false);
+  assert.equal(registry.describe()[0].health.error, 'timeout');
+  assert.deepEqual(registry.getCandidates('search').map(p => p.id), ['static', 'supabase']);
+
+  // Still its turn when the healthy providers have nothing usable
+  backup.search = async () => noRows;
+  flaky.search = async () => ({ results: ROWS });
+  const result = await registry.call('search', [{}], { accept: hasRows });
+  assert.equal(result.provider, 'supabase');
+  assert.equal(registry.isHealthy('supabase'), true);
+  assert.deepEqual(registry.getCandidates('search').map(p => p.id), ['supabase', 'static']);
+});
+
+test('health results expire after a minute', async () => {
+  const registry = new ProviderRegistry([provider('supabase', { health: false }), provider('static')]);
+  const now = Date.now();
+  mock.method(Date, 'now', () => now);
+
+  await registry.checkHealth('supabase');
+  assert.equal(registry.isHealthy('supabase'), false);
+  assert.equal(registry.getCandidates('search')[0].id, 'static');
+
+  Date.now.mock.mockImplementation(() => now + 61 * 1000);
+  assert.equal(registry.isHealthy('supabase'), null);
+  assert.equal(registry.getCandidates('search')[0].id, 'supabase');
+});
+
+test('health checks: missing checks pass, thrown ones fail with their message', async () => {
+  const registry = new ProviderRegistry([
+    provider('supabase', { health: new Error('401 Unauthorized') }),
+    provider('api', { health: true }),
+    provider('static'),
+    provider('offline', { health: false })
+  ], { disabled: ['offline'] });
+
+  const described = await registry.refreshHealth({ enabledOnly: true });
+
+  assert.deepEqual(described.map(({ id, enabled, health }) => [id, enabled, health?.ok ?? null, health?.error ?? null]), [
+    ['supabase', true, false, '401 Unauthorized'],
+    ['api', true, true, null],
+    ['static', true, true, null],
+    ['offline', false, null, null]
+  ]);
+  assert.equal(await registry.checkHealth('unknown'), false);
+});
+
+test('disabled providers and ones without the method are skipped', async () => {
+  const registry = new ProviderRegistry([
+    provider('supabase'),
+    provider('api'),
+    { id: 'tigerweb', label: 'TIGERweb', getBoundaries: async () => [] },
+    provider('static')
+  ], { disabled: ['api'] });
+
+  registry.setEnabled('supabase', false);
+
+  assert.deepEqual(registry.getCandidates('search').map(p => p.id), ['static']);
+  assert.deepEqual(registry.getCandidates('getBoundaries').map(p => p.id), ['tigerweb']);
+  assert.equal((await registry.call('search', [{}])).provider, 'static');
+});
+
+test('in offline mode only local providers are used', async () => {
+  let offline = true;
+  const registry = new ProviderRegistry([provider('supabase'), provider('offline', { local: true }), provider('static', { local: true })], {
+    isOffline: () => offline
+  });
+
+  assert.deepEqual(registry.getCandidates('search').map(p => p.id), ['offline', 'static']);
+  offline = false;
+  assert.deepEqual(registry.getCandidates('search').map(p => p.id), ['supabase', 'offline', 'static']);
+});
+
+test('an env order lists exactly the providers to use until the user edits it', () => {
+  const storage = memoryStorage();
+  const providers = () => [provider('supabase'), provider('api'), provider('offline'), provider('static')];
+  const registry = new ProviderRegistry(providers(), { order: ['static', 'offline'], storage });
+
+  assert.deepEqual(registry.getCandidates('search').map(p => p.id), ['static', 'offline']);
+
+  // Editing turns the env order into an explicit, saved one
+  registry.setEnabled('supabase', true);
+  assert.deepEqual(registry.getCandidates('search').map(p => p.id), ['static', 'offline', 'supabase']);
+  registry.setOrder(['supabase']);
+
+  const reloaded = new ProviderRegistry(providers(), { order: ['static', 'offline'], storage });
+  assert.deepEqual(reloaded.getCandidates('search').map(p => p.id), ['supabase', 'static', 'offline']);
+
+  reloaded.resetSettings();
+  assert.deepEqual(reloaded.getCandidates('search').map(p => p.id), ['static', 'offline']);
+});
+
+test('callProvider goes to one provider, whatever the order or health', async () => {
+  const cursorOwner = provider('postgres', { answer: { results: ROWS, nextCursor: 'abc' } });
+  const registry = new ProviderRegistry([provider('static'), cursorOwner]);
+  registry.setHealth('postgres', false, 'timeout');
+
+  const page = await registry.callProvider('postgres', 'search', [{ cursor: 'abc' }]);
+
+  assert.equal(page.provider, 'postgres');
+  assert.deepEqual(cursorOwner.calls, [{ cursor: 'abc' }]);
+  await assert.rejects(registry.callProvider('static', 'getBoundaries', []), /Data provider static does not support getBoundaries/);
+});
+
+test('providers can be added, replaced and removed at runtime', () => {
+  const registry = new ProviderRegistry([provider('supabase'), provider('static')]);
+  const changes = [];
+  registry.subscribe(() => changes.push(registry.getIds().join(',')));
+
+  registry.register(provider('postgres'));
+  registry.register({ ...provider('supabase'), label: 'Supabase (EU)' });
+  registry.unregister('static');
+
+  assert.deepEqual(changes, ['supabase,static,postgres', 'supabase,static,postgres', 'supabase,postgres']);
+  assert.equal(registry.get('supabase').label, 'Supabase (EU)');
+  assert.throws(() => registry.register({ label: 'No id' }), /Data provider needs an id/);
+});
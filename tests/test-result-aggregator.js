@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the incremental ZIP rollups (src/utils/resultAggregator.js)
+ *
+ * Usage:
+ *   npm run test:aggregation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResultAggregator } from '../src/utils/resultAggregator.js';
+
+// Same shape as demographicsService's DEMOGRAPHIC_FIELDS, trimmed
+const FIELDS = [
+  { key: 'population', rollup: 'sum' },
+  { key: 'households', rollup: 'sum' },
+  { key: 'medianIncome', rollup: 'weighted', weight: 'households' }
+];
+
+const zip = (zipCode, city, county, state, extra = {}) => ({
+  zipCode,
+  city,
+  county,
+  state,
+  lat: 30 + Number(zipCode.slice(-2)) / 100,
+  lng: -97,
+  ...extra
+});
+
+const ROWS = [
+  zip('78701', 'Austin', 'Travis', 'TX', { population: 10000, households: 5000, medianIncome: 80000, searchIds: ['a'] }),
+  zip('78702', 'Austin', 'Travis', 'TX', { population: 20000, households: 5000, medianIncome: 40000, searchIds: ['a', 'b'] }),
+  zip('78660', 'Pflugerville', 'Travis', 'TX', { population: 30000, households: 10000, searchIds: ['b'] }),
+  zip('75201', 'Dallas', 'Dallas', 'TX', { searchIds: ['c'] }),
+  zip('30303', 'Atlanta', 'Fulton', 'GA')
+];
+
+const byId = (rows) => Object.fromEntries(rows.map(row => [row.id, row]));
+
+test('groups ZIPs into cities, counties and states', () => {
+  const aggregator = new ResultAggregator({ fields: FIELDS });
+  aggregator.reset(ROWS, { a: 1, b: 2, c: 3 });
+  const { cities, counties, states } = aggregator.snapshot();
+
+  assert.deepEqual(cities.map(city => city.name), ['Atlanta', 'Austin', 'Dallas', 'Pflugerville']);
+  const austin = byId(cities)['city-Austin-TX-Travis'];
+  assert.equal(austin.zipCount, 2);
+  assert.equal(austin.population, 30000);
+  assert.equal(austin.medianIncome, 60000);
+  assert.deepEqual(austin.searchSequences, [1, 2]);
+  assert.ok(Math.abs(austin.lat - 30.015) < 1e-9);
+
+  const travis = byId(counties)['county-Travis-TX'];
+  assert.equal(travis.zipCount, 3);
+  assert.equal(travis.cityCount, 2);
+  assert.equal(travis.households, 20000);
+  // Pflugerville has households but no income, so it adds no weight
+  assert.equal(travis.medianIncome, 60000);
+
+  const texas = byId(states)['state-TX'];
+  assert.equal(texas.zipCount, 4);
+  assert.equal(texas.countyCount, 2);
+  assert.equal(texas.cityCount, 3);
+  assert.equal(byId(counties)['county-Dallas-TX'].population, null);
+});
+
+test('adding rows updates only the affected groups and replaces known ZIPs', () => {
+  const aggregator = new ResultAggregator({ fields: FIELDS });
+  aggregator.reset(ROWS.slice(0, 2));
+  aggregator.add([ROWS[2], { ...ROWS[0], population: 15000 }]);
+
+  assert.equal(aggregator.size, 3);
+  const { cities } = aggregator.snapshot();
+  assert.equal(byId(cities)['city-Austin-TX-Travis'].population, 35000);
+  assert.equal(byId(cities)['city-Austin-TX-Travis'].zipCount, 2);
+  assert.equal(byId(cities)['city-Pflugerville-TX-Travis'].zipCount, 1);
+});
+
+test('removing rows drops empty groups and their ids', () => {
+  const aggregator = new ResultAggregator({ fields: FIELDS });
+  aggregator.reset(ROWS);
+  aggregator.remove(['78660', '30303']);
+
+  const { cities, counties, states } = aggregator.snapshot();
+  assert.deepEqual(cities.map(city => city.name), ['Austin', 'Dallas']);
+  assert.equal(byId(counties)['county-Travis-TX'].cityCount, 1);
+  assert.deepEqual(byId(counties)['county-Travis-TX'].searchIds.sort(), ['a', 'b']);
+  assert.deepEqual(states.map(state => state.state), ['TX']);
+
+  aggregator.remove(['78701', '78702']);
+  assert.deepEqual(byId(aggregator.snapshot().counties)['county-Travis-TX'], undefined);
+  assert.equal(byId(aggregator.snapshot().states)['state-TX'].searchIds.join(), 'c');
+});
+
+test('rollups match a full regroup after many incremental changes', () => {
+  const rows = Array.from({ length: 2000 }, (_, index) => zip(
+    String(10000 + index),
+    `City ${index % 37}`,
+    `County ${index % 11}`,
+    index % 3 === 0 ? 'CA' : 'NV',
+    { population: index, households: index % 5, medianIncome: 1000 * (index % 7) }
+  ));
+
+  const incremental = new ResultAggregator({ fields: FIELDS });
+  for (let start = 0; start < rows.length; start += 250) {
+    incremental.add(rows.slice(start, start + 250));
+  }
+  incremental.remove(rows.filter((_, index) => index % 4 === 0).map(row => row.zipCode));
+
+  const full = new ResultAggregator({ fields: FIELDS });
+  full.reset(rows.filter((_, index) => index % 4 !== 0));
+
+  const round = (snapshot) => JSON.parse(JSON.stringify(snapshot, (key, value) => (
+    typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value
+  )));
+  assert.deepEqual(round(incremental.snapshot()), round(full.snapshot()));
+});
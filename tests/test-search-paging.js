@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for following radius/polygon search pages (src/utils/searchPaging.js),
+ * against the offline fixture database (offset paging) and a cursor provider
+ * shaped like the PostGIS RPCs
+ *
+ * Usage:
+ *   npm run test:paging
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { fetchAllPages, isAreaSearch, nextPageParams } from '../src/utils/searchPaging.js';
+import { createOfflineDb } from '../src/utils/offlineDbHelpers.js';
+
+const fixture = JSON.parse(fs.readFileSync(new URL('./fixtures/offline-db.json', import.meta.url), 'utf8'));
+const db = createOfflineDb(fixture);
+
+const zipsOf = ({ results }) => results.map(zip => zip.zipcode);
+
+// Five ZIPs numbered 00000-00004, paged like search_radius: the cursor is
+// the last row's position and the total is exact
+const createCursorProvider = (count = 5) => {
+  const rows = Array.from({ length: count }, (_, i) => ({ zipcode: String(i).padStart(5, '0') }));
+  const calls = [];
+  const search = async (params) => {
+    calls.push(params);
+    const start = params.cursor ? Number(params.cursor) + 1 : 0;
+    const results = rows.slice(start, start + params.limit);
+    const last = start + results.length - 1;
+    const hasMore = last < rows.length - 1;
+    return { results, total: rows.length, offset: 0, limit: params.limit, hasMore, nextCursor: hasMore ? String(last) : null };
+  };
+  return { search, calls };
+};
+
+test('only radius and polygon searches are paged', () => {
+  assert.equal(isAreaSearch({ lat: 30, lng: -97, radius: 5 }), true);
+  assert.equal(isAreaSearch({ polygon: [{ lat: 0, lng: 0 }, { lat: 1, lng: 0 }, { lat: 1, lng: 1 }] }), true);
+  assert.equal(isAreaSearch({ query: 'Austin' }), false);
+  assert.equal(isAreaSearch({ lat: 30, lng: -97 }), false);
+  assert.equal(isAreaSearch({ polygon: [{ lat: 0, lng: 0 }] }), false);
+});
+
+test('the next page follows the cursor when there is one, else the offset', () => {
+  const params = { lat: 30, lng: -97, radius: 5, limit: 2, offset: 0 };
+  assert.deepEqual(nextPageParams(params, { results: [1, 2], nextCursor: 'abc' }), { ...params, cursor: 'abc' });
+  assert.deepEqual(nextPageParams(params, { results: [1, 2], offset: 2, limit: 2 }), { ...params, cursor: undefined, offset: 4 });
+});
+
+test('a radius search past one page returns every ZIP (offset paging)', async () => {
+  const params = { lat: 30.4, lng: -97.7, radius: 30, limit: 1, offset: 0 };
+  const first = db.search(params);
+  assert.equal(first.results.length, 1);
+  assert.equal(first.hasMore, true);
+
+  let fetches = 0;
+  const all = await fetchAllPages(first, params, async (pageParams) => {
+    fetches += 1;
+    return db.search(pageParams);
+  });
+
+  assert.deepEqual(zipsOf(all).sort(), ['78664', '78701', '78702', '78729']);
+  assert.equal(fetches, 3);
+  assert.equal(all.total, 4);
+  assert.equal(all.hasMore, false);
+  assert.equal(all.nextCursor, null);
+});
+
+test('cursor pages are fetched until nextCursor is null', async () => {
+  const provider = createCursorProvider(5);
+  const params = { lat: 30, lng: -97, radius: 50, limit: 2 };
+  const first = await provider.search(params);
+
+  const all = await fetchAllPages(first, params, provider.search);
+
+  assert.deepEqual(zipsOf(all), ['00000', '00001', '00002', '00003', '00004']);
+  assert.deepEqual(provider.calls.map(call => call.cursor), [undefined, '1', '3']);
+  assert.equal(all.total, 5);
+  assert.equal(all.hasMore, false);
+});
+
+test('a single page is returned as is', async () => {
+  const first = db.search({ lat: 30.27, lng: -97.74, radius: 2.5 });
+  const all = await fetchAllPages(first, {}, () => assert.fail('no second page'));
+  assert.equal(all, first);
+});
+
+test('paging stops at maxPages and still reports hasMore', async () => {
+  const provider = createCursorProvider(10);
+  const params = { lat: 30, lng: -97, radius: 50, limit: 2 };
+  const first = await provider.search(params);
+
+  const all = await fetchAllPages(first, params, provider.search, { maxPages: 3 });
+
+  assert.equal(all.results.length, 6);
+  assert.equal(all.total, 10);
+  assert.equal(all.hasMore, true);
+  assert.equal(all.nextCursor, '5');
+});
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the zipped shapefile export (src/utils/shapefileWriter.js),
+ * read back with the `shapefile` package
+ *
+ * Usage:
+ *   npm run test:shapefile
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unzipSync, strFromU8 } from 'fflate';
+import * as shapefile from 'shapefile';
+import { writeShapes, writeDbf, createZip, buildShapefileZip } from '../src/utils/shapefileWriter.js';
+
+// Counter-clockwise, as GeoJSON winds outer rings
+const ring = (minLng, minLat, maxLng, maxLat) =>
+  [[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]];
+
+// Positive for counter-clockwise rings
+const signedArea = (coordinates) => {
+  let sum = 0;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    sum += (coordinates[i + 1][0] - coordinates[i][0]) * (coordinates[i + 1][1] + coordinates[i][1]);
+  }
+  return -sum / 2;
+};
+
+const DOWNTOWN = {
+  type: 'Feature',
+  properties: { zipCode: '78701', searchName: 'Downtown – Café', overlap: 62.5, zipCount: 3 },
+  geometry: { type: 'Polygon', coordinates: [ring(-97.76, 30.25, -97.72, 30.29), ring(-97.75, 30.26, -97.73, 30.28).reverse()] }
+};
+const EAST = {
+  type: 'Feature',
+  properties: { zipCode: '78702', searchName: 'East', overlap: 100, zipCount: null },
+  geometry: { type: 'MultiPolygon', coordinates: [[ring(-97.7, 30.4, -97.6, 30.5)], [ring(-97.5, 30.3, -97.4, 30.45)]] }
+};
+
+test('polygons, holes and multipolygons read back with their rings', async () => {
+  const { shp, shx } = writeShapes([DOWNTOWN, EAST]);
+  const collection = await shapefile.read(shp);
+
+  assert.deepEqual(collection.bbox, [-97.76, 30.25, -97.4, 30.5]);
+  const [downtown, east] = collection.features;
+
+  assert.equal(downtown.geometry.type, 'Polygon');
+  assert.equal(downtown.geometry.coordinates.length, 2, 'outer ring and hole');
+  // The reader keeps the shapefile winding: outer rings clockwise, holes counter-clockwise
+  assert.ok(signedArea(downtown.geometry.coordinates[0]) < 0, 'outer ring clockwise');
+  assert.ok(signedArea(downtown.geometry.coordinates[1]) > 0, 'hole counter-clockwise');
+
+  assert.equal(east.geometry.type, 'MultiPolygon');
+  assert.deepEqual(east.geometry.coordinates.map(polygon => polygon.length), [1, 1]);
+
+  // The index points at each record header; offsets and lengths are in 16-bit words
+  const index = new DataView(shx);
+  const records = new DataView(shp);
+  assert.equal(index.byteLength, 100 + 2 * 8);
+  assert.equal(index.getInt32(100) * 2, 100);
+  const firstLength = index.getInt32(104) * 2;
+  assert.equal(records.getInt32(104) * 2, firstLength);
+  assert.equal(index.getInt32(108) * 2, 100 + 8 + firstLength);
+  assert.equal(records.getInt32(index.getInt32(108) * 2), 2, 'record numbers start at 1');
+});
+
+test('outer rings wound the wrong way in the GeoJSON are still written clockwise', async () => {
+  const clockwise = { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [ring(-97.8, 30.4, -97.7, 30.5).reverse()] } };
+  const { features: [feature] } = await shapefile.read(writeShapes([clockwise]).shp);
+
+  assert.equal(feature.geometry.type, 'Polygon');
+  assert.ok(signedArea(feature.geometry.coordinates[0]) < 0);
+});
+
+test('attributes keep their types, with short unique field names and UTF-8 text', async () => {
+  const rows = [
+    { properties: { nearestStoreMiles: 1.25, nearestStore: 'Ünïcode Store', name: 'x'.repeat(300) } },
+    { properties: { nearestStoreMiles: 12, nearestStoreId: 7, name: '' } }
+  ];
+  const source = await shapefile.openDbf(writeDbf(rows), { encoding: 'utf-8' });
+
+  const first = await source.read();
+  const second = await source.read();
+  assert.equal((await source.read()).done, true);
+
+  assert.deepEqual(Object.keys(first.value), ['NEARESTSTO', 'NEARESTST1', 'NAME', 'NEARESTST2']);
+  assert.equal(first.value.NEARESTSTO, 1.25);
+  assert.equal(second.value.NEARESTSTO, 12);
+  assert.equal(first.value.NEARESTST1, 'Ünïcode Store');
+  assert.equal(first.value.NAME.length, 254, 'text is cut to the 254-byte field limit');
+  assert.equal(second.value.NAME, null);
+  assert.equal(first.value.NEARESTST2, null, 'missing numbers stay empty');
+  assert.equal(second.value.NEARESTST2, 7);
+});
+
+test('text is never cut inside a multi-byte character', async () => {
+  // 'é' is two bytes, so 254 bytes ends halfway through the 127th
+  const rows = [{ properties: { name: 'é'.repeat(200) } }];
+  const source = await shapefile.openDbf(writeDbf(rows), { encoding: 'utf-8' });
+
+  const { value } = await source.read();
+  assert.equal(value.NAME, 'é'.repeat(127));
+});
+
+test('the archive holds every file, in WGS84 and UTF-8, and reads back whole', async () => {
+  const zip = buildShapefileZip([DOWNTOWN, { type: 'Feature', properties: { zipCode: '00000' }, geometry: null }, EAST], 'territories');
+  const files = unzipSync(new Uint8Array(await zip.arrayBuffer()));
+
+  assert.deepEqual(Object.keys(files).sort(), ['territories.cpg', 'territories.dbf', 'territories.prj', 'territories.shp', 'territories.shx']);
+  assert.equal(strFromU8(files['territories.cpg']), 'UTF-8');
+  assert.match(strFromU8(files['territories.prj']), /^GEOGCS\["GCS_WGS_1984"/);
+
+  const collection = await shapefile.read(files['territories.shp'], files['territories.dbf'], { encoding: 'utf-8' });
+  assert.equal(collection.features.length, 2, 'the row without a geometry is left out');
+  assert.deepEqual(collection.features.map(f => f.properties.ZIPCODE), ['78701', '78702']);
+  assert.equal(collection.features[0].properties.SEARCHNAME, 'Downtown – Café');
+  assert.equal(collection.features[0].properties.OVERLAP, 62.5);
+  assert.equal(collection.features[1].properties.ZIPCOUNT, null);
+});
+
+test('createZip accepts ArrayBuffers and Uint8Arrays', async () => {
+  const zip = createZip([
+    { name: 'a.txt', data: new TextEncoder().encode('first') },
+    { name: 'b.txt', data: new TextEncoder().encode('second').buffer }
+  ]);
+
+  assert.equal(zip.type, 'application/zip');
+  const files = unzipSync(new Uint8Array(await zip.arrayBuffer()));
+  assert.equal(strFromU8(files['a.txt']), 'first');
+  assert.equal(strFromU8(files['b.txt']), 'second');
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the spatial search RPCs (supabase/migrations/*_spatial_search_rpcs.sql)
+ *
+ * Starts a throwaway Postgres + PostGIS container, loads a small grid of
+ * fixture ZIPs around Dallas, applies the migrations and checks exact totals,
+ * ordering, cursor pagination and filters of search_radius, search_polygon
+ * and search_geometry_intersects.
+ *
+ * Usage:
+ *   npm run test:db                                   # needs Docker
+ *   DATABASE_URL=postgres://... npm run test:db       # an existing empty PostGIS database
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const IMAGE = process.env.POSTGIS_IMAGE || 'postgis/postgis:16-3.4';
+const CONTAINER = `zip-search-postgis-test-${process.pid}`;
+const DATABASE_URL = process.env.DATABASE_URL;
+const MIGRATIONS_DIR = path.resolve(process.cwd(), 'supabase/migrations');
+
+const CENTER = { lat: 32.7767, lng: -96.797 };
+const MILES_PER_DEGREE_LAT = 69.05;
+
+// ZIP 75001..75020, one every 2 miles due north of CENTER; odd ones in OK
+const FIXTURES = Array.from({ length: 20 }, (_, i) => ({
+  zipcode: String(75001 + i),
+  city: i < 10 ? 'Dallas' : 'Far North',
+  stateCode: i % 2 === 0 ? 'TX' : 'OK',
+  county: 'Dallas',
+  latitude: Number((CENTER.lat + ((i + 1) * 2) / MILES_PER_DEGREE_LAT).toFixed(6)),
+  longitude: CENTER.lng
+}));
+
+const psql = (sql) => {
+  const command = DATABASE_URL
+    ? ['psql', [DATABASE_URL, '-X', '-q', '-At', '-v', 'ON_ERROR_STOP=1', '-f', '-']]
+    : ['docker', ['exec', '-i', CONTAINER, 'psql', '-U', 'postgres', '-X', '-q', '-At', '-v', 'ON_ERROR_STOP=1', '-f', '-']];
+  return execFileSync(command[0], command[1], { input: sql, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+};
+
+const rpc = (call) => JSON.parse(psql(`select ${call};`));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function startDatabase() {
+  if (DATABASE_URL) return;
+
+  execFileSync('docker', ['run', '-d', '--rm', '--name', CONTAINER, '-e', 'POSTGRES_PASSWORD=postgres', IMAGE], { stdio: 'ignore' });
+
+  // The image restarts Postgres once after running its init scripts
+  for (let attempt = 0; attempt < 60; attempt++) {
+    try {
+      psql('select postgis_version();');
+      return;
+    } catch {
+      await sleep(1000);
+    }
+  }
+  throw new Error('PostGIS container did not become ready');
+}
+
+const square = (lat, lng, halfSize) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [lng - halfSize, lat - halfSize],
+    [lng + halfSize, lat - halfSize],
+    [lng + halfSize, lat + halfSize],
+    [lng - halfSize, lat + halfSize],
+    [lng - halfSize, lat - halfSize]
+  ]]
+});
+
+before(async () => {
+  await startDatabase();
+
+  psql(`
+    create table zipcodes (
+      id serial primary key,
+      zipcode varchar(10) not null unique,
+      city varchar(100),
+      state varchar(50),
+      state_code varchar(2),
+      county varchar(100),
+      county_code varchar(10),
+      latitude decimal(10, 6),
+      longitude decimal(10, 6)
+    );
+    insert into zipcodes (zipcode, city, state_code, county, latitude, longitude) values
+    ${FIXTURES.map(z => `('${z.zipcode}', '${z.city}', '${z.stateCode}', '${z.county}', ${z.latitude}, ${z.longitude})`).join(',\n')};
+  `);
+
+  fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .forEach(file => psql(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')));
+
+  // A 0.01° square ZCTA around each fixture centroid
+  psql(FIXTURES.map(z => `insert into zip_boundaries (zipcode, state_code, geometry) values ('${z.zipcode}', '${z.stateCode}',
+    st_multi(st_geomfromgeojson('${JSON.stringify(square(z.latitude, z.longitude, 0.005))}'))::geography);`).join('\n'));
+});
+
+after(() => {
+  if (!DATABASE_URL) {
+    execFileSync('docker', ['rm', '-f', CONTAINER], { stdio: 'ignore' });
+  }
+});
+
+test('search_radius returns every ZIP in range, nearest first, with an exact total', () => {
+  const { results, total, next_cursor: nextCursor } = rpc(`search_radius(${CENTER.lat}, ${CENTER.lng}, 21)`);
+
+  assert.equal(total, 10);
+  assert.deepEqual(results.map(r => r.zipcode), FIXTURES.slice(0, 10).map(z => z.zipcode));
+  assert.equal(nextCursor, null);
+  assert.ok(Math.abs(results[0].distance_miles - 2) < 0.05, `distance ${results[0].distance_miles}`);
+});
+
+test('search_radius pages with a cursor without gaps or repeats', () => {
+  const seen = [];
+  let after = null;
+  let pages = 0;
+
+  do {
+    const page = rpc(`search_radius(${CENTER.lat}, ${CENTER.lng}, 100, page_size => 3, after => ${after ? `'${JSON.stringify(after)}'::jsonb` : 'null'})`);
+    assert.equal(page.total, 20);
+    seen.push(...page.results.map(r => r.zipcode));
+    after = page.next_cursor;
+    pages++;
+  } while (after && pages < 20);
+
+  assert.equal(pages, 7);
+  assert.deepEqual(seen, FIXTURES.map(z => z.zipcode));
+});
+
+test('search_radius honours page_offset and attribute filters', () => {
+  const offsetPage = rpc(`search_radius(${CENTER.lat}, ${CENTER.lng}, 100, page_size => 2, page_offset => 4)`);
+  assert.deepEqual(offsetPage.results.map(r => r.zipcode), ['75005', '75006']);
+  assert.ok(offsetPage.next_cursor);
+
+  const texas = rpc(`search_radius(${CENTER.lat}, ${CENTER.lng}, 21, state_filter => 'tx')`);
+  assert.equal(texas.total, 5);
+  assert.ok(texas.results.every(r => r.state_code === 'TX'));
+
+  const text = rpc(`search_radius(${CENTER.lat}, ${CENTER.lng}, 100, text_query => 'north')`);
+  assert.equal(text.total, 10);
+});
+
+test('search_polygon respects holes and orders by ZIP', () => {
+  const outer = square(CENTER.lat + 10 / MILES_PER_DEGREE_LAT, CENTER.lng, 0.1);
+  const hole = square(FIXTURES[4].latitude, FIXTURES[4].longitude, 0.01).coordinates[0];
+  const polygon = { type: 'Polygon', coordinates: [outer.coordinates[0], hole] };
+
+  const inside = FIXTURES.filter(z => Math.abs(z.latitude - (CENTER.lat + 10 / MILES_PER_DEGREE_LAT)) < 0.1);
+  const { results, total } = rpc(`search_polygon('${JSON.stringify(polygon)}'::jsonb)`);
+
+  assert.equal(total, inside.length - 1);
+  assert.deepEqual(results.map(r => r.zipcode), inside.map(z => z.zipcode).filter(zip => zip !== FIXTURES[4].zipcode));
+});
+
+test('search_polygon rejects non-polygon shapes', () => {
+  const line = { type: 'LineString', coordinates: [[CENTER.lng, CENTER.lat], [CENTER.lng, CENTER.lat + 1]] };
+  assert.throws(() => psql(`select search_polygon('${JSON.stringify(line)}'::jsonb);`), /Polygon or MultiPolygon/);
+});
+
+test('search_geometry_intersects finds ZCTAs touched by a line', () => {
+  // From the 2nd fixture's square to the 3rd's
+  const line = {
+    type: 'LineString',
+    coordinates: [[CENTER.lng, FIXTURES[1].latitude], [CENTER.lng, FIXTURES[2].latitude]]
+  };
+  const { results, total } = rpc(`search_geometry_intersects('${JSON.stringify(line)}'::jsonb, page_size => 1)`);
+
+  assert.equal(total, 2);
+  assert.deepEqual(results.map(r => r.zipcode), ['75002']);
+});
+
+test('location follows latitude/longitude updates', () => {
+  psql(`update zipcodes set latitude = ${CENTER.lat}, longitude = ${CENTER.lng} where zipcode = '75020';`);
+  const { results } = rpc(`search_radius(${CENTER.lat}, ${CENTER.lng}, 1)`);
+  assert.deepEqual(results.map(r => r.zipcode), ['75020']);
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for store list searches (src/utils/storeListHelpers.js): reading the
+ * uploaded CSV and tagging ZIP rows with their stores and the nearest store
+ *
+ * Usage:
+ *   npm run test:stores
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStoreList, annotateStoreMembership, MAX_STORES } from '../src/utils/storeListHelpers.js';
+
+const csv = (text) => new File([text], 'stores.csv', { type: 'text/csv' });
+
+// Two stores on one meridian; 0.1° of latitude is about 6.9 miles
+const storeSearch = (id, name, lat, lng) => ({ id, center: [lat, lng], store: { name } });
+const NORTH = storeSearch('radius-north', 'North', 30.2, -97.7);
+const SOUTH = storeSearch('radius-south', 'South', 30.0, -97.7);
+
+test('rows with coordinates keep them; per-row radii override the default and are capped', async () => {
+  const { stores, skipped } = await parseStoreList(csv([
+    'Store Name,Latitude,Longitude,Radius',
+    'Downtown,30.2672,-97.7431,3',
+    'Airport,30.1975,-97.6664,',
+    'Far,30.5,-97.5,250'
+  ].join('\n')), 5);
+
+  assert.equal(skipped, 0);
+  assert.deepEqual(stores.map(({ name, lat, lng, radius }) => ({ name, lat, lng, radius })), [
+    { name: 'Downtown', lat: 30.2672, lng: -97.7431, radius: 3 },
+    { name: 'Airport', lat: 30.1975, lng: -97.6664, radius: 5 },
+    { name: 'Far', lat: 30.5, lng: -97.5, radius: 100 }
+  ]);
+});
+
+test('address rows are joined for geocoding and named by store number when unnamed', async () => {
+  const { stores, skipped } = await parseStoreList(csv([
+    'Store #,Street,City,State,Zip,lat,lng',
+    '101,100 Congress Ave,Austin,TX,78701,,',
+    '102,,,,,,',
+    '103,1 Main St,Round Rock,TX,78664,91,-97.6'
+  ].join('\n')), 10);
+
+  assert.equal(skipped, 1, 'a row with neither coordinates nor an address');
+  assert.deepEqual(stores.map(({ name, storeId, lat, addressString }) => ({ name, storeId, lat, addressString })), [
+    { name: 'Store 101', storeId: '101', lat: null, addressString: '100 Congress Ave, Austin, TX, 78701' },
+    // Out-of-range coordinates fall back to the address
+    { name: 'Store 103', storeId: '103', lat: null, addressString: '1 Main St, Round Rock, TX, 78664' }
+  ]);
+});
+
+test('lists without usable columns, empty lists and oversized lists are refused', async () => {
+  await assert.rejects(parseStoreList(csv('Store,Notes\nDowntown,open late'), 5), /latitude\/longitude columns or address columns/);
+  await assert.rejects(parseStoreList(csv('Store,Address\n'), 5), /no rows/);
+
+  const rows = Array.from({ length: MAX_STORES + 1 }, (_, i) => `Store ${i},30,-97`);
+  await assert.rejects(parseStoreList(csv(['Name,lat,lng', ...rows].join('\n')), 5), /Too many stores \(maximum 1,000\)/);
+});
+
+test('ZIP rows list every store search they came from', () => {
+  const [row] = annotateStoreMembership(
+    [{ zipCode: '78704', lat: 30.1, lng: -97.7, searchIds: ['radius-south', 'radius-other', 'radius-north'] }],
+    [NORTH, SOUTH]
+  );
+
+  assert.equal(row.stores, 'South; North', 'in search order, without non-store searches');
+});
+
+test('the nearest store is measured from the ZIP centroid, in miles to one decimal', () => {
+  const [near, between] = annotateStoreMembership([
+    { zipCode: '78610', lat: 30.02, lng: -97.7, searchIds: [] },
+    { zipCode: '78745', lat: 30.12, lng: -97.7, searchIds: ['radius-north'] }
+  ], [NORTH, SOUTH]);
+
+  // A ZIP outside every radius still gets the closest store
+  assert.equal(near.stores, '');
+  assert.equal(near.nearestStore, 'South');
+  assert.equal(near.nearestStoreMiles, 1.4);
+
+  assert.equal(between.nearestStore, 'North');
+  assert.equal(between.nearestStoreMiles, 5.5);
+});
+
+test('rows without a centroid have no nearest store, and no stores leave rows untouched', () => {
+  const [row] = annotateStoreMembership([{ zipCode: '00000', lat: null, lng: null, searchIds: ['radius-north'] }], [NORTH]);
+  assert.deepEqual(
+    { stores: row.stores, nearestStore: row.nearestStore, nearestStoreMiles: row.nearestStoreMiles },
+    { stores: 'North', nearestStore: '', nearestStoreMiles: null }
+  );
+
+  const zips = [{ zipCode: '78701', lat: 30.27, lng: -97.74 }];
+  assert.equal(annotateStoreMembership(zips, []), zips);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for canvassing walk lists (src/utils/walkListHelpers.js): turf
+ * splitting, walking order and the PDF/CSV exports
+ *
+ * Usage:
+ *   npm run test:walklist
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTurfs, walkListCsv, walkListPdf } from '../src/utils/walkListHelpers.js';
+import { isPointInPolygon } from '../src/utils/geoHelpers.js';
+
+// One block of a street running east: odd numbers on the north side, even on
+// the south, numbers increasing eastward from `west`
+const block = (street, first, count, { west = 0, lat = 0, building } = {}) =>
+  Array.from({ length: count }, (_, index) => {
+    const number = first + index;
+    return {
+      id: `${street}-${number}`,
+      type: 'node',
+      housenumber: String(number),
+      street,
+      lat: lat + (number % 2 === 0 ? -0.0001 : 0.0001),
+      lng: west + Math.floor(index / 2) * 0.0002,
+      building
+    };
+  });
+
+const square = (name, west, south, east, north) => ({
+  type: 'Feature',
+  properties: { geoid: `48113${name}`, name },
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  }
+});
+
+const walk = (turf) => turf.doors.map(door => door.housenumber);
+
+test('a block is walked up one side and back down the other', () => {
+  const [turf] = buildTurfs(block('Main St', 101, 10));
+  assert.deepEqual(walk(turf), ['101', '103', '105', '107', '109', '110', '108', '106', '104', '102']);
+  assert.deepEqual(turf.doors.map(door => door.walkOrder), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(turf.doors[0].side, 'odd');
+  assert.equal(turf.doors[9].side, 'even');
+});
+
+test('the walk moves on to the nearest block', () => {
+  // Elm St is just past the east end of Main St; Oak St is far away
+  const addresses = [
+    ...block('Oak St', 101, 4, { west: 0.05 }),
+    ...block('Main St', 101, 4),
+    ...block('Elm St', 201, 4, { west: 0.0006 })
+  ];
+  const [turf] = buildTurfs(addresses);
+  assert.deepEqual(turf.streets, ['Main St', 'Elm St', 'Oak St']);
+  assert.deepEqual(walk(turf).slice(0, 4), ['101', '103', '104', '102']);
+});
+
+test('turfs hold up to doorsPerTurf doors without splitting blocks', () => {
+  const addresses = [
+    ...block('Main St', 101, 6),
+    ...block('Main St', 201, 6, { west: 0.001 }),
+    ...block('Main St', 301, 6, { west: 0.002 })
+  ];
+  const turfs = buildTurfs(addresses, { doorsPerTurf: 10 });
+  assert.deepEqual(turfs.map(turf => turf.doors.length), [6, 6, 6]);
+  assert.deepEqual(turfs.map(turf => turf.id), ['turf-1', 'turf-2', 'turf-3']);
+
+  // A block bigger than a turf is split; a small remainder joins the turf before
+  const split = buildTurfs(block('Long Rd', 1, 42), { doorsPerTurf: 20 });
+  assert.deepEqual(split.map(turf => turf.doors.length), [20, 22]);
+});
+
+test('turfs never cross a VTD', () => {
+  const addresses = [...block('Main St', 101, 6), ...block('Main St', 201, 6, { west: 0.001 })];
+  const vtds = [square('0002', 0.0009, -1, 1, 1), square('0001', -1, -1, 0.0009, 1)];
+  const turfs = buildTurfs(addresses, { doorsPerTurf: 50, vtds });
+  assert.deepEqual(turfs.map(turf => turf.vtdName), ['0001', '0002']);
+  assert.deepEqual(turfs.map(turf => turf.doors.length), [6, 6]);
+  assert.equal(turfs[0].vtdId, '481130001');
+});
+
+test('non-residential buildings can be skipped', () => {
+  const addresses = [...block('Main St', 101, 4, { building: 'house' }), ...block('Main St', 105, 2, { building: 'retail' })];
+  assert.equal(buildTurfs(addresses)[0].doors.length, 6);
+  assert.equal(buildTurfs(addresses, { residentialOnly: true })[0].doors.length, 4);
+});
+
+test('the turf polygon covers every door', () => {
+  const [turf] = buildTurfs([...block('Main St', 101, 8), ...block('Elm St', 201, 3, { lat: 0.001 })]);
+  const [ring] = turf.geometry.coordinates;
+  assert.deepEqual(ring[0], ring[ring.length - 1]);
+  turf.doors.forEach(door => assert.ok(isPointInPolygon([door.lng, door.lat], ring), door.id));
+
+  const [single] = buildTurfs(block('Main St', 101, 1));
+  assert.ok(single.geometry.coordinates[0].length >= 4);
+});
+
+test('CSV lists doors in walking order with escaped values', () => {
+  const addresses = block('Main St', 101, 3);
+  addresses[0].street = 'Main St, Rear';
+  const csv = walkListCsv(buildTurfs(addresses)).split('\n');
+  assert.equal(csv.length, 4);
+  assert.ok(csv[0].startsWith('Turf,VTD,Order,Address'));
+  assert.ok(csv[1].startsWith('1,,1,"101 Main St, Rear"'));
+});
+
+test('PDF is well formed with a page per turf', () => {
+  const turfs = buildTurfs([...block('Main St', 101, 60), ...block('Elm St', 1, 20, { lat: 0.01 })], { doorsPerTurf: 60 });
+  const bytes = walkListPdf(turfs, { title: 'Test search', date: new Date('2026-01-01') }).toBytes();
+  const text = Buffer.from(bytes).toString('latin1');
+
+  assert.ok(text.startsWith('%PDF-1.4'));
+  assert.ok(text.trimEnd().endsWith('%%EOF'));
+  // 60 doors overflow the first page of turf 1; turf 2 fits on one
+  assert.match(text, /\/Count 3 /);
+  assert.match(text, /\(Turf 1 - page 2 of 2\)/);
+
+  // Every xref entry points at its object
+  const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+  const entries = text.slice(xref).split('\n').slice(3).filter(line => / n $/.test(line));
+  entries.forEach((line, index) => {
+    const offset = Number(line.slice(0, 10));
+    assert.ok(text.startsWith(`${index + 1} 0 obj`, offset), `object ${index + 1}`);
+  });
+});
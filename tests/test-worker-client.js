@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for the Web Worker request/response client (src/utils/workerClient.js)
+ * shared by the offline data and aggregation services, with a fake worker
+ *
+ * Usage:
+ *   npm run test:workers
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkerClient } from '../src/utils/workerClient.js';
+
+// Answers each message from `handlers[method]` on a later tick, like a worker
+const createFakeWorker = (handlers = {}) => {
+  const worker = {
+    messages: [],
+    postMessage(message) {
+      worker.messages.push(message);
+      const handler = handlers[message.method];
+      if (!handler) return;
+      setTimeout(() => {
+        try {
+          worker.onmessage({ data: { id: message.id, result: handler(...message.args) } });
+        } catch (error) {
+          worker.onmessage({ data: { id: message.id, error: error.message } });
+        }
+      }, 0);
+    }
+  };
+  return worker;
+};
+
+test('the worker is created once, on the first call', async () => {
+  let created = 0;
+  const client = new WorkerClient(() => {
+    created += 1;
+    return createFakeWorker({ add: (a, b) => a + b });
+  });
+
+  assert.equal(created, 0);
+  assert.deepEqual(await Promise.all([client.call('add', 1, 2), client.call('add', 3, 4)]), [3, 7]);
+  assert.equal(created, 1);
+});
+
+test('replies are matched to calls by id, in any order', async () => {
+  const worker = createFakeWorker();
+  const client = new WorkerClient(() => worker);
+
+  const first = client.call('slow');
+  const second = client.call('fast');
+  const [a, b] = worker.messages;
+  worker.onmessage({ data: { id: b.id, result: 'fast' } });
+  worker.onmessage({ data: { id: a.id, result: 'slow' } });
+  // Unknown and repeated ids are ignored
+  worker.onmessage({ data: { id: a.id, result: 'again' } });
+
+  assert.equal(await first, 'slow');
+  assert.equal(await second, 'fast');
+  assert.equal(client.pending.size, 0);
+});
+
+test('a worker error rejects only its call', async () => {
+  const client = new WorkerClient(() => createFakeWorker({
+    fail: () => { throw new Error('Unknown offline query fail'); },
+    ok: () => 'ok'
+  }));
+
+  await assert.rejects(client.call('fail'), /Unknown offline query fail/);
+  assert.equal(await client.call('ok'), 'ok');
+});
+
+test('a crashed worker rejects every pending call', async () => {
+  const worker = createFakeWorker();
+  const client = new WorkerClient(() => worker, { name: 'Offline data worker' });
+
+  const calls = [client.call('a'), client.call('b')];
+  worker.onerror({});
+
+  for (const call of calls) {
+    await assert.rejects(call, /Offline data worker failed/);
+  }
+  assert.equal(client.pending.size, 0);
+});
+
+test('a call that cannot be posted rejects and is forgotten', async () => {
+  const client = new WorkerClient(() => ({
+    postMessage() { throw new Error('DataCloneError'); }
+  }));
+
+  await assert.rejects(client.call('reset', () => {}), /DataCloneError/);
+  assert.equal(client.pending.size, 0);
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for saved workspaces: the IndexedDB store
+ * (src/services/workspaceService.js, on fake-indexeddb), the snapshot a
+ * workspace is restored from (buildShareState) and the autosave decisions
+ * (src/utils/workspaceHelpers.js)
+ *
+ * Usage:
+ *   npm run test:workspaces
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexedDB } from 'fake-indexeddb';
+import { buildShareState } from '../src/utils/shareHelpers.js';
+import { getAutosaveAction, AUTOSAVE_ACTIONS } from '../src/utils/workspaceHelpers.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+globalThis.window = { indexedDB, localStorage: memoryStorage() };
+const { default: workspaceService } = await import('../src/services/workspaceService.js');
+
+const radiusEntry = (id, extra = {}) => ({
+  id,
+  label: `Search ${id}`,
+  query: 'Austin, TX',
+  center: [30.27, -97.74],
+  radius: 5,
+  inclusion: 'centroid',
+  settings: { showRadius: true, overlayColor: '#dc2626' },
+  ...extra
+});
+
+// The state WorkspaceContext snapshots: radius entries carry their results
+const snapshotOf = ({ radiusSearches = [], polygonSearches = [], excludedGeos } = {}) => buildShareState({
+  searchMode: 'radius',
+  mapCenter: [30.27, -97.74],
+  mapZoom: 11,
+  mapType: 'street',
+  radiusSearches,
+  addressSearches: [],
+  polygonSearches,
+  hierarchySearches: [],
+  csvFullData: [],
+  showZipBoundaries: true,
+  excludedGeos
+});
+
+beforeEach(async () => {
+  for (const { id } of await workspaceService.listWorkspaces()) {
+    await workspaceService.deleteWorkspace(id);
+  }
+  workspaceService.setLastWorkspaceId(null);
+});
+
+test('workspaces are created, listed newest first without their state, and read back whole', async () => {
+  const state = snapshotOf({ radiusSearches: [radiusEntry('radius-a', { results: [{ zipCode: '78701' }] })] });
+  const first = await workspaceService.createWorkspace('  Austin stores  ', state);
+  await new Promise(resolve => setTimeout(resolve, 2));
+  const second = await workspaceService.createWorkspace('', null);
+
+  assert.equal(first.name, 'Austin stores');
+  assert.equal(first.searchCount, 1);
+  assert.equal(second.name, 'Untitled workspace');
+  assert.equal(second.searchCount, 0);
+
+  const list = await workspaceService.listWorkspaces();
+  assert.deepEqual(list.map(w => w.id), [second.id, first.id]);
+  assert.equal('state' in list[0], false);
+
+  assert.deepEqual((await workspaceService.getWorkspace(first.id)).state, state);
+  assert.equal(await workspaceService.getWorkspace('ws-missing'), null);
+});
+
+test('saving overwrites the state and count; a deleted workspace is not recreated', async () => {
+  const workspace = await workspaceService.createWorkspace('Stores', null);
+  const state = snapshotOf({ radiusSearches: [radiusEntry('radius-a'), radiusEntry('radius-b')] });
+
+  const saved = await workspaceService.saveWorkspace(workspace.id, state);
+  assert.equal(saved.searchCount, 2);
+  assert.ok(saved.updatedAt >= workspace.updatedAt);
+  assert.deepEqual((await workspaceService.getWorkspace(workspace.id)).state, state);
+
+  await workspaceService.deleteWorkspace(workspace.id);
+  assert.equal(await workspaceService.saveWorkspace(workspace.id, state), null);
+  assert.deepEqual(await workspaceService.listWorkspaces(), []);
+});
+
+test('rename keeps the old name for blank input; duplicate copies the state under a new id', async () => {
+  const state = snapshotOf({ radiusSearches: [radiusEntry('radius-a')] });
+  const workspace = await workspaceService.createWorkspace('Stores', state);
+
+  assert.equal((await workspaceService.renameWorkspace(workspace.id, '   ')).name, 'Stores');
+  assert.equal((await workspaceService.renameWorkspace(workspace.id, 'Q3 stores')).name, 'Q3 stores');
+  assert.equal(await workspaceService.renameWorkspace('ws-missing', 'x'), null);
+
+  const copy = await workspaceService.duplicateWorkspace(workspace.id);
+  assert.notEqual(copy.id, workspace.id);
+  assert.equal(copy.name, 'Q3 stores (copy)');
+  assert.deepEqual(copy.state, state);
+});
+
+test('deleting the last opened workspace forgets it', async () => {
+  const kept = await workspaceService.createWorkspace('Kept', null);
+  const removed = await workspaceService.createWorkspace('Removed', null);
+
+  workspaceService.setLastWorkspaceId(kept.id);
+  await workspaceService.deleteWorkspace(removed.id);
+  assert.equal(workspaceService.getLastWorkspaceId(), kept.id);
+
+  await workspaceService.deleteWorkspace(kept.id);
+  assert.equal(workspaceService.getLastWorkspaceId(), null);
+});
+
+test('a saved snapshot restores set, selection and store searches with their results', async () => {
+  const results = [{ zipCode: '78701', city: 'Austin', state: 'TX', lat: 30.27, lng: -97.74 }];
+  const state = snapshotOf({
+    radiusSearches: [
+      radiusEntry('radius-set', { center: null, radius: null, setOperation: { terms: [{ op: 'union', searchId: 'radius-a' }] }, results }),
+      radiusEntry('radius-pick', {
+        center: null,
+        radius: null,
+        selection: { items: [{ type: 'county', id: '48453', name: 'Travis', zipCodes: ['78701'], feature: { type: 'Feature' } }] },
+        results
+      }),
+      radiusEntry('radius-store', { store: { name: 'Downtown', storeId: '101', address: null }, results })
+    ],
+    polygonSearches: [{ id: 'polygon-1', label: 'Shape 1', coordinates: [{ lat: 30, lng: -97 }], geometry: null, settings: {}, results }],
+    excludedGeos: { zips: ['78702'], cities: [], counties: [], states: [] }
+  });
+
+  const workspace = await workspaceService.createWorkspace('Mixed', state);
+  const restored = (await workspaceService.getWorkspace(workspace.id)).state;
+
+  assert.equal(workspace.searchCount, 4);
+  const [set, pick, store] = restored.radiusSearches;
+  assert.deepEqual(set.setOperation.terms, [{ op: 'union', searchId: 'radius-a' }]);
+  assert.deepEqual(pick.selection.items, [{ type: 'county', id: '48453', name: 'Travis', zipCodes: ['78701'] }], 'boundary geometry is left out');
+  assert.equal(store.store.name, 'Downtown');
+  assert.deepEqual(restored.radiusSearches.map(entry => entry.results), [results, results, results]);
+  assert.equal(restored.polygonSearches[0].geometry, undefined);
+  assert.deepEqual(restored.excludedGeos.zips, ['78702']);
+  assert.equal(restored.boundarySettings.showZipBoundaries, true);
+});
+
+test('autosave skips unchanged and empty state, saves the open workspace, creates one for new searches', () => {
+  const empty = JSON.stringify(snapshotOf());
+  const withSearch = JSON.stringify(snapshotOf({ radiusSearches: [radiusEntry('radius-a')] }));
+
+  assert.equal(getAutosaveAction({ serialized: withSearch, lastSaved: withSearch, workspaceId: 'ws-1', searchCount: 1 }), AUTOSAVE_ACTIONS.SKIP);
+  assert.equal(getAutosaveAction({ serialized: withSearch, lastSaved: empty, workspaceId: 'ws-1', searchCount: 1 }), AUTOSAVE_ACTIONS.SAVE);
+  assert.equal(getAutosaveAction({ serialized: withSearch, lastSaved: null, workspaceId: null, searchCount: 1 }), AUTOSAVE_ACTIONS.CREATE);
+  assert.equal(getAutosaveAction({ serialized: empty, lastSaved: null, workspaceId: null, searchCount: 0 }), AUTOSAVE_ACTIONS.SKIP);
+});
+
+test('a restored workspace is not saved again until it changes; clearing an open one saves the empty state to it', async () => {
+  const state = snapshotOf({ radiusSearches: [radiusEntry('radius-a')] });
+  const workspace = await workspaceService.createWorkspace('Stores', state);
+
+  // completeRestore captures the restored snapshot as the baseline
+  const restored = JSON.stringify((await workspaceService.getWorkspace(workspace.id)).state);
+  assert.equal(getAutosaveAction({ serialized: JSON.stringify(state), lastSaved: restored, workspaceId: workspace.id, searchCount: 1 }), AUTOSAVE_ACTIONS.SKIP);
+
+  // Removing the last search of an open workspace is still a change to keep
+  assert.equal(getAutosaveAction({ serialized: JSON.stringify(snapshotOf()), lastSaved: restored, workspaceId: workspace.id, searchCount: 0 }), AUTOSAVE_ACTIONS.SAVE);
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for growing ZIP territories by rings of bordering ZCTAs: the
+ * adjacency index built by scripts/build-zip-adjacency.js and the ring
+ * expansion over it (src/services/zipAdjacencyService.js)
+ *
+ * Usage:
+ *   npm run test:adjacency
+ */
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zipAdjacencyService from '../src/services/zipAdjacencyService.js';
+
+// A 5x5 grid of square ZCTAs, 02100 in the north-west corner to 02124 in the
+// south-east. Squares share corner vertices with diagonal neighbors too, so
+// ring N around a cell is every cell N steps away in any direction.
+const SIZE = 5;
+const zipAt = (row, col) => `021${String(row * SIZE + col).padStart(2, '0')}`;
+const cellOf = (zipCode) => [Math.floor((Number(zipCode) - 2100) / SIZE), (Number(zipCode) - 2100) % SIZE];
+const distance = (a, b) => {
+  const [rowA, colA] = cellOf(a);
+  const [rowB, colB] = cellOf(b);
+  return Math.max(Math.abs(rowA - rowB), Math.abs(colA - colB));
+};
+
+const ZIPS = Array.from({ length: SIZE * SIZE }, (_, i) => zipAt(Math.floor(i / SIZE), i % SIZE));
+const CENTER = zipAt(2, 2);
+
+const gridGeoJSON = () => ({
+  type: 'FeatureCollection',
+  features: ZIPS.map(zipCode => {
+    const [row, col] = cellOf(zipCode);
+    const west = -71.1 + col * 0.01;
+    const north = 42.4 - row * 0.01;
+    return {
+      type: 'Feature',
+      // Numeric, as some exports store the ZCTA; the build restores the zero
+      properties: { ZCTA5CE20: Number(zipCode) },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[west, north], [west, north - 0.01], [west + 0.01, north - 0.01], [west + 0.01, north], [west, north]]]
+      }
+    };
+  })
+});
+
+let tempDir;
+let index;
+
+const serve = (response) => {
+  let requests = 0;
+  globalThis.fetch = async () => {
+    requests += 1;
+    return response();
+  };
+  return () => requests;
+};
+
+// As on a page load: nothing fetched yet
+const resetService = () => {
+  zipAdjacencyService.neighbors = null;
+  zipAdjacencyService.loadPromise = null;
+};
+
+const originalFetch = globalThis.fetch;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-adjacency-'));
+  const inFile = path.join(tempDir, 'zcta_grid.geojson');
+  const outFile = path.join(tempDir, 'zip-adjacency.json');
+  fs.writeFileSync(inFile, JSON.stringify(gridGeoJSON()));
+
+  execFileSync('node', ['scripts/build-zip-adjacency.js', '--in', inFile, '--out', outFile], { stdio: 'pipe' });
+  index = JSON.parse(fs.readFileSync(outFile, 'utf8'));
+});
+
+beforeEach(async () => {
+  resetService();
+  serve(() => Response.json(index));
+  await zipAdjacencyService.load();
+});
+
+after(() => {
+  globalThis.fetch = originalFetch;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('the build links ZCTAs that share a vertex, including corners', () => {
+  assert.equal(index.source, 'zcta_grid');
+  assert.equal(index.count, 25);
+  assert.deepEqual(Object.keys(index.neighbors).sort(), ZIPS);
+  assert.deepEqual(index.neighbors['02100'], ['02101', '02105', '02106']);
+  assert.equal(index.neighbors[CENTER].length, 8);
+
+  for (const [zipCode, neighbors] of Object.entries(index.neighbors)) {
+    assert.ok(neighbors.every(other => distance(zipCode, other) === 1), `${zipCode} only borders adjacent cells`);
+    assert.ok(neighbors.every(other => index.neighbors[other].includes(zipCode)), `${zipCode} links both ways`);
+  }
+});
+
+test('the index is fetched once and lookups pad ZIPs to five digits', async () => {
+  resetService();
+  const requests = serve(() => Response.json(index));
+
+  const [first, second] = await Promise.all([zipAdjacencyService.load(), zipAdjacencyService.load()]);
+  assert.equal(first, true);
+  assert.equal(second, true);
+  assert.equal(requests(), 1);
+
+  assert.deepEqual(zipAdjacencyService.getNeighbors(2100), ['02101', '02105', '02106']);
+  assert.deepEqual(zipAdjacencyService.getNeighbors('99999'), []);
+});
+
+test('each ring borders the one inside it; seeds are left out', () => {
+  const rings = zipAdjacencyService.expandRings([CENTER], 2);
+
+  assert.equal(rings.has(CENTER), false);
+  assert.equal(rings.size, 24);
+  for (const [zipCode, ring] of rings) {
+    assert.equal(ring, distance(CENTER, zipCode), `${zipCode} ring`);
+  }
+
+  // The grid runs out after two rings around the center
+  assert.deepEqual(zipAdjacencyService.expandRings([CENTER], 3), rings);
+});
+
+test('ring counts are rounded and held to 1 to MAX_RINGS', () => {
+  const corner = zipAt(0, 0);
+  const ringsOf = (count) => Math.max(...zipAdjacencyService.expandRings([corner], count).values());
+
+  assert.equal(ringsOf(0), 1);
+  assert.equal(ringsOf(2.4), 2);
+  assert.equal(ringsOf(10), 3);
+  assert.equal(zipAdjacencyService.expandRings([corner], 10).has(zipAt(4, 4)), false);
+});
+
+test('several seeds grow together, each ZIP in the nearest ring', () => {
+  const west = zipAt(2, 0);
+  const east = zipAt(2, 4);
+  const rings = zipAdjacencyService.expandRings([west, east], 2);
+
+  assert.equal(rings.size, 23);
+  for (const [zipCode, ring] of rings) {
+    assert.equal(ring, Math.min(distance(west, zipCode), distance(east, zipCode)), `${zipCode} ring`);
+  }
+});
+
+test('excluded ZIPs are left out but still connect the next ring', () => {
+  const corner = zipAt(0, 0);
+  const firstRing = index.neighbors[corner];
+  const rings = zipAdjacencyService.expandRings([corner], 2, firstRing);
+
+  assert.deepEqual([...rings.values()], [2, 2, 2, 2, 2]);
+  assert.deepEqual([...rings.keys()].sort(), ZIPS.filter(zipCode => distance(corner, zipCode) === 2));
+});
+
+test('without an index there are no rings, so callers fall back to TIGERweb', async () => {
+  resetService();
+  // A dev server answers a missing public file with the app's HTML
+  serve(() => new Response('<!doctype html>', { headers: { 'content-type': 'text/html' } }));
+
+  assert.equal(await zipAdjacencyService.load(), false);
+  assert.equal(zipAdjacencyService.hasData(), false);
+  assert.equal(zipAdjacencyService.expandRings([CENTER], 2).size, 0);
+});
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for boundary-aware ZIP inclusion (src/utils/zipInclusion.js):
+ * the widened candidate query and the centroid / any-overlap / minimum-overlap
+ * filters, with square stand-in ZCTA boundaries
+ *
+ * Usage:
+ *   npm run test:inclusion
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipInclusion, INCLUSION_MODES, CANDIDATE_BUFFER_MILES, MIN_CANDIDATE_LIMIT } from '../src/utils/zipInclusion.js';
+
+const square = (minLng, minLat, maxLng, maxLat) => ({
+  type: 'Polygon',
+  coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+});
+
+const boundary = (zipcode, geometry) => ({ type: 'Feature', properties: { zipcode }, geometry });
+
+// Search square: lng -97.1..-96.9, lat 29.9..30.1
+const SEARCH_POLYGON = [
+  { lat: 30.1, lng: -97.1 },
+  { lat: 30.1, lng: -96.9 },
+  { lat: 29.9, lng: -96.9 },
+  { lat: 29.9, lng: -97.1 }
+];
+
+const BOUNDARIES = {
+  // Entirely inside
+  '11111': square(-97.05, 29.95, -96.95, 30.05),
+  // A quarter of it is inside; its centroid is not
+  '22222': square(-96.95, 29.95, -96.75, 30.05),
+  // Nowhere near
+  '33333': square(-90.1, 35.9, -89.9, 36.1)
+  // 44444 has no boundary
+};
+
+const CANDIDATES = [
+  { zipcode: '11111', latitude: 30, longitude: -97 },
+  { zipcode: '22222', latitude: 30, longitude: -96.85 },
+  { zipcode: '33333', latitude: 36, longitude: -90 },
+  { zipcode: '44444', latitude: 30.05, longitude: -97.05 }
+];
+
+const createInclusion = () => {
+  const requests = [];
+  const inclusion = new ZipInclusion({
+    getBoundaries: async (zipCodes) => {
+      requests.push(zipCodes);
+      return {
+        type: 'FeatureCollection',
+        features: zipCodes.filter(zip => BOUNDARIES[zip]).map(zip => boundary(zip, BOUNDARIES[zip]))
+      };
+    }
+  });
+  return { inclusion, requests };
+};
+
+const zipsOf = (rows) => rows.map(row => row.zipcode);
+
+test('radius candidates come from a wider radius and a full page', () => {
+  const { inclusion } = createInclusion();
+  const params = inclusion.getCandidateParams({
+    lat: 30, lng: -97, radius: 5, limit: 500, inclusion: { mode: INCLUSION_MODES.ANY_OVERLAP }
+  });
+
+  assert.equal(params.radius, 5 + CANDIDATE_BUFFER_MILES);
+  assert.equal(params.limit, MIN_CANDIDATE_LIMIT);
+  assert.equal('inclusion' in params, false);
+  assert.equal(params.lat, 30);
+});
+
+test('a larger requested limit is kept', () => {
+  const { inclusion } = createInclusion();
+  assert.equal(inclusion.getCandidateParams({ lat: 30, lng: -97, radius: 5, limit: 5000 }).limit, 5000);
+});
+
+test('polygon and geometry candidates come from the buffered bounding box', () => {
+  const { inclusion } = createInclusion();
+  const latDelta = CANDIDATE_BUFFER_MILES / 69;
+
+  const fromPolygon = inclusion.getCandidateParams({ polygon: SEARCH_POLYGON });
+  const lats = fromPolygon.polygon.map(point => point.lat);
+  const lngs = fromPolygon.polygon.map(point => point.lng);
+  assert.ok(Math.abs(Math.max(...lats) - (30.1 + latDelta)) < 1e-9);
+  assert.ok(Math.abs(Math.min(...lats) - (29.9 - latDelta)) < 1e-9);
+  assert.ok(Math.min(...lngs) < -97.1 - latDelta, 'longitude buffer is wider than latitude away from the equator');
+  assert.ok(Math.max(...lngs) > -96.9 + latDelta);
+
+  // A MultiPolygon with a radius still searches its bounding box, not the radius
+  const fromGeometry = inclusion.getCandidateParams({
+    lat: 30, lng: -97, radius: 1,
+    geometry: { type: 'MultiPolygon', coordinates: [square(-97.1, 29.9, -96.9, 30.1).coordinates] }
+  });
+  assert.equal(fromGeometry.radius, 1);
+  assert.equal(fromGeometry.polygon.length, 4);
+  assert.equal('geometry' in fromGeometry, false);
+});
+
+test('centroid mode keeps ZIPs whose centroid is inside, without loading boundaries', async () => {
+  const { inclusion, requests } = createInclusion();
+  const rows = await inclusion.applyInclusion(CANDIDATES, { polygon: SEARCH_POLYGON });
+
+  assert.deepEqual(zipsOf(rows), ['11111', '44444']);
+  assert.equal(requests.length, 0);
+});
+
+test('any-overlap mode keeps ZIPs that touch the shape and measures them', async () => {
+  const { inclusion, requests } = createInclusion();
+  const rows = await inclusion.applyInclusion(CANDIDATES, {
+    polygon: SEARCH_POLYGON,
+    inclusion: { mode: INCLUSION_MODES.ANY_OVERLAP }
+  });
+
+  assert.deepEqual(zipsOf(rows), ['11111', '22222', '44444']);
+  assert.deepEqual(requests, [['11111', '22222', '33333', '44444']]);
+
+  const [inside, partial, noBoundary] = rows;
+  assert.equal(inside.overlap, 100);
+  assert.ok(inside.area > 0);
+  assert.ok(Math.abs(partial.overlap - 25) < 1, `overlap ${partial.overlap}`);
+  // No boundary: kept on its centroid, without area/overlap
+  assert.equal(noBoundary.overlap, undefined);
+});
+
+test('minimum-overlap mode drops ZIPs below the threshold', async () => {
+  const { inclusion } = createInclusion();
+  const params = { polygon: SEARCH_POLYGON, inclusion: { mode: INCLUSION_MODES.MIN_OVERLAP, minOverlap: 50 } };
+  assert.deepEqual(zipsOf(await inclusion.applyInclusion(CANDIDATES, params)), ['11111', '44444']);
+
+  params.inclusion.minOverlap = 20;
+  assert.deepEqual(zipsOf(await inclusion.applyInclusion(CANDIDATES, params)), ['11111', '22222', '44444']);
+});
+
+test('holes in a geometry exclude the ZIPs inside them', async () => {
+  const { inclusion } = createInclusion();
+  const geometry = {
+    type: 'Polygon',
+    coordinates: [
+      square(-97.1, 29.9, -96.9, 30.1).coordinates[0],
+      square(-97.06, 29.94, -96.94, 30.06).coordinates[0].slice().reverse()
+    ]
+  };
+
+  assert.equal(inclusion.requiresGeometry({ geometry }), true);
+  assert.deepEqual(zipsOf(await inclusion.applyInclusion(CANDIDATES, { geometry })), []);
+});
+
+test('only non-centroid area searches need boundaries', () => {
+  const { inclusion } = createInclusion();
+  assert.equal(inclusion.requiresGeometry({ lat: 30, lng: -97, radius: 5 }), false);
+  assert.equal(inclusion.requiresGeometry({ lat: 30, lng: -97, radius: 5, inclusion: { mode: 'any' } }), true);
+  assert.equal(inclusion.requiresGeometry({ query: 'Austin', inclusion: { mode: 'any' } }), false);
+  assert.deepEqual(inclusion.normalizeInclusion({ mode: 'bogus', minOverlap: 150 }), { mode: 'centroid', minOverlap: 100 });
+});
@@ -0,0 +1,2 @@
+-- Per-ZIP status for 'zips' mode jobs (JSON array of ZipProgress)
+ALTER TABLE address_jobs ADD COLUMN zip_progress TEXT;
@@ -0,0 +1,5 @@
+-- Tiled polygon/radius jobs are searched a few tiles per queue message
+-- (src/handlers/processTiles.ts); these columns are where each run picks up
+ALTER TABLE address_jobs ADD COLUMN tiles TEXT;           -- JSON BoundingBox[] still to search
+ALTER TABLE address_jobs ADD COLUMN tile_count INTEGER;   -- Tiles in the job
+ALTER TABLE address_jobs ADD COLUMN failed_tiles TEXT;    -- JSON array of { tile, error }
@@ -1,18 +1,22 @@
-import { Env, AddressSearchRequest, CreateJobResponse, Address, StorageType } from '../types';
+import { Env, AddressSearchRequest, CreateJobResponse, Address, StorageType, ZipProgress } from '../types';
 import {
   searchByRadius,
   searchByPolygon,
   searchByZips,
   calculatePolygonArea,
-  chunkPolygon,
-  searchByBbox,
-  deduplicateAddresses
+  circleToPolygon
 } from '../services/overpass';
+import { createLocationBackfill } from '../services/backfill';
+import { getTiledSearchArea, startTiledJob } from './processTiles';
 
 // Batch size for saving results to D1
 const BATCH_SIZE = 1000;
 // Threshold for using R2 storage (addresses)
 const R2_THRESHOLD = 50000;
+// Largest polygon or radius circle a job may cover - about a large county
+const MAX_AREA_SQ_MI = 2000;
+
+const circleArea = (radiusMiles: number) => Math.PI * radiusMiles * radiusMiles;
 
 /**
  * Generate a short unique job ID
@@ -47,10 +51,30 @@ export async function handleCreateJob(
     throw new Error('Radius mode requires center and radius');
   }
 
+  if (body.mode === 'radius' && body.radius && circleArea(body.radius) > MAX_AREA_SQ_MI) {
+    const maxRadius = Math.floor(Math.sqrt(MAX_AREA_SQ_MI / Math.PI));
+    throw new Error(`Radius too large. Maximum radius is ${maxRadius} miles.`);
+  }
+
+  if (body.mode === 'polygon' && body.coordinates) {
+    const area = calculatePolygonArea(body.coordinates);
+    if (area > MAX_AREA_SQ_MI) {
+      throw new Error(`Polygon too large (${Math.round(area)} sq mi). Maximum area is ${MAX_AREA_SQ_MI} square miles.`);
+    }
+  }
+
   if (body.mode === 'zips' && (!body.zips || body.zips.length === 0)) {
     throw new Error('ZIP mode requires at least one ZIP code');
   }
 
+  if (body.mode === 'zips' && body.zips) {
+    body.zips = [...new Set(body.zips.map(zip => String(zip).trim()))];
+    const invalid = body.zips.filter(zip => !/^\d{5}$/.test(zip));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid ZIP code(s): ${invalid.join(', ')}`);
+    }
+  }
+
   // Generate job ID
   const jobId = generateJobId();
 
@@ -64,9 +88,15 @@ export async function handleCreateJob(
     JSON.stringify(body)
   ).run();
 
-  // Start processing in the background using ctx.waitUntil
-  // This allows the response to return immediately while processing continues
-  ctx.waitUntil(processJob(jobId, body, env));
+  // Large areas are searched tile by tile from the queue (see processTiles);
+  // the rest run in the background using ctx.waitUntil, which allows the
+  // response to return immediately while processing continues
+  const tiledArea = getTiledSearchArea(body);
+  if (tiledArea) {
+    await startTiledJob(jobId, tiledArea, env);
+  } else {
+    ctx.waitUntil(processJob(jobId, body, env));
+  }
 
   return {
     jobId,
@@ -78,7 +108,8 @@ export async function handleCreateJob(
 }
 
 /**
- * Process the address search job with chunked storage
+ * Process an address search job that fits in one query per ZIP or area,
+ * with chunked storage
  */
 async function processJob(
   jobId: string,
@@ -97,61 +128,43 @@ async function processJob(
     // Execute search based on mode
     if (params.mode === 'radius' && params.center && params.radius) {
       addresses = await searchByRadius(params.center, params.radius);
+      await createLocationBackfill(circleToPolygon(params.center, params.radius))(addresses);
       // Save results in batches
       batchNumber = await saveBatches(env, jobId, addresses, batchNumber);
       await updateJobProgress(env, jobId, 100, addresses.length);
 
     } else if (params.mode === 'polygon' && params.coordinates) {
-      // Check if polygon is too large and needs chunking
-      const area = calculatePolygonArea(params.coordinates);
-
-      if (area > 100) {
-        throw new Error('Polygon too large. Maximum area is 100 square miles.');
-      }
-
-      if (area > 20) {
-        // Chunk large polygons
-        const chunks = chunkPolygon(params.coordinates, 20);
-        const totalChunks = chunks.length;
-        let processedChunks = 0;
-
-        for (const chunk of chunks) {
-          try {
-            const chunkAddresses = await searchByBbox(
-              chunk.minLat,
-              chunk.minLng,
-              chunk.maxLat,
-              chunk.maxLng
-            );
-
-            // Save each chunk's results immediately to avoid timeout
-            batchNumber = await saveBatches(env, jobId, chunkAddresses, batchNumber);
-            addresses.push(...chunkAddresses);
-            processedChunks++;
-
-            const progress = Math.round((processedChunks / totalChunks) * 90) + 10;
-            await updateJobProgress(env, jobId, progress, addresses.length);
-          } catch (chunkError) {
-            console.error(`Chunk error:`, chunkError);
-            // Continue with other chunks
-          }
-        }
-
-        // Note: Deduplication happens at retrieval time for chunked storage
-      } else {
-        // Small polygon - query directly
-        await updateJobProgress(env, jobId, 30, 0);
-        addresses = await searchByPolygon(params.coordinates);
-        batchNumber = await saveBatches(env, jobId, addresses, batchNumber);
-      }
-
-      await updateJobProgress(env, jobId, 100, addresses.length);
-
-    } else if (params.mode === 'zips' && params.zips) {
+      // Small polygon - query directly
       await updateJobProgress(env, jobId, 30, 0);
-      addresses = await searchByZips(params.zips);
+      addresses = await searchByPolygon(params.coordinates);
+      await createLocationBackfill(params.coordinates)(addresses);
       batchNumber = await saveBatches(env, jobId, addresses, batchNumber);
       await updateJobProgress(env, jobId, 100, addresses.length);
+
+    } else if (params.mode === 'zips' && params.zips) {
+      const zipProgress: ZipProgress[] = params.zips.map(zip => ({ zip, status: 'pending', found: 0 }));
+      let processedZips = 0;
+      let foundSoFar = 0;
+      const backfill = createLocationBackfill();
+      await updateJobProgress(env, jobId, 10, 0, zipProgress);
+
+      addresses = await searchByZips(params.zips, async (update, added) => {
+        const index = zipProgress.findIndex(entry => entry.zip === update.zip);
+        zipProgress[index] = update;
+
+        // Save each ZIP's new addresses immediately to avoid timeout
+        await backfill(added);
+        batchNumber = await saveBatches(env, jobId, added, batchNumber);
+        foundSoFar += added.length;
+
+        if (update.status !== 'searching') {
+          processedZips++;
+        }
+        const progress = Math.round((processedZips / zipProgress.length) * 90) + 10;
+        await updateJobProgress(env, jobId, progress, foundSoFar, zipProgress);
+      });
+
+      await updateJobProgress(env, jobId, 100, addresses.length, zipProgress);
     }
 
   } catch (err) {
@@ -244,8 +257,18 @@ async function updateJobProgress(
   env: Env,
   jobId: string,
   progress: number,
-  totalFound: number
+  totalFound: number,
+  zipProgress?: ZipProgress[]
 ): Promise<void> {
+  if (zipProgress) {
+    await env.DB.prepare(`
+      UPDATE address_jobs
+      SET progress = ?, total_found = ?, zip_progress = ?
+      WHERE id = ?
+    `).bind(progress, totalFound, JSON.stringify(zipProgress), jobId).run();
+    return;
+  }
+
   await env.DB.prepare(`
     UPDATE address_jobs
     SET progress = ?, total_found = ?
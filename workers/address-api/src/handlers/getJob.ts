@@ -1,4 +1,6 @@
 import { Env, AddressJob, JobStatusResponse, Address, AddressResultBatch } from '../types';
+import { parseZipProgress } from './streamJob';
+import { tileSummary } from './processTiles';
 
 /**
  * Handle GET /api/address-search/:jobId
@@ -42,7 +44,9 @@ export async function handleGetJob(
     totalFound: result.total_found,
     results: pageResults,
     nextCursor,
-    error: result.error
+    error: result.error,
+    ...(result.zip_progress ? { zips: parseZipProgress(result.zip_progress) } : {}),
+    ...tileSummary(result)
   };
 }
 
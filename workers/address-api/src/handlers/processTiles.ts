@@ -0,0 +1,186 @@
+import { Env, AddressJob, AddressSearchRequest, BoundingBox, Coordinate, FailedTile, JobStatusResponse } from '../types';
+import { calculatePolygonArea, circleToPolygon, getPolygonTiles, searchPolygonTiles } from '../services/overpass';
+import { createLocationBackfill } from '../services/backfill';
+
+// Areas above this are searched as tiles of at most this size
+const TILE_AREA_SQ_MI = 20;
+// Overpass requests in flight at once; overpass-api.de gives each IP two slots
+const TILE_CONCURRENCY = 2;
+// Tiles searched per queue message. Each can take a few minutes when it is
+// split or rate limited, well inside a queue consumer's 15 minute limit.
+const TILES_PER_RUN = 6;
+// Addresses per address_results row, as in createJob
+const BATCH_SIZE = 1000;
+
+/**
+ * The polygon a radius or polygon job searches, if it is large enough to be
+ * tiled; null for jobs that run as a single query
+ */
+export function getTiledSearchArea(params: AddressSearchRequest): Coordinate[] | null {
+  if (params.mode === 'radius' && params.center && params.radius) {
+    const area = Math.PI * params.radius * params.radius;
+    return area > TILE_AREA_SQ_MI ? circleToPolygon(params.center, params.radius) : null;
+  }
+  if (params.mode === 'polygon' && params.coordinates) {
+    return calculatePolygonArea(params.coordinates) > TILE_AREA_SQ_MI ? params.coordinates : null;
+  }
+  return null;
+}
+
+/**
+ * Store a tiled job's tiles and queue its first run
+ * Tiled jobs outlast the ~30 seconds ctx.waitUntil allows after the response,
+ * so they run as a chain of queue messages that each search a few tiles
+ */
+export async function startTiledJob(jobId: string, coordinates: Coordinate[], env: Env): Promise<void> {
+  const tiles = getPolygonTiles(coordinates, TILE_AREA_SQ_MI);
+
+  await env.DB.prepare(`
+    UPDATE address_jobs
+    SET tiles = ?, tile_count = ?, failed_tiles = '[]', progress = 10
+    WHERE id = ?
+  `).bind(JSON.stringify(tiles), tiles.length, jobId).run();
+
+  await env.TILE_QUEUE.send({ jobId });
+}
+
+/**
+ * Parse a job's failed tiles column, tolerating bad JSON
+ */
+export function parseFailedTiles(raw: string | null): FailedTile[] {
+  if (!raw) return [];
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error('Failed to parse failed tiles:', e);
+    return [];
+  }
+}
+
+/**
+ * Failed tile count for tiled jobs, so clients can tell a result is incomplete
+ */
+export function tileSummary(job: AddressJob): Pick<JobStatusResponse, 'partial' | 'failedTiles' | 'tileCount'> {
+  if (job.tile_count == null) return {};
+  const failedTiles = parseFailedTiles(job.failed_tiles).length;
+  return { partial: failedTiles > 0, failedTiles, tileCount: job.tile_count };
+}
+
+/**
+ * Search the next few tiles of a job, then queue the rest or finish the job
+ * Each tile's batches are saved together with the shortened tile list, so a
+ * run that dies part way picks up after the last tile it saved. A run whose
+ * tile list no longer matches the job's (a redelivered message) stops.
+ */
+export async function processTileRun(jobId: string, env: Env): Promise<void> {
+  const job = await env.DB.prepare(`
+    SELECT status, params, tiles, tile_count, failed_tiles FROM address_jobs WHERE id = ?
+  `).bind(jobId).first<{
+    status: string;
+    params: string;
+    tiles: string | null;
+    tile_count: number | null;
+    failed_tiles: string | null;
+  }>();
+
+  if (!job || job.status !== 'processing' || !job.tiles) {
+    return;
+  }
+
+  const coordinates = getTiledSearchArea(JSON.parse(job.params) as AddressSearchRequest);
+  if (!coordinates) {
+    throw new Error(`Job ${jobId} is not a tiled search`);
+  }
+
+  let remaining: BoundingBox[] = JSON.parse(job.tiles);
+  const failedTiles = parseFailedTiles(job.failed_tiles);
+  const tileCount = job.tile_count ?? remaining.length;
+  let savedTiles = job.tiles;
+  let stale = false;
+
+  const lastBatch = await env.DB.prepare(`
+    SELECT MAX(batch_number) AS last FROM address_results WHERE job_id = ?
+  `).bind(jobId).first<{ last: number | null }>();
+  let batchNumber = (lastBatch?.last ?? -1) + 1;
+
+  const backfill = createLocationBackfill();
+
+  await searchPolygonTiles(remaining.slice(0, TILES_PER_RUN), coordinates, {
+    concurrency: TILE_CONCURRENCY,
+    onTile: async (tile, added, tileError) => {
+      if (stale) return;
+
+      if (tileError) {
+        failedTiles.push({ tile, error: tileError instanceof Error ? tileError.message : 'Unknown error' });
+      } else {
+        await backfill(added);
+      }
+
+      const nextTiles = JSON.stringify(remaining.filter(other => other !== tile));
+      const done = tileCount - remaining.length + 1;
+      const progress = Math.round((done / tileCount) * 90) + 10;
+
+      // Rows only go in while the job still has the tile list this run read
+      const statements: D1PreparedStatement[] = [];
+      for (let i = 0; i < added.length; i += BATCH_SIZE) {
+        const batch = added.slice(i, i + BATCH_SIZE);
+        statements.push(env.DB.prepare(`
+          INSERT INTO address_results (job_id, batch_number, addresses, count)
+          SELECT ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM address_jobs WHERE id = ? AND tiles = ?)
+        `).bind(jobId, batchNumber + i / BATCH_SIZE, JSON.stringify(batch), batch.length, jobId, savedTiles));
+      }
+      statements.push(env.DB.prepare(`
+        UPDATE address_jobs
+        SET tiles = ?, failed_tiles = ?, progress = ?, total_found = total_found + ?
+        WHERE id = ? AND tiles = ?
+      `).bind(nextTiles, JSON.stringify(failedTiles), progress, added.length, jobId, savedTiles));
+
+      const results = await env.DB.batch(statements);
+      if (results[results.length - 1].meta.changes === 0) {
+        console.log(`Job ${jobId} was picked up by another run; stopping`);
+        stale = true;
+        return;
+      }
+
+      remaining = remaining.filter(other => other !== tile);
+      savedTiles = nextTiles;
+      batchNumber += Math.ceil(added.length / BATCH_SIZE);
+    }
+  });
+
+  if (stale) return;
+
+  if (remaining.length > 0) {
+    await env.TILE_QUEUE.send({ jobId });
+    return;
+  }
+
+  // A job where every tile failed found nothing worth showing
+  const failed = tileCount > 0 && failedTiles.length === tileCount;
+  await env.DB.prepare(`
+    UPDATE address_jobs
+    SET status = ?,
+        progress = 100,
+        tiles = NULL,
+        error = ?,
+        completed_at = datetime('now')
+    WHERE id = ?
+  `).bind(
+    failed ? 'failed' : 'complete',
+    failed ? failedTiles[0].error : null,
+    jobId
+  ).run();
+
+  console.log(`Job ${jobId} completed: ${tileCount} tiles, ${failedTiles.length} failed`);
+}
+
+/**
+ * Mark a tiled job failed once its queue message has run out of retries
+ */
+export async function failTiledJob(jobId: string, error: unknown, env: Env): Promise<void> {
+  await env.DB.prepare(`
+    UPDATE address_jobs
+    SET status = 'failed', tiles = NULL, error = ?, completed_at = datetime('now')
+    WHERE id = ? AND status = 'processing'
+  `).bind(error instanceof Error ? error.message : 'Unknown error', jobId).run();
+}
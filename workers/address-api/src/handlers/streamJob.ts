@@ -1,8 +1,29 @@
-import { Env, AddressJob, Address } from '../types';
+import { Env, AddressJob, Address, AddressResultBatch, ZipProgress } from '../types';
+import { tileSummary } from './processTiles';
+
+/**
+ * Parse the per-ZIP progress column, tolerating bad JSON
+ */
+export function parseZipProgress(raw: string | null): ZipProgress[] {
+  if (!raw) return [];
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error('Failed to parse zip progress:', e);
+    return [];
+  }
+}
+
+// Give up when a job makes no progress for this long (polling every second);
+// a tile that is split or rate limited can take a few minutes
+const MAX_IDLE_POLLS = 300;
 
 /**
  * Handle GET /api/address-search/:jobId/stream
  * Server-Sent Events streaming endpoint
+ *
+ * Batches saved to address_results are sent as they appear, so large tiled
+ * searches deliver addresses while later tiles are still running
  */
 export function handleStreamJob(
   jobId: string,
@@ -14,9 +35,9 @@ export function handleStreamJob(
   const stream = new ReadableStream({
     async start(controller) {
       let lastProgress = -1;
-      let lastResultCount = 0;
-      let retries = 0;
-      const maxRetries = 120; // 2 minutes max (polling every second)
+      let lastZipProgress: string | null = null;
+      let nextBatchNumber = 0;
+      let idlePolls = 0;
       const startTime = Date.now();
 
       // Helper to send SSE event
@@ -38,18 +59,41 @@ export function handleStreamJob(
             return;
           }
 
-          // Send progress update if changed
-          if (result.progress !== lastProgress) {
+          // Send progress update if overall or per-ZIP progress changed
+          let changed = false;
+          if (result.progress !== lastProgress || result.zip_progress !== lastZipProgress) {
+            changed = true;
             lastProgress = result.progress;
+            lastZipProgress = result.zip_progress;
             sendEvent('progress', {
               progress: result.progress,
-              found: result.total_found
+              found: result.total_found,
+              ...(result.zip_progress ? { zips: parseZipProgress(result.zip_progress) } : {})
             });
           }
 
+          // Batches are saved before the job is marked complete, so reading
+          // them after the job row never misses the last ones
+          if (result.storage_type !== 'inline') {
+            const { results: batches } = await env.DB.prepare(`
+              SELECT batch_number, addresses FROM address_results
+              WHERE job_id = ? AND batch_number >= ?
+              ORDER BY batch_number
+            `).bind(jobId, nextBatchNumber).all<Pick<AddressResultBatch, 'batch_number' | 'addresses'>>();
+
+            for (const batch of batches) {
+              const addresses: Address[] = JSON.parse(batch.addresses);
+              if (addresses.length > 0) {
+                sendEvent('batch', { addresses, count: addresses.length });
+              }
+              nextBatchNumber = batch.batch_number + 1;
+              changed = true;
+            }
+          }
+
           // Check if job is complete or failed
           if (result.status === 'complete') {
-            // Send all results in batches
+            // Legacy inline jobs send all results at the end
             let allResults: Address[] = [];
             try {
               if (result.results) {
@@ -73,7 +117,8 @@ export function handleStreamJob(
             const duration = Date.now() - startTime;
             sendEvent('complete', {
               totalFound: result.total_found,
-              duration
+              duration,
+              ...tileSummary(result)
             });
 
             controller.close();
@@ -89,9 +134,9 @@ export function handleStreamJob(
             return;
           }
 
-          // Continue polling
-          retries++;
-          if (retries >= maxRetries) {
+          // Continue polling while the job keeps moving
+          idlePolls = changed ? 0 : idlePolls + 1;
+          if (idlePolls >= MAX_IDLE_POLLS) {
             sendEvent('error', {
               message: 'Job timed out',
               code: 'TIMEOUT'
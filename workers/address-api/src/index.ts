@@ -1,7 +1,11 @@
-import { Env } from './types';
+import { Env, TileJobMessage } from './types';
 import { handleCreateJob } from './handlers/createJob';
 import { handleGetJob } from './handlers/getJob';
 import { handleStreamJob } from './handlers/streamJob';
+import { failTiledJob, processTileRun } from './handlers/processTiles';
+
+// Runs of a tiled job tried before the job is marked failed
+const MAX_TILE_RUN_ATTEMPTS = 3;
 
 // CORS headers helper
 function corsHeaders(origin: string, allowedOrigins: string): Headers {
@@ -89,5 +93,24 @@ export default {
       const message = error instanceof Error ? error.message : 'Internal server error';
       return errorResponse(message, 500, origin, env.ALLOWED_ORIGINS);
     }
+  },
+
+  // Tiled jobs: each message searches the next few tiles of one job
+  async queue(batch: MessageBatch<TileJobMessage>, env: Env): Promise<void> {
+    for (const message of batch.messages) {
+      const { jobId } = message.body;
+      try {
+        await processTileRun(jobId, env);
+        message.ack();
+      } catch (error) {
+        console.error(`Tile run error for job ${jobId}:`, error);
+        if (message.attempts < MAX_TILE_RUN_ATTEMPTS) {
+          message.retry({ delaySeconds: 30 });
+        } else {
+          await failTiledJob(jobId, error, env);
+          message.ack();
+        }
+      }
+    }
   }
 };
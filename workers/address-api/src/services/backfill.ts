@@ -0,0 +1,106 @@
+import { Address, BoundingBox, Coordinate } from '../types';
+import { getBoundingBox } from './overpass';
+import { backfillAddresses, BackfillArea, BackfillGeometry, needsBackfill } from '../shared/addressNormalizer.js';
+
+const TIGER_BASE = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb';
+
+// The Census layers each missing field is looked up in. Incorporated places
+// only - addresses in unincorporated areas keep an empty city.
+const BACKFILL_LAYERS: Array<{
+  path: string;
+  field: string;
+  fills: 'postcode' | 'city' | 'state';
+  maxAllowableOffset: number;
+}> = [
+  { path: 'tigerWMS_Current/MapServer/2', field: 'ZCTA5', fills: 'postcode', maxAllowableOffset: 0.0005 },
+  { path: 'tigerWMS_Current/MapServer/28', field: 'BASENAME', fills: 'city', maxAllowableOffset: 0.0005 },
+  { path: 'State_County/MapServer/0', field: 'STUSAB', fills: 'state', maxAllowableOffset: 0.001 }
+];
+
+// TIGERweb GeoJSON query response; only the geometry and the layer's field
+// are read
+interface TigerFeatureCollection {
+  features?: Array<{
+    geometry: BackfillGeometry | null;
+    properties?: Record<string, string | number | null>;
+  }>;
+}
+
+async function fetchLayerAreas(
+  layer: typeof BACKFILL_LAYERS[number],
+  bbox: BoundingBox,
+  signal?: AbortSignal
+): Promise<BackfillArea[]> {
+  const params = new URLSearchParams({
+    geometry: JSON.stringify({
+      xmin: bbox.minLng,
+      ymin: bbox.minLat,
+      xmax: bbox.maxLng,
+      ymax: bbox.maxLat,
+      spatialReference: { wkid: 4326 }
+    }),
+    geometryType: 'esriGeometryEnvelope',
+    spatialRel: 'esriSpatialRelIntersects',
+    inSR: '4326',
+    outSR: '4326',
+    outFields: layer.field,
+    returnGeometry: 'true',
+    maxAllowableOffset: String(layer.maxAllowableOffset),
+    geometryPrecision: '5',
+    f: 'geojson'
+  });
+
+  const response = await fetch(`${TIGER_BASE}/${layer.path}/query?${params}`, { signal });
+  if (!response.ok) {
+    throw new Error(`TIGER API error: ${response.status}`);
+  }
+
+  const data = await response.json() as TigerFeatureCollection | null;
+  return (data?.features || []).flatMap(feature => {
+    const value = feature?.properties?.[layer.field];
+    if (!feature?.geometry || !value) return [];
+    return [{ geometry: feature.geometry, [layer.fills]: String(value) }];
+  });
+}
+
+/**
+ * ZCTA, place and state boundaries overlapping a bounding box
+ * A layer that fails to load is skipped - backfill is best effort and never
+ * fails a job
+ */
+export async function fetchBackfillAreas(bbox: BoundingBox, signal?: AbortSignal): Promise<BackfillArea[]> {
+  const results = await Promise.allSettled(
+    BACKFILL_LAYERS.map(layer => fetchLayerAreas(layer, bbox, signal))
+  );
+
+  return results.flatMap((result, index) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.error(`Backfill lookup failed for ${BACKFILL_LAYERS[index].fills}:`, result.reason);
+    return [];
+  });
+}
+
+/**
+ * Create a function that fills in missing city/state/ZIP on a batch of
+ * addresses, in place
+ * With `area` (radius and polygon jobs) boundaries are fetched once for its
+ * bounding box; without it (ZIP jobs) for the extent of each batch
+ */
+export function createLocationBackfill(area?: Coordinate[], signal?: AbortSignal) {
+  let areaBoundaries: Promise<BackfillArea[]> | null = null;
+
+  return async (addresses: Address[]): Promise<void> => {
+    const missing = addresses.filter(needsBackfill);
+    if (missing.length === 0) return;
+
+    let boundaries: BackfillArea[];
+    if (area) {
+      areaBoundaries = areaBoundaries ?? fetchBackfillAreas(getBoundingBox(area), signal);
+      boundaries = await areaBoundaries;
+    } else {
+      boundaries = await fetchBackfillAreas(getBoundingBox(missing), signal);
+    }
+
+    backfillAddresses(missing, boundaries);
+  };
+}
@@ -1,4 +1,6 @@
-import { Address, Coordinate } from '../types';
+import { Address, BoundingBox, Coordinate, ZipProgress } from '../types';
+import { fetchZctaPolygons, isInZcta, pointInRing, ZctaPolygon } from './zcta';
+import { AddressDeduper, dedupeAddresses, normalizeAddress } from '../shared/addressNormalizer.js';
 
 const OVERPASS_API = 'https://overpass-api.de/api/interpreter';
 const TIMEOUT_MS = 60000; // 60 seconds
@@ -70,7 +72,8 @@ export function coordsToPolyString(coordinates: Coordinate[]): string {
 }
 
 /**
- * Parse Overpass API response into Address objects
+ * Parse Overpass API response into Address objects, standardized the same
+ * way as the client's overpassService (shared/addressNormalizer.js)
  */
 export function parseOverpassResponse(data: any): Address[] {
   if (!data || !data.elements) {
@@ -98,20 +101,23 @@ export function parseOverpassResponse(data: any): Address[] {
         return null;
       }
 
-      return {
+      return normalizeAddress({
         id: element.id,
         type: element.type,
         housenumber: tags['addr:housenumber'],
         street: tags['addr:street'] || '',
-        unit: tags['addr:unit'] || tags['addr:flats'] || undefined,
-        city: tags['addr:city'] || undefined,
-        state: tags['addr:state'] || undefined,
-        postcode: tags['addr:postcode'] || undefined,
+        unit: tags['addr:unit'],
+        // addr:flats lists every unit in the building (e.g. "1-12"), so it
+        // isn't this address's unit
+        flats: tags['addr:flats'] || undefined,
+        city: tags['addr:city'],
+        state: tags['addr:state'],
+        postcode: tags['addr:postcode'],
         lat,
         lng,
         building: tags.building || undefined,
         name: tags.name || undefined
-      } as Address;
+      }) as Address;
     })
     .filter((addr: Address | null): addr is Address => addr !== null);
 }
@@ -152,7 +158,7 @@ out center;
   }
 
   const data = await response.json();
-  return parseOverpassResponse(data);
+  return dedupeAddresses(parseOverpassResponse(data));
 }
 
 /**
@@ -190,7 +196,7 @@ out center;
   }
 
   const data = await response.json();
-  return parseOverpassResponse(data);
+  return dedupeAddresses(parseOverpassResponse(data));
 }
 
 /**
@@ -232,22 +238,56 @@ out center;
   return parseOverpassResponse(data);
 }
 
+// How far past the ZCTA to look for addresses tagged with the ZIP - USPS
+// delivery areas don't line up exactly with Census tabulation areas
+const POSTCODE_BBOX_BUFFER_DEG = 0.05;
+
 /**
- * Search addresses by ZIP codes
- * Note: This queries by postal code tag in the bounding area
+ * Search addresses in a single ZIP code
+ * Matches addr:postcode first; addresses without a postcode tag are picked up
+ * from inside the ZCTA boundary and stamped with the ZIP
  */
-export async function searchByZips(
-  zips: string[],
+export async function searchByZip(
+  zip: string,
   signal?: AbortSignal
-): Promise<Address[]> {
-  // Query addresses with matching postcodes
-  const zipFilter = zips.map(z => `["addr:postcode"="${z}"]`).join('');
+): Promise<{ addresses: Address[]; usedBoundary: boolean }> {
+  let polygons: ZctaPolygon[] | null = null;
+  try {
+    polygons = await fetchZctaPolygons(zip, signal);
+  } catch (boundaryError) {
+    console.error(`ZCTA boundary lookup failed for ${zip}:`, boundaryError);
+  }
+
+  const postcodeFilter = `["addr:housenumber"]["addr:postcode"="${zip}"]`;
+  const clauses: string[] = [];
+
+  if (polygons && polygons.length > 0) {
+    const bbox = getBoundingBox(polygons.flatMap(p => p.outer));
+    const area = [
+      bbox.minLat - POSTCODE_BBOX_BUFFER_DEG,
+      bbox.minLng - POSTCODE_BBOX_BUFFER_DEG,
+      bbox.maxLat + POSTCODE_BBOX_BUFFER_DEG,
+      bbox.maxLng + POSTCODE_BBOX_BUFFER_DEG
+    ].join(',');
+
+    clauses.push(`node${postcodeFilter}(${area});`, `way${postcodeFilter}(${area});`);
+
+    for (const polygon of polygons) {
+      const polyString = coordsToPolyString(polygon.outer);
+      clauses.push(
+        `node["addr:housenumber"][!"addr:postcode"](poly:"${polyString}");`,
+        `way["addr:housenumber"][!"addr:postcode"](poly:"${polyString}");`
+      );
+    }
+  } else {
+    // No ZCTA (PO box / unique ZIP) or TIGER unavailable - postcode tag only
+    clauses.push(`node${postcodeFilter};`, `way${postcodeFilter};`);
+  }
 
   const query = `
 [out:json][timeout:90];
 (
-  node["addr:housenumber"]${zipFilter};
-  way["addr:housenumber"]${zipFilter};
+  ${clauses.join('\n  ')}
 );
 out center;
 `.trim();
@@ -269,7 +309,69 @@ out center;
   }
 
   const data = await response.json();
-  return parseOverpassResponse(data);
+  const addresses = parseOverpassResponse(data)
+    .filter(addr => {
+      if (addr.postcode) return addr.postcode === zip;
+      // Poly filters ignore holes and match ways that only cross the edge
+      return polygons ? isInZcta(addr, polygons) : false;
+    })
+    .map(addr => (addr.postcode ? addr : { ...addr, postcode: zip }));
+
+  return { addresses, usedBoundary: Boolean(polygons && polygons.length > 0) };
+}
+
+/**
+ * Search addresses by ZIP codes
+ * Each ZIP is queried on its own and the results are unioned, so an address
+ * only has to match one of the requested ZIPs
+ * @param onZip - Called when a ZIP starts and finishes, with the addresses it
+ *   added that weren't already found by an earlier ZIP
+ */
+export async function searchByZips(
+  zips: string[],
+  onZip?: (progress: ZipProgress, added: Address[]) => Promise<void>,
+  signal?: AbortSignal
+): Promise<Address[]> {
+  const addresses: Address[] = [];
+  const deduper = new AddressDeduper<Address>();
+  let firstError: unknown = null;
+  let failed = 0;
+
+  for (const zip of zips) {
+    await onZip?.({ zip, status: 'searching', found: 0 }, []);
+
+    try {
+      const result = await searchByZip(zip, signal);
+      const added = deduper.filter(result.addresses);
+      addresses.push(...added);
+
+      await onZip?.({
+        zip,
+        status: 'complete',
+        found: result.addresses.length,
+        source: result.usedBoundary ? 'postcode+zcta' : 'postcode'
+      }, added);
+    } catch (zipError) {
+      if (signal?.aborted) throw zipError;
+      console.error(`ZIP ${zip} error:`, zipError);
+      firstError = firstError ?? zipError;
+      failed++;
+
+      await onZip?.({
+        zip,
+        status: 'failed',
+        found: 0,
+        error: zipError instanceof Error ? zipError.message : 'Unknown error'
+      }, []);
+      // Continue with other ZIPs
+    }
+  }
+
+  if (zips.length > 0 && failed === zips.length) {
+    throw firstError;
+  }
+
+  return addresses;
 }
 
 /**
@@ -278,7 +380,7 @@ out center;
 export function chunkPolygon(
   coordinates: Coordinate[],
   maxAreaSqMi: number = 20
-): { minLat: number; minLng: number; maxLat: number; maxLng: number }[] {
+): BoundingBox[] {
   const bbox = getBoundingBox(coordinates);
   const totalArea = calculatePolygonArea(coordinates);
 
@@ -286,14 +388,23 @@ export function chunkPolygon(
     return [bbox];
   }
 
+  // The grid covers the bounding box, so size it by the box's area; a
+  // triangle's box is twice its area
+  const bboxArea = calculatePolygonArea([
+    { lat: bbox.minLat, lng: bbox.minLng },
+    { lat: bbox.minLat, lng: bbox.maxLng },
+    { lat: bbox.maxLat, lng: bbox.maxLng },
+    { lat: bbox.maxLat, lng: bbox.minLng }
+  ]);
+
   // Calculate grid dimensions
-  const numChunks = Math.ceil(totalArea / maxAreaSqMi);
+  const numChunks = Math.ceil(bboxArea / maxAreaSqMi);
   const gridSize = Math.ceil(Math.sqrt(numChunks));
 
   const latStep = (bbox.maxLat - bbox.minLat) / gridSize;
   const lngStep = (bbox.maxLng - bbox.minLng) / gridSize;
 
-  const chunks: { minLat: number; minLng: number; maxLat: number; maxLng: number }[] = [];
+  const chunks: BoundingBox[] = [];
 
   for (let i = 0; i < gridSize; i++) {
     for (let j = 0; j < gridSize; j++) {
@@ -310,15 +421,164 @@ export function chunkPolygon(
 }
 
 /**
- * Deduplicate addresses by ID
+ * Approximate a circle as a polygon, so large radius searches can be tiled
  */
-export function deduplicateAddresses(addresses: Address[]): Address[] {
-  const seen = new Set<number>();
-  return addresses.filter(addr => {
-    if (seen.has(addr.id)) {
-      return false;
-    }
-    seen.add(addr.id);
-    return true;
+export function circleToPolygon(center: Coordinate, radiusMiles: number, points: number = 64): Coordinate[] {
+  const latRadius = radiusMiles / 69;
+  const lngRadius = radiusMiles / (69 * Math.cos(center.lat * Math.PI / 180));
+  return Array.from({ length: points }, (_, i) => {
+    const angle = (i / points) * 2 * Math.PI;
+    return {
+      lat: center.lat + latRadius * Math.cos(angle),
+      lng: center.lng + lngRadius * Math.sin(angle)
+    };
   });
 }
+
+function orientation(a: Coordinate, b: Coordinate, c: Coordinate): number {
+  return Math.sign((b.lng - a.lng) * (c.lat - a.lat) - (b.lat - a.lat) * (c.lng - a.lng));
+}
+
+function segmentsCross(a: Coordinate, b: Coordinate, c: Coordinate, d: Coordinate): boolean {
+  return orientation(a, b, c) * orientation(a, b, d) < 0 && orientation(c, d, a) * orientation(c, d, b) < 0;
+}
+
+/**
+ * Whether a grid cell overlaps the polygon at all; cells of a polygon's
+ * bounding box that fall entirely outside it are never queried
+ */
+export function tileIntersectsPolygon(tile: BoundingBox, polygon: Coordinate[]): boolean {
+  const inTile = (point: Coordinate) =>
+    point.lat >= tile.minLat && point.lat <= tile.maxLat &&
+    point.lng >= tile.minLng && point.lng <= tile.maxLng;
+  if (polygon.some(inTile)) return true;
+
+  const corners: Coordinate[] = [
+    { lat: tile.minLat, lng: tile.minLng },
+    { lat: tile.minLat, lng: tile.maxLng },
+    { lat: tile.maxLat, lng: tile.maxLng },
+    { lat: tile.maxLat, lng: tile.minLng }
+  ];
+  if (corners.some(corner => pointInRing(corner, polygon))) return true;
+
+  return polygon.some((point, i) => {
+    const next = polygon[(i + 1) % polygon.length];
+    return corners.some((corner, j) => segmentsCross(point, next, corner, corners[(j + 1) % 4]));
+  });
+}
+
+function splitTile(tile: BoundingBox): BoundingBox[] {
+  const midLat = (tile.minLat + tile.maxLat) / 2;
+  const midLng = (tile.minLng + tile.maxLng) / 2;
+  return [
+    { minLat: tile.minLat, minLng: tile.minLng, maxLat: midLat, maxLng: midLng },
+    { minLat: tile.minLat, minLng: midLng, maxLat: midLat, maxLng: tile.maxLng },
+    { minLat: midLat, minLng: tile.minLng, maxLat: tile.maxLat, maxLng: midLng },
+    { minLat: midLat, minLng: midLng, maxLat: tile.maxLat, maxLng: tile.maxLng }
+  ];
+}
+
+// How many times a tile that times out is split into quarters and retried
+const MAX_TILE_SPLITS = 2;
+// How many times a rate-limited tile is retried, waiting twice as long each time
+const MAX_RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_BACKOFF_MS = 5000;
+
+const isOverpassError = (error: unknown, code: 'TIMEOUT' | 'RATE_LIMIT') =>
+  error instanceof Error && error.message.startsWith(code);
+
+function wait(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+async function searchTile(tile: BoundingBox, depth: number, signal?: AbortSignal): Promise<Address[]> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await searchByBbox(tile.minLat, tile.minLng, tile.maxLat, tile.maxLng, signal);
+    } catch (tileError) {
+      // Overpass allows a couple of queries per IP at once; wait for a slot
+      if (isOverpassError(tileError, 'RATE_LIMIT') && attempt < MAX_RATE_LIMIT_RETRIES) {
+        await wait(RATE_LIMIT_BACKOFF_MS * 2 ** attempt, signal);
+        continue;
+      }
+
+      // Dense downtown tiles can exceed Overpass's timeout; smaller ones don't
+      if (!isOverpassError(tileError, 'TIMEOUT') || depth >= MAX_TILE_SPLITS) throw tileError;
+
+      const found: Address[] = [];
+      for (const part of splitTile(tile)) {
+        found.push(...await searchTile(part, depth + 1, signal));
+      }
+      return found;
+    }
+  }
+}
+
+/**
+ * Tiles of at most `maxTileAreaSqMi` covering a polygon too large for one
+ * Overpass query; cells of its bounding box outside the polygon are dropped
+ */
+export function getPolygonTiles(coordinates: Coordinate[], maxTileAreaSqMi: number = 20): BoundingBox[] {
+  return chunkPolygon(coordinates, maxTileAreaSqMi)
+    .filter(tile => tileIntersectsPolygon(tile, coordinates));
+}
+
+// Tiles share their edges; an address on one belongs to the tile to its
+// north-east, so searching each tile on its own never saves it twice
+const ownsPoint = (tile: BoundingBox, point: Coordinate) =>
+  point.lat >= tile.minLat && point.lat < tile.maxLat &&
+  point.lng >= tile.minLng && point.lng < tile.maxLng;
+
+/**
+ * Search some of a polygon's tiles `concurrency` at a time, keeping only
+ * addresses inside the polygon
+ * A tile that still fails after its retries is reported rather than thrown,
+ * so the caller can record the gap and carry on with the rest
+ * @param onTile - Called after each tile with its addresses, or the error it
+ *   failed with; calls never overlap, so the caller can number saved batches
+ *   sequentially
+ */
+export async function searchPolygonTiles(
+  tiles: BoundingBox[],
+  coordinates: Coordinate[],
+  {
+    concurrency = 2,
+    onTile,
+    signal
+  }: {
+    concurrency?: number;
+    onTile: (tile: BoundingBox, added: Address[], error: unknown) => Promise<void>;
+    signal?: AbortSignal;
+  }
+): Promise<void> {
+  let nextTile = 0;
+  let reporting: Promise<void> = Promise.resolve();
+
+  const runTiles = async () => {
+    while (nextTile < tiles.length) {
+      const tile = tiles[nextTile++];
+      let added: Address[] = [];
+      let tileError: unknown = null;
+
+      try {
+        const found = await searchTile(tile, 0, signal);
+        added = dedupeAddresses(found.filter(addr => ownsPoint(tile, addr) && pointInRing(addr, coordinates)));
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error('Tile error:', error);
+        tileError = error;
+      }
+
+      reporting = reporting.then(() => onTile(tile, added, tileError));
+      await reporting;
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, tiles.length) }, runTiles));
+}
@@ -0,0 +1,108 @@
+import { Coordinate } from '../types';
+
+// Census TIGERweb layer for 2020 ZIP Code Tabulation Areas
+const TIGER_ZCTA_QUERY = 'https://tigerweb.geo.census.gov/arcgis/rest/services/TIGERweb/tigerWMS_Current/MapServer/2/query';
+
+// ~50m simplification keeps Overpass poly filters a reasonable size
+const MAX_ALLOWABLE_OFFSET = 0.0005;
+
+/**
+ * One polygon of a ZCTA: an outer ring plus any holes
+ */
+export interface ZctaPolygon {
+  outer: Coordinate[];
+  holes: Coordinate[][];
+}
+
+// TIGERweb GeoJSON query response; only the geometry is read
+interface TigerZctaResponse {
+  features?: Array<{
+    geometry: { type: 'Polygon'; coordinates: number[][][] } |
+      { type: 'MultiPolygon'; coordinates: number[][][][] } |
+      null;
+  }>;
+}
+
+/**
+ * Convert a GeoJSON ring ([lng, lat] pairs) to coordinates,
+ * dropping the closing point Overpass doesn't need
+ */
+function ringToCoordinates(ring: number[][]): Coordinate[] {
+  const coords = ring.map(([lng, lat]) => ({ lat, lng }));
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  if (coords.length > 1 && first.lat === last.lat && first.lng === last.lng) {
+    coords.pop();
+  }
+  return coords;
+}
+
+/**
+ * Fetch a ZCTA boundary from TIGERweb
+ * Returns null when the ZIP has no ZCTA (PO boxes, unique ZIPs)
+ */
+export async function fetchZctaPolygons(
+  zip: string,
+  signal?: AbortSignal
+): Promise<ZctaPolygon[] | null> {
+  const params = new URLSearchParams({
+    where: `ZCTA5='${zip}'`,
+    outFields: 'ZCTA5',
+    returnGeometry: 'true',
+    outSR: '4326',
+    maxAllowableOffset: String(MAX_ALLOWABLE_OFFSET),
+    geometryPrecision: '5',
+    f: 'geojson'
+  });
+
+  const response = await fetch(`${TIGER_ZCTA_QUERY}?${params}`, { signal });
+
+  if (!response.ok) {
+    throw new Error(`TIGER API error: ${response.status}`);
+  }
+
+  const data = await response.json() as TigerZctaResponse;
+  const geometry = data?.features?.[0]?.geometry;
+
+  if (!geometry) {
+    return null;
+  }
+
+  const polygons: number[][][][] = geometry.type === 'MultiPolygon'
+    ? geometry.coordinates
+    : [geometry.coordinates];
+
+  return polygons
+    .filter(rings => rings.length > 0 && rings[0].length >= 4)
+    .map(([outer, ...holes]) => ({
+      outer: ringToCoordinates(outer),
+      holes: holes.map(ringToCoordinates)
+    }));
+}
+
+/**
+ * Ray-casting point in ring test
+ */
+export function pointInRing(point: Coordinate, ring: Coordinate[]): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Check whether a point lies inside a ZCTA, respecting holes
+ */
+export function isInZcta(point: Coordinate, polygons: ZctaPolygon[]): boolean {
+  return polygons.some(polygon =>
+    pointInRing(point, polygon.outer) &&
+    !polygon.holes.some(hole => pointInRing(point, hole))
+  );
+}
@@ -0,0 +1,49 @@
+// Types for addressNormalizer.js, a copy of the app's src/utils/addressNormalizer.js
+
+export interface NormalizableAddress {
+  housenumber?: string;
+  street?: string;
+  unit?: string;
+  city?: string;
+  state?: string;
+  postcode?: string;
+}
+
+export type BackfillGeometry =
+  { type: 'Polygon'; coordinates: number[][][] } |
+  { type: 'MultiPolygon'; coordinates: number[][][][] };
+
+export interface BackfillArea {
+  geometry: BackfillGeometry;
+  city?: string;
+  state?: string;
+  postcode?: string;
+}
+
+export function normalizeStreet(street: string | null | undefined): string;
+export function normalizeUnit(unit: string | null | undefined): string;
+export function normalizeState(state: string | null | undefined): string;
+export function normalizePostcode(postcode: string | null | undefined): string;
+export function normalizeAddress<T extends NormalizableAddress>(
+  address: T
+): T & { housenumber: string; street: string; unit: string; city: string; state: string; postcode: string };
+
+export function formatStreetLine(address: NormalizableAddress): string;
+export function formatAddress(address: NormalizableAddress): string;
+
+export function needsBackfill(address: NormalizableAddress): boolean;
+export function backfillAddresses<T extends NormalizableAddress & { lat: number; lng: number }>(
+  addresses: T[],
+  areas: BackfillArea[]
+): number;
+
+export class AddressDeduper<T extends NormalizableAddress & { id: number | string; type?: string; lat: number; lng: number }> {
+  constructor(options?: { maxDistanceMeters?: number });
+  add(address: T): boolean;
+  filter(addresses: T[]): T[];
+}
+
+export function dedupeAddresses<T extends NormalizableAddress & { id: number | string; type?: string; lat: number; lng: number }>(
+  addresses: T[],
+  options?: { maxDistanceMeters?: number }
+): T[];
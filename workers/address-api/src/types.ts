@@ -2,9 +2,15 @@
 export interface Env {
   DB: D1Database;
   R2: R2Bucket;
+  TILE_QUEUE: Queue<TileJobMessage>;
   ALLOWED_ORIGINS: string;
 }
 
+// Queue message asking for the next tiles of a tiled polygon/radius job
+export interface TileJobMessage {
+  jobId: string;
+}
+
 // Storage type for results
 export type StorageType = 'chunks' | 'r2' | 'inline';
 
@@ -20,6 +26,20 @@ export interface Coordinate {
   lng: number;
 }
 
+// Grid cell of a tiled search
+export interface BoundingBox {
+  minLat: number;
+  minLng: number;
+  maxLat: number;
+  maxLng: number;
+}
+
+// A tile whose search failed, kept so the job can report it is incomplete
+export interface FailedTile {
+  tile: BoundingBox;
+  error: string;
+}
+
 // Address search request
 export interface AddressSearchRequest {
   mode: SearchMode;
@@ -49,6 +69,10 @@ export interface AddressJob {
   completed_at: string | null;
   storage_type: StorageType;
   r2_key: string | null;
+  zip_progress: string | null; // JSON ZipProgress[] for 'zips' mode
+  tiles: string | null; // JSON BoundingBox[] still to search for tiled jobs
+  tile_count: number | null; // Tiles in a tiled job
+  failed_tiles: string | null; // JSON FailedTile[]
 }
 
 // Chunked result batch from D1
@@ -79,6 +103,11 @@ export interface JobStatusResponse {
   results: Address[];
   nextCursor: string | null;
   error: string | null;
+  zips?: ZipProgress[];
+  // Set when some tiles of a tiled job could not be searched
+  partial?: boolean;
+  failedTiles?: number;
+  tileCount?: number;
 }
 
 // Parsed address from Overpass
@@ -88,6 +117,8 @@ export interface Address {
   housenumber: string;
   street: string;
   unit?: string;
+  // addr:flats - the units of a multi-unit building, e.g. "1-12"
+  flats?: string;
   city?: string;
   state?: string;
   postcode?: string;
@@ -100,9 +131,20 @@ export interface Address {
 // SSE event types
 export type SSEEventType = 'progress' | 'batch' | 'complete' | 'error';
 
+// Per-ZIP status for 'zips' mode jobs
+export interface ZipProgress {
+  zip: string;
+  status: 'pending' | 'searching' | 'complete' | 'failed';
+  found: number;
+  // 'postcode+zcta' when untagged addresses inside the ZCTA were included
+  source?: 'postcode' | 'postcode+zcta';
+  error?: string;
+}
+
 export interface SSEProgressEvent {
   progress: number;
   found: number;
+  zips?: ZipProgress[];
 }
 
 export interface SSEBatchEvent {
@@ -113,6 +155,9 @@ export interface SSEBatchEvent {
 export interface SSECompleteEvent {
   totalFound: number;
   duration: number;
+  partial?: boolean;
+  failedTiles?: number;
+  tileCount?: number;
 }
 
 export interface SSEErrorEvent {
@@ -0,0 +1,4 @@
+import { applyD1Migrations, env } from 'cloudflare:test';
+
+// Runs before each test file; storage is isolated per test, so every test starts from the migrated schema
+await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
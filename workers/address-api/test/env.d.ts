@@ -0,0 +1,7 @@
+import type { Env as AddressEnv } from '../src/types';
+
+declare module 'cloudflare:test' {
+  interface ProvidedEnv extends AddressEnv {
+    TEST_MIGRATIONS: D1Migration[];
+  }
+}
@@ -0,0 +1,122 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { processTileRun } from '../src/handlers/processTiles';
+import { BoundingBox, Env, TileJobMessage } from '../src/types';
+
+const JOB_ID = 'addr_tiletest';
+
+// About 330 sq mi, so it is searched as tiles
+const COORDINATES = [
+  { lat: 30.0, lng: -97.9 },
+  { lat: 30.0, lng: -97.5 },
+  { lat: 30.2, lng: -97.5 },
+  { lat: 30.2, lng: -97.9 }
+];
+const WEST: BoundingBox = { minLat: 30.0, minLng: -97.9, maxLat: 30.2, maxLng: -97.7 };
+const EAST: BoundingBox = { minLat: 30.0, minLng: -97.7, maxLat: 30.2, maxLng: -97.5 };
+
+// One fully tagged address per tile, so no boundary backfill is fetched
+const element = (id: number, lat: number, lon: number) => ({
+  type: 'node',
+  id,
+  lat,
+  lon,
+  tags: {
+    'addr:housenumber': String(id),
+    'addr:street': 'Congress Avenue',
+    'addr:city': 'Austin',
+    'addr:state': 'TX',
+    'addr:postcode': '78701'
+  }
+});
+const ELEMENTS = [element(1, 30.1, -97.8), element(2, 30.1, -97.6)];
+
+const createEnv = () => {
+  const send = vi.fn(async () => {});
+  const testEnv = { ...env, TILE_QUEUE: { send } as unknown as Queue<TileJobMessage> } as Env;
+  return { testEnv, send };
+};
+
+const getJob = () =>
+  env.DB.prepare('SELECT status, tiles, failed_tiles, progress, total_found, error FROM address_jobs WHERE id = ?')
+    .bind(JOB_ID)
+    .first<{ status: string; tiles: string | null; failed_tiles: string; progress: number; total_found: number; error: string | null }>();
+
+const getBatches = async () => {
+  const { results } = await env.DB.prepare('SELECT batch_number, addresses, count FROM address_results WHERE job_id = ? ORDER BY batch_number')
+    .bind(JOB_ID)
+    .all<{ batch_number: number; addresses: string; count: number }>();
+  return results;
+};
+
+beforeEach(async () => {
+  await env.DB.prepare(`
+    INSERT INTO address_jobs (id, status, mode, params, tiles, tile_count, failed_tiles, progress)
+    VALUES (?, 'processing', 'polygon', ?, ?, 2, '[]', 10)
+  `).bind(JOB_ID, JSON.stringify({ mode: 'polygon', coordinates: COORDINATES }), JSON.stringify([WEST, EAST])).run();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('processTileRun', () => {
+  it('saves each tile as a batch and completes the job', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ elements: ELEMENTS })));
+    const { testEnv, send } = createEnv();
+
+    await processTileRun(JOB_ID, testEnv);
+
+    const batches = await getBatches();
+    expect(batches.map(batch => batch.batch_number)).toEqual([0, 1]);
+    expect(batches.map(batch => JSON.parse(batch.addresses)[0].housenumber)).toEqual(['1', '2']);
+    expect(await getJob()).toMatchObject({ status: 'complete', tiles: null, progress: 100, total_found: 2, failed_tiles: '[]' });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when the message is redelivered after the job finished', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ elements: ELEMENTS })));
+    const { testEnv } = createEnv();
+    await processTileRun(JOB_ID, testEnv);
+
+    const search = vi.fn(async () => Response.json({ elements: ELEMENTS }));
+    vi.stubGlobal('fetch', search);
+    await processTileRun(JOB_ID, testEnv);
+
+    expect(search).not.toHaveBeenCalled();
+    expect(await getBatches()).toHaveLength(2);
+    expect((await getJob())?.total_found).toBe(2);
+  });
+
+  it('saves nothing once another run has moved the tile list on', async () => {
+    const otherRunTiles = JSON.stringify([EAST]);
+    // While this run is searching its first tile, a second delivery of the
+    // same message finishes that tile and saves the shorter list
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      await env.DB.prepare('UPDATE address_jobs SET tiles = ? WHERE id = ?').bind(otherRunTiles, JOB_ID).run();
+      return Response.json({ elements: ELEMENTS });
+    }));
+    const { testEnv, send } = createEnv();
+
+    await processTileRun(JOB_ID, testEnv);
+
+    expect(await getBatches()).toEqual([]);
+    expect(await getJob()).toMatchObject({ status: 'processing', tiles: otherRunTiles, total_found: 0 });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('records a failed tile and still completes the job', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (_input: RequestInfo | URL, init?: RequestInit) => {
+      // The east tile's query bounds end at -97.5
+      const query = decodeURIComponent(String(init?.body));
+      return query.includes(',-97.5)') ? new Response('', { status: 500 }) : Response.json({ elements: ELEMENTS });
+    }));
+    const { testEnv } = createEnv();
+
+    await processTileRun(JOB_ID, testEnv);
+
+    const job = await getJob();
+    expect(job).toMatchObject({ status: 'complete', tiles: null, total_found: 1 });
+    expect(JSON.parse(job!.failed_tiles)).toEqual([{ tile: EAST, error: 'Overpass API error: 500' }]);
+  });
+});
@@ -0,0 +1,163 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { calculatePolygonArea, getPolygonTiles, searchPolygonTiles } from '../src/services/overpass';
+import { getTiledSearchArea } from '../src/handlers/processTiles';
+import { Address, BoundingBox, Coordinate } from '../src/types';
+
+const TILE_AREA_SQ_MI = 20;
+
+const corners = (tile: BoundingBox): Coordinate[] => [
+  { lat: tile.minLat, lng: tile.minLng },
+  { lat: tile.minLat, lng: tile.maxLng },
+  { lat: tile.maxLat, lng: tile.maxLng },
+  { lat: tile.maxLat, lng: tile.minLng }
+];
+
+const inTile = (tile: BoundingBox, point: Coordinate) =>
+  point.lat >= tile.minLat && point.lat <= tile.maxLat && point.lng >= tile.minLng && point.lng <= tile.maxLng;
+
+// Right triangle with its hypotenuse running south-east to north-west; half
+// of its bounding box is outside it
+const TRIANGLE: Coordinate[] = [
+  { lat: 30.0, lng: -97.9 },
+  { lat: 30.0, lng: -97.5 },
+  { lat: 30.3, lng: -97.9 }
+];
+
+// Overpass elements fully tagged, so no boundary backfill is fetched
+const element = (id: number, lat: number, lon: number) => ({
+  type: 'node',
+  id,
+  lat,
+  lon,
+  tags: {
+    'addr:housenumber': String(id),
+    'addr:street': 'Congress Avenue',
+    'addr:city': 'Austin',
+    'addr:state': 'TX',
+    'addr:postcode': '78701'
+  }
+});
+
+// Answers every query with every element, the way Overpass returns points on
+// a bounding box's edge to both tiles that share it
+const stubOverpass = (elements: ReturnType<typeof element>[]) =>
+  vi.stubGlobal('fetch', vi.fn(async () => Response.json({ elements })));
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('getPolygonTiles', () => {
+  const tiles = getPolygonTiles(TRIANGLE, TILE_AREA_SQ_MI);
+
+  it('keeps every tile within the area limit', () => {
+    expect(calculatePolygonArea(TRIANGLE)).toBeGreaterThan(TILE_AREA_SQ_MI);
+    for (const tile of tiles) {
+      expect(calculatePolygonArea(corners(tile))).toBeLessThanOrEqual(TILE_AREA_SQ_MI);
+    }
+  });
+
+  it('drops bounding box cells outside the polygon', () => {
+    // A 5 x 5 grid over the box; the cells wholly past the hypotenuse go
+    expect(tiles.length).toBeLessThan(25);
+    expect(tiles.some(tile => inTile(tile, { lat: 30.28, lng: -97.52 }))).toBe(false);
+  });
+
+  it('covers the whole polygon', () => {
+    for (const point of [
+      { lat: 30.01, lng: -97.89 },
+      { lat: 30.001, lng: -97.51 },
+      { lat: 30.29, lng: -97.89 },
+      { lat: 30.1, lng: -97.7 },
+      { lat: 30.14, lng: -97.75 }
+    ]) {
+      expect(tiles.some(tile => inTile(tile, point)), `${point.lat},${point.lng}`).toBe(true);
+    }
+  });
+});
+
+describe('getTiledSearchArea', () => {
+  const center = { lat: 30.27, lng: -97.74 };
+
+  it('tiles radius searches over the tile area as a circle polygon', () => {
+    expect(getTiledSearchArea({ mode: 'radius', center, radius: 2 })).toBeNull();
+    expect(getTiledSearchArea({ mode: 'radius', center, radius: 5 })).toHaveLength(64);
+  });
+
+  it('tiles polygons over the tile area as they are', () => {
+    expect(getTiledSearchArea({ mode: 'polygon', coordinates: TRIANGLE })).toBe(TRIANGLE);
+    const small = corners({ minLat: 30.2, minLng: -97.8, maxLat: 30.25, maxLng: -97.75 });
+    expect(getTiledSearchArea({ mode: 'polygon', coordinates: small })).toBeNull();
+    expect(getTiledSearchArea({ mode: 'zips', zips: ['78701'] })).toBeNull();
+  });
+});
+
+describe('searchPolygonTiles', () => {
+  // A 2 x 2 grid over the triangle's south-west corner
+  const polygon: Coordinate[] = [
+    { lat: 30.0, lng: -97.8 },
+    { lat: 30.0, lng: -97.6 },
+    { lat: 30.2, lng: -97.8 }
+  ];
+  const SW = { minLat: 30.0, minLng: -97.8, maxLat: 30.1, maxLng: -97.7 };
+  const SE = { minLat: 30.0, minLng: -97.7, maxLat: 30.1, maxLng: -97.6 };
+  const NW = { minLat: 30.1, minLng: -97.8, maxLat: 30.2, maxLng: -97.7 };
+  const NE = { minLat: 30.1, minLng: -97.7, maxLat: 30.2, maxLng: -97.6 };
+
+  const search = async () => {
+    const saved = new Map<BoundingBox, Address[]>();
+    await searchPolygonTiles([SW, SE, NW, NE], polygon, {
+      concurrency: 2,
+      onTile: async (tile, added, error) => {
+        expect(error).toBeNull();
+        saved.set(tile, added);
+      }
+    });
+    return saved;
+  };
+
+  it('saves an address on a shared edge in one tile only', async () => {
+    stubOverpass([
+      element(1, 30.05, -97.75), // inside the south-west tile
+      element(2, 30.1, -97.75), // on the edge between south-west and north-west
+      element(3, 30.05, -97.7) // on the edge between south-west and south-east
+    ]);
+
+    const saved = await search();
+
+    expect(saved.get(SW)!.map(addr => addr.housenumber)).toEqual(['1']);
+    expect(saved.get(NW)!.map(addr => addr.housenumber)).toEqual(['2']);
+    expect(saved.get(SE)!.map(addr => addr.housenumber)).toEqual(['3']);
+    expect(saved.get(NE)).toEqual([]);
+  });
+
+  it('drops addresses in a tile but outside the polygon', async () => {
+    // North-east of the hypotenuse
+    stubOverpass([element(4, 30.15, -97.62), element(5, 30.105, -97.75)]);
+
+    const saved = await search();
+
+    expect(saved.get(NE)).toEqual([]);
+    expect(saved.get(NW)!.map(addr => addr.housenumber)).toEqual(['5']);
+  });
+
+  it('reports a failing tile and carries on with the rest', async () => {
+    let calls = 0;
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      calls += 1;
+      return calls === 1 ? new Response('', { status: 500 }) : Response.json({ elements: [element(1, 30.05, -97.75)] });
+    }));
+
+    const errors: unknown[] = [];
+    await searchPolygonTiles([SE, SW], polygon, {
+      concurrency: 1,
+      onTile: async (_tile, _added, error) => {
+        errors.push(error);
+      }
+    });
+
+    expect(errors).toHaveLength(2);
+    expect((errors[0] as Error).message).toBe('Overpass API error: 500');
+    expect(errors[1]).toBeNull();
+  });
+});
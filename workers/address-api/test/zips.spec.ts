@@ -0,0 +1,148 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { searchByZips } from '../src/services/overpass';
+import { Address, ZipProgress } from '../src/types';
+
+const square = (minLng: number, minLat: number, maxLng: number, maxLat: number) =>
+  [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]];
+
+// Side by side; the simplified 78702 overlaps 78701 a little, as TIGER's
+// generalized outlines do
+const ZCTAS: Record<string, number[][][]> = {
+  '78701': square(-97.76, 30.26, -97.74, 30.28),
+  '78702': square(-97.745, 30.26, -97.72, 30.28)
+};
+
+const element = (id: number, lat: number, lon: number, street: string, postcode?: string) => ({
+  type: 'node',
+  id,
+  lat,
+  lon,
+  tags: {
+    'addr:housenumber': String(id),
+    'addr:street': street,
+    ...(postcode ? { 'addr:postcode': postcode } : {})
+  }
+});
+
+// Overpass answers every ZIP's query with all of these; the search keeps
+// the ones that belong to the ZIP
+const ELEMENTS = [
+  element(1, 30.27, -97.75, 'Congress Avenue', '78701'),
+  element(2, 30.265, -97.755, 'Colorado Street'), // untagged, inside 78701 only
+  element(3, 30.29, -97.75, 'Lavaca Street'), // untagged, in the buffered box but outside both ZCTAs
+  element(4, 30.27, -97.73, 'East 6th Street', '78702'),
+  element(5, 30.27, -97.7425, 'Brazos Street') // untagged, inside both outlines
+];
+
+interface StubOptions {
+  zctas?: Record<string, number[][][]>;
+  tigerStatus?: number;
+  failZips?: string[];
+}
+
+// Routes TIGERweb ZCTA and Overpass requests, recording each Overpass query
+const stubServices = ({ zctas = ZCTAS, tigerStatus = 200, failZips = [] }: StubOptions = {}) => {
+  const queries: string[] = [];
+  vi.stubGlobal('fetch', vi.fn(async (input: RequestInfo | URL, init?: RequestInit) => {
+    const url = new URL(String(input));
+    if (url.hostname === 'tigerweb.geo.census.gov') {
+      if (tigerStatus !== 200) return new Response('', { status: tigerStatus });
+      const zip = /ZCTA5='(\d{5})'/.exec(url.searchParams.get('where') || '')![1];
+      const features = zctas[zip] ? [{ geometry: { type: 'Polygon', coordinates: zctas[zip] } }] : [];
+      return Response.json({ type: 'FeatureCollection', features });
+    }
+
+    const query = decodeURIComponent(String(init?.body)).replace(/^data=/, '');
+    queries.push(query);
+    const zip = /"addr:postcode"="(\d{5})"/.exec(query)![1];
+    return failZips.includes(zip) ? new Response('', { status: 500 }) : Response.json({ elements: ELEMENTS });
+  }));
+  return queries;
+};
+
+const search = async (zips: string[]) => {
+  const progress: ZipProgress[] = [];
+  const added: Record<string, string[]> = {};
+  const addresses = await searchByZips(zips, async (update, newAddresses) => {
+    progress.push(update);
+    if (update.status !== 'searching') added[update.zip] = newAddresses.map(addr => addr.housenumber);
+  });
+  return { addresses, progress, added };
+};
+
+const summary = (addresses: Address[]) => addresses.map(addr => `${addr.housenumber} ${addr.postcode}`);
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('searchByZips', () => {
+  it('queries each ZIP on its own and returns the union', async () => {
+    const queries = stubServices();
+
+    const { addresses } = await search(['78701', '78702']);
+
+    expect(queries).toHaveLength(2);
+    expect(queries.map(query => query.match(/"addr:postcode"="\d{5}"/g))).toEqual([
+      ['"addr:postcode"="78701"', '"addr:postcode"="78701"'],
+      ['"addr:postcode"="78702"', '"addr:postcode"="78702"']
+    ]);
+    expect(summary(addresses)).toEqual(['1 78701', '2 78701', '5 78701', '4 78702']);
+  });
+
+  it('takes untagged addresses from inside the ZCTA and stamps them with the ZIP', async () => {
+    const queries = stubServices();
+
+    const { addresses } = await search(['78701']);
+
+    expect(queries[0]).toContain('node["addr:housenumber"][!"addr:postcode"](poly:"30.26 -97.76 30.26 -97.74 30.28 -97.74 30.28 -97.76");');
+    // 3 is in the query box but outside the ZCTA; 4 is tagged with another ZIP
+    expect(summary(addresses)).toEqual(['1 78701', '2 78701', '5 78701']);
+  });
+
+  it('reports each ZIP as it starts and finishes, passing on only addresses not seen before', async () => {
+    stubServices();
+
+    const { progress, added } = await search(['78701', '78702']);
+
+    expect(progress).toEqual([
+      { zip: '78701', status: 'searching', found: 0 },
+      { zip: '78701', status: 'complete', found: 3, source: 'postcode+zcta' },
+      { zip: '78702', status: 'searching', found: 0 },
+      { zip: '78702', status: 'complete', found: 2, source: 'postcode+zcta' }
+    ]);
+    // 5 is inside both outlines and goes to the first ZIP that finds it
+    expect(added).toEqual({ '78701': ['1', '2', '5'], '78702': ['4'] });
+  });
+
+  it('falls back to the postcode tag alone when a ZIP has no ZCTA', async () => {
+    const queries = stubServices({ zctas: {} });
+
+    const { addresses, progress } = await search(['78701']);
+
+    expect(queries[0]).not.toContain('poly:');
+    expect(queries[0]).toContain('node["addr:housenumber"]["addr:postcode"="78701"];');
+    expect(summary(addresses)).toEqual(['1 78701']);
+    expect(progress[1]).toMatchObject({ status: 'complete', source: 'postcode' });
+  });
+
+  it('still searches by postcode when the ZCTA lookup fails', async () => {
+    stubServices({ tigerStatus: 503 });
+
+    const { addresses } = await search(['78702']);
+
+    expect(summary(addresses)).toEqual(['4 78702']);
+  });
+
+  it('marks a failed ZIP and carries on, and fails only when every ZIP does', async () => {
+    stubServices({ failZips: ['78701'] });
+
+    const { addresses, progress } = await search(['78701', '78702']);
+
+    expect(progress[1]).toEqual({ zip: '78701', status: 'failed', found: 0, error: 'Overpass API error: 500' });
+    expect(summary(addresses)).toEqual(['4 78702', '5 78702']);
+
+    stubServices({ failZips: ['78701', '78702'] });
+    await expect(search(['78701', '78702'])).rejects.toThrow('Overpass API error: 500');
+  });
+});
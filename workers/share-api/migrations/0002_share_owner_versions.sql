@@ -0,0 +1,19 @@
+-- Owner secrets, in-place updates and version history
+
+-- SHA-256 of the owner secret returned at creation; required for update/delete
+ALTER TABLE shares ADD COLUMN owner_token_hash TEXT;
+
+-- Incremented on every update; earlier versions live in share_versions
+ALTER TABLE shares ADD COLUMN version INTEGER DEFAULT 1;
+
+-- Previous versions of a share, written before each update
+CREATE TABLE IF NOT EXISTS share_versions (
+    share_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    created_at DATETIME,
+    view_mode TEXT,
+    search_data TEXT NOT NULL,
+    title TEXT,
+    description TEXT,
+    PRIMARY KEY (share_id, version)
+);
@@ -20,6 +20,59 @@ function generateShareId(): string {
   return result;
 }
 
+// Links can live for at most a year when an expiry is chosen
+const MAX_EXPIRY_DAYS = 365;
+
+// Bad client input discovered inside a helper; reported as a 400
+class ValidationError extends Error {}
+
+// Generate the owner secret returned once at creation (32 random bytes, hex)
+function generateOwnerToken(): string {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Only a hash of the owner secret is stored
+async function hashToken(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Read the version an update was made against from 'If-Match: "<version>"'
+function getIfMatchVersion(request: Request): number | null {
+  const header = request.headers.get('If-Match') || '';
+  const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? Number(match[1]) : null;
+}
+
+// D1 reports a duplicate primary key as a SQLite constraint error
+const isConstraintError = (error: unknown) =>
+  error instanceof Error && /UNIQUE constraint failed|SQLITE_CONSTRAINT/i.test(error.message);
+
+// Read the owner secret from "Authorization: Bearer <token>"
+function getBearerToken(request: Request): string | null {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve an expiry choice to an ISO timestamp
+ * undefined = not specified, null = never expires
+ */
+function resolveExpiry(expiresInDays: unknown): string | null | undefined {
+  if (expiresInDays === undefined) return undefined;
+  if (expiresInDays === null) return null;
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+    throw new ValidationError(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}, or null`);
+  }
+
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
 // CORS headers
 function getCorsHeaders(origin: string, allowedOrigins: string): HeadersInit {
   const allowed = allowedOrigins.split(',').map(o => o.trim());
@@ -27,8 +80,8 @@ function getCorsHeaders(origin: string, allowedOrigins: string): HeadersInit {
 
   return {
     'Access-Control-Allow-Origin': isAllowed ? origin : allowed[0],
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
     'Access-Control-Max-Age': '86400',
   };
 }
@@ -61,8 +114,23 @@ interface ShareData {
     id: string;
     label: string;
     query?: string;
-    center: [number, number];
-    radius: number;
+    // null for set searches, which combine other searches
+    center: [number, number] | null;
+    // null for isochrone searches, which carry their travel-time polygon instead
+    radius: number | null;
+    inclusion?: { mode: string; minOverlap?: number };
+    isochrone?: {
+      value: number;
+      metric: string; // 'time' (minutes) | 'distance' (miles)
+      profile: string; // 'drive' | 'walk' | 'bike'
+      provider?: string;
+      geometry: { type: 'Polygon' | 'MultiPolygon'; coordinates: unknown };
+    };
+    setOperation?: {
+      terms: Array<{ op: 'union' | 'intersect' | 'subtract'; searchId: string; label: string }>;
+    };
+    // Set on searches created from an uploaded store list
+    store?: { name: string; storeId?: string | null; address?: string | null };
     overlayColor?: string;
     settings?: Record<string, unknown>;
     results?: Array<Record<string, unknown>>;
@@ -75,6 +143,9 @@ interface ShareData {
     shapeType: string; // 'polygon' | 'circle' | 'rectangle'
     circleCenter?: [number, number];
     circleRadius?: number;
+    // GeoJSON Polygon/MultiPolygon for imported shapes with holes or several parts
+    geometry?: { type: 'Polygon' | 'MultiPolygon'; coordinates: unknown };
+    inclusion?: { mode: string; minOverlap?: number };
     bounds?: {
       minLat: number;
       maxLat: number;
@@ -113,6 +184,60 @@ interface ShareData {
   viewMode?: 'edit' | 'view';
   title?: string;
   description?: string;
+  // Days until the link expires; null or omitted = never
+  expiresInDays?: number | null;
+}
+
+interface ShareRow {
+  id: string;
+  created_at: string;
+  updated_at: string;
+  view_mode: string;
+  search_mode: string;
+  map_center_lat: number | null;
+  map_center_lng: number | null;
+  map_zoom: number | null;
+  map_type: string;
+  search_data: string;
+  title: string | null;
+  description: string | null;
+  expires_at: string | null;
+  owner_token_hash: string | null;
+  version: number | null;
+}
+
+// Match /api/share/:id and /api/share/:id/versions[/:version]
+const SHARE_ROUTE = /^\/api\/share\/([a-zA-Z0-9]+)(?:\/(versions)(?:\/(\d+))?)?$/;
+
+/**
+ * Load a share and check the owner secret
+ * Returns the row, or an error response to send back
+ */
+async function authorizeOwner(
+  request: Request,
+  env: Env,
+  shareId: string,
+  corsHeaders: HeadersInit
+): Promise<ShareRow | Response> {
+  const share = await env.DB.prepare('SELECT * FROM shares WHERE id = ?')
+    .bind(shareId)
+    .first<ShareRow>();
+
+  if (!share) {
+    return errorResponse('Share not found', 404, corsHeaders);
+  }
+
+  const token = getBearerToken(request);
+  if (!token) {
+    return errorResponse('Missing owner token', 401, corsHeaders);
+  }
+
+  // Shares created before owner tokens existed can't be changed
+  if (!share.owner_token_hash || (await hashToken(token)) !== share.owner_token_hash) {
+    return errorResponse('Invalid owner token', 403, corsHeaders);
+  }
+
+  return share;
 }
 
 export default {
@@ -148,15 +273,19 @@ export default {
           shareId = generateShareId();
         }
 
+        const { expiresInDays, ...shareBody } = body;
+        const expiresAt = resolveExpiry(expiresInDays) ?? null;
+        const ownerToken = generateOwnerToken();
+
         // Insert into database
-        const searchData = JSON.stringify(body);
+        const searchData = JSON.stringify(shareBody);
         const mapCenter = body.mapView?.center;
         const mapZoom = body.mapView?.zoom;
         const mapType = body.mapView?.type || 'street';
 
         await env.DB.prepare(`
-          INSERT INTO shares (id, search_mode, map_center_lat, map_center_lng, map_zoom, map_type, search_data, view_mode, title, description)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          INSERT INTO shares (id, search_mode, map_center_lat, map_center_lng, map_zoom, map_type, search_data, view_mode, title, description, expires_at, owner_token_hash, version)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
         `)
           .bind(
             shareId,
@@ -168,7 +297,9 @@ export default {
             searchData,
             body.viewMode || 'edit',
             body.title || null,
-            body.description || null
+            body.description || null,
+            expiresAt,
+            await hashToken(ownerToken)
           )
           .run();
 
@@ -177,15 +308,181 @@ export default {
             success: true,
             id: shareId,
             url: `https://geosearch.edwinlovett.com/s/${shareId}`,
+            // Only returned here - the client must keep it to update or delete the link
+            ownerToken,
+            version: 1,
+            expiresAt,
           },
           201,
           corsHeaders
         );
       }
 
+      const shareRoute = url.pathname.match(SHARE_ROUTE);
+
+      // Route: PUT /api/share/:id - Replace a share's contents, keeping the old version
+      // The client sends the version it edited in If-Match; an update made
+      // against an older version is refused so neither owner's edit is lost
+      if (request.method === 'PUT' && shareRoute && !shareRoute[2]) {
+        const shareId = shareRoute[1];
+        const auth = await authorizeOwner(request, env, shareId, corsHeaders);
+        if (auth instanceof Response) return auth;
+
+        const editedVersion = getIfMatchVersion(request);
+        if (editedVersion === null) {
+          return errorResponse('Missing If-Match header with the version being updated', 428, corsHeaders);
+        }
+
+        const body = await request.json() as ShareData;
+        if (!body.mode) {
+          return errorResponse('Missing required field: mode', 400, corsHeaders);
+        }
+
+        const { expiresInDays, ...shareBody } = body;
+        const resolvedExpiry = resolveExpiry(expiresInDays);
+        // Keep the current expiry unless a new one was chosen
+        const expiresAt = resolvedExpiry === undefined ? auth.expires_at : resolvedExpiry;
+        const currentVersion = auth.version ?? 1;
+        const conflict = () => errorResponse(
+          'This link was changed since you loaded it; reload it and try again',
+          409,
+          corsHeaders
+        );
+        if (editedVersion !== currentVersion) {
+          return conflict();
+        }
+
+        const nextVersion = currentVersion + 1;
+        const mapCenter = body.mapView?.center;
+
+        // A concurrent update of the same version either changes no row here
+        // or collides on the history row's primary key, which rolls back both
+        let updated: D1Result;
+        try {
+          [updated] = await env.DB.batch([
+            env.DB.prepare(`
+              UPDATE shares
+              SET search_mode = ?, map_center_lat = ?, map_center_lng = ?, map_zoom = ?, map_type = ?,
+                  search_data = ?, view_mode = ?, title = ?, description = ?, expires_at = ?,
+                  version = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND COALESCE(version, 1) = ?
+            `).bind(
+              body.mode,
+              mapCenter?.[0] ?? null,
+              mapCenter?.[1] ?? null,
+              body.mapView?.zoom ?? null,
+              body.mapView?.type || 'street',
+              JSON.stringify(shareBody),
+              body.viewMode || auth.view_mode || 'edit',
+              body.title ?? auth.title,
+              body.description ?? auth.description,
+              expiresAt,
+              nextVersion,
+              shareId,
+              currentVersion
+            ),
+            env.DB.prepare(`
+              INSERT INTO share_versions (share_id, version, created_at, view_mode, search_data, title, description)
+              VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).bind(
+              shareId,
+              currentVersion,
+              auth.updated_at || auth.created_at,
+              auth.view_mode,
+              auth.search_data,
+              auth.title,
+              auth.description
+            ),
+          ]);
+        } catch (error) {
+          if (isConstraintError(error)) return conflict();
+          throw error;
+        }
+
+        if (updated.meta.changes === 0) {
+          return conflict();
+        }
+
+        return jsonResponse(
+          { success: true, id: shareId, version: nextVersion, expiresAt },
+          200,
+          corsHeaders
+        );
+      }
+
+      // Route: DELETE /api/share/:id - Revoke a share and its history
+      if (request.method === 'DELETE' && shareRoute && !shareRoute[2]) {
+        const shareId = shareRoute[1];
+        const auth = await authorizeOwner(request, env, shareId, corsHeaders);
+        if (auth instanceof Response) return auth;
+
+        await env.DB.batch([
+          env.DB.prepare('DELETE FROM share_versions WHERE share_id = ?').bind(shareId),
+          env.DB.prepare('DELETE FROM shares WHERE id = ?').bind(shareId),
+        ]);
+
+        return jsonResponse({ success: true, id: shareId }, 200, corsHeaders);
+      }
+
+      // Route: GET /api/share/:id/versions[/:version] - Version history (owner only)
+      if (request.method === 'GET' && shareRoute && shareRoute[2]) {
+        const shareId = shareRoute[1];
+        const auth = await authorizeOwner(request, env, shareId, corsHeaders);
+        if (auth instanceof Response) return auth;
+
+        const currentVersion = auth.version ?? 1;
+
+        if (shareRoute[3]) {
+          const version = Number(shareRoute[3]);
+          const row = version === currentVersion
+            ? auth
+            : await env.DB.prepare('SELECT * FROM share_versions WHERE share_id = ? AND version = ?')
+              .bind(shareId, version)
+              .first<Omit<ShareRow, 'version'>>();
+
+          if (!row) {
+            return errorResponse('Version not found', 404, corsHeaders);
+          }
+
+          return jsonResponse(
+            {
+              id: shareId,
+              version,
+              createdAt: row.created_at,
+              viewMode: row.view_mode,
+              title: row.title,
+              description: row.description,
+              ...JSON.parse(row.search_data),
+            },
+            200,
+            corsHeaders
+          );
+        }
+
+        const { results } = await env.DB.prepare(`
+          SELECT version, created_at, title FROM share_versions
+          WHERE share_id = ? ORDER BY version DESC
+        `)
+          .bind(shareId)
+          .all<{ version: number; created_at: string; title: string | null }>();
+
+        return jsonResponse(
+          {
+            id: shareId,
+            currentVersion,
+            versions: [
+              { version: currentVersion, createdAt: auth.updated_at || auth.created_at, title: auth.title, current: true },
+              ...results.map(v => ({ version: v.version, createdAt: v.created_at, title: v.title, current: false })),
+            ],
+          },
+          200,
+          corsHeaders
+        );
+      }
+
       // Route: GET /api/share/:id - Get a share by ID
       if (request.method === 'GET' && url.pathname.startsWith('/api/share/')) {
-        const shareId = url.pathname.split('/').pop();
+        const shareId = shareRoute?.[1];
 
         if (!shareId || shareId.length < 6) {
           return errorResponse('Invalid share ID', 400, corsHeaders);
@@ -225,6 +522,9 @@ export default {
             mode: share.search_mode,
             viewMode: share.view_mode,
             createdAt: share.created_at,
+            updatedAt: share.updated_at,
+            version: share.version ?? 1,
+            expiresAt: share.expires_at,
             title: share.title,
             description: share.description,
             mapView: {
@@ -250,6 +550,9 @@ export default {
       return errorResponse('Not found', 404, corsHeaders);
 
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return errorResponse(error.message, 400, corsHeaders);
+      }
       console.error('API Error:', error);
       return errorResponse(
         error instanceof Error ? error.message : 'Internal server error',
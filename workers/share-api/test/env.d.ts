@@ -1,3 +1,7 @@
+import type { Env as ShareEnv } from '../src';
+
 declare module 'cloudflare:test' {
-	interface ProvidedEnv extends Env {}
+	interface ProvidedEnv extends ShareEnv {
+		TEST_MIGRATIONS: D1Migration[];
+	}
 }
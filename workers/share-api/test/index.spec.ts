@@ -1,41 +1,268 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
+import { env } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
 
-describe('Hello World user worker', () => {
-	describe('request for /message', () => {
-		it('/ responds with "Hello, World!" (unit style)', async () => {
-			const request = new Request<unknown, IncomingRequestCfProperties>('http://example.com/message');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
-		});
+const BASE_URL = 'http://example.com';
+
+// Fields the tests read from share responses
+interface ShareResponse extends Record<string, unknown> {
+	id?: string;
+	ownerToken?: string;
+	version?: number;
+	currentVersion?: number;
+	expiresAt?: string | null;
+	error?: string;
+	radiusSearches?: { label: string }[];
+	versions?: { version: number }[];
+}
+
+const shareBody = (overrides: Record<string, unknown> = {}) => ({
+	mode: 'radius',
+	mapView: { center: [33.75, -84.39], zoom: 10, type: 'street' },
+	viewMode: 'view',
+	radiusSearches: [{ id: 'r1', label: 'Atlanta', center: [33.75, -84.39], radius: 5 }],
+	...overrides,
+});
+
+async function call(
+	method: string,
+	path: string,
+	{ body, token, ifMatch }: { body?: unknown; token?: string; ifMatch?: number } = {}
+) {
+	const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+	if (token) headers.Authorization = `Bearer ${token}`;
+	if (ifMatch !== undefined) headers['If-Match'] = `"${ifMatch}"`;
+
+	const request = new Request<unknown, IncomingRequestCfProperties>(`${BASE_URL}${path}`, {
+		method,
+		headers,
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+	const response = await worker.fetch(request, env);
+	return { status: response.status, data: (await response.json()) as ShareResponse };
+}
+
+async function createShare(overrides: Record<string, unknown> = {}) {
+	const { status, data } = await call('POST', '/api/share', { body: shareBody(overrides) });
+	expect(status).toBe(201);
+	return data;
+}
+
+describe('POST /api/share', () => {
+	it('returns an owner token that is stored only as a hash', async () => {
+		const created = await createShare();
 
-		it('responds with "Hello, World!" (integration style)', async () => {
-			const request = new Request('http://example.com/message');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
+		expect(created.id).toMatch(/^[a-zA-Z0-9]{8}$/);
+		expect(created.ownerToken).toMatch(/^[a-f0-9]{64}$/);
+		expect(created.version).toBe(1);
+		expect(created.expiresAt).toBeNull();
+
+		const row = await env.DB.prepare('SELECT owner_token_hash FROM shares WHERE id = ?').bind(created.id).first<{ owner_token_hash: string }>();
+		expect(row?.owner_token_hash).toMatch(/^[a-f0-9]{64}$/);
+		expect(row?.owner_token_hash).not.toBe(created.ownerToken);
+	});
+
+	it('sets expires_at from expiresInDays', async () => {
+		const before = Date.now();
+		const created = await createShare({ expiresInDays: 7 });
+
+		const expiresAt = new Date(created.expiresAt as string).getTime();
+		expect(expiresAt - before).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000 - 1000);
+		expect(expiresAt - before).toBeLessThanOrEqual(7 * 24 * 60 * 60 * 1000 + 60 * 1000);
+
+		const { data } = await call('GET', `/api/share/${created.id}`);
+		expect(data.expiresAt).toBe(created.expiresAt);
+		expect(data.expiresInDays).toBeUndefined();
+	});
+
+	it('rejects an out-of-range expiry', async () => {
+		const { status, data } = await call('POST', '/api/share', { body: shareBody({ expiresInDays: 400 }) });
+		expect(status).toBe(400);
+		expect(data.error).toMatch(/expiresInDays/);
+	});
+});
+
+describe('GET /api/share/:id', () => {
+	it('returns the share with version and expiry', async () => {
+		const created = await createShare();
+		const { status, data } = await call('GET', `/api/share/${created.id}`);
+
+		expect(status).toBe(200);
+		expect(data.id).toBe(created.id);
+		expect(data.version).toBe(1);
+		expect(data.radiusSearches?.[0].label).toBe('Atlanta');
+		expect(data.ownerToken).toBeUndefined();
+	});
+
+	it('returns 410 once the share has expired', async () => {
+		const created = await createShare({ expiresInDays: 1 });
+		await env.DB.prepare('UPDATE shares SET expires_at = ? WHERE id = ?')
+			.bind(new Date(Date.now() - 1000).toISOString(), created.id)
+			.run();
+
+		const { status } = await call('GET', `/api/share/${created.id}`);
+		expect(status).toBe(410);
+	});
+});
+
+describe('PUT /api/share/:id', () => {
+	it('updates the link in place and keeps the previous version', async () => {
+		const created = await createShare();
+		const updatedBody = shareBody({
+			radiusSearches: [{ id: 'r2', label: 'Decatur', center: [33.77, -84.29], radius: 3 }],
 		});
+
+		const { status, data } = await call('PUT', `/api/share/${created.id}`, { body: updatedBody, token: created.ownerToken, ifMatch: 1 });
+		expect(status).toBe(200);
+		expect(data.version).toBe(2);
+
+		const current = await call('GET', `/api/share/${created.id}`);
+		expect(current.data.version).toBe(2);
+		expect(current.data.radiusSearches?.[0].label).toBe('Decatur');
+
+		const history = await call('GET', `/api/share/${created.id}/versions`, { token: created.ownerToken });
+		expect(history.status).toBe(200);
+		expect(history.data.currentVersion).toBe(2);
+		expect(history.data.versions?.map((v) => v.version)).toEqual([2, 1]);
+
+		const previous = await call('GET', `/api/share/${created.id}/versions/1`, { token: created.ownerToken });
+		expect(previous.status).toBe(200);
+		expect(previous.data.radiusSearches?.[0].label).toBe('Atlanta');
 	});
 
-	describe('request for /random', () => {
-		it('/ responds with a random UUID (unit style)', async () => {
-			const request = new Request<unknown, IncomingRequestCfProperties>('http://example.com/random');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+	it('keeps the expiry unless a new one is given, and clears it with null', async () => {
+		const created = await createShare({ expiresInDays: 30 });
+
+		const kept = await call('PUT', `/api/share/${created.id}`, { body: shareBody(), token: created.ownerToken, ifMatch: 1 });
+		expect(kept.data.expiresAt).toBe(created.expiresAt);
+
+		const cleared = await call('PUT', `/api/share/${created.id}`, {
+			body: shareBody({ expiresInDays: null }),
+			token: created.ownerToken,
+			ifMatch: 2,
 		});
+		expect(cleared.data.expiresAt).toBeNull();
+	});
+
+	it('requires the owner token', async () => {
+		const created = await createShare();
+
+		const missing = await call('PUT', `/api/share/${created.id}`, { body: shareBody() });
+		expect(missing.status).toBe(401);
 
-		it('responds with a random UUID (integration style)', async () => {
-			const request = new Request('http://example.com/random');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+		const wrong = await call('PUT', `/api/share/${created.id}`, { body: shareBody(), token: 'a'.repeat(64) });
+		expect(wrong.status).toBe(403);
+
+		const history = await call('GET', `/api/share/${created.id}/versions`);
+		expect(history.status).toBe(401);
+	});
+
+	it('requires the edited version in If-Match', async () => {
+		const created = await createShare();
+
+		const { status } = await call('PUT', `/api/share/${created.id}`, { body: shareBody(), token: created.ownerToken });
+		expect(status).toBe(428);
+	});
+
+	it('refuses an update made against an older version', async () => {
+		const created = await createShare();
+		await call('PUT', `/api/share/${created.id}`, { body: shareBody(), token: created.ownerToken, ifMatch: 1 });
+
+		const stale = await call('PUT', `/api/share/${created.id}`, { body: shareBody(), token: created.ownerToken, ifMatch: 1 });
+		expect(stale.status).toBe(409);
+
+		const current = await call('GET', `/api/share/${created.id}`);
+		expect(current.data.version).toBe(2);
+	});
+
+	it('lets only one of two conflicting updates through and keeps the history', async () => {
+		const created = await createShare();
+		const edit = (label: string) =>
+			call('PUT', `/api/share/${created.id}`, {
+				body: shareBody({ radiusSearches: [{ id: label, label, center: [33.77, -84.29], radius: 3 }] }),
+				token: created.ownerToken,
+				ifMatch: 1,
+			});
+
+		const results = await Promise.all([edit('Decatur'), edit('Marietta')]);
+		expect(results.map((result) => result.status).sort()).toEqual([200, 409]);
+
+		const winner = results.find((result) => result.status === 200);
+		expect(winner?.data.version).toBe(2);
+
+		const current = await call('GET', `/api/share/${created.id}`);
+		expect(current.data.version).toBe(2);
+
+		const history = await call('GET', `/api/share/${created.id}/versions`, { token: created.ownerToken });
+		expect(history.data.versions?.map((v) => v.version)).toEqual([2, 1]);
+
+		const original = await call('GET', `/api/share/${created.id}/versions/1`, { token: created.ownerToken });
+		expect(original.data.radiusSearches?.[0].label).toBe('Atlanta');
+	});
+
+	it('never overwrites a saved version and rolls the update back instead', async () => {
+		const created = await createShare();
+		// History for version 1 written by an update that raced this one
+		await env.DB.prepare("INSERT INTO share_versions (share_id, version, search_data) VALUES (?, 1, '{\"mode\":\"saved\"}')")
+			.bind(created.id)
+			.run();
+
+		const { status } = await call('PUT', `/api/share/${created.id}`, { body: shareBody(), token: created.ownerToken, ifMatch: 1 });
+		expect(status).toBe(409);
+
+		const row = await env.DB.prepare('SELECT version FROM shares WHERE id = ?').bind(created.id).first<{ version: number }>();
+		expect(row?.version).toBe(1);
+		const saved = await env.DB.prepare('SELECT search_data FROM share_versions WHERE share_id = ? AND version = 1')
+			.bind(created.id)
+			.first<{ search_data: string }>();
+		expect(saved?.search_data).toBe('{"mode":"saved"}');
+	});
+
+	it('returns 404 for an unknown share', async () => {
+		const { status } = await call('PUT', '/api/share/doesnotexist', { body: shareBody(), token: 'a'.repeat(64) });
+		expect(status).toBe(404);
+	});
+});
+
+describe('DELETE /api/share/:id', () => {
+	it('revokes the link and its history', async () => {
+		const created = await createShare();
+		await call('PUT', `/api/share/${created.id}`, { body: shareBody(), token: created.ownerToken, ifMatch: 1 });
+
+		const { status } = await call('DELETE', `/api/share/${created.id}`, { token: created.ownerToken });
+		expect(status).toBe(200);
+
+		const after = await call('GET', `/api/share/${created.id}`);
+		expect(after.status).toBe(404);
+
+		const versions = await env.DB.prepare('SELECT COUNT(*) AS count FROM share_versions WHERE share_id = ?')
+			.bind(created.id)
+			.first<{ count: number }>();
+		expect(versions?.count).toBe(0);
+	});
+
+	it('refuses to delete with the wrong token', async () => {
+		const created = await createShare();
+
+		const { status } = await call('DELETE', `/api/share/${created.id}`, { token: 'b'.repeat(64) });
+		expect(status).toBe(403);
+
+		const after = await call('GET', `/api/share/${created.id}`);
+		expect(after.status).toBe(200);
+	});
+});
+
+describe('OPTIONS', () => {
+	it('allows PUT, DELETE and the Authorization and If-Match headers', async () => {
+		const request = new Request<unknown, IncomingRequestCfProperties>(`${BASE_URL}/api/share/abc12345`, {
+			method: 'OPTIONS',
+			headers: { Origin: 'http://localhost:5173' },
 		});
+		const response = await worker.fetch(request, env);
+
+		expect(response.status).toBe(204);
+		expect(response.headers.get('Access-Control-Allow-Methods')).toContain('DELETE');
+		expect(response.headers.get('Access-Control-Allow-Headers')).toContain('Authorization');
+		expect(response.headers.get('Access-Control-Allow-Headers')).toContain('If-Match');
 	});
 });
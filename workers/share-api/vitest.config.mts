@@ -1,11 +1,21 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { fileURLToPath } from 'node:url';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	// Applied to the local D1 database by test/apply-migrations.ts
+	const migrations = await readD1Migrations(fileURLToPath(new URL('./migrations', import.meta.url)));
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.ts'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.jsonc' },
+					miniflare: {
+						bindings: { TEST_MIGRATIONS: migrations },
+					},
+				},
 			},
 		},
-	},
+	};
 });